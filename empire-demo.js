@@ -63,7 +63,7 @@ async function main() {
     console.log('\n📋 Empire Configuration:');
     console.log('   • Ideas per cycle: 5');
     console.log('   • Max concurrent businesses: 3');
-    console.log('   • Loop interval: 1 hour (for demo, normally 24 hours)');
+    console.log('   • Schedule: hourly (for demo, normally daily)');
     console.log('   • Auto-approve: Routine tasks');
     console.log('   • Require approval: Legal, financial decisions');
 
@@ -87,7 +87,7 @@ async function main() {
 
     // Run the empire loop
     await ceo.runEmpireLoop({
-        loopInterval: 60 * 60 * 1000, // 1 hour for demo (use 24 * 60 * 60 * 1000 for production)
+        cron: '0 * * * *', // Hourly for demo (the default runs daily at 09:00)
         ideasPerCycle: 5,
         maxConcurrentBusinesses: 3,
         criteria: {
@@ -15,6 +15,7 @@ import { fileURLToPath } from 'url';
 import { ModelRouter } from './packages/core/model-router.js';
 import { Database } from './packages/core/database.js';
 import { AuditLogger } from './packages/core/audit-logger.js';
+import { AuditSearch } from './packages/core/audit-search.js';
 import { EmailNotifier } from './packages/core/email-notifier.js';
 import { PolicyEngine } from './packages/core/policy-engine.js';
 import { ApprovalServer } from './packages/core/approval-server.js';
@@ -23,6 +24,13 @@ import { SelfImprovement } from './packages/core/self-improvement.js';
 // CEO imports
 import CEOAgent from './packages/ceo/ceo-agent.js';
 import { BusinessAnalyzer } from './packages/ceo/business-analyzer.js';
+import { ContentQueue } from './packages/ceo/content-queue.js';
+
+// Agents
+import { AgentPool } from './packages/agents/agent-pool.js';
+
+// Infrastructure
+import { WarmAccountPool } from './packages/infrastructure/warm-pool.js';
 
 // Orchestrator
 import { Orchestrator } from './packages/orchestrator/index.js';
@@ -52,7 +60,7 @@ class Empire {
         this.db = new Database(config);
 
         this.auditLogger = new AuditLogger();
-        this.policyEngine = new PolicyEngine();
+        this.policyEngine = new PolicyEngine(config);
         this.selfImprovement = new SelfImprovement({ modelRouter: this.ai });
 
         // Email notifier (if configured)
@@ -63,12 +71,15 @@ class Empire {
                 recipientEmail: process.env.NOTIFICATION_EMAIL || 'landon.king@luxebuildmedia.com'
             });
         }
+        this.ai.budget.notifier = this.emailNotifier || null;
 
         // Approval server
         this.approvalServer = new ApprovalServer({
             port: config.approvalPort || 3847,
             db: this.db,
             emailNotifier: this.emailNotifier,
+            policyEngine: this.policyEngine,
+            auditSearch: new AuditSearch({ db: this.db, auditLogger: this.auditLogger }),
             onApproval: (item) => this.handleApproval(item),
             onRejection: (item) => this.handleRejection(item)
         });
@@ -79,6 +90,12 @@ class Empire {
             auditLogger: this.auditLogger
         });
 
+        // Specialist agents; each type calls its dispatcher routes as tools
+        this.agentPool = new AgentPool({
+            modelRouter: this.ai,
+            dispatcher: this.dispatcher
+        });
+
         // Business analyzer
         this.analyzer = new BusinessAnalyzer({
             modelRouter: this.ai,
@@ -105,13 +122,25 @@ class Empire {
         });
 
         // Connect shared components
-        this.ceo.approvalFlow = this.orchestrator.approvalFlow;
+        this.ceo.setApprovalFlow(this.orchestrator.approvalFlow);
+        this.orchestrator.approvalFlow.approvalLinks = (id, recipient) => this.approvalServer.approvalLinks(id, recipient);
+        this.approvalServer.approvalFlow = this.orchestrator.approvalFlow;
+        this.approvalServer.jobQueue = this.orchestrator.jobQueue;
+        this.approvalServer.scheduler = this.orchestrator.scheduler;
+        this.ceo.scheduler = this.orchestrator.scheduler;
+        this.approvalServer.setDeadLetterHandler({
+            replay: (id, edits) => this.orchestrator.replayDeadLetter(id, edits),
+            discard: (id) => this.orchestrator.discardDeadLetter(id)
+        });
         this.ceo.emailNotifier = this.orchestrator.emailNotifier;
 
-        // Register modules with orchestrator
+        // Register modules with orchestrator; their `schedules` run on its Scheduler
         this.orchestrator.registerModule('ceo', this.ceo);
         this.orchestrator.registerModule('analyzer', this.analyzer);
         this.orchestrator.registerModule('dispatcher', this.dispatcher);
+        this.orchestrator.registerModule('agents', this.agentPool);
+        this.orchestrator.registerModule('content-queue', new ContentQueue({ db: this.db, modelRouter: this.ai }));
+        this.orchestrator.registerModule('warm-pool', new WarmAccountPool({ db: this.db }));
         this.orchestrator.registerModule('system', this);
     }
 
@@ -161,7 +190,7 @@ class Empire {
             await this.ceo.init();
 
             // Connect CEO Command Interface
-            this.approvalServer.setCommandHandler((cmd) => this.ceo.handleCommand(cmd));
+            this.approvalServer.setCommandHandler((cmd, options) => this.ceo.handleCommand(cmd, options));
             this.approvalServer.setStatusProvider(() => this.ceo.getStatus());
 
             console.log('\n📊 System Status:');
@@ -350,7 +379,8 @@ class Empire {
     async execute(task) {
         switch (task.action) {
             case 'stop':
-                this.stop();
+                // Not awaited: shutdown waits for running tasks, this one included
+                this.stop().catch(error => console.error('Shutdown failed:', error.message));
                 return { success: true };
             case 'info':
                 return {
@@ -379,12 +409,13 @@ class Empire {
     }
 
     /**
-     * Stop the empire
+     * Stop the empire, letting the orchestrator's running tasks finish
      */
-    stop() {
+    async stop() {
         this.isRunning = false;
-        this.approvalServer.stop();
         console.log('\n👑 Empire shutting down...');
+        await this.orchestrator.shutdown();
+        this.approvalServer.stop();
     }
 
     /**
@@ -402,10 +433,12 @@ async function main() {
     const empire = new Empire();
 
     // Handle graceful shutdown
-    process.on('SIGINT', () => {
-        empire.stop();
+    const shutdown = async () => {
+        await empire.stop();
         process.exit(0);
-    });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
 
     // Initialize
     const initialized = await empire.initialize();
@@ -416,14 +449,14 @@ async function main() {
     if (args.includes('--daemon') || args.includes('-d')) {
         // Continuous mode
         await empire.runEmpireLoop({
-            loopInterval: 10 * 1000, // 10 seconds (Continuous Mode)
+            cron: '* * * * *', // Every minute (Continuous Mode); a cycle still running is skipped
             ideasPerCycle: 5
         });
     } else if (args.length > 0 && !args[0].startsWith('-')) {
         // Single business from idea
         const idea = args.join(' ');
         await empire.runBusiness(idea);
-        empire.stop();
+        await empire.stop();
     } else {
         // Interactive prompt
         console.log('Usage:');
@@ -12,6 +12,8 @@ import { FinanceModule } from './packages/modules/finance/index.js';
 import { SelfExpansionEngine } from './packages/expansion/self-expansion.js';
 import { ModuleRegistry } from './packages/expansion/module-registry.js';
 import { CEOAgent } from './packages/ceo/ceo-agent.js';
+import { ContentQueue } from './packages/ceo/content-queue.js';
+import { WarmAccountPool } from './packages/infrastructure/warm-pool.js';
 
 // Load environment configuration
 const config = {
@@ -42,19 +44,22 @@ async function main() {
     await orchestrator.init();
 
     // Register all business modules
-    orchestrator.registerModule('document-hub', new DocumentHub());
-    orchestrator.registerModule('compliance', new ComplianceModule());
-    orchestrator.registerModule('contracts', new ContractsModule());
-    orchestrator.registerModule('finance', new FinanceModule());
+    const shared = { db: orchestrator.db, modelRouter: orchestrator.ai };
+    orchestrator.registerModule('document-hub', await new DocumentHub(shared).init());
+    orchestrator.registerModule('compliance', await new ComplianceModule(shared).init());
+    orchestrator.registerModule('contracts', await new ContractsModule(shared).init());
+    orchestrator.registerModule('finance', await new FinanceModule(shared).init());
+    orchestrator.registerModule('content-queue', await new ContentQueue(shared).init());
+    orchestrator.registerModule('warm-pool', new WarmAccountPool(shared));
 
     // Register expansion capabilities
-    const expansionEngine = new SelfExpansionEngine(config);
+    const expansionEngine = await new SelfExpansionEngine({ ...config, db: orchestrator.db }).init();
     const moduleRegistry = new ModuleRegistry();
     orchestrator.registerModule('expansion', expansionEngine);
     orchestrator.registerModule('registry', moduleRegistry);
 
     // Register CEO Agent
-    const ceoAgent = new CEOAgent(config);
+    const ceoAgent = new CEOAgent({ ...config, scheduler: orchestrator.scheduler });
     await ceoAgent.init();
     orchestrator.registerModule('ceo', ceoAgent);
 
@@ -66,17 +71,19 @@ async function main() {
     console.log(`\n📦 Found ${scanResult.scanned} modules`);
 
     // Show system status
-    const status = orchestrator.getStatus();
+    const status = await orchestrator.getStatus();
     console.log('\n🚀 System Status:');
     console.log(`   Modules: ${status.registeredModules.join(', ')}`);
     console.log(`   Today's actions: ${status.todaysSummary.totalActions}`);
 
-    // Handle shutdown
-    process.on('SIGINT', () => {
+    // Handle shutdown: let running tasks finish first
+    const shutdown = async () => {
         console.log('\n👋 Shutting down King AI Studio...');
-        orchestrator.stop();
+        await orchestrator.shutdown();
         process.exit(0);
-    });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
 
     console.log('\n✅ King AI Studio is running!');
     console.log('   🧠 Autonomous CEO Mode Active');
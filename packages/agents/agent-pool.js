@@ -8,10 +8,20 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { EventEmitter } from 'events';
 import { ModelRouter } from '../core/model-router.js';
+import { extractJson } from '../core/json-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// TaskDispatcher routes each agent type may call as tools when the pool has a dispatcher
+const DEFAULT_AGENT_TOOLS = {
+    coordinator: ['get_account'],
+    research: ['browse', 'screenshot'],
+    social: ['post_social', 'schedule_post'],
+    coding: [],
+    outreach: ['add_client', 'email_client', 'generate_proposal', 'reply_email']
+};
+
 /**
  * Base Agent class
  */
@@ -25,9 +35,20 @@ class Agent extends EventEmitter {
         this.currentTask = null;
         this.completedTasks = 0;
         this.modelRouter = config.modelRouter;
+        this.tools = config.tools || [];
         this.messageQueue = [];
     }
 
+    /**
+     * Ask the model, letting it call this agent's tools when it has any
+     */
+    ask(prompt) {
+        if (this.tools.length === 0) {
+            return this.modelRouter.complete(prompt, this.modelPreference);
+        }
+        return this.modelRouter.runTools(prompt, this.tools, this.modelPreference);
+    }
+
     /**
      * Process a task
      */
@@ -113,11 +134,12 @@ Provide a comprehensive research report including:
 
 Task details: ${JSON.stringify(task.data || {})}`;
 
-        const result = await this.modelRouter.complete(prompt, this.modelPreference);
+        const result = await this.ask(prompt);
         return {
             type: 'research',
             findings: result.content,
-            reasoning: result.reasoning
+            reasoning: result.reasoning,
+            toolCalls: result.steps || []
         };
     }
 }
@@ -145,11 +167,12 @@ Task details: ${JSON.stringify(task.data || {})}
 
 Return content ready to post.`;
 
-        const result = await this.modelRouter.complete(prompt, this.modelPreference);
+        const result = await this.ask(prompt);
         return {
             type: 'social',
             content: result.content,
-            platform: task.platform
+            platform: task.platform,
+            toolCalls: result.steps || []
         };
     }
 }
@@ -176,7 +199,7 @@ Task details: ${JSON.stringify(task.data || {})}
 
 Return the code with explanations.`;
 
-        const result = await this.modelRouter.complete(prompt, this.modelPreference);
+        const result = await this.ask(prompt);
         return {
             type: 'code',
             code: result.content,
@@ -206,10 +229,11 @@ Write a message that:
 Context: ${task.context || 'business communication'}
 Task details: ${JSON.stringify(task.data || {})}`;
 
-        const result = await this.modelRouter.complete(prompt, this.modelPreference);
+        const result = await this.ask(prompt);
         return {
             type: 'outreach',
-            message: result.content
+            message: result.content,
+            toolCalls: result.steps || []
         };
     }
 }
@@ -245,10 +269,10 @@ Return a JSON array of subtasks, each with:
 
 Return ONLY valid JSON array.`;
 
-        const result = await this.modelRouter.complete(prompt, this.modelPreference);
+        const result = await this.ask(prompt);
 
         try {
-            const subtasks = JSON.parse(result.content);
+            const subtasks = extractJson(result.content);
             return {
                 type: 'coordination',
                 subtasks
@@ -277,6 +301,8 @@ export class AgentPool extends EventEmitter {
         this.ensureDataDir();
 
         this.modelRouter = config.modelRouter || new ModelRouter();
+        this.dispatcher = config.dispatcher || null;
+        this.agentTools = { ...DEFAULT_AGENT_TOOLS, ...(config.agentTools || {}) };
 
         // Agent registry
         this.agents = new Map();
@@ -303,9 +329,10 @@ export class AgentPool extends EventEmitter {
      */
     initializeAgents(config = {}) {
         const agentConfig = { modelRouter: this.modelRouter };
+        const withTools = (type, extra = {}) => ({ ...agentConfig, ...extra, tools: this.getToolsFor(type) });
 
         // Create coordinator
-        this.addAgent(new CoordinatorAgent(agentConfig));
+        this.addAgent(new CoordinatorAgent(withTools('coordinator')));
 
         // Create worker agents
         const workerCounts = config.workers || {
@@ -316,21 +343,29 @@ export class AgentPool extends EventEmitter {
         };
 
         for (let i = 0; i < workerCounts.research; i++) {
-            this.addAgent(new ResearchAgent({ ...agentConfig, name: `Research-${i + 1}` }));
+            this.addAgent(new ResearchAgent(withTools('research', { name: `Research-${i + 1}` })));
         }
         for (let i = 0; i < workerCounts.social; i++) {
-            this.addAgent(new SocialAgent({ ...agentConfig, name: `Social-${i + 1}` }));
+            this.addAgent(new SocialAgent(withTools('social', { name: `Social-${i + 1}` })));
         }
         for (let i = 0; i < workerCounts.coding; i++) {
-            this.addAgent(new CodeAgent({ ...agentConfig, name: `Code-${i + 1}` }));
+            this.addAgent(new CodeAgent(withTools('coding', { name: `Code-${i + 1}` })));
         }
         for (let i = 0; i < workerCounts.outreach; i++) {
-            this.addAgent(new OutreachAgent({ ...agentConfig, name: `Outreach-${i + 1}` }));
+            this.addAgent(new OutreachAgent(withTools('outreach', { name: `Outreach-${i + 1}` })));
         }
 
         console.log(`[AgentPool] Initialized with ${this.agents.size} agents`);
     }
 
+    /**
+     * TaskDispatcher routes exposed to an agent type as tools
+     */
+    getToolsFor(type) {
+        if (!this.dispatcher) return [];
+        return this.dispatcher.getTools(this.agentTools[type] || []);
+    }
+
     /**
      * Add an agent to the pool
      */
@@ -534,7 +569,8 @@ export class AgentPool extends EventEmitter {
                 if (AgentClass) {
                     this.addAgent(new AgentClass({
                         modelRouter: this.modelRouter,
-                        name: task.data.name
+                        name: task.data.name,
+                        tools: this.getToolsFor(task.data.type)
                     }));
                     return { success: true };
                 }
@@ -3,38 +3,30 @@
  * Enables data-driven content optimization
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
 export class ABTester {
     constructor(config = {}) {
-        this.dataDir = config.dataDir || path.join(__dirname, '../../data/ab-tests');
-        this.ensureDataDir();
-        this.loadTests();
+        this.store = getStateStore(config).collection('ab-tests');
+        this.tests = {};
+        this.ready = this.loadTests();
     }
 
-    ensureDataDir() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
+    async init() {
+        await this.ready;
+        return this;
     }
 
-    loadTests() {
-        const testsFile = path.join(this.dataDir, 'tests.json');
-        if (fs.existsSync(testsFile)) {
-            this.tests = JSON.parse(fs.readFileSync(testsFile, 'utf-8'));
-        } else {
-            this.tests = {};
+    async loadTests() {
+        try {
+            this.tests = mergeRecords(await this.store.all(), this.tests);
+        } catch (error) {
+            console.error('[ABTester] Failed to load tests:', error.message);
         }
     }
 
     saveTests() {
-        const testsFile = path.join(this.dataDir, 'tests.json');
-        fs.writeFileSync(testsFile, JSON.stringify(this.tests, null, 2));
+        return this.store.persist(this.tests);
     }
 
     /**
@@ -16,7 +16,7 @@ export class AutoScaler {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/scaler');
         this.ensureDataDir();
 
-        this.profitTracker = config.profitTracker || new ProfitTracker();
+        this.profitTracker = config.profitTracker || new ProfitTracker(config);
 
         // Scaling thresholds
         this.thresholds = config.thresholds || {
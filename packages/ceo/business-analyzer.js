@@ -8,10 +8,109 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { ModelRouter } from '../core/model-router.js';
 import { AuditLogger } from '../core/audit-logger.js';
+import { resolveDependencies } from './plan-executor.js';
+import { extractJson } from '../core/json-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Shapes the rest of the pipeline relies on; ModelRouter validates replies against them
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['viability', 'marketAnalysis', 'revenueModel'],
+  properties: {
+    viability: {
+      type: 'object',
+      required: ['score'],
+      properties: { score: { type: 'number', minimum: 1, maximum: 10 }, reasoning: { type: 'string' } }
+    },
+    marketAnalysis: { type: 'object' },
+    revenueModel: { type: 'object' },
+    requiredSystems: { type: 'array' },
+    risks: { type: 'array' },
+    immediateNextSteps: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['executiveSummary', 'phases'],
+  properties: {
+    executiveSummary: { type: 'string' },
+    phases: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'tasks'],
+        properties: {
+          name: { type: 'string' },
+          tasks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: { type: 'string' },
+                automated: { type: 'boolean' },
+                requiresApproval: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      }
+    },
+    kpis: { type: 'array' }
+  }
+};
+
+const IDEAS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['name', 'description'],
+    properties: { name: { type: 'string' }, description: { type: 'string' } }
+  }
+};
+
+const RANKING_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['name', 'scores'],
+    properties: {
+      name: { type: 'string' },
+      scores: { type: 'object', properties: { total: { type: 'number' } } },
+      rank: { type: 'number' }
+    }
+  }
+};
+
+/**
+ * Parsed reply of a schema request. ModelRouter fills in `data`; an
+ * aiProvider that ignores options.schema only returns the text.
+ * @returns {any|null} null when the call failed or the text is not JSON
+ */
+function replyData(result) {
+  if (!result.success) return null;
+  if (result.data) return result.data;
+  try {
+    return extractJson(result.content);
+  } catch {
+    return null;
+  }
+}
+
+function replyError(result) {
+  return {
+    success: false,
+    error: result.error || 'Model reply was not valid JSON',
+    validationErrors: result.validationErrors,
+    raw: result.content
+  };
+}
+
 export class BusinessAnalyzer {
   constructor(config = {}) {
     this.ai = config.aiProvider || config.modelRouter || new ModelRouter(config);
@@ -26,54 +125,6 @@ export class BusinessAnalyzer {
     }
   }
 
-  /**
-   * Robust JSON parser that handles markdown blocks and extra text
-   */
-  _parseJSON(content) {
-    if (!content) return null;
-
-    let cleanContent = content.trim();
-
-    // 1. Remove markdown code blocks if present
-    const codeBlockMatch = cleanContent.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-    if (codeBlockMatch) {
-      cleanContent = codeBlockMatch[1].trim();
-    }
-
-    try {
-      return JSON.parse(cleanContent);
-    } catch (e) {
-      // 2. Try to find the first JSON-like structure (array or object)
-      const firstBrace = cleanContent.indexOf('{');
-      const firstBracket = cleanContent.indexOf('[');
-
-      let startIdx = -1;
-      let endChar = '';
-
-      if (firstBrace !== -1 && (firstBracket === -1 || firstBrace < firstBracket)) {
-        startIdx = firstBrace;
-        endChar = '}';
-      } else if (firstBracket !== -1) {
-        startIdx = firstBracket;
-        endChar = ']';
-      }
-
-      if (startIdx !== -1) {
-        const lastIdx = cleanContent.lastIndexOf(endChar);
-        if (lastIdx !== -1 && lastIdx > startIdx) {
-          const possibleJSON = cleanContent.substring(startIdx, lastIdx + 1);
-          try {
-            return JSON.parse(possibleJSON);
-          } catch (innerError) {
-            console.error('Failed to parse extracted JSON:', innerError.message);
-          }
-        }
-      }
-
-      throw e; // Rethrow if extraction fails
-    }
-  }
-
   /**
    * Analyze a business idea and create initial assessment
    */
@@ -121,34 +172,28 @@ Provide a comprehensive analysis as JSON:
 
 Return ONLY valid JSON.`;
 
-    const result = await this.ai.complete(prompt, 'reasoning', { format: 'json' });
+    const result = await this.ai.complete(prompt, 'reasoning', { schema: ANALYSIS_SCHEMA });
 
-    if (result.success) {
-      try {
-        const analysis = this._parseJSON(result.content);
-        if (!analysis) throw new Error('Empty content');
+    const analysis = replyData(result);
+    if (analysis) {
+      analysis.id = `analysis-${Date.now()}`;
+      analysis.ideaDescription = idea.description;
+      analysis.createdAt = new Date().toISOString();
+      analysis.status = 'analyzed';
 
-        analysis.id = `analysis-${Date.now()}`;
-        analysis.ideaDescription = idea.description;
-        analysis.createdAt = new Date().toISOString();
-        analysis.status = 'analyzed';
+      // Save analysis
+      const analysisPath = path.join(this.dataDir, `${analysis.id}.json`);
+      fs.writeFileSync(analysisPath, JSON.stringify(analysis, null, 2));
 
-        // Save analysis
-        const analysisPath = path.join(this.dataDir, `${analysis.id}.json`);
-        fs.writeFileSync(analysisPath, JSON.stringify(analysis, null, 2));
+      this.auditLogger.logSystem('business_analyzed', {
+        analysisId: analysis.id,
+        viabilityScore: analysis.viability?.score
+      });
 
-        this.auditLogger.logSystem('business_analyzed', {
-          analysisId: analysis.id,
-          viabilityScore: analysis.viability?.score
-        });
-
-        return { success: true, analysis };
-      } catch (parseError) {
-        return { success: false, error: 'Failed to parse analysis', raw: result.content };
-      }
+      return { success: true, analysis };
     }
 
-    return { success: false, error: result.error };
+    return replyError(result);
   }
 
   /**
@@ -209,43 +254,38 @@ Create a comprehensive business plan as JSON:
 
 Return ONLY valid JSON.`;
 
-    const result = await this.ai.complete(prompt, 'reasoning', { format: 'json' });
+    const result = await this.ai.complete(prompt, 'reasoning', { schema: PLAN_SCHEMA });
 
-    if (result.success) {
-      try {
-        const plan = this._parseJSON(result.content);
-        if (!plan) throw new Error('Empty content');
+    const plan = replyData(result);
+    if (plan) {
+      plan.id = `plan-${Date.now()}`;
+      plan.analysisId = analysisId;
+      plan.status = 'draft';
+      plan.createdAt = new Date().toISOString();
 
-        plan.id = `plan-${Date.now()}`;
-        plan.analysisId = analysisId;
-        plan.status = 'draft';
-        plan.createdAt = new Date().toISOString();
+      // Save plan
+      const planPath = path.join(this.dataDir, `${plan.id}.json`);
+      fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
 
-        // Save plan
-        const planPath = path.join(this.dataDir, `${plan.id}.json`);
-        fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+      // Update analysis
+      analysis.planId = plan.id;
+      analysis.status = 'planned';
+      fs.writeFileSync(analysisPath, JSON.stringify(analysis, null, 2));
 
-        // Update analysis
-        analysis.planId = plan.id;
-        analysis.status = 'planned';
-        fs.writeFileSync(analysisPath, JSON.stringify(analysis, null, 2));
+      this.auditLogger.logSystem('business_plan_created', {
+        planId: plan.id,
+        phases: plan.phases?.length
+      });
 
-        this.auditLogger.logSystem('business_plan_created', {
-          planId: plan.id,
-          phases: plan.phases?.length
-        });
-
-        return { success: true, plan };
-      } catch (parseError) {
-        return { success: false, error: 'Failed to parse plan', raw: result.content };
-      }
+      return { success: true, plan };
     }
 
-    return { success: false, error: result.error };
+    return replyError(result);
   }
 
   /**
    * Extract actionable tasks from business plan
+   * Each task gets `dependsOn`: the ids of the tasks it waits for
    */
   async extractTasks(planId) {
     const planPath = path.join(this.dataDir, `${planId}.json`);
@@ -275,6 +315,9 @@ Return ONLY valid JSON.`;
       }
     }
 
+    // Dependencies come back as task (or phase) names; executePlan needs ids
+    resolveDependencies(tasks);
+
     // Save tasks
     const tasksPath = path.join(this.dataDir, `${planId}-tasks.json`);
     fs.writeFileSync(tasksPath, JSON.stringify(tasks, null, 2));
@@ -335,33 +378,28 @@ Return as JSON array:
 
 Return ONLY valid JSON array.`;
 
-    const result = await this.ai.complete(prompt, 'reasoning', { format: 'json' });
+    const result = await this.ai.complete(prompt, 'reasoning', { schema: IDEAS_SCHEMA });
 
-    if (result.success) {
-      try {
-        const ideas = this._parseJSON(result.content);
-        if (!ideas) throw new Error('Empty content');
+    const ideas = replyData(result);
+    if (ideas) {
 
-        // Save ideas
-        const ideasPath = path.join(this.dataDir, `ideas-${Date.now()}.json`);
-        fs.writeFileSync(ideasPath, JSON.stringify({
-          generatedAt: new Date().toISOString(),
-          criteria,
-          ideas
-        }, null, 2));
+      // Save ideas
+      const ideasPath = path.join(this.dataDir, `ideas-${Date.now()}.json`);
+      fs.writeFileSync(ideasPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        criteria,
+        ideas
+      }, null, 2));
 
-        this.auditLogger.logSystem('ideas_generated', {
-          count: ideas.length,
-          criteria
-        });
+      this.auditLogger.logSystem('ideas_generated', {
+        count: ideas.length,
+        criteria
+      });
 
-        return { success: true, ideas, count: ideas.length };
-      } catch (parseError) {
-        return { success: false, error: 'Failed to parse ideas', raw: result.content };
-      }
+      return { success: true, ideas, count: ideas.length };
     }
 
-    return { success: false, error: result.error };
+    return replyError(result);
   }
 
   /**
@@ -401,20 +439,14 @@ Return as JSON array sorted by total score (highest first):
 
 Return ONLY valid JSON array.`;
 
-    const result = await this.ai.complete(prompt, 'reasoning', { format: 'json' });
+    const result = await this.ai.complete(prompt, 'reasoning', { schema: RANKING_SCHEMA });
 
-    if (result.success) {
-      try {
-        const rankedIdeas = this._parseJSON(result.content);
-        if (!rankedIdeas) throw new Error('Empty content');
-
-        return { success: true, rankedIdeas };
-      } catch (parseError) {
-        return { success: false, error: 'Failed to parse ranking', raw: result.content };
-      }
+    const rankedIdeas = replyData(result);
+    if (rankedIdeas) {
+      return { success: true, rankedIdeas };
     }
 
-    return { success: false, error: result.error };
+    return replyError(result);
   }
 
   /**
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,7 +15,9 @@ export class BusinessTemplates {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/templates');
         this.ensureDataDir();
-        this.loadCustomTemplates();
+        this.store = getStateStore(config).collection('templates.custom');
+        this.customTemplates = {};
+        this.ready = this.loadCustomTemplates();
     }
 
     ensureDataDir() {
@@ -23,15 +26,19 @@ export class BusinessTemplates {
         }
     }
 
-    loadCustomTemplates() {
-        const customFile = path.join(this.dataDir, 'custom-templates.json');
-        if (fs.existsSync(customFile)) {
-            this.customTemplates = JSON.parse(fs.readFileSync(customFile, 'utf-8'));
-        } else {
-            this.customTemplates = {};
+    async loadCustomTemplates() {
+        try {
+            this.customTemplates = mergeRecords(await this.store.all(), this.customTemplates);
+        } catch (error) {
+            console.error('[BusinessTemplates] Failed to load custom templates:', error.message);
         }
     }
 
+    async init() {
+        await this.ready;
+        return this;
+    }
+
     /**
      * All built-in business templates
      */
@@ -338,8 +345,7 @@ export class BusinessTemplates {
             createdAt: new Date().toISOString()
         };
 
-        const customFile = path.join(this.dataDir, 'custom-templates.json');
-        fs.writeFileSync(customFile, JSON.stringify(this.customTemplates, null, 2));
+        this.store.persist(this.customTemplates);
 
         return this.customTemplates[templateId];
     }
@@ -416,6 +422,7 @@ export class BusinessTemplates {
      * Execute from orchestrator
      */
     async execute(task) {
+        await this.ready;
         switch (task.action) {
             case 'list':
                 return this.getAll();
@@ -10,12 +10,18 @@ import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+
+const EMPIRE_SCHEDULE = 'ceo.empire-cycle';
 import { Database } from '../core/database.js';
+import { Scheduler } from '../core/scheduler.js';
 import { ModelRouter } from '../core/model-router.js';
+import { ChatSessions } from '../core/chat-sessions.js';
 import { AuditLogger } from '../core/audit-logger.js';
 import { ApprovalFlow } from '../core/approval-flow.js';
+import { PolicyEngine } from '../core/policy-engine.js';
 import { EmailNotifier } from '../core/email-notifier.js';
 import { BusinessAnalyzer } from './business-analyzer.js';
+import { PlanExecutor } from './plan-executor.js';
 import { PortfolioManager } from '../core/portfolio-manager.js';
 import { Negotiator } from '../core/negotiator.js';
 import { OpportunityScanner } from '../expansion/opportunity-scanner.js';
@@ -125,14 +131,20 @@ export class CEOAgent {
     constructor(config = {}) {
         this.ai = config.aiProvider || config.modelRouter || new ModelRouter(config);
         this.auditLogger = config.auditLogger || new AuditLogger();
-        this.approvalFlow = config.approvalFlow;
+        this.approvalFlow = null;
+        this.setApprovalFlow(config.approvalFlow);
+        // Shared Scheduler for the empire loop; runEmpireLoop starts its own when none is set
+        this.scheduler = config.scheduler || null;
+        this.ownScheduler = false;
+        this.policyEngine = config.policyEngine || new PolicyEngine(config);
         this.emailNotifier = config.emailNotifier;
-        this.businessAnalyzer = new BusinessAnalyzer({ ...config, modelRouter: this.ai });
+        this.businessAnalyzer = new BusinessAnalyzer({ ...config, modelRouter: this.ai, auditLogger: this.auditLogger });
         this.db = config.db || new Database(config);
+        this.chatSessions = config.chatSessions || new ChatSessions({ db: this.db, modelRouter: this.ai });
 
         // Recursive Governance Modules
         this.selfEvaluator = new SelfEvaluator({ modelRouter: this.ai, auditLogger: this.auditLogger });
-        this.strategyManager = new StrategyManager();
+        this.strategyManager = new StrategyManager({ db: this.db });
         this.metaLearner = new MetaLearner({ modelRouter: this.ai, auditLogger: this.auditLogger });
 
         // Strategic Modules (ROI-1 to 5)
@@ -269,7 +281,7 @@ export class CEOAgent {
         this.webinar = new WebinarArchitect({ modelRouter: this.ai });
 
         // THE FINALE (ROI-96 to 100)
-        this.ppp = new PPPPricing();
+        this.ppp = new PPPPricing({ db: this.db });
         this.stories = new SuccessStoryGen({ modelRouter: this.ai });
         this.hunter = new PartnershipHunter({ modelRouter: this.ai });
         this.pm = new AutonomousPM({ ceo: this });
@@ -279,6 +291,10 @@ export class CEOAgent {
         this.ensureDataDir();
 
         this.activeBusiness = null;
+        // Plan tasks running at once; approval-gated tasks do not hold a slot while they wait
+        this.planConcurrency = config.planConcurrency || parseInt(process.env.CEO_PLAN_CONCURRENCY) || 3;
+        this.planRun = null;
+        this.planRerun = false;
         this.executionQueue = [];
         this.progressLog = [];
         this.latestHighlight = "Idle / Scouting the next big opportunity.";
@@ -286,26 +302,37 @@ export class CEOAgent {
 
     /**
      * Handle direct command from User/Admin (Chat Interface)
+     * @param {string} command
+     * @param {Object} options - { sessionId } to continue a stored conversation
+     * @returns {Promise<Object>} { reply, thoughts, ... }, or { success: false, error } for an unknown session
      */
-    async handleCommand(command) {
+    async handleCommand(command, options = {}) {
         console.log(`[CEOAgent] 🗣️ Received command: "${command}"`);
+        const sessionId = options.sessionId || null;
+        if (sessionId && !await this.chatSessions.getSession(sessionId)) {
+            return { success: false, error: `Chat session not found: ${sessionId}` };
+        }
 
         // 1. Basic status check (fast path)
         if (command.toLowerCase() === 'status') {
             const status = this.getStatus();
-            return {
+            return await this.recordChatTurn(sessionId, command, {
                 reply: `Current Status: ${status.status.toUpperCase()}\nActive Venture: ${status.activeBusiness?.idea || 'None'}\nPending Approvals: ${status.pendingApprovals}`,
                 thoughts: "Providing immediate status report as requested."
-            };
+            });
         }
 
         // 2. AI Processing
+        const history = sessionId ? this.chatSessions.formatContext(await this.chatSessions.buildContext(sessionId)) : '';
         const context = `
 You are the CEO Agent of King AI Studio.
 Current Status: ${this.activeBusiness ? 'Running Business: ' + this.activeBusiness.idea : 'Idle / Scouting'}
 Pending Approvals: ${this.getStatus().pendingApprovals}
 Recent Activity: ${this.progressLog.slice(-3).map(l => l.message).join(', ')}
-
+${history ? `
+Conversation so far (the user may refer back to it):
+${history}
+` : ''}
 The User (Chairman/Admin) has sent this command: "${command}"
 
 Instructions:
@@ -335,24 +362,57 @@ Return ONLY JSON:
                 // Log the interaction
                 this.logProgress(`User Command: ${command} -> Intent: ${parsed.intent}`, 'chat');
 
-                return parsed;
+                return await this.recordChatTurn(sessionId, command, parsed);
             } else {
-                return {
+                return await this.recordChatTurn(sessionId, command, {
                     reply: "I am having trouble connecting to my neural core. Please try again.",
                     thoughts: "AI Connection Failed: " + result.error
-                };
+                });
             }
         } catch (e) {
             console.error("Command handling error:", e);
             return {
                 reply: "An internal error occurred while processing your command.",
-                thoughts: e.message
+                thoughts: e.message,
+                sessionId
             };
         }
     }
 
+    /**
+     * Store a command and its response in the chat session, if there is one
+     */
+    async recordChatTurn(sessionId, command, response) {
+        if (!sessionId) return response;
+
+        await this.chatSessions.addMessage(sessionId, 'user', command);
+        await this.chatSessions.addMessage(sessionId, 'assistant', response.reply || '', {
+            thoughts: response.thoughts || null,
+            intent: response.intent || null,
+            suggestedAction: response.suggestedAction || null
+        });
+        return { ...response, sessionId };
+    }
+
     async init() {
         await this.db.init();
+        await this.strategyManager.init();
+        // Pick up a plan that was mid-run when the process stopped
+        if (!this.activeBusiness) this.loadState();
+    }
+
+    /**
+     * Use a (shared) ApprovalFlow; plan tasks waiting on its approvals resume when they resolve
+     */
+    setApprovalFlow(approvalFlow) {
+        if (this.approvalFlow === approvalFlow) return;
+        this.approvalFlow?.off?.('resolved', this.onApprovalResolved);
+        this.approvalFlow = approvalFlow || null;
+
+        this.onApprovalResolved = this.onApprovalResolved || ((event) => {
+            this.handleApprovalResolved(event).catch(error => console.error('[CEOAgent] Plan resume failed:', error.message));
+        });
+        this.approvalFlow?.on?.('resolved', this.onApprovalResolved);
     }
 
     ensureDataDir() {
@@ -406,13 +466,14 @@ Return ONLY JSON:
         if (this.approvalFlow) {
             return this.approvalFlow.submit({
                 ...decision,
+                id: decision.taskId,
                 module: 'ceo',
                 automated: true // Allow re-submitting to orchestrator
             });
         }
 
         const request = {
-            id: `approval-${Date.now()}`,
+            id: `approval-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
             type: decision.type, // 'legal' or 'financial'
             title: decision.title,
             description: decision.description,
@@ -421,9 +482,14 @@ Return ONLY JSON:
             alternatives: decision.alternatives || [],
             recommendation: decision.recommendation,
             urgency: decision.urgency || 'normal',
+            taskId: decision.taskId,
             requestedAt: new Date().toISOString(),
             status: 'pending'
         };
+        // Without ApprovalFlow there is no scheduler; the deadline is applied when the file is next read
+        const policy = this.policyEngine.approvalPolicyFor(decision);
+        request.deadlineAt = decision.deadlineAt || new Date(Date.now() + policy.deadlineMs).toISOString();
+        request.onExpiry = policy.onExpiry;
 
         await this.logProgress(
             `🔒 APPROVAL REQUIRED: ${request.title}\n` +
@@ -450,24 +516,19 @@ Return ONLY JSON:
      * Check if a task requires approval
      */
     requiresApproval(task) {
-        const legalKeywords = ['legal', 'contract', 'agreement', 'license', 'trademark', 'copyright', 'lawsuit', 'attorney', 'register', 'incorporation', 'llc', 'corporation'];
-        const financialKeywords = ['payment', 'transfer', 'bank', 'invoice', 'subscription', 'purchase', 'buy', 'spend', 'invest', 'loan', 'credit'];
-
-        const taskText = `${task.name} ${task.description}`.toLowerCase();
-
-        for (const keyword of legalKeywords) {
-            if (taskText.includes(keyword)) {
-                return { required: true, type: 'legal', reason: `Contains legal keyword: ${keyword}` };
-            }
-        }
-
-        for (const keyword of financialKeywords) {
-            if (taskText.includes(keyword)) {
-                return { required: true, type: 'financial', reason: `Contains financial keyword: ${keyword}` };
-            }
-        }
+        const evaluation = this.policyEngine.evaluate({
+            ...task,
+            module: task.module || 'ceo',
+            businessId: task.businessId || this.activeBusiness?.id
+        });
+        if (!evaluation.requiresApproval) return { required: false, reason: evaluation.reason };
 
-        return { required: false };
+        return {
+            required: true,
+            type: evaluation.riskType || task.category || 'legal',
+            reason: evaluation.reason,
+            ruleId: evaluation.ruleId
+        };
     }
 
     /**
@@ -554,85 +615,201 @@ Return ONLY JSON:
     }
 
     /**
-     * Execute the business plan
+     * Execute the business plan as a dependency graph
+     * Tasks run once everything in their `dependsOn` has completed, up to
+     * planConcurrency at a time. A task needing approval waits without blocking
+     * unrelated work, and the plan resumes by itself when the approval lands.
+     * Progress is saved after every task, so after a restart this carries on
+     * where the last run stopped.
+     * @param {Object} [options] - { resume: true } when continuing after an approval or manual task
      */
-    async executePlan() {
+    async executePlan(options = {}) {
         if (!this.activeBusiness) {
             return { success: false, error: 'No active business. Run startBusiness() first.' };
         }
 
+        // One run at a time; anything that becomes runnable meanwhile gets a follow-up pass
+        if (this.planRun) {
+            this.planRerun = true;
+            return this.planRun;
+        }
+        this.planRun = (async () => {
+            let result;
+            let runOptions = options;
+            do {
+                this.planRerun = false;
+                result = await this.runPlan(runOptions);
+                runOptions = { resume: true };
+            } while (this.planRerun);
+            return result;
+        })();
+
+        try {
+            return await this.planRun;
+        } finally {
+            this.planRun = null;
+        }
+    }
+
+    async runPlan(options = {}) {
+        const tasks = this.activeBusiness.tasks || [];
+        await this.syncPlanApprovals(tasks, options);
+
         await this.logProgress(
-            `⚡ Beginning execution of business plan\n` +
+            `${options.resume ? '▶️ Resuming' : '⚡ Beginning'} execution of business plan\n` +
             `   Business: ${this.activeBusiness.idea}\n` +
-            `   Tasks: ${this.activeBusiness.tasks.length}`,
+            `   Tasks: ${tasks.length} (${tasks.filter(t => t.status === 'completed').length} done)`,
             'start',
+            !options.resume
+        );
+
+        const executor = new PlanExecutor({
+            concurrency: this.planConcurrency,
+            runTask: (task) => this.runPlanTask(task),
+            onChange: () => this.saveState()
+        });
+        await executor.run(tasks);
+
+        const count = (status) => tasks.filter(t => t.status === status).length;
+        const summary = {
+            completed: count('completed'),
+            failed: count('failed'),
+            pendingApproval: count('awaiting_approval'),
+            manual: count('manual_required'),
+            blocked: count('blocked') + count('rejected'),
+            deferred: count('deferred'),
+            waiting: count('pending') + count('approved')
+        };
+        if (summary.completed === tasks.length) this.activeBusiness.status = 'completed';
+        await this.saveState();
+
+        await this.logProgress(
+            `📈 Execution Progress:\n` +
+            `   Completed: ${summary.completed}\n` +
+            `   Pending Approval: ${summary.pendingApproval}\n` +
+            `   Manual: ${summary.manual}\n` +
+            `   Failed/Blocked: ${summary.failed + summary.blocked}`,
+            'milestone',
             true
         );
 
-        const results = [];
-        let completedCount = 0;
-        let pendingApprovalCount = 0;
+        return {
+            success: true,
+            results: tasks.map(task => ({ task: task.name, status: task.status })),
+            summary
+        };
+    }
 
-        for (const task of this.activeBusiness.tasks) {
-            // Check if task requires approval
+    /**
+     * Run one plan task: ask for approval if it needs it, hand it to a human if
+     * it is not automated, otherwise execute it
+     */
+    async runPlanTask(task) {
+        if (task.approvalStatus !== 'approved') {
             const approvalCheck = this.requiresApproval(task);
-
             if (approvalCheck.required || task.requiresApproval) {
-                // Request approval and pause
-                await this.requestApproval({
+                const request = await this.requestApproval({
                     type: approvalCheck.type || 'legal',
                     title: task.name,
                     description: task.description,
                     impact: `Part of phase: ${task.phase}`,
-                    recommendation: 'Please review and approve to continue'
+                    recommendation: 'Please review and approve to continue',
+                    taskId: task.id,
+                    businessId: this.activeBusiness?.id
                 });
 
-                pendingApprovalCount++;
-                task.status = 'awaiting_approval';
-                results.push({ task: task.name, status: 'awaiting_approval' });
-                continue;
+                // ApprovalFlow may clear it by policy straight away
+                if (!request.approved) {
+                    task.status = 'awaiting_approval';
+                    task.approvalId = request.approvalId || request.id;
+                    await this.logProgress(`⏸️ Waiting for approval: ${task.name}`, 'info');
+                    return;
+                }
             }
+        }
 
-            // Execute automated task
-            if (task.automated) {
-                this.latestHighlight = `Executing task: ${task.name}...`;
-                await this.logProgress(`🛠️ Executing: ${task.name}`, 'progress');
+        if (!task.automated) {
+            await this.logProgress(`📌 Manual task identified: ${task.name}`, 'info');
+            task.status = 'manual_required';
+            return;
+        }
 
-                // Simulate or actually execute the task
-                const execResult = await this.executeTask(task);
-                task.status = execResult.success ? 'completed' : 'failed';
-                task.result = execResult;
-                completedCount++;
+        this.latestHighlight = `Executing task: ${task.name}...`;
+        await this.logProgress(`🛠️ Executing: ${task.name}`, 'progress');
+        const execResult = await this.executeTask(task);
+        task.status = execResult.success ? 'completed' : 'failed';
+        task.result = execResult;
+    }
 
-                results.push({ task: task.name, status: task.status });
-            } else {
-                await this.logProgress(`📌 Manual task identified: ${task.name}`, 'info');
-                task.status = 'manual_required';
-                results.push({ task: task.name, status: 'manual_required' });
+    /**
+     * Bring saved task states up to date before a run: tasks cut off by a
+     * restart run again, and approvals decided while nobody was listening apply
+     * @param {Object} options - deferred approvals are asked for again unless resuming
+     */
+    async syncPlanApprovals(tasks, options = {}) {
+        for (const task of tasks) {
+            if (task.status === 'running') task.status = 'pending';
+
+            if (task.status === 'awaiting_approval' && task.approvalId) {
+                const status = await this.lookupApprovalStatus(task.approvalId);
+                if (status && status !== 'pending') this.applyApprovalStatus(task, status);
+            }
+
+            if (task.status === 'deferred' && !options.resume) {
+                task.status = 'pending';
+                delete task.approvalId;
+                delete task.approvalStatus;
             }
         }
+    }
 
-        // Save state
-        this.saveState();
+    async lookupApprovalStatus(approvalId) {
+        if (this.approvalFlow) {
+            const approval = await (this.approvalFlow.db || this.db).getApproval(approvalId);
+            return approval?.status || null;
+        }
+        return this.loadFileApprovals().find(a => a.id === approvalId)?.status || null;
+    }
 
-        await this.logProgress(
-            `📈 Execution Progress:\n` +
-            `   Completed: ${completedCount}\n` +
-            `   Pending Approval: ${pendingApprovalCount}\n` +
-            `   Manual: ${results.filter(r => r.status === 'manual_required').length}`,
-            'milestone',
-            true
-        );
+    applyApprovalStatus(task, status) {
+        task.approvalStatus = status;
+        task.status = status === 'approved' ? 'approved' : status === 'deferred' ? 'deferred' : 'rejected';
+    }
 
-        return {
-            success: true,
-            results,
-            summary: {
-                completed: completedCount,
-                pendingApproval: pendingApprovalCount,
-                manual: results.filter(r => r.status === 'manual_required').length
-            }
-        };
+    /**
+     * An approval was decided or expired; continue the plan if one of its tasks was waiting on it
+     * @param {Object} event - { approvalId, status }
+     */
+    async handleApprovalResolved({ approvalId, status }) {
+        const task = this.activeBusiness?.tasks?.find(t => t.approvalId === approvalId);
+        if (!task || task.status !== 'awaiting_approval') return null;
+
+        this.applyApprovalStatus(task, status);
+        await this.logProgress(`🔓 Approval ${status} for task: ${task.name}`, 'approval');
+        await this.saveState();
+
+        // A deferred task is asked about again on the next full run
+        if (task.status === 'deferred') return null;
+        return this.executePlan({ resume: true });
+    }
+
+    /**
+     * Mark a manual task as done by a human so its dependents can run
+     */
+    async completeManualTask(taskId, notes = '') {
+        const task = this.activeBusiness?.tasks?.find(t => t.id === taskId);
+        if (!task) return { success: false, error: 'Task not found' };
+        if (task.status !== 'manual_required') {
+            return { success: false, error: `Task is ${task.status}, not waiting on manual work` };
+        }
+
+        task.status = 'completed';
+        task.completedAt = new Date().toISOString();
+        task.notes = notes;
+        await this.logProgress(`✅ Manual task done: ${task.name}`, 'progress');
+        await this.saveState();
+
+        return { success: true, task, plan: await this.executePlan({ resume: true }) };
     }
 
     /**
@@ -662,7 +839,7 @@ Return a JSON object with:
   "estimatedEffort": "low/medium/high"
 }`;
 
-        const initialResult = await this.ai.complete(prompt, 'reasoning', { format: 'json' });
+        const initialResult = await this.ai.complete(prompt, 'reasoning', { format: 'json', businessId: task.businessId || this.activeBusiness?.id });
 
         if (!initialResult.success) {
             return { success: false, error: initialResult.error };
@@ -736,12 +913,7 @@ Return a JSON object with:
      * Get current status
      */
     getStatus() {
-        const approvalsPath = path.join(this.dataDir, 'pending-approvals.json');
-        let pendingApprovals = [];
-        if (fs.existsSync(approvalsPath)) {
-            pendingApprovals = JSON.parse(fs.readFileSync(approvalsPath, 'utf-8'))
-                .filter(a => a.status === 'pending');
-        }
+        const pendingApprovals = this.loadFileApprovals().filter(a => a.status === 'pending');
 
         return {
             activeBusiness: this.activeBusiness,
@@ -752,6 +924,26 @@ Return a JSON object with:
         };
     }
 
+    /**
+     * Read pending-approvals.json, closing requests whose deadline has passed
+     * @param {Date} [now]
+     */
+    loadFileApprovals(now = new Date()) {
+        const approvalsPath = path.join(this.dataDir, 'pending-approvals.json');
+        if (!fs.existsSync(approvalsPath)) return [];
+
+        const approvals = JSON.parse(fs.readFileSync(approvalsPath, 'utf-8'));
+        const expired = approvals.filter(a => a.status === 'pending' && a.deadlineAt && new Date(a.deadlineAt) <= now);
+        for (const approval of expired) {
+            approval.status = approval.onExpiry === 'defer' ? 'deferred' : 'rejected';
+            approval.expiredAt = now.toISOString();
+            this.auditLogger.logApproval(approval.id, false, 'system', `No decision by ${approval.deadlineAt}; ${approval.status}`, { expired: true });
+        }
+        if (expired.length > 0) fs.writeFileSync(approvalsPath, JSON.stringify(approvals, null, 2));
+
+        return approvals;
+    }
+
     /**
      * Approve a pending decision
      */
@@ -761,12 +953,15 @@ Return a JSON object with:
             return { success: false, error: 'No pending approvals' };
         }
 
-        const approvals = JSON.parse(fs.readFileSync(approvalsPath, 'utf-8'));
+        const approvals = this.loadFileApprovals();
         const approval = approvals.find(a => a.id === approvalId);
 
         if (!approval) {
             return { success: false, error: 'Approval not found' };
         }
+        if (approval.expiredAt) {
+            return { success: false, error: `Approval expired at ${approval.deadlineAt} and was ${approval.status}` };
+        }
 
         approval.status = 'approved';
         approval.approvedAt = new Date().toISOString();
@@ -775,6 +970,8 @@ Return a JSON object with:
         fs.writeFileSync(approvalsPath, JSON.stringify(approvals, null, 2));
 
         this.logProgress(`✅ Approved: ${approval.title}`, 'approval', true);
+        this.handleApprovalResolved({ approvalId, status: 'approved' })
+            .catch(error => console.error('[CEOAgent] Plan resume failed:', error.message));
 
         return { success: true, approval };
     }
@@ -788,12 +985,15 @@ Return a JSON object with:
             return { success: false, error: 'No pending approvals' };
         }
 
-        const approvals = JSON.parse(fs.readFileSync(approvalsPath, 'utf-8'));
+        const approvals = this.loadFileApprovals();
         const approval = approvals.find(a => a.id === approvalId);
 
         if (!approval) {
             return { success: false, error: 'Approval not found' };
         }
+        if (approval.expiredAt) {
+            return { success: false, error: `Approval expired at ${approval.deadlineAt} and was ${approval.status}` };
+        }
 
         approval.status = 'rejected';
         approval.rejectedAt = new Date().toISOString();
@@ -802,33 +1002,51 @@ Return a JSON object with:
         fs.writeFileSync(approvalsPath, JSON.stringify(approvals, null, 2));
 
         this.logProgress(`❌ Rejected: ${approval.title} - ${reason}`, 'rejection', true);
+        this.handleApprovalResolved({ approvalId, status: 'rejected' })
+            .catch(error => console.error('[CEOAgent] Plan resume failed:', error.message));
 
         return { success: true, approval };
     }
 
     /**
-     * Run the autonomous empire loop
-     * Continuously generates ideas, picks the best, and starts businesses
-     * @param {object} config - Empire loop configuration
+     * Run the autonomous empire loop on the Scheduler: each cycle generates
+     * ideas, picks the best and starts a business. Returns once the cycle is
+     * scheduled; a cycle still running when the next one is due is skipped.
+     * Without a shared Scheduler the agent starts one of its own.
+     * @param {object} config - { cron (default EMPIRE_CRON, else daily at 09:00), timezone,
+     *   ideasPerCycle, maxConcurrentBusinesses, criteria }
      */
     async runEmpireLoop(config = {}) {
-        const loopInterval = config.loopInterval || 24 * 60 * 60 * 1000; // Default: 24 hours
+        const cron = config.cron || process.env.EMPIRE_CRON || '0 9 * * *';
         const ideasPerCycle = config.ideasPerCycle || 5;
         const maxConcurrentBusinesses = config.maxConcurrentBusinesses || 3;
-        const criteria = config.criteria || {};
+
+        if (!this.scheduler) {
+            this.scheduler = new Scheduler({ db: this.db, timezone: config.timezone });
+            this.ownScheduler = true;
+        }
+        this.scheduler.register(EMPIRE_SCHEDULE, {
+            cron,
+            timezone: config.timezone,
+            catchUp: 'skip',
+            description: 'Empire cycle: generate ideas and start the best business',
+            handler: async () => {
+                if (!this.empireState?.isRunning) return { skipped: 'Empire loop stopped' };
+                const result = await this.runEmpireCycle(config);
+                if (result.success === false) throw new Error(result.error);
+                return result;
+            }
+        });
 
         await this.logProgress(
             '🏛️ EMPIRE MODE ACTIVATED\n' +
             `   Ideas per cycle: ${ideasPerCycle}\n` +
             `   Max concurrent: ${maxConcurrentBusinesses}\n` +
-            `   Loop interval: ${loopInterval / 1000 / 60} minutes`,
+            `   Schedule: ${cron}`,
             'empire_start',
             true
         );
 
-        let cycleCount = 0;
-        let isRunning = true;
-
         // Store empire state
         this.empireState = {
             isRunning: true,
@@ -838,109 +1056,108 @@ Return a JSON object with:
             config
         };
         this.saveEmpireState();
+        if (this.ownScheduler) this.scheduler.start();
 
-        while (isRunning && this.empireState.isRunning) {
-            cycleCount++;
-            await this.logProgress(`🔄 Empire Cycle ${cycleCount} starting...`, 'empire_cycle');
+        return { success: true, message: 'Empire loop scheduled', schedule: EMPIRE_SCHEDULE, cron };
+    }
 
-            try {
-                // Step 1: Generate ideas
-                this.latestHighlight = "Scanning market for high-ROI opportunities...";
-                await this.logProgress('💡 Generating business ideas...', 'progress');
-                const ideasResult = await this.businessAnalyzer.generateIdeas(ideasPerCycle, criteria);
-
-                if (!ideasResult.success) {
-                    await this.logProgress(`❌ Idea generation failed: ${ideasResult.error}`, 'error');
-                    await this.sleep(loopInterval);
-                    continue;
-                }
+    /**
+     * One empire cycle: generate ideas, rank them and start the top one
+     * @returns {Promise<{success?: boolean, error?: string, skipped?: string, business?: string}>}
+     */
+    async runEmpireCycle(config = {}) {
+        const ideasPerCycle = config.ideasPerCycle || 5;
+        const maxConcurrentBusinesses = config.maxConcurrentBusinesses || 3;
+        const criteria = config.criteria || {};
+        const cycleCount = ++this.empireState.cycleCount;
+        await this.logProgress(`🔄 Empire Cycle ${cycleCount} starting...`, 'empire_cycle');
 
-                await this.logProgress(`✅ Generated ${ideasResult.count} ideas`, 'milestone');
+        try {
+            // Step 1: Generate ideas
+            this.latestHighlight = "Scanning market for high-ROI opportunities...";
+            await this.logProgress('💡 Generating business ideas...', 'progress');
+            const ideasResult = await this.businessAnalyzer.generateIdeas(ideasPerCycle, criteria);
+
+            if (!ideasResult.success) {
+                await this.logProgress(`❌ Idea generation failed: ${ideasResult.error}`, 'error');
+                return { success: false, error: `Idea generation failed: ${ideasResult.error}` };
+            }
 
-                // Step 2: Rank ideas
-                this.latestHighlight = `Ranking ${ideasResult.ideas.length} potential ventures...`;
-                await this.logProgress('📊 Ranking ideas...', 'progress');
-                const rankResult = await this.businessAnalyzer.rankIdeas(ideasResult.ideas);
+            await this.logProgress(`✅ Generated ${ideasResult.count} ideas`, 'milestone');
 
-                if (!rankResult.success) {
-                    await this.logProgress(`❌ Ranking failed: ${rankResult.error}`, 'error');
-                    await this.sleep(loopInterval);
-                    continue;
-                }
+            // Step 2: Rank ideas
+            this.latestHighlight = `Ranking ${ideasResult.ideas.length} potential ventures...`;
+            await this.logProgress('📊 Ranking ideas...', 'progress');
+            const rankResult = await this.businessAnalyzer.rankIdeas(ideasResult.ideas);
 
-                if (!rankResult.rankedIdeas || rankResult.rankedIdeas.length === 0) {
-                    await this.logProgress('⚠️ No ranked ideas returned by AI. Retrying next cycle.', 'warning');
-                    await this.sleep(loopInterval);
-                    continue;
-                }
+            if (!rankResult.success) {
+                await this.logProgress(`❌ Ranking failed: ${rankResult.error}`, 'error');
+                return { success: false, error: `Ranking failed: ${rankResult.error}` };
+            }
 
-                // Step 3: Pick the top idea
-                const topIdea = rankResult.rankedIdeas[0];
-                if (!topIdea || !topIdea.name) {
-                    await this.logProgress('❌ Top idea is malformed or missing name. Skipping...', 'error');
-                    await this.sleep(loopInterval);
-                    continue;
-                }
+            if (!rankResult.rankedIdeas || rankResult.rankedIdeas.length === 0) {
+                await this.logProgress('⚠️ No ranked ideas returned by AI. Retrying next cycle.', 'warning');
+                return { skipped: 'No ranked ideas returned' };
+            }
 
+            // Step 3: Pick the top idea
+            const topIdea = rankResult.rankedIdeas[0];
+            if (!topIdea || !topIdea.name) {
+                await this.logProgress('❌ Top idea is malformed or missing name. Skipping...', 'error');
+                return { success: false, error: 'Top idea is malformed or missing a name' };
+            }
+
+            await this.logProgress(
+                `🎯 Top Idea Selected:\n` +
+                `   Name: ${topIdea.name}\n` +
+                `   Score: ${topIdea.scores?.total || 'N/A'}/50\n` +
+                `   Recommendation: ${topIdea.recommendation || 'No recommendation'}`,
+                'milestone',
+                true
+            );
+
+            // Step 4: Check if we can start another business
+            const activeCount = this.getActiveBusinessCount();
+            if (activeCount >= maxConcurrentBusinesses) {
                 await this.logProgress(
-                    `🎯 Top Idea Selected:\n` +
-                    `   Name: ${topIdea.name}\n` +
-                    `   Score: ${topIdea.scores?.total || 'N/A'}/50\n` +
-                    `   Recommendation: ${topIdea.recommendation || 'No recommendation'}`,
-                    'milestone',
-                    true
+                    `⏸️ Max concurrent businesses reached (${activeCount}/${maxConcurrentBusinesses}). Waiting...`,
+                    'info'
                 );
+                return { skipped: `Max concurrent businesses reached (${activeCount}/${maxConcurrentBusinesses})` };
+            }
 
-                // Step 4: Check if we can start another business
-                const activeCount = this.getActiveBusinessCount();
-                if (activeCount >= maxConcurrentBusinesses) {
-                    await this.logProgress(
-                        `⏸️ Max concurrent businesses reached (${activeCount}/${maxConcurrentBusinesses}). Waiting...`,
-                        'info'
-                    );
-                    await this.sleep(loopInterval);
-                    continue;
-                }
-
-                // Step 5: Start the business
-                await this.logProgress(`🚀 Starting business: ${topIdea.name}`, 'start', true);
-                const startResult = await this.startBusiness({
-                    description: `${topIdea.name}: ${topIdea.description || topIdea.recommendation}`,
-                    industry: topIdea.industry,
-                    targetMarket: topIdea.targetMarket,
-                    budget: topIdea.estimatedStartupCost
-                });
-
-                if (startResult.success) {
-                    this.empireState.businessesStarted.push({
-                        id: startResult.business.id,
-                        name: topIdea.name,
-                        startedAt: new Date().toISOString()
-                    });
-                    this.empireState.cycleCount = cycleCount;
-                    this.saveEmpireState();
-
-                    await this.logProgress(
-                        `✅ Business "${topIdea.name}" initialized!\n` +
-                        `   Now running: ${activeCount + 1}/${maxConcurrentBusinesses}`,
-                        'milestone',
-                        true
-                    );
-
-                    // Execute the plan
-                    await this.executePlan();
-                }
+            // Step 5: Start the business
+            await this.logProgress(`🚀 Starting business: ${topIdea.name}`, 'start', true);
+            const startResult = await this.startBusiness({
+                description: `${topIdea.name}: ${topIdea.description || topIdea.recommendation}`,
+                industry: topIdea.industry,
+                targetMarket: topIdea.targetMarket,
+                budget: topIdea.estimatedStartupCost
+            });
+            if (!startResult.success) return { success: false, error: startResult.error };
 
-            } catch (error) {
-                await this.logProgress(`❌ Empire cycle error: ${error.message}`, 'error', true);
-            }
+            this.empireState.businessesStarted.push({
+                id: startResult.business.id,
+                name: topIdea.name,
+                startedAt: new Date().toISOString()
+            });
 
-            // Wait for next cycle
-            await this.logProgress(`💤 Next cycle in ${loopInterval / 1000 / 60} minutes...`, 'info');
-            await this.sleep(loopInterval);
+            await this.logProgress(
+                `✅ Business "${topIdea.name}" initialized!\n` +
+                `   Now running: ${activeCount + 1}/${maxConcurrentBusinesses}`,
+                'milestone',
+                true
+            );
+
+            // Execute the plan
+            await this.executePlan();
+            return { success: true, business: startResult.business.id };
+        } catch (error) {
+            await this.logProgress(`❌ Empire cycle error: ${error.message}`, 'error', true);
+            return { success: false, error: error.message };
+        } finally {
+            this.saveEmpireState();
         }
-
-        return { success: true, message: 'Empire loop stopped', cycleCount };
     }
 
     /**
@@ -951,6 +1168,8 @@ Return a JSON object with:
             this.empireState.isRunning = false;
             this.saveEmpireState();
         }
+        this.scheduler?.unregister(EMPIRE_SCHEDULE);
+        if (this.ownScheduler) this.scheduler.stop();
         this.logProgress('🛑 Empire loop stopped', 'empire_stop', true);
     }
 
@@ -975,28 +1194,19 @@ Return a JSON object with:
     }
 
     /**
-     * Save empire state
+     * Save empire state (empire_state table, key empire_config)
      */
     saveEmpireState() {
-        const empirePath = path.join(this.dataDir, 'empire-state.json');
-        fs.writeFileSync(empirePath, JSON.stringify(this.empireState, null, 2));
+        return this.db.setEmpireState('empire_config', this.empireState)
+            .catch(error => console.error('[CEOAgent] Failed to save empire state:', error.message));
     }
 
     /**
      * Load empire state
      */
-    loadEmpireState() {
-        const empirePath = path.join(this.dataDir, 'empire-state.json');
-        if (fs.existsSync(empirePath)) {
-            this.empireState = JSON.parse(fs.readFileSync(empirePath, 'utf-8'));
-        }
-    }
-
-    /**
-     * Sleep helper
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async loadEmpireState() {
+        const state = await this.db.getEmpireState('empire_config');
+        if (state) this.empireState = state;
     }
 
     /**
@@ -1040,6 +1250,8 @@ Return a JSON object with:
                 return this.approveDecision(task.data.id, task.data.notes);
             case 'reject':
                 return this.rejectDecision(task.data.id, task.data.reason);
+            case 'complete_task':
+                return this.completeManualTask(task.data.id, task.data.notes);
             case 'progress':
                 return this.progressLog.slice(-(task.data?.limit || 20));
             case 'empire':
@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { ModelRouter } from '../core/model-router.js';
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,7 +26,14 @@ export class ContentQueue {
             platforms: config.platforms || ['twitter', 'linkedin', 'instagram', 'facebook']
         };
 
-        this.loadQueues();
+        // Recurring work run by the Orchestrator's scheduler once registered
+        this.schedules = [
+            { name: 'content-queue.clear-old', cron: '0 3 * * *', action: 'clear_old', data: { maxAgeDays: 7 }, description: 'Drop queued content older than a week' }
+        ];
+
+        this.store = getStateStore(config).collection('content-queue'); // one record per platform
+        this.queues = Object.fromEntries(this.config.platforms.map(platform => [platform, []]));
+        this.ready = this.loadQueues();
     }
 
     ensureDataDir() {
@@ -34,22 +42,25 @@ export class ContentQueue {
         }
     }
 
-    loadQueues() {
-        this.queues = {};
-
-        for (const platform of this.config.platforms) {
-            const queueFile = path.join(this.dataDir, `${platform}-queue.json`);
-            if (fs.existsSync(queueFile)) {
-                this.queues[platform] = JSON.parse(fs.readFileSync(queueFile, 'utf-8'));
-            } else {
-                this.queues[platform] = [];
+    async loadQueues() {
+        try {
+            const stored = await this.store.all();
+            for (const [platform, items] of Object.entries(stored)) {
+                this.queues[platform] = mergeRecords(items, this.queues[platform] || []);
             }
+        } catch (error) {
+            console.error('[ContentQueue] Failed to load queues:', error.message);
         }
     }
 
+    async init() {
+        await this.ready;
+        return this;
+    }
+
     saveQueue(platform) {
-        const queueFile = path.join(this.dataDir, `${platform}-queue.json`);
-        fs.writeFileSync(queueFile, JSON.stringify(this.queues[platform], null, 2));
+        // Only the platforms whose queue changed are rewritten
+        return this.store.persist(this.queues);
     }
 
     /**
@@ -225,6 +236,7 @@ Return as JSON array: [{"text": "post text", "cta": "call to action"}]`
      * Execute from orchestrator
      */
     async execute(task) {
+        await this.ready;
         switch (task.action) {
             case 'add':
                 return this.add(task.data.platform, task.data.content);
@@ -4,3 +4,4 @@
 
 export { BusinessAnalyzer } from './business-analyzer.js';
 export { CEOAgent } from './ceo-agent.js';
+export { PlanExecutor } from './plan-executor.js';
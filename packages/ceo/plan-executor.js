@@ -0,0 +1,165 @@
+/**
+ * Plan Executor - Runs a business plan's tasks as a dependency graph
+ * Each task lists the ids it waits for in `dependsOn`. Tasks whose
+ * dependencies are all completed run concurrently (up to `concurrency`);
+ * a failed or rejected task blocks everything downstream of it, and tasks
+ * waiting on an approval or a human simply hold their dependents back until
+ * the caller changes their status and runs the plan again. Blocks are not
+ * final: once the blocking task is retried (back to pending) or approved,
+ * the next run reopens everything that was blocked behind it.
+ */
+
+/** Statuses that let a task start: never run, or cleared by a human */
+export const RUNNABLE_STATUSES = ['pending', 'approved'];
+
+/** Statuses that stop every task depending on it */
+export const BLOCKING_STATUSES = ['failed', 'rejected', 'blocked'];
+
+/**
+ * Turn the plan's dependency names into task ids. Names are matched
+ * case-insensitively against task names, then phase names (all of that
+ * phase's tasks), then ids.
+ * @returns {Array<Object>} the same tasks with `dependsOn` (and `unresolvedDependencies` when a name matched nothing)
+ */
+export function resolveDependencies(tasks) {
+    const key = value => String(value).trim().toLowerCase();
+    const byName = new Map();
+    const byPhase = new Map();
+    for (const task of tasks) {
+        if (task.name && !byName.has(key(task.name))) byName.set(key(task.name), task.id);
+        if (task.phase) byPhase.set(key(task.phase), [...(byPhase.get(key(task.phase)) || []), task.id]);
+    }
+    const ids = new Set(tasks.map(t => t.id));
+
+    for (const task of tasks) {
+        const dependsOn = new Set();
+        const unresolved = [];
+        for (const dependency of task.dependencies || []) {
+            const name = key(dependency);
+            const matches = byName.has(name) ? [byName.get(name)] : byPhase.get(name) || (ids.has(dependency) ? [dependency] : []);
+            if (matches.length === 0) unresolved.push(dependency);
+            for (const id of matches) if (id !== task.id) dependsOn.add(id);
+        }
+        task.dependsOn = [...dependsOn];
+        if (unresolved.length > 0) task.unresolvedDependencies = unresolved;
+    }
+    return tasks;
+}
+
+/**
+ * Ids of tasks that can never run because they sit on (or behind) a dependency cycle
+ */
+export function findCycles(tasks) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    const remaining = new Map(tasks.map(t => [t.id, (t.dependsOn || []).filter(id => byId.has(id)).length]));
+    const dependents = new Map();
+    for (const task of tasks) {
+        for (const id of task.dependsOn || []) {
+            if (byId.has(id)) dependents.set(id, [...(dependents.get(id) || []), task.id]);
+        }
+    }
+
+    const queue = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        remaining.delete(id);
+        for (const dependent of dependents.get(id) || []) {
+            remaining.set(dependent, remaining.get(dependent) - 1);
+            if (remaining.get(dependent) === 0) queue.push(dependent);
+        }
+    }
+    return [...remaining.keys()];
+}
+
+export class PlanExecutor {
+    /**
+     * @param {Object} config
+     * @param {Function} config.runTask - async (task) => void; must leave the task in its next status
+     * @param {Function} [config.onChange] - async (task) => void after every status change (persist here)
+     * @param {number} [config.concurrency] - tasks running at once (default 3)
+     */
+    constructor(config = {}) {
+        this.runTask = config.runTask;
+        this.onChange = config.onChange || (async () => { });
+        this.concurrency = Math.max(1, config.concurrency || 3);
+    }
+
+    /**
+     * Run every task that can run, then return once the rest are finished or waiting
+     * @returns {Promise<Array<Object>>} the tasks, in their original order
+     */
+    async run(tasks) {
+        const byId = new Map(tasks.map(t => [t.id, t]));
+        const running = new Map();
+
+        for (const id of findCycles(tasks)) {
+            const task = byId.get(id);
+            if (!RUNNABLE_STATUSES.includes(task.status || 'pending')) continue;
+            await this.setStatus(task, 'blocked', { error: 'Dependency cycle' });
+        }
+
+        for (;;) {
+            await this.propagateBlocks(tasks, byId);
+
+            const ready = tasks.filter(t => !running.has(t.id) && this.isReady(t, byId));
+            while (running.size < this.concurrency && ready.length > 0) {
+                const task = ready.shift();
+                running.set(task.id, this.start(task).finally(() => running.delete(task.id)));
+            }
+
+            if (running.size === 0) break;
+            await Promise.race(running.values());
+        }
+        return tasks;
+    }
+
+    isReady(task, byId) {
+        if (!RUNNABLE_STATUSES.includes(task.status || 'pending')) return false;
+        return (task.dependsOn || []).every(id => !byId.has(id) || byId.get(id).status === 'completed');
+    }
+
+    /**
+     * Mark tasks that wait on a failed, rejected or blocked task as blocked,
+     * and reopen blocked tasks whose dependencies no longer block them
+     */
+    async propagateBlocks(tasks, byId) {
+        const blockerOf = task => (task.dependsOn || []).map(id => byId.get(id)).find(dep => dep && BLOCKING_STATUSES.includes(dep.status));
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const task of tasks) {
+                // Cycle blocks have no blockedBy and stay until the plan changes
+                if (task.status === 'blocked' && task.blockedBy && !blockerOf(task)) {
+                    await this.setStatus(task, 'pending', { blockedBy: undefined, error: undefined });
+                    changed = true;
+                    continue;
+                }
+                if (!RUNNABLE_STATUSES.includes(task.status || 'pending')) continue;
+                const blocker = blockerOf(task);
+                if (blocker) {
+                    await this.setStatus(task, 'blocked', { blockedBy: blocker.id, error: `Dependency "${blocker.name}" ${blocker.status}` });
+                    changed = true;
+                }
+            }
+        }
+    }
+
+    async start(task) {
+        await this.setStatus(task, 'running', { startedAt: new Date().toISOString() });
+        try {
+            await this.runTask(task);
+            if (task.status === 'running') task.status = 'completed';
+        } catch (error) {
+            task.status = 'failed';
+            task.error = error.message;
+        }
+        await this.onChange(task);
+    }
+
+    async setStatus(task, status, fields = {}) {
+        Object.assign(task, fields, { status });
+        await this.onChange(task);
+    }
+}
+
+export default PlanExecutor;
@@ -1,45 +1,132 @@
 /**
  * Profit Tracker - Tracks revenue, expenses, and profitability per business
  * Enables auto-scaling decisions based on performance
+ * Persists one record per business in the shared StateStore; revenue and
+ * expenses are posted to the general ledger, and the totals on each record
+ * are refreshed from it
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
+import { getGeneralLedger } from '../core/general-ledger.js';
+import { exportBooks } from '../core/books-export.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 export class ProfitTracker {
     constructor(config = {}) {
-        this.dataDir = config.dataDir || path.join(__dirname, '../../data/profit');
-        this.ensureDataDir();
-        this.loadData();
+        this.store = getStateStore(config).collection('profit.businesses');
+        this.ledger = getGeneralLedger(config);
+        this.data = {
+            businesses: {},
+            totalRevenue: 0,
+            totalExpenses: 0,
+            totalProfit: 0
+        };
+        this.ready = this.loadData();
     }
 
-    ensureDataDir() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
+    async init() {
+        await this.ready;
+        return this;
     }
 
-    loadData() {
-        const dataFile = path.join(this.dataDir, 'profit-data.json');
-        if (fs.existsSync(dataFile)) {
-            this.data = JSON.parse(fs.readFileSync(dataFile, 'utf-8'));
-        } else {
-            this.data = {
-                businesses: {},
-                totalRevenue: 0,
-                totalExpenses: 0,
-                totalProfit: 0
-            };
+    async loadData() {
+        try {
+            const stored = await this.store.all();
+            // Anything registered before the load finished wins over the stored copy
+            this.data.businesses = { ...stored, ...this.data.businesses };
+            await this.importLegacyEntries();
+            await this.refresh();
+        } catch (error) {
+            console.error('[ProfitTracker] Failed to load profit data:', error.message);
         }
     }
 
     saveData() {
-        const dataFile = path.join(this.dataDir, 'profit-data.json');
-        fs.writeFileSync(dataFile, JSON.stringify(this.data, null, 2));
+        return this.store.persist(this.data.businesses);
+    }
+
+    /**
+     * Post revenue and expense entries that records saved before the general
+     * ledger still carry. Only businesses the books know nothing about are
+     * imported; anything the totals cover beyond the entries is posted as an
+     * opening balance.
+     */
+    async importLegacyEntries() {
+        for (const business of Object.values(this.data.businesses)) {
+            if (!business.revenue && !business.expenses) continue;
+            if (!await this.ledger.hasActivity(business.id)) {
+                const revenue = business.revenue || [];
+                const expenses = business.expenses || [];
+                for (const entry of revenue) {
+                    await this.postRevenue(business, entry.amount, entry.source, entry.metadata, entry.timestamp, entry.id);
+                }
+                for (const entry of expenses) {
+                    await this.postExpense(business, entry.amount, entry.category, entry.description, entry.timestamp, entry.id);
+                }
+                await this.ledger.importOpeningTotals(business.id, {
+                    revenue: (business.totalRevenue || 0) - revenue.reduce((sum, e) => sum + e.amount, 0),
+                    expenses: (business.totalExpenses || 0) - expenses.reduce((sum, e) => sum + e.amount, 0)
+                }, 'profit-tracker', business.createdAt);
+                console.log(`[ProfitTracker] Moved ${business.name} onto the general ledger`);
+            }
+            delete business.revenue;
+            delete business.expenses;
+        }
+    }
+
+    /**
+     * Reload every business's totals, and the empire totals, from the ledger
+     */
+    async refresh() {
+        const since = new Date(Date.now() - 30 * DAY_MS);
+        const [allTime, recent] = await Promise.all([
+            this.ledger.getBusinessTotals(),
+            this.ledger.getBusinessTotals({ from: since })
+        ]);
+
+        for (const business of Object.values(this.data.businesses)) {
+            const totals = allTime[business.id] || { income: 0, expenses: 0, profit: 0 };
+            const last30 = recent[business.id] || { income: 0, expenses: 0, profit: 0 };
+            business.totalRevenue = totals.income;
+            business.totalExpenses = totals.expenses;
+            business.profit = totals.profit;
+            business.roi = business.totalExpenses > 0
+                ? ((business.profit / business.totalExpenses) * 100).toFixed(2)
+                : 0;
+            business.last30Days = { revenue: last30.income, expenses: last30.expenses, profit: last30.profit };
+        }
+
+        const totals = Object.values(allTime);
+        this.data.totalRevenue = totals.reduce((sum, t) => sum + t.income, 0);
+        this.data.totalExpenses = totals.reduce((sum, t) => sum + t.expenses, 0);
+        this.data.totalProfit = this.data.totalRevenue - this.data.totalExpenses;
+    }
+
+    postRevenue(business, amount, source, metadata = {}, date, ref) {
+        return this.ledger.recordIncome({
+            amount,
+            date,
+            description: `${business.name} revenue${source ? ` from ${source}` : ''}`,
+            businessId: business.id,
+            source: 'profit-tracker',
+            sourceRef: source || null,
+            idempotencyKey: ref ? `profit-tracker:${business.id}:${ref}` : undefined,
+            metadata
+        });
+    }
+
+    postExpense(business, amount, category, description = '', date, ref) {
+        return this.ledger.recordExpense({
+            amount,
+            category,
+            date,
+            description: description || `${business.name} ${category || 'expense'}`,
+            businessId: business.id,
+            source: 'profit-tracker',
+            sourceRef: category || null,
+            idempotencyKey: ref ? `profit-tracker:${business.id}:${ref}` : undefined
+        });
     }
 
     /**
@@ -52,8 +139,6 @@ export class ProfitTracker {
                 name,
                 metadata,
                 createdAt: new Date().toISOString(),
-                revenue: [],
-                expenses: [],
                 totalRevenue: 0,
                 totalExpenses: 0,
                 profit: 0,
@@ -75,67 +160,35 @@ export class ProfitTracker {
     /**
      * Record revenue
      */
-    recordRevenue(businessId, amount, source, metadata = {}) {
+    async recordRevenue(businessId, amount, source, metadata = {}) {
         const business = this.data.businesses[businessId];
         if (!business) {
             throw new Error(`Business not found: ${businessId}`);
         }
 
-        const entry = {
-            id: `rev-${Date.now()}`,
-            amount,
-            source,
-            metadata,
-            timestamp: new Date().toISOString()
-        };
-
-        business.revenue.push(entry);
-        business.totalRevenue += amount;
-        business.profit = business.totalRevenue - business.totalExpenses;
-        business.roi = business.totalExpenses > 0
-            ? ((business.profit / business.totalExpenses) * 100).toFixed(2)
-            : 0;
-
-        this.data.totalRevenue += amount;
-        this.data.totalProfit = this.data.totalRevenue - this.data.totalExpenses;
-
+        const { entry } = await this.postRevenue(business, amount, source, metadata);
+        await this.refresh();
         this.saveData();
         console.log(`[ProfitTracker] Revenue +$${amount} for ${business.name}`);
 
-        return entry;
+        return { id: entry.id, amount, source, metadata, timestamp: entry.createdAt };
     }
 
     /**
      * Record expense
      */
-    recordExpense(businessId, amount, category, description = '') {
+    async recordExpense(businessId, amount, category, description = '') {
         const business = this.data.businesses[businessId];
         if (!business) {
             throw new Error(`Business not found: ${businessId}`);
         }
 
-        const entry = {
-            id: `exp-${Date.now()}`,
-            amount,
-            category,
-            description,
-            timestamp: new Date().toISOString()
-        };
-
-        business.expenses.push(entry);
-        business.totalExpenses += amount;
-        business.profit = business.totalRevenue - business.totalExpenses;
-        business.roi = business.totalExpenses > 0
-            ? ((business.profit / business.totalExpenses) * 100).toFixed(2)
-            : 0;
-
-        this.data.totalExpenses += amount;
-        this.data.totalProfit = this.data.totalRevenue - this.data.totalExpenses;
-
+        const { entry } = await this.postExpense(business, amount, category, description);
+        await this.refresh();
         this.saveData();
         console.log(`[ProfitTracker] Expense -$${amount} (${category}) for ${business.name}`);
 
-        return entry;
+        return { id: entry.id, amount, category, description, timestamp: entry.createdAt };
     }
 
     /**
@@ -163,26 +216,9 @@ export class ProfitTracker {
         const business = this.data.businesses[businessId];
         if (!business) return null;
 
-        const now = new Date();
-        const thirtyDaysAgo = new Date(now - 30 * 24 * 60 * 60 * 1000);
-
-        // Last 30 days revenue
-        const recentRevenue = business.revenue
-            .filter(r => new Date(r.timestamp) > thirtyDaysAgo)
-            .reduce((sum, r) => sum + r.amount, 0);
-
-        // Last 30 days expenses
-        const recentExpenses = business.expenses
-            .filter(e => new Date(e.timestamp) > thirtyDaysAgo)
-            .reduce((sum, e) => sum + e.amount, 0);
-
         return {
             ...business,
-            last30Days: {
-                revenue: recentRevenue,
-                expenses: recentExpenses,
-                profit: recentRevenue - recentExpenses
-            },
+            last30Days: business.last30Days || { revenue: 0, expenses: 0, profit: 0 },
             isHealthy: business.profit > 0,
             isProfitable: business.roi > 0,
             recommendation: this.getRecommendation(business)
@@ -312,6 +348,9 @@ export class ProfitTracker {
                 return this.getUnderperformers();
             case 'report':
                 return this.generateDailyReport();
+            case 'export':
+                // Same books FinanceModule exports; invoices are only available there
+                return exportBooks({ ledger: this.ledger }, task.data);
             default:
                 throw new Error(`Unknown action: ${task.action}`);
         }
@@ -3,6 +3,9 @@
  * Supports Ollama (local), OpenAI, and DeepSeek APIs
  */
 
+import { completeWithSchema } from './json-schema.js';
+import { toolFormats, normalizeMessages, reactChat, runToolLoop } from './tool-calling.js';
+
 export class AIProvider {
     constructor(config = {}) {
         this.provider = config.provider || 'ollama';
@@ -40,9 +43,13 @@ export class AIProvider {
      * Generate a completion from the AI
      * @param {string} prompt - The prompt to send
      * @param {string} type - 'reasoning', 'coding', or 'fast'
-     * @param {object} options - Optional parameters (e.g., { format: 'json' })
+     * @param {object} options - Optional parameters (e.g., { format: 'json' }, or { schema } for validated JSON)
      */
     async complete(prompt, type = 'fast', options = {}) {
+        if (options.schema) {
+            return completeWithSchema((attemptPrompt, requestOptions) => this.complete(attemptPrompt, type, requestOptions), prompt, options);
+        }
+
         const model = this.models[this.provider]?.[type] || this.models[this.provider]?.fast;
 
         switch (this.provider) {
@@ -59,6 +66,76 @@ export class AIProvider {
         }
     }
 
+    /**
+     * One tool-aware chat turn over provider-neutral messages (see tool-calling.js)
+     * @param {string|Array} messages - prompt or message history
+     * @param {string} type - 'reasoning', 'coding', or 'fast'
+     * @param {object} options - { tools, toolProtocol: 'react' to skip native tool calling }
+     */
+    async chat(messages, type = 'fast', options = {}) {
+        messages = normalizeMessages(messages);
+        const tools = options.tools || [];
+
+        if (options.toolProtocol === 'react') {
+            return reactChat(prompt => this.complete(prompt, type), messages, tools);
+        }
+
+        const model = this.models[this.provider]?.[type] || this.models[this.provider]?.fast;
+        const endpoints = {
+            ollama: { url: `${this.ollamaUrl}/api/chat`, headers: {} },
+            openai: { url: 'https://api.openai.com/v1/chat/completions', key: this.openaiKey, headers: { 'Authorization': `Bearer ${this.openaiKey}` } },
+            deepseek: { url: 'https://api.deepseek.com/chat/completions', key: this.deepseekKey, headers: { 'Authorization': `Bearer ${this.deepseekKey}` } },
+            gemini: { url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${this.geminiKey}`, key: this.geminiKey, headers: {} }
+        };
+        const endpoint = endpoints[this.provider];
+        if (!endpoint) throw new Error(`Unknown provider: ${this.provider}`);
+        if (this.provider !== 'ollama' && !endpoint.key) {
+            return { success: false, error: `${this.provider} API key not configured` };
+        }
+
+        const format = toolFormats[this.provider];
+        try {
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...endpoint.headers },
+                body: JSON.stringify(format.request({ model, messages, tools })),
+                signal: AbortSignal.timeout(300000)
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error?.message || `${this.provider} API error`);
+            }
+
+            const { content, toolCalls } = format.parse(data);
+            return {
+                success: true,
+                content,
+                toolCalls,
+                message: { role: 'assistant', content, toolCalls },
+                model,
+                provider: this.provider
+            };
+        } catch (error) {
+            if (this.provider === 'ollama' && (error.message.includes('fetch failed') || error.message.includes('ECONNREFUSED'))) {
+                console.log('⚠️ Ollama connection refused. Switching to SIMULATED (Heuristic) Mode.');
+                return reactChat(async prompt => this.simulatedComplete(prompt), messages, tools);
+            }
+            return { success: false, error: error.message, provider: this.provider };
+        }
+    }
+
+    /**
+     * Let the model call tools until it answers without one
+     * @param {string|Array} input - prompt or message history
+     * @param {Array} tools - [{ name, description, parameters, handler(args) }]
+     * @param {string} type - 'reasoning', 'coding', or 'fast'
+     * @param {object} options - chat options plus maxSteps (default 5)
+     */
+    runTools(input, tools, type = 'fast', options = {}) {
+        return runToolLoop(messages => this.chat(messages, type, { ...options, tools }), input, tools, options);
+    }
+
     /**
      * Extract reasoning from DeepSeek R1 output
      * DeepSeek R1 outputs reasoning in <think>...</think> tags
@@ -99,8 +176,10 @@ export class AIProvider {
                     stream: false
                 };
 
-                // Add format: 'json' if requested
-                if (options.format === 'json') {
+                // Add format: 'json' (or the JSON Schema itself) if requested
+                if (options.jsonSchema) {
+                    body.format = options.jsonSchema;
+                } else if (options.format === 'json') {
                     body.format = 'json';
                 }
 
@@ -244,7 +323,7 @@ export class AIProvider {
     /**
      * OpenAI API completion
      */
-    async openaiComplete(prompt, model) {
+    async openaiComplete(prompt, model, options = {}) {
         if (!this.openaiKey) {
             return { success: false, error: 'OpenAI API key not configured' };
         }
@@ -259,7 +338,10 @@ export class AIProvider {
                 body: JSON.stringify({
                     model,
                     messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.7
+                    temperature: 0.7,
+                    response_format: options.jsonSchema
+                        ? { type: 'json_schema', json_schema: { name: 'response', schema: options.jsonSchema } }
+                        : options.format === 'json' ? { type: 'json_object' } : undefined
                 })
             });
 
@@ -283,7 +365,7 @@ export class AIProvider {
     /**
      * DeepSeek API completion (free tier available)
      */
-    async deepseekComplete(prompt, model) {
+    async deepseekComplete(prompt, model, options = {}) {
         if (!this.deepseekKey) {
             return { success: false, error: 'DeepSeek API key not configured' };
         }
@@ -298,7 +380,8 @@ export class AIProvider {
                 body: JSON.stringify({
                     model,
                     messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.7
+                    temperature: 0.7,
+                    response_format: options.format === 'json' ? { type: 'json_object' } : undefined
                 })
             });
 
@@ -322,7 +405,7 @@ export class AIProvider {
     /**
      * Gemini API completion
      */
-    async geminiComplete(prompt, model) {
+    async geminiComplete(prompt, model, options = {}) {
         if (!this.geminiKey) {
             return { success: false, error: 'Gemini API key not configured' };
         }
@@ -336,7 +419,8 @@ export class AIProvider {
                 body: JSON.stringify({
                     contents: [{ parts: [{ text: prompt }] }],
                     generationConfig: {
-                        temperature: 0.7
+                        temperature: 0.7,
+                        responseMimeType: options.format === 'json' ? 'application/json' : undefined
                     }
                 })
             });
@@ -0,0 +1,332 @@
+/**
+ * Approval Auth - Users, roles, sessions and signed approval links
+ * Guards ApprovalServer: dashboard users log in with a password (scrypt
+ * hashed) and get an HttpOnly session cookie plus a CSRF token; scripts use
+ * API tokens. Approval emails carry HMAC-signed, expiring, single-use links
+ * so one click can approve or reject without logging in.
+ */
+
+import crypto from 'crypto';
+
+export const ROLES = {
+    admin: ['read', 'operate', 'approve', 'admin'],
+    approver: ['read', 'approve'],
+    operator: ['read', 'operate'],
+    viewer: ['read']
+};
+
+export const SESSION_COOKIE = 'king_session';
+
+const LINK_ACTIONS = ['approve', 'reject'];
+const MAX_FAILED_LOGINS = 5;
+// Failed-login records kept at most; the oldest are dropped first
+const MAX_TRACKED_LOGINS = 10000;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function randomToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a ?? ''));
+    const right = Buffer.from(String(b ?? ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * scrypt hash in the form scrypt$<salt>$<hash>
+ */
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('base64url');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('base64url');
+    return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const candidate = crypto.scryptSync(String(password), salt, 64).toString('base64url');
+    return safeEqual(candidate, hash);
+}
+
+/**
+ * Parse a Cookie header into a plain object
+ */
+export function parseCookies(header = '') {
+    return Object.fromEntries(
+        String(header).split(';')
+            .map(part => part.trim().split('='))
+            .filter(([name]) => name)
+            .map(([name, ...rest]) => [name, decodeCookie(rest.join('='))])
+    );
+}
+
+// A malformed escape (e.g. "%E0") is kept as sent rather than failing the request
+function decodeCookie(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+export class ApprovalAuth {
+    /**
+     * @param {Object} config
+     * @param {Database} config.db - Shared Database instance
+     * @param {string} [config.approvalSecret] - HMAC key for approval links (APPROVAL_SECRET)
+     * @param {number} [config.linkTtlMs] - Approval link lifetime (default 48h)
+     * @param {number} [config.sessionTtlMs] - Login session lifetime (default 12h)
+     * @param {boolean} [config.secureCookies] - Add the Secure cookie flag (serve over HTTPS)
+     */
+    constructor(config = {}) {
+        this.db = config.db;
+        this.linkTtlMs = config.linkTtlMs || 48 * 60 * 60 * 1000;
+        this.sessionTtlMs = config.sessionTtlMs || 12 * 60 * 60 * 1000;
+        this.lockoutMs = config.lockoutMs || 15 * 60 * 1000;
+        this.secureCookies = config.secureCookies ?? process.env.APPROVAL_SECURE_COOKIES === 'true';
+        this.failedLogins = new Map();
+
+        this.secret = config.approvalSecret || process.env.APPROVAL_SECRET;
+        if (!this.secret) {
+            this.secret = randomToken();
+            console.warn('[ApprovalAuth] APPROVAL_SECRET not set; approval links will stop working after a restart.');
+        }
+    }
+
+    /**
+     * Create the first admin from APPROVAL_ADMIN_USER / APPROVAL_ADMIN_PASSWORD
+     */
+    async init() {
+        await this.db.init();
+        if (await this.db.countUsers() > 0) return this;
+
+        const username = process.env.APPROVAL_ADMIN_USER;
+        const password = process.env.APPROVAL_ADMIN_PASSWORD;
+        if (username && password) {
+            await this.createUser({ username, password, role: 'admin' });
+            console.log(`[ApprovalAuth] Created admin user "${username}"`);
+        } else {
+            console.warn('[ApprovalAuth] No users yet. Set APPROVAL_ADMIN_USER/APPROVAL_ADMIN_PASSWORD or run `npm run auth:create-user`.');
+        }
+        return this;
+    }
+
+    // ---------------------------------------------------------------------
+    // Users and API tokens
+    // ---------------------------------------------------------------------
+
+    /**
+     * @param {Object} user - { username, password, role }
+     * @returns {Promise<Object>} the user without its password hash
+     */
+    async createUser({ username, password, role = 'viewer' }) {
+        if (!username) throw new Error('Username is required');
+        if (!ROLES[role]) throw new Error(`Unknown role: ${role} (expected ${Object.keys(ROLES).join(', ')})`);
+        if (password !== undefined && String(password).length < 8) {
+            throw new Error('Password must be at least 8 characters');
+        }
+        if (await this.db.getUserByUsername(username)) throw new Error(`User already exists: ${username}`);
+
+        const user = await this.db.createUser({
+            username,
+            role,
+            password_hash: password !== undefined ? hashPassword(password) : null
+        });
+        return publicUser(user);
+    }
+
+    /**
+     * Issue an API token; the plaintext is only returned here
+     * @returns {Promise<{id: string, token: string, name: string}>}
+     */
+    async createApiToken(userId, name = 'api') {
+        const user = await this.db.getUser(userId);
+        if (!user) throw new Error(`User not found: ${userId}`);
+
+        const id = `tok-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+        const token = `kai_${randomToken()}`;
+        await this.db.saveApiToken({ id, user_id: user.id, name, token_hash: sha256(token) });
+        return { id, token, name };
+    }
+
+    // ---------------------------------------------------------------------
+    // Login sessions
+    // ---------------------------------------------------------------------
+
+    /**
+     * Check a password and open a session. Failed attempts lock out one
+     * username from one address, so guessing from elsewhere cannot lock the
+     * real user out.
+     * @param {Object} [options] - { ip: client address }
+     * @returns {Promise<{success: boolean, user?: Object, sessionToken?: string, csrfToken?: string, expiresAt?: string, error?: string}>}
+     */
+    async login(username, password, options = {}) {
+        const key = `${options.ip || 'local'}|${username}`;
+        const attempts = this.failedLogins.get(key);
+        if (attempts && attempts.count >= MAX_FAILED_LOGINS && Date.now() - attempts.last < this.lockoutMs) {
+            return { success: false, error: 'Too many failed attempts; try again later' };
+        }
+
+        const user = username ? await this.db.getUserByUsername(username) : null;
+        if (!user || user.disabled || !verifyPassword(password, user.password_hash)) {
+            this.recordFailedLogin(key, attempts);
+            return { success: false, error: 'Invalid username or password' };
+        }
+        this.failedLogins.delete(key);
+
+        const sessionToken = randomToken();
+        const csrfToken = randomToken();
+        const expiresAt = new Date(Date.now() + this.sessionTtlMs).toISOString();
+        await this.db.createAuthSession({ id: sha256(sessionToken), user_id: user.id, csrf_token: csrfToken, expires_at: expiresAt });
+        await this.db.updateUser(user.id, { last_login_at: new Date().toISOString() });
+
+        return { success: true, user: publicUser(user), sessionToken, csrfToken, expiresAt };
+    }
+
+    recordFailedLogin(key, attempts) {
+        const now = Date.now();
+        // Records past the lockout window no longer count; drop them, then the oldest over the cap
+        for (const [tracked, { last }] of this.failedLogins) {
+            if (now - last >= this.lockoutMs) this.failedLogins.delete(tracked);
+        }
+        const count = attempts && now - attempts.last < this.lockoutMs ? attempts.count + 1 : 1;
+        this.failedLogins.delete(key);
+        this.failedLogins.set(key, { count, last: now });
+        while (this.failedLogins.size > MAX_TRACKED_LOGINS) {
+            this.failedLogins.delete(this.failedLogins.keys().next().value);
+        }
+    }
+
+    async logout(sessionToken) {
+        if (sessionToken) await this.db.deleteAuthSession(sha256(sessionToken));
+    }
+
+    sessionCookie(sessionToken, expiresAt) {
+        const maxAge = Math.max(0, Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000));
+        return `${SESSION_COOKIE}=${sessionToken}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${this.secureCookies ? '; Secure' : ''}`;
+    }
+
+    clearedCookie() {
+        return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+
+    /**
+     * Identify the caller from a Bearer API token or the session cookie
+     * @returns {Promise<{user: Object, via: 'token'|'session', csrfToken?: string, sessionToken?: string}|null>}
+     */
+    async authenticate(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            const record = await this.db.getApiTokenByHash(sha256(header.slice(7).trim()));
+            if (!record) return null;
+            const user = await this.db.getUser(record.user_id);
+            if (!user || user.disabled) return null;
+            await this.db.touchApiToken(record.id);
+            return { user: publicUser(user), via: 'token' };
+        }
+
+        const sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (!sessionToken) return null;
+        const session = await this.db.getAuthSession(sha256(sessionToken));
+        if (!session) return null;
+        const user = await this.db.getUser(session.user_id);
+        if (!user || user.disabled) return null;
+        return { user: publicUser(user), via: 'session', csrfToken: session.csrf_token, sessionToken };
+    }
+
+    can(user, permission) {
+        return Boolean(user && ROLES[user.role]?.includes(permission));
+    }
+
+    /**
+     * Cookie-authenticated writes must echo the session's CSRF token in X-CSRF-Token.
+     * API tokens are never sent automatically by a browser, so they are exempt.
+     */
+    checkCsrf(req, identity) {
+        if (identity.via !== 'session') return true;
+        return safeEqual(req.headers['x-csrf-token'], identity.csrfToken);
+    }
+
+    // ---------------------------------------------------------------------
+    // Signed approval links
+    // ---------------------------------------------------------------------
+
+    sign(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    }
+
+    /**
+     * Token for one action on one approval: base64url(payload).signature
+     * @param {Object} [approver] - { username, role } the link votes as; signed so it cannot be swapped
+     */
+    signApprovalLink(approvalId, action, ttlMs = this.linkTtlMs, approver = null) {
+        if (!LINK_ACTIONS.includes(action)) throw new Error(`Unknown approval action: ${action}`);
+        const payload = Buffer.from(JSON.stringify({
+            id: approvalId,
+            action,
+            ...(approver && { approver: { username: approver.username, role: approver.role } }),
+            exp: Date.now() + ttlMs,
+            jti: randomToken(12)
+        })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    /**
+     * Check signature, target and expiry without using the link up
+     * @returns {{valid: boolean, payload?: Object, error?: string}}
+     */
+    verifyApprovalLink(token, approvalId, action) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature || !safeEqual(signature, this.sign(payload))) {
+            return { valid: false, error: 'Invalid approval link' };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+        } catch (e) {
+            return { valid: false, error: 'Invalid approval link' };
+        }
+        if (data.id !== approvalId || data.action !== action) {
+            return { valid: false, error: 'Approval link does not match this request' };
+        }
+        if (Date.now() > data.exp) return { valid: false, error: 'Approval link has expired' };
+        return { valid: true, payload: data };
+    }
+
+    /**
+     * Verify and burn a link; a second use fails
+     */
+    async consumeApprovalLink(token, approvalId, action) {
+        const check = this.verifyApprovalLink(token, approvalId, action);
+        if (!check.valid) return check;
+        if (!await this.db.useApprovalLink(check.payload.jti, approvalId, action)) {
+            return { valid: false, error: 'Approval link has already been used' };
+        }
+        return check;
+    }
+
+    /**
+     * Signed approve/reject URLs for an approval
+     * @param {string} baseUrl - e.g. https://king.example.com
+     * @param {Object} approver - { username, role } of the person the links are sent to
+     */
+    approvalLinks(approvalId, baseUrl, approver) {
+        const id = encodeURIComponent(approvalId);
+        return {
+            approveUrl: `${baseUrl}/approve/${id}?token=${this.signApprovalLink(approvalId, 'approve', this.linkTtlMs, approver)}`,
+            rejectUrl: `${baseUrl}/reject/${id}?token=${this.signApprovalLink(approvalId, 'reject', this.linkTtlMs, approver)}`,
+            expiresAt: new Date(Date.now() + this.linkTtlMs).toISOString()
+        };
+    }
+}
+
+function publicUser(user) {
+    return { id: user.id, username: user.username, role: user.role };
+}
+
+export default ApprovalAuth;
@@ -1,9 +1,14 @@
 /**
  * Approval Flow - Manages human-in-the-loop approvals
- * Queues approval requests, tracks responses, manages pending items
+ * Queues approval requests, tracks responses, manages pending items.
+ * Each approver's vote is stored in approval_decisions; a request is only
+ * granted once the quorum policy from PolicyEngine is met. Every request gets
+ * a deadline from its policy; ApprovalScheduler expires it when that passes.
+ * Emits 'resolved' ({ approvalId, taskId, status }) when a request closes.
  */
 
 import fs from 'fs';
+import { EventEmitter } from 'events';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { PolicyEngine } from './policy-engine.js';
@@ -13,12 +18,18 @@ import { AuditLogger } from './audit-logger.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export class ApprovalFlow {
+// Whoever answers at the terminal is trusted as an admin
+const LOCAL_OPERATOR = { username: 'operator', role: 'admin' };
+
+export class ApprovalFlow extends EventEmitter {
     constructor(config = {}) {
+        super();
         this.policyEngine = config.policyEngine || new PolicyEngine();
         this.emailNotifier = config.emailNotifier || new EmailNotifier(config);
         this.auditLogger = config.auditLogger || new AuditLogger(config);
         this.db = config.db;
+        // (approvalId, recipient) => signed { approveUrl, rejectUrl }; wired to ApprovalServer.approvalLinks()
+        this.approvalLinks = config.approvalLinks || null;
         this.pendingFile = config.pendingFile || path.join(__dirname, '../../data/pending-approvals.json');
         this.pending = []; // Now loaded from DB in submit/respond
     }
@@ -79,9 +90,11 @@ export class ApprovalFlow {
             };
         }
 
-        // Requires human approval
+        // Requires human approval, from as many people as the quorum policy asks for
+        const policy = this.policyEngine.approvalPolicyFor(task, evaluation);
+        const createdAt = new Date();
         const pendingItem = {
-            id: `approval-${Date.now()}`,
+            id: `approval-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
             task_id: task.id,
             type: task.type || 'general',
             title: task.title || task.name,
@@ -90,50 +103,140 @@ export class ApprovalFlow {
             impact: task.impact,
             recommendation: evaluation.reason,
             status: 'pending',
-            created_at: new Date().toISOString()
+            created_at: createdAt.toISOString(),
+            requested_by: task.requestedBy || task.module || null,
+            // A task may bring its own deadline; otherwise the policy sets it
+            deadline_at: task.deadlineAt || new Date(createdAt.getTime() + policy.deadlineMs).toISOString(),
+            policy
         };
 
         if (this.db) {
             await this.db.saveApproval(pendingItem);
         }
 
-        // Send approval request email
-        await this.emailNotifier.sendApprovalRequest(task, evaluation);
+        // Send approval request email with one-click signed links when a server is wired up
+        const links = this.approvalLinks ? this.approvalLinks(pendingItem.id, this.emailNotifier.recipientEmail) : null;
+        await this.emailNotifier.sendApprovalRequest(task, evaluation, links);
 
         return {
             approved: false,
             pending: true,
             taskId: task.id,
+            approvalId: pendingItem.id,
+            requiredApprovals: policy.quorum,
+            deadlineAt: pendingItem.deadline_at,
             reason: evaluation.reason
         };
     }
 
     /**
-     * Handle an approval response
+     * Handle an approval response for a task
+     * @param {Object|string} approver - { username, role }; defaults to the local operator (CLI)
      */
-    async respond(taskId, approved, notes = '') {
-        if (this.db) {
-            const approvals = await this.db.db.all('SELECT * FROM approvals WHERE task_id = ? AND status = "pending"', [taskId]);
-            if (approvals.length === 0) return { success: false, error: 'Task not found in pending list' };
+    async respond(taskId, approved, notes = '', approver = LOCAL_OPERATOR) {
+        if (!this.db) return { success: false, error: 'Database not initialized' };
 
-            const app = approvals[0];
-            app.status = approved ? 'approved' : 'rejected';
-            app.decided_at = new Date().toISOString();
-            app.notes = notes;
+        const approvals = await this.db.getApprovalsForTask(taskId, 'pending');
+        if (approvals.length === 0) return { success: false, error: 'Task not found in pending list' };
+
+        return this.decide(approvals[0].id, approved, notes, approver);
+    }
 
-            await this.db.saveApproval(app);
+    /**
+     * Record one approver's vote and resolve the approval once its policy is met
+     * @param {string} approvalId
+     * @param {boolean} approved
+     * @param {string} notes
+     * @param {Object|string} approver - { username, role }
+     * @returns {Promise<Object>} - { success, status: 'approved'|'rejected'|'pending', approvals, required, missingRoles }
+     */
+    async decide(approvalId, approved, notes = '', approver = LOCAL_OPERATOR) {
+        if (!this.db) return { success: false, error: 'Database not initialized' };
+        const { username, role } = typeof approver === 'string' ? { ...LOCAL_OPERATOR, username: approver } : approver;
 
-            // Log the approval decision
-            this.auditLogger.logApproval(taskId, approved, 'user', notes);
+        const approval = await this.db.getApproval(approvalId);
+        if (!approval || approval.status !== 'pending') return { success: false, error: 'Approval not found or already decided' };
 
-            return {
-                success: true,
-                approved,
-                taskId
-            };
+        const policy = approval.policy || this.policyEngine.approvalPolicyFor(approval);
+        if (!policy.approverRoles.includes(role)) {
+            return { success: false, error: `Role "${role}" cannot vote on ${policy.name} approvals` };
+        }
+        if (policy.separationOfDuties && approval.requested_by && approval.requested_by === username) {
+            return { success: false, error: 'Requesters cannot approve their own requests' };
+        }
+
+        const decision = approved ? 'approved' : 'rejected';
+        if (!await this.db.addApprovalDecision({ approval_id: approvalId, approver: username, role, decision, notes })) {
+            return { success: false, error: `${username} has already voted on this approval` };
+        }
+
+        const decisions = await this.db.getApprovalDecisions(approvalId);
+        const tally = this.policyEngine.tallyApprovals(policy, decisions);
+        this.auditLogger.logApproval(approval.task_id, approved, username, notes, {
+            approvalId,
+            role,
+            policy: policy.name,
+            approvals: tally.approvals,
+            required: policy.quorum,
+            status: tally.status
+        });
+
+        if (tally.status !== 'pending') {
+            const resolved = await this.db.resolveApproval(approvalId, tally.status, {
+                notes,
+                decided_by: username,
+                approvers: decisions.map(d => d.approver)
+            });
+            if (resolved) this.emit('resolved', { approvalId, taskId: approval.task_id, status: tally.status });
+        }
+
+        return {
+            success: true,
+            approved: tally.status === 'approved',
+            status: tally.status,
+            taskId: approval.task_id,
+            approvalId,
+            approvals: tally.approvals,
+            required: policy.quorum,
+            missingRoles: tally.missingRoles
+        };
+    }
+
+    /**
+     * Close an approval whose deadline passed, applying its policy's onExpiry action
+     * @param {string} approvalId
+     * @returns {Promise<Object>} - { success, status: 'rejected'|'deferred', taskId, approvalId }
+     */
+    async expire(approvalId) {
+        if (!this.db) return { success: false, error: 'Database not initialized' };
+
+        const approval = await this.db.getApproval(approvalId);
+        if (!approval || approval.status !== 'pending') return { success: false, error: 'Approval not found or already decided' };
+
+        const policy = approval.policy || this.policyEngine.approvalPolicyFor(approval);
+        const status = policy.onExpiry === 'defer' ? 'deferred' : 'rejected';
+        const notes = `No decision by ${approval.deadline_at}; ${status} by ${policy.name} policy`;
+
+        if (!await this.db.resolveApproval(approvalId, status, { notes, decided_by: 'system', expired: true })) {
+            return { success: false, error: 'Approval not found or already decided' };
         }
 
-        return { success: false, error: 'Database not initialized' };
+        this.auditLogger.logApproval(approval.task_id, false, 'system', notes, {
+            approvalId,
+            policy: policy.name,
+            status,
+            expired: true
+        });
+        this.emit('resolved', { approvalId, taskId: approval.task_id, status });
+
+        return { success: true, status, taskId: approval.task_id, approvalId };
+    }
+
+    /**
+     * Individual votes recorded for an approval
+     */
+    async getDecisions(approvalId) {
+        return this.db ? this.db.getApprovalDecisions(approvalId) : [];
     }
 
     /**
@@ -155,7 +258,7 @@ export class ApprovalFlow {
      */
     async getStatus(taskId) {
         if (!this.db) return { found: false };
-        const row = await this.db.db.get('SELECT * FROM approvals WHERE task_id = ?', [taskId]);
+        const row = await this.db.getApprovalByTask(taskId);
         if (!row) return { found: false };
         return {
             found: true,
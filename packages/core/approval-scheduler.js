@@ -0,0 +1,167 @@
+/**
+ * Approval Scheduler - Deadlines, reminders and escalation for pending approvals
+ * A cron job, on the shared Scheduler when one is given, sweeps pending
+ * approvals: past-deadline requests are expired with their policy's onExpiry
+ * action, overdue ones are escalated to a secondary approver once, and the
+ * rest get reminder emails at the policy's interval. Bookkeeping lives in the approval's metadata so restarts resume
+ * where they left off.
+ */
+
+import cron from 'node-cron';
+
+export class ApprovalScheduler {
+    /**
+     * @param {Object} config
+     * @param {ApprovalFlow} config.approvalFlow - resolves expired requests and provides signed links
+     * @param {Database} config.db
+     * @param {EmailNotifier} config.emailNotifier
+     * @param {AuditLogger} config.auditLogger
+     * @param {string} [config.approvalCron] - sweep schedule (default every minute)
+     * @param {string} [config.escalationEmail] - fallback secondary approver (APPROVAL_ESCALATION_EMAIL)
+     * @param {Function} [config.onTick] - called after each sweep with its results
+     * @param {Scheduler} [config.scheduler] - runs the sweep instead of a node-cron job of its own
+     */
+    constructor(config = {}) {
+        this.approvalFlow = config.approvalFlow;
+        this.db = config.db || this.approvalFlow?.db;
+        this.emailNotifier = config.emailNotifier || this.approvalFlow?.emailNotifier;
+        this.auditLogger = config.auditLogger || this.approvalFlow?.auditLogger;
+        this.cronExpression = config.approvalCron || process.env.APPROVAL_CRON || '* * * * *';
+        this.escalationEmail = config.escalationEmail || process.env.APPROVAL_ESCALATION_EMAIL || null;
+        this.timezone = config.timezone || 'America/Chicago';
+        this.onTick = config.onTick || null;
+        this.scheduler = config.scheduler || null;
+        this.cronJob = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Start the sweep cron job, on the shared Scheduler when one was given
+     */
+    start() {
+        if (!cron.validate(this.cronExpression)) {
+            throw new Error(`Invalid approval cron expression: ${this.cronExpression}`);
+        }
+
+        if (this.scheduler) {
+            // A sweep only matters now: missed ones are not made up
+            this.scheduler.register('approval-sweep', {
+                cron: this.cronExpression,
+                timezone: this.timezone,
+                catchUp: 'skip',
+                description: 'Approval deadlines, reminders and escalation',
+                handler: () => this.tick()
+            });
+            console.log(`[ApprovalScheduler] Checking approval deadlines on "${this.cronExpression}"`);
+            return this;
+        }
+
+        this.cronJob = cron.schedule(this.cronExpression, () => {
+            this.tick().catch(error => console.error('[ApprovalScheduler] Sweep failed:', error.message));
+        }, {
+            timezone: this.timezone
+        });
+
+        console.log(`[ApprovalScheduler] Checking approval deadlines on "${this.cronExpression}"`);
+        return this;
+    }
+
+    /**
+     * Stop the cron job
+     */
+    stop() {
+        this.scheduler?.unregister('approval-sweep');
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+        }
+    }
+
+    /**
+     * Sweep pending approvals once
+     * @param {Date} [now] - injectable clock for tests
+     * @returns {Promise<Object>} - { expired: [], escalated: [], reminded: [] } approval ids
+     */
+    async tick(now = new Date()) {
+        const results = { expired: [], escalated: [], reminded: [] };
+        // A slow SMTP server must not let sweeps overlap and double-send
+        if (this.ticking) return results;
+        this.ticking = true;
+
+        try {
+            for (const approval of await this.db.getPendingApprovals()) {
+                // One approval that cannot be handled (bad policy, SMTP down) must not stall the rest
+                try {
+                    const action = await this.process(approval, now.getTime());
+                    if (action) results[action].push(approval.id);
+                } catch (error) {
+                    console.error(`[ApprovalScheduler] Could not process ${approval.id}:`, error.message);
+                }
+            }
+        } finally {
+            this.ticking = false;
+        }
+
+        if (this.onTick) await this.onTick(results);
+        return results;
+    }
+
+    /**
+     * Apply at most one action to an approval: expire, escalate or remind
+     * @returns {Promise<'expired'|'escalated'|'reminded'|null>}
+     */
+    async process(approval, now) {
+        const policy = approval.policy || this.approvalFlow.policyEngine.approvalPolicyFor(approval);
+        const createdAt = new Date(approval.created_at).getTime();
+        const deadline = approval.deadline_at
+            ? new Date(approval.deadline_at).getTime()
+            : createdAt + policy.deadlineMs;
+
+        if (Number.isFinite(deadline) && now >= deadline) {
+            const result = await this.approvalFlow.expire(approval.id);
+            return result.success ? 'expired' : null;
+        }
+
+        if (policy.escalateAfterMs && !approval.escalated_at && now - createdAt >= policy.escalateAfterMs) {
+            await this.escalate(approval, policy, now);
+            return 'escalated';
+        }
+
+        const lastSent = approval.last_reminder_at ? new Date(approval.last_reminder_at).getTime() : createdAt;
+        if (policy.reminderIntervalMs && now - lastSent >= policy.reminderIntervalMs) {
+            await this.remind(approval, now);
+            return 'reminded';
+        }
+
+        return null;
+    }
+
+    async escalate(approval, policy, now) {
+        const to = policy.escalateTo || this.escalationEmail;
+        const at = new Date(now).toISOString();
+
+        if (to) {
+            await this.emailNotifier.sendApprovalEscalation(approval, to, this.links(approval.id, to));
+        } else {
+            console.warn(`[ApprovalScheduler] ${approval.id} is overdue but no escalation address is configured`);
+        }
+
+        // Marked even without a recipient so the warning is not repeated every sweep
+        await this.db.updateApprovalMetadata(approval.id, { escalated_at: at, escalated_to: to, last_reminder_at: at });
+        this.auditLogger.logSystem('approval_escalated', { approvalId: approval.id, taskId: approval.task_id, to, policy: policy.name });
+    }
+
+    async remind(approval, now) {
+        const count = (approval.reminders_sent || 0) + 1;
+        await this.emailNotifier.sendApprovalReminder(approval, this.links(approval.id, this.emailNotifier.recipientEmail), count);
+
+        await this.db.updateApprovalMetadata(approval.id, { last_reminder_at: new Date(now).toISOString(), reminders_sent: count });
+        this.auditLogger.logSystem('approval_reminder', { approvalId: approval.id, taskId: approval.task_id, reminder: count });
+    }
+
+    links(approvalId, recipient) {
+        return this.approvalFlow.approvalLinks ? this.approvalFlow.approvalLinks(approvalId, recipient) : null;
+    }
+}
+
+export default ApprovalScheduler;
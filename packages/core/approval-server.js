@@ -1,6 +1,8 @@
 /**
  * Approval Server - Web interface for approving/rejecting tasks
- * Provides REST API and simple web UI for human oversight
+ * Provides REST API and simple web UI for human oversight. Every API route
+ * needs a logged-in user (session cookie + CSRF token) or an API token with
+ * the right role; emailed approve/reject links carry signed one-time tokens.
  */
 
 import fs from 'fs';
@@ -10,6 +12,12 @@ import { fileURLToPath } from 'url';
 import { EmailNotifier } from './email-notifier.js';
 
 import { Database } from './database.js';
+import { ChatSessions } from './chat-sessions.js';
+import { AuditSearch } from './audit-search.js';
+import { JobQueue } from './job-queue.js';
+import { Scheduler } from './scheduler.js';
+import { ApprovalAuth } from './approval-auth.js';
+import { ApprovalFlow } from './approval-flow.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,8 +37,24 @@ export class ApprovalServer {
             this.dashboardDir = path.join(__dirname, '../infrastructure/dashboard');
         }
         this.db = config.db || new Database(config);
+        this.chatSessions = config.chatSessions || new ChatSessions({ db: this.db });
+        this.auditSearch = config.auditSearch || new AuditSearch({ db: this.db, auditLogger: config.auditLogger });
+        this.jobQueue = config.jobQueue || new JobQueue({ db: this.db });
+        this.scheduler = config.scheduler || new Scheduler({ db: this.db });
+        this.auth = config.auth || new ApprovalAuth({ ...config, db: this.db });
+        // Address used in emailed links (the bind host 0.0.0.0 is not reachable from a mail client)
+        this.publicUrl = config.publicUrl || process.env.APPROVAL_PUBLIC_URL || null;
 
         this.emailNotifier = config.emailNotifier;
+        // Votes go through ApprovalFlow so quorum policies apply to every channel
+        this.approvalFlow = config.approvalFlow || new ApprovalFlow({
+            db: this.db,
+            emailNotifier: this.emailNotifier,
+            auditLogger: config.auditLogger,
+            policyEngine: config.policyEngine
+        });
+        // Role given to the recipients of signed email links; each recipient votes under their own address
+        this.linkRole = config.linkRole || 'approver';
         this.server = null;
         this.onApproval = config.onApproval || (() => { });
         this.onRejection = config.onRejection || (() => { });
@@ -46,8 +70,18 @@ export class ApprovalServer {
         this.statusProvider = provider;
     }
 
+    /**
+     * Route dead-letter replays and discards through the host (the Orchestrator
+     * keeps its task records in step); without one they go straight to the job queue
+     * @param {{replay: Function, discard: Function}} handler
+     */
+    setDeadLetterHandler(handler) {
+        this.deadLetterHandler = handler;
+    }
+
     async init() {
         await this.db.init();
+        await this.auth.init();
 
         // If no command handler / status provider registered, attempt to auto-wire
         // a local CEOAgent so the dashboard has live CEO functionality by default.
@@ -56,11 +90,11 @@ export class ApprovalServer {
                 const modPath = path.join(__dirname, '../../packages/ceo/ceo-agent.js');
                 if (fs.existsSync(modPath)) {
                     const { CEOAgent } = await import(modPath);
-                    const ceo = new CEOAgent({ db: this.db });
+                    const ceo = new CEOAgent({ db: this.db, chatSessions: this.chatSessions });
                     // initialize silently
                     await ceo.init();
                     // Only set handlers if not already provided by the host
-                    if (!this.commandHandler) this.setCommandHandler((cmd) => ceo.handleCommand(cmd));
+                    if (!this.commandHandler) this.setCommandHandler((cmd, options) => ceo.handleCommand(cmd, options));
                     if (!this.statusProvider) this.setStatusProvider(() => ceo.getStatus());
                     console.log('[ApprovalServer] Auto-wired local CEOAgent for command/status APIs');
                 }
@@ -79,6 +113,20 @@ export class ApprovalServer {
         }
     }
 
+    baseUrl() {
+        return (this.publicUrl || `http://localhost:${this.port}`).replace(/\/$/, '');
+    }
+
+    /**
+     * Signed, expiring, single-use approve/reject URLs for an approval
+     * @param {string} [recipient] - address the links are emailed to; votes are recorded under it
+     * @returns {{approveUrl: string, rejectUrl: string, expiresAt: string}}
+     */
+    approvalLinks(id, recipient = this.emailNotifier?.recipientEmail) {
+        if (!recipient) throw new Error('Approval links need a recipient');
+        return this.auth.approvalLinks(id, this.baseUrl(), { username: recipient, role: this.linkRole });
+    }
+
     /**
      * Load pending approvals
      */
@@ -112,8 +160,7 @@ export class ApprovalServer {
 
         // Send notification email with approval link
         if (this.emailNotifier) {
-            const approveUrl = `http://${this.host}:${this.port}/approve/${entry.id}`;
-            const rejectUrl = `http://${this.host}:${this.port}/reject/${entry.id}`;
+            const { approveUrl, rejectUrl } = this.approvalLinks(entry.id);
 
             this.emailNotifier.sendNotification(
                 `🔔 Approval Required: ${entry.taskType || entry.type}`,
@@ -128,7 +175,7 @@ export class ApprovalServer {
 ✅ Approve: ${approveUrl}
 ❌ Reject: ${rejectUrl}
 
-Or visit the approval dashboard: http://${this.host}:${this.port}/
+Or visit the approval dashboard: ${this.baseUrl()}/
 `
             ).catch(console.error);
         }
@@ -136,44 +183,31 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
         return entry;
     }
 
-    async approve(id, notes = '') {
-        try {
-            if (this.db) {
-                const result = await this.db.pool.query('SELECT * FROM approvals WHERE id = $1 AND status = $2', [id, 'pending']);
-                if (result.rows.length > 0) {
-                    const app = result.rows[0];
-                    app.status = 'approved';
-                    app.decided_at = new Date().toISOString();
-                    app.notes = notes;
-                    await this.db.saveApproval(app);
-                    this.onApproval(app);
-                    return { success: true, item: app };
-                }
-            }
-            return { success: false, error: 'Approval not found in DB' };
-        } catch (error) {
-            console.error('Error in approve:', error);
-            return { success: false, error: error.message };
-        }
+    /**
+     * @param {Object} approver - { username, role } of the dashboard user or link
+     */
+    async approve(id, notes = '', approver = undefined) {
+        return this.decide(id, true, notes, approver);
     }
 
-    async reject(id, reason = '') {
+    async reject(id, reason = '', approver = undefined) {
+        return this.decide(id, false, reason, approver);
+    }
+
+    /**
+     * Cast one vote; callbacks fire only when the quorum policy resolves the approval
+     */
+    async decide(id, approved, notes, approver) {
         try {
-            if (this.db) {
-                const result = await this.db.pool.query('SELECT * FROM approvals WHERE id = $1 AND status = $2', [id, 'pending']);
-                if (result.rows.length > 0) {
-                    const app = result.rows[0];
-                    app.status = 'rejected';
-                    app.decided_at = new Date().toISOString();
-                    app.notes = reason;
-                    await this.db.saveApproval(app);
-                    this.onRejection(app);
-                    return { success: true, item: app };
-                }
-            }
-            return { success: false, error: 'Approval not found in DB' };
+            const result = await this.approvalFlow.decide(id, approved, notes, approver);
+            if (!result.success) return result;
+
+            const item = await this.db.getApproval(id);
+            if (result.status === 'approved') this.onApproval(item);
+            if (result.status === 'rejected') this.onRejection(item);
+            return { ...result, item };
         } catch (error) {
-            console.error('Error in reject:', error);
+            console.error(`Error in ${approved ? 'approve' : 'reject'}:`, error);
             return { success: false, error: error.message };
         }
     }
@@ -188,165 +222,6 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
         return this.loadApprovals().filter(a => a.status === 'pending');
     }
 
-    /**
-     * Generate web UI HTML
-     */
-    async generateDashboardHtml() {
-        const pending = await this.getPending();
-        const all = this.loadApprovals();
-
-        return `<!DOCTYPE html>
-<html>
-<head>
-    <title>🏛️ King AI - Approval Dashboard</title>
-    <meta name="viewport" content="width=device-width, initial-scale=1">
-    <style>
-        * { box-sizing: border-box; margin: 0; padding: 0; }
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
-            color: #fff;
-            min-height: 100vh;
-            padding: 20px;
-        }
-        .container { max-width: 900px; margin: 0 auto; }
-        h1 { 
-            font-size: 2rem; 
-            margin-bottom: 20px;
-            display: flex;
-            align-items: center;
-            gap: 10px;
-        }
-        .stats {
-            display: flex;
-            gap: 20px;
-            margin-bottom: 30px;
-        }
-        .stat {
-            background: rgba(255,255,255,0.1);
-            padding: 15px 25px;
-            border-radius: 10px;
-            text-align: center;
-        }
-        .stat-value { font-size: 2rem; font-weight: bold; }
-        .stat-label { opacity: 0.7; font-size: 0.9rem; }
-        .pending { color: #ffc107; }
-        .approved { color: #28a745; }
-        .rejected { color: #dc3545; }
-        .card {
-            background: rgba(255,255,255,0.05);
-            border: 1px solid rgba(255,255,255,0.1);
-            border-radius: 12px;
-            padding: 20px;
-            margin-bottom: 15px;
-        }
-        .card-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 15px;
-        }
-        .card-type {
-            background: rgba(255,193,7,0.2);
-            color: #ffc107;
-            padding: 5px 12px;
-            border-radius: 20px;
-            font-size: 0.85rem;
-        }
-        .card-time { opacity: 0.5; font-size: 0.85rem; }
-        .card-body { margin-bottom: 15px; }
-        .card-desc { 
-            background: rgba(0,0,0,0.2);
-            padding: 10px;
-            border-radius: 6px;
-            font-family: monospace;
-            font-size: 0.9rem;
-            white-space: pre-wrap;
-            max-height: 200px;
-            overflow-y: auto;
-        }
-        .actions {
-            display: flex;
-            gap: 10px;
-        }
-        .btn {
-            padding: 10px 25px;
-            border: none;
-            border-radius: 6px;
-            font-size: 1rem;
-            cursor: pointer;
-            text-decoration: none;
-            display: inline-block;
-            transition: transform 0.1s;
-        }
-        .btn:hover { transform: scale(1.02); }
-        .btn-approve { background: #28a745; color: #fff; }
-        .btn-reject { background: #dc3545; color: #fff; }
-        .empty {
-            text-align: center;
-            padding: 40px;
-            opacity: 0.5;
-        }
-        .refresh {
-            background: rgba(255,255,255,0.1);
-            color: #fff;
-            float: right;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>
-            🏛️ King AI - Approval Dashboard
-            <a href="/" class="btn refresh">🔄 Refresh</a>
-        </h1>
-        
-        <div class="stats">
-            <div class="stat">
-                <div class="stat-value pending">${pending.length}</div>
-                <div class="stat-label">Pending</div>
-            </div>
-            <div class="stat">
-                <div class="stat-value approved">${all.filter(a => a.status === 'approved').length}</div>
-                <div class="stat-label">Approved</div>
-            </div>
-            <div class="stat">
-                <div class="stat-value rejected">${all.filter(a => a.status === 'rejected').length}</div>
-                <div class="stat-label">Rejected</div>
-            </div>
-        </div>
-
-        <h2 style="margin-bottom: 15px;">Pending Approvals</h2>
-        
-        ${pending.length === 0 ? `
-            <div class="card empty">
-                ✅ No pending approvals. The AI is operating within policy.
-            </div>
-        ` : pending.map(item => `
-            <div class="card">
-                <div class="card-header">
-                    <span class="card-type">${item.taskType || item.type || 'Task'}</span>
-                    <span class="card-time">${new Date(item.createdAt).toLocaleString()}</span>
-                </div>
-                <div class="card-body">
-                    <div class="card-desc">${item.description || JSON.stringify(item.data || item, null, 2)}</div>
-                </div>
-                <div class="actions">
-                    <a href="/approve/${item.id}" class="btn btn-approve">✅ Approve</a>
-                    <a href="/reject/${item.id}" class="btn btn-reject">❌ Reject</a>
-                </div>
-            </div>
-        `).join('')}
-    </div>
-    
-    <script>
-        // Auto-refresh every 30 seconds
-        setTimeout(() => location.reload(), 30000);
-    </script>
-</body>
-</html>`;
-    }
-
     /**
      * Handle HTTP requests
      */
@@ -356,8 +231,8 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
 
         // CORS headers (allow frontend hosted elsewhere to call API)
         res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, X-CSRF-Token');
 
         // Respond to preflight and avoid further processing
         if (req.method === 'OPTIONS') {
@@ -411,6 +286,29 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
             }
         }
 
+        // Login, logout and account endpoints handle their own auth
+        if (pathname.startsWith('/api/auth/')) {
+            try {
+                return await this.handleAuthRequest(req, res, pathname, readJsonBody);
+            } catch (error) {
+                console.error('Error in /api/auth:', error);
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+
+        // Every other API route needs an authenticated user with the right role
+        let user = null;
+        if (pathname.startsWith('/api/')) {
+            const identity = await this.auth.authenticate(req);
+            const denied = this.authorize(req, pathname, identity);
+            if (denied) {
+                res.writeHead(denied.status, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ success: false, error: denied.error }));
+            }
+            user = identity.user;
+        }
+
         // API Endpoints
         if (pathname === '/api/all-data') {
             try {
@@ -423,7 +321,7 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
                 let recentTasks = [];
                 if (this.db) {
                     try {
-                        const allTasks = await this.db.db.all('SELECT * FROM tasks ORDER BY created_at DESC LIMIT 500');
+                        const allTasks = await this.db.getTasks({ limit: 500 });
                         activeTasks = allTasks.filter(t => t.status === 'running' || t.status === 'queued' || t.status === 'pending').map(t => ({
                             id: t.id,
                             name: t.name,
@@ -508,7 +406,7 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
         } else if (pathname === '/api/approve' && req.method === 'POST') {
             try {
                 const data = await readJsonBody();
-                const result = await this.approve(data.id, data.notes);
+                const result = await this.approve(data.id, data.notes, user);
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 return res.end(JSON.stringify(result));
             } catch (error) {
@@ -520,7 +418,7 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
         } else if (pathname === '/api/reject' && req.method === 'POST') {
             try {
                 const data = await readJsonBody();
-                const result = await this.reject(data.id, data.reason || data.notes || '');
+                const result = await this.reject(data.id, data.reason || data.notes || '', user);
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 return res.end(JSON.stringify(result));
             } catch (error) {
@@ -535,7 +433,7 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
 
                 let response;
                 if (this.commandHandler) {
-                    response = await this.commandHandler(data.command);
+                    response = await this.commandHandler(data.command, { sessionId: data.sessionId });
                 } else {
                     response = {
                         reply: `Received command: "${data.command}". No live agent currently connected; the request was recorded.`,
@@ -544,7 +442,8 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
                     };
                 }
 
-                res.writeHead(200, { 'Content-Type': 'application/json' });
+                const notFound = response?.success === false && /not found/i.test(response.error);
+                res.writeHead(notFound ? 404 : 200, { 'Content-Type': 'application/json' });
                 // Log the command if DB available
                 if (this.db && typeof this.db.log === 'function') {
                     try { await this.db.log('ceo', 'command', `User issued command: ${data.command}`, 'human-override'); } catch (e) { /* ignore */ }
@@ -556,6 +455,42 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
                 return res.end(JSON.stringify({ success: false, error: error.message }));
             }
 
+        } else if (pathname.startsWith('/api/chat/sessions')) {
+            try {
+                return await this.handleChatRequest(req, res, pathname, readJsonBody);
+            } catch (error) {
+                console.error('Error in /api/chat/sessions:', error);
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+
+        } else if (pathname === '/api/audit') {
+            try {
+                return await this.handleAuditRequest(req, res, url);
+            } catch (error) {
+                console.error('Error in /api/audit:', error);
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+
+        } else if (pathname.startsWith('/api/jobs')) {
+            try {
+                return await this.handleJobsRequest(req, res, pathname, url, readJsonBody, user);
+            } catch (error) {
+                console.error('Error in /api/jobs:', error);
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+
+        } else if (pathname === '/api/schedules') {
+            try {
+                return await this.handleSchedulesRequest(req, res);
+            } catch (error) {
+                console.error('Error in /api/schedules:', error);
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+
         } else if (pathname === '/api/launch' && req.method === 'POST') {
             try {
                 const data = await readJsonBody();
@@ -583,44 +518,326 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
             res.writeHead(200, { 'Content-Type': 'application/json' });
             return res.end(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() }));
 
-        } else if (pathname.startsWith('/approve/')) {
-            const id = pathname.split('/approve/')[1];
+        } else if (/^\/(approve|reject)\/[^/]+$/.test(pathname)) {
             try {
-                const result = await this.approve(id);
-                if (result.success) {
-                    res.writeHead(302, { 'Location': '/' });
-                    return res.end();
-                } else {
-                    res.writeHead(400, { 'Content-Type': 'text/plain' });
-                    return res.end('Approval failed: ' + result.error);
-                }
+                return await this.handleApprovalLink(req, res, url);
             } catch (error) {
-                console.error('Error in /approve:', error);
+                console.error('Error in approval link:', error);
                 res.writeHead(500, { 'Content-Type': 'text/plain' });
                 return res.end('Internal server error');
             }
 
-        } else if (pathname.startsWith('/reject/')) {
-            const id = pathname.split('/reject/')[1];
+        } else {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: 'Not found' }));
+        }
+    }
+
+    /**
+     * Role needed for an API route: approve/reject need 'approve', other
+     * writes (command, launch, chat) need 'operate', reads need 'read'
+     */
+    requiredPermission(method, pathname) {
+        if (pathname === '/api/approve' || pathname === '/api/reject') return 'approve';
+        return method === 'GET' ? 'read' : 'operate';
+    }
+
+    /**
+     * @returns {{status: number, error: string}|null} null when the request may proceed
+     */
+    authorize(req, pathname, identity) {
+        if (!identity) return { status: 401, error: 'Authentication required' };
+
+        const permission = this.requiredPermission(req.method, pathname);
+        if (!this.auth.can(identity.user, permission)) {
+            return { status: 403, error: `Role "${identity.user.role}" may not ${permission}` };
+        }
+        if (req.method !== 'GET' && !this.auth.checkCsrf(req, identity)) {
+            return { status: 403, error: 'Missing or invalid CSRF token' };
+        }
+        return null;
+    }
+
+    /**
+     * Auth API:
+     *   POST /api/auth/login   { username, password } -> session cookie + csrfToken
+     *   POST /api/auth/logout
+     *   GET  /api/auth/me      current user and csrfToken
+     *   POST /api/auth/tokens  { name } -> API token for the current user (shown once)
+     *   POST /api/auth/users   { username, password, role } (admin only)
+     */
+    async handleAuthRequest(req, res, pathname, readJsonBody) {
+        const json = (status, body, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            return res.end(JSON.stringify(body));
+        };
+
+        if (pathname === '/api/auth/login' && req.method === 'POST') {
+            const data = await readJsonBody();
+            const result = await this.auth.login(data.username, data.password, { ip: req.socket.remoteAddress });
+            if (!result.success) return json(401, result);
+            return json(200, {
+                success: true,
+                user: result.user,
+                csrfToken: result.csrfToken,
+                expiresAt: result.expiresAt
+            }, { 'Set-Cookie': this.auth.sessionCookie(result.sessionToken, result.expiresAt) });
+        }
+
+        const identity = await this.auth.authenticate(req);
+
+        if (pathname === '/api/auth/logout' && req.method === 'POST') {
+            if (identity?.via === 'session') await this.auth.logout(identity.sessionToken);
+            return json(200, { success: true }, { 'Set-Cookie': this.auth.clearedCookie() });
+        }
+
+        if (!identity) return json(401, { success: false, error: 'Authentication required' });
+
+        if (pathname === '/api/auth/me' && req.method === 'GET') {
+            return json(200, { user: identity.user, csrfToken: identity.csrfToken || null });
+        }
+
+        if (!this.auth.checkCsrf(req, identity)) {
+            return json(403, { success: false, error: 'Missing or invalid CSRF token' });
+        }
+
+        if (pathname === '/api/auth/tokens' && req.method === 'POST') {
+            const data = await readJsonBody();
+            return json(201, await this.auth.createApiToken(identity.user.id, data.name));
+        }
+
+        if (pathname === '/api/auth/users' && req.method === 'POST') {
+            if (!this.auth.can(identity.user, 'admin')) {
+                return json(403, { success: false, error: `Role "${identity.user.role}" may not admin` });
+            }
+            const data = await readJsonBody();
             try {
-                const result = await this.reject(id);
-                if (result.success) {
-                    res.writeHead(302, { 'Location': '/' });
-                    return res.end();
-                } else {
-                    res.writeHead(400, { 'Content-Type': 'text/plain' });
-                    return res.end('Rejection failed: ' + result.error);
-                }
+                return json(201, await this.auth.createUser(data));
             } catch (error) {
-                console.error('Error in /reject:', error);
-                res.writeHead(500, { 'Content-Type': 'text/plain' });
-                return res.end('Internal server error');
+                return json(400, { success: false, error: error.message });
             }
+        }
 
+        return json(404, { error: 'Not found' });
+    }
+
+    /**
+     * Emailed links: GET shows a confirmation form (so link scanners that
+     * prefetch URLs cannot decide anything), POST burns the token and decides
+     */
+    async handleApprovalLink(req, res, url) {
+        const [, action, rawId] = url.pathname.split('/');
+        const id = decodeURIComponent(rawId);
+        const page = (status, title, body) => {
+            res.writeHead(status, { 'Content-Type': 'text/html' });
+            return res.end(renderLinkPage(title, body));
+        };
+
+        let token = url.searchParams.get('token');
+        if (req.method === 'POST') {
+            let body = '';
+            for await (const chunk of req) body += chunk;
+            token = new URLSearchParams(body).get('token') || token;
+        } else if (req.method !== 'GET') {
+            return page(405, 'Method not allowed', '');
+        }
+
+        const check = req.method === 'POST'
+            ? await this.auth.consumeApprovalLink(token, id, action)
+            : this.auth.verifyApprovalLink(token, id, action);
+        if (check.valid && !check.payload.approver) {
+            check.valid = false;
+            check.error = 'Approval link does not name an approver';
+        }
+        if (!check.valid) {
+            return page(403, 'Link not valid', `<p>${escapeHtml(check.error)}. Log in to the dashboard to decide this request.</p>`);
+        }
+
+        const approval = this.db ? await this.db.getApproval(id) : null;
+        if (!approval || approval.status !== 'pending') {
+            return page(409, 'Already decided', '<p>This request is no longer pending.</p>');
+        }
+
+        if (req.method === 'GET') {
+            const label = action === 'approve' ? '✅ Approve' : '❌ Reject';
+            return page(200, `${label}: ${escapeHtml(approval.title || approval.type || id)}`, `
+        <p>${escapeHtml(approval.description || '')}</p>
+        ${approval.amount ? `<p><strong>Amount:</strong> ${escapeHtml(approval.amount)}</p>` : ''}
+        <form method="POST" action="/${action}/${encodeURIComponent(id)}">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">${label}</button>
+        </form>`);
+        }
+
+        const result = action === 'approve'
+            ? await this.approve(id, 'Decided via signed email link', check.payload.approver)
+            : await this.reject(id, 'Decided via signed email link', check.payload.approver);
+        if (!result.success) return page(400, 'Could not record decision', `<p>${escapeHtml(result.error)}</p>`);
+        if (result.status === 'pending') {
+            return page(200, '🗳️ Vote recorded', `<p>${result.approvals} of ${result.required} approvals so far; waiting for the other approvers.</p>`);
+        }
+        return page(200, action === 'approve' ? '✅ Approved' : '❌ Rejected', '<p>Your decision has been recorded.</p>');
+    }
+
+    /**
+     * Chat session API:
+     *   GET    /api/chat/sessions               list sessions (most recent first)
+     *   POST   /api/chat/sessions               create { title }
+     *   GET    /api/chat/sessions/:id           session with its messages
+     *   DELETE /api/chat/sessions/:id           delete a session
+     *   POST   /api/chat/sessions/:id/messages  send { content } and get the CEO's reply
+     */
+    async handleChatRequest(req, res, pathname, readJsonBody) {
+        const json = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify(body));
+        };
+
+        const match = pathname.match(/^\/api\/chat\/sessions(?:\/([^/]+)(\/messages)?)?\/?$/);
+        if (!match) return json(404, { error: 'Not found' });
+        const [, id, messages] = match;
+
+        if (!id) {
+            if (req.method === 'GET') return json(200, await this.chatSessions.listSessions());
+            if (req.method === 'POST') {
+                const data = await readJsonBody();
+                return json(201, await this.chatSessions.createSession({ title: data.title }));
+            }
+            return json(405, { error: 'Method not allowed' });
+        }
+
+        const session = await this.chatSessions.getSession(decodeURIComponent(id));
+        if (!session) return json(404, { success: false, error: `Chat session not found: ${id}` });
+
+        if (messages) {
+            if (req.method !== 'POST') return json(405, { error: 'Method not allowed' });
+            const data = await readJsonBody();
+            const content = String(data.content || data.command || '').trim();
+            if (!content) return json(400, { success: false, error: 'Message content is required' });
+
+            if (this.commandHandler) {
+                return json(200, await this.commandHandler(content, { sessionId: session.id }));
+            }
+
+            // No live agent: keep the turn so the conversation can resume later
+            const reply = `Received: "${content}". No live agent currently connected; the message was saved to this conversation.`;
+            await this.chatSessions.addMessage(session.id, 'user', content);
+            await this.chatSessions.addMessage(session.id, 'assistant', reply, { fallback: true });
+            return json(200, { reply, thoughts: null, fallback: true, sessionId: session.id });
+        }
+
+        if (req.method === 'GET') return json(200, session);
+        if (req.method === 'DELETE') return json(200, await this.chatSessions.deleteSession(session.id));
+        return json(405, { error: 'Method not allowed' });
+    }
+
+    /**
+     * Audit log search (read permission):
+     *   GET /api/audit?from=&to=&taskId=&businessId=&type=&approver=&status=&q=&limit=&offset=&order=
+     *     -> { entries, total, limit, offset }
+     *   add format=csv or format=jsonl to download every match instead of one page
+     */
+    async handleAuditRequest(req, res, url) {
+        const json = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify(body));
+        };
+        if (req.method !== 'GET') return json(405, { error: 'Method not allowed' });
+
+        const { format = 'json', ...filters } = Object.fromEntries(url.searchParams);
+        if (!['json', 'csv', 'jsonl'].includes(format)) {
+            return json(400, { success: false, error: `Unknown format: ${format} (expected json, csv or jsonl)` });
+        }
+        for (const key of ['from', 'to']) {
+            if (filters[key] && Number.isNaN(Date.parse(filters[key]))) {
+                return json(400, { success: false, error: `Invalid ${key} date: ${filters[key]}` });
+            }
+        }
+
+        if (format === 'json') return json(200, await this.auditSearch.query(filters));
+
+        const file = await this.auditSearch.export(filters, format);
+        res.writeHead(200, {
+            'Content-Type': `${file.contentType}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.${format}"`,
+            'X-Total-Count': String(file.total)
+        });
+        return res.end(file.content);
+    }
+
+    /**
+     * Job queue and dead-letter inspector:
+     *   GET  /api/jobs?status=dead&limit=&offset=  -> { jobs, total, counts }
+     *   GET  /api/jobs/:id                         one job with its error history and task
+     *   POST /api/jobs/:id/replay                  { edits } re-queue a dead job, merging edits into the task;
+     *                                              edits need the 'approve' permission and pass the policy again
+     *   POST /api/jobs/:id/discard                 drop a dead job
+     */
+    async handleJobsRequest(req, res, pathname, url, readJsonBody, user) {
+        const json = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify(body));
+        };
+
+        const match = pathname.match(/^\/api\/jobs(?:\/([^/]+)(?:\/(replay|discard))?)?\/?$/);
+        if (!match) return json(404, { error: 'Not found' });
+        const [, rawId, action] = match;
+
+        if (!rawId) {
+            if (req.method !== 'GET') return json(405, { error: 'Method not allowed' });
+            const { status = 'dead', limit, offset } = Object.fromEntries(url.searchParams);
+            const { jobs, total } = await this.jobQueue.list({ status, limit: Math.min(parseInt(limit) || 50, 500), offset });
+            return json(200, { jobs, total, counts: await this.jobQueue.counts() });
+        }
+
+        const id = decodeURIComponent(rawId);
+        if (!action) {
+            if (req.method !== 'GET') return json(405, { error: 'Method not allowed' });
+            const job = await this.jobQueue.getJob(id);
+            return job ? json(200, job) : json(404, { success: false, error: `Job not found: ${id}` });
+        }
+
+        if (req.method !== 'POST') return json(405, { error: 'Method not allowed' });
+        const handler = this.deadLetterHandler || this.jobQueue;
+        let result;
+        if (action === 'replay') {
+            const data = await readJsonBody();
+            if (data.edits !== undefined && (typeof data.edits !== 'object' || data.edits === null || Array.isArray(data.edits))) {
+                return json(400, { success: false, error: 'edits must be an object of task fields' });
+            }
+            const edits = data.edits || {};
+            if (Object.keys(edits).length > 0) {
+                if (!this.auth.can(user, 'approve')) {
+                    return json(403, { success: false, error: `Role "${user.role}" may not edit a task; replay it unchanged or ask an approver` });
+                }
+                // Without the Orchestrator nothing picks up a later approval, so flagged edits are refused here
+                const job = !this.deadLetterHandler && await this.jobQueue.getJob(id);
+                const evaluation = job && this.approvalFlow.policyEngine.evaluate({ ...job.payload, ...edits });
+                if (evaluation?.requiresApproval) {
+                    return json(409, { success: false, error: `The edited task needs approval (${evaluation.reason}); replay it through the orchestrator` });
+                }
+            }
+            result = await handler.replay(id, edits);
+            if (result.status === 'pending_approval') return json(202, result);
         } else {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            return res.end(JSON.stringify({ error: 'Not found' }));
+            result = await handler.discard(id);
         }
+        if (result.success) return json(200, result);
+        return json(/not found/i.test(result.error) ? 404 : 409, result);
+    }
+
+    /**
+     * Recurring schedules: GET /api/schedules -> { schedules } with each
+     * schedule's cron, timezone, next run and last outcome
+     */
+    async handleSchedulesRequest(req, res) {
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: 'Method not allowed' }));
+        }
+        const schedules = await this.scheduler.list();
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ schedules }));
     }
 
     /**
@@ -637,7 +854,15 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
                     return reject(new Error('Could not find free port after 100 attempts'));
                 }
 
-                this.server = http.createServer((req, res) => this.handleRequest(req, res));
+                this.server = http.createServer((req, res) => {
+                    // A route that throws answers 500 instead of taking the server down
+                    this.handleRequest(req, res).catch((error) => {
+                        console.error(`[ApprovalServer] ${req.method} ${req.url} failed:`, error);
+                        if (res.headersSent) return res.end();
+                        res.writeHead(500, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Internal server error' }));
+                    });
+                });
 
                 this.server.on('error', (e) => {
                     if (e.code === 'EADDRINUSE') {
@@ -672,4 +897,29 @@ Or visit the approval dashboard: http://${this.host}:${this.port}/
     }
 }
 
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function renderLinkPage(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>King AI - ${title}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #1a1a2e; color: #fff; padding: 40px 20px; }
+        .card { max-width: 560px; margin: 0 auto; background: rgba(255,255,255,0.05); border-radius: 12px; padding: 24px; }
+        button { padding: 10px 25px; border: none; border-radius: 6px; font-size: 1rem; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h2>${title}</h2>
+        ${body}
+    </div>
+</body>
+</html>`;
+}
+
 export default ApprovalServer;
@@ -1,19 +1,87 @@
 /**
- * Audit Logger - Immutable logging for all AI actions
- * Creates an append-only log of proposals, decisions, and deployments
+ * Audit Logger - Tamper-evident logging for all AI actions
+ * Creates an append-only log of proposals, decisions, and deployments.
+ * Entries go to daily segments (YYYY-MM-DD.chain.jsonl); each carries a
+ * sequence number and the hash of the entry before it, so an edited, removed
+ * or reordered entry breaks the chain. Every `checkpointEvery` entries the
+ * chain head is HMAC-signed into checkpoints.jsonl (AUDIT_SIGNING_KEY), which
+ * stops someone from quietly rewriting the whole chain. `verify()` (or
+ * `npm run audit:verify`) walks it all. Pre-chain YYYY-MM-DD.jsonl(.gz) files
+ * are still read but cannot be verified.
  */
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import zlib from 'zlib';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const GENESIS_HASH = '0'.repeat(64);
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.chain\.jsonl$/;
+const LEGACY_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl(\.gz)?$/;
+const CHECKPOINT_FILE = 'checkpoints.jsonl';
+const LOCK_FILE = '.lock';
+// Give up waiting for a live holder after this long
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 5;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a process with this id is still running on this machine
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
+
+/**
+ * Last complete line of a file, reading backwards from the end
+ * @returns {{line: string|null, torn: boolean}} torn when the file ends mid-line
+ */
+function readLastLine(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        for (let chunk = 4096; ; chunk *= 4) {
+            const start = Math.max(0, size - chunk);
+            const buffer = Buffer.alloc(size - start);
+            fs.readSync(fd, buffer, 0, buffer.length, start);
+            const lines = buffer.toString('utf-8').split('\n');
+            const torn = lines.at(-1) !== '';
+            const complete = lines.slice(0, -1);
+            // The first line of a partial read may be cut off, so only trust it at the start of the file
+            if (complete.length >= 2 || start === 0) return { line: complete.at(-1) ?? null, torn };
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
 export class AuditLogger {
+    /**
+     * @param {Object} config
+     * @param {string} [config.logDir] - default AUDIT_LOG_PATH, then data/audit-logs
+     * @param {string} [config.signingKey] - HMAC key for checkpoints (AUDIT_SIGNING_KEY)
+     * @param {number} [config.checkpointEvery] - entries between signed checkpoints (default 100)
+     */
     constructor(config = {}) {
-        this.logDir = config.logDir || path.join(__dirname, '../../data/audit-logs');
+        this.logDir = config.logDir || process.env.AUDIT_LOG_PATH || path.join(__dirname, '../../data/audit-logs');
+        this.signingKey = config.signingKey || process.env.AUDIT_SIGNING_KEY || null;
+        this.checkpointEvery = config.checkpointEvery || 100;
         this.ensureLogDir();
     }
 
@@ -28,36 +96,244 @@ export class AuditLogger {
      */
     getTodayLogPath() {
         const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        return path.join(this.logDir, `${date}.jsonl.gz`);
+        return this.segmentPath(date);
+    }
+
+    segmentPath(date) {
+        return path.join(this.logDir, `${date}.chain.jsonl`);
+    }
+
+    /**
+     * Chain segments, oldest first
+     */
+    listSegments() {
+        return fs.readdirSync(this.logDir).filter(name => SEGMENT_PATTERN.test(name)).sort();
     }
 
     /**
      * Log an entry (append-only)
+     * Callers may fire and forget; a write that fails is reported here.
      * @param {Object} entry - The log entry
+     * @returns {Promise<Object|null>} the chained entry, or null when it could not be written
      */
     log(entry) {
-        const enrichedEntry = {
-            ...entry,
-            timestamp: new Date().toISOString(),
-            id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-        };
+        return this.withLock(() => {
+            const logPath = this.getTodayLogPath();
+            const head = this.chainHead(logPath);
+
+            const body = {
+                ...entry,
+                timestamp: new Date().toISOString(),
+                id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                seq: head.seq + 1,
+                prevHash: head.hash
+            };
+            const enrichedEntry = { ...body, hash: sha256(JSON.stringify(body)) };
+
+            // A crash can leave half a line behind; start on a fresh line so only that entry is lost
+            fs.appendFileSync(logPath, `${head.torn ? '\n' : ''}${JSON.stringify(enrichedEntry)}\n`);
+
+            if (enrichedEntry.seq % this.checkpointEvery === 0) {
+                this.writeCheckpoint(enrichedEntry, path.basename(logPath));
+            }
+            return enrichedEntry;
+        }).catch(error => {
+            console.error(`[AuditLogger] Could not write ${entry.type || 'entry'}:`, error.message);
+            return null;
+        });
+    }
+
+    /**
+     * Sequence number and hash of the newest entry, read from the end of the
+     * newest segment so every logger instance and process extends one chain
+     */
+    chainHead(logPath) {
+        let segment = fs.existsSync(logPath) ? logPath : null;
+        if (!segment) {
+            const latest = this.listSegments().at(-1);
+            segment = latest ? path.join(this.logDir, latest) : null;
+        }
+        if (!segment) return { seq: 0, hash: GENESIS_HASH, torn: false };
+
+        const { line, torn } = readLastLine(segment);
+        const sameFile = segment === logPath;
+        if (!line) return { seq: 0, hash: GENESIS_HASH, torn: torn && sameFile };
+
+        try {
+            const last = JSON.parse(line);
+            return { seq: last.seq, hash: last.hash, torn: torn && sameFile };
+        } catch (e) {
+            console.error(`[AuditLogger] Last entry in ${path.basename(segment)} is unreadable; run npm run audit:verify`);
+            return { seq: 0, hash: sha256(line), torn: torn && sameFile };
+        }
+    }
+
+    /**
+     * Cross-process mutex around read-head-then-append. The lock file holds
+     * the owner's PID; waiters retry on a timer, and only a lock whose owner
+     * is no longer running counts as stale. `fn` runs synchronously, so an
+     * uncontended call writes before its first await.
+     */
+    async withLock(fn) {
+        const lockPath = path.join(this.logDir, LOCK_FILE);
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        let fd = this.tryLock(lockPath);
+        while (fd === null) {
+            if (Date.now() > deadline) throw new Error(`Timed out waiting for the audit log lock (${lockPath})`);
+            await sleep(LOCK_RETRY_MS);
+            fd = this.tryLock(lockPath);
+        }
+
+        try {
+            return fn();
+        } finally {
+            fs.closeSync(fd);
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Take the lock if it is free or its owner has died
+     * @returns {number|null} the lock file descriptor, or null while another process holds it
+     */
+    tryLock(lockPath) {
+        try {
+            const fd = fs.openSync(lockPath, 'wx');
+            fs.writeSync(fd, String(process.pid));
+            return fd;
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+
+        let owner;
+        let age;
+        try {
+            owner = fs.readFileSync(lockPath, 'utf-8');
+            age = Date.now() - fs.statSync(lockPath).mtimeMs;
+        } catch (e) {
+            return null; // released between open and read
+        }
+        const pid = Number(owner);
+        if (owner && Number.isInteger(pid)) {
+            if (isRunning(pid)) return null;
+        } else if (age < LOCK_TIMEOUT_MS) {
+            return null; // no PID yet: the lock is being taken right now
+        }
+
+        console.warn(`[AuditLogger] Breaking audit log lock left by process ${owner || 'unknown'}`);
+        fs.rmSync(lockPath, { force: true });
+        return null;
+    }
+
+    // ---------------------------------------------------------------------
+    // Checkpoints and verification
+    // ---------------------------------------------------------------------
+
+    signCheckpoint(checkpoint) {
+        if (!this.signingKey) return null;
+        const { seq, hash, segment, timestamp } = checkpoint;
+        return crypto.createHmac('sha256', this.signingKey).update(JSON.stringify({ seq, hash, segment, timestamp })).digest('hex');
+    }
+
+    writeCheckpoint(entry, segment) {
+        const checkpoint = { seq: entry.seq, hash: entry.hash, segment, timestamp: new Date().toISOString() };
+        checkpoint.signature = this.signCheckpoint(checkpoint);
+        fs.appendFileSync(path.join(this.logDir, CHECKPOINT_FILE), JSON.stringify(checkpoint) + '\n');
+        return checkpoint;
+    }
+
+    /**
+     * Sign the current chain head now (e.g. before shipping logs off-box)
+     * @returns {Promise<Object|null>} the checkpoint, or null while the log is empty
+     */
+    checkpoint() {
+        return this.withLock(() => {
+            const latest = this.listSegments().at(-1);
+            if (!latest) return null;
+            const head = this.chainHead(path.join(this.logDir, latest));
+            return head.seq > 0 ? this.writeCheckpoint(head, latest) : null;
+        });
+    }
+
+    readCheckpoints() {
+        const file = path.join(this.logDir, CHECKPOINT_FILE);
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf-8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
 
-        const logPath = this.getTodayLogPath();
-        let content = '';
-        if (fs.existsSync(logPath)) {
-            try {
-                const compressedContent = fs.readFileSync(logPath);
-                content = zlib.gunzipSync(compressedContent).toString('utf-8');
-            } catch (e) {
-                console.error(`[AuditLogger] Error reading existing log: ${e.message}`);
+    /**
+     * Walk every segment and checkpoint looking for edits, gaps and truncation
+     * @returns {Object} - { valid, entries, segments, checkpoints, head, errors: [{ segment, line, seq, error }], warnings }
+     */
+    verify() {
+        const errors = [];
+        const warnings = [];
+        const hashesBySeq = new Map();
+        let prev = { seq: 0, hash: GENESIS_HASH };
+        let entries = 0;
+
+        const segments = this.listSegments();
+        for (const segment of segments) {
+            const lines = fs.readFileSync(path.join(this.logDir, segment), 'utf-8').split('\n');
+            if (lines.at(-1) === '') lines.pop();
+
+            lines.forEach((line, index) => {
+                const at = { segment, line: index + 1 };
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    errors.push({ ...at, seq: null, error: 'Unreadable entry (edited or torn write)' });
+                    return;
+                }
+
+                const { hash, ...body } = entry;
+                if (sha256(JSON.stringify(body)) !== hash) {
+                    errors.push({ ...at, seq: entry.seq, error: 'Entry contents do not match its hash (edited)' });
+                }
+                if (entry.seq !== prev.seq + 1) {
+                    errors.push({ ...at, seq: entry.seq, error: `Sequence gap: expected ${prev.seq + 1}, found ${entry.seq}` });
+                } else if (entry.prevHash !== prev.hash) {
+                    errors.push({ ...at, seq: entry.seq, error: 'Previous-hash link is broken (entry removed or reordered)' });
+                }
+
+                hashesBySeq.set(entry.seq, hash);
+                prev = { seq: entry.seq, hash };
+                entries++;
+            });
+        }
+
+        const checkpoints = this.readCheckpoints();
+        for (const checkpoint of checkpoints) {
+            const at = { segment: CHECKPOINT_FILE, line: null, seq: checkpoint.seq };
+            if (checkpoint.signature === null || checkpoint.signature === undefined) {
+                if (this.signingKey) errors.push({ ...at, error: 'Checkpoint is unsigned' });
+            } else if (!this.signingKey) {
+                warnings.push(`Checkpoint ${checkpoint.seq} is signed but AUDIT_SIGNING_KEY is not set, so it was not checked`);
+            } else if (checkpoint.signature !== this.signCheckpoint(checkpoint)) {
+                errors.push({ ...at, error: 'Checkpoint signature is invalid' });
+            }
+
+            if (checkpoint.seq > prev.seq) {
+                errors.push({ ...at, error: `Log ends at ${prev.seq} but was checkpointed at ${checkpoint.seq} (truncated)` });
+            } else if (hashesBySeq.has(checkpoint.seq) && hashesBySeq.get(checkpoint.seq) !== checkpoint.hash) {
+                errors.push({ ...at, error: 'Entry no longer matches its checkpoint (chain rewritten)' });
             }
         }
 
-        content += JSON.stringify(enrichedEntry) + '\n';
-        const compressed = zlib.gzipSync(content);
-        fs.writeFileSync(logPath, compressed);
+        if (!this.signingKey) warnings.push('AUDIT_SIGNING_KEY is not set; checkpoints are unsigned');
+        const legacy = fs.readdirSync(this.logDir).filter(name => LEGACY_PATTERN.test(name));
+        if (legacy.length > 0) warnings.push(`${legacy.length} pre-chain log file(s) cannot be verified`);
 
-        return enrichedEntry;
+        return {
+            valid: errors.length === 0,
+            entries,
+            segments: segments.length,
+            checkpoints: checkpoints.length,
+            head: prev,
+            errors,
+            warnings
+        };
     }
 
     /**
@@ -70,7 +346,8 @@ export class AuditLogger {
                 id: task.id,
                 name: task.name,
                 category: task.category,
-                description: task.description
+                description: task.description,
+                businessId: task.businessId
             },
             evaluation: {
                 requiresApproval: evaluation.requiresApproval,
@@ -81,14 +358,16 @@ export class AuditLogger {
 
     /**
      * Log an approval decision
+     * @param {Object} [details] - e.g. { approvalId, role, approvals, required, status } for quorum votes
      */
-    logApproval(taskId, approved, approver, notes = '') {
+    logApproval(taskId, approved, approver, notes = '', details = {}) {
         return this.log({
             type: 'approval',
             taskId,
             approved,
             approver,
-            notes
+            notes,
+            ...details
         });
     }
 
@@ -119,17 +398,31 @@ export class AuditLogger {
      * Get today's log entries
      */
     getTodayLogs() {
-        const logPath = this.getTodayLogPath();
-        if (!fs.existsSync(logPath)) {
-            return [];
-        }
+        return this.getLogsForDate(new Date().toISOString().split('T')[0]);
+    }
 
-        const compressed = fs.readFileSync(logPath);
-        const content = zlib.gunzipSync(compressed).toString('utf-8');
-        return content
-            .split('\n')
-            .filter(line => line.trim())
-            .map(line => JSON.parse(line));
+    /**
+     * Entries for one day (YYYY-MM-DD), including any pre-chain file for that day
+     */
+    getLogsForDate(date) {
+        const files = [`${date}.jsonl.gz`, `${date}.jsonl`, `${date}.chain.jsonl`]
+            .map(name => path.join(this.logDir, name))
+            .filter(file => fs.existsSync(file));
+
+        return files.flatMap(file => {
+            const raw = fs.readFileSync(file);
+            const content = file.endsWith('.gz') ? zlib.gunzipSync(raw).toString('utf-8') : raw.toString('utf-8');
+            return content
+                .split('\n')
+                .filter(line => line.trim())
+                .flatMap(line => {
+                    try {
+                        return [JSON.parse(line)];
+                    } catch (e) {
+                        return []; // torn or tampered lines are reported by verify()
+                    }
+                });
+        });
     }
 
     /**
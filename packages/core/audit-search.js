@@ -0,0 +1,294 @@
+/**
+ * Audit Search - Indexed queries over every audit log segment
+ * The audit files stay the source of truth; this keeps a searchable copy in
+ * the audit_entries table. Each sync reads only what was appended to a chain
+ * segment since the last one (a segment that shrank is re-read from scratch),
+ * and pre-chain .jsonl(.gz) files are read once. Edits that keep a file's
+ * size are not picked up here — that is what `AuditLogger.verify()` is for.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEGMENT_PATTERN = /^\d{4}-\d{2}-\d{2}\.chain\.jsonl$/;
+const LEGACY_PATTERN = /^\d{4}-\d{2}-\d{2}\.jsonl(\.gz)?$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_LIMIT = 50;
+
+export const CSV_COLUMNS = ['timestamp', 'seq', 'type', 'event', 'taskId', 'businessId', 'approver', 'status', 'notes', 'details'];
+
+function text(value) {
+    return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+/**
+ * Pull the filterable fields out of an entry, whichever log* method wrote it
+ */
+export function auditFields(entry) {
+    const details = entry.details && typeof entry.details === 'object' ? entry.details : {};
+    let status = entry.status ?? details.status;
+    if (status === undefined && entry.type === 'approval') {
+        if (typeof entry.approved === 'boolean') status = entry.approved ? 'approved' : 'rejected';
+        else if (typeof entry.approved === 'string') status = entry.approved;
+    }
+    return {
+        type: text(entry.type),
+        event: text(entry.event),
+        taskId: text(entry.taskId ?? entry.task?.id ?? details.taskId),
+        businessId: text(entry.businessId ?? entry.task?.businessId ?? details.businessId ?? entry.result?.businessId),
+        approver: text(entry.approver ?? details.approver),
+        status: text(status)
+    };
+}
+
+function toRow(source, line, entry) {
+    const fields = auditFields(entry);
+    const json = JSON.stringify(entry);
+    return {
+        id: `${source}:${line}`,
+        source,
+        line,
+        entry_id: text(entry.id),
+        seq: Number.isInteger(entry.seq) ? entry.seq : null,
+        timestamp: text(entry.timestamp),
+        type: fields.type,
+        event: fields.event,
+        task_id: fields.taskId,
+        business_id: fields.businessId,
+        approver: fields.approver,
+        status: fields.status,
+        search_text: json.toLowerCase(),
+        entry: json
+    };
+}
+
+/**
+ * Rows for each complete line; line numbers match the file
+ */
+function parseLines(source, content, firstLine = 0) {
+    const rows = [];
+    content.split('\n').slice(0, -1).forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            const entry = JSON.parse(line);
+            if (entry && typeof entry === 'object') rows.push(toRow(source, firstLine + i + 1, entry));
+        } catch (e) {
+            // torn or tampered lines are reported by AuditLogger.verify()
+        }
+    });
+    return rows;
+}
+
+function countLines(content) {
+    return content.split('\n').length - 1;
+}
+
+/**
+ * YYYY-MM-DD or any Date-parsable value to an ISO bound. A bare date as the
+ * upper bound includes that whole day.
+ */
+function toBound(value, end = false) {
+    if (!value) return null;
+    if (DATE_ONLY.test(value)) {
+        const day = new Date(`${value}T00:00:00.000Z`);
+        if (end) day.setUTCDate(day.getUTCDate() + 1);
+        return day.toISOString();
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+    return date.toISOString();
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Text that a spreadsheet would run as a formula is prefixed with a quote
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export class AuditSearch {
+    /**
+     * @param {Object} config
+     * @param {Database} config.db - Shared Database instance
+     * @param {AuditLogger} [config.auditLogger] - Its logDir is indexed
+     * @param {string} [config.logDir] - Index this directory instead (default data/audit-logs)
+     * @param {number} [config.maxLimit] - Largest page a query may ask for (default 500)
+     * @param {number} [config.maxExport] - Largest CSV/JSONL export (default 10000)
+     */
+    constructor(config = {}) {
+        this.db = config.db;
+        this.logDir = config.logDir || config.auditLogger?.logDir || path.join(__dirname, '../../data/audit-logs');
+        this.maxLimit = config.maxLimit || 500;
+        this.maxExport = config.maxExport || 10000;
+        this._syncing = null;
+    }
+
+    /**
+     * Bring the index up to date with the files on disk. Concurrent callers share one pass.
+     * @returns {Promise<{files: number, indexed: number}>} files read and entries added
+     */
+    sync() {
+        if (!this._syncing) {
+            this._syncing = this.runSync().finally(() => { this._syncing = null; });
+        }
+        return this._syncing;
+    }
+
+    async runSync() {
+        await this.db.init();
+        const known = new Map((await this.db.listAuditIndexFiles()).map(file => [file.source, file]));
+        const names = fs.existsSync(this.logDir)
+            ? fs.readdirSync(this.logDir).filter(name => SEGMENT_PATTERN.test(name) || LEGACY_PATTERN.test(name)).sort()
+            : [];
+        const stats = { files: 0, indexed: 0 };
+
+        for (const name of names) {
+            const state = known.get(name);
+            known.delete(name);
+            const indexed = SEGMENT_PATTERN.test(name)
+                ? await this.indexSegment(name, state)
+                : await this.indexLegacyFile(name, state);
+            if (indexed !== null) {
+                stats.files++;
+                stats.indexed += indexed;
+            }
+        }
+
+        // Files that were deleted or rotated away
+        for (const source of known.keys()) {
+            await this.db.removeAuditIndexFile(source);
+        }
+        return stats;
+    }
+
+    /**
+     * Chain segments only grow, so pick up from the byte offset reached last time
+     * @returns {Promise<number|null>} entries indexed, or null when nothing changed
+     */
+    async indexSegment(name, state) {
+        const file = path.join(this.logDir, name);
+        const size = fs.statSync(file).size;
+        if (state && size === Number(state.size)) return null;
+
+        const append = Boolean(state) && size > Number(state.size);
+        const start = append ? Number(state.size) : 0;
+        const buffer = Buffer.alloc(size - start);
+        const fd = fs.openSync(file, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, start);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Leave a half-written last line for the next sync
+        const complete = buffer.subarray(0, buffer.lastIndexOf(0x0a) + 1);
+        if (append && complete.length === 0) return null;
+
+        const content = complete.toString('utf-8');
+        const firstLine = append ? Number(state.lines) : 0;
+        const rows = parseLines(name, content, firstLine);
+        await this.db.indexAuditFile(
+            { source: name, size: start + complete.length, lines: firstLine + countLines(content) },
+            rows,
+            !append
+        );
+        return rows.length;
+    }
+
+    /**
+     * Pre-chain files are no longer written to; re-read one only if its size changes
+     */
+    async indexLegacyFile(name, state) {
+        const file = path.join(this.logDir, name);
+        const size = fs.statSync(file).size;
+        if (state && size === Number(state.size)) return null;
+
+        const raw = fs.readFileSync(file);
+        let content;
+        try {
+            content = name.endsWith('.gz') ? zlib.gunzipSync(raw).toString('utf-8') : raw.toString('utf-8');
+        } catch (e) {
+            console.warn(`[AuditSearch] Skipping unreadable ${name}: ${e.message}`);
+            content = '';
+        }
+        if (content && !content.endsWith('\n')) content += '\n';
+
+        const rows = parseLines(name, content);
+        await this.db.indexAuditFile({ source: name, size, lines: countLines(content) }, rows, true);
+        return rows.length;
+    }
+
+    /**
+     * Search the audit log, newest first
+     * @param {Object} [options]
+     * @param {string} [options.from] - YYYY-MM-DD or ISO time (inclusive)
+     * @param {string} [options.to] - YYYY-MM-DD (whole day included) or ISO time (exclusive)
+     * @param {string} [options.taskId]
+     * @param {string} [options.businessId]
+     * @param {string} [options.type] - proposal, approval, execution, system
+     * @param {string} [options.approver]
+     * @param {string} [options.status] - e.g. approved, rejected, completed, failed
+     * @param {string} [options.q] - words that must all appear somewhere in the entry
+     * @param {number} [options.limit] - page size (default 50, max maxLimit)
+     * @param {number} [options.offset]
+     * @param {string} [options.order] - 'desc' (default) or 'asc'
+     * @returns {Promise<{entries: Array<Object>, total: number, limit: number, offset: number}>}
+     */
+    async query(options = {}, maxLimit = this.maxLimit) {
+        await this.sync();
+
+        const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), maxLimit);
+        const offset = Math.max(parseInt(options.offset) || 0, 0);
+        const { entries, total } = await this.db.queryAuditEntries({
+            from: toBound(options.from),
+            to: toBound(options.to, true),
+            taskId: text(options.taskId),
+            businessId: text(options.businessId),
+            type: text(options.type),
+            approver: text(options.approver),
+            status: text(options.status),
+            terms: String(options.q || '').toLowerCase().split(/\s+/).filter(Boolean),
+            order: options.order === 'asc' ? 'asc' : 'desc',
+            limit,
+            offset
+        });
+        return { entries, total, limit, offset };
+    }
+
+    /**
+     * Matching entries as a downloadable document; exports default to every match up to maxExport
+     * @param {string} format - 'csv' or 'jsonl'
+     * @returns {Promise<{content: string, contentType: string, count: number, total: number}>}
+     */
+    async export(options = {}, format = 'csv') {
+        if (!['csv', 'jsonl'].includes(format)) throw new Error(`Unknown export format: ${format}`);
+        const result = await this.query({ ...options, limit: options.limit || this.maxExport }, this.maxExport);
+
+        if (format === 'jsonl') {
+            return {
+                content: result.entries.map(entry => JSON.stringify(entry)).join('\n') + (result.entries.length ? '\n' : ''),
+                contentType: 'application/x-ndjson',
+                count: result.entries.length,
+                total: result.total
+            };
+        }
+
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const entry of result.entries) {
+            const fields = auditFields(entry);
+            const details = entry.details ?? entry.task ?? entry.result ?? null;
+            lines.push([
+                entry.timestamp, entry.seq, fields.type, fields.event, fields.taskId, fields.businessId,
+                fields.approver, fields.status, entry.notes ?? entry.evaluation?.reason, details
+            ].map(csvCell).join(','));
+        }
+        return { content: lines.join('\n') + '\n', contentType: 'text/csv', count: result.entries.length, total: result.total };
+    }
+}
+
+export default AuditSearch;
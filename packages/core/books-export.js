@@ -0,0 +1,530 @@
+/**
+ * Books Export - The general ledger in formats accounting software imports
+ * QuickBooks Desktop IIF, QuickBooks Web Connect (QBO, a bank or card
+ * account's activity as an OFX statement), Xero's CSV import templates, and
+ * Beancount / ledger-cli plain text. Each export is one dataset - journal
+ * entries, chart of accounts, invoices or a profit and loss report with a
+ * column per business - cut by date range and business.
+ *
+ * Journal amounts are in the books' base currency; Beancount and ledger-cli
+ * keep a line's original currency as a price annotation, and read the
+ * accounts export as the file that opens the accounts the journal uses.
+ * Invoices keep their own currency except in IIF, which has none and gets the
+ * booked base value.
+ */
+
+/**
+ * Datasets each format can carry. profit_loss is Xero CSV only: IIF, QBO,
+ * Beancount and ledger-cli import transactions and build their own reports
+ * from them, so a P&L there comes from exporting the journal instead.
+ */
+export const EXPORT_FORMATS = {
+    iif: ['journal', 'accounts', 'invoices'],
+    qbo: ['journal'],
+    xero: ['journal', 'accounts', 'invoices', 'profit_loss'],
+    beancount: ['journal', 'accounts', 'invoices'],
+    ledger: ['journal', 'accounts', 'invoices']
+};
+
+const EXTENSIONS = { iif: 'iif', qbo: 'qbo', xero: 'csv', beancount: 'beancount', ledger: 'ledger' };
+
+// Account codes are numbered per type in creation order, so existing codes never move
+const CODE_BASE = { asset: 1000, liability: 2000, equity: 3000, income: 4000, expense: 5000 };
+
+const ROOTS = { asset: 'Assets', liability: 'Liabilities', equity: 'Equity', income: 'Income', expense: 'Expenses' };
+
+const PAGE_SIZE = 500;
+
+export class ExportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExportError';
+    }
+}
+
+/**
+ * @param {Object} sources - { ledger: GeneralLedger, invoices: PaymentProcessor invoices (for the invoices dataset) }
+ * @param {Object} options - { format, dataset (default journal), from, to, businessId, source,
+ *   accountId (qbo; default checking), dateOrder (xero; 'DMY' default or 'MDY'), taxType (xero), salesTaxAccount (iif) }
+ * @returns {Promise<{format, dataset, filename, count, content}>}
+ * @throws {ExportError} for an unknown format or a dataset the format cannot carry
+ */
+export async function exportBooks(sources, options = {}) {
+    const format = String(options.format || '').toLowerCase();
+    const dataset = options.dataset || 'journal';
+    if (!EXPORT_FORMATS[format]) {
+        throw new ExportError(`Unknown export format: ${options.format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    if (!EXPORT_FORMATS[format].includes(dataset)) {
+        const hint = dataset === 'profit_loss' ? '; export the journal and run the report there, or use xero for a P&L file' : '';
+        throw new ExportError(`${format} exports ${EXPORT_FORMATS[format].join(', ')}, not ${dataset}${hint}`);
+    }
+
+    const { ledger } = sources;
+    const accounts = await ledger.listAccounts({ asOf: options.to, businessId: options.businessId });
+    const books = { accounts, byId: new Map(accounts.map(account => [account.id, account])), codes: accountCodes(accounts), names: accountNames(accounts), baseCurrency: ledger.baseCurrency };
+
+    let records;
+    let content;
+    if (dataset === 'journal') {
+        const filters = { from: options.from, to: options.to, businessId: options.businessId, source: options.source };
+        if (format === 'qbo') filters.accountId = options.accountId || ledger.cashAccount;
+        records = await allEntries(ledger, filters);
+        content = format === 'qbo'
+            ? writeQbo(records, books, { ...options, accountId: filters.accountId })
+            : JOURNAL_WRITERS[format](records, books, options);
+    } else if (dataset === 'accounts') {
+        records = accounts;
+        content = ACCOUNT_WRITERS[format](accounts, books, options);
+    } else if (dataset === 'invoices') {
+        if (!sources.invoices) throw new ExportError('No invoices to export from here; export them from FinanceModule');
+        records = filterInvoices(sources.invoices, options);
+        content = INVOICE_WRITERS[format](records, books, options);
+    } else {
+        const report = await profitLossByBusiness(ledger, options);
+        records = report.rows;
+        content = writeXeroProfitLoss(report, books);
+    }
+
+    const scope = [options.businessId, options.from, options.to].filter(Boolean).join('_');
+    return {
+        format,
+        dataset,
+        filename: `${dataset}${scope ? `-${scope}` : ''}.${EXTENSIONS[format]}`,
+        count: records.length,
+        content
+    };
+}
+
+async function allEntries(ledger, filters) {
+    const entries = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = await ledger.listEntries({ ...filters, limit: PAGE_SIZE, offset });
+        entries.push(...page.entries);
+        if (entries.length >= page.total || page.entries.length === 0) return entries;
+    }
+}
+
+function filterInvoices(invoices, options) {
+    return invoices
+        .filter(invoice => invoice.status !== 'void')
+        .filter(invoice => !options.businessId || invoice.businessId === options.businessId)
+        .filter(invoice => (!options.from || isoDate(invoice.createdAt) >= options.from) && (!options.to || isoDate(invoice.createdAt) <= options.to))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Income and expense accounts with a column per business, plus a column for
+ * lines posted without one when there are any
+ */
+async function profitLossByBusiness(ledger, options) {
+    const period = { from: options.from, to: options.to };
+    const total = await ledger.getProfitLoss({ ...period, businessId: options.businessId });
+    const businessIds = options.businessId ? [options.businessId] : Object.keys(await ledger.getBusinessTotals(period)).sort();
+    const columns = [];
+    for (const businessId of businessIds) {
+        columns.push({ name: businessId, report: options.businessId ? total : await ledger.getProfitLoss({ ...period, businessId }) });
+    }
+
+    const amountOf = (report, id) => cents([...report.incomeAccounts, ...report.expenseAccounts].find(a => a.id === id)?.amount || 0);
+    const row = type => account => ({
+        id: account.id,
+        name: account.name,
+        type,
+        values: columns.map(column => amountOf(column.report, account.id)),
+        total: cents(account.amount)
+    });
+    const rows = [...total.incomeAccounts.map(row('income')), ...total.expenseAccounts.map(row('expense'))];
+
+    // Lines with no business land in their own column so every row adds up
+    const unassigned = rows.map(row => row.total - row.values.reduce((sum, value) => sum + value, 0));
+    if (!options.businessId && unassigned.some(value => value !== 0)) {
+        columns.push({ name: 'Unassigned' });
+        rows.forEach((row, index) => row.values.push(unassigned[index]));
+    }
+    return { columns: columns.map(column => column.name), rows, period };
+}
+
+// --- Account names and codes ---
+
+export function accountCodes(accounts) {
+    const codes = new Map();
+    for (const type of Object.keys(CODE_BASE)) {
+        accounts
+            .filter(account => account.type === type)
+            .sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')) || a.id.localeCompare(b.id))
+            .forEach((account, index) => codes.set(account.id, String(CODE_BASE[type] + index * 10)));
+    }
+    return codes;
+}
+
+/**
+ * Beancount / ledger-cli names: "Accounts Receivable" -> Assets:AccountsReceivable
+ */
+function accountNames(accounts) {
+    const names = new Map();
+    const used = new Set();
+    for (const account of accounts) {
+        let leaf = String(account.name).split(/[^A-Za-z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+        if (!/^[A-Z0-9]/.test(leaf) || used.has(`${account.type}:${leaf}`)) {
+            leaf = account.id.split('-').map(word => word && word[0].toUpperCase() + word.slice(1)).join('-');
+        }
+        used.add(`${account.type}:${leaf}`);
+        names.set(account.id, `${ROOTS[account.type]}:${leaf}`);
+    }
+    return names;
+}
+
+function iifAccountType(account) {
+    if (account.type === 'asset') return { bank: 'BANK', cash: 'BANK', receivable: 'AR', fixed: 'FIXASSET' }[account.subtype] || 'OCASSET';
+    if (account.type === 'liability') return { payable: 'AP', credit_card: 'CCARD', long_term: 'LTLIAB' }[account.subtype] || 'OCLIAB';
+    if (account.type === 'equity') return 'EQUITY';
+    if (account.type === 'income') return account.subtype === 'other' ? 'EXINC' : 'INC';
+    return account.subtype === 'cogs' ? 'COGS' : 'EXP';
+}
+
+function xeroAccountType(account) {
+    if (account.type === 'asset') return account.subtype === 'fixed' ? 'FIXED' : 'CURRENT';
+    if (account.type === 'liability') return account.subtype === 'long_term' ? 'TERMLIAB' : 'CURRLIAB';
+    if (account.type === 'equity') return 'EQUITY';
+    if (account.type === 'income') return account.subtype === 'other' ? 'OTHERINCOME' : 'REVENUE';
+    return account.subtype === 'cogs' ? 'DIRECTCOSTS' : 'EXPENSE';
+}
+
+// --- QuickBooks IIF ---
+
+function iifRow(cells) {
+    return cells.map(cell => String(cell ?? '').replace(/[\t\r\n]+/g, ' ')).join('\t');
+}
+
+function writeIifJournal(entries, books) {
+    const rows = [
+        iifRow(['!TRNS', 'TRNSTYPE', 'DATE', 'ACCNT', 'CLASS', 'AMOUNT', 'MEMO']),
+        iifRow(['!SPL', 'TRNSTYPE', 'DATE', 'ACCNT', 'CLASS', 'AMOUNT', 'MEMO']),
+        '!ENDTRNS'
+    ];
+    for (const entry of entries) {
+        entry.lines.forEach((line, index) => rows.push(iifRow([
+            index === 0 ? 'TRNS' : 'SPL',
+            'GENERAL JOURNAL',
+            usDate(entry.date),
+            books.byId.get(line.account)?.name || line.account,
+            line.businessId || entry.businessId || '',
+            money(cents(line.debit) - cents(line.credit)),
+            `${line.memo || entry.description || ''} [${entry.id}]`.trim()
+        ])));
+        rows.push('ENDTRNS');
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+function writeIifAccounts(accounts, books) {
+    const rows = [iifRow(['!ACCNT', 'NAME', 'ACCNTTYPE', 'ACCNUM', 'DESC'])];
+    for (const account of accounts) {
+        rows.push(iifRow(['ACCNT', account.name, iifAccountType(account), books.codes.get(account.id), account.id]));
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+function writeIifInvoices(invoices, books, options) {
+    const receivable = books.byId.get('ar')?.name || 'Accounts Receivable';
+    const revenue = books.byId.get('revenue')?.name || 'Service Revenue';
+    const salesTax = options.salesTaxAccount || books.byId.get('sales-tax')?.name || 'Sales Tax Payable';
+    const rows = [
+        iifRow(['!TRNS', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'CLASS', 'AMOUNT', 'DOCNUM', 'MEMO', 'DUEDATE']),
+        iifRow(['!SPL', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'CLASS', 'AMOUNT', 'MEMO', 'QNTY', 'PRICE']),
+        '!ENDTRNS'
+    ];
+    for (const invoice of invoices) {
+        // IIF has no currency: splits are valued at the rate the invoice was booked at
+        const rate = invoice.currency === books.baseCurrency ? 1 : invoice.exchangeRate;
+        if (!rate) throw new ExportError(`Invoice ${invoice.id} in ${invoice.currency} has no ${books.baseCurrency} rate; add one or export it as Xero, Beancount or ledger`);
+        const date = usDate(isoDate(invoice.createdAt));
+        const splits = invoice.items.map(item => ({
+            account: revenue,
+            amount: -cents(item.quantity * item.unitPrice * rate),
+            memo: item.description,
+            quantity: -item.quantity,
+            price: (item.unitPrice * rate).toFixed(2)
+        }));
+        if (invoice.tax) splits.push({ account: salesTax, amount: -cents(invoice.tax * rate), memo: `Tax ${invoice.taxRate}%` });
+
+        const total = -splits.reduce((sum, split) => sum + split.amount, 0);
+        rows.push(iifRow(['TRNS', 'INVOICE', date, receivable, invoice.client?.name, invoice.businessId || '', money(total), invoice.id, invoice.notes, usDate(isoDate(invoice.dueDate))]));
+        for (const split of splits) {
+            rows.push(iifRow(['SPL', 'INVOICE', date, split.account, invoice.client?.name, invoice.businessId || '', money(split.amount), split.memo, split.quantity ?? '', split.price ?? '']));
+        }
+        rows.push('ENDTRNS');
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+// --- QuickBooks Web Connect (QBO) ---
+
+function writeQbo(entries, books, options) {
+    const account = books.byId.get(options.accountId);
+    if (!account || !['asset', 'liability'].includes(account.type)) {
+        throw new ExportError(`QBO exports a bank or card account; ${options.accountId} is not one`);
+    }
+    const card = account.subtype === 'credit_card';
+    const transactions = [];
+    for (const entry of entries) {
+        entry.lines.forEach((line, index) => {
+            if (line.account !== account.id) return;
+            const amount = cents(line.debit) - cents(line.credit);
+            transactions.push([
+                '<STMTTRN>',
+                `<TRNTYPE>${amount >= 0 ? 'CREDIT' : 'DEBIT'}`,
+                `<DTPOSTED>${compactDate(entry.date)}`,
+                `<TRNAMT>${money(amount)}`,
+                `<FITID>${sgml(`${entry.id}-${index}`)}`,
+                `<NAME>${sgml((entry.metadata?.payee || entry.description || account.name).slice(0, 32))}`,
+                ...(entry.description ? [`<MEMO>${sgml(entry.description)}`] : []),
+                '</STMTTRN>'
+            ].join('\n'));
+        });
+    }
+
+    // Statements show money in the account as positive; a card's balance owed is negative
+    const balance = card ? -cents(account.balance) : cents(account.balance);
+    const dates = entries.map(entry => entry.date).sort();
+    const start = compactDate(options.from || dates[0] || isoDate(new Date()));
+    const end = compactDate(options.to || dates.at(-1) || isoDate(new Date()));
+    const [messages, response, statement, from] = card
+        ? ['CREDITCARDMSGSRSV1', 'CCSTMTTRNRS', 'CCSTMTRS', `<CCACCTFROM><ACCTID>${sgml(account.id)}</CCACCTFROM>`]
+        : ['BANKMSGSRSV1', 'STMTTRNRS', 'STMTRS', `<BANKACCTFROM><BANKID>${options.bankId || '000000000'}<ACCTID>${sgml(account.id)}<ACCTTYPE>${/saving/i.test(account.name) ? 'SAVINGS' : 'CHECKING'}</BANKACCTFROM>`];
+
+    return [
+        'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'SECURITY:NONE', 'ENCODING:USASCII',
+        'CHARSET:1252', 'COMPRESSION:NONE', 'OLDFILEUID:NONE', 'NEWFILEUID:NONE', '',
+        '<OFX>',
+        `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS><DTSERVER>${compactDate(isoDate(new Date()))}<LANGUAGE>ENG<INTU.BID>${options.intuBid || '3000'}</SONRS></SIGNONMSGSRSV1>`,
+        `<${messages}><${response}><TRNUID>1<STATUS><CODE>0<SEVERITY>INFO</STATUS>`,
+        `<${statement}><CURDEF>${books.baseCurrency}`,
+        from,
+        `<BANKTRANLIST><DTSTART>${start}<DTEND>${end}`,
+        ...transactions,
+        '</BANKTRANLIST>',
+        `<LEDGERBAL><BALAMT>${money(balance)}<DTASOF>${end}</LEDGERBAL>`,
+        `</${statement}></${response}></${messages}>`,
+        '</OFX>',
+        ''
+    ].join('\n');
+}
+
+function sgml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/[\r\n]+/g, ' ');
+}
+
+// --- Xero CSV ---
+
+function csvRow(cells) {
+    return cells.map((cell) => {
+        const text = String(cell ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+function xeroDate(date, options) {
+    const [year, month, day] = isoDate(date).split('-');
+    return options.dateOrder === 'MDY' ? `${month}/${day}/${year}` : `${day}/${month}/${year}`;
+}
+
+function writeXeroJournal(entries, books, options) {
+    const rows = [csvRow(['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount', 'TrackingName1', 'TrackingOption1'])];
+    for (const entry of entries) {
+        // Xero groups rows into one journal by narration and date, so the narration carries the entry id
+        const narration = `${entry.description || entry.source || 'Journal'} (${entry.id})`;
+        for (const line of entry.lines) {
+            const business = line.businessId || entry.businessId;
+            rows.push(csvRow([
+                narration,
+                xeroDate(entry.date, options),
+                line.memo || entry.description || '',
+                books.codes.get(line.account),
+                options.taxType || 'Tax Exempt',
+                money(cents(line.debit) - cents(line.credit)),
+                business ? 'Business' : '',
+                business || ''
+            ]));
+        }
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+function writeXeroAccounts(accounts, books, options) {
+    const rows = [csvRow(['*Code', '*Name', '*Type', '*Tax Code', 'Description'])];
+    for (const account of accounts) {
+        rows.push(csvRow([books.codes.get(account.id), account.name, xeroAccountType(account), options.taxType || 'Tax Exempt', account.id]));
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+function writeXeroInvoices(invoices, books, options) {
+    const rows = [csvRow([
+        '*ContactName', 'EmailAddress', '*InvoiceNumber', 'Reference', '*InvoiceDate', '*DueDate', 'Description',
+        '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'TaxAmount', 'TrackingName1', 'TrackingOption1', 'Currency'
+    ])];
+    for (const invoice of invoices) {
+        for (const item of invoice.items) {
+            rows.push(csvRow([
+                invoice.client?.name,
+                invoice.client?.email,
+                invoice.id,
+                invoice.notes,
+                xeroDate(invoice.createdAt, options),
+                xeroDate(invoice.dueDate, options),
+                item.description,
+                item.quantity,
+                item.unitPrice,
+                books.codes.get('revenue'),
+                options.taxType || 'Tax Exempt',
+                money(cents(item.quantity * item.unitPrice * (invoice.taxRate || 0) / 100)),
+                invoice.businessId ? 'Business' : '',
+                invoice.businessId || '',
+                invoice.currency
+            ]));
+        }
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+function writeXeroProfitLoss(report, books) {
+    const rows = [csvRow(['Account Code', 'Account', ...report.columns, 'Total'])];
+    const section = (type, title) => {
+        const lines = report.rows.filter(row => row.type === type);
+        for (const row of lines) rows.push(csvRow([books.codes.get(row.id), row.name, ...row.values.map(money), money(row.total)]));
+        const totals = report.columns.map((_, index) => lines.reduce((sum, row) => sum + row.values[index], 0));
+        rows.push(csvRow(['', title, ...totals.map(money), money(lines.reduce((sum, row) => sum + row.total, 0))]));
+        return { totals, total: lines.reduce((sum, row) => sum + row.total, 0) };
+    };
+    const income = section('income', 'Total Income');
+    const expenses = section('expense', 'Total Expenses');
+    rows.push(csvRow(['', 'Net Income', ...income.totals.map((value, index) => money(value - expenses.totals[index])), money(income.total - expenses.total)]));
+    return rows.join('\r\n') + '\r\n';
+}
+
+// --- Beancount and ledger-cli ---
+
+function quoted(text) {
+    return `"${String(text ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/[\r\n]+/g, ' ')}"`;
+}
+
+function plainTextAccounts(accounts, books, dialect) {
+    if (dialect === 'beancount') {
+        return [
+            `option "operating_currency" "${books.baseCurrency}"`,
+            '',
+            ...accounts.map(account => `1970-01-01 open ${books.names.get(account.id)}\n  name: ${quoted(account.name)}\n  code: ${quoted(books.codes.get(account.id))}`)
+        ].join('\n') + '\n';
+    }
+    return accounts.map(account => `account ${books.names.get(account.id)}\n    ; name: ${account.name}\n    ; code: ${books.codes.get(account.id)}`).join('\n') + '\n';
+}
+
+/**
+ * A posting's amount in the base currency, with the original amount priced
+ * in it when the line was booked from another currency
+ */
+function posting(amountCents, books, line) {
+    const base = `${money(amountCents)} ${books.baseCurrency}`;
+    if (!line?.currency || line.currency === books.baseCurrency || !line.amount) return base;
+    const original = Math.abs(Number(line.amount)) * Math.sign(amountCents);
+    return `${original} ${line.currency} @@ ${money(Math.abs(amountCents))} ${books.baseCurrency}`;
+}
+
+function plainTextTransaction(dialect, { date, flag, title, meta, postings }) {
+    const indent = dialect === 'beancount' ? '  ' : '    ';
+    const header = dialect === 'beancount'
+        ? `${date} ${flag} ${quoted(title)}`
+        : `${date.replace(/-/g, '/')} ${flag} ${String(title).replace(/[\r\n]+/g, ' ')}`;
+    const metadata = Object.entries(meta)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => dialect === 'beancount' ? `${indent}${key}: ${quoted(value)}` : `${indent}; ${key}: ${value}`);
+    const width = Math.max(...postings.map(([account]) => account.length)) + 4;
+    return [header, ...metadata, ...postings.map(([account, amount]) => `${indent}${account.padEnd(width)}${amount}`)].join('\n');
+}
+
+function writePlainTextJournal(dialect) {
+    return (entries, books) => {
+        const transactions = entries.map(entry => plainTextTransaction(dialect, {
+            date: entry.date,
+            flag: '*',
+            title: entry.description || entry.source || 'Journal entry',
+            meta: { entry: entry.id, business: entry.businessId, source: entry.source, reverses: entry.reverses },
+            postings: entry.lines.map(line => [
+                books.names.get(line.account) || line.account,
+                posting(cents(line.debit) - cents(line.credit), books, line)
+            ])
+        }));
+        return transactions.join('\n\n') + '\n';
+    };
+}
+
+function writePlainTextInvoices(dialect) {
+    return (invoices, books) => {
+        const receivable = books.names.get('ar') || 'Assets:AccountsReceivable';
+        const revenue = books.names.get('revenue') || 'Income:ServiceRevenue';
+        const salesTax = books.names.get('sales-tax') || 'Liabilities:SalesTaxPayable';
+        const transactions = invoices.map((invoice) => {
+            const lines = invoice.items.map(item => [revenue, `${money(-cents(item.quantity * item.unitPrice))} ${invoice.currency}`]);
+            if (invoice.tax) lines.push([salesTax, `${money(-cents(invoice.tax))} ${invoice.currency}`]);
+            const total = invoice.items.reduce((sum, item) => sum + cents(item.quantity * item.unitPrice), cents(invoice.tax));
+            return plainTextTransaction(dialect, {
+                date: isoDate(invoice.createdAt),
+                // Unpaid invoices are flagged as pending
+                flag: invoice.status === 'paid' ? '*' : '!',
+                title: `${invoice.client?.name || 'Customer'} invoice ${invoice.id}`,
+                meta: { invoice: invoice.id, business: invoice.businessId, status: invoice.status, due: isoDate(invoice.dueDate) },
+                postings: [[receivable, `${money(total)} ${invoice.currency}`], ...lines]
+            });
+        });
+        return transactions.join('\n\n') + '\n';
+    };
+}
+
+const JOURNAL_WRITERS = {
+    iif: writeIifJournal,
+    xero: writeXeroJournal,
+    beancount: writePlainTextJournal('beancount'),
+    ledger: writePlainTextJournal('ledger')
+};
+
+const ACCOUNT_WRITERS = {
+    iif: writeIifAccounts,
+    xero: writeXeroAccounts,
+    beancount: (accounts, books) => plainTextAccounts(accounts, books, 'beancount'),
+    ledger: (accounts, books) => plainTextAccounts(accounts, books, 'ledger')
+};
+
+const INVOICE_WRITERS = {
+    iif: writeIifInvoices,
+    xero: writeXeroInvoices,
+    beancount: writePlainTextInvoices('beancount'),
+    ledger: writePlainTextInvoices('ledger')
+};
+
+// --- Formatting ---
+
+function cents(amount) {
+    return Math.round(Number(amount || 0) * 100);
+}
+
+function money(amountCents) {
+    return (amountCents / 100).toFixed(2);
+}
+
+function isoDate(value) {
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    return String(value || '').slice(0, 10);
+}
+
+function usDate(date) {
+    const [year, month, day] = isoDate(date).split('-');
+    return `${month}/${day}/${year}`;
+}
+
+function compactDate(date) {
+    return isoDate(date).replace(/-/g, '');
+}
+
+export default exportBooks;
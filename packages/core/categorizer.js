@@ -0,0 +1,300 @@
+/**
+ * Categorizer - Assign bookkeeping categories to transactions
+ * Rules match on payee (plain text tested against payee and description,
+ * with | between alternatives), amount range, account and type. Payee
+ * patterns are compiled from escaped words only, so a rule cannot bring a
+ * regular expression that backtracks for ever. The highest priority rule
+ * wins, then the most specific. When no rule matches and a ModelRouter is
+ * configured, the model suggests a category with a confidence, used only at
+ * or above minConfidence. Correcting a category learns a payee rule, so the
+ * next transaction from that payee is filed the same way whether it was
+ * entered by hand, imported from a statement or came from Stripe.
+ */
+
+import { getStateStore } from './state-store.js';
+import { getGeneralLedger, accountIdFor } from './general-ledger.js';
+
+const SUGGESTION_SCHEMA = {
+    type: 'object',
+    required: ['category', 'confidence'],
+    properties: {
+        category: { type: 'string' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        reasoning: { type: 'string' }
+    }
+};
+
+const MAX_PAYEE_LENGTH = 200;
+// Regular expression syntax a payee pattern may not contain (apart from the \W+ payeePattern() writes)
+const PAYEE_SYNTAX = /[()[\]{}*+?^$\\]/;
+// Words card processors wrap around payee names; left out of learned rules
+const PAYEE_NOISE = new Set(['pos', 'purchase', 'debit', 'credit', 'card', 'ach', 'payment', 'online', 'recurring', 'sq', 'tst', 'www', 'com', 'inc', 'llc', 'ltd']);
+
+export class CategorizationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CategorizationError';
+    }
+}
+
+/**
+ * Case-insensitive pattern for the words of a payee, e.g.
+ * "SQ *BLUE BOTTLE #0412" -> "blue\W+bottle"; null when nothing is left
+ */
+export function payeePattern(payee) {
+    const words = String(payee || '').toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(word => word.length > 1);
+    const kept = words.filter(word => !PAYEE_NOISE.has(word));
+    const chosen = kept.length > 0 ? kept : words;
+    return chosen.length > 0 ? chosen.join('\\W+') : null;
+}
+
+/**
+ * Compile a payee pattern: "|" separates alternatives, and whitespace or \W+
+ * between words matches any run of spaces and punctuation. Everything else
+ * is literal text.
+ * @throws {CategorizationError} when the pattern is too long or uses other regex syntax
+ */
+export function payeeRegExp(payee) {
+    const text = String(payee);
+    if (text.length > MAX_PAYEE_LENGTH) {
+        throw new CategorizationError(`Payee pattern is longer than ${MAX_PAYEE_LENGTH} characters`);
+    }
+    const alternatives = text.split('|').map(alternative => {
+        const words = alternative.split(/\\W\+|\s+/).filter(Boolean);
+        if (words.some(word => PAYEE_SYNTAX.test(word))) {
+            throw new CategorizationError(`Invalid payee pattern "${text}": use plain text with | between alternatives`);
+        }
+        return words.map(word => word.replace(/\./g, '\\.')).join('\\W+');
+    }).filter(Boolean);
+    if (alternatives.length === 0) throw new CategorizationError(`Invalid payee pattern "${text}": no words to match`);
+    return new RegExp(alternatives.join('|'), 'i');
+}
+
+function specificity(rule) {
+    return ['payee', 'accountId', 'type'].filter(field => rule[field]).length +
+        (rule.minAmount !== null || rule.maxAmount !== null ? 1 : 0);
+}
+
+export class Categorizer {
+    /**
+     * @param {Object} config
+     * @param {Object} [config.modelRouter] - ModelRouter for suggestions when no rule matches
+     * @param {number} [config.minConfidence] - lowest model confidence that is applied (default 0.7)
+     */
+    constructor(config = {}) {
+        this.store = getStateStore(config);
+        this.rulesStore = this.store.collection('finance.category-rules');
+        this.ledger = getGeneralLedger(config);
+        this.modelRouter = config.modelRouter || null;
+        this.minConfidence = config.minConfidence ?? 0.7;
+        this.rules = [];
+        this._ready = null;
+    }
+
+    async init() {
+        if (!this._ready) {
+            this._ready = this.rulesStore.values().then((rules) => {
+                this.rules = rules;
+            }).catch((err) => {
+                this._ready = null;
+                throw err;
+            });
+        }
+        await this._ready;
+        return this;
+    }
+
+    // --- Rules ---
+
+    /**
+     * @param {Object} rule - { category, payee (regex), minAmount, maxAmount, accountId, type, deductible, priority }
+     * @throws {CategorizationError} on a missing category, a rule with no conditions, a bad regex or range
+     */
+    async addRule(rule) {
+        await this.init();
+        const record = this.validate({
+            id: rule.id || `rule-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+            category: rule.category,
+            payee: rule.payee || null,
+            minAmount: rule.minAmount ?? null,
+            maxAmount: rule.maxAmount ?? null,
+            accountId: rule.accountId || null,
+            type: rule.type || null,
+            deductible: rule.deductible ?? null,
+            priority: Number(rule.priority) || 0,
+            source: rule.source || 'user', // user, learned
+            corrections: rule.corrections || 0,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        this.rules.push(record);
+        await this.rulesStore.set(record.id, record);
+        console.log(`[Categorizer] Added ${record.source} rule ${record.id} -> ${record.category}`);
+        return record;
+    }
+
+    async updateRule(id, changes) {
+        await this.init();
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index < 0) throw new CategorizationError(`Rule not found: ${id}`);
+        const updated = this.validate({ ...this.rules[index], ...changes, id, updatedAt: new Date().toISOString() });
+        this.rules[index] = updated;
+        await this.rulesStore.set(id, updated);
+        return updated;
+    }
+
+    async removeRule(id) {
+        await this.init();
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index < 0) return { success: false, error: `Rule not found: ${id}` };
+        this.rules.splice(index, 1);
+        await this.rulesStore.delete(id);
+        return { success: true };
+    }
+
+    /**
+     * Rules in the order they are tried
+     */
+    async listRules() {
+        await this.init();
+        return this.ordered();
+    }
+
+    validate(rule) {
+        if (!rule.category || !String(rule.category).trim()) throw new CategorizationError('A rule needs a category');
+        if (specificity(rule) === 0) throw new CategorizationError('A rule needs a payee, amount range, account or type to match on');
+        if (rule.payee) payeeRegExp(rule.payee);
+        if (rule.minAmount !== null && rule.maxAmount !== null && Number(rule.minAmount) > Number(rule.maxAmount)) {
+            throw new CategorizationError('minAmount is above maxAmount');
+        }
+        return { ...rule, category: String(rule.category).trim() };
+    }
+
+    ordered() {
+        return [...this.rules].sort((a, b) =>
+            b.priority - a.priority ||
+            specificity(b) - specificity(a) ||
+            (b.payee || '').length - (a.payee || '').length ||
+            b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    matches(rule, transaction) {
+        const amount = Math.abs(Number(transaction.amount) || 0);
+        if (rule.type && rule.type !== (transaction.type || 'expense')) return false;
+        if (rule.accountId && rule.accountId !== (transaction.accountId || 'checking')) return false;
+        if (rule.minAmount !== null && amount < Number(rule.minAmount)) return false;
+        if (rule.maxAmount !== null && amount > Number(rule.maxAmount)) return false;
+        if (rule.payee) {
+            const text = [transaction.payee, transaction.description].filter(Boolean).join(' ');
+            if (!payeeRegExp(rule.payee).test(text)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * First rule that matches; call init() first
+     */
+    findRule(transaction) {
+        return this.ordered().find(rule => this.matches(rule, transaction)) || null;
+    }
+
+    // --- Categorizing ---
+
+    /**
+     * @param {Object} transaction - { type, amount, payee, description, accountId, date }
+     * @param {Object} [options] - { useModel: false to stop at the rules }
+     * @returns {Promise<{category, confidence, method: 'rule' | 'model' | 'none', ruleId?, deductible?, suggestion?}>}
+     *   category is null when nothing applied; a model answer below
+     *   minConfidence comes back as the suggestion
+     */
+    async categorize(transaction, options = {}) {
+        await this.init();
+        const rule = this.findRule(transaction);
+        if (rule) {
+            return { category: rule.category, confidence: 1, method: 'rule', ruleId: rule.id, ...(rule.deductible === null ? {} : { deductible: rule.deductible }) };
+        }
+
+        const suggestion = options.useModel === false ? null : await this.suggest(transaction);
+        if (suggestion && suggestion.confidence >= this.minConfidence) {
+            return { category: suggestion.category, confidence: suggestion.confidence, method: 'model' };
+        }
+        return { category: null, confidence: 0, method: 'none', ...(suggestion ? { suggestion } : {}) };
+    }
+
+    /**
+     * Ask the model for a category, preferring ones the books already use
+     * @returns {Promise<{category, confidence, reasoning}|null>}
+     */
+    async suggest(transaction) {
+        if (!this.modelRouter) return null;
+        const type = transaction.type || 'expense';
+        const known = await this.knownCategories(type);
+        const prompt = `Categorize this business ${type} for bookkeeping.
+Payee: ${transaction.payee || 'unknown'}
+Description: ${transaction.description || ''}
+Amount: ${Math.abs(Number(transaction.amount) || 0)}
+Date: ${transaction.date || 'unknown'}
+
+Existing ${type} categories: ${known.join(', ')}
+Use one of the existing categories when one fits; otherwise give a short new one.
+confidence is how sure you are, from 0 to 1.`;
+
+        try {
+            const result = await this.modelRouter.complete(prompt, 'fast', { schema: SUGGESTION_SCHEMA, taskType: 'categorization' });
+            if (!result.success || !result.data) return null;
+            const answer = String(result.data.category).trim();
+            const category = known.find(name => accountIdFor(name) === accountIdFor(answer)) || answer;
+            return { category, confidence: result.data.confidence, reasoning: result.data.reasoning || '' };
+        } catch (error) {
+            console.warn(`[Categorizer] Model suggestion failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    async knownCategories(type) {
+        const accounts = (await this.ledger.listAccounts()).filter(account => account.type === type).map(account => account.name);
+        const ruled = this.rules.filter(rule => !rule.type || rule.type === type).map(rule => rule.category);
+        return [...new Set([...accounts, ...ruled])];
+    }
+
+    // --- Learning ---
+
+    /**
+     * Remember a person's correction as a payee rule that outranks whatever
+     * rule categorized the transaction before
+     * @returns {Promise<Object|null>} the learned rule, or null when the transaction has no payee to learn from
+     */
+    async learnFromCorrection(transaction, category, options = {}) {
+        await this.init();
+        const payee = payeePattern(transaction.payee || transaction.description);
+        if (!payee) return null;
+        const type = transaction.type || 'expense';
+
+        const existing = this.rules.find(rule => rule.source === 'learned' && rule.payee === payee && rule.type === type);
+        const rule = existing
+            ? await this.updateRule(existing.id, { category, corrections: existing.corrections + 1, ...(options.deductible === undefined ? {} : { deductible: options.deductible }) })
+            : await this.addRule({ category, payee, type, deductible: options.deductible, source: 'learned', corrections: 1 });
+
+        const winner = this.findRule(transaction);
+        if (winner && winner.id !== rule.id) return this.updateRule(rule.id, { priority: winner.priority + 1 });
+        return rule;
+    }
+}
+
+/**
+ * The Categorizer for a config's state store, shared so every module files
+ * transactions with the same rules. A later config that brings a
+ * modelRouter attaches it when the shared instance was built without one.
+ */
+const sharedCategorizers = new WeakMap();
+
+export function getCategorizer(config = {}) {
+    if (config.categorizer) return config.categorizer;
+    const store = getStateStore(config);
+    if (!sharedCategorizers.has(store)) sharedCategorizers.set(store, new Categorizer({ ...config, stateStore: store }));
+    const categorizer = sharedCategorizers.get(store);
+    if (!categorizer.modelRouter && config.modelRouter) categorizer.modelRouter = config.modelRouter;
+    return categorizer;
+}
+
+export default Categorizer;
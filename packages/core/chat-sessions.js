@@ -0,0 +1,144 @@
+/**
+ * Chat Sessions - Persistent multi-turn conversations with the CEO agent
+ * Messages are stored in the chat_sessions / chat_messages tables. When a
+ * session outgrows the context window, older turns are folded into a rolling
+ * summary so the agent can still refer back to them.
+ */
+
+const DEFAULT_TITLE = 'New conversation';
+
+// Rough token count (~4 characters per token), same heuristic as ModelRouter
+function estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / 4) : 0;
+}
+
+export class ChatSessions {
+    /**
+     * @param {Object} config
+     * @param {Database} config.db - Shared Database instance
+     * @param {Object} [config.modelRouter] - Used to summarise older turns (falls back to truncation)
+     * @param {number} [config.maxContextTokens] - Budget for summary + verbatim turns (default 3000)
+     * @param {number} [config.keepRecent] - Turns always kept verbatim (default 6)
+     */
+    constructor(config = {}) {
+        this.db = config.db;
+        this.ai = config.modelRouter || config.aiProvider || null;
+        this.maxContextTokens = config.maxContextTokens || 3000;
+        this.keepRecent = config.keepRecent || 6;
+    }
+
+    async createSession(options = {}) {
+        await this.db.init();
+        return this.db.createChatSession({ title: options.title, metadata: options.metadata });
+    }
+
+    async listSessions(limit = 50) {
+        await this.db.init();
+        return this.db.listChatSessions(limit);
+    }
+
+    /**
+     * Session with its full message history, or null
+     */
+    async getSession(id) {
+        await this.db.init();
+        const session = await this.db.getChatSession(id);
+        if (!session) return null;
+        return { ...session, messages: await this.db.getChatMessages(id) };
+    }
+
+    async deleteSession(id) {
+        await this.db.init();
+        return this.db.deleteChatSession(id);
+    }
+
+    /**
+     * Append a turn; the first user message names an untitled session
+     * @param {string} role - 'user' or 'assistant'
+     */
+    async addMessage(sessionId, role, content, metadata = {}) {
+        await this.db.init();
+        const session = await this.db.getChatSession(sessionId);
+        if (!session) throw new Error(`Chat session not found: ${sessionId}`);
+
+        const message = await this.db.addChatMessage(sessionId, role, content, metadata);
+        if (role === 'user' && session.title === DEFAULT_TITLE) {
+            const title = content.length > 60 ? `${content.slice(0, 57)}...` : content;
+            await this.db.updateChatSession(sessionId, { title });
+        }
+        return message;
+    }
+
+    /**
+     * Summary of folded turns plus the recent turns that fit the context budget.
+     * Folding is persisted, so each turn is summarised at most once.
+     * @returns {Promise<{summary: string|null, messages: Array}|null>} null for unknown sessions
+     */
+    async buildContext(sessionId) {
+        await this.db.init();
+        const session = await this.db.getChatSession(sessionId);
+        if (!session) return null;
+
+        let summary = session.summary;
+        let messages = await this.db.getChatMessages(sessionId, { afterId: session.summarized_through });
+
+        const size = () => estimateTokens(summary) + messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+        if (size() > this.maxContextTokens && messages.length > this.keepRecent) {
+            const folded = messages.slice(0, messages.length - this.keepRecent);
+            messages = messages.slice(-this.keepRecent);
+            summary = await this.summarize(summary, folded);
+            await this.db.updateChatSession(sessionId, {
+                summary,
+                summarized_through: folded[folded.length - 1].id
+            });
+            console.log(`[ChatSessions] Folded ${folded.length} turns of ${sessionId} into its summary`);
+        }
+
+        return { summary, messages };
+    }
+
+    /**
+     * Merge turns into the running summary, using the model when one is available
+     */
+    async summarize(previousSummary, messages) {
+        const transcript = messages.map(m => `${m.role === 'user' ? 'User' : 'CEO'}: ${m.content}`).join('\n');
+
+        if (this.ai) {
+            try {
+                const result = await this.ai.complete(`Update the running summary of a conversation between the Chairman (User) and the CEO agent.
+Keep decisions, instructions, names, numbers and open questions. Be concise (under 200 words).
+
+Current summary:
+${previousSummary || '(none)'}
+
+New turns:
+${transcript}
+
+Return only the updated summary.`, 'fast', { noCache: true });
+                if (result.success && result.content) return result.content.trim();
+            } catch (e) {
+                console.warn(`[ChatSessions] Summarisation failed, truncating instead: ${e.message}`);
+            }
+        }
+
+        // Without a model keep the tail of the transcript, clipped to a quarter of the budget
+        const combined = [previousSummary, transcript].filter(Boolean).join('\n');
+        const maxChars = this.maxContextTokens;
+        return combined.length > maxChars ? `...${combined.slice(-maxChars)}` : combined;
+    }
+
+    /**
+     * Render a context as prompt text
+     */
+    formatContext(context) {
+        if (!context) return '';
+        const lines = [];
+        if (context.summary) lines.push(`Summary of earlier conversation: ${context.summary}`);
+        for (const m of context.messages) {
+            lines.push(`${m.role === 'user' ? 'User' : 'CEO'}: ${m.content}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export default ChatSessions;
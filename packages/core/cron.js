@@ -0,0 +1,175 @@
+/**
+ * Cron - Parse five-field cron expressions and find their next run time
+ * Fields are minute, hour, day of month, month and day of week, each with
+ * `*`, lists, ranges, steps and jan-dec / sun-sat names. An expression must
+ * pass node-cron's validate(), so the Scheduler accepts exactly what the
+ * node-cron jobs do; node-cron has no next-run lookup, so the fields are
+ * expanded here. When both day fields are restricted a day matching either
+ * runs (standard cron). Times are matched against the wall clock of an IANA
+ * timezone, so "0 9 * * *" stays at 9 AM local time across daylight saving changes.
+ */
+
+import nodeCron from 'node-cron';
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE = 60 * 1000;
+// About five years of day-sized steps; an expression like "0 0 30 2 *" never matches
+const MAX_STEPS = 6000;
+
+const formatters = new Map();
+
+function parseValue(value, field, expression) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}"`);
+    }
+    return number;
+}
+
+function parseField(text, field, expression) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${part}" in cron expression "${expression}"`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(value => parseValue(value, field, expression));
+            if (start > end) throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+        } else {
+            start = parseValue(range, field, expression);
+            end = stepText === undefined ? start : field.max;
+        }
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * @param {string} expression - five fields, or @hourly, @daily, @weekly, @monthly, @yearly
+ * @returns {{expression: string, minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} when the expression is malformed
+ */
+export function parseCron(expression) {
+    const source = String(expression || '').trim();
+    const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression "${source}" must have 5 fields (minute hour day month weekday)`);
+    }
+    if (!nodeCron.validate(fields.join(' '))) {
+        throw new Error(`Invalid cron expression "${source}"`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((text, i) => parseField(text, FIELDS[i], source));
+    if (weekdays.delete(7)) weekdays.add(0);
+    return {
+        expression: source,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: fields[2] === '*',
+        anyWeekday: fields[4] === '*'
+    };
+}
+
+export function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Year, month, day, hour, minute and weekday of an instant in a timezone
+ */
+export function wallClock(date, timeZone) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+function dayMatches(cron, clock) {
+    const day = cron.days.has(clock.day);
+    const weekday = cron.weekdays.has(clock.weekday);
+    if (cron.anyDay || cron.anyWeekday) return day && weekday;
+    return day || weekday;
+}
+
+/**
+ * First time strictly after `after` that the expression matches
+ * @param {string|Object} cron - expression or parseCron() result
+ * @param {Date} [after]
+ * @param {string} [timeZone] - IANA name (default UTC)
+ * @returns {Date|null} null when the expression can never match
+ */
+export function nextRun(cron, after = new Date(), timeZone = 'UTC') {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    let time = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+
+    for (let step = 0; step < MAX_STEPS; step++) {
+        const clock = wallClock(new Date(time), timeZone);
+        if (!parsed.months.has(clock.month) || !dayMatches(parsed, clock)) {
+            // Jump to about 23:00 rather than midnight so a 23-hour DST day cannot skip one
+            time += Math.max((23 - clock.hour) * 60 - clock.minute, 60 - clock.minute) * MINUTE;
+        } else if (!parsed.hours.has(clock.hour)) {
+            time += (60 - clock.minute) * MINUTE;
+        } else if (!parsed.minutes.has(clock.minute)) {
+            time += MINUTE;
+        } else {
+            return new Date(time);
+        }
+    }
+    return null;
+}
+
+export default { parseCron, isValidCron, nextRun, wallClock };
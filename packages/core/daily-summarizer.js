@@ -15,11 +15,12 @@ export class DailySummarizer {
         this.timezone = config.timezone || 'America/Chicago';
         this.hour = config.hour ?? 18; // 6 PM
         this.minute = config.minute ?? 0;
+        this.scheduler = config.scheduler || null;
         this.cronJob = null;
     }
 
     /**
-     * Start the daily cron job
+     * Start the daily cron job, on the shared Scheduler when one was given
      */
     start() {
         // Cron format: minute hour * * * (every day at specified time)
@@ -27,6 +28,18 @@ export class DailySummarizer {
 
         console.log(`Daily summarizer scheduled for ${this.hour}:${String(this.minute).padStart(2, '0')} ${this.timezone}`);
 
+        if (this.scheduler) {
+            // A summary missed while the process was down is still sent once it is back
+            this.scheduler.register('daily-summary', {
+                cron: cronExpression,
+                timezone: this.timezone,
+                catchUp: 'once',
+                description: 'Daily summary email',
+                handler: () => this.generateAndSend()
+            });
+            return this;
+        }
+
         this.cronJob = cron.schedule(cronExpression, () => {
             this.generateAndSend();
         }, {
@@ -40,6 +53,7 @@ export class DailySummarizer {
      * Stop the cron job
      */
     stop() {
+        this.scheduler?.unregister('daily-summary');
         if (this.cronJob) {
             this.cronJob.stop();
             this.cronJob = null;
@@ -117,7 +131,7 @@ export class DailySummarizer {
 
             if (this.db) {
                 const today = new Date().toISOString().split('T')[0];
-                const dbLogs = await this.db.db.all("SELECT * FROM logs WHERE timestamp LIKE ?", [`${today}%`]);
+                const dbLogs = await this.db.getLogs({ since: today, limit: 1000 });
                 // Merge or prioritize DB logs
                 logs = dbLogs.length > 0 ? dbLogs : logs;
             }
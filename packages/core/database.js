@@ -1,165 +1,1193 @@
 /**
- * Database Module - SQLite persistence for King AI Studio
- * Handles businesses, tasks, approvals, and logging
+ * Database Module - Persistence for King AI Studio
+ * Handles businesses, tasks, approvals, and logging on top of a pluggable
+ * storage adapter (SQLite by default, Postgres or in-memory via config/env)
  */
 
 import path from 'path';
 import { fileURLToPath } from 'url';
-import sqlite3 from 'sqlite3';
+import { createStorageAdapter } from './storage-adapters.js';
+import { migrations as defaultMigrations } from './migrations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Columns stored natively per table; any other field is kept in `metadata`
+const COLUMNS = {
+  businesses: ['id', 'name', 'idea', 'analysis_id', 'plan_id', 'status', 'started_at', 'revenue', 'expenses', 'priority', 'updated_at'],
+  tasks: ['id', 'business_id', 'plan_id', 'phase', 'name', 'description', 'module', 'action', 'automated', 'requires_approval', 'status', 'result', 'error', 'priority', 'created_at', 'updated_at'],
+  approvals: ['id', 'task_id', 'type', 'title', 'description', 'amount', 'impact', 'recommendation', 'status', 'notes', 'created_at', 'decided_at']
+};
+
+// camelCase and legacy lowercase spellings accepted on input
+const ALIASES = {
+  analysisId: 'analysis_id', analysisid: 'analysis_id',
+  planId: 'plan_id', planid: 'plan_id',
+  startedAt: 'started_at', startedat: 'started_at',
+  businessId: 'business_id', businessid: 'business_id',
+  requiresApproval: 'requires_approval', requiresapproval: 'requires_approval',
+  taskId: 'task_id', taskid: 'task_id',
+  createdAt: 'created_at', createdat: 'created_at',
+  decidedAt: 'decided_at',
+  updatedAt: 'updated_at'
+};
+
 export class Database {
-  constructor(config) {
-    this.dbPath = config?.dbPath
-      ? path.join(__dirname, config.dbPath)
-      : path.join(__dirname, '..', '..', 'data', 'king-ai.db');
-
-    this.db = new sqlite3.Database(
-      this.dbPath,
-      sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE,
-      (err) => {
-        if (err) {
-          console.error('Database connection failed:', err);
-          return;
-        }
-        console.log(`Database connected at ${this.dbPath}`);
-      }
-    );
+  /**
+   * @param {Object} config - { dbPath, dbDriver, databaseUrl, adapter, migrations }
+   */
+  constructor(config = {}) {
+    this.dbPath = resolveDbPath(config.dbPath);
+    this.adapter = config.adapter || createStorageAdapter(config, this.dbPath);
+    this.migrations = config.migrations || defaultMigrations;
+    this.db = null; // the opened adapter; kept under this name for existing callers
+  }
+
+  get dialect() {
+    return this.adapter.dialect;
   }
 
   // Called by orchestrator.js
   async init() {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        this.db.run('PRAGMA journal_mode = WAL');
-        this.db.run('PRAGMA busy_timeout = 10000');
-        this.createTables();
-        console.log(`[Database] Initialized at ${this.dbPath}`);
-        resolve(this);
-      }, 200);
+    if (this.db) return this;
+    if (this._opening) return this._opening;
+
+    this._opening = (async () => {
+      this.db = await this.adapter.open();
+      await this.migrate();
+      console.log(`[Database] Initialized (${this.adapter.describe()})`);
+      return this;
+    })();
+
+    try {
+      return await this._opening;
+    } finally {
+      this._opening = null;
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      await this.adapter.close();
+      this.db = null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Raw query helpers
+  // ---------------------------------------------------------------------------
+
+  run(sql, params = []) {
+    return this.db.run(sql, params);
+  }
+
+  get(sql, params = []) {
+    return this.db.get(sql, params);
+  }
+
+  all(sql, params = []) {
+    return this.db.all(sql, params);
+  }
+
+  getColumns(table) {
+    return this.db.getColumns(table);
+  }
+
+  /**
+   * Run fn inside a transaction. fn receives a Database view bound to the
+   * transaction, so repository methods called on it share the same commit.
+   */
+  transaction(fn) {
+    return this.db.transaction((scoped) => {
+      const view = Object.create(this);
+      view.db = scoped;
+      return fn(view);
     });
   }
 
-  createTables() {
-    // Businesses table
-    this.db.run(`CREATE TABLE IF NOT EXISTS businesses (
-      id TEXT PRIMARY KEY,
-      name TEXT,
-      idea TEXT,
-      analysisid TEXT,
-      planid TEXT,
-      status TEXT,
-      startedat TEXT,
-      revenue REAL DEFAULT 0,
-      expenses REAL DEFAULT 0,
-      priority REAL DEFAULT 1.0,
-      metadata TEXT
-    )`);
+  // ---------------------------------------------------------------------------
+  // Migrations
+  // ---------------------------------------------------------------------------
 
-    // Tasks table
-    this.db.run(`CREATE TABLE IF NOT EXISTS tasks (
-      id TEXT PRIMARY KEY,
-      businessid TEXT,
-      planid TEXT,
-      phase TEXT,
+  async ensureMigrationsTable() {
+    await this.db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
       name TEXT,
-      description TEXT,
-      automated INTEGER,
-      requiresapproval INTEGER,
-      status TEXT,
-      result TEXT,
-      priority REAL DEFAULT 0,
-      createdat TEXT
+      applied_at TEXT
     )`);
+  }
 
-    // Approvals table
-    this.db.run(`CREATE TABLE IF NOT EXISTS approvals (
-      id TEXT PRIMARY KEY,
-      taskid TEXT,
-      type TEXT,
-      title TEXT,
-      description TEXT,
-      amount REAL,
-      impact INTEGER,
-      recommendation TEXT,
-      status TEXT,
-      createdat TEXT
-    )`);
+  async getSchemaVersion() {
+    await this.ensureMigrationsTable();
+    const row = await this.db.get('SELECT MAX(version) AS version FROM schema_migrations');
+    return row?.version || 0;
+  }
 
-    // Logs table
-    this.db.run(`CREATE TABLE IF NOT EXISTS logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      businessid TEXT,
-      timestamp TEXT,
-      type TEXT,
-      message TEXT
-    )`);
+  async getAppliedMigrations() {
+    await this.ensureMigrationsTable();
+    return this.db.all('SELECT * FROM schema_migrations ORDER BY version');
+  }
+
+  /**
+   * Apply pending migrations up to targetVersion (default: latest)
+   */
+  async migrate(targetVersion = Infinity) {
+    await this.ensureMigrationsTable();
+    const applied = new Set((await this.getAppliedMigrations()).map(m => m.version));
+    const pending = [...this.migrations]
+      .sort((a, b) => a.version - b.version)
+      .filter(m => !applied.has(m.version) && m.version <= targetVersion);
+
+    for (const migration of pending) {
+      await this.transaction(async (tx) => {
+        await migration.up(tx);
+        await tx.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      });
+      console.log(`[Database] Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending.map(m => m.version);
+  }
+
+  /**
+   * Revert applied migrations down to (but not including) targetVersion
+   */
+  async rollback(targetVersion) {
+    const current = await this.getSchemaVersion();
+    if (targetVersion === undefined) targetVersion = current - 1;
+
+    const applied = new Set((await this.getAppliedMigrations()).map(m => m.version));
+    const toRevert = [...this.migrations]
+      .sort((a, b) => b.version - a.version)
+      .filter(m => applied.has(m.version) && m.version > targetVersion);
+
+    for (const migration of toRevert) {
+      await this.transaction(async (tx) => {
+        await migration.down(tx);
+        await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      console.log(`[Database] Reverted migration ${migration.version}_${migration.name}`);
+    }
+
+    return toRevert.map(m => m.version);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Businesses
+  // ---------------------------------------------------------------------------
+
+  async saveBusiness(business) {
+    const record = toRecord('businesses', business);
+    record.id = record.id || `business-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    record.status = record.status || 'active';
+    record.started_at = record.started_at || new Date().toISOString();
+    record.revenue = record.revenue || 0;
+    record.expenses = record.expenses || 0;
+    record.priority = record.priority ?? 1.0;
+    record.updated_at = new Date().toISOString();
+
+    await this.upsert('businesses', record);
+    return { id: record.id };
+  }
+
+  async getBusiness(id) {
+    return fromRecord(await this.db.get('SELECT * FROM businesses WHERE id = ?', [id]));
+  }
+
+  async getAllBusinesses(filters = {}) {
+    const { where, params } = buildWhere({ status: filters.status });
+    const rows = await this.db.all(`SELECT * FROM businesses ${where} ORDER BY priority DESC, started_at`, params);
+    return rows.map(fromRecord);
+  }
+
+  async deleteBusiness(id) {
+    const result = await this.db.run('DELETE FROM businesses WHERE id = ?', [id]);
+    return { deleted: result.changes > 0 };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tasks
+  // ---------------------------------------------------------------------------
+
+  async saveTask(task) {
+    const record = toRecord('tasks', task);
+    const existing = record.id ? await this.db.get('SELECT created_at FROM tasks WHERE id = ?', [record.id]) : null;
+
+    record.id = record.id || `task-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    record.status = record.status || 'queued';
+    record.priority = record.priority ?? 0;
+    record.created_at = existing?.created_at || record.created_at || new Date().toISOString();
+    record.updated_at = new Date().toISOString();
+
+    await this.upsert('tasks', record);
+    return { id: record.id };
+  }
+
+  async getTask(id) {
+    return fromRecord(await this.db.get('SELECT * FROM tasks WHERE id = ?', [id]));
+  }
+
+  /**
+   * @param {Object} filters - { status, businessId, planId, limit }
+   */
+  async getTasks(filters = {}) {
+    const { where, params } = buildWhere({
+      status: filters.status,
+      business_id: filters.businessId,
+      plan_id: filters.planId
+    });
+    const limit = filters.limit ? `LIMIT ${parseInt(filters.limit)}` : '';
+    const rows = await this.db.all(`SELECT * FROM tasks ${where} ORDER BY created_at DESC ${limit}`, params);
+    return rows.map(fromRecord);
+  }
+
+  async getQueuedTasks() {
+    const rows = await this.db.all("SELECT * FROM tasks WHERE status = 'queued' ORDER BY priority DESC, created_at");
+    return rows.map(fromRecord);
+  }
+
+  async updateTaskStatus(id, status, fields = {}) {
+    const task = await this.getTask(id);
+    if (!task) return { updated: false };
+    await this.saveTask({ ...task, ...fields, status });
+    return { updated: true };
+  }
+
+  async deleteTask(id) {
+    const result = await this.db.run('DELETE FROM tasks WHERE id = ?', [id]);
+    return { deleted: result.changes > 0 };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Approvals
+  // ---------------------------------------------------------------------------
+
+  async saveApproval(approval) {
+    const record = toRecord('approvals', approval);
+    record.id = record.id || `approval-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    record.status = record.status || 'pending';
+    record.created_at = record.created_at || new Date().toISOString();
+
+    await this.upsert('approvals', record);
+    return { id: record.id };
+  }
+
+  async getApproval(id) {
+    return fromRecord(await this.db.get('SELECT * FROM approvals WHERE id = ?', [id]));
+  }
+
+  /**
+   * Most recent approval row for a task
+   */
+  async getApprovalByTask(taskId) {
+    return fromRecord(await this.db.get(
+      'SELECT * FROM approvals WHERE task_id = ? ORDER BY created_at DESC LIMIT 1',
+      [taskId]
+    ));
+  }
+
+  async getApprovalsForTask(taskId, status) {
+    const { where, params } = buildWhere({ task_id: taskId, status });
+    const rows = await this.db.all(`SELECT * FROM approvals ${where} ORDER BY created_at`, params);
+    return rows.map(fromRecord);
   }
 
-  getQueuedTasks() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM tasks WHERE status = 'queued' ORDER BY priority DESC",
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
+  async getPendingApprovals() {
+    return this.getApprovals({ status: 'pending' });
+  }
+
+  /**
+   * Record one approver's vote; each approver votes once per approval
+   * @param {Object} decision - { approval_id, approver, role, decision: 'approved'|'rejected', notes }
+   * @returns {Promise<boolean>} false when this approver already voted
+   */
+  async addApprovalDecision(decision) {
+    const result = await this.db.run(
+      `INSERT INTO approval_decisions (approval_id, approver, role, decision, notes, created_at)
+       VALUES (?, ?, ?, ?, ?, ?) ON CONFLICT (approval_id, approver) DO NOTHING`,
+      [decision.approval_id, decision.approver, decision.role || null, decision.decision, decision.notes || null, new Date().toISOString()]
+    );
+    return result.changes > 0;
+  }
+
+  async getApprovalDecisions(approvalId) {
+    return this.db.all('SELECT * FROM approval_decisions WHERE approval_id = ? ORDER BY id', [approvalId]);
+  }
+
+  /**
+   * Move a pending approval to its final status exactly once
+   * @returns {Promise<boolean>} false if it was no longer pending
+   */
+  async resolveApproval(id, status, fields = {}) {
+    const row = await this.getApproval(id);
+    if (!row || row.status !== 'pending') return false;
+
+    const { metadata, notes, ...extra } = fields;
+    const result = await this.db.run(
+      `UPDATE approvals SET status = ?, decided_at = ?, notes = ?, metadata = ? WHERE id = ? AND status = 'pending'`,
+      [status, new Date().toISOString(), notes ?? row.notes ?? null, JSON.stringify({ ...row.metadata, ...extra }), id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Merge fields into a pending approval's metadata (reminder and escalation bookkeeping)
+   * @returns {Promise<boolean>} false if it was no longer pending
+   */
+  async updateApprovalMetadata(id, fields) {
+    const row = await this.getApproval(id);
+    if (!row || row.status !== 'pending') return false;
+
+    const result = await this.db.run(
+      `UPDATE approvals SET metadata = ? WHERE id = ? AND status = 'pending'`,
+      [JSON.stringify({ ...row.metadata, ...fields }), id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * @param {Object} filters - { status, type, limit }
+   */
+  async getApprovals(filters = {}) {
+    const { where, params } = buildWhere({ status: filters.status, type: filters.type });
+    const limit = filters.limit ? `LIMIT ${parseInt(filters.limit)}` : '';
+    const rows = await this.db.all(`SELECT * FROM approvals ${where} ORDER BY created_at DESC ${limit}`, params);
+    return rows.map(fromRecord);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Logs
+  // ---------------------------------------------------------------------------
+
+  async log(businessId, type, message, phase = null) {
+    await this.db.run(
+      'INSERT INTO logs (business_id, timestamp, type, message, phase) VALUES (?, ?, ?, ?, ?)',
+      [businessId ?? null, new Date().toISOString(), type, message, phase]
+    );
+  }
+
+  /**
+   * @param {number|Object} options - a limit, or { limit, businessId, type, since, until }
+   */
+  async getLogs(options = {}) {
+    const filters = typeof options === 'number' ? { limit: options } : options;
+    const conditions = [];
+    const params = [];
+
+    if (filters.businessId) { conditions.push('business_id = ?'); params.push(filters.businessId); }
+    if (filters.type) { conditions.push('type = ?'); params.push(filters.type); }
+    if (filters.since) { conditions.push('timestamp >= ?'); params.push(filters.since); }
+    if (filters.until) { conditions.push('timestamp < ?'); params.push(filters.until); }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = `LIMIT ${parseInt(filters.limit) || 100}`;
+    return this.db.all(`SELECT * FROM logs ${where} ORDER BY timestamp DESC, id DESC ${limit}`, params);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Empire state (key/value)
+  // ---------------------------------------------------------------------------
+
+  async setEmpireState(key, value) {
+    await this.upsert('empire_state', {
+      key,
+      value: JSON.stringify(value),
+      updated_at: new Date().toISOString()
+    }, 'key');
+  }
+
+  async getEmpireState(key) {
+    const row = await this.db.get('SELECT value FROM empire_state WHERE key = ?', [key]);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Chat sessions
+  // ---------------------------------------------------------------------------
+
+  async createChatSession(session = {}) {
+    const now = new Date().toISOString();
+    const record = {
+      id: session.id || `chat-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      title: session.title || 'New conversation',
+      summary: null,
+      summarized_through: 0,
+      message_count: 0,
+      metadata: JSON.stringify(session.metadata || {}),
+      created_at: now,
+      updated_at: now
+    };
+    await this.upsert('chat_sessions', record);
+    return fromChatRow(record);
+  }
+
+  async getChatSession(id) {
+    return fromChatRow(await this.db.get('SELECT * FROM chat_sessions WHERE id = ?', [id]));
+  }
+
+  /**
+   * Most recently active sessions first
+   */
+  async listChatSessions(limit = 50) {
+    const rows = await this.db.all(`SELECT * FROM chat_sessions ORDER BY updated_at DESC LIMIT ${parseInt(limit) || 50}`);
+    return rows.map(fromChatRow);
+  }
+
+  /**
+   * @param {Object} fields - { title, summary, summarized_through, metadata }
+   */
+  async updateChatSession(id, fields = {}) {
+    const updates = { updated_at: new Date().toISOString() };
+    for (const column of ['title', 'summary', 'summarized_through']) {
+      if (fields[column] !== undefined) updates[column] = fields[column];
+    }
+    if (fields.metadata !== undefined) updates.metadata = JSON.stringify(fields.metadata);
+
+    const cols = Object.keys(updates);
+    await this.db.run(
+      `UPDATE chat_sessions SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...cols.map(c => updates[c]), id]
+    );
+    return this.getChatSession(id);
+  }
+
+  async deleteChatSession(id) {
+    return this.transaction(async (tx) => {
+      await tx.run('DELETE FROM chat_messages WHERE session_id = ?', [id]);
+      const result = await tx.run('DELETE FROM chat_sessions WHERE id = ?', [id]);
+      return { deleted: result.changes > 0 };
+    });
+  }
+
+  async addChatMessage(sessionId, role, content, metadata = {}) {
+    const now = new Date().toISOString();
+    return this.transaction(async (tx) => {
+      await tx.run(
+        'INSERT INTO chat_messages (session_id, role, content, metadata, created_at) VALUES (?, ?, ?, ?, ?)',
+        [sessionId, role, content, JSON.stringify(metadata), now]
+      );
+      await tx.run(
+        'UPDATE chat_sessions SET message_count = message_count + 1, updated_at = ? WHERE id = ?',
+        [now, sessionId]
+      );
+      const row = await tx.get(
+        'SELECT * FROM chat_messages WHERE session_id = ? ORDER BY id DESC LIMIT 1',
+        [sessionId]
       );
+      return fromChatRow(row);
     });
   }
 
-  getAllBusinesses() {
-    return new Promise((resolve, reject) => {
-      this.db.all('SELECT * FROM businesses', (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
+  /**
+   * Messages in order; afterId skips everything up to and including that message
+   * @param {Object} options - { afterId, limit }
+   */
+  async getChatMessages(sessionId, options = {}) {
+    const rows = await this.db.all(
+      `SELECT * FROM chat_messages WHERE session_id = ? AND id > ? ORDER BY id ${options.limit ? `LIMIT ${parseInt(options.limit)}` : ''}`,
+      [sessionId, options.afterId || 0]
+    );
+    return rows.map(fromChatRow);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Auth (users, API tokens, login sessions, used approval links)
+  // ---------------------------------------------------------------------------
+
+  async createUser(user) {
+    const record = {
+      id: user.id || `user-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      username: user.username,
+      password_hash: user.password_hash || null,
+      role: user.role,
+      disabled: user.disabled ? 1 : 0,
+      created_at: new Date().toISOString(),
+      last_login_at: null
+    };
+    await this.db.run(
+      'INSERT INTO users (id, username, password_hash, role, disabled, created_at, last_login_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      Object.values(record)
+    );
+    return record;
+  }
+
+  async getUser(id) {
+    return (await this.db.get('SELECT * FROM users WHERE id = ?', [id])) || null;
+  }
+
+  async getUserByUsername(username) {
+    return (await this.db.get('SELECT * FROM users WHERE username = ?', [username])) || null;
+  }
+
+  async listUsers() {
+    return this.db.all('SELECT id, username, role, disabled, created_at, last_login_at FROM users ORDER BY created_at');
+  }
+
+  async countUsers() {
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM users');
+    return Number(row?.count || 0);
+  }
+
+  /**
+   * @param {Object} fields - { password_hash, role, disabled, last_login_at }
+   */
+  async updateUser(id, fields = {}) {
+    const cols = ['password_hash', 'role', 'disabled', 'last_login_at'].filter(c => fields[c] !== undefined);
+    if (cols.length === 0) return this.getUser(id);
+    await this.db.run(
+      `UPDATE users SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...cols.map(c => (c === 'disabled' ? (fields[c] ? 1 : 0) : fields[c])), id]
+    );
+    return this.getUser(id);
+  }
+
+  async saveApiToken(token) {
+    await this.upsert('api_tokens', {
+      id: token.id,
+      user_id: token.user_id,
+      name: token.name || null,
+      token_hash: token.token_hash,
+      created_at: token.created_at || new Date().toISOString(),
+      last_used_at: null
+    });
+    return { id: token.id };
+  }
+
+  async getApiTokenByHash(tokenHash) {
+    return (await this.db.get('SELECT * FROM api_tokens WHERE token_hash = ?', [tokenHash])) || null;
+  }
+
+  async touchApiToken(id) {
+    await this.db.run('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+  }
+
+  async deleteApiToken(id) {
+    const result = await this.db.run('DELETE FROM api_tokens WHERE id = ?', [id]);
+    return { deleted: result.changes > 0 };
+  }
+
+  async createAuthSession(session) {
+    await this.upsert('auth_sessions', { ...session, created_at: new Date().toISOString() });
+    return session;
+  }
+
+  /**
+   * Unexpired session, or null
+   */
+  async getAuthSession(id) {
+    return (await this.db.get(
+      'SELECT * FROM auth_sessions WHERE id = ? AND expires_at > ?',
+      [id, new Date().toISOString()]
+    )) || null;
+  }
+
+  async deleteAuthSession(id) {
+    await this.db.run('DELETE FROM auth_sessions WHERE id = ?', [id]);
+  }
+
+  async purgeExpiredAuthSessions() {
+    const result = await this.db.run('DELETE FROM auth_sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+    return result.changes || 0;
+  }
+
+  /**
+   * Mark a signed approval link as used
+   * @returns {Promise<boolean>} false when the link was already used
+   */
+  async useApprovalLink(jti, approvalId, action) {
+    const result = await this.db.run(
+      'INSERT INTO approval_link_uses (jti, approval_id, action, used_at) VALUES (?, ?, ?, ?) ON CONFLICT (jti) DO NOTHING',
+      [jti, approvalId, action, new Date().toISOString()]
+    );
+    return result.changes > 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Audit index
+  // ---------------------------------------------------------------------------
+
+  async getAuditIndexFile(source) {
+    return this.db.get('SELECT * FROM audit_index_files WHERE source = ?', [source]);
+  }
+
+  async listAuditIndexFiles() {
+    return this.db.all('SELECT * FROM audit_index_files ORDER BY source');
+  }
+
+  /**
+   * Index rows read from one audit file and record how far it has been read.
+   * Rows are keyed by source and line, so re-reading a file never duplicates them.
+   * @param {Object} file - { source, size, lines }
+   * @param {Array<Object>} rows - audit_entries columns
+   * @param {boolean} [replace] - drop the file's existing rows first (it was rewritten)
+   */
+  async indexAuditFile(file, rows, replace = false) {
+    return this.transaction(async (tx) => {
+      if (replace) await tx.run('DELETE FROM audit_entries WHERE source = ?', [file.source]);
+      for (const row of rows) {
+        const cols = Object.keys(row);
+        await tx.run(
+          `INSERT INTO audit_entries (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})
+           ON CONFLICT (id) DO NOTHING`,
+          cols.map(c => row[c])
+        );
+      }
+      await tx.upsert('audit_index_files', {
+        source: file.source,
+        size: file.size,
+        lines: file.lines,
+        indexed_at: new Date().toISOString()
+      }, 'source');
     });
   }
 
-  saveBusiness(business) {
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        INSERT OR REPLACE INTO businesses 
-        (id, name, idea, analysisid, planid, status, startedat, revenue, expenses, priority, metadata)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      stmt.run(
-        [
-          business.id,
-          business.name,
-          business.idea || '',
-          business.analysisid || '',
-          business.planid || '',
-          business.status || 'active',
-          business.startedat || new Date().toISOString(),
-          business.revenue || 0,
-          business.expenses || 0,
-          business.priority || 1.0,
-          JSON.stringify(business.metadata || {}),
-        ],
-        function (err) {
-          if (err) reject(err);
-          else resolve({ id: this.lastID });
-        }
+  async removeAuditIndexFile(source) {
+    await this.transaction(async (tx) => {
+      await tx.run('DELETE FROM audit_entries WHERE source = ?', [source]);
+      await tx.run('DELETE FROM audit_index_files WHERE source = ?', [source]);
+    });
+  }
+
+  /**
+   * @param {Object} filters - { from, to, taskId, businessId, type, approver, status, terms, limit, offset, order }
+   *   from/to are ISO timestamps (to is exclusive); terms are lowercase words that must all appear
+   * @returns {Promise<{entries: Array<Object>, total: number}>}
+   */
+  async queryAuditEntries(filters = {}) {
+    const { where, params } = buildWhere({
+      task_id: filters.taskId,
+      business_id: filters.businessId,
+      type: filters.type,
+      approver: filters.approver,
+      status: filters.status
+    });
+    const conditions = where ? [where.slice('WHERE '.length)] : [];
+
+    if (filters.from) { conditions.push('timestamp >= ?'); params.push(filters.from); }
+    if (filters.to) { conditions.push('timestamp < ?'); params.push(filters.to); }
+    for (const term of filters.terms || []) {
+      conditions.push("search_text LIKE ? ESCAPE '\\'");
+      params.push(`%${term.replace(/[\\%_]/g, c => `\\${c}`)}%`);
+    }
+
+    const clause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = parseInt(filters.limit) || 50;
+    const offset = parseInt(filters.offset) || 0;
+
+    const count = await this.db.get(`SELECT COUNT(*) AS total FROM audit_entries ${clause}`, params);
+    const rows = await this.db.all(
+      `SELECT entry FROM audit_entries ${clause}
+       ORDER BY timestamp ${direction}, source ${direction}, line ${direction} LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+    return { entries: rows.map(row => safeParse(row.entry)), total: Number(count?.total || 0) };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Job queue
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {Object} job - job_queue columns; payload and history may be objects
+   * @returns {Promise<boolean>} false when the id or idempotency key is already queued
+   */
+  async insertJob(job) {
+    const row = toJobRow(job);
+    const cols = Object.keys(row);
+    const result = await this.db.run(
+      `INSERT INTO job_queue (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')}) ON CONFLICT DO NOTHING`,
+      cols.map(c => row[c])
+    );
+    return result.changes > 0;
+  }
+
+  async getJob(id) {
+    return fromJobRow(await this.db.get('SELECT * FROM job_queue WHERE id = ?', [id]));
+  }
+
+  async getJobByKey(idempotencyKey) {
+    return fromJobRow(await this.db.get('SELECT * FROM job_queue WHERE idempotency_key = ?', [idempotencyKey]));
+  }
+
+  /**
+   * @param {Object} filters - { status, limit, offset }
+   * @returns {Promise<{jobs: Array<Object>, total: number}>}
+   */
+  async listJobs(filters = {}) {
+    const { where, params } = buildWhere({ status: filters.status });
+    const limit = parseInt(filters.limit) || 50;
+    const offset = parseInt(filters.offset) || 0;
+    const count = await this.db.get(`SELECT COUNT(*) AS total FROM job_queue ${where}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM job_queue ${where} ORDER BY updated_at DESC, id LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+    return { jobs: rows.map(fromJobRow), total: Number(count?.total || 0) };
+  }
+
+  async countJobs() {
+    const rows = await this.db.all('SELECT status, COUNT(*) AS count FROM job_queue GROUP BY status');
+    return Object.fromEntries(rows.map(row => [row.status, Number(row.count)]));
+  }
+
+  /**
+   * Jobs that may be leased at `now`, best effective priority first. A job's
+   * priority grows by `agingPerMs` for every millisecond it has been queued.
+   * @param {Array<string>} [excludeModules] - skip jobs for these modules; a job
+   *   without one counts as module '' (what the WorkerPool runs it under)
+   */
+  async getLeasableJobs(now, limit, agingPerMs = 0, excludeModules = []) {
+    const aging = Number(agingPerMs) || 0;
+    const exclude = excludeModules.length
+      ? `AND COALESCE(module, '') NOT IN (${excludeModules.map(() => '?').join(', ')})`
+      : '';
+    const rows = await this.db.all(
+      `SELECT * FROM job_queue
+       WHERE ((status = 'queued' AND available_ms <= ?) OR (status = 'leased' AND lease_expires_ms <= ?)) ${exclude}
+       ORDER BY priority + (? - enqueued_ms) * ${aging} DESC, enqueued_ms, id LIMIT ${parseInt(limit) || 1}`,
+      [now, now, ...excludeModules, now]
+    );
+    return rows.map(fromJobRow);
+  }
+
+  /**
+   * Take a job if it is still leasable: no other worker claimed it in between
+   * @returns {Promise<boolean>}
+   */
+  async claimJob(id, owner, now, leaseExpiresMs) {
+    const result = await this.db.run(
+      `UPDATE job_queue SET status = 'leased', lease_owner = ?, lease_expires_ms = ?, attempts = attempts + 1, updated_at = ?
+       WHERE id = ? AND ((status = 'queued' AND available_ms <= ?) OR (status = 'leased' AND lease_expires_ms <= ?))`,
+      [owner, leaseExpiresMs, new Date(now).toISOString(), id, now, now]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Dead-letter jobs whose lease ran out on their last attempt (the worker died mid-run)
+   * @returns {Promise<Array<Object>>} the jobs moved
+   */
+  async expireJobLeases(now) {
+    return this.transaction(async (tx) => {
+      const rows = await tx.all(
+        "SELECT * FROM job_queue WHERE status = 'leased' AND lease_expires_ms <= ? AND attempts >= max_attempts",
+        [now]
       );
+      const expired = [];
+      for (const row of rows.map(fromJobRow)) {
+        const error = `Lease held by ${row.lease_owner} expired on attempt ${row.attempts}`;
+        const at = new Date(now).toISOString();
+        const result = await tx.run(
+          `UPDATE job_queue SET status = 'dead', lease_owner = NULL, lease_expires_ms = NULL, last_error = ?, history = ?, updated_at = ?, finished_at = ?
+           WHERE id = ? AND status = 'leased' AND lease_expires_ms <= ?`,
+          [error, JSON.stringify([...row.history, { attempt: row.attempts, error, at }]), at, at, row.id, now]
+        );
+        if (result.changes > 0) expired.push({ ...row, status: 'dead', last_error: error });
+      }
+      return expired;
     });
   }
 
-  log(businessId, type, message) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        'INSERT INTO logs (businessid, timestamp, type, message) VALUES (?, ?, ?, ?)',
-        [businessId, new Date().toISOString(), type, message],
-        function (err) {
-          if (err) reject(err);
-          else resolve();
-        }
+  /**
+   * Update a job only while it is in the expected state
+   * @param {Object} fields - job_queue columns to set
+   * @param {Object} [expect] - { status, lease_owner } the row must still have
+   * @returns {Promise<boolean>} false when the job moved on (or does not exist)
+   */
+  async updateJob(id, fields, expect = {}) {
+    const row = toJobRow({ ...fields, updated_at: fields.updated_at || new Date().toISOString() });
+    const cols = Object.keys(row);
+    const { where, params } = buildWhere({ id, ...expect });
+    const result = await this.db.run(
+      `UPDATE job_queue SET ${cols.map(c => `${c} = ?`).join(', ')} ${where}`,
+      [...cols.map(c => row[c]), ...params]
+    );
+    return result.changes > 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Schedules
+  // ---------------------------------------------------------------------------
+
+  async getSchedule(name) {
+    return this.db.get('SELECT * FROM schedules WHERE name = ?', [name]);
+  }
+
+  async listSchedules() {
+    return this.db.all('SELECT * FROM schedules ORDER BY name');
+  }
+
+  async saveSchedule(schedule) {
+    await this.upsert('schedules', { ...schedule, updated_at: new Date().toISOString() }, 'name');
+  }
+
+  /**
+   * Take the run due at `dueAt` and move next_run_at on; fails when another
+   * process already took it (next_run_at no longer matches)
+   * @returns {Promise<boolean>}
+   */
+  async claimScheduleRun(name, dueAt, nextRunAt, startedAt) {
+    const result = await this.db.run(
+      'UPDATE schedules SET next_run_at = ?, running_since = ?, updated_at = ? WHERE name = ? AND next_run_at = ?',
+      [nextRunAt, startedAt, startedAt, name, dueAt]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * @param {Object} run - { scheduledAt, startedAt, status, error, durationMs, runningSince }; skipped runs
+   *   are not counted and keep last_scheduled_at pointing at the last occurrence that ran, and
+   *   runningSince is kept when a run is skipped because another is still going
+   */
+  async finishScheduleRun(name, run) {
+    const skipped = run.status === 'skipped';
+    await this.db.run(
+      `UPDATE schedules SET last_scheduled_at = COALESCE(?, last_scheduled_at), last_run_at = ?, last_status = ?, last_error = ?, last_duration_ms = ?,
+       run_count = run_count + ?, running_since = ?, updated_at = ? WHERE name = ?`,
+      [skipped ? null : run.scheduledAt, run.startedAt, run.status, run.error || null, run.durationMs ?? null,
+        skipped ? 0 : 1, run.runningSince || null, new Date().toISOString(), name]
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // General ledger
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<boolean>} false when an account with that id already exists
+   */
+  async insertLedgerAccount(account) {
+    const row = { ...account, deductible: account.deductible ? 1 : 0 };
+    const cols = Object.keys(row);
+    const result = await this.db.run(
+      `INSERT INTO ledger_accounts (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')}) ON CONFLICT DO NOTHING`,
+      cols.map(c => row[c])
+    );
+    return result.changes > 0;
+  }
+
+  async getLedgerAccount(id) {
+    return fromLedgerAccountRow(await this.db.get('SELECT * FROM ledger_accounts WHERE id = ?', [id]));
+  }
+
+  async listLedgerAccounts() {
+    const rows = await this.db.all('SELECT * FROM ledger_accounts ORDER BY type, id');
+    return rows.map(fromLedgerAccountRow);
+  }
+
+  /**
+   * Write a journal entry and its lines in one transaction. There is no update
+   * or delete for either table.
+   * @param {Object} entry - journal_entries columns; metadata may be an object
+   * @param {Array<Object>} lines - journal_lines columns without entry_id/line_no
+   * @returns {Promise<boolean>} false when the id, idempotency key or reversed entry is already taken
+   */
+  async insertJournalEntry(entry, lines) {
+    return this.transaction(async (tx) => {
+      const row = { ...entry, metadata: JSON.stringify(entry.metadata || {}) };
+      const cols = Object.keys(row);
+      const result = await tx.run(
+        `INSERT INTO journal_entries (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')}) ON CONFLICT DO NOTHING`,
+        cols.map(c => row[c])
       );
+      if (result.changes === 0) return false;
+
+      for (const [index, line] of lines.entries()) {
+        const lineRow = { entry_id: entry.id, line_no: index + 1, ...line };
+        const lineCols = Object.keys(lineRow);
+        await tx.run(
+          `INSERT INTO journal_lines (${lineCols.join(', ')}) VALUES (${lineCols.map(() => '?').join(', ')})`,
+          lineCols.map(c => lineRow[c])
+        );
+      }
+      return true;
     });
   }
+
+  async getJournalEntry(id) {
+    return this.withJournalLines(await this.db.get('SELECT * FROM journal_entries WHERE id = ?', [id]));
+  }
+
+  async getJournalEntryByKey(idempotencyKey) {
+    return this.withJournalLines(await this.db.get('SELECT * FROM journal_entries WHERE idempotency_key = ?', [idempotencyKey]));
+  }
+
+  async getJournalReversal(id) {
+    return this.withJournalLines(await this.db.get('SELECT * FROM journal_entries WHERE reverses = ?', [id]));
+  }
+
+  /**
+   * @param {Object} filters - { from, to, businessId, source, accountId, limit, offset }; from/to are
+   *   inclusive YYYY-MM-DD dates, businessId and accountId match any line of the entry
+   * @returns {Promise<{entries: Array<Object>, total: number}>} oldest first, with lines
+   */
+  async listJournalEntries(filters = {}) {
+    const { where, params } = buildWhere({ source: filters.source });
+    const conditions = where ? [where.slice('WHERE '.length)] : [];
+    if (filters.from) { conditions.push('date >= ?'); params.push(filters.from); }
+    if (filters.to) { conditions.push('date <= ?'); params.push(filters.to); }
+    if (filters.businessId) {
+      conditions.push('id IN (SELECT entry_id FROM journal_lines WHERE business_id = ?)');
+      params.push(filters.businessId);
+    }
+    if (filters.accountId) {
+      conditions.push('id IN (SELECT entry_id FROM journal_lines WHERE account_id = ?)');
+      params.push(filters.accountId);
+    }
+
+    const clause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = parseInt(filters.limit) || 100;
+    const offset = parseInt(filters.offset) || 0;
+    const count = await this.db.get(`SELECT COUNT(*) AS total FROM journal_entries ${clause}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM journal_entries ${clause} ORDER BY date, created_at, id LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+    const entries = [];
+    for (const row of rows) entries.push(await this.withJournalLines(row));
+    return { entries, total: Number(count?.total || 0) };
+  }
+
+  /**
+   * Debit and credit totals per account (and per business when byBusiness)
+   * @param {Object} filters - { from, to, businessId, byBusiness }; from/to are inclusive dates
+   * @returns {Promise<Array<{account_id, business_id?, debit_cents: number, credit_cents: number, deductible_cents: number}>>}
+   *   deductible_cents nets the lines flagged deductible, falling back to the account's flag
+   */
+  async sumJournalLines(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.from) { conditions.push('e.date >= ?'); params.push(filters.from); }
+    if (filters.to) { conditions.push('e.date <= ?'); params.push(filters.to); }
+    if (filters.businessId) { conditions.push('l.business_id = ?'); params.push(filters.businessId); }
+
+    const groups = filters.byBusiness ? 'l.account_id, l.business_id' : 'l.account_id';
+    const rows = await this.db.all(
+      `SELECT ${groups}, SUM(l.debit_cents) AS debit_cents, SUM(l.credit_cents) AS credit_cents,
+              SUM(CASE WHEN COALESCE(l.deductible, a.deductible, 0) = 1 THEN l.debit_cents - l.credit_cents ELSE 0 END) AS deductible_cents
+       FROM journal_lines l JOIN journal_entries e ON e.id = l.entry_id
+       LEFT JOIN ledger_accounts a ON a.id = l.account_id
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       GROUP BY ${groups}`,
+      params
+    );
+    return rows.map(row => ({
+      ...row,
+      debit_cents: Number(row.debit_cents || 0),
+      credit_cents: Number(row.credit_cents || 0),
+      deductible_cents: Number(row.deductible_cents || 0)
+    }));
+  }
+
+  /**
+   * Per account and currency, lines not in the base currency up to a date:
+   * the booked cents (debit positive) and the original amount (debit positive)
+   * @param {Object} filters - { to, baseCurrency }
+   */
+  async sumForeignJournalLines(filters = {}) {
+    const rows = await this.db.all(
+      `SELECT l.account_id, l.currency,
+              SUM(l.debit_cents) - SUM(l.credit_cents) AS book_cents,
+              SUM(CASE WHEN l.debit_cents > 0 THEN l.amount ELSE -l.amount END) AS foreign_amount
+       FROM journal_lines l JOIN journal_entries e ON e.id = l.entry_id
+       WHERE l.currency <> ? AND e.date <= ?
+       GROUP BY l.account_id, l.currency`,
+      [filters.baseCurrency, filters.to]
+    );
+    return rows.map(row => ({ ...row, book_cents: Number(row.book_cents || 0), foreign_amount: Number(row.foreign_amount || 0) }));
+  }
+
+  async hasJournalLines(businessId) {
+    return Boolean(await this.db.get('SELECT 1 AS found FROM journal_lines WHERE business_id = ? LIMIT 1', [businessId]));
+  }
+
+  async withJournalLines(row) {
+    if (!row) return null;
+    const lines = await this.db.all('SELECT * FROM journal_lines WHERE entry_id = ? ORDER BY line_no', [row.id]);
+    return {
+      ...row,
+      metadata: safeParse(row.metadata),
+      lines: lines.map(line => ({ ...line, debit_cents: Number(line.debit_cents || 0), credit_cents: Number(line.credit_cents || 0) }))
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // FX rates
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Insert or replace dated rates in one transaction
+   * @param {Array<{base, quote, date, rate, source}>} rates
+   * @returns {Promise<number>} rows written
+   */
+  async saveFxRates(rates) {
+    const stamp = new Date().toISOString();
+    return this.transaction(async (tx) => {
+      for (const rate of rates) {
+        await tx.run(
+          `INSERT INTO fx_rates (base, quote, date, rate, source, created_at) VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT (base, quote, date) DO UPDATE SET rate = excluded.rate, source = excluded.source, created_at = excluded.created_at`,
+          [rate.base, rate.quote, rate.date, rate.rate, rate.source || null, stamp]
+        );
+      }
+      return rates.length;
+    });
+  }
+
+  /**
+   * The latest rate on or before a date for every pair
+   * @param {string} date - YYYY-MM-DD
+   */
+  async latestFxRates(date) {
+    return this.db.all(
+      `SELECT r.base, r.quote, r.date, r.rate, r.source FROM fx_rates r
+       WHERE r.date = (SELECT MAX(date) FROM fx_rates WHERE base = r.base AND quote = r.quote AND date <= ?)
+       ORDER BY r.base, r.quote`,
+      [date]
+    );
+  }
+
+  /**
+   * @param {Object} filters - { base, quote, from, to, limit }; from/to are inclusive dates
+   * @returns {Promise<Array<Object>>} newest first
+   */
+  async listFxRates(filters = {}) {
+    const { where, params } = buildWhere({ base: filters.base, quote: filters.quote });
+    const conditions = where ? [where.slice('WHERE '.length)] : [];
+    if (filters.from) { conditions.push('date >= ?'); params.push(filters.from); }
+    if (filters.to) { conditions.push('date <= ?'); params.push(filters.to); }
+    const limit = parseInt(filters.limit) || 100;
+    return this.db.all(
+      `SELECT * FROM fx_rates ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY date DESC, base, quote LIMIT ${limit}`,
+      params
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Insert or update by key; ON CONFLICT is understood by both SQLite and Postgres
+   */
+  async upsert(table, record, key = 'id') {
+    const cols = Object.keys(record);
+    const placeholders = cols.map(() => '?').join(', ');
+    const updates = cols.filter(c => c !== key).map(c => `${c} = excluded.${c}`).join(', ');
+    await this.db.run(
+      `INSERT INTO ${table} (${cols.join(', ')}) VALUES (${placeholders})
+       ON CONFLICT (${key}) DO ${updates ? `UPDATE SET ${updates}` : 'NOTHING'}`,
+      cols.map(c => record[c])
+    );
+  }
+}
+
+function resolveDbPath(dbPath) {
+  if (!dbPath) return path.join(__dirname, '..', '..', 'data', 'king-ai.db');
+  if (dbPath === ':memory:' || path.isAbsolute(dbPath)) return dbPath;
+  return path.join(__dirname, dbPath);
+}
+
+/**
+ * Chat rows are returned as stored, with metadata parsed
+ */
+function fromChatRow(row) {
+  return row ? { ...row, metadata: safeParse(row.metadata) } : null;
+}
+
+/**
+ * Jobs are returned with payload and history parsed and epoch-ms columns as
+ * numbers (Postgres hands BIGINT back as strings)
+ */
+function fromJobRow(row) {
+  if (!row) return null;
+  const job = { ...row, payload: safeParse(row.payload), history: safeParse(row.history, []) };
+  for (const column of ['priority', 'attempts', 'max_attempts', 'enqueued_ms', 'available_ms', 'lease_expires_ms']) {
+    if (job[column] !== null && job[column] !== undefined) job[column] = Number(job[column]);
+  }
+  return job;
+}
+
+function fromLedgerAccountRow(row) {
+  return row ? { ...row, deductible: Boolean(row.deductible) } : null;
+}
+
+function toJobRow(job) {
+  const row = { ...job };
+  for (const column of ['payload', 'history']) {
+    if (row[column] !== undefined && row[column] !== null && typeof row[column] !== 'string') {
+      row[column] = JSON.stringify(row[column]);
+    }
+  }
+  return row;
+}
+
+/**
+ * Split an object into native columns and a JSON metadata blob
+ */
+function toRecord(table, input) {
+  const columns = COLUMNS[table];
+  const record = {};
+  const extra = { ...(typeof input.metadata === 'string' ? safeParse(input.metadata) : input.metadata) };
+
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'metadata' || value === undefined) continue;
+    const column = ALIASES[key] || key;
+    if (!columns.includes(column)) {
+      extra[key] = value;
+    } else if (record[column] === undefined || key === column) {
+      record[column] = value;
+    }
+  }
+
+  for (const flag of ['automated', 'requires_approval']) {
+    if (flag in record) record[flag] = record[flag] ? 1 : 0;
+  }
+  if (record.result !== undefined && record.result !== null && typeof record.result !== 'string') {
+    record.result = JSON.stringify(record.result);
+  }
+
+  record.metadata = JSON.stringify(extra);
+  return record;
+}
+
+/**
+ * Inverse of toRecord: metadata fields are spread under the native columns
+ */
+function fromRecord(row) {
+  if (!row) return null;
+  const metadata = safeParse(row.metadata);
+  const out = { ...metadata, ...row, metadata };
+  if (typeof out.result === 'string') {
+    const parsed = safeParse(out.result, null);
+    if (parsed !== null) out.result = parsed;
+  }
+  return out;
+}
+
+function buildWhere(filters) {
+  const conditions = [];
+  const params = [];
+  for (const [column, value] of Object.entries(filters)) {
+    if (value === undefined || value === null) continue;
+    conditions.push(`${column} = ?`);
+    params.push(value);
+  }
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+function safeParse(value, fallback = {}) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
 }
 
 export default Database;
@@ -43,11 +43,12 @@ export class EmailNotifier {
 
     /**
      * Send an email
+     * @param {string} [to] - defaults to the configured recipient
      */
-    async send(subject, htmlBody, textBody = null) {
+    async send(subject, htmlBody, textBody = null, to = this.recipientEmail) {
         if (!this.transporter) {
             console.log('Email would be sent (notifier not initialized):');
-            console.log(`  To: ${this.recipientEmail}`);
+            console.log(`  To: ${to}`);
             console.log(`  Subject: ${subject}`);
             console.log(`  Body: ${textBody || htmlBody}`);
             return { success: false, reason: 'notifier_not_initialized' };
@@ -56,7 +57,7 @@ export class EmailNotifier {
         try {
             const result = await this.transporter.sendMail({
                 from: `"King AI Studio" <${this.senderEmail}>`,
-                to: this.recipientEmail,
+                to,
                 subject,
                 text: textBody || htmlBody.replace(/<[^>]*>/g, ''),
                 html: htmlBody
@@ -72,9 +73,17 @@ export class EmailNotifier {
 
     /**
      * Send approval request email
+     * @param {Object} [links] - signed { approveUrl, rejectUrl, expiresAt } from ApprovalServer.approvalLinks()
      */
-    async sendApprovalRequest(task, evaluation) {
-        const subject = `🔔 Approval Required: ${task.name}`;
+    async sendApprovalRequest(task, evaluation, links = null) {
+        const subject = `🔔 Approval Required: ${task.name || task.title}`;
+
+        const actionsHtml = links ? `
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${links.approveUrl}" style="background: #28a745; color: white; padding: 12px 30px; border-radius: 5px; text-decoration: none; margin-right: 10px;">✅ Approve</a>
+          <a href="${links.rejectUrl}" style="background: #dc3545; color: white; padding: 12px 30px; border-radius: 5px; text-decoration: none;">❌ Reject</a>
+          <p style="color: #666; font-size: 12px;">Each link works once and expires ${links.expiresAt}.</p>
+        </div>` : '';
 
         const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -107,7 +116,7 @@ export class EmailNotifier {
         </div>
         
         <hr style="margin: 30px 0;">
-        
+        ${actionsHtml}
         <div style="background: #28a745; color: white; padding: 20px; border-radius: 5px; text-align: center;">
           <strong style="font-size: 18px;">Is it OK to implement this?</strong><br><br>
           Reply: <strong>YES</strong> / <strong>NO</strong> / [Ask a question for more info]
@@ -123,6 +132,58 @@ export class EmailNotifier {
         return this.send(subject, html);
     }
 
+    /**
+     * Remind the approver about a request that is still pending
+     * @param {Object} approval - approval row (title, description, task_id, deadline_at)
+     * @param {Object} [links] - signed { approveUrl, rejectUrl, expiresAt }
+     * @param {number} [count] - which reminder this is
+     */
+    async sendApprovalReminder(approval, links = null, count = 1) {
+        const subject = `⏰ Reminder #${count}: Approval Pending - ${approval.title}`;
+        const html = this.pendingApprovalHtml(approval, links,
+            `This request is still waiting for a decision. If nobody answers by ${approval.deadline_at} it will be handled automatically.`);
+
+        return this.send(subject, html);
+    }
+
+    /**
+     * Hand an overdue request to a secondary approver
+     * @param {Object} approval - approval row
+     * @param {string} to - secondary approver's email
+     * @param {Object} [links] - signed { approveUrl, rejectUrl, expiresAt }
+     */
+    async sendApprovalEscalation(approval, to, links = null) {
+        const subject = `🚨 Escalated: Approval Overdue - ${approval.title}`;
+        const html = this.pendingApprovalHtml(approval, links,
+            `The primary approver has not answered since ${approval.created_at}, so this request was escalated to you. Deadline: ${approval.deadline_at}.`);
+
+        return this.send(subject, html, null, to);
+    }
+
+    pendingApprovalHtml(approval, links, message) {
+        const actionsHtml = links ? `
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${links.approveUrl}" style="background: #28a745; color: white; padding: 12px 30px; border-radius: 5px; text-decoration: none; margin-right: 10px;">✅ Approve</a>
+          <a href="${links.rejectUrl}" style="background: #dc3545; color: white; padding: 12px 30px; border-radius: 5px; text-decoration: none;">❌ Reject</a>
+        </div>` : '';
+
+        return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #e67e22;">${approval.title}</h2>
+        <p>${message}</p>
+        <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          ${approval.description || ''}
+        </div>
+        ${actionsHtml}
+        <p style="color: #666; font-size: 12px; margin-top: 20px;">
+          Approval ID: ${approval.id}<br>
+          Task ID: ${approval.task_id}<br>
+          Generated by King AI Studio
+        </p>
+      </div>
+    `;
+    }
+
     /**
      * Send daily summary email
      */
@@ -0,0 +1,309 @@
+/**
+ * FX Rates - Dated exchange rates and currency conversion for every module
+ * A rate row says 1 unit of `base` buys `rate` units of `quote` on a date.
+ * Lookups use the latest rate on or before the date asked for, either
+ * directly, inverted, or crossed through another currency (ECB files quote
+ * everything against EUR), so one store answers any pair.
+ *
+ * Rates come from files (the ECB's eurofxref CSVs, or JSON) and work offline.
+ * Until some are imported a small fallback table dated 2000-01-01 answers, so
+ * any imported rate takes precedence.
+ *
+ * Convert at the transaction date to book an amount, and at the reporting date
+ * to value what is still open; the difference is the unrealized FX gain, and
+ * at the settlement date it is the realized one.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getStateStore } from './state-store.js';
+
+// USD per unit, for use only until real rates are imported
+export const FALLBACK_RATES = { EUR: 1.08, GBP: 1.27, JPY: 0.0066, BTC: 95000, ETH: 2500 };
+const FALLBACK_DATE = '2000-01-01';
+
+// Decimal places amounts are rounded to; anything else uses 2
+const MINOR_UNITS = { JPY: 0, KRW: 0, VND: 0, BTC: 8, ETH: 8 };
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+export class FxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FxError';
+    }
+}
+
+export function roundAmount(amount, currency) {
+    const factor = 10 ** (MINOR_UNITS[currency] ?? 2);
+    return Math.round(amount * factor) / factor;
+}
+
+/**
+ * YYYY-MM-DD for a Date, timestamp or date string
+ */
+export function toRateDate(value = new Date()) {
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    return String(value).slice(0, 10);
+}
+
+/**
+ * ECB files date rows as 2025-03-03 (history) or "03 March 2025" (daily)
+ */
+function parseEcbDate(text) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+    const match = /^(\d{1,2}) ([A-Za-z]+) (\d{4})$/.exec(text);
+    const month = match ? MONTHS.indexOf(match[2].toLowerCase()) : -1;
+    if (month < 0) throw new FxError(`Unrecognised date "${text}" in ECB rates file`);
+    return `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+export class FxRates {
+    /**
+     * @param {Object} config
+     * @param {Database} config.db - Shared Database instance
+     * @param {string} [config.baseCurrency] - reporting currency (default LEDGER_BASE_CURRENCY or USD)
+     */
+    constructor(config = {}) {
+        this.db = config.db;
+        this.baseCurrency = config.baseCurrency || process.env.LEDGER_BASE_CURRENCY || 'USD';
+        this.graphs = new Map();
+        this._ready = null;
+    }
+
+    /**
+     * Seed the fallback rates when the store is empty
+     */
+    async init() {
+        if (!this._ready) {
+            this._ready = (async () => {
+                await this.db.init();
+                if ((await this.db.listFxRates({ limit: 1 })).length === 0) {
+                    await this.db.saveFxRates(Object.entries(FALLBACK_RATES).map(([currency, rate]) => ({
+                        base: currency, quote: 'USD', date: FALLBACK_DATE, rate, source: 'fallback'
+                    })));
+                }
+            })().catch((err) => {
+                this._ready = null;
+                throw err;
+            });
+        }
+        await this._ready;
+        return this;
+    }
+
+    // --- Loading rates ---
+
+    /**
+     * @param {Array<{base, quote, date, rate}>} rates
+     * @param {string} [source]
+     * @returns {Promise<number>} rates written
+     * @throws {FxError} on a missing currency or date, or a rate that is not positive
+     */
+    async addRates(rates, source = 'manual') {
+        await this.init();
+        const rows = rates.map((rate, index) => {
+            const value = Number(rate.rate);
+            if (!rate.base || !rate.quote || !rate.date || !(value > 0)) {
+                throw new FxError(`Rate ${index + 1} needs a base, quote, date and positive rate`);
+            }
+            return {
+                base: rate.base.toUpperCase(),
+                quote: rate.quote.toUpperCase(),
+                date: toRateDate(rate.date),
+                rate: value,
+                source: rate.source || source
+            };
+        });
+        const written = await this.db.saveFxRates(rows);
+        this.graphs.clear();
+        return written;
+    }
+
+    /**
+     * Import an ECB reference rate CSV (eurofxref.csv or eurofxref-hist.csv):
+     * a Date column followed by one column per currency, in units per EUR
+     * @returns {Promise<{imported: number, currencies: string[], from: string, to: string}>}
+     */
+    async importEcbCsv(text, source = 'ecb') {
+        const [headerLine, ...lines] = String(text).trim().split(/\r?\n/);
+        const header = headerLine.split(',').map(cell => cell.trim());
+        if (header[0] !== 'Date') throw new FxError('Not an ECB rates file: the first column must be Date');
+
+        const rates = [];
+        for (const line of lines) {
+            const cells = line.split(',').map(cell => cell.trim());
+            if (!cells[0]) continue;
+            const date = parseEcbDate(cells[0]);
+            for (let i = 1; i < header.length; i++) {
+                const rate = Number(cells[i]);
+                // Currencies the ECB stopped quoting show N/A
+                if (header[i] && rate > 0) rates.push({ base: 'EUR', quote: header[i], date, rate });
+            }
+        }
+        if (rates.length === 0) throw new FxError('No rates found in ECB file');
+
+        const imported = await this.addRates(rates, source);
+        const dates = rates.map(rate => rate.date).sort();
+        console.log(`[FxRates] Imported ${imported} ECB rates from ${dates[0]} to ${dates.at(-1)}`);
+        return { imported, currencies: [...new Set(rates.map(rate => rate.quote))], from: dates[0], to: dates.at(-1) };
+    }
+
+    /**
+     * Import a rates file: an ECB CSV, or a JSON array of { base, quote, date, rate }
+     */
+    async importFile(file) {
+        const text = fs.readFileSync(file, 'utf-8');
+        const source = path.basename(file);
+        if (file.toLowerCase().endsWith('.json')) {
+            const imported = await this.addRates(JSON.parse(text), source);
+            console.log(`[FxRates] Imported ${imported} rates from ${source}`);
+            return { imported };
+        }
+        return this.importEcbCsv(text, source);
+    }
+
+    // --- Conversion ---
+
+    /**
+     * Currency graph of the latest rates on or before a day
+     */
+    async graphFor(day) {
+        if (!this.graphs.has(day)) {
+            const graph = new Map();
+            const link = (from, to, rate, row) => {
+                if (!graph.has(from)) graph.set(from, []);
+                graph.get(from).push({ to, rate, date: row.date, source: row.source });
+            };
+            const rows = await this.db.latestFxRates(day);
+            // A fallback rate gives way once imported rates connect both of its currencies
+            const imported = new Set(rows.filter(row => row.source !== 'fallback').flatMap(row => [row.base, row.quote]));
+            for (const row of rows) {
+                if (row.source === 'fallback' && imported.has(row.base) && imported.has(row.quote)) continue;
+                link(row.base, row.quote, row.rate, row);
+                link(row.quote, row.base, 1 / row.rate, row);
+            }
+            if (this.graphs.size >= 100) this.graphs.clear();
+            this.graphs.set(day, graph);
+        }
+        return this.graphs.get(day);
+    }
+
+    /**
+     * Units of `to` per unit of `from` on a date. A direct or inverted rate is
+     * used when there is one; otherwise the fewest crosses.
+     * @returns {Promise<{from, to, date, rate, rateDate, source}>} rateDate is
+     *   the oldest rate used, so a stale answer is visible
+     * @throws {FxError} when no rate connects the two on or before the date
+     */
+    async getRate(from, to, date = new Date()) {
+        await this.init();
+        const day = toRateDate(date);
+        const source = String(from).toUpperCase();
+        const target = String(to).toUpperCase();
+        if (source === target) return { from: source, to: target, date: day, rate: 1, rateDate: day, source: 'identity' };
+
+        const graph = await this.graphFor(day);
+        const visited = new Set([source]);
+        let frontier = [{ currency: source, rate: 1, rateDate: day, sources: [] }];
+        while (frontier.length > 0) {
+            const next = [];
+            for (const step of frontier) {
+                for (const edge of graph.get(step.currency) || []) {
+                    if (visited.has(edge.to)) continue;
+                    visited.add(edge.to);
+                    const reached = {
+                        currency: edge.to,
+                        rate: step.rate * edge.rate,
+                        rateDate: edge.date < step.rateDate ? edge.date : step.rateDate,
+                        sources: [...step.sources, edge.source]
+                    };
+                    if (edge.to === target) {
+                        return { from: source, to: target, date: day, rate: reached.rate, rateDate: reached.rateDate, source: [...new Set(reached.sources)].join('+') };
+                    }
+                    next.push(reached);
+                }
+            }
+            frontier = next;
+        }
+        throw new FxError(`No ${source}/${target} rate on or before ${day}`);
+    }
+
+    /**
+     * @returns {Promise<{amount, from, to, date, rate, rateDate, result}>} result rounded to the target currency
+     */
+    async convert(amount, from, to = this.baseCurrency, date = new Date()) {
+        const rate = await this.getRate(from, to, date);
+        return {
+            amount,
+            from: rate.from,
+            to: rate.to,
+            date: rate.date,
+            rate: rate.rate,
+            rateDate: rate.rateDate,
+            result: roundAmount(amount * rate.rate, rate.to)
+        };
+    }
+
+    // --- FX gains ---
+
+    /**
+     * Gain from settling a foreign amount at a different rate than it was
+     * booked at (negative for a loss). For a payable pass a negative amount.
+     * @param {Object} position - { amount, currency, bookedAt, settledAt, reportingCurrency }
+     */
+    async realizedGain(position) {
+        return this.revalue(position.amount, position.currency, position.bookedAt, position.settledAt, position.reportingCurrency);
+    }
+
+    /**
+     * Gain on a foreign amount still open, valued at the reporting date rate
+     * @param {Object} position - { amount, currency, bookedAt, asOf, reportingCurrency }
+     */
+    async unrealizedGain(position) {
+        return this.revalue(position.amount, position.currency, position.bookedAt, position.asOf, position.reportingCurrency);
+    }
+
+    /**
+     * @returns {Promise<{amount, currency, reportingCurrency, bookedAt, bookedRate, bookedValue, valuedAt, rate, value, gain}>}
+     */
+    async revalue(amount, currency, bookedAt, valuedAt = new Date(), reportingCurrency = this.baseCurrency) {
+        const booked = await this.convert(amount, currency, reportingCurrency, bookedAt);
+        const valued = await this.convert(amount, currency, reportingCurrency, valuedAt);
+        return {
+            amount,
+            currency: booked.from,
+            reportingCurrency: booked.to,
+            bookedAt: booked.date,
+            bookedRate: booked.rate,
+            bookedValue: booked.result,
+            valuedAt: valued.date,
+            rate: valued.rate,
+            value: valued.result,
+            gain: roundAmount(valued.result - booked.result, booked.to)
+        };
+    }
+
+    /**
+     * @param {Object} [filters] - { base, quote, from, to, limit }
+     */
+    async listRates(filters = {}) {
+        await this.init();
+        return this.db.listFxRates(filters);
+    }
+}
+
+/**
+ * The FxRates for a config's database, shared so every module converts with
+ * the same rates
+ */
+const sharedRates = new WeakMap();
+
+export function getFxRates(config = {}) {
+    if (config.fxRates) return config.fxRates;
+    const db = config.db || getStateStore(config).db;
+    if (!sharedRates.has(db)) sharedRates.set(db, new FxRates({ ...config, db }));
+    return sharedRates.get(db);
+}
+
+export default FxRates;
@@ -0,0 +1,699 @@
+/**
+ * General Ledger - Double-entry books shared by every money tracker
+ * Every movement of money is a journal entry whose lines debit and credit
+ * accounts from one chart of accounts; an entry only posts when its debits
+ * equal its credits. Lines carry a business dimension so reports can be cut
+ * per business. Entries are never edited or deleted: a mistake is undone by
+ * posting a reversing entry. Amounts are stored as integer cents in the base
+ * currency (the original currency and amount are kept on each line), and the
+ * P&L, balance sheet and cash flow are all computed from the posted lines.
+ * Foreign amounts are converted with FxRates at the entry date, and
+ * getFxRevaluation() values what is still open at the reporting date;
+ * postFxRevaluation() books that difference to the FX gain/loss account.
+ *
+ * FinanceModule, AutoBookkeeping, ProfitTracker, MultiCurrencyLedger and
+ * PortfolioManager post here instead of keeping their own totals.
+ */
+
+import { getStateStore } from './state-store.js';
+import { getFxRates, roundAmount } from './fx-rates.js';
+
+export const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+
+// Assets and expenses grow with debits; liabilities, equity and income with credits
+const DEBIT_NORMAL = new Set(['asset', 'expense']);
+const CASH_SUBTYPES = new Set(['bank', 'cash']);
+
+export const DEFAULT_ACCOUNTS = [
+    { id: 'checking', name: 'Business Checking', type: 'asset', subtype: 'bank' },
+    { id: 'savings', name: 'Business Savings', type: 'asset', subtype: 'bank' },
+    { id: 'ar', name: 'Accounts Receivable', type: 'asset', subtype: 'receivable' },
+    { id: 'ap', name: 'Accounts Payable', type: 'liability', subtype: 'payable' },
+    { id: 'cc', name: 'Business Credit Card', type: 'liability', subtype: 'credit_card' },
+    // Tax collected on invoices until it is paid over
+    { id: 'sales-tax', name: 'Sales Tax Payable', type: 'liability', subtype: 'tax' },
+    { id: 'owner-equity', name: "Owner's Equity", type: 'equity', subtype: 'owner' },
+    // Counterpart for totals imported from the old trackers, which never recorded where the money sat
+    { id: 'opening-balance', name: 'Opening Balance Equity', type: 'equity', subtype: 'opening' },
+    { id: 'revenue', name: 'Service Revenue', type: 'income', subtype: 'revenue' },
+    { id: 'other-income', name: 'Other Income', type: 'income', subtype: 'other' },
+    // Realized and unrealized exchange differences; a loss is a debit
+    { id: 'fx-gain', name: 'Foreign Exchange Gain/Loss', type: 'income', subtype: 'fx' },
+    { id: 'payroll', name: 'Payroll Expense', type: 'expense', subtype: 'payroll' },
+    { id: 'rent', name: 'Rent Expense', type: 'expense', subtype: 'occupancy' },
+    { id: 'utilities', name: 'Utilities', type: 'expense', subtype: 'utilities' },
+    { id: 'software', name: 'Software & Subscriptions', type: 'expense', subtype: 'technology', deductible: true },
+    { id: 'marketing', name: 'Marketing Expense', type: 'expense', subtype: 'marketing', deductible: true },
+    { id: 'supplies', name: 'Office Supplies', type: 'expense', subtype: 'supplies', deductible: true },
+    { id: 'professional', name: 'Professional Services', type: 'expense', subtype: 'professional', deductible: true },
+    { id: 'misc', name: 'Miscellaneous Expense', type: 'expense', subtype: 'other' }
+];
+
+const DEFAULT_ACCOUNT_FOR = { income: 'revenue', expense: 'misc' };
+
+export class LedgerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LedgerError';
+    }
+}
+
+export function toCents(amount) {
+    const cents = Math.round(Number(amount) * 100);
+    if (!Number.isFinite(cents)) throw new LedgerError(`Invalid amount: ${amount}`);
+    return cents;
+}
+
+function fromCents(cents) {
+    return cents / 100;
+}
+
+/**
+ * YYYY-MM-DD for a Date, timestamp or date string
+ */
+export function toLedgerDate(value = new Date()) {
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    return String(value).slice(0, 10);
+}
+
+/**
+ * Account id for a free-text category, e.g. "Office Supplies" -> "office-supplies"
+ */
+export function accountIdFor(category) {
+    return String(category).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export class GeneralLedger {
+    /**
+     * @param {Object} config
+     * @param {Database} config.db - Shared Database instance
+     * @param {string} [config.baseCurrency] - currency the books are kept in (default LEDGER_BASE_CURRENCY or USD)
+     * @param {string} [config.cashAccount] - account money moves through when none is named (default checking)
+     */
+    constructor(config = {}) {
+        this.db = config.db;
+        this.baseCurrency = config.baseCurrency || process.env.LEDGER_BASE_CURRENCY || 'USD';
+        this.cashAccount = config.cashAccount || 'checking';
+        this.fx = getFxRates({ ...config, db: this.db, baseCurrency: this.baseCurrency });
+        this._ready = null;
+    }
+
+    /**
+     * Create the default chart of accounts and bring in revenue/expense totals
+     * kept on business rows before the ledger existed
+     */
+    async init() {
+        if (!this._ready) {
+            this._ready = (async () => {
+                await this.db.init();
+                const stamp = new Date().toISOString();
+                for (const account of DEFAULT_ACCOUNTS) {
+                    await this.db.insertLedgerAccount({ ...account, created_at: stamp });
+                }
+                await this.importBusinessTotals();
+            })().catch((err) => {
+                this._ready = null;
+                throw err;
+            });
+        }
+        await this._ready;
+        return this;
+    }
+
+    // --- Chart of accounts ---
+
+    /**
+     * @param {Object} account - { id, name, type, subtype, deductible }
+     * @returns {Promise<{success: boolean, account?: Object, error?: string}>}
+     */
+    async addAccount(account) {
+        await this.init();
+        return this.createAccount(account);
+    }
+
+    async createAccount(account) {
+        if (!account?.id || !account.name) return { success: false, error: 'Account id and name are required' };
+        if (!ACCOUNT_TYPES.includes(account.type)) {
+            return { success: false, error: `Account type must be one of ${ACCOUNT_TYPES.join(', ')}` };
+        }
+        const created = await this.db.insertLedgerAccount({
+            id: account.id,
+            name: account.name,
+            type: account.type,
+            subtype: account.subtype || null,
+            deductible: Boolean(account.deductible),
+            created_at: new Date().toISOString()
+        });
+        if (!created) return { success: false, error: `Account already exists: ${account.id}` };
+        return { success: true, account: await this.db.getLedgerAccount(account.id) };
+    }
+
+    async getAccount(id) {
+        await this.init();
+        return this.db.getLedgerAccount(id);
+    }
+
+    /**
+     * The account for a category of income or expense, created on first use.
+     * No category, or one naming an account of another type, gets the default
+     * revenue or miscellaneous expense account.
+     * @param {Object} [defaults] - extra fields for a new account, e.g. { deductible }
+     */
+    async accountFor(category, type, defaults = {}) {
+        const id = category ? accountIdFor(category) : '';
+        if (!id) return this.db.getLedgerAccount(DEFAULT_ACCOUNT_FOR[type]);
+
+        const existing = await this.db.getLedgerAccount(id);
+        if (existing) return existing.type === type ? existing : this.db.getLedgerAccount(DEFAULT_ACCOUNT_FOR[type]);
+        await this.createAccount({ ...defaults, id, name: String(category).trim(), type });
+        return this.db.getLedgerAccount(id);
+    }
+
+    /**
+     * Every account with its balance (debit-normal accounts positive when in debit)
+     * @param {Object} [filters] - { asOf, businessId }
+     */
+    async listAccounts(filters = {}) {
+        await this.init();
+        const totals = await this.totalsByAccount({ to: filters.asOf, businessId: filters.businessId });
+        return (await this.db.listLedgerAccounts()).map(account => ({
+            ...account,
+            balance: fromCents(balanceOf(account, totals.get(account.id)))
+        }));
+    }
+
+    // --- Posting ---
+
+    /**
+     * Post a balanced journal entry
+     * @param {Object} entry - { date, description, businessId, source, sourceRef, idempotencyKey, metadata,
+     *   lines: [{ account, debit | credit, businessId, currency, amount, memo, deductible }] } with debit/credit in
+     *   the base currency; a line's deductible overrides its account's flag in the tax figures
+     * @returns {Promise<{entry: Object, duplicate: boolean}>} duplicate when the idempotency key was posted before
+     * @throws {LedgerError} when the lines do not balance, or name an unknown account
+     */
+    async post(entry) {
+        await this.init();
+        return this.write(entry);
+    }
+
+    async write(entry, reverses = null) {
+        if (entry.idempotencyKey) {
+            const existing = await this.db.getJournalEntryByKey(entry.idempotencyKey);
+            if (existing) return { entry: fromEntryRow(existing), duplicate: true };
+        }
+
+        const lines = await this.toLines(entry);
+        const id = `je-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+        const inserted = await this.db.insertJournalEntry({
+            id,
+            date: toLedgerDate(entry.date),
+            description: entry.description || null,
+            business_id: entry.businessId || null,
+            source: entry.source || 'manual',
+            source_ref: entry.sourceRef ?? null,
+            idempotency_key: entry.idempotencyKey || null,
+            reverses,
+            metadata: entry.metadata || {},
+            created_at: new Date().toISOString()
+        }, lines);
+
+        if (!inserted) {
+            // Another writer posted the same idempotency key or reversal first
+            const existing = entry.idempotencyKey
+                ? await this.db.getJournalEntryByKey(entry.idempotencyKey)
+                : await this.db.getJournalReversal(reverses);
+            if (existing) return { entry: fromEntryRow(existing), duplicate: true };
+            throw new LedgerError(`Journal entry ${id} could not be written`);
+        }
+
+        await this.syncBusinesses(lines);
+        return { entry: fromEntryRow(await this.db.getJournalEntry(id)), duplicate: false };
+    }
+
+    async toLines(entry) {
+        if (!Array.isArray(entry.lines) || entry.lines.length < 2) {
+            throw new LedgerError('A journal entry needs at least two lines');
+        }
+        const accounts = new Set((await this.db.listLedgerAccounts()).map(account => account.id));
+
+        let debits = 0;
+        let credits = 0;
+        const lines = entry.lines.map((line, index) => {
+            if (!accounts.has(line.account)) throw new LedgerError(`Unknown account "${line.account}" on line ${index + 1}`);
+            const debit = toCents(line.debit || 0);
+            const credit = toCents(line.credit || 0);
+            if (debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+                throw new LedgerError(`Line ${index + 1} needs either a positive debit or a positive credit`);
+            }
+            debits += debit;
+            credits += credit;
+            return {
+                account_id: line.account,
+                business_id: line.businessId ?? entry.businessId ?? null,
+                debit_cents: debit,
+                credit_cents: credit,
+                currency: line.currency || this.baseCurrency,
+                amount: line.amount ?? fromCents(debit || credit),
+                memo: line.memo || null,
+                deductible: typeof line.deductible === 'boolean' ? Number(line.deductible) : null
+            };
+        });
+
+        if (debits !== credits) {
+            throw new LedgerError(`Entry does not balance: debits ${fromCents(debits)} vs credits ${fromCents(credits)}`);
+        }
+        return lines;
+    }
+
+    /**
+     * Money in: debit the cash account, credit an income account. A negative
+     * amount (a refund) posts the other way round.
+     * @param {Object} record - { amount, category | account, cashAccount, date, description, businessId,
+     *   source, sourceRef, idempotencyKey, currency, originalAmount, metadata }; without an amount,
+     *   originalAmount is converted from currency at the entry date
+     */
+    async recordIncome(record) {
+        await this.init();
+        return this.writeFlow(record, 'income');
+    }
+
+    /**
+     * Money out: debit an expense account, credit the cash account
+     * @param {Object} record - as for recordIncome, plus { deductible } for this expense, which
+     *   also becomes the flag of a new expense account
+     */
+    async recordExpense(record) {
+        await this.init();
+        return this.writeFlow(record, 'expense');
+    }
+
+    async writeFlow(record, type) {
+        const account = record.account || (await this.accountFor(record.category, type, { deductible: record.deductible })).id;
+        const cash = record.cashAccount || this.cashAccount;
+        const base = record.amount ?? (await this.fx.convert(record.originalAmount, record.currency, this.baseCurrency, record.date || new Date())).result;
+        const cents = toCents(base);
+        const [debit, credit] = (type === 'income') === (cents >= 0) ? [cash, account] : [account, cash];
+        const amount = fromCents(Math.abs(cents));
+        const original = { currency: record.currency, amount: record.originalAmount !== undefined ? Math.abs(record.originalAmount) : undefined };
+        const deductible = type === 'expense' ? { deductible: record.deductible } : {};
+
+        return this.write({
+            ...record,
+            lines: [
+                { account: debit, debit: amount, ...original, ...(debit === account ? deductible : {}) },
+                { account: credit, credit: amount, ...original, ...(credit === account ? deductible : {}) }
+            ]
+        });
+    }
+
+    /**
+     * Undo a posted entry by posting its mirror image
+     * @param {Object} [options] - { date, description, reason }
+     * @returns {Promise<{success: boolean, entry?: Object, error?: string}>}
+     */
+    async reverse(id, options = {}) {
+        await this.init();
+        const original = await this.db.getJournalEntry(id);
+        if (!original) return { success: false, error: `Journal entry not found: ${id}` };
+        if (original.reverses) return { success: false, error: `Journal entry ${id} is itself a reversal` };
+        if (await this.db.getJournalReversal(id)) return { success: false, error: `Journal entry ${id} is already reversed` };
+
+        const { entry, duplicate } = await this.write({
+            date: options.date,
+            description: options.description || `Reversal of ${original.description || id}`,
+            businessId: original.business_id,
+            source: original.source,
+            sourceRef: original.source_ref,
+            metadata: { reason: options.reason || null },
+            lines: original.lines.map(line => ({
+                account: line.account_id,
+                businessId: line.business_id,
+                debit: fromCents(line.credit_cents),
+                credit: fromCents(line.debit_cents),
+                currency: line.currency,
+                amount: line.amount,
+                memo: line.memo,
+                deductible: line.deductible === null ? undefined : Boolean(line.deductible)
+            }))
+        }, id);
+        if (duplicate) return { success: false, error: `Journal entry ${id} is already reversed` };
+        return { success: true, entry };
+    }
+
+    async getEntry(id) {
+        await this.init();
+        return fromEntryRow(await this.db.getJournalEntry(id));
+    }
+
+    /**
+     * @param {Object} [filters] - { from, to, businessId, source, accountId, limit, offset }
+     * @returns {Promise<{entries: Array<Object>, total: number}>}
+     */
+    async listEntries(filters = {}) {
+        await this.init();
+        const { entries, total } = await this.db.listJournalEntries({
+            ...filters,
+            from: filters.from && toLedgerDate(filters.from),
+            to: filters.to && toLedgerDate(filters.to)
+        });
+        return { entries: entries.map(fromEntryRow), total };
+    }
+
+    /**
+     * Whether any line has been posted for a business
+     */
+    async hasActivity(businessId) {
+        await this.init();
+        return this.db.hasJournalLines(businessId);
+    }
+
+    // --- Reports ---
+
+    async totalsByAccount(filters = {}) {
+        const rows = await this.db.sumJournalLines({
+            from: filters.from && toLedgerDate(filters.from),
+            to: filters.to && toLedgerDate(filters.to),
+            businessId: filters.businessId
+        });
+        return new Map(rows.map(row => [row.account_id, row]));
+    }
+
+    /**
+     * Debit and credit totals per account; they always match for the whole book
+     * @param {Object} [filters] - { asOf, businessId }
+     */
+    async getTrialBalance(filters = {}) {
+        await this.init();
+        const totals = await this.totalsByAccount({ to: filters.asOf, businessId: filters.businessId });
+        const accounts = (await this.db.listLedgerAccounts())
+            .filter(account => totals.has(account.id))
+            .map(account => {
+                const { debit_cents: debit, credit_cents: credit } = totals.get(account.id);
+                return { id: account.id, name: account.name, type: account.type, debit: fromCents(debit), credit: fromCents(credit) };
+            });
+        const totalDebits = sumCents(accounts.map(a => a.debit));
+        const totalCredits = sumCents(accounts.map(a => a.credit));
+        return { asOf: filters.asOf ? toLedgerDate(filters.asOf) : toLedgerDate(), accounts, totalDebits, totalCredits, balanced: totalDebits === totalCredits };
+    }
+
+    /**
+     * Income and expenses over a period
+     * @param {Object} [filters] - { from, to, businessId } dates inclusive
+     */
+    async getProfitLoss(filters = {}) {
+        await this.init();
+        const totals = await this.totalsByAccount(filters);
+        const lines = { income: [], expense: [] };
+        for (const account of await this.db.listLedgerAccounts()) {
+            if (!lines[account.type] || !totals.has(account.id)) continue;
+            lines[account.type].push({
+                id: account.id,
+                name: account.name,
+                amount: fromCents(balanceOf(account, totals.get(account.id))),
+                ...(account.type === 'expense' ? { deductible: account.deductible, deductibleAmount: fromCents(totals.get(account.id).deductible_cents) } : {})
+            });
+        }
+
+        const income = sumCents(lines.income.map(a => a.amount));
+        const expenses = sumCents(lines.expense.map(a => a.amount));
+        return {
+            period: { from: filters.from ? toLedgerDate(filters.from) : null, to: filters.to ? toLedgerDate(filters.to) : null },
+            businessId: filters.businessId || null,
+            income,
+            expenses,
+            netIncome: fromCents(toCents(income) - toCents(expenses)),
+            deductibleExpenses: sumCents(lines.expense.map(a => a.deductibleAmount)),
+            incomeAccounts: lines.income,
+            expenseAccounts: lines.expense
+        };
+    }
+
+    /**
+     * Assets, liabilities and equity at a date; profit not yet closed to
+     * equity shows as current earnings, so the two sides always match
+     * @param {Object} [filters] - { asOf, businessId }
+     */
+    async getBalanceSheet(filters = {}) {
+        await this.init();
+        const totals = await this.totalsByAccount({ to: filters.asOf, businessId: filters.businessId });
+        const sections = { asset: [], liability: [], equity: [] };
+        let earnings = 0;
+        for (const account of await this.db.listLedgerAccounts()) {
+            const balance = balanceOf(account, totals.get(account.id));
+            if (account.type === 'income') earnings += balance;
+            else if (account.type === 'expense') earnings -= balance;
+            else if (balance !== 0) sections[account.type].push({ id: account.id, name: account.name, balance: fromCents(balance) });
+        }
+        if (earnings !== 0) sections.equity.push({ id: 'current-earnings', name: 'Current Earnings', balance: fromCents(earnings) });
+
+        const totalAssets = sumCents(sections.asset.map(a => a.balance));
+        const totalLiabilities = sumCents(sections.liability.map(a => a.balance));
+        const totalEquity = sumCents(sections.equity.map(a => a.balance));
+        return {
+            asOf: filters.asOf ? toLedgerDate(filters.asOf) : toLedgerDate(),
+            businessId: filters.businessId || null,
+            assets: sections.asset,
+            liabilities: sections.liability,
+            equity: sections.equity,
+            totalAssets,
+            totalLiabilities,
+            totalEquity,
+            balanced: toCents(totalAssets) === toCents(totalLiabilities) + toCents(totalEquity)
+        };
+    }
+
+    /**
+     * Money into and out of the bank and cash accounts over a period
+     * @param {Object} [filters] - { from, to, businessId }
+     */
+    async getCashFlow(filters = {}) {
+        await this.init();
+        const totals = await this.totalsByAccount(filters);
+        const accounts = (await this.db.listLedgerAccounts())
+            .filter(account => CASH_SUBTYPES.has(account.subtype) && totals.has(account.id))
+            .map(account => ({
+                id: account.id,
+                name: account.name,
+                inflows: fromCents(totals.get(account.id).debit_cents),
+                outflows: fromCents(totals.get(account.id).credit_cents)
+            }));
+        const inflows = sumCents(accounts.map(a => a.inflows));
+        const outflows = sumCents(accounts.map(a => a.outflows));
+        return {
+            period: { from: filters.from ? toLedgerDate(filters.from) : null, to: filters.to ? toLedgerDate(filters.to) : null },
+            businessId: filters.businessId || null,
+            inflows,
+            outflows,
+            netCashFlow: fromCents(toCents(inflows) - toCents(outflows)),
+            accounts
+        };
+    }
+
+    /**
+     * Income and expenses per business over a period
+     * @param {Object} [filters] - { from, to }
+     * @returns {Promise<Object<string, {income: number, expenses: number, profit: number}>>}
+     */
+    async getBusinessTotals(filters = {}) {
+        await this.init();
+        return this.businessTotals(filters);
+    }
+
+    async businessTotals(filters = {}) {
+        const types = new Map((await this.db.listLedgerAccounts()).map(account => [account.id, account]));
+        const rows = await this.db.sumJournalLines({
+            from: filters.from && toLedgerDate(filters.from),
+            to: filters.to && toLedgerDate(filters.to),
+            businessId: filters.businessId,
+            byBusiness: true
+        });
+
+        const cents = {};
+        for (const row of rows) {
+            const account = types.get(row.account_id);
+            if (!row.business_id || !['income', 'expense'].includes(account?.type)) continue;
+            cents[row.business_id] = cents[row.business_id] || { income: 0, expense: 0 };
+            cents[row.business_id][account.type] += balanceOf(account, row);
+        }
+        return Object.fromEntries(Object.entries(cents).map(([id, { income, expense }]) => [id, {
+            income: fromCents(income),
+            expenses: fromCents(expense),
+            profit: fromCents(income - expense)
+        }]));
+    }
+
+    /**
+     * Foreign-currency balances on asset and liability accounts valued at the
+     * rate on the reporting date, against what they were booked at. The
+     * difference is the unrealized FX gain (negative for a loss).
+     * @param {Object} [filters] - { asOf }
+     */
+    async getFxRevaluation(filters = {}) {
+        await this.init();
+        const asOf = toLedgerDate(filters.asOf);
+        const types = new Map((await this.db.listLedgerAccounts()).map(account => [account.id, account]));
+        const positions = [];
+        for (const row of await this.db.sumForeignJournalLines({ to: asOf, baseCurrency: this.baseCurrency })) {
+            const account = types.get(row.account_id);
+            const foreign = roundAmount(row.foreign_amount, row.currency);
+            if (!['asset', 'liability'].includes(account?.type) || !foreign) continue;
+            const { rate, rateDate, result } = await this.fx.convert(foreign, row.currency, this.baseCurrency, asOf);
+            positions.push({
+                account: account.id,
+                name: account.name,
+                currency: row.currency,
+                foreignBalance: foreign,
+                bookValue: fromCents(row.book_cents),
+                rate,
+                rateDate,
+                reportingValue: result,
+                unrealizedGain: fromCents(toCents(result) - row.book_cents)
+            });
+        }
+        return {
+            asOf,
+            baseCurrency: this.baseCurrency,
+            positions,
+            unrealizedGain: sumCents(positions.map(p => p.unrealizedGain))
+        };
+    }
+
+    /**
+     * Post the unrealized FX gain at a date: each foreign balance moves to
+     * its reporting value against the FX gain/loss account. The adjusting
+     * lines carry no foreign amount, so a later revaluation only books the
+     * change since this one. Posts once per date.
+     * @param {Object} [filters] - { asOf }
+     * @returns {Promise<{success: boolean, revaluation: Object, entry?: Object, duplicate?: boolean}>}
+     */
+    async postFxRevaluation(filters = {}) {
+        const revaluation = await this.getFxRevaluation(filters);
+        const lines = [];
+        let net = 0;
+        for (const position of revaluation.positions) {
+            const cents = toCents(position.unrealizedGain);
+            if (!cents) continue;
+            net += cents;
+            const amount = fromCents(Math.abs(cents));
+            lines.push({ account: position.account, currency: position.currency, amount: 0, memo: `${position.currency} at ${position.rate}`, ...(cents > 0 ? { debit: amount } : { credit: amount }) });
+        }
+        if (lines.length === 0) return { success: true, revaluation };
+        if (net) lines.push({ account: 'fx-gain', ...(net > 0 ? { credit: fromCents(net) } : { debit: fromCents(-net) }) });
+
+        const { entry, duplicate } = await this.write({
+            date: revaluation.asOf,
+            description: `FX revaluation at ${revaluation.asOf}`,
+            source: 'fx-revaluation',
+            idempotencyKey: `fx-revaluation:${revaluation.asOf}`,
+            lines
+        });
+        return { success: true, revaluation, entry, duplicate };
+    }
+
+    // --- Businesses table ---
+
+    /**
+     * Keep revenue/expenses on business rows equal to the books, for the
+     * dashboard and anything else that reads them
+     */
+    async syncBusinesses(lines) {
+        const ids = [...new Set(lines.map(line => line.business_id).filter(Boolean))];
+        for (const id of ids) {
+            const business = await this.db.getBusiness(id);
+            if (!business) continue;
+            const totals = (await this.businessTotals({ businessId: id }))[id] || { income: 0, expenses: 0 };
+            await this.db.saveBusiness({ ...business, revenue: totals.income, expenses: totals.expenses });
+        }
+    }
+
+    /**
+     * Post opening entries for revenue/expenses that business rows carried
+     * before the ledger existed. A business the books already know is left alone.
+     */
+    async importBusinessTotals() {
+        for (const business of await this.db.getAllBusinesses()) {
+            if (!(business.revenue || business.expenses) || await this.db.hasJournalLines(business.id)) continue;
+            await this.writeOpening(business.id, { revenue: business.revenue, expenses: business.expenses }, 'businesses', business.started_at);
+            console.log(`[GeneralLedger] Imported opening totals for business ${business.id}`);
+        }
+    }
+
+    /**
+     * Opening income/expense totals for a business, against opening balance equity
+     * @param {Object} totals - { revenue, expenses }
+     */
+    async importOpeningTotals(businessId, totals, source, date) {
+        await this.init();
+        return this.writeOpening(businessId, totals, source, date);
+    }
+
+    async writeOpening(businessId, totals, source, date) {
+        const posted = [];
+        for (const [type, amount] of [['income', totals.revenue], ['expense', totals.expenses]]) {
+            if (!amount) continue;
+            posted.push(await this.writeFlow({
+                amount,
+                date,
+                cashAccount: 'opening-balance',
+                description: `Opening ${type === 'income' ? 'revenue' : 'expenses'} imported from ${source}`,
+                businessId,
+                source,
+                idempotencyKey: `${source}:opening:${businessId}:${type}`
+            }, type));
+        }
+        return posted;
+    }
+}
+
+/**
+ * The GeneralLedger for a config's database, shared so every tracker on
+ * the same database writes to the same books
+ */
+const sharedLedgers = new WeakMap();
+
+export function getGeneralLedger(config = {}) {
+    if (config.generalLedger) return config.generalLedger;
+    const db = config.db || getStateStore(config).db;
+    if (!sharedLedgers.has(db)) sharedLedgers.set(db, new GeneralLedger({ ...config, db }));
+    return sharedLedgers.get(db);
+}
+
+function balanceOf(account, totals) {
+    if (!totals) return 0;
+    return DEBIT_NORMAL.has(account.type)
+        ? totals.debit_cents - totals.credit_cents
+        : totals.credit_cents - totals.debit_cents;
+}
+
+function sumCents(amounts) {
+    return fromCents(amounts.reduce((sum, amount) => sum + toCents(amount), 0));
+}
+
+function fromEntryRow(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        date: row.date,
+        description: row.description,
+        businessId: row.business_id,
+        source: row.source,
+        sourceRef: row.source_ref,
+        idempotencyKey: row.idempotency_key,
+        reverses: row.reverses,
+        metadata: row.metadata,
+        createdAt: row.created_at,
+        lines: row.lines.map(line => ({
+            account: line.account_id,
+            businessId: line.business_id,
+            debit: fromCents(line.debit_cents),
+            credit: fromCents(line.credit_cents),
+            currency: line.currency,
+            amount: line.amount,
+            memo: line.memo,
+            ...(line.deductible === null || line.deductible === undefined ? {} : { deductible: Boolean(line.deductible) })
+        }))
+    };
+}
+
+export default GeneralLedger;
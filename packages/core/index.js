@@ -4,9 +4,25 @@
 
 export { PolicyEngine } from './policy-engine.js';
 export { AuditLogger } from './audit-logger.js';
+export { AuditSearch } from './audit-search.js';
 export { EmailNotifier } from './email-notifier.js';
 export { DailySummarizer } from './daily-summarizer.js';
 export { ApprovalFlow } from './approval-flow.js';
+export { ApprovalScheduler } from './approval-scheduler.js';
+export { ApprovalAuth } from './approval-auth.js';
 export { AIProvider } from './ai-provider.js';
 export { ModelRouter } from './model-router.js';
+export { BudgetManager, BudgetExceededError } from './llm-budget.js';
+export { PromptCache } from './prompt-cache.js';
+export { runToolLoop, toolFormats } from './tool-calling.js';
+export { LLMFixtures, FixtureMissError } from './llm-fixtures.js';
 export { Database } from './database.js';
+export { createStorageAdapter, SqliteAdapter, PostgresAdapter, MemoryAdapter } from './storage-adapters.js';
+export { StateStore, getStateStore } from './state-store.js';
+export { GeneralLedger, LedgerError, getGeneralLedger } from './general-ledger.js';
+export { FxRates, FxError, getFxRates } from './fx-rates.js';
+export { Categorizer, CategorizationError, getCategorizer } from './categorizer.js';
+export { exportBooks, ExportError, EXPORT_FORMATS } from './books-export.js';
+export { ChatSessions } from './chat-sessions.js';
+export { JobQueue } from './job-queue.js';
+export { Scheduler } from './scheduler.js';
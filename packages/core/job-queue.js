@@ -0,0 +1,241 @@
+/**
+ * Job Queue - Durable task queue for the Orchestrator
+ * Jobs live in the job_queue table, so queued and in-flight work survives a
+ * crash. A worker leases a job for a visibility timeout; if it dies without
+ * completing or failing the job, the lease runs out and another worker picks
+ * it up. Failures are retried with exponential backoff and jitter until the
+ * job's max attempts are used, then it is dead-lettered for a human to replay
+ * (optionally edited) or discard. Waiting jobs gain priority as they age so
+ * low-priority work is not starved.
+ */
+
+import os from 'os';
+
+export const JOB_STATUSES = ['queued', 'leased', 'completed', 'dead', 'discarded'];
+
+export class JobQueue {
+    /**
+     * @param {Object} config
+     * @param {Database} config.db - Shared Database instance
+     * @param {string} [config.workerId] - Lease owner name (default host:pid)
+     * @param {number} [config.visibilityTimeoutMs] - Lease length (default JOB_VISIBILITY_TIMEOUT_MS or 5 minutes)
+     * @param {number} [config.maxAttempts] - Default attempts per job (default JOB_MAX_ATTEMPTS or 3)
+     * @param {number} [config.backoffBaseMs] - First retry delay before jitter (default 5s)
+     * @param {number} [config.backoffMaxMs] - Longest retry delay (default 15 minutes)
+     * @param {number} [config.priorityAgingPerMinute] - Priority gained per minute queued (default 0.1)
+     * @param {Function} [config.random] - Jitter source, for tests
+     * @param {Function} [config.now] - Clock in epoch ms, for tests
+     */
+    constructor(config = {}) {
+        this.db = config.db;
+        this.workerId = config.workerId || `${os.hostname()}:${process.pid}`;
+        this.visibilityTimeoutMs = config.visibilityTimeoutMs || parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000;
+        this.maxAttempts = config.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+        this.backoffBaseMs = config.backoffBaseMs ?? 5000;
+        this.backoffMaxMs = config.backoffMaxMs ?? 15 * 60 * 1000;
+        this.priorityAgingPerMinute = config.priorityAgingPerMinute ?? 0.1;
+        this.random = config.random || Math.random;
+        this.now = config.now || Date.now;
+    }
+
+    /**
+     * Queue a task. The job id is the task id; a task whose idempotency key
+     * (or id) is already queued is not queued again.
+     * @param {Object} task - must have an id; stored whole as the job payload
+     * @param {Object} [options] - { idempotencyKey, maxAttempts, priority, delayMs }
+     * @returns {Promise<{job: Object, duplicate: boolean}>}
+     */
+    async enqueue(task, options = {}) {
+        if (!task?.id) throw new Error('Task id is required');
+        const idempotencyKey = options.idempotencyKey ?? task.idempotencyKey ?? null;
+        const now = this.now();
+        const stamp = new Date(now).toISOString();
+
+        const inserted = await this.db.insertJob({
+            id: task.id,
+            idempotency_key: idempotencyKey,
+            module: task.module || null,
+            status: 'queued',
+            priority: Number(options.priority ?? task.priority) || 0,
+            attempts: 0,
+            max_attempts: options.maxAttempts || task.maxAttempts || this.maxAttempts,
+            enqueued_ms: now,
+            available_ms: now + (options.delayMs || 0),
+            history: [],
+            payload: task,
+            created_at: stamp,
+            updated_at: stamp
+        });
+
+        const job = inserted || !idempotencyKey
+            ? await this.db.getJob(task.id)
+            : await this.db.getJobByKey(idempotencyKey) || await this.db.getJob(task.id);
+        return { job, duplicate: !inserted };
+    }
+
+    /**
+     * Lease up to `limit` jobs to this worker, best effective priority first.
+     * Each lease counts as an attempt.
+     * @param {Object} [options] - { excludeModules } modules with no free worker ('' for jobs without a module)
+     * @returns {Promise<Array<Object>>} the leased jobs
+     */
+    async lease(limit = 1, options = {}) {
+        const now = this.now();
+        for (const job of await this.db.expireJobLeases(now)) {
+            console.warn(`[JobQueue] ${job.id} dead-lettered: ${job.last_error}`);
+        }
+
+        const leased = [];
+        const candidates = await this.db.getLeasableJobs(now, limit * 2, this.priorityAgingPerMinute / 60000, options.excludeModules || []);
+        for (const candidate of candidates) {
+            if (leased.length >= limit) break;
+            // Another worker may have taken it since the read; claimJob only succeeds once
+            if (await this.db.claimJob(candidate.id, this.workerId, now, now + this.visibilityTimeoutMs)) {
+                leased.push(await this.db.getJob(candidate.id));
+            }
+        }
+        return leased;
+    }
+
+    /**
+     * Push the lease out again while a long job is still running
+     * @returns {Promise<boolean>} false when the lease was already lost
+     */
+    async extendLease(id) {
+        return this.db.updateJob(id, {
+            lease_expires_ms: this.now() + this.visibilityTimeoutMs
+        }, { status: 'leased', lease_owner: this.workerId });
+    }
+
+    /**
+     * @returns {Promise<boolean>} false when this worker no longer holds the lease
+     *   (it expired and the job may already be running elsewhere)
+     */
+    async complete(id) {
+        const stamp = new Date(this.now()).toISOString();
+        return this.db.updateJob(id, {
+            status: 'completed',
+            lease_owner: null,
+            lease_expires_ms: null,
+            last_error: null,
+            updated_at: stamp,
+            finished_at: stamp
+        }, { status: 'leased', lease_owner: this.workerId });
+    }
+
+    /**
+     * Record a failed attempt: retry after a backoff, or dead-letter the job
+     * when it is out of attempts or the error is not retryable
+     * @returns {Promise<{status: string, retryAt?: string, attempts: number}|null>} null when the lease was lost
+     */
+    async fail(id, error, options = {}) {
+        const job = await this.db.getJob(id);
+        if (!job) return null;
+
+        const now = this.now();
+        const stamp = new Date(now).toISOString();
+        const message = error?.message || String(error);
+        const history = [...job.history, { attempt: job.attempts, error: message, at: stamp }];
+        const dead = options.retryable === false || job.attempts >= job.max_attempts;
+
+        const fields = dead
+            ? { status: 'dead', finished_at: stamp }
+            : { status: 'queued', available_ms: now + this.backoff(job.attempts) };
+        const updated = await this.db.updateJob(id, {
+            ...fields,
+            lease_owner: null,
+            lease_expires_ms: null,
+            last_error: message,
+            history,
+            updated_at: stamp
+        }, { status: 'leased', lease_owner: this.workerId });
+        if (!updated) return null;
+
+        if (dead) return { status: 'dead', attempts: job.attempts };
+        return { status: 'queued', retryAt: new Date(fields.available_ms).toISOString(), attempts: job.attempts };
+    }
+
+    /**
+     * Delay before retrying after the given attempt: exponential, capped, with
+     * the upper half jittered so failed jobs do not retry in lockstep
+     */
+    backoff(attempt) {
+        const delay = Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** Math.max(attempt - 1, 0));
+        return Math.round(delay / 2 + this.random() * delay / 2);
+    }
+
+    async getJob(id) {
+        return this.db.getJob(id);
+    }
+
+    /**
+     * @param {Object} [filters] - { status, limit, offset }
+     * @returns {Promise<{jobs: Array<Object>, total: number}>}
+     */
+    async list(filters = {}) {
+        return this.db.listJobs(filters);
+    }
+
+    async listDead(options = {}) {
+        return this.list({ ...options, status: 'dead' });
+    }
+
+    /**
+     * Jobs per status, with every status present
+     */
+    async counts() {
+        const counts = await this.db.countJobs();
+        return Object.fromEntries(JOB_STATUSES.map(status => [status, counts[status] || 0]));
+    }
+
+    /**
+     * Queue a dead job again with a fresh set of attempts. Edits are merged
+     * as given; callers taking them from a person check them against policy
+     * first (Orchestrator.replayDeadLetter does)
+     * @param {Object} [edits] - task fields to change before it runs again
+     * @returns {Promise<{success: boolean, job?: Object, error?: string}>}
+     */
+    async replay(id, edits = {}) {
+        const job = await this.db.getJob(id);
+        if (!job) return { success: false, error: `Job not found: ${id}` };
+        if (job.status !== 'dead') return { success: false, error: `Job ${id} is ${job.status}, not dead` };
+
+        const changes = { ...edits };
+        delete changes.id;
+        const payload = { ...job.payload, ...changes, status: 'queued' };
+        delete payload.error;
+        const now = this.now();
+        const updated = await this.db.updateJob(id, {
+            status: 'queued',
+            attempts: 0,
+            max_attempts: changes.maxAttempts || job.max_attempts,
+            priority: changes.priority !== undefined ? Number(changes.priority) || 0 : job.priority,
+            module: payload.module || null,
+            enqueued_ms: now,
+            available_ms: now,
+            finished_at: null,
+            payload,
+            updated_at: new Date(now).toISOString()
+        }, { status: 'dead' });
+        if (!updated) return { success: false, error: `Job ${id} changed while replaying` };
+        return { success: true, job: await this.db.getJob(id) };
+    }
+
+    /**
+     * Drop a dead job for good; it stays in the table as 'discarded' for the record
+     * @returns {Promise<{success: boolean, job?: Object, error?: string}>}
+     */
+    async discard(id) {
+        const job = await this.db.getJob(id);
+        if (!job) return { success: false, error: `Job not found: ${id}` };
+        if (job.status !== 'dead') return { success: false, error: `Job ${id} is ${job.status}, not dead` };
+
+        const stamp = new Date(this.now()).toISOString();
+        if (!await this.db.updateJob(id, { status: 'discarded', updated_at: stamp, finished_at: stamp }, { status: 'dead' })) {
+            return { success: false, error: `Job ${id} changed while discarding` };
+        }
+        return { success: true, job: await this.db.getJob(id) };
+    }
+}
+
+export default JobQueue;
@@ -0,0 +1,204 @@
+/**
+ * JSON Schema helpers for structured model output
+ * Pulls JSON out of free-form model text, validates it against the subset
+ * of JSON Schema our prompts use (type, properties, required, items, enum,
+ * const, anyOf, oneOf, bounds, pattern, additionalProperties), and drives the
+ * validate-and-repair loop shared by ModelRouter and AIProvider.
+ */
+
+/**
+ * Parse JSON from model output that may be wrapped in markdown or prose
+ * @throws {SyntaxError} when no JSON value can be recovered
+ */
+export function extractJson(content) {
+    if (content && typeof content === 'object') return content;
+    if (!content) throw new SyntaxError('Empty response');
+
+    let cleanContent = String(content).trim();
+
+    // 1. Remove markdown code blocks if present
+    const codeBlockMatch = cleanContent.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (codeBlockMatch) {
+        cleanContent = codeBlockMatch[1].trim();
+    }
+
+    try {
+        return JSON.parse(cleanContent);
+    } catch (e) {
+        // 2. Fall back to the outermost object or array in the text
+        const firstBrace = cleanContent.indexOf('{');
+        const firstBracket = cleanContent.indexOf('[');
+
+        let startIdx = -1;
+        let endChar = '';
+
+        if (firstBrace !== -1 && (firstBracket === -1 || firstBrace < firstBracket)) {
+            startIdx = firstBrace;
+            endChar = '}';
+        } else if (firstBracket !== -1) {
+            startIdx = firstBracket;
+            endChar = ']';
+        }
+
+        if (startIdx !== -1) {
+            const lastIdx = cleanContent.lastIndexOf(endChar);
+            if (lastIdx > startIdx) {
+                return JSON.parse(cleanContent.substring(startIdx, lastIdx + 1));
+            }
+        }
+
+        throw e;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @returns {string[]} human-readable errors, empty when valid
+ */
+export function validateJson(schema, value, at = '$') {
+    if (!schema || schema === true) return [];
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+
+    if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+        errors.push(`${at}: must equal ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => validateJson(option, value, at).length === 0)) {
+        errors.push(`${at}: does not match any allowed shape`);
+    }
+    if (schema.oneOf && schema.oneOf.filter(option => validateJson(option, value, at).length === 0).length !== 1) {
+        errors.push(`${at}: must match exactly one allowed shape`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match /${schema.pattern}/`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateJson(schema.items, item, `${at}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) errors.push(`${at}.${name}: is required`);
+        }
+        for (const [name, child] of Object.entries(value)) {
+            if (properties[name]) {
+                errors.push(...validateJson(properties[name], child, `${at}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${name}: is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJson(schema.additionalProperties, child, `${at}.${name}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Prompt suffix asking for output that matches a schema
+ */
+export function schemaInstructions(schema) {
+    return `Respond with JSON only (no markdown, no commentary) matching this JSON Schema:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+/**
+ * Follow-up prompt that feeds validation errors back to the model
+ */
+export function repairPrompt(prompt, schema, previous, errors) {
+    const shown = String(previous ?? '').slice(0, 4000);
+    return `${prompt}
+
+${schemaInstructions(schema)}
+
+Your previous response was:
+${shown}
+
+It was rejected for these reasons:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON.`;
+}
+
+/**
+ * Complete against a JSON Schema, re-prompting with validation errors up to
+ * options.maxRepairs times (default 2). The completion function receives
+ * { format: 'json', jsonSchema } so providers can switch on native JSON modes.
+ * @param {Function} complete - (prompt, options) => Promise<{ success, content, error }>
+ * @returns {Promise<{success: boolean, data: any, validationErrors: string[], attempts: number}>}
+ */
+export async function completeWithSchema(complete, prompt, options) {
+    const { schema, maxRepairs = 2, ...rest } = options;
+    const requestOptions = { ...rest, format: 'json', jsonSchema: schema };
+    let attemptPrompt = `${prompt}\n\n${schemaInstructions(schema)}`;
+    let validationErrors = [];
+    let result = null;
+
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+        result = await complete(attemptPrompt, requestOptions);
+        if (!result.success) {
+            return { ...result, data: null, validationErrors, attempts: attempt };
+        }
+
+        let data = null;
+        try {
+            data = extractJson(result.content);
+            validationErrors = validateJson(schema, data);
+        } catch (e) {
+            validationErrors = [`response is not valid JSON (${e.message})`];
+        }
+
+        if (validationErrors.length === 0) {
+            return { ...result, data, validationErrors, attempts: attempt };
+        }
+
+        console.warn(`[StructuredOutput] Reply failed validation (attempt ${attempt}): ${validationErrors.slice(0, 3).join('; ')}`);
+        attemptPrompt = repairPrompt(prompt, schema, result.content, validationErrors);
+    }
+
+    return {
+        ...result,
+        success: false,
+        data: null,
+        error: 'Response did not match the requested schema',
+        validationErrors,
+        attempts: maxRepairs + 1
+    };
+}
@@ -1,40 +1,41 @@
 /**
  * MultiCurrencyLedger - Implements ROI Improvement #31
  * Tracks income across multiple currencies (Fiat and Crypto).
+ * Amounts are converted to the base currency at the transaction date's FX
+ * rate and posted to the general ledger, keeping the original currency and
+ * amount on each line.
  */
 
+import { getGeneralLedger } from './general-ledger.js';
+import { getFxRates } from './fx-rates.js';
+
 export class MultiCurrencyLedger {
     constructor(config = {}) {
         this.db = config.db;
-        this.baseCurrency = config.baseCurrency || 'USD';
-        this.rates = {
-            'USD': 1,
-            'BTC': 95000, // Hardcoded for demo, would fetch from API
-            'ETH': 2500,
-            'EUR': 1.08
-        };
+        this.ledger = this.db || config.generalLedger ? getGeneralLedger(config) : null;
+        this.fx = this.ledger?.fx || getFxRates(config);
+        this.baseCurrency = this.ledger?.baseCurrency || config.baseCurrency || this.fx.baseCurrency;
     }
 
     /**
      * Record a transaction in a specific currency
      */
-    async recordTransaction(amount, currency, businessId, type = 'revenue') {
-        const rate = this.rates[currency] || 1;
-        const normalizedAmount = amount * rate;
-
-        console.log(`[Ledger] Recorded ${amount} ${currency} (~$${normalizedAmount.toFixed(2)}) for business ${businessId}`);
-
-        if (this.db) {
-            // In a real app, this would go into a dedicated transactions table
-            const business = await this.db.getBusiness(businessId);
-            if (business) {
-                if (type === 'revenue') {
-                    business.revenue = (business.revenue || 0) + normalizedAmount;
-                } else {
-                    business.expenses = (business.expenses || 0) + normalizedAmount;
-                }
-                await this.db.saveBusiness(business);
-            }
+    async recordTransaction(amount, currency, businessId, type = 'revenue', date = new Date()) {
+        const { result: normalizedAmount } = await this.fx.convert(amount, currency, this.baseCurrency, date);
+
+        console.log(`[Ledger] Recorded ${amount} ${currency} (~${normalizedAmount.toFixed(2)} ${this.baseCurrency}) for business ${businessId}`);
+
+        if (this.ledger) {
+            const record = {
+                amount: normalizedAmount,
+                currency,
+                originalAmount: amount,
+                date,
+                description: `${type === 'revenue' ? 'Revenue' : 'Expense'} in ${currency}`,
+                businessId,
+                source: 'multi-currency'
+            };
+            await (type === 'revenue' ? this.ledger.recordIncome(record) : this.ledger.recordExpense(record));
         }
 
         return normalizedAmount;
@@ -44,8 +45,7 @@ export class MultiCurrencyLedger {
      * Get total balance in base currency
      */
     async getTotalBalance() {
-        const businesses = await this.db.getAllBusinesses();
-        return businesses.reduce((sum, b) => sum + (b.revenue || 0) - (b.expenses || 0), 0);
+        return (await this.ledger.getProfitLoss()).netIncome;
     }
 }
 
@@ -0,0 +1,271 @@
+/**
+ * LLM Budget - Spend limits for ModelRouter
+ * Budgets cap USD spend per day or month, optionally scoped to a provider,
+ * business id or task type. Once one is exhausted, paid calls it covers are
+ * downgraded to a cheaper model or refused with a BudgetExceededError.
+ * Every router in every process shares budget-state.json: spend is added to
+ * the totals on disk under a lock file, and checks read the latest totals.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const ALERT_THRESHOLDS = [0.8, 1];
+const DEFAULT_DOWNGRADE = 'ollama:fast';
+// Recording spend holds the lock for a read and a write; older locks were left by a crashed process
+const LOCK_STALE_MS = 5000;
+const LOCK_RETRY_MS = 5;
+
+/**
+ * Block for a few milliseconds; spend is recorded synchronously
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Thrown when a call is refused because a budget is exhausted
+ */
+export class BudgetExceededError extends Error {
+    constructor(budget, spent) {
+        super(`LLM budget "${budget.id}" exhausted: $${spent.toFixed(4)} of $${budget.limit} ${budget.period} limit`);
+        this.name = 'BudgetExceededError';
+        this.code = 'BUDGET_EXCEEDED';
+        this.budget = budget;
+        this.spent = spent;
+    }
+}
+
+/**
+ * Period key a spend total belongs to (UTC day or month)
+ */
+function periodKey(period, date = new Date()) {
+    const iso = date.toISOString();
+    return period === 'monthly' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * Fill in defaults and a stable id for one budget definition
+ */
+function normalizeBudget(budget) {
+    const period = budget.period === 'monthly' ? 'monthly' : 'daily';
+    const scope = ['provider', 'businessId', 'taskType']
+        .filter(field => budget[field])
+        .map(field => `${field}=${budget[field]}`);
+    return {
+        ...budget,
+        id: budget.id || [period, ...scope].join(':') || period,
+        period,
+        limit: Number(budget.limit),
+        action: budget.action === 'refuse' ? 'refuse' : 'downgrade',
+        downgradeTo: budget.downgradeTo || DEFAULT_DOWNGRADE
+    };
+}
+
+/**
+ * Normalise a list of budget definitions, skipping any without a positive
+ * numeric limit: a missing or mistyped limit would otherwise read as $0 and
+ * exhaust the budget on the first call
+ */
+function normalizeBudgets(budgets) {
+    return budgets.filter(budget => {
+        const limit = typeof budget?.limit === 'string' && budget.limit.trim() ? Number(budget.limit) : budget?.limit;
+        if (typeof limit === 'number' && Number.isFinite(limit) && limit > 0) return true;
+        console.warn('[BudgetManager] Ignoring budget without a positive limit:', JSON.stringify(budget));
+        return false;
+    }).map(normalizeBudget);
+}
+
+export class BudgetManager {
+    /**
+     * @param {Object} config
+     * @param {string} config.dataDir - directory for budget-state.json
+     * @param {Array<Object>} [config.budgets] - { period, limit, provider?, businessId?, taskType?, action?, downgradeTo? }
+     * @param {Object} [config.notifier] - EmailNotifier used for threshold alerts
+     */
+    constructor(config = {}) {
+        this.dataDir = config.dataDir;
+        this.notifier = config.notifier || null;
+        this.budgets = normalizeBudgets(config.budgets || this.loadBudgetsFromEnv());
+        this.state = this.loadState();
+        // Alerts a router without a notifier has only logged; the shared state
+        // keeps them unsent so a router that can email still does
+        this.loggedAlerts = {};
+    }
+
+    /**
+     * LLM_BUDGETS holds a JSON array of budget definitions
+     */
+    loadBudgetsFromEnv() {
+        if (!process.env.LLM_BUDGETS) return [];
+        try {
+            const budgets = JSON.parse(process.env.LLM_BUDGETS);
+            if (!Array.isArray(budgets)) throw new Error('expected a JSON array');
+            return budgets;
+        } catch (e) {
+            console.warn('[BudgetManager] Ignoring invalid LLM_BUDGETS:', e.message);
+            return [];
+        }
+    }
+
+    /**
+     * Spend so far; an unreadable state file starts the totals over rather than
+     * stopping the router from loading
+     */
+    loadState() {
+        const stateFile = path.join(this.dataDir, 'budget-state.json');
+        if (fs.existsSync(stateFile)) {
+            try {
+                return JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+            } catch (e) {
+                console.warn(`[BudgetManager] Ignoring unreadable ${stateFile}:`, e.message);
+            }
+        }
+        return { spend: {}, alerts: {} };
+    }
+
+    /**
+     * Write through a temp file so other processes never read half a file
+     */
+    saveState() {
+        const stateFile = path.join(this.dataDir, 'budget-state.json');
+        const tempFile = `${stateFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tempFile, stateFile);
+    }
+
+    /**
+     * Pick up spend recorded by other routers since the last read
+     */
+    refresh() {
+        this.state = this.loadState();
+    }
+
+    /**
+     * Run fn while holding budget-state.lock
+     */
+    withStateLock(fn) {
+        const lockFile = path.join(this.dataDir, 'budget-state.lock');
+        for (;;) {
+            try {
+                fs.closeSync(fs.openSync(lockFile, 'wx'));
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+            try {
+                if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+                    fs.rmSync(lockFile, { force: true });
+                    continue;
+                }
+            } catch (error) {
+                if (error.code === 'ENOENT') continue; // released meanwhile
+                throw error;
+            }
+            sleepSync(LOCK_RETRY_MS);
+        }
+
+        try {
+            return fn();
+        } finally {
+            fs.rmSync(lockFile, { force: true });
+        }
+    }
+
+    setBudgets(budgets) {
+        this.budgets = normalizeBudgets(budgets);
+    }
+
+    /**
+     * Budgets whose scope covers a call context { provider, businessId, taskType }
+     */
+    matching(context) {
+        return this.budgets.filter(budget =>
+            ['provider', 'businessId', 'taskType'].every(field => !budget[field] || budget[field] === context[field])
+        );
+    }
+
+    /**
+     * Spend recorded against a budget in its current period
+     */
+    getSpent(budget) {
+        const entry = this.state.spend[budget.id];
+        return entry && entry.period === periodKey(budget.period) ? entry.spent : 0;
+    }
+
+    /**
+     * First exhausted budget covering this call, refusals ahead of downgrades
+     * @returns {Object|null}
+     */
+    findExhausted(context) {
+        this.refresh();
+        const exhausted = this.matching(context).filter(budget => this.getSpent(budget) >= budget.limit);
+        return exhausted.find(budget => budget.action === 'refuse') || exhausted[0] || null;
+    }
+
+    /**
+     * Add a call's cost to every budget that covers it
+     */
+    recordSpend(cost, context) {
+        if (!cost) return;
+        const budgets = this.matching(context);
+        if (budgets.length === 0) return;
+
+        this.withStateLock(() => {
+            this.refresh();
+            for (const budget of budgets) {
+                const period = periodKey(budget.period);
+                const spent = this.getSpent(budget) + cost;
+                this.state.spend[budget.id] = { period, spent };
+                this.checkAlerts(budget, period, spent);
+            }
+            this.saveState();
+        });
+    }
+
+    /**
+     * Email once per period when spend crosses 80% and 100% of a limit
+     */
+    checkAlerts(budget, period, spent) {
+        if (budget.limit <= 0) return;
+        const crossed = ALERT_THRESHOLDS.filter(t => spent >= budget.limit * t).pop();
+        if (!crossed) return;
+
+        const alerts = this.notifier ? this.state.alerts : this.loggedAlerts;
+        const last = alerts[budget.id];
+        if (last && last.period === period && last.threshold >= crossed) return;
+        alerts[budget.id] = { period, threshold: crossed };
+
+        const title = crossed >= 1
+            ? `LLM budget exhausted: ${budget.id}`
+            : `LLM budget at ${Math.round(crossed * 100)}%: ${budget.id}`;
+        const next = budget.action === 'refuse' ? 'further calls are refused' : `calls are downgraded to ${budget.downgradeTo}`;
+        const message = `Spent $${spent.toFixed(4)} of $${budget.limit} (${budget.period}).` +
+            (crossed >= 1 ? ` Until the period resets, ${next}.` : '');
+        console.warn(`[BudgetManager] ${title} - ${message}`);
+
+        if (this.notifier) {
+            Promise.resolve(this.notifier.sendNotification(title, message))
+                .catch(err => console.error('[BudgetManager] Failed to send budget alert:', err.message));
+        }
+    }
+
+    /**
+     * Current spend for every configured budget
+     */
+    getStatus() {
+        this.refresh();
+        return this.budgets.map(budget => {
+            const spent = this.getSpent(budget);
+            return {
+                ...budget,
+                spent,
+                remaining: Math.max(0, budget.limit - spent),
+                exhausted: spent >= budget.limit,
+                periodKey: periodKey(budget.period)
+            };
+        });
+    }
+}
+
+export default BudgetManager;
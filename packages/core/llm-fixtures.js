@@ -0,0 +1,135 @@
+/**
+ * LLM Fixtures - Record/replay harness for ModelRouter
+ * In record mode every completion is served live and the request/response
+ * pair is appended to a JSON fixture file. In replay mode responses come only
+ * from that file, keyed by task type, system prompt, prompt and the options
+ * that shape the reply, and an unmatched request throws FixtureMissError.
+ * Enable with config.llmMode / config.llmFixtures or LLM_MODE / LLM_FIXTURES.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ROUTING_OPTIONS } from './prompt-cache.js';
+
+export const FIXTURE_MODES = ['record', 'replay'];
+
+// Values that change between runs (timestamps, Date.now() ids) are masked before keying
+const VOLATILE_PATTERNS = [
+    [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g, '<timestamp>'],
+    [/\b1\d{12}\b/g, '<epoch>']
+];
+
+/**
+ * Mask run-specific values so the same logical request always keys the same
+ */
+export function normalizePrompt(text) {
+    return VOLATILE_PATTERNS.reduce((out, [pattern, mask]) => out.replace(pattern, mask), String(text ?? ''));
+}
+
+/**
+ * Thrown in replay mode when no recorded response matches a request
+ */
+export class FixtureMissError extends Error {
+    constructor(request, fixturesPath) {
+        const preview = String(request.prompt ?? JSON.stringify(request.messages)).slice(0, 200);
+        super(`No recorded LLM response for ${request.kind} (${request.taskType}) in ${fixturesPath}. ` +
+            `Re-record with LLM_MODE=record. Prompt starts: ${JSON.stringify(preview)}`);
+        this.name = 'FixtureMissError';
+        this.code = 'FIXTURE_MISS';
+        this.request = request;
+    }
+}
+
+export class LLMFixtures {
+    /**
+     * @param {Object} config
+     * @param {string} config.mode - 'record' or 'replay'
+     * @param {string} config.path - fixture file (JSON)
+     */
+    constructor(config = {}) {
+        if (!FIXTURE_MODES.includes(config.mode)) {
+            throw new Error(`Unknown LLM fixture mode: ${config.mode}`);
+        }
+        if (!config.path) throw new Error('LLM fixtures need a file path');
+
+        this.mode = config.mode;
+        this.path = config.path;
+        this.interactions = [];
+        this.cursors = new Map();
+        this.misses = [];
+
+        // Each record run rewrites its file, so stale responses never linger
+        if (this.mode === 'replay') {
+            if (!fs.existsSync(this.path)) throw new Error(`LLM fixture file not found: ${this.path}`);
+            this.interactions = JSON.parse(fs.readFileSync(this.path, 'utf-8')).interactions || [];
+        }
+    }
+
+    /**
+     * Fixture harness from config or environment, or null when disabled
+     */
+    static fromConfig(config = {}) {
+        const mode = config.llmMode || process.env.LLM_MODE;
+        if (!mode || mode === 'live') return null;
+        return new LLMFixtures({ mode, path: config.llmFixtures || process.env.LLM_FIXTURES });
+    }
+
+    /**
+     * Canonical request: routing-only options are dropped, the rest sorted,
+     * and volatile values masked
+     */
+    request(kind, taskType, payload, options = {}, systemPrompt = null) {
+        const relevant = Object.fromEntries(
+            Object.entries(options)
+                .filter(([name, value]) => !ROUTING_OPTIONS.includes(name) && value !== undefined)
+                .sort(([a], [b]) => a.localeCompare(b))
+        );
+        const request = JSON.parse(normalizePrompt(JSON.stringify({
+            kind,
+            taskType,
+            systemPrompt: systemPrompt || null,
+            options: relevant,
+            ...payload
+        })));
+        return { ...request, key: crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex') };
+    }
+
+    /**
+     * Serve a request: replayed from the file, or run live and recorded
+     * @param {Object} request - from request()
+     * @param {Function} live - () => Promise<response>, only called in record mode
+     * @throws {FixtureMissError} in replay mode when nothing was recorded for the request
+     */
+    async handle(request, live) {
+        if (this.mode === 'replay') return this.replay(request);
+
+        const response = await live();
+        this.record(request, response);
+        return response;
+    }
+
+    /**
+     * Recorded responses for a key are served in order; the last one repeats
+     */
+    replay(request) {
+        const matches = this.interactions.filter(entry => entry.key === request.key);
+        if (matches.length === 0) {
+            this.misses.push(request);
+            console.error(`[LLMFixtures] ❌ Unmatched ${request.kind} request (${request.key.slice(0, 12)})`);
+            throw new FixtureMissError(request, this.path);
+        }
+
+        const cursor = this.cursors.get(request.key) || 0;
+        this.cursors.set(request.key, cursor + 1);
+        return { ...matches[Math.min(cursor, matches.length - 1)].response, replayed: true };
+    }
+
+    record(request, response) {
+        this.interactions.push({ ...request, response: JSON.parse(JSON.stringify(response)) });
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        fs.writeFileSync(this.path, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2));
+    }
+}
+
+export default LLMFixtures;
@@ -35,6 +35,24 @@ export class Metrics {
             buckets: [0.1, 0.5, 1, 2, 5, 10]
         });
 
+        this.llmTokens = new Counter({
+            name: 'king_llm_tokens_total',
+            help: 'LLM tokens consumed',
+            labelNames: ['provider', 'model', 'kind']
+        });
+
+        this.llmCost = new Counter({
+            name: 'king_llm_cost_usd_total',
+            help: 'Estimated LLM spend in USD',
+            labelNames: ['provider', 'model']
+        });
+
+        this.llmCacheLookups = new Counter({
+            name: 'king_llm_cache_lookups_total',
+            help: 'Prompt cache lookups by result',
+            labelNames: ['model', 'result']
+        });
+
         this.memoryUsage = new Gauge({
             name: 'king_memory_usage_bytes',
             help: 'Memory usage in bytes'
@@ -74,6 +92,22 @@ export class Metrics {
         this.responseTime.observe({ provider, model }, duration / 1000);
     }
 
+    /**
+     * Record prompt/completion tokens and cost for one LLM call
+     */
+    recordTokenUsage(provider, model, usage, cost = 0) {
+        this.llmTokens.inc({ provider, model, kind: 'prompt' }, usage.promptTokens || 0);
+        this.llmTokens.inc({ provider, model, kind: 'completion' }, usage.completionTokens || 0);
+        this.llmCost.inc({ provider, model }, cost);
+    }
+
+    /**
+     * Count a prompt cache hit or miss
+     */
+    recordCacheLookup(model, hit) {
+        this.llmCacheLookups.inc({ model, result: hit ? 'hit' : 'miss' });
+    }
+
     /**
      * Update memory usage
      */
@@ -0,0 +1,457 @@
+/**
+ * Schema Migrations - Numbered, reversible schema changes for the Database
+ * Each migration is applied once and recorded in the schema_migrations table.
+ * Keep SQL portable between SQLite and Postgres; branch on db.dialect if not.
+ */
+
+// Column names used by databases created before the schema was normalised
+const LEGACY_COLUMNS = {
+    businesses: { analysisid: 'analysis_id', planid: 'plan_id', startedat: 'started_at' },
+    tasks: { businessid: 'business_id', planid: 'plan_id', requiresapproval: 'requires_approval', createdat: 'created_at' },
+    approvals: { taskid: 'task_id', createdat: 'created_at' },
+    logs: { businessid: 'business_id' }
+};
+
+const TABLES = {
+    businesses: {
+        id: 'TEXT PRIMARY KEY',
+        name: 'TEXT',
+        idea: 'TEXT',
+        analysis_id: 'TEXT',
+        plan_id: 'TEXT',
+        status: 'TEXT',
+        started_at: 'TEXT',
+        revenue: 'REAL DEFAULT 0',
+        expenses: 'REAL DEFAULT 0',
+        priority: 'REAL DEFAULT 1.0',
+        metadata: 'TEXT',
+        updated_at: 'TEXT'
+    },
+    tasks: {
+        id: 'TEXT PRIMARY KEY',
+        business_id: 'TEXT',
+        plan_id: 'TEXT',
+        phase: 'TEXT',
+        name: 'TEXT',
+        description: 'TEXT',
+        module: 'TEXT',
+        action: 'TEXT',
+        automated: 'INTEGER',
+        requires_approval: 'INTEGER',
+        status: 'TEXT',
+        result: 'TEXT',
+        error: 'TEXT',
+        priority: 'REAL DEFAULT 0',
+        metadata: 'TEXT',
+        created_at: 'TEXT',
+        updated_at: 'TEXT'
+    },
+    approvals: {
+        id: 'TEXT PRIMARY KEY',
+        task_id: 'TEXT',
+        type: 'TEXT',
+        title: 'TEXT',
+        description: 'TEXT',
+        amount: 'REAL',
+        impact: 'INTEGER',
+        recommendation: 'TEXT',
+        status: 'TEXT',
+        notes: 'TEXT',
+        metadata: 'TEXT',
+        created_at: 'TEXT',
+        decided_at: 'TEXT'
+    },
+    logs: {
+        id: 'SERIAL_KEY',
+        business_id: 'TEXT',
+        timestamp: 'TEXT',
+        type: 'TEXT',
+        message: 'TEXT',
+        phase: 'TEXT'
+    }
+};
+
+/**
+ * Create a table, or bring a pre-existing one up to the expected column set
+ */
+async function ensureTable(db, table, columns) {
+    const existing = await db.getColumns(table);
+    const serialKey = db.dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+
+    if (existing.length === 0) {
+        const defs = Object.entries(columns).map(([name, type]) => `${name} ${type.replace('SERIAL_KEY', serialKey)}`);
+        await db.run(`CREATE TABLE ${table} (${defs.join(', ')})`);
+        return;
+    }
+
+    // Rename legacy lowercase columns, then add anything still missing
+    const renames = LEGACY_COLUMNS[table] || {};
+    for (const [from, to] of Object.entries(renames)) {
+        if (existing.includes(from) && !existing.includes(to)) {
+            await db.run(`ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to}`);
+            existing.push(to);
+        }
+    }
+
+    // ADD COLUMN cannot create a key (SQLite refuses PRIMARY KEY outright), so a
+    // table missing its key has to be rebuilt rather than patched
+    for (const [name, type] of Object.entries(columns)) {
+        if (existing.includes(name)) continue;
+        if (/SERIAL_KEY|PRIMARY KEY|AUTOINCREMENT/.test(type)) {
+            throw new Error(`Table ${table} has no ${name} key column; ALTER TABLE cannot add one, so rebuild ${table} with it first`);
+        }
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+}
+
+export const migrations = [
+    {
+        version: 1,
+        name: 'core_tables',
+        async up(db) {
+            for (const [table, columns] of Object.entries(TABLES)) {
+                await ensureTable(db, table, columns);
+            }
+        },
+        async down(db) {
+            for (const table of Object.keys(TABLES).reverse()) {
+                await db.run(`DROP TABLE IF EXISTS ${table}`);
+            }
+        }
+    },
+    {
+        version: 2,
+        name: 'negotiations_and_empire_state',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS negotiations (
+                id TEXT PRIMARY KEY,
+                business_id TEXT,
+                vendor_name TEXT,
+                item TEXT,
+                status TEXT,
+                offers TEXT,
+                final_offer TEXT,
+                created_at TEXT,
+                updated_at TEXT
+            )`);
+            await db.run(`CREATE TABLE IF NOT EXISTS empire_state (
+                key TEXT PRIMARY KEY,
+                value TEXT,
+                updated_at TEXT
+            )`);
+        },
+        async down(db) {
+            await db.run('DROP TABLE IF EXISTS empire_state');
+            await db.run('DROP TABLE IF EXISTS negotiations');
+        }
+    },
+    {
+        version: 3,
+        name: 'query_indexes',
+        async up(db) {
+            await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_status_priority ON tasks (status, priority)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_business ON tasks (business_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_approvals_task ON approvals (task_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_approvals_status ON approvals (status)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON logs (timestamp)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_logs_business ON logs (business_id)');
+        },
+        async down(db) {
+            for (const index of [
+                'idx_tasks_status_priority', 'idx_tasks_business', 'idx_approvals_task',
+                'idx_approvals_status', 'idx_logs_timestamp', 'idx_logs_business'
+            ]) {
+                await db.run(`DROP INDEX IF EXISTS ${index}`);
+            }
+        }
+    },
+    {
+        version: 4,
+        name: 'state_entries',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS state_entries (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT,
+                version INTEGER DEFAULT 1,
+                position INTEGER DEFAULT 0,
+                updated_at TEXT,
+                PRIMARY KEY (collection, key)
+            )`);
+        },
+        async down(db) {
+            await db.run('DROP TABLE IF EXISTS state_entries');
+        }
+    },
+    {
+        version: 5,
+        name: 'chat_sessions',
+        async up(db) {
+            const serialKey = db.dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+            await db.run(`CREATE TABLE IF NOT EXISTS chat_sessions (
+                id TEXT PRIMARY KEY,
+                title TEXT,
+                summary TEXT,
+                summarized_through INTEGER DEFAULT 0,
+                message_count INTEGER DEFAULT 0,
+                metadata TEXT,
+                created_at TEXT,
+                updated_at TEXT
+            )`);
+            await db.run(`CREATE TABLE IF NOT EXISTS chat_messages (
+                id ${serialKey},
+                session_id TEXT NOT NULL,
+                role TEXT,
+                content TEXT,
+                metadata TEXT,
+                created_at TEXT
+            )`);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_chat_messages_session ON chat_messages (session_id, id)');
+        },
+        async down(db) {
+            await db.run('DROP INDEX IF EXISTS idx_chat_messages_session');
+            await db.run('DROP TABLE IF EXISTS chat_messages');
+            await db.run('DROP TABLE IF EXISTS chat_sessions');
+        }
+    },
+    {
+        version: 6,
+        name: 'auth',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE,
+                password_hash TEXT,
+                role TEXT NOT NULL,
+                disabled INTEGER DEFAULT 0,
+                created_at TEXT,
+                last_login_at TEXT
+            )`);
+            await db.run(`CREATE TABLE IF NOT EXISTS api_tokens (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                name TEXT,
+                token_hash TEXT NOT NULL UNIQUE,
+                created_at TEXT,
+                last_used_at TEXT
+            )`);
+            await db.run(`CREATE TABLE IF NOT EXISTS auth_sessions (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                csrf_token TEXT NOT NULL,
+                created_at TEXT,
+                expires_at TEXT NOT NULL
+            )`);
+            await db.run(`CREATE TABLE IF NOT EXISTS approval_link_uses (
+                jti TEXT PRIMARY KEY,
+                approval_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                used_at TEXT
+            )`);
+        },
+        async down(db) {
+            for (const table of ['approval_link_uses', 'auth_sessions', 'api_tokens', 'users']) {
+                await db.run(`DROP TABLE IF EXISTS ${table}`);
+            }
+        }
+    },
+    {
+        version: 7,
+        name: 'approval_decisions',
+        async up(db) {
+            const serialKey = db.dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+            await db.run(`CREATE TABLE IF NOT EXISTS approval_decisions (
+                id ${serialKey},
+                approval_id TEXT NOT NULL,
+                approver TEXT NOT NULL,
+                role TEXT,
+                decision TEXT NOT NULL,
+                notes TEXT,
+                created_at TEXT,
+                UNIQUE (approval_id, approver)
+            )`);
+        },
+        async down(db) {
+            await db.run('DROP TABLE IF EXISTS approval_decisions');
+        }
+    },
+    {
+        version: 8,
+        name: 'audit_index',
+        async up(db) {
+            // Searchable copy of the audit log files; the files stay the source of truth
+            await db.run(`CREATE TABLE IF NOT EXISTS audit_entries (
+                id TEXT PRIMARY KEY,
+                source TEXT NOT NULL,
+                line INTEGER NOT NULL,
+                entry_id TEXT,
+                seq INTEGER,
+                timestamp TEXT,
+                type TEXT,
+                event TEXT,
+                task_id TEXT,
+                business_id TEXT,
+                approver TEXT,
+                status TEXT,
+                search_text TEXT,
+                entry TEXT
+            )`);
+            await db.run(`CREATE TABLE IF NOT EXISTS audit_index_files (
+                source TEXT PRIMARY KEY,
+                size INTEGER,
+                lines INTEGER,
+                indexed_at TEXT
+            )`);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_audit_entries_timestamp ON audit_entries (timestamp)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_audit_entries_task ON audit_entries (task_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_audit_entries_business ON audit_entries (business_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_audit_entries_type ON audit_entries (type, timestamp)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_audit_entries_approver ON audit_entries (approver)');
+        },
+        async down(db) {
+            for (const index of ['timestamp', 'task', 'business', 'type', 'approver']) {
+                await db.run(`DROP INDEX IF EXISTS idx_audit_entries_${index}`);
+            }
+            await db.run('DROP TABLE IF EXISTS audit_index_files');
+            await db.run('DROP TABLE IF EXISTS audit_entries');
+        }
+    },
+    {
+        version: 9,
+        name: 'job_queue',
+        async up(db) {
+            // Times the queue does arithmetic on are epoch milliseconds (BIGINT is 64-bit on both dialects)
+            await db.run(`CREATE TABLE IF NOT EXISTS job_queue (
+                id TEXT PRIMARY KEY,
+                idempotency_key TEXT UNIQUE,
+                module TEXT,
+                status TEXT NOT NULL,
+                priority REAL DEFAULT 0,
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER NOT NULL,
+                enqueued_ms BIGINT NOT NULL,
+                available_ms BIGINT NOT NULL,
+                lease_owner TEXT,
+                lease_expires_ms BIGINT,
+                last_error TEXT,
+                history TEXT,
+                payload TEXT,
+                created_at TEXT,
+                updated_at TEXT,
+                finished_at TEXT
+            )`);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_job_queue_status ON job_queue (status, available_ms)');
+        },
+        async down(db) {
+            await db.run('DROP INDEX IF EXISTS idx_job_queue_status');
+            await db.run('DROP TABLE IF EXISTS job_queue');
+        }
+    },
+    {
+        version: 10,
+        name: 'schedules',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS schedules (
+                name TEXT PRIMARY KEY,
+                cron TEXT NOT NULL,
+                timezone TEXT,
+                catch_up TEXT,
+                description TEXT,
+                next_run_at TEXT,
+                last_scheduled_at TEXT,
+                last_run_at TEXT,
+                last_status TEXT,
+                last_error TEXT,
+                last_duration_ms INTEGER,
+                run_count INTEGER DEFAULT 0,
+                running_since TEXT,
+                created_at TEXT,
+                updated_at TEXT
+            )`);
+        },
+        async down(db) {
+            await db.run('DROP TABLE IF EXISTS schedules');
+        }
+    },
+    {
+        version: 11,
+        name: 'general_ledger',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS ledger_accounts (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL,
+                subtype TEXT,
+                deductible INTEGER DEFAULT 0,
+                created_at TEXT
+            )`);
+            // Entries and lines are append-only; a mistake is undone by a reversing entry
+            await db.run(`CREATE TABLE IF NOT EXISTS journal_entries (
+                id TEXT PRIMARY KEY,
+                date TEXT NOT NULL,
+                description TEXT,
+                business_id TEXT,
+                source TEXT,
+                source_ref TEXT,
+                idempotency_key TEXT UNIQUE,
+                reverses TEXT UNIQUE,
+                metadata TEXT,
+                created_at TEXT
+            )`);
+            // Amounts are integer cents in the base currency; currency/amount keep the original
+            await db.run(`CREATE TABLE IF NOT EXISTS journal_lines (
+                entry_id TEXT NOT NULL,
+                line_no INTEGER NOT NULL,
+                account_id TEXT NOT NULL,
+                business_id TEXT,
+                debit_cents BIGINT DEFAULT 0,
+                credit_cents BIGINT DEFAULT 0,
+                currency TEXT,
+                amount REAL,
+                memo TEXT,
+                PRIMARY KEY (entry_id, line_no)
+            )`);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_journal_entries_date ON journal_entries (date)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines (account_id, business_id)');
+        },
+        async down(db) {
+            await db.run('DROP INDEX IF EXISTS idx_journal_lines_account');
+            await db.run('DROP INDEX IF EXISTS idx_journal_entries_date');
+            await db.run('DROP TABLE IF EXISTS journal_lines');
+            await db.run('DROP TABLE IF EXISTS journal_entries');
+            await db.run('DROP TABLE IF EXISTS ledger_accounts');
+        }
+    },
+    {
+        version: 12,
+        name: 'fx_rates',
+        async up(db) {
+            // One row per day per pair: 1 unit of base buys `rate` units of quote
+            await db.run(`CREATE TABLE IF NOT EXISTS fx_rates (
+                base TEXT NOT NULL,
+                quote TEXT NOT NULL,
+                date TEXT NOT NULL,
+                rate REAL NOT NULL,
+                source TEXT,
+                created_at TEXT,
+                PRIMARY KEY (base, quote, date)
+            )`);
+        },
+        async down(db) {
+            await db.run('DROP TABLE IF EXISTS fx_rates');
+        }
+    },
+    {
+        version: 13,
+        name: 'journal_line_deductible',
+        async up(db) {
+            // Set when the poster decided deductibility for the line; NULL follows the account
+            await db.run('ALTER TABLE journal_lines ADD COLUMN deductible INTEGER');
+        },
+        async down(db) {
+            await db.run('ALTER TABLE journal_lines DROP COLUMN deductible');
+        }
+    }
+];
+
+export default migrations;
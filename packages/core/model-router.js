@@ -7,19 +7,99 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import crypto from 'crypto';
+import { BudgetManager, BudgetExceededError } from './llm-budget.js';
+import { PromptCache } from './prompt-cache.js';
+import { completeWithSchema } from './json-schema.js';
+import { toolFormats, normalizeMessages, reactChat, runToolLoop } from './tool-calling.js';
+import { LLMFixtures, FixtureMissError } from './llm-fixtures.js';
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Rough token count for providers that don't report usage (~4 characters per token)
+ */
+function estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / 4) : 0;
+}
+
+/**
+ * Normalise provider-reported counts, dropping any the provider left out
+ */
+function tokenUsage(promptTokens, completionTokens) {
+    const usage = {};
+    if (Number.isFinite(promptTokens)) usage.promptTokens = promptTokens;
+    if (Number.isFinite(completionTokens)) usage.completionTokens = completionTokens;
+    return usage;
+}
+
+/**
+ * Ollama's `format` for a call: the JSON Schema itself, plain 'json', or none
+ */
+function nativeJsonFormat(options = {}) {
+    if (options.jsonSchema) return options.jsonSchema;
+    return options.format === 'json' ? 'json' : undefined;
+}
+
+/**
+ * Read a streamed response body line by line (NDJSON and SSE are both newline framed)
+ */
+async function* readLines(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, newline).replace(/\r$/, '');
+            buffer = buffer.slice(newline + 1);
+            if (line.trim()) yield line;
+        }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer;
+}
+
+/**
+ * Parse the JSON payloads of a Server-Sent Events stream
+ */
+async function* readServerSentEvents(response) {
+    for await (const line of readLines(response)) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') continue;
+        yield JSON.parse(data);
+    }
+}
+
+/**
+ * Failure result for a call a spend budget refused, so callers of complete()
+ * and chat() see a refusal like any other failed call. Other errors are rethrown.
+ */
+function budgetRefusal(error, extra = {}) {
+    if (!(error instanceof BudgetExceededError)) throw error;
+    return { success: false, error: error.message, code: error.code, budget: error.budget.id, ...extra };
+}
+
 export class ModelRouter {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/models');
         this.ensureDataDir();
 
-        // In-memory cache for prompts
-        this.cache = new Map();
+        // Optional Prometheus Metrics instance (packages/core/metrics.js)
+        this.metrics = config.metrics || null;
+
+        // Record/replay harness for deterministic tests (LLM_MODE=record|replay)
+        this.fixtures = config.fixtures || LLMFixtures.fromConfig(config);
+
+        // Persistent response cache (opened on first use)
+        this.cache = config.promptCache || new PromptCache({
+            dbPath: config.cacheDbPath || path.join(this.dataDir, 'prompt-cache.db'),
+            maxEntries: config.cacheMaxEntries,
+            ttls: config.cacheTtls,
+            metrics: this.metrics
+        });
 
         // Circuit breaker for API providers
         this.circuitBreakers = {
@@ -61,6 +141,8 @@ export class ModelRouter {
 
         // Model configurations
         this.models = {
+            // cost is USD per 1K tokens (prompt + completion)
+
             // Local (Ollama) - No rate limits
             'ollama:llama3.3:70b': {
                 provider: 'ollama',
@@ -206,6 +288,13 @@ export class ModelRouter {
         // Rate limit tracking
         this.usageTracker = this.loadUsageTracker();
 
+        // Spend budgets (state lives next to the usage tracker)
+        this.budget = new BudgetManager({
+            dataDir: this.dataDir,
+            budgets: config.budgets,
+            notifier: config.emailNotifier
+        });
+
         // API key rotation indices
         this.keyIndices = {
             openai: 0,
@@ -333,6 +422,8 @@ export class ModelRouter {
         }
 
         this.usageTracker[modelId].requests.push(Date.now());
+        const model = this.models[modelId];
+        if (this.metrics && model) this.metrics.incrementApiRequest(model.provider, model.model);
 
         // Clean old requests (older than 5 minutes)
         const cutoff = Date.now() - 300000;
@@ -342,6 +433,113 @@ export class ModelRouter {
         this.saveUsageTracker();
     }
 
+    /**
+     * Token counts for a finished call; counts the provider didn't report are estimated
+     * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, estimated: boolean}}
+     */
+    measureUsage(prompt, reported = {}, content = '') {
+        const promptTokens = reported.promptTokens ?? estimateTokens(`${this.systemPrompt || ''}${prompt}`);
+        const completionTokens = reported.completionTokens ?? estimateTokens(content);
+        return {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            estimated: reported.promptTokens === undefined || reported.completionTokens === undefined
+        };
+    }
+
+    /**
+     * Add a call's tokens and cost to the usage tracker and metrics
+     * @returns {number} cost of the call in USD
+     */
+    recordUsage(modelId, usage, durationMs, options = {}) {
+        const model = this.models[modelId];
+        const cost = model ? (usage.totalTokens / 1000) * model.cost : 0;
+
+        if (!this.usageTracker[modelId]) {
+            this.usageTracker[modelId] = { requests: [], totalCost: 0 };
+        }
+        const tracker = this.usageTracker[modelId];
+        tracker.calls = (tracker.calls || 0) + 1;
+        tracker.promptTokens = (tracker.promptTokens || 0) + usage.promptTokens;
+        tracker.completionTokens = (tracker.completionTokens || 0) + usage.completionTokens;
+        tracker.totalCost = (tracker.totalCost || 0) + cost;
+        this.saveUsageTracker();
+
+        if (model) {
+            this.budget.recordSpend(cost, { provider: model.provider, businessId: options.businessId, taskType: options.taskType });
+        }
+
+        if (this.metrics && model) {
+            this.metrics.recordTokenUsage(model.provider, model.model, usage, cost);
+            if (durationMs !== undefined) this.metrics.recordResponseTime(model.provider, model.model, durationMs);
+        }
+        return cost;
+    }
+
+    /**
+     * Resolve the model a call may use under the spend budgets.
+     * Paid models covered by an exhausted budget are swapped for the budget's
+     * downgrade model; refusing budgets throw BudgetExceededError instead.
+     * @param {Object} options - { businessId, taskType }
+     * @returns {string} model id to call
+     */
+    applyBudget(modelId, options = {}, seen = new Set()) {
+        const model = this.models[modelId];
+        if (!model || !model.cost) return modelId; // Free models never spend budget
+
+        const exhausted = this.budget.findExhausted({
+            provider: model.provider,
+            businessId: options.businessId,
+            taskType: options.taskType
+        });
+        if (!exhausted) return modelId;
+
+        seen.add(modelId);
+        if (exhausted.action === 'refuse' || seen.has(exhausted.downgradeTo)) {
+            throw new BudgetExceededError(exhausted, this.budget.getSpent(exhausted));
+        }
+
+        console.warn(`[ModelRouter] Budget ${exhausted.id} exhausted, downgrading ${modelId} -> ${exhausted.downgradeTo}`);
+        return this.applyBudget(exhausted.downgradeTo, options, seen);
+    }
+
+    /**
+     * Apply budgets to a candidate list, dropping refused models and duplicate downgrades.
+     * Throws the first refusal if nothing is left.
+     */
+    applyBudgets(modelIds, options = {}) {
+        const allowed = new Set();
+        let refusal = null;
+        for (const modelId of modelIds) {
+            try {
+                allowed.add(this.applyBudget(modelId, options));
+            } catch (error) {
+                if (!(error instanceof BudgetExceededError)) throw error;
+                refusal = refusal || error;
+            }
+        }
+        if (allowed.size === 0 && refusal) throw refusal;
+        return [...allowed];
+    }
+
+    /**
+     * Models worth trying for a task type, in preference order
+     */
+    getCandidateModels(taskType = 'fast') {
+        const preferences = this.taskPreferences[taskType] || this.taskPreferences.fast;
+        return preferences.filter(modelId => {
+            const model = this.models[modelId];
+            if (!model) return false;
+
+            // Check if model is rate limited
+            if (this.isRateLimited(modelId)) return false;
+
+            // Skip if no API key
+            return model.provider === 'ollama' || !!this.getApiKey(model.provider);
+        });
+    }
+
     /**
      * Select the best model for a task type
      */
@@ -392,32 +590,40 @@ export class ModelRouter {
     }
 
     /**
-     * Complete a prompt using the best available model, with automatic fallback
+     * Complete a prompt using the best available model, with automatic fallback.
+     * Pass options.schema (a JSON Schema) for validated structured output.
      */
     async complete(prompt, taskType = 'fast', options = {}) {
+        if (options.schema) {
+            return this.completeStructured(prompt, taskType, options);
+        }
+        if (this.fixtures) {
+            const request = this.fixtures.request('complete', taskType, { prompt }, options, this.systemPrompt);
+            return this.fixtures.handle(request, () => this.completeLive(prompt, taskType, options));
+        }
+        return this.completeLive(prompt, taskType, options);
+    }
+
+    /**
+     * Complete against the live models (no record/replay)
+     */
+    async completeLive(prompt, taskType = 'fast', options = {}) {
+        options = { ...options, taskType };
+
         // If specific model requested, only use that
         if (options.model) {
             return this.executeModelRequest(options.model, prompt, options);
         }
 
-        const preferences = this.taskPreferences[taskType] || this.taskPreferences.fast;
-        const promises = [];
-
-        for (const modelId of preferences) {
-            const model = this.models[modelId];
-            if (!model) continue;
-
-            // Check if model is rate limited
-            if (this.isRateLimited(modelId)) continue;
-
-            // Skip if no API key
-            if (model.provider !== 'ollama' && !this.getApiKey(model.provider)) {
-                continue;
-            }
-
-            promises.push(this.executeModelRequest(modelId, prompt, options));
+        let candidates;
+        try {
+            candidates = this.applyBudgets(this.getCandidateModels(taskType), options);
+        } catch (error) {
+            return budgetRefusal(error, { taskType });
         }
 
+        const promises = candidates.map(modelId => this.executeModelRequest(modelId, prompt, options));
+
         if (promises.length === 0) {
             return { success: false, error: 'No models available', taskType };
         }
@@ -450,6 +656,184 @@ export class ModelRouter {
         return { success: false, error: lastError || 'All models failed', taskType };
     }
 
+    /**
+     * Complete against a JSON Schema: ask for native JSON mode where the provider
+     * has one, validate the reply, and re-prompt with the validation errors up to
+     * options.maxRepairs times (default 2).
+     * @returns {Promise<{success: boolean, data: any, validationErrors: string[]}>}
+     */
+    completeStructured(prompt, taskType, options) {
+        return completeWithSchema((attemptPrompt, requestOptions) => this.complete(attemptPrompt, taskType, requestOptions), prompt, options);
+    }
+
+    /**
+     * One tool-aware chat turn over provider-neutral messages and tools (see
+     * tool-calling.js). Providers with native function calling get their own
+     * wire format; the rest, or options.toolProtocol === 'react', use the
+     * ReAct text protocol. Candidates are tried in order, not in parallel,
+     * since a turn may request side-effecting tool calls.
+     * @returns {Promise<{success: boolean, content: string, toolCalls: Array, message: Object}>}
+     */
+    async chat(messages, taskType = 'fast', options = {}) {
+        messages = normalizeMessages(messages);
+        if (this.fixtures) {
+            const tools = (options.tools || []).map(({ name, description, parameters }) => ({ name, description, parameters }));
+            const request = this.fixtures.request('chat', taskType, { messages, tools }, { ...options, tools: undefined }, this.systemPrompt);
+            return this.fixtures.handle(request, () => this.chatLive(messages, taskType, options));
+        }
+        return this.chatLive(messages, taskType, options);
+    }
+
+    /**
+     * One chat turn against the live models (no record/replay)
+     */
+    async chatLive(messages, taskType = 'fast', options = {}) {
+        options = { ...options, taskType };
+        const tools = options.tools || [];
+        let candidates;
+        try {
+            candidates = options.model ? [options.model] : this.applyBudgets(this.getCandidateModels(taskType), options);
+        } catch (error) {
+            return budgetRefusal(error, { taskType });
+        }
+        let lastError = 'No models available';
+
+        for (const modelId of candidates) {
+            const result = await this.executeChatRequest(modelId, messages, tools, options);
+            if (result.success) return result;
+            lastError = result.error;
+        }
+
+        if (options.noFallback || options.model) {
+            return { success: false, error: lastError, taskType };
+        }
+
+        const darkModel = this.selectModel(taskType, { ...options, forcePrivate: true });
+        if (darkModel) {
+            const darkResult = await this.executeChatRequest(darkModel, messages, tools, options);
+            if (darkResult.success) return darkResult;
+        }
+
+        console.log('[ModelRouter] ⚠️ No external providers available — using local fallback responder.');
+        return reactChat(async prompt => this.completeSimulated(prompt, taskType), messages, tools, this.systemPrompt);
+    }
+
+    /**
+     * Let the model call tools until it answers without one
+     * @param {string|Array} input - prompt or neutral message history
+     * @param {Array} tools - [{ name, description, parameters, handler(args) }]
+     * @param {Object} options - chat options plus maxSteps (default 5)
+     * @returns {Promise<{success: boolean, content: string, messages: Array, steps: Array}>}
+     */
+    runTools(input, tools, taskType = 'fast', options = {}) {
+        return runToolLoop(messages => this.chat(messages, taskType, { ...options, tools }), input, tools, options);
+    }
+
+    /**
+     * Internal helper to run one chat turn on a specific model.
+     * A call a spend budget refuses fails with code 'BUDGET_EXCEEDED'.
+     */
+    async executeChatRequest(modelId, messages, tools, options = {}) {
+        const { tools: _tools, toolProtocol, maxSteps, ...requestOptions } = options;
+        // Tool turns are never cached: the same transcript can warrant fresh tool calls
+        const completeText = (id) => prompt => this.executeModelRequest(id, prompt, { ...requestOptions, noCache: true });
+
+        if (process.env.MOCK_AI === 'true' || toolProtocol === 'react') {
+            return reactChat(completeText(modelId), messages, tools, this.systemPrompt);
+        }
+
+        const requestedModel = modelId;
+        try {
+            modelId = this.applyBudget(modelId, options);
+        } catch (error) {
+            return budgetRefusal(error, { modelId });
+        }
+        const downgrade = modelId !== requestedModel ? { downgradedFrom: requestedModel } : {};
+
+        const model = this.models[modelId];
+        if (!model) return { success: false, error: `Unknown model: ${modelId}` };
+
+        const format = toolFormats[model.provider];
+        if (!format) {
+            return reactChat(completeText(modelId), messages, tools, this.systemPrompt);
+        }
+
+        if (!this.checkCircuit(model.provider)) {
+            return { success: false, error: `Circuit breaker open for ${model.provider}` };
+        }
+
+        this.recordRequest(modelId);
+        console.log(`[ModelRouter] Chat with tools: ${modelId}`);
+        const startTime = Date.now();
+
+        try {
+            const { url, headers } = this.chatEndpoint(model);
+            const body = format.request({ model: model.model, messages, tools, system: this.systemPrompt });
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(300000)
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error?.message || `${model.provider} error: ${response.status}`);
+            }
+
+            const parsed = format.parse(await response.json());
+            const usage = this.measureUsage(
+                JSON.stringify(body.messages || body.contents),
+                tokenUsage(parsed.usage.promptTokens, parsed.usage.completionTokens),
+                parsed.content + JSON.stringify(parsed.toolCalls)
+            );
+            const cost = this.recordUsage(modelId, usage, Date.now() - startTime, options);
+            this.recordCircuitSuccess(model.provider);
+
+            return {
+                success: true,
+                content: parsed.content,
+                toolCalls: parsed.toolCalls,
+                message: { role: 'assistant', content: parsed.content, toolCalls: parsed.toolCalls },
+                usage,
+                cost,
+                modelId,
+                provider: model.provider,
+                ...downgrade
+            };
+        } catch (error) {
+            console.warn(`[ModelRouter] ❌ ${modelId} chat error: ${error.message}${error.name === 'AbortError' ? ' (TIMEOUT)' : ''}`);
+            this.recordCircuitFailure(model.provider);
+            return { success: false, error: error.message, modelId };
+        }
+    }
+
+    /**
+     * Native chat URL and auth headers for a model's provider
+     * @throws {Error} when the provider needs a key and none is configured
+     */
+    chatEndpoint(model) {
+        if (model.provider === 'ollama') {
+            return { url: `${this.ollamaUrl}/api/chat`, headers: {} };
+        }
+
+        const apiKey = this.getApiKey(model.provider);
+        if (!apiKey) throw new Error(`No ${model.provider} API key`);
+
+        switch (model.provider) {
+            case 'openai':
+                return { url: 'https://api.openai.com/v1/chat/completions', headers: { 'Authorization': `Bearer ${apiKey}` } };
+            case 'deepseek':
+                return { url: 'https://api.deepseek.com/chat/completions', headers: { 'Authorization': `Bearer ${apiKey}` } };
+            case 'anthropic':
+                return { url: 'https://api.anthropic.com/v1/messages', headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' } };
+            case 'gemini':
+                return { url: `https://generativelanguage.googleapis.com/v1beta/models/${model.model}:generateContent?key=${apiKey}`, headers: {} };
+            default:
+                throw new Error(`Unknown provider: ${model.provider}`);
+        }
+    }
+
     /**
      * High-ROI Safety Simulation Engine
      * Generates statistically probable high-quality responses when all APIs fail.
@@ -552,7 +936,8 @@ export class ModelRouter {
     }
 
     /**
-     * Internal helper to execute a request for a specific model
+     * Internal helper to execute a request for a specific model.
+     * A call a spend budget refuses fails with code 'BUDGET_EXCEEDED'.
      */
     async executeModelRequest(modelId, prompt, options = {}) {
         if (process.env.MOCK_AI === 'true') {
@@ -577,8 +962,27 @@ export class ModelRouter {
                     automationOpportunities: [], legalRequirements: [], financialProjections: {}, kpis: [], successCriteria: "Growth"
                 });
             }
-            return { success: true, content, modelId, provider: 'mock' };
+            return { success: true, content, modelId, provider: 'mock', usage: this.measureUsage(prompt, {}, content), cost: 0 };
         }
+
+        // The cache is keyed on the model that actually answers, so resolve the
+        // downgrade first. A cached answer costs nothing, so it is still served
+        // when a budget refuses the call, and ahead of the circuit check.
+        const requestedModel = modelId;
+        let refusal = null;
+        try {
+            modelId = this.applyBudget(modelId, options);
+        } catch (error) {
+            refusal = error;
+        }
+
+        const cached = await this.readCache(modelId, prompt, options);
+        if (cached) {
+            return { ...cached, cached: true, cost: 0 };
+        }
+        if (refusal) return budgetRefusal(refusal, { modelId });
+        const downgrade = modelId !== requestedModel ? { downgradedFrom: requestedModel } : {};
+
         const model = this.models[modelId];
         if (!model) return { success: false, error: `Unknown model: ${modelId}` };
 
@@ -587,53 +991,48 @@ export class ModelRouter {
             return { success: false, error: `Circuit breaker open for ${model.provider}` };
         }
 
-        // Check cache
-        const cacheKey = this.hashPrompt(prompt);
-        const cached = this.cache.get(`${modelId}:${cacheKey}`);
-        if (cached && (Date.now() - cached.time < 60000)) {
-            return { ...cached.result, cached: true };
-        }
-
         this.recordRequest(modelId);
         console.log(`[ModelRouter] Executing: ${modelId}`);
+        const startTime = Date.now();
 
         try {
             let result;
             switch (model.provider) {
                 case 'ollama':
-                    result = await this.completeOllama(model.model, prompt);
+                    result = await this.completeOllama(model.model, prompt, options);
                     break;
                 case 'openai':
-                    result = await this.completeOpenAI(model.model, prompt);
+                    result = await this.completeOpenAI(model.model, prompt, options);
                     break;
                 case 'anthropic':
-                    result = await this.completeAnthropic(model.model, prompt);
+                    result = await this.completeAnthropic(model.model, prompt, options);
                     break;
                 case 'gemini':
-                    result = await this.completeGemini(model.model, prompt);
+                    result = await this.completeGemini(model.model, prompt, options);
                     break;
                 case 'deepseek':
-                    result = await this.completeDeepSeek(model.model, prompt);
+                    result = await this.completeDeepSeek(model.model, prompt, options);
                     break;
                 case 'private':
-                    result = await this.completePrivate(model.model, prompt);
+                    result = await this.completePrivate(model.model, prompt, options);
                     break;
                 default:
                     return { success: false, error: `Unknown provider: ${model.provider}` };
             }
 
-            if (result.success && model.cost > 0) {
-                this.usageTracker[modelId].totalCost += model.cost;
-                this.saveUsageTracker();
+            if (!result.success) {
+                return { ...result, modelId, provider: model.provider };
             }
 
+            const usage = this.measureUsage(prompt, result.usage, result.content);
+            const cost = this.recordUsage(modelId, usage, Date.now() - startTime, options);
+            const response = { ...result, usage, cost, modelId, provider: model.provider, ...downgrade };
+
             // Cache successful results
-            if (result.success) {
-                this.cache.set(`${modelId}:${cacheKey}`, { result, time: Date.now() });
-                this.recordCircuitSuccess(model.provider);
-            }
+            await this.writeCache(modelId, prompt, options, response);
+            this.recordCircuitSuccess(model.provider);
 
-            return { ...result, modelId, provider: model.provider };
+            return response;
         } catch (error) {
             console.warn(`[ModelRouter] ❌ ${modelId} execution error: ${error.message}${error.name === 'AbortError' ? ' (TIMEOUT)' : ''}`);
             this.recordCircuitFailure(model.provider);
@@ -641,19 +1040,333 @@ export class ModelRouter {
         }
     }
 
+    /**
+     * Stream a completion, falling back across models until one starts producing output.
+     * Yields { type: 'delta', text } chunks followed by a single
+     * { type: 'done', success, content, usage, cost, modelId, provider } summary.
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *stream(prompt, taskType = 'fast', options = {}) {
+        if (!this.fixtures) {
+            yield* this.streamLive(prompt, taskType, options);
+            return;
+        }
+
+        // Streams share fixtures with complete(): a replay arrives as one delta
+        const request = this.fixtures.request('complete', taskType, { prompt }, options, this.systemPrompt);
+        if (this.fixtures.mode === 'replay') {
+            const { type, ...replayed } = this.fixtures.replay(request);
+            if (replayed.content) yield { type: 'delta', text: replayed.content };
+            yield { type: 'done', ...replayed };
+            return;
+        }
+
+        for await (const chunk of this.streamLive(prompt, taskType, options)) {
+            if (chunk.type === 'done') {
+                const { type, ...response } = chunk;
+                this.fixtures.record(request, response);
+            }
+            yield chunk;
+        }
+    }
+
+    /**
+     * Stream against the live models (no record/replay)
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *streamLive(prompt, taskType = 'fast', options = {}) {
+        options = { ...options, taskType };
+        const candidates = options.model ? [options.model] : this.applyBudgets(this.getCandidateModels(taskType), options);
+        let lastError = 'No models available';
+
+        for (const modelId of candidates) {
+            let started = false;
+            try {
+                for await (const chunk of this.executeModelStream(modelId, prompt, options)) {
+                    started = true;
+                    yield chunk;
+                }
+                return;
+            } catch (error) {
+                // Once text has reached the caller, switching models would garble the output
+                if (started || error instanceof BudgetExceededError) throw error;
+                console.warn(`[ModelRouter] ❌ ${modelId} stream failed: ${error.message}`);
+                lastError = error.message;
+            }
+        }
+
+        if (options.noFallback || options.model) {
+            throw new Error(lastError);
+        }
+
+        console.log('[ModelRouter] ⚠️ No streaming provider available — using local fallback responder.');
+        const fallback = this.completeSimulated(prompt, taskType);
+        yield { type: 'delta', text: fallback.content };
+        yield { type: 'done', ...fallback, usage: this.measureUsage(prompt, {}, fallback.content), cost: 0 };
+    }
+
+    /**
+     * Stream from one specific model; throws if the request fails or a budget refuses it
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *executeModelStream(modelId, prompt, options = {}) {
+        if (process.env.MOCK_AI === 'true') {
+            const { content, usage } = await this.executeModelRequest(modelId, prompt, options);
+            for (const text of content.match(/\S+\s*/g) || [content]) {
+                yield { type: 'delta', text };
+            }
+            yield { type: 'done', success: true, content, usage, cost: 0, modelId, provider: 'mock' };
+            return;
+        }
+
+        // Same order as executeModelRequest: downgrade, then cache, then refuse
+        const requestedModel = modelId;
+        let refusal = null;
+        try {
+            modelId = this.applyBudget(modelId, options);
+        } catch (error) {
+            refusal = error;
+        }
+
+        const cached = await this.readCache(modelId, prompt, options);
+        if (cached) {
+            yield { type: 'delta', text: cached.content };
+            yield { type: 'done', ...cached, cached: true, cost: 0 };
+            return;
+        }
+        if (refusal) throw refusal;
+        const downgrade = modelId !== requestedModel ? { downgradedFrom: requestedModel } : {};
+
+        const model = this.models[modelId];
+        if (!model) throw new Error(`Unknown model: ${modelId}`);
+
+        if (!this.checkCircuit(model.provider)) {
+            throw new Error(`Circuit breaker open for ${model.provider}`);
+        }
+
+        this.recordRequest(modelId);
+        console.log(`[ModelRouter] Streaming: ${modelId}`);
+        const startTime = Date.now();
+
+        let content = '';
+        const reported = {};
+        try {
+            for await (const part of this.streamProvider(model, prompt)) {
+                if (part.usage) Object.assign(reported, part.usage);
+                if (part.text) {
+                    content += part.text;
+                    yield { type: 'delta', text: part.text };
+                }
+            }
+        } catch (error) {
+            this.recordCircuitFailure(model.provider);
+            throw error;
+        }
+
+        this.recordCircuitSuccess(model.provider);
+        const usage = this.measureUsage(prompt, reported, content);
+        const cost = this.recordUsage(modelId, usage, Date.now() - startTime, options);
+        const response = { success: true, content, usage, cost, modelId, provider: model.provider, ...downgrade };
+        await this.writeCache(modelId, prompt, options, response);
+        yield { type: 'done', ...response };
+    }
+
+    /**
+     * Provider-level stream of { text } and { usage } parts
+     */
+    streamProvider(model, prompt) {
+        switch (model.provider) {
+            case 'ollama':
+            case 'private':
+                return this.streamOllama(model.model, prompt);
+            case 'openai':
+                return this.streamOpenAI(model.model, prompt);
+            case 'anthropic':
+                return this.streamAnthropic(model.model, prompt);
+            case 'gemini':
+                return this.streamGemini(model.model, prompt);
+            case 'deepseek':
+                return this.streamDeepSeek(model.model, prompt);
+            default:
+                throw new Error(`Unknown provider: ${model.provider}`);
+        }
+    }
+
+    /**
+     * Stream from Ollama (newline-delimited JSON)
+     */
+    async *streamOllama(model, prompt) {
+        let fullPrompt = prompt;
+        if (this.systemPrompt) {
+            fullPrompt = `System: ${this.systemPrompt}\n\nUser: ${prompt}`;
+        }
+
+        const response = await fetch(`${this.ollamaUrl}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, prompt: fullPrompt, stream: true }),
+            signal: AbortSignal.timeout(300000)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Ollama error: ${response.status}`);
+        }
+
+        for await (const line of readLines(response)) {
+            const data = JSON.parse(line);
+            if (data.error) throw new Error(`Ollama error: ${data.error}`);
+            if (data.response) yield { text: data.response };
+            if (data.done) yield { usage: tokenUsage(data.prompt_eval_count, data.eval_count) };
+        }
+    }
+
+    /**
+     * Stream from OpenAI
+     */
+    streamOpenAI(model, prompt) {
+        return this.streamChatCompletions('openai', 'OpenAI', 'https://api.openai.com/v1/chat/completions', model, prompt, { max_tokens: 4096 });
+    }
+
+    /**
+     * Stream from DeepSeek API
+     */
+    streamDeepSeek(model, prompt) {
+        return this.streamChatCompletions('deepseek', 'DeepSeek', 'https://api.deepseek.com/chat/completions', model, prompt);
+    }
+
+    /**
+     * Stream from an OpenAI-compatible chat completions endpoint
+     */
+    async *streamChatCompletions(provider, label, url, model, prompt, extra = {}) {
+        const apiKey = this.getApiKey(provider);
+        if (!apiKey) throw new Error(`No ${label} API key`);
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`
+            },
+            body: JSON.stringify({
+                model,
+                messages: [
+                    ...(this.systemPrompt ? [{ role: 'system', content: this.systemPrompt }] : []),
+                    { role: 'user', content: prompt }
+                ],
+                ...extra,
+                stream: true,
+                stream_options: { include_usage: true }
+            }),
+            signal: AbortSignal.timeout(300000)
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error?.message || `${label} error: ${response.status}`);
+        }
+
+        for await (const event of readServerSentEvents(response)) {
+            const text = event.choices?.[0]?.delta?.content;
+            if (text) yield { text };
+            if (event.usage) yield { usage: tokenUsage(event.usage.prompt_tokens, event.usage.completion_tokens) };
+        }
+    }
+
+    /**
+     * Stream from Anthropic
+     */
+    async *streamAnthropic(model, prompt) {
+        const apiKey = this.getApiKey('anthropic');
+        if (!apiKey) throw new Error('No Anthropic API key');
+
+        const response = await fetch('https://api.anthropic.com/v1/messages', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01'
+            },
+            body: JSON.stringify({
+                model,
+                max_tokens: 4096,
+                system: this.systemPrompt || undefined,
+                messages: [{ role: 'user', content: prompt }],
+                stream: true
+            }),
+            signal: AbortSignal.timeout(300000)
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error?.message || `Anthropic error: ${response.status}`);
+        }
+
+        for await (const event of readServerSentEvents(response)) {
+            switch (event.type) {
+                case 'message_start':
+                    yield { usage: tokenUsage(event.message?.usage?.input_tokens) };
+                    break;
+                case 'content_block_delta':
+                    if (event.delta?.text) yield { text: event.delta.text };
+                    break;
+                case 'message_delta':
+                    yield { usage: tokenUsage(undefined, event.usage?.output_tokens) };
+                    break;
+                case 'error':
+                    throw new Error(event.error?.message || 'Anthropic stream error');
+            }
+        }
+    }
+
+    /**
+     * Stream from Gemini
+     */
+    async *streamGemini(model, prompt) {
+        const apiKey = this.getApiKey('gemini');
+        if (!apiKey) throw new Error('No Gemini API key');
+
+        const response = await fetch(
+            `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    contents: [{ parts: [{ text: prompt }] }]
+                }),
+                signal: AbortSignal.timeout(300000)
+            }
+        );
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error?.message || `Gemini error: ${response.status}`);
+        }
+
+        for await (const event of readServerSentEvents(response)) {
+            const parts = event.candidates?.[0]?.content?.parts || [];
+            for (const part of parts) {
+                if (part.text) yield { text: part.text };
+            }
+            // usageMetadata is cumulative, so the last one wins
+            if (event.usageMetadata) {
+                yield { usage: tokenUsage(event.usageMetadata.promptTokenCount, event.usageMetadata.candidatesTokenCount) };
+            }
+        }
+    }
+
     /**
      * Complete with Private/Dark-Pool (simulated)
      */
-    async completePrivate(model, prompt) {
+    async completePrivate(model, prompt, options = {}) {
         // In reality, this might be a local GPU server or a secure VPC endpoint
         console.log(`[ModelRouter] Routing to Dark-Pool Node [${model}]`);
-        return this.completeOllama(model, prompt); // For now, use Ollama as the "Private" engine
+        return this.completeOllama(model, prompt, options); // For now, use Ollama as the "Private" engine
     }
 
     /**
      * Complete with Ollama (local)
      */
-    async completeOllama(model, prompt) {
+    async completeOllama(model, prompt, options = {}) {
         let fullPrompt = prompt;
         if (this.systemPrompt) {
             fullPrompt = `System: ${this.systemPrompt}\n\nUser: ${prompt}`;
@@ -664,7 +1377,7 @@ export class ModelRouter {
         const response = await fetch(`${this.ollamaUrl}/api/generate`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ model, prompt: fullPrompt, stream: false }),
+            body: JSON.stringify({ model, prompt: fullPrompt, stream: false, format: nativeJsonFormat(options) }),
             signal: AbortSignal.timeout(300000) // Increased to 5 minutes for heavy reasoning on AWS
         });
         console.log(`[ModelRouter] Ollama response: ${response.status} (${Date.now() - startTime}ms)`);
@@ -685,14 +1398,15 @@ export class ModelRouter {
             success: true,
             content,
             reasoning: thinkMatch ? thinkMatch[1].trim() : null,
-            rawContent: data.response
+            rawContent: data.response,
+            usage: tokenUsage(data.prompt_eval_count, data.eval_count)
         };
     }
 
     /**
      * Complete with OpenAI
      */
-    async completeOpenAI(model, prompt) {
+    async completeOpenAI(model, prompt, options = {}) {
         const apiKey = this.getApiKey('openai');
         if (!apiKey) throw new Error('No OpenAI API key');
 
@@ -708,7 +1422,10 @@ export class ModelRouter {
                     ...(this.systemPrompt ? [{ role: 'system', content: this.systemPrompt }] : []),
                     { role: 'user', content: prompt }
                 ],
-                max_tokens: 4096
+                max_tokens: 4096,
+                response_format: options.jsonSchema
+                    ? { type: 'json_schema', json_schema: { name: 'response', schema: options.jsonSchema } }
+                    : options.format === 'json' ? { type: 'json_object' } : undefined
             })
         });
 
@@ -720,17 +1437,21 @@ export class ModelRouter {
         const data = await response.json();
         return {
             success: true,
-            content: data.choices[0]?.message?.content || ''
+            content: data.choices[0]?.message?.content || '',
+            usage: tokenUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
         };
     }
 
     /**
      * Complete with Anthropic
      */
-    async completeAnthropic(model, prompt) {
+    async completeAnthropic(model, prompt, options = {}) {
         const apiKey = this.getApiKey('anthropic');
         if (!apiKey) throw new Error('No Anthropic API key');
 
+        // No native JSON mode: prefill the reply with the opening bracket instead
+        const prefill = options.jsonSchema ? (options.jsonSchema.type === 'array' ? '[' : '{') : '';
+
         const response = await fetch('https://api.anthropic.com/v1/messages', {
             method: 'POST',
             headers: {
@@ -742,7 +1463,10 @@ export class ModelRouter {
                 model,
                 max_tokens: 4096,
                 system: this.systemPrompt || undefined,
-                messages: [{ role: 'user', content: prompt }]
+                messages: [
+                    { role: 'user', content: prompt },
+                    ...(prefill ? [{ role: 'assistant', content: prefill }] : [])
+                ]
             })
         });
 
@@ -754,14 +1478,15 @@ export class ModelRouter {
         const data = await response.json();
         return {
             success: true,
-            content: data.content[0]?.text || ''
+            content: prefill + (data.content[0]?.text || ''),
+            usage: tokenUsage(data.usage?.input_tokens, data.usage?.output_tokens)
         };
     }
 
     /**
      * Complete with Gemini
      */
-    async completeGemini(model, prompt) {
+    async completeGemini(model, prompt, options = {}) {
         const apiKey = this.getApiKey('gemini');
         if (!apiKey) throw new Error('No Gemini API key');
 
@@ -777,7 +1502,8 @@ export class ModelRouter {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({
-                            contents: [{ parts: [{ text: prompt }] }]
+                            contents: [{ parts: [{ text: prompt }] }],
+                            generationConfig: nativeJsonFormat(options) ? { responseMimeType: 'application/json' } : undefined
                         })
                     }
                 );
@@ -786,7 +1512,8 @@ export class ModelRouter {
                     const data = await response.json();
                     const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
                     if (content) {
-                        return { success: true, content };
+                        const usage = tokenUsage(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount);
+                        return { success: true, content, usage };
                     }
                     console.warn(`[ModelRouter] Gemini (${version}/${model}) returned empty candidates:`, JSON.stringify(data, null, 2));
                 } else if (response.status === 429) {
@@ -813,7 +1540,7 @@ export class ModelRouter {
     /**
      * Complete with DeepSeek API
      */
-    async completeDeepSeek(model, prompt) {
+    async completeDeepSeek(model, prompt, options = {}) {
         const apiKey = this.getApiKey('deepseek');
         if (!apiKey) throw new Error('No DeepSeek API key');
 
@@ -828,7 +1555,8 @@ export class ModelRouter {
                 messages: [
                     ...(this.systemPrompt ? [{ role: 'system', content: this.systemPrompt }] : []),
                     { role: 'user', content: prompt }
-                ]
+                ],
+                response_format: nativeJsonFormat(options) ? { type: 'json_object' } : undefined
             })
         });
 
@@ -840,7 +1568,8 @@ export class ModelRouter {
         const data = await response.json();
         return {
             success: true,
-            content: data.choices[0]?.message?.content || ''
+            content: data.choices[0]?.message?.content || '',
+            usage: tokenUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
         };
     }
 
@@ -852,6 +1581,10 @@ export class ModelRouter {
         for (const [modelId, usage] of Object.entries(this.usageTracker)) {
             stats[modelId] = {
                 requestsLast5Min: usage.requests?.length || 0,
+                calls: usage.calls || 0,
+                promptTokens: usage.promptTokens || 0,
+                completionTokens: usage.completionTokens || 0,
+                totalTokens: (usage.promptTokens || 0) + (usage.completionTokens || 0),
                 totalCost: usage.totalCost || 0,
                 isRateLimited: this.isRateLimited(modelId)
             };
@@ -870,6 +1603,10 @@ export class ModelRouter {
                 return { model: this.selectModel(task.data.taskType, task.data.options) };
             case 'stats':
                 return this.getUsageStats();
+            case 'budgets':
+                return this.budget.getStatus();
+            case 'cache':
+                return this.getCacheStats();
             default:
                 throw new Error(`Unknown action: ${task.action}`);
         }
@@ -923,11 +1660,49 @@ export class ModelRouter {
     }
 
     /**
-     * Hash prompt for caching
+     * Cached response for a request, or null. Pass options.noCache to skip the cache;
+     * cache failures are logged and never fail the call.
+     */
+    async readCache(modelId, prompt, options = {}) {
+        if (options.noCache) return null;
+        try {
+            return await this.cache.get(this.cache.key(modelId, prompt, options, this.systemPrompt), modelId);
+        } catch (e) {
+            console.warn(`[ModelRouter] Prompt cache read failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store a successful response under its model + options + prompt hash
+     */
+    async writeCache(modelId, prompt, options, response) {
+        if (options.noCache) return;
+        try {
+            await this.cache.set(this.cache.key(modelId, prompt, options, this.systemPrompt), response, {
+                modelId,
+                taskType: options.taskType,
+                ttl: options.cacheTtl
+            });
+        } catch (e) {
+            console.warn(`[ModelRouter] Prompt cache write failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Hit/miss counts and size of the prompt cache
+     */
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
+    /**
+     * Release the prompt cache database
      */
-    hashPrompt(prompt) {
-        return crypto.createHash('md5').update(prompt).digest('hex');
+    close() {
+        return this.cache.close();
     }
 }
 
+export { BudgetExceededError, FixtureMissError };
 export default ModelRouter;
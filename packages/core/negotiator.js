@@ -138,11 +138,17 @@ export class Negotiator {
 
     async save(neg) {
         const { id, business_id, vendor_name, item, status, offers, final_offer, created_at, updated_at, ...meta } = neg;
-        await this.db.run(
-            `INSERT OR REPLACE INTO negotiations (id, business_id, vendor_name, item, status, offers, final_offer, created_at, updated_at) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [id, business_id, vendor_name, item, status, JSON.stringify(offers), JSON.stringify(final_offer), created_at, new Date().toISOString()]
-        );
+        await this.db.upsert('negotiations', {
+            id,
+            business_id,
+            vendor_name,
+            item,
+            status,
+            offers: JSON.stringify(offers),
+            final_offer: JSON.stringify(final_offer),
+            created_at,
+            updated_at: new Date().toISOString()
+        });
     }
 
     async get(id) {
@@ -1,16 +1,31 @@
 /**
  * Policy Engine - Core governance for the AI Studio
- * Determines what requires approval vs auto-approves
+ * Determines what requires approval vs auto-approves, and how many people
+ * (and which roles) must sign off before an approval is granted.
+ * Approval is decided by prioritised declarative rules (see
+ * policy-rules.example.json); set POLICY_RULES_FILE to replace the built-ins.
  */
 
+import fs from 'fs';
+import { createRequire } from 'module';
+
 // Task categories that require human approval
-const APPROVAL_REQUIRED_CATEGORIES = [
-    'legal',           // Any legal filings, contracts, compliance changes
+const FINANCIAL_CATEGORIES = [
     'financial',       // Money movement, banking, payments
-    'funds_transfer',  // Direct funds movement
+    'funds_transfer'   // Direct funds movement
+];
+const LEGAL_CATEGORIES = [
+    'legal',           // Any legal filings, contracts, compliance changes
     'contract_signing',// Binding legal agreements
     'compliance_filing'// Regulatory submissions
 ];
+const APPROVAL_REQUIRED_CATEGORIES = [...FINANCIAL_CATEGORIES, ...LEGAL_CATEGORIES];
+
+// Words that flag a task as touching money or the law, wherever it is filed
+const FINANCIAL_KEYWORDS = ['money', 'payment', 'transfer', 'bank', 'funds', 'invoice_pay', 'wire', 'invoice', 'subscription',
+    'purchase', 'buy', 'spend', 'invest', 'loan', 'credit'];
+const LEGAL_KEYWORDS = ['legal', 'lawsuit', 'court', 'attorney', 'settlement', 'sue', 'litigation', 'contract', 'agreement',
+    'license', 'trademark', 'copyright', 'register', 'incorporation', 'llc', 'corporation'];
 
 // Task categories that auto-approve
 const AUTO_APPROVE_CATEGORIES = [
@@ -25,62 +40,230 @@ const AUTO_APPROVE_CATEGORIES = [
     'status_update'         // Updating task statuses
 ];
 
+export const RULE_ACTIONS = ['require_approval', 'auto_approve'];
+const RULE_CONDITIONS = ['categories', 'keywords', 'minAmount', 'maxAmount', 'businessIds', 'modules', 'platforms', 'hours'];
+
+/**
+ * Built-in approval rules; the highest priority match decides. A rule file
+ * (POLICY_RULES_FILE) replaces this list, using the same shape.
+ */
+function defaultPolicyRules({ approvalCategories, autoApproveCategories }) {
+    const restricted = approvalCategories === APPROVAL_REQUIRED_CATEGORIES
+        ? [
+            { id: 'financial-categories', categories: FINANCIAL_CATEGORIES, riskType: 'financial' },
+            { id: 'legal-categories', categories: LEGAL_CATEGORIES, riskType: 'legal' }
+        ]
+        : [{ id: 'restricted-categories', categories: approvalCategories }];
+
+    return [
+        ...restricted.map(({ id, categories, riskType }) => ({
+            id,
+            priority: 100,
+            when: { categories },
+            action: 'require_approval',
+            approvalType: 'category_restriction',
+            riskType,
+            explanation: 'Category "{category}" requires human approval'
+        })),
+        {
+            id: 'financial-keywords',
+            priority: 90,
+            when: { keywords: FINANCIAL_KEYWORDS },
+            action: 'require_approval',
+            approvalType: 'financial_safeguard',
+            riskType: 'financial',
+            explanation: 'Task contains financial keyword: "{keyword}"'
+        },
+        {
+            id: 'legal-keywords',
+            priority: 80,
+            when: { keywords: LEGAL_KEYWORDS },
+            action: 'require_approval',
+            approvalType: 'legal_safeguard',
+            riskType: 'legal',
+            explanation: 'Task contains legal keyword: "{keyword}"'
+        },
+        {
+            id: 'auto-approve-categories',
+            priority: 50,
+            when: { categories: autoApproveCategories },
+            action: 'auto_approve',
+            approvalType: 'auto_approved',
+            explanation: 'Category "{category}" is auto-approved'
+        }
+    ];
+}
+
+/**
+ * Check a rule list and apply defaults; throws on anything malformed so a
+ * typo in a rule file cannot silently loosen policy
+ */
+export function normalizePolicyRules(rules, source = 'policy rules') {
+    if (!Array.isArray(rules)) throw new Error(`${source}: expected an array of rules`);
+
+    return rules.map((rule, index) => {
+        const id = rule.id || `rule-${index + 1}`;
+        if (!RULE_ACTIONS.includes(rule.action)) {
+            throw new Error(`${source}: rule "${id}" has action "${rule.action}" (expected ${RULE_ACTIONS.join(' or ')})`);
+        }
+        const when = rule.when || {};
+        for (const condition of Object.keys(when)) {
+            if (!RULE_CONDITIONS.includes(condition)) {
+                throw new Error(`${source}: rule "${id}" has unknown condition "${condition}" (expected ${RULE_CONDITIONS.join(', ')})`);
+            }
+        }
+        if (when.hours && (!Number.isInteger(when.hours.from) || !Number.isInteger(when.hours.to))) {
+            throw new Error(`${source}: rule "${id}" needs whole-hour "from" and "to" in its hours condition`);
+        }
+
+        return {
+            ...rule,
+            id,
+            priority: rule.priority ?? 0,
+            when,
+            approvalType: rule.approvalType || (rule.action === 'auto_approve' ? 'auto_approved' : 'rule'),
+            explanation: rule.explanation || `Matched policy rule "${id}"`
+        };
+    }).sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Read a rule file: JSON, or YAML when js-yaml is installed. Either a bare
+ * rule array or { rules, approvalPolicies }.
+ */
+export function loadPolicyFile(file) {
+    const text = fs.readFileSync(file, 'utf-8');
+    let data;
+    if (/\.ya?ml$/i.test(file)) {
+        let yaml;
+        try {
+            yaml = createRequire(import.meta.url)('js-yaml');
+        } catch (e) {
+            throw new Error(`Reading ${file} needs the js-yaml package; install it or use a .json rule file`);
+        }
+        data = yaml.load(text);
+    } else {
+        data = JSON.parse(text);
+    }
+
+    const rules = Array.isArray(data) ? data : data?.rules;
+    return {
+        rules: normalizePolicyRules(rules, file),
+        approvalPolicies: Array.isArray(data) ? null : data.approvalPolicies || null
+    };
+}
+
+// Plan fields that name other tasks rather than describe this one
+const REFERENCE_FIELDS = new Set(['dependencies', 'dependsOn', 'unresolvedDependencies', 'blockedBy']);
+
+/**
+ * Every string in a task, however deeply nested; field names and references
+ * to other tasks are left out
+ */
+function stringValues(value, seen = new Set()) {
+    if (typeof value === 'string') return [value];
+    if (!value || typeof value !== 'object' || seen.has(value)) return [];
+    seen.add(value);
+    return Object.entries(value)
+        .filter(([key]) => !REFERENCE_FIELDS.has(key))
+        .flatMap(([, item]) => stringValues(item, seen));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const HOUR = 60 * 60 * 1000;
+
+// Quorum rules, first match wins, so higher amount tiers come first
+const DEFAULT_APPROVAL_POLICIES = [
+    {
+        name: 'financial-large',
+        match: { categories: FINANCIAL_CATEGORIES, minAmount: 10000 },
+        quorum: 3,
+        requiredRoles: ['admin'],
+        deadlineMs: 48 * HOUR,
+        reminderIntervalMs: 8 * HOUR,
+        escalateAfterMs: 24 * HOUR
+    },
+    {
+        name: 'financial-dual',
+        match: { categories: FINANCIAL_CATEGORIES },
+        quorum: 2,
+        reminderIntervalMs: 12 * HOUR,
+        escalateAfterMs: 48 * HOUR
+    },
+    {
+        name: 'default',
+        match: {},
+        quorum: 1,
+        onExpiry: 'defer'
+    }
+];
+
+const POLICY_DEFAULTS = {
+    quorum: 1,
+    requiredRoles: [],                   // each role must be among the approvers
+    approverRoles: ['admin', 'approver'], // who may vote at all
+    separationOfDuties: true,            // the requester cannot approve their own request
+    rejectionsToReject: 1,               // a single veto rejects by default
+    deadlineMs: 72 * HOUR,               // unanswered requests expire after this
+    reminderIntervalMs: 24 * HOUR,       // re-send the request this often while pending
+    escalateAfterMs: null,               // email the secondary approver after this (null = never)
+    escalateTo: null,                    // secondary approver's email (falls back to APPROVAL_ESCALATION_EMAIL)
+    onExpiry: 'reject'                   // 'reject' or 'defer' (park the task without a decision)
+};
+
+export const EXPIRY_ACTIONS = ['reject', 'defer'];
+
 export class PolicyEngine {
+    /**
+     * @param {Object} config
+     * @param {Array} [config.policyRules] - approval rules (see normalizePolicyRules)
+     * @param {string} [config.policyRulesFile] - JSON/YAML rule file (POLICY_RULES_FILE)
+     * @param {Array} [config.approvalPolicies] - quorum rules (APPROVAL_POLICIES)
+     * @param {string} [config.timezone] - for "hours" conditions (default America/Chicago)
+     */
     constructor(config = {}) {
         this.approvalCategories = config.approvalCategories || APPROVAL_REQUIRED_CATEGORIES;
         this.autoApproveCategories = config.autoApproveCategories || AUTO_APPROVE_CATEGORIES;
         this.defaultAutoApprove = config.defaultAutoApprove ?? true;
+        this.timezone = config.policyTimezone || config.timezone || 'America/Chicago';
+
+        const rulesFile = config.policyRulesFile || process.env.POLICY_RULES_FILE;
+        const fromFile = !config.policyRules && rulesFile ? loadPolicyFile(rulesFile) : null;
+        this.rulesSource = config.policyRules ? 'config' : fromFile ? rulesFile : 'built-in';
+        this.rules = config.policyRules
+            ? normalizePolicyRules(config.policyRules)
+            : fromFile?.rules || normalizePolicyRules(defaultPolicyRules(this));
+
+        this.approvalPolicies = config.approvalPolicies || fromFile?.approvalPolicies || this.loadApprovalPoliciesFromEnv() || DEFAULT_APPROVAL_POLICIES;
     }
 
     /**
-     * Evaluate if a task requires human approval
-     * @param {Object} task - The task to evaluate
-     * @returns {Object} - { requiresApproval: boolean, reason: string }
+     * APPROVAL_POLICIES holds a JSON array of quorum rules
      */
-    evaluate(task) {
-        const { category, type, metadata = {} } = task;
-
-        // Check for explicit approval-required categories
-        if (this.approvalCategories.includes(category)) {
-            return {
-                requiresApproval: true,
-                reason: `Category "${category}" requires human approval`,
-                approvalType: 'category_restriction'
-            };
-        }
-
-        // Check for money-related keywords
-        const moneyKeywords = ['money', 'payment', 'transfer', 'bank', 'funds', 'invoice_pay', 'wire'];
-        const taskText = JSON.stringify(task).toLowerCase();
-        for (const keyword of moneyKeywords) {
-            if (taskText.includes(keyword)) {
-                return {
-                    requiresApproval: true,
-                    reason: `Task contains financial keyword: "${keyword}"`,
-                    approvalType: 'financial_safeguard'
-                };
-            }
-        }
-
-        // Check for legal keywords
-        const legalKeywords = ['legal', 'lawsuit', 'court', 'attorney', 'settlement', 'sue', 'litigation'];
-        for (const keyword of legalKeywords) {
-            if (taskText.includes(keyword)) {
-                return {
-                    requiresApproval: true,
-                    reason: `Task contains legal keyword: "${keyword}"`,
-                    approvalType: 'legal_safeguard'
-                };
-            }
+    loadApprovalPoliciesFromEnv() {
+        if (!process.env.APPROVAL_POLICIES) return null;
+        try {
+            return JSON.parse(process.env.APPROVAL_POLICIES);
+        } catch (e) {
+            console.warn('[PolicyEngine] Ignoring invalid APPROVAL_POLICIES:', e.message);
+            return null;
         }
+    }
 
-        // Check for explicit auto-approve categories
-        if (this.autoApproveCategories.includes(category)) {
-            return {
-                requiresApproval: false,
-                reason: `Category "${category}" is auto-approved`,
-                approvalType: 'auto_approved'
-            };
+    /**
+     * Evaluate if a task requires human approval
+     * @param {Object} task - The task to evaluate
+     * @param {Date} [now] - evaluation time, for time-of-day rules
+     * @returns {Object} - { requiresApproval: boolean, reason: string, approvalType, ruleId, riskType }
+     */
+    evaluate(task, now = new Date()) {
+        const facts = this.taskFacts(task, now);
+        for (const rule of this.rules) {
+            const match = this.matchRule(rule, facts);
+            if (match.matched) return this.decision(rule, facts, match);
         }
 
         // Default behavior
@@ -89,20 +272,142 @@ export class PolicyEngine {
             reason: this.defaultAutoApprove
                 ? 'Default auto-approve policy applied'
                 : 'Default requires approval policy applied',
-            approvalType: 'default_policy'
+            approvalType: 'default_policy',
+            ruleId: null
+        };
+    }
+
+    /**
+     * Every rule in priority order with whether it matched and, if not, which
+     * condition failed; used by the policy dry-run CLI
+     * @returns {Object} - { evaluation, facts, rules: [{ id, priority, action, matched, failed }] }
+     */
+    explain(task, now = new Date()) {
+        const facts = this.taskFacts(task, now);
+        const rules = this.rules.map(rule => {
+            const { matched, failed } = this.matchRule(rule, facts);
+            return { id: rule.id, priority: rule.priority, action: rule.action, matched, failed: failed || null };
+        });
+        const { text, ...shown } = facts;
+        return { evaluation: this.evaluate(task, now), facts: shown, rules };
+    }
+
+    /**
+     * The task fields rules can test
+     */
+    taskFacts(task, now) {
+        const metadata = task.metadata || {};
+        const hour = Number(new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: this.timezone }).format(now));
+        return {
+            category: task.category || task.type,
+            amount: Number(task.amount ?? metadata.amount) || 0,
+            businessId: task.businessId || task.business_id || metadata.businessId || null,
+            module: task.module || null,
+            platform: task.platform || task.targetPlatform || metadata.platform || null,
+            hour,
+            text: stringValues(task).join(' ').toLowerCase()
+        };
+    }
+
+    /**
+     * @returns {{matched: boolean, failed?: string, keyword?: string}}
+     */
+    matchRule(rule, facts) {
+        const { when } = rule;
+        if (when.categories && !when.categories.includes(facts.category)) return { matched: false, failed: 'categories' };
+        if (when.minAmount !== undefined && facts.amount < when.minAmount) return { matched: false, failed: 'minAmount' };
+        if (when.maxAmount !== undefined && facts.amount > when.maxAmount) return { matched: false, failed: 'maxAmount' };
+        if (when.businessIds && !when.businessIds.includes(facts.businessId)) return { matched: false, failed: 'businessIds' };
+        if (when.modules && !when.modules.includes(facts.module)) return { matched: false, failed: 'modules' };
+        if (when.platforms && !when.platforms.includes(facts.platform)) return { matched: false, failed: 'platforms' };
+
+        if (when.hours) {
+            const { from, to } = when.hours;
+            // from > to wraps midnight, e.g. 22 -> 6
+            const inWindow = from <= to ? facts.hour >= from && facts.hour < to : facts.hour >= from || facts.hour < to;
+            if (!inWindow) return { matched: false, failed: 'hours' };
+        }
+
+        if (when.keywords) {
+            // Words starting with the keyword ("wired", "purchased"), so "sue" does not match "issue"
+            const keyword = when.keywords.find(k => new RegExp(`\\b${escapeRegExp(k.toLowerCase())}\\w*`).test(facts.text));
+            if (!keyword) return { matched: false, failed: 'keywords' };
+            return { matched: true, keyword };
+        }
+        return { matched: true };
+    }
+
+    decision(rule, facts, match) {
+        const values = { ...facts, keyword: match.keyword, rule: rule.id };
+        return {
+            requiresApproval: rule.action === 'require_approval',
+            reason: rule.explanation.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder),
+            approvalType: rule.approvalType,
+            ruleId: rule.id,
+            riskType: rule.riskType || null
         };
     }
 
+    /**
+     * Quorum rule for an approval request
+     * @param {Object} request - task or approval row ({ category|type, amount, ... })
+     * @param {Object} [evaluation] - result of evaluate(), used to spot rule-flagged money tasks
+     * @returns {Object} - { name, quorum, requiredRoles, approverRoles, separationOfDuties, rejectionsToReject,
+     *                       deadlineMs, reminderIntervalMs, escalateAfterMs, escalateTo, onExpiry }
+     */
+    approvalPolicyFor(request, evaluation = null) {
+        const category = request.category || request.type;
+        // Rule-flagged money tasks count as financial whatever their category
+        const categories = evaluation?.riskType === 'financial' ? [category, ...FINANCIAL_CATEGORIES] : [category];
+        const amount = Number(request.amount) || 0;
+
+        const rule = this.approvalPolicies.find(({ match = {} }) => {
+            if (match.categories && !match.categories.some(c => categories.includes(c))) return false;
+            if (match.minAmount !== undefined && amount < match.minAmount) return false;
+            if (match.maxAmount !== undefined && amount > match.maxAmount) return false;
+            return true;
+        });
+
+        const { match, ...policy } = rule || { name: 'default' };
+        if (policy.onExpiry && !EXPIRY_ACTIONS.includes(policy.onExpiry)) {
+            console.warn(`[PolicyEngine] Unknown onExpiry "${policy.onExpiry}" in ${policy.name}; rejecting on expiry`);
+            delete policy.onExpiry;
+        }
+        return { ...POLICY_DEFAULTS, ...policy };
+    }
+
+    /**
+     * Tally individual decisions against a policy
+     * @param {Object} policy - from approvalPolicyFor()
+     * @param {Array} decisions - [{ approver, role, decision: 'approved'|'rejected' }]
+     * @returns {Object} - { status: 'approved'|'rejected'|'pending', approvals, rejections, missingRoles }
+     */
+    tallyApprovals(policy, decisions) {
+        const approvals = decisions.filter(d => d.decision === 'approved');
+        const rejections = decisions.filter(d => d.decision === 'rejected');
+        const missingRoles = policy.requiredRoles.filter(role => !approvals.some(d => d.role === role));
+
+        let status = 'pending';
+        if (rejections.length >= policy.rejectionsToReject) {
+            status = 'rejected';
+        } else if (approvals.length >= policy.quorum && missingRoles.length === 0) {
+            status = 'approved';
+        }
+        return { status, approvals: approvals.length, rejections: rejections.length, missingRoles };
+    }
+
     /**
      * Validate task against hard constraints
      * @param {Object} task - The task to validate
+     * @param {Array} [decisions] - recorded approver decisions for the task, if any
      * @returns {Object} - { valid: boolean, violations: string[] }
      */
-    validateConstraints(task) {
+    validateConstraints(task, decisions = []) {
         const violations = [];
 
-        // Check for dual-auth requirement on financial tasks
-        if (task.category === 'financial' && !task.metadata?.dualAuth) {
+        // Financial tasks need two distinct approvers (or an explicit dual-auth flag)
+        const approvers = new Set(decisions.filter(d => d.decision === 'approved').map(d => d.approver));
+        if (task.category === 'financial' && !task.metadata?.dualAuth && approvers.size < 2) {
             violations.push('Financial tasks require dual authorization');
         }
 
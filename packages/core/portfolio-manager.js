@@ -1,11 +1,16 @@
 /**
  * Portfolio Manager - Implements ROI Improvement #1 (Autonomous Portfolio Rebalancing)
  * Automatically adjusts business priorities based on performance metrics.
+ * Revenue and expenses are posted to the general ledger, which keeps the
+ * totals on each business row in step.
  */
 
+import { getGeneralLedger } from './general-ledger.js';
+
 export class PortfolioManager {
     constructor(config = {}) {
         this.db = config.db;
+        this.ledger = this.db || config.generalLedger ? getGeneralLedger(config) : null;
         this.auditLogger = config.auditLogger;
         this.rebalanceThreshold = config.rebalanceThreshold || 0.1; // 10% change required to log
     }
@@ -88,9 +93,9 @@ export class PortfolioManager {
         const business = await this.db.getBusiness(businessId);
         if (!business) return { success: false, error: 'Business not found' };
 
-        business.revenue = (business.revenue || 0) + amount;
-        await this.db.saveBusiness(business);
-        return { success: true, newRevenue: business.revenue };
+        await this.ledger.recordIncome({ amount, businessId, description: `${business.name || businessId} revenue`, source: 'portfolio' });
+        const totals = (await this.ledger.getBusinessTotals({ businessId }))[businessId];
+        return { success: true, newRevenue: totals.income };
     }
 
     /**
@@ -100,9 +105,9 @@ export class PortfolioManager {
         const business = await this.db.getBusiness(businessId);
         if (!business) return { success: false, error: 'Business not found' };
 
-        business.expenses = (business.expenses || 0) + amount;
-        await this.db.saveBusiness(business);
-        return { success: true, newExpenses: business.expenses };
+        await this.ledger.recordExpense({ amount, businessId, description: `${business.name || businessId} expenses`, source: 'portfolio' });
+        const totals = (await this.ledger.getBusinessTotals({ businessId }))[businessId];
+        return { success: true, newExpenses: totals.expenses };
     }
 }
 
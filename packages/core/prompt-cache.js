@@ -0,0 +1,172 @@
+/**
+ * Prompt Cache - Persistent response cache for ModelRouter
+ * Responses are stored in SQLite under a content hash of model + options +
+ * prompt, expire after a per-task-type TTL, and the least recently used
+ * entries are evicted once the cache is full.
+ */
+
+import crypto from 'crypto';
+import { Database } from './database.js';
+
+const HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_CACHE_TTLS = {
+    reasoning: 24 * HOUR,
+    coding: 24 * HOUR,
+    bulk: 24 * HOUR,
+    fast: 6 * HOUR,
+    creative: HOUR,
+    default: 6 * HOUR
+};
+
+// Call options that steer routing or caching but never change the response
+export const ROUTING_OPTIONS = ['model', 'taskType', 'businessId', 'noCache', 'cacheTtl', 'noFallback', 'forceLocal', 'forcePrivate', 'maxCost'];
+
+const cacheMigrations = [
+    {
+        version: 1,
+        name: 'prompt_cache',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS prompt_cache (
+                key TEXT PRIMARY KEY,
+                model_id TEXT,
+                task_type TEXT,
+                response TEXT,
+                created_at INTEGER,
+                expires_at INTEGER,
+                last_used_at INTEGER,
+                hits INTEGER DEFAULT 0
+            )`);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_prompt_cache_lru ON prompt_cache (last_used_at)');
+        },
+        async down(db) {
+            await db.run('DROP TABLE IF EXISTS prompt_cache');
+        }
+    }
+];
+
+export class PromptCache {
+    /**
+     * @param {Object} config
+     * @param {string} config.dbPath - SQLite file (or ':memory:')
+     * @param {number} [config.maxEntries] - LRU bound (default 1000)
+     * @param {Object} [config.ttls] - TTL in ms per task type, merged over DEFAULT_CACHE_TTLS
+     * @param {Object} [config.metrics] - Prometheus Metrics instance for hit/miss counters
+     */
+    constructor(config = {}) {
+        this.db = new Database({ dbPath: config.dbPath, dbDriver: 'sqlite', migrations: cacheMigrations });
+        this.maxEntries = config.maxEntries || 1000;
+        this.ttls = { ...DEFAULT_CACHE_TTLS, ...(config.ttls || {}) };
+        this.metrics = config.metrics || null;
+        this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    }
+
+    async init() {
+        await this.db.init();
+        return this;
+    }
+
+    close() {
+        return this.db.close();
+    }
+
+    /**
+     * Content address for one request
+     */
+    key(modelId, prompt, options = {}, systemPrompt = null) {
+        const relevant = Object.fromEntries(
+            Object.entries(options)
+                .filter(([name]) => !ROUTING_OPTIONS.includes(name))
+                .sort(([a], [b]) => a.localeCompare(b))
+        );
+        return crypto.createHash('sha256')
+            .update(JSON.stringify({ modelId, options: relevant, systemPrompt, prompt }))
+            .digest('hex');
+    }
+
+    ttlFor(taskType, override) {
+        if (override !== undefined) return override;
+        return this.ttls[taskType] ?? this.ttls.default;
+    }
+
+    /**
+     * Cached response for a key, or null on a miss (expired rows count as misses)
+     */
+    async get(key, modelId = 'unknown') {
+        await this.init();
+        const now = Date.now();
+        const row = await this.db.get('SELECT response, expires_at FROM prompt_cache WHERE key = ?', [key]);
+
+        if (!row || row.expires_at <= now) {
+            if (row) await this.db.run('DELETE FROM prompt_cache WHERE key = ?', [key]);
+            this.stats.misses++;
+            if (this.metrics) this.metrics.recordCacheLookup(modelId, false);
+            return null;
+        }
+
+        await this.db.run('UPDATE prompt_cache SET last_used_at = ?, hits = hits + 1 WHERE key = ?', [now, key]);
+        this.stats.hits++;
+        if (this.metrics) this.metrics.recordCacheLookup(modelId, true);
+        return JSON.parse(row.response);
+    }
+
+    /**
+     * Store a response, then evict least recently used rows beyond maxEntries
+     */
+    async set(key, response, { modelId, taskType, ttl } = {}) {
+        await this.init();
+        const now = Date.now();
+        await this.db.run(
+            `INSERT INTO prompt_cache (key, model_id, task_type, response, created_at, expires_at, last_used_at, hits)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 0)
+             ON CONFLICT (key) DO UPDATE SET
+                response = excluded.response,
+                created_at = excluded.created_at,
+                expires_at = excluded.expires_at,
+                last_used_at = excluded.last_used_at`,
+            [key, modelId, taskType, JSON.stringify(response), now, now + this.ttlFor(taskType, ttl), now]
+        );
+        this.stats.writes++;
+        await this.evict();
+    }
+
+    async evict() {
+        const { count } = await this.db.get('SELECT COUNT(*) AS count FROM prompt_cache');
+        const excess = count - this.maxEntries;
+        if (excess <= 0) return 0;
+
+        const result = await this.db.run(
+            'DELETE FROM prompt_cache WHERE key IN (SELECT key FROM prompt_cache ORDER BY last_used_at ASC LIMIT ?)',
+            [excess]
+        );
+        this.stats.evictions += result.changes;
+        return result.changes;
+    }
+
+    /**
+     * Drop expired rows
+     */
+    async prune() {
+        await this.init();
+        const result = await this.db.run('DELETE FROM prompt_cache WHERE expires_at <= ?', [Date.now()]);
+        return result.changes;
+    }
+
+    async clear() {
+        await this.init();
+        await this.db.run('DELETE FROM prompt_cache');
+    }
+
+    async getStats() {
+        await this.init();
+        const { count } = await this.db.get('SELECT COUNT(*) AS count FROM prompt_cache');
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            entries: count,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+        };
+    }
+}
+
+export default PromptCache;
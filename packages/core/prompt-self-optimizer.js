@@ -25,7 +25,7 @@ export class PromptSelfOptimizer {
         console.log('[PromptSelfOptimizer] Starting recursive optimization cycle...');
 
         // 1. Fetch recent success/failure logs
-        const logs = await this.db.db.all('SELECT * FROM logs ORDER BY timestamp DESC LIMIT 50');
+        const logs = await this.db.getLogs(50);
 
         // 2. Analyze patterns
         const prompt = `You are a meta-prompting engineer. Analyze these execution logs:
@@ -0,0 +1,296 @@
+/**
+ * Scheduler - Recurring jobs for every module on cron expressions
+ * Each schedule is a cron expression in an IANA timezone plus a handler. The
+ * next run time is kept in the schedules table, so runs missed while the
+ * process was down are noticed on the next start and handled by the
+ * schedule's catch-up policy:
+ *   - skip: drop missed runs; only a run that is due right now happens
+ *   - once: run once for everything that was missed (the default)
+ *   - all:  run each missed occurrence in turn, up to maxCatchUp
+ * A schedule does not overlap itself within one process: while its handler
+ * is still running here, the next occurrence is recorded as skipped. Across
+ * processes only each occurrence is exclusive - claiming a run is a
+ * conditional update on next_run_at, so two processes sharing a database do
+ * not both run it, but a slow run in one process does not hold back the next
+ * occurrence in another. Handlers that must not overlap anywhere check
+ * their own state, as Orchestrator.scheduleTask does with the previous task.
+ */
+
+import { parseCron, nextRun, wallClock } from './cron.js';
+
+export const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+
+// Past this many missed occurrences stop counting and jump ahead to now
+const MAX_MISSED = 1000;
+
+export class Scheduler {
+    /**
+     * @param {Object} config
+     * @param {Database} config.db - Shared Database instance
+     * @param {string} [config.timezone] - default timezone (else SCHEDULER_TIMEZONE, else America/Chicago)
+     * @param {number} [config.schedulerTickMs] - how often due schedules are checked (default 30s)
+     * @param {number} [config.schedulerGraceMs] - how late a run may start and still count as on time (default 2 minutes)
+     * @param {number} [config.maxCatchUp] - most missed runs replayed under the 'all' policy (default 10)
+     */
+    constructor(config = {}) {
+        this.db = config.db;
+        this.timezone = config.timezone || process.env.SCHEDULER_TIMEZONE || 'America/Chicago';
+        this.tickMs = config.schedulerTickMs || 30000;
+        this.graceMs = config.schedulerGraceMs ?? 2 * 60 * 1000;
+        this.maxCatchUp = config.maxCatchUp || 10;
+        this.schedules = new Map();
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Register (or replace) a recurring job. The schedule is written to the
+     * database on the next tick; if its cron and timezone are unchanged, the
+     * persisted next run time is kept so missed runs are caught up.
+     * @param {string} name - unique, e.g. "module.job"
+     * @param {Object} options - { cron, handler, timezone, catchUp, description }
+     *   handler({ name, scheduledAt, missed, lastScheduledAt }) may return
+     *   { skipped: reason } to record the run as skipped
+     * @throws {Error} on a bad cron expression, timezone or catch-up policy
+     */
+    register(name, options = {}) {
+        if (!name) throw new Error('Schedule name is required');
+        if (typeof options.handler !== 'function') throw new Error(`Schedule ${name} needs a handler`);
+
+        const catchUp = options.catchUp || 'once';
+        if (!CATCH_UP_POLICIES.includes(catchUp)) {
+            throw new Error(`Invalid catch-up policy "${catchUp}" for ${name} (use ${CATCH_UP_POLICIES.join(', ')})`);
+        }
+        const timezone = options.timezone || this.timezone;
+        try {
+            wallClock(new Date(), timezone);
+        } catch (error) {
+            throw new Error(`Invalid timezone "${timezone}" for ${name}`);
+        }
+
+        this.schedules.set(name, {
+            name,
+            cron: parseCron(options.cron),
+            timezone,
+            catchUp,
+            description: options.description || null,
+            handler: options.handler,
+            synced: false,
+            running: null
+        });
+        return this;
+    }
+
+    /**
+     * Stop running a schedule in this process; its row and history stay
+     */
+    unregister(name) {
+        return this.schedules.delete(name);
+    }
+
+    /**
+     * Check schedules every tickMs
+     */
+    start() {
+        if (this.timer) return this;
+        const tick = () => this.tick().catch(error => console.error('[Scheduler] Tick failed:', error.message));
+        this.timer = setInterval(tick, this.tickMs);
+        tick();
+        console.log(`[Scheduler] ${this.schedules.size} schedule(s), checking every ${this.tickMs / 1000}s`);
+        return this;
+    }
+
+    /**
+     * Stop checking; handlers already running finish on their own
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Start every schedule that is due
+     * @param {Date} [now] - injectable clock for tests
+     * @returns {Promise<{started: string[], skipped: string[], done: Promise}>}
+     *   schedule names; `done` settles when the started handlers finish and never rejects
+     */
+    async tick(now = new Date()) {
+        const results = { started: [], skipped: [], done: Promise.resolve() };
+        if (this.ticking) return results;
+        this.ticking = true;
+
+        const runs = [];
+        try {
+            const rows = await this.sync(now);
+            for (const schedule of this.schedules.values()) {
+                const row = rows.get(schedule.name);
+                if (!row?.next_run_at || new Date(row.next_run_at) > now) continue;
+
+                const outcome = await this.dispatch(schedule, row, now);
+                if (outcome?.run) {
+                    results.started.push(schedule.name);
+                    runs.push(outcome.run);
+                } else if (outcome) {
+                    results.skipped.push(schedule.name);
+                }
+            }
+        } finally {
+            this.ticking = false;
+        }
+        results.done = Promise.all(runs).catch(error => console.error('[Scheduler] Recording a run failed:', error.message));
+        return results;
+    }
+
+    /**
+     * Write registered schedules that are not in the database yet, or whose
+     * cron or timezone changed
+     * @returns {Promise<Map<string, Object>>} schedule rows by name
+     */
+    async sync(now = new Date()) {
+        await this.db.init();
+        const rows = new Map((await this.db.listSchedules()).map(row => [row.name, row]));
+
+        for (const schedule of this.schedules.values()) {
+            const row = rows.get(schedule.name);
+            const changed = !row || row.cron !== schedule.cron.expression || row.timezone !== schedule.timezone;
+            if (schedule.synced && !changed) continue;
+
+            const record = {
+                name: schedule.name,
+                cron: schedule.cron.expression,
+                timezone: schedule.timezone,
+                catch_up: schedule.catchUp,
+                description: schedule.description,
+                next_run_at: changed || !row.next_run_at ? this.nextAfter(schedule, now) : row.next_run_at,
+                created_at: row?.created_at || now.toISOString()
+            };
+            await this.db.saveSchedule(record);
+            rows.set(schedule.name, { ...row, ...record });
+            schedule.synced = true;
+        }
+        return rows;
+    }
+
+    nextAfter(schedule, date) {
+        return nextRun(schedule.cron, date, schedule.timezone)?.toISOString() || null;
+    }
+
+    /**
+     * Claim the due run(s) of one schedule and start its handler
+     * @returns {Promise<{run?: Promise}|null>} null when another process claimed it first
+     */
+    async dispatch(schedule, row, now) {
+        const due = [];
+        let missed = 0;
+        let next = new Date(row.next_run_at);
+        while (next && next <= now) {
+            if (++missed > MAX_MISSED) {
+                next = nextRun(schedule.cron, now, schedule.timezone);
+                break;
+            }
+            if (schedule.catchUp === 'all' && due.length >= this.maxCatchUp) due.shift();
+            due.push(next);
+            next = nextRun(schedule.cron, next, schedule.timezone);
+        }
+
+        const latest = due.at(-1);
+        let pending;
+        if (schedule.catchUp === 'all') pending = due;
+        else if (schedule.catchUp === 'once' || now - latest <= this.graceMs) pending = [latest];
+        else pending = [];
+
+        const startedAt = now.toISOString();
+        const runNow = pending.length > 0 && !schedule.running;
+        const claimed = await this.db.claimScheduleRun(schedule.name, row.next_run_at, next?.toISOString() || null, runNow ? startedAt : row.running_since || null);
+        if (!claimed) {
+            // Someone else moved next_run_at; re-read it on the next tick
+            schedule.synced = false;
+            return null;
+        }
+
+        if (!runNow) {
+            const reason = schedule.running
+                ? 'Previous run still in progress'
+                : `Missed ${missed} run(s) while stopped`;
+            console.log(`[Scheduler] Skipping ${schedule.name}: ${reason}`);
+            await this.db.finishScheduleRun(schedule.name, {
+                scheduledAt: latest.toISOString(),
+                startedAt,
+                status: 'skipped',
+                error: reason,
+                runningSince: row.running_since || null
+            });
+            return {};
+        }
+
+        const context = {
+            name: schedule.name,
+            missed: schedule.catchUp === 'once' ? missed - 1 : 0,
+            lastScheduledAt: row.last_scheduled_at || null
+        };
+        schedule.running = this.execute(schedule, pending, context)
+            .finally(() => { schedule.running = null; });
+        return { run: schedule.running };
+    }
+
+    /**
+     * Run the handler once per occurrence and record each outcome
+     */
+    async execute(schedule, occurrences, context) {
+        let lastScheduledAt = context.lastScheduledAt;
+        for (const occurrence of occurrences) {
+            const scheduledAt = occurrence.toISOString();
+            const started = Date.now();
+            let status = 'success';
+            let error = null;
+            try {
+                const result = await schedule.handler({ ...context, scheduledAt, lastScheduledAt });
+                if (result?.skipped) {
+                    status = 'skipped';
+                    error = String(result.skipped);
+                }
+            } catch (e) {
+                status = 'failed';
+                error = e.message;
+                console.error(`[Scheduler] ${schedule.name} failed:`, e.message);
+            }
+
+            await this.db.finishScheduleRun(schedule.name, {
+                scheduledAt,
+                startedAt: new Date(started).toISOString(),
+                status,
+                error,
+                durationMs: Date.now() - started
+            });
+            if (status !== 'skipped') lastScheduledAt = scheduledAt;
+        }
+    }
+
+    /**
+     * Every schedule in the database, with its next and last run
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(now = new Date()) {
+        const rows = await this.sync(now);
+        return [...rows.values()].map(row => ({
+            name: row.name,
+            cron: row.cron,
+            timezone: row.timezone,
+            catchUp: row.catch_up,
+            description: row.description,
+            nextRunAt: row.next_run_at,
+            lastScheduledAt: row.last_scheduled_at || null,
+            lastRunAt: row.last_run_at || null,
+            lastStatus: row.last_status || null,
+            lastError: row.last_error || null,
+            lastDurationMs: row.last_duration_ms ?? null,
+            runCount: Number(row.run_count) || 0,
+            running: Boolean(row.running_since),
+            runningSince: row.running_since || null
+        }));
+    }
+}
+
+export default Scheduler;
@@ -3,6 +3,28 @@
  * Implements the recursive self-correction loop: Produce -> Critique -> Rewrite -> Verify
  */
 
+const CRITIQUE_SCHEMA = {
+    type: 'object',
+    required: ['score', 'needs_rewrite'],
+    properties: {
+        score: { type: 'number', minimum: 0, maximum: 1 },
+        critique: { type: 'string' },
+        issues: { type: 'array', items: { type: 'string' } },
+        needs_rewrite: { type: 'boolean' },
+        strategy_update: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+const VERIFICATION_SCHEMA = {
+    type: 'object',
+    required: ['verified'],
+    properties: {
+        verified: { type: 'boolean' },
+        notes: { type: 'string' },
+        improvements: { type: 'array', items: { type: 'string' } }
+    }
+};
+
 export class SelfEvaluator {
     constructor(config = {}) {
         this.modelRouter = config.modelRouter;
@@ -48,15 +70,13 @@ Return JSON:
     "strategy_update": ["New rules to avoid these mistakes in the future"]
 }`;
 
-        const critiqueResult = await this.modelRouter.complete(critiquePrompt, 'reasoning', { format: 'json' });
+        const critiqueResult = await this.modelRouter.complete(critiquePrompt, 'reasoning', { schema: CRITIQUE_SCHEMA });
 
         let critique = { score: 1.0, needs_rewrite: false, strategy_update: [] };
         if (critiqueResult.success) {
-            try {
-                critique = JSON.parse(critiqueResult.content);
-            } catch (e) {
-                console.warn('[SelfEvaluator] Failed to parse critique JSON, proceeding with initial output.');
-            }
+            critique = critiqueResult.data;
+        } else if (critiqueResult.validationErrors?.length) {
+            console.warn('[SelfEvaluator] Critique did not match schema, proceeding with initial output.');
         }
 
         if (this.auditLogger) {
@@ -108,13 +128,11 @@ Is this actionable and correct? Return JSON:
     "improvements": ["What exactly was improved"]
 }`;
 
-        const verifyResult = await this.modelRouter.complete(verifyPrompt, 'reasoning', { format: 'json' });
+        const verifyResult = await this.modelRouter.complete(verifyPrompt, 'reasoning', { schema: VERIFICATION_SCHEMA });
         let verification = { verified: true, notes: "Auto-verified", improvements: [] };
 
         if (verifyResult.success) {
-            try {
-                verification = JSON.parse(verifyResult.content);
-            } catch (e) { }
+            verification = verifyResult.data;
         }
 
         return {
@@ -0,0 +1,289 @@
+/**
+ * State Store - Shared keyed-collection persistence for modules
+ * Replaces per-module JSON files with rows in the database: every record is
+ * written on its own (no whole-file rewrites), multi-record saves run in one
+ * transaction, and update() is an optimistic read-modify-write that retries
+ * when another writer got there first.
+ */
+
+import fs from 'fs';
+import { Database } from './database.js';
+
+const MAX_UPDATE_ATTEMPTS = 5;
+
+export class StateStore {
+    /**
+     * @param {Object} config - { db } or any Database config (dbPath, dbDriver, ...)
+     */
+    constructor(config = {}) {
+        this.db = config.db || new Database(config);
+        this._ready = null;
+    }
+
+    async init() {
+        if (!this._ready) {
+            this._ready = this.db.init().catch((err) => {
+                this._ready = null;
+                throw err;
+            });
+        }
+        await this._ready;
+        return this;
+    }
+
+    /**
+     * Get a handle on a named collection. Each handle tracks what its owner has
+     * seen, so sync() only ever deletes records that owner loaded or wrote.
+     */
+    collection(name) {
+        return new StateCollection(this, name);
+    }
+
+    /**
+     * Run fn(db) in one database transaction; use the handed-in db for every write
+     */
+    async transaction(fn) {
+        await this.init();
+        return this.db.transaction(fn);
+    }
+
+    /**
+     * Import a legacy JSON file into a collection.
+     * Upserts by key, so running it twice leaves the same rows behind.
+     * @param {string} collectionName
+     * @param {string} file - path to the JSON file
+     * @param {Function} [select] - maps the parsed JSON to the records to store
+     * @returns {Promise<{imported: number, skipped?: boolean}>}
+     */
+    async importJsonFile(collectionName, file, select = data => data) {
+        if (!fs.existsSync(file)) return { imported: 0, skipped: true };
+        const records = select(JSON.parse(fs.readFileSync(file, 'utf-8')));
+        if (!records) return { imported: 0, skipped: true };
+
+        const entries = toEntries(records);
+        const collection = this.collection(collectionName);
+        await this.transaction(async (tx) => {
+            for (const [position, [key, value]] of entries.entries()) {
+                await collection.write(tx, key, value, position);
+            }
+        });
+        return { imported: entries.length };
+    }
+}
+
+/**
+ * One named set of JSON records keyed by string
+ */
+export class StateCollection {
+    constructor(store, name) {
+        this.store = store;
+        this.name = name;
+        this.snapshot = new Map(); // key -> { serialized, position } last read or written here
+        this._queue = Promise.resolve();
+    }
+
+    async get(key) {
+        await this.store.init();
+        const row = await this.store.db.get(
+            'SELECT value FROM state_entries WHERE collection = ? AND key = ?',
+            [this.name, String(key)]
+        );
+        return row ? JSON.parse(row.value) : undefined;
+    }
+
+    async set(key, value) {
+        await this.store.init();
+        await this.write(this.store.db, String(key), value);
+        return value;
+    }
+
+    async delete(key) {
+        await this.store.init();
+        const result = await this.store.db.run(
+            'DELETE FROM state_entries WHERE collection = ? AND key = ?',
+            [this.name, String(key)]
+        );
+        this.snapshot.delete(String(key));
+        return result.changes > 0;
+    }
+
+    async clear() {
+        await this.store.init();
+        await this.store.db.run('DELETE FROM state_entries WHERE collection = ?', [this.name]);
+        this.snapshot.clear();
+    }
+
+    /**
+     * All rows in stored order
+     * @returns {Promise<Array<[string, any]>>}
+     */
+    async entries() {
+        await this.store.init();
+        const rows = await this.store.db.all(
+            'SELECT key, value, position FROM state_entries WHERE collection = ? ORDER BY position, key',
+            [this.name]
+        );
+        return rows.map(r => {
+            this.snapshot.set(r.key, { serialized: r.value, position: r.position });
+            return [r.key, JSON.parse(r.value)];
+        });
+    }
+
+    async keys() {
+        return (await this.entries()).map(([key]) => key);
+    }
+
+    async values() {
+        return (await this.entries()).map(([, value]) => value);
+    }
+
+    /**
+     * All rows as a plain { key: value } object
+     */
+    async all() {
+        return Object.fromEntries(await this.entries());
+    }
+
+    /**
+     * Atomically transform one record: fn(current) => next.
+     * Retries when another writer bumped the row's version in between.
+     */
+    async update(key, fn, initial) {
+        await this.store.init();
+        const db = this.store.db;
+        key = String(key);
+
+        for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+            const row = await db.get(
+                'SELECT value, version FROM state_entries WHERE collection = ? AND key = ?',
+                [this.name, key]
+            );
+            const current = row ? JSON.parse(row.value) : initial;
+            const next = await fn(current);
+            const serialized = JSON.stringify(next);
+            const now = new Date().toISOString();
+
+            const result = row
+                ? await db.run(
+                    'UPDATE state_entries SET value = ?, version = version + 1, updated_at = ? WHERE collection = ? AND key = ? AND version = ?',
+                    [serialized, now, this.name, key, row.version]
+                )
+                : await db.run(
+                    `INSERT INTO state_entries (collection, key, value, version, position, updated_at)
+                     VALUES (?, ?, ?, 1, 0, ?) ON CONFLICT (collection, key) DO NOTHING`,
+                    [this.name, key, serialized, now]
+                );
+
+            if (result.changes > 0) {
+                this.snapshot.set(key, { serialized, position: this.snapshot.get(key)?.position ?? 0 });
+                return next;
+            }
+        }
+
+        throw new Error(`[StateStore] Concurrent update conflict on ${this.name}/${key}`);
+    }
+
+    /**
+     * Persist an in-memory array (keyed by item.id) or object map.
+     * Only records that changed since the last read/write are written, and
+     * records removed locally are deleted, all inside one transaction.
+     */
+    async sync(records) {
+        await this.store.init();
+        const entries = toEntries(records);
+        const seen = new Set();
+
+        try {
+            await this.store.db.transaction(async (tx) => {
+                for (const [position, [key, value]] of entries.entries()) {
+                    seen.add(key);
+                    const known = this.snapshot.get(key);
+                    if (known && known.serialized === JSON.stringify(value) && known.position === position) continue;
+                    await this.write(tx, key, value, position);
+                }
+                for (const key of [...this.snapshot.keys()]) {
+                    if (seen.has(key)) continue;
+                    await tx.run('DELETE FROM state_entries WHERE collection = ? AND key = ?', [this.name, key]);
+                    this.snapshot.delete(key);
+                }
+            });
+        } catch (err) {
+            this.snapshot.clear(); // rolled back: force a full rewrite next time
+            throw err;
+        }
+    }
+
+    /**
+     * Fire-and-forget sync for synchronous callers; saves are applied in call order
+     */
+    persist(records) {
+        const copy = JSON.parse(JSON.stringify(records ?? {}));
+        this._queue = this._queue
+            .then(() => this.sync(copy))
+            .catch(err => console.error(`[StateStore] Failed to persist ${this.name}:`, err.message));
+        return this._queue;
+    }
+
+    /**
+     * Resolves once every queued persist() has been written
+     */
+    flush() {
+        return this._queue;
+    }
+
+    async write(db, key, value, position = 0) {
+        const serialized = JSON.stringify(value);
+        await db.run(
+            `INSERT INTO state_entries (collection, key, value, version, position, updated_at)
+             VALUES (?, ?, ?, 1, ?, ?)
+             ON CONFLICT (collection, key) DO UPDATE SET
+                value = excluded.value,
+                version = state_entries.version + 1,
+                position = excluded.position,
+                updated_at = excluded.updated_at`,
+            [this.name, key, serialized, position, new Date().toISOString()]
+        );
+        this.snapshot.set(key, { serialized, position });
+    }
+}
+
+/**
+ * Normalise an array (keyed by id, else by index) or object map into [key, value] pairs
+ */
+function toEntries(records) {
+    if (Array.isArray(records)) {
+        return records.map((item, i) => [String(item?.id ?? `#${i}`), item]);
+    }
+    return Object.entries(records || {});
+}
+
+/**
+ * Combine records loaded from the store with ones a module created locally
+ * before its asynchronous load finished; local copies win on matching ids
+ */
+export function mergeRecords(stored, local) {
+    if (Array.isArray(stored)) {
+        const localIds = new Set(local.filter(item => item?.id !== undefined).map(item => String(item.id)));
+        return [...stored.filter(item => item?.id === undefined || !localIds.has(String(item.id))), ...local];
+    }
+    return { ...stored, ...local };
+}
+
+const sharedStores = new WeakMap();
+let defaultStore = null;
+
+/**
+ * Resolve the store a module should use: an injected one, one bound to the
+ * injected Database, or the process-wide default (data/king-ai.db)
+ */
+export function getStateStore(config = {}) {
+    if (config.stateStore) return config.stateStore;
+    if (config.db) {
+        if (!sharedStores.has(config.db)) sharedStores.set(config.db, new StateStore({ db: config.db }));
+        return sharedStores.get(config.db);
+    }
+    if (!defaultStore) defaultStore = new StateStore();
+    return defaultStore;
+}
+
+export default StateStore;
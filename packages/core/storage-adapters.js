@@ -0,0 +1,244 @@
+/**
+ * Storage Adapters - Interchangeable SQL backends behind the Database class
+ * Every adapter exposes the same promise API: open, close, run, get, all, exec,
+ * getColumns, transaction, plus a `dialect` tag for the few places SQL differs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+
+/**
+ * SQLite file database (default)
+ * There is one connection, so a write issued while a transaction is open
+ * would land inside it. Writes and transactions therefore wait their turn
+ * in one queue; the transaction's own writes go through a scoped instance
+ * that holds the connection and skips the queue.
+ */
+export class SqliteAdapter {
+    constructor(config = {}) {
+        this.dialect = 'sqlite';
+        this.filename = config.filename;
+        this.conn = config.conn || null;
+        this.scoped = !!config.conn; // set on transaction-scoped instances
+        this._queue = Promise.resolve();
+    }
+
+    describe() {
+        return `sqlite:${this.filename}`;
+    }
+
+    async open() {
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+        this.conn = await open({
+            filename: this.filename,
+            driver: sqlite3.Database,
+            mode: sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE
+        });
+        if (this.filename !== ':memory:') {
+            await this.conn.exec('PRAGMA journal_mode = WAL');
+        }
+        await this.conn.exec('PRAGMA busy_timeout = 10000');
+        return this;
+    }
+
+    async close() {
+        if (this.conn && !this.scoped) {
+            await this._queue.catch(() => { }); // let queued writes finish first
+            await this.conn.close();
+            this.conn = null;
+        }
+    }
+
+    /**
+     * Run fn once every statement and transaction queued before it has finished.
+     * Reads queue too: on the one shared connection a read issued mid-transaction
+     * would otherwise see rows that are not committed yet (and may be rolled back).
+     */
+    enqueue(fn) {
+        if (this.scoped) return fn(); // the transaction already holds the connection
+        const current = this._queue.catch(() => { }).then(fn);
+        this._queue = current;
+        return current;
+    }
+
+    run(sql, params = []) {
+        return this.enqueue(async () => {
+            const result = await this.conn.run(sql, params);
+            return { changes: result.changes, lastID: result.lastID };
+        });
+    }
+
+    get(sql, params = []) {
+        return this.enqueue(() => this.conn.get(sql, params));
+    }
+
+    all(sql, params = []) {
+        return this.enqueue(() => this.conn.all(sql, params));
+    }
+
+    exec(sql) {
+        return this.enqueue(() => this.conn.exec(sql));
+    }
+
+    async getColumns(table) {
+        const rows = await this.all(`PRAGMA table_info(${table})`);
+        return rows.map(r => r.name);
+    }
+
+    /**
+     * SQLite has a single connection, so transactions are serialised rather than pooled.
+     * A transaction started inside another one joins it.
+     */
+    transaction(fn) {
+        if (this.scoped) return fn(this);
+
+        return this.enqueue(async () => {
+            await this.conn.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await fn(new SqliteAdapter({ filename: this.filename, conn: this.conn }));
+                await this.conn.exec('COMMIT');
+                return result;
+            } catch (err) {
+                await this.conn.exec('ROLLBACK');
+                throw err;
+            }
+        });
+    }
+}
+
+/**
+ * Ephemeral store for tests - a private SQLite database that lives in memory
+ */
+export class MemoryAdapter extends SqliteAdapter {
+    constructor() {
+        super({ filename: ':memory:' });
+    }
+
+    describe() {
+        return 'memory';
+    }
+}
+
+/**
+ * Shared Postgres database (pg connection pool)
+ */
+export class PostgresAdapter {
+    constructor(config = {}) {
+        this.dialect = 'postgres';
+        this.connectionString = config.connectionString;
+        this.poolSize = config.poolSize || 10;
+        this.pool = config.pool || null;
+        this.client = config.client || null; // set on transaction-scoped instances
+    }
+
+    describe() {
+        return this.connectionString ? this.connectionString.replace(/\/\/[^@]*@/, '//***@') : 'postgres';
+    }
+
+    async open() {
+        if (!this.pool) {
+            const { default: pg } = await import('pg');
+            this.pool = new pg.Pool({ connectionString: this.connectionString, max: this.poolSize });
+        }
+        await this.pool.query('SELECT 1');
+        return this;
+    }
+
+    async close() {
+        if (this.pool && !this.client) {
+            await this.pool.end();
+            this.pool = null;
+        }
+    }
+
+    query(sql, params = []) {
+        return (this.client || this.pool).query(toPositional(sql), params);
+    }
+
+    async run(sql, params = []) {
+        const result = await this.query(sql, params);
+        return { changes: result.rowCount, lastID: result.rows?.[0]?.id ?? null };
+    }
+
+    async get(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows[0];
+    }
+
+    async all(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows;
+    }
+
+    async exec(sql) {
+        await (this.client || this.pool).query(sql);
+    }
+
+    async getColumns(table) {
+        const rows = await this.all(
+            'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?',
+            [table]
+        );
+        return rows.map(r => r.column_name);
+    }
+
+    async transaction(fn) {
+        if (this.client) return fn(this); // already inside a transaction
+
+        const client = await this.pool.connect();
+        const scoped = new PostgresAdapter({ pool: this.pool, client });
+        try {
+            await client.query('BEGIN');
+            const result = await fn(scoped);
+            await client.query('COMMIT');
+            return result;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+/**
+ * Rewrite `?` placeholders as `$1, $2, ...`, leaving quoted literals alone
+ */
+function toPositional(sql) {
+    let index = 0;
+    return sql.replace(/'(?:[^']|'')*'|\?/g, match => (match === '?' ? `$${++index}` : match));
+}
+
+/**
+ * Pick an adapter from config, then environment (DB_DRIVER, DATABASE_URL)
+ * @param {Object} config - { dbDriver, dbPath, databaseUrl, dbPoolSize }
+ * @param {string} sqlitePath - resolved SQLite filename for the sqlite driver
+ */
+export function createStorageAdapter(config = {}, sqlitePath) {
+    const databaseUrl = config.databaseUrl || process.env.DATABASE_URL;
+    // An explicit dbPath means SQLite unless a driver is named alongside it
+    const driver = (config.dbDriver
+        || (config.dbPath ? 'sqlite' : null)
+        || process.env.DB_DRIVER
+        || (databaseUrl ? 'postgres' : 'sqlite')).toLowerCase();
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryAdapter();
+        case 'postgres':
+        case 'postgresql':
+        case 'pg':
+            if (!databaseUrl) throw new Error('Postgres storage requires DATABASE_URL (or config.databaseUrl)');
+            return new PostgresAdapter({ connectionString: databaseUrl, poolSize: config.dbPoolSize });
+        case 'sqlite':
+            return new SqliteAdapter({ filename: sqlitePath });
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
+
+export default createStorageAdapter;
@@ -1,9 +1,12 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getStateStore } from './state-store.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const DEFAULT_STRATEGIES = {
+    "general": [
+        "Always verify external links before including them.",
+        "Ensure JSON output is valid and follows requested schema.",
+        "Prioritize safety and legal compliance in all business plans."
+    ]
+};
 
 /**
  * Strategy Manager - Manages the "Living Strategy"
@@ -11,42 +14,29 @@ const __dirname = path.dirname(__filename);
  */
 export class StrategyManager {
     constructor(config = {}) {
-        this.dataDir = config.dataDir || path.join(__dirname, '../../data');
-        this.strategyFile = path.join(this.dataDir, 'strategies.json');
-        this.ensureDataDir();
-        this.strategies = this.loadStrategies();
+        this.store = getStateStore(config).collection('strategies');
+        this.strategies = JSON.parse(JSON.stringify(DEFAULT_STRATEGIES));
+        this.ready = this.loadStrategies();
     }
 
-    ensureDataDir() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
+    async init() {
+        await this.ready;
+        return this;
     }
 
-    loadStrategies() {
-        if (fs.existsSync(this.strategyFile)) {
-            try {
-                return JSON.parse(fs.readFileSync(this.strategyFile, 'utf8'));
-            } catch (e) {
-                console.error('[StrategyManager] Failed to load strategies:', e);
-                return {};
+    async loadStrategies() {
+        try {
+            const stored = await this.store.all();
+            if (Object.keys(stored).length > 0) {
+                this.strategies = stored;
             }
+        } catch (e) {
+            console.error('[StrategyManager] Failed to load strategies:', e);
         }
-        return {
-            "general": [
-                "Always verify external links before including them.",
-                "Ensure JSON output is valid and follows requested schema.",
-                "Prioritize safety and legal compliance in all business plans."
-            ]
-        };
     }
 
     saveStrategies() {
-        try {
-            fs.writeFileSync(this.strategyFile, JSON.stringify(this.strategies, null, 2));
-        } catch (e) {
-            console.error('[StrategyManager] Failed to save strategies:', e);
-        }
+        return this.store.persist(this.strategies);
     }
 
     /**
@@ -67,6 +57,7 @@ export class StrategyManager {
     async updateStrategy(taskResult) {
         const { taskType, success, critique, improvements } = taskResult;
         console.log(`[StrategyManager] Updating strategies for ${taskType}...`);
+        await this.ready;
 
         if (!this.strategies[taskType]) {
             this.strategies[taskType] = [];
@@ -85,7 +76,7 @@ export class StrategyManager {
             this.strategies[taskType] = this.strategies[taskType].slice(-10);
         }
 
-        this.saveStrategies();
+        await this.saveStrategies();
         return improvements || [];
     }
 }
@@ -0,0 +1,368 @@
+/**
+ * Tool Calling - Provider-neutral function calling for ModelRouter and AIProvider
+ *
+ * Tools are { name, description, parameters (JSON Schema), handler(args) }.
+ * Conversations are arrays of neutral messages:
+ *   { role: 'system' | 'user', content }
+ *   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ *   { role: 'tool', toolCallId, name, content }
+ * Each provider format maps these onto its native wire shape and back. Models
+ * without native support use a ReAct-style text protocol instead.
+ */
+
+import crypto from 'crypto';
+import { extractJson, validateJson } from './json-schema.js';
+
+function callId() {
+    return `call_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Accept a prompt string or a message array
+ */
+export function normalizeMessages(input) {
+    if (typeof input === 'string') return [{ role: 'user', content: input }];
+    return [...input];
+}
+
+/**
+ * Pull system messages out, since most providers take them separately
+ */
+function splitSystem(messages, system) {
+    const systemParts = [system, ...messages.filter(m => m.role === 'system').map(m => m.content)].filter(Boolean);
+    return {
+        system: systemParts.length > 0 ? systemParts.join('\n\n') : null,
+        conversation: messages.filter(m => m.role !== 'system')
+    };
+}
+
+/**
+ * Group consecutive tool results so they can share one provider message
+ */
+function groupToolResults(conversation) {
+    const groups = [];
+    for (const message of conversation) {
+        const last = groups[groups.length - 1];
+        if (message.role === 'tool' && Array.isArray(last)) {
+            last.push(message);
+        } else {
+            groups.push(message.role === 'tool' ? [message] : message);
+        }
+    }
+    return groups;
+}
+
+function parseArguments(value) {
+    if (value && typeof value === 'object') return value;
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch {
+        return { _raw: value };
+    }
+}
+
+/**
+ * Gemini accepts an OpenAPI subset of JSON Schema; drop keywords it rejects
+ */
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    const copy = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'additionalProperties' || key === '$schema') continue;
+        copy[key] = typeof value === 'object' ? toGeminiSchema(value) : value;
+    }
+    return copy;
+}
+
+/**
+ * OpenAI chat completions (also used by DeepSeek)
+ */
+const openaiFormat = {
+    request({ model, messages, tools, system }) {
+        const { system: systemText, conversation } = splitSystem(messages, system);
+        const wire = [];
+        if (systemText) wire.push({ role: 'system', content: systemText });
+        for (const m of conversation) {
+            if (m.role === 'assistant') {
+                wire.push({
+                    role: 'assistant',
+                    content: m.content || null,
+                    tool_calls: m.toolCalls?.length
+                        ? m.toolCalls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: JSON.stringify(c.arguments || {}) } }))
+                        : undefined
+                });
+            } else if (m.role === 'tool') {
+                wire.push({ role: 'tool', tool_call_id: m.toolCallId, content: m.content });
+            } else {
+                wire.push({ role: 'user', content: m.content });
+            }
+        }
+        return {
+            model,
+            messages: wire,
+            tools: tools.length > 0
+                ? tools.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters || { type: 'object', properties: {} } } }))
+                : undefined
+        };
+    },
+    parse(data) {
+        const message = data.choices?.[0]?.message || {};
+        return {
+            content: message.content || '',
+            toolCalls: (message.tool_calls || []).map(c => ({
+                id: c.id || callId(),
+                name: c.function?.name,
+                arguments: parseArguments(c.function?.arguments)
+            })),
+            usage: { promptTokens: data.usage?.prompt_tokens, completionTokens: data.usage?.completion_tokens }
+        };
+    }
+};
+
+/**
+ * Anthropic messages API
+ */
+const anthropicFormat = {
+    request({ model, messages, tools, system }) {
+        const { system: systemText, conversation } = splitSystem(messages, system);
+        const wire = groupToolResults(conversation).map(entry => {
+            if (Array.isArray(entry)) {
+                return {
+                    role: 'user',
+                    content: entry.map(m => ({ type: 'tool_result', tool_use_id: m.toolCallId, content: m.content }))
+                };
+            }
+            if (entry.role === 'assistant') {
+                return {
+                    role: 'assistant',
+                    content: [
+                        ...(entry.content ? [{ type: 'text', text: entry.content }] : []),
+                        ...(entry.toolCalls || []).map(c => ({ type: 'tool_use', id: c.id, name: c.name, input: c.arguments || {} }))
+                    ]
+                };
+            }
+            return { role: 'user', content: entry.content };
+        });
+        return {
+            model,
+            max_tokens: 4096,
+            system: systemText || undefined,
+            messages: wire,
+            tools: tools.length > 0
+                ? tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters || { type: 'object', properties: {} } }))
+                : undefined
+        };
+    },
+    parse(data) {
+        const blocks = data.content || [];
+        return {
+            content: blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+            toolCalls: blocks.filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, arguments: b.input || {} })),
+            usage: { promptTokens: data.usage?.input_tokens, completionTokens: data.usage?.output_tokens }
+        };
+    }
+};
+
+/**
+ * Gemini generateContent (function calls carry no ids, so we mint them)
+ */
+const geminiFormat = {
+    request({ messages, tools, system }) {
+        const { system: systemText, conversation } = splitSystem(messages, system);
+        const contents = groupToolResults(conversation).map(entry => {
+            if (Array.isArray(entry)) {
+                return {
+                    role: 'user',
+                    parts: entry.map(m => ({ functionResponse: { name: m.name, response: { result: parseArguments(m.content) } } }))
+                };
+            }
+            if (entry.role === 'assistant') {
+                return {
+                    role: 'model',
+                    parts: [
+                        ...(entry.content ? [{ text: entry.content }] : []),
+                        ...(entry.toolCalls || []).map(c => ({ functionCall: { name: c.name, args: c.arguments || {} } }))
+                    ]
+                };
+            }
+            return { role: 'user', parts: [{ text: entry.content }] };
+        });
+        return {
+            contents,
+            systemInstruction: systemText ? { parts: [{ text: systemText }] } : undefined,
+            tools: tools.length > 0
+                ? [{ functionDeclarations: tools.map(t => ({ name: t.name, description: t.description, parameters: toGeminiSchema(t.parameters) })) }]
+                : undefined
+        };
+    },
+    parse(data) {
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        return {
+            content: parts.filter(p => p.text).map(p => p.text).join(''),
+            toolCalls: parts.filter(p => p.functionCall).map(p => ({ id: callId(), name: p.functionCall.name, arguments: p.functionCall.args || {} })),
+            usage: { promptTokens: data.usageMetadata?.promptTokenCount, completionTokens: data.usageMetadata?.candidatesTokenCount }
+        };
+    }
+};
+
+/**
+ * Ollama /api/chat (OpenAI-like, but arguments are objects and calls have no ids)
+ */
+const ollamaFormat = {
+    request({ model, messages, tools, system }) {
+        const body = openaiFormat.request({ model, messages, tools, system });
+        body.messages = body.messages.map(m => m.tool_calls
+            ? { ...m, content: m.content || '', tool_calls: m.tool_calls.map(c => ({ function: { name: c.function.name, arguments: JSON.parse(c.function.arguments) } })) }
+            : m);
+        body.stream = false;
+        return body;
+    },
+    parse(data) {
+        const message = data.message || {};
+        return {
+            content: message.content || '',
+            toolCalls: (message.tool_calls || []).map(c => ({
+                id: callId(),
+                name: c.function?.name,
+                arguments: parseArguments(c.function?.arguments)
+            })),
+            usage: { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count }
+        };
+    }
+};
+
+export const toolFormats = {
+    openai: openaiFormat,
+    deepseek: openaiFormat,
+    anthropic: anthropicFormat,
+    gemini: geminiFormat,
+    ollama: ollamaFormat
+};
+
+/**
+ * Render a conversation as a ReAct transcript for models without native tool calling
+ */
+export function reactPrompt(messages, tools, system) {
+    const { system: systemText, conversation } = splitSystem(messages, system);
+    const toolList = tools.map(t => `- ${t.name}: ${t.description || ''}\n  Input schema: ${JSON.stringify(t.parameters || { type: 'object' })}`).join('\n');
+
+    const lines = conversation.map(m => {
+        if (m.role === 'assistant') {
+            const calls = (m.toolCalls || []).map(c => `Action: ${c.name}\nAction Input: ${JSON.stringify(c.arguments || {})}`);
+            return [m.content ? `Assistant: ${m.content}` : null, ...calls].filter(Boolean).join('\n');
+        }
+        if (m.role === 'tool') return `Observation: ${m.content}`;
+        return `User: ${m.content}`;
+    });
+
+    return `${systemText ? `${systemText}\n\n` : ''}You can use these tools:
+${toolList}
+
+To use a tool, reply with exactly:
+Action: <tool name>
+Action Input: <JSON arguments>
+
+Then wait for the Observation. When you have the answer, reply with:
+Final Answer: <your answer>
+
+${lines.join('\n')}
+Assistant:`;
+}
+
+/**
+ * Parse a ReAct reply into content and at most one tool call
+ */
+export function parseReact(text = '') {
+    const action = text.match(/Action:\s*([\w.-]+)\s*\n\s*Action Input:\s*([\s\S]*?)(?:\n\s*Observation:|$)/);
+    if (action) {
+        let args = {};
+        try {
+            args = extractJson(action[2].trim());
+        } catch {
+            args = { _raw: action[2].trim() };
+        }
+        return {
+            content: text.slice(0, action.index).trim(),
+            toolCalls: [{ id: callId(), name: action[1], arguments: args }]
+        };
+    }
+    const final = text.match(/Final Answer:\s*([\s\S]*)$/);
+    return { content: (final ? final[1] : text).trim(), toolCalls: [] };
+}
+
+/**
+ * One chat turn over the ReAct protocol using any plain completion function
+ * @param {Function} complete - (prompt) => Promise<{ success, content, error }>
+ */
+export async function reactChat(complete, messages, tools = [], system = null) {
+    const result = await complete(reactPrompt(messages, tools, system));
+    if (!result.success) return result;
+    const { content, toolCalls } = parseReact(result.content);
+    return {
+        ...result,
+        content,
+        toolCalls,
+        message: { role: 'assistant', content, toolCalls },
+        toolProtocol: 'react'
+    };
+}
+
+/**
+ * Run a tool's handler, validating arguments against its schema first.
+ * Failures become tool results so the model can see and correct them.
+ */
+async function invokeTool(tool, call) {
+    if (!tool || typeof tool.handler !== 'function') {
+        return { error: `Unknown tool: ${call.name}` };
+    }
+    const validationErrors = validateJson(tool.parameters, call.arguments || {});
+    if (validationErrors.length > 0) {
+        return { error: 'Invalid arguments', validationErrors };
+    }
+    try {
+        const result = await tool.handler(call.arguments || {}, call);
+        return result === undefined ? { ok: true } : result;
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Drive a chat function until the model stops calling tools
+ * @param {Function} chat - (messages) => Promise<{ success, content, toolCalls, message }>
+ * @param {string|Array} input - prompt or message history
+ * @param {Array} tools - tool definitions with handlers
+ * @param {Object} options - { maxSteps = 5 }
+ * @returns {Promise<{success: boolean, content?: string, messages: Array, steps: Array}>}
+ */
+export async function runToolLoop(chat, input, tools, options = {}) {
+    const maxSteps = options.maxSteps || 5;
+    const messages = normalizeMessages(input);
+    const byName = new Map(tools.map(tool => [tool.name, tool]));
+    const steps = [];
+
+    for (let turn = 0; turn < maxSteps; turn++) {
+        const reply = await chat(messages);
+        if (!reply.success) return { ...reply, messages, steps };
+
+        messages.push(reply.message);
+        if (!reply.toolCalls || reply.toolCalls.length === 0) {
+            return { ...reply, messages, steps };
+        }
+
+        for (const call of reply.toolCalls) {
+            const result = await invokeTool(byName.get(call.name), call);
+            steps.push({ call, result });
+            messages.push({
+                role: 'tool',
+                toolCallId: call.id,
+                name: call.name,
+                content: typeof result === 'string' ? result : JSON.stringify(result)
+            });
+        }
+    }
+
+    return { success: false, error: `Stopped after ${maxSteps} tool-calling turns`, messages, steps };
+}
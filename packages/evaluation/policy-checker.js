@@ -1,6 +1,7 @@
 /**
  * Policy Checker - Validates proposals against policy rules
- * Part of the Evaluation Layer
+ * Part of the Evaluation Layer. Pass the app's shared PolicyEngine so
+ * proposals are judged by the same rule file as live tasks.
  */
 
 import { PolicyEngine } from '../core/policy-engine.js';
@@ -25,8 +26,10 @@ export class PolicyChecker {
 
     /**
      * Check a proposal against all rules
+     * @param {Object} proposal
+     * @param {Array} [decisions] - approver decisions already recorded for it ({ approver, decision })
      */
-    check(proposal) {
+    check(proposal, decisions = []) {
         const results = {
             passed: true,
             errors: [],
@@ -40,12 +43,13 @@ export class PolicyChecker {
             results.warnings.push({
                 rule: 'policy-engine',
                 message: policyResult.reason,
-                type: policyResult.approvalType
+                type: policyResult.approvalType,
+                policyRule: policyResult.ruleId
             });
         }
 
         // Check constraints
-        const constraints = this.policyEngine.validateConstraints(proposal);
+        const constraints = this.policyEngine.validateConstraints(proposal, decisions);
         if (!constraints.valid) {
             results.passed = false;
             for (const violation of constraints.violations) {
@@ -8,10 +8,33 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { AIProvider } from '../core/ai-provider.js';
 import { AuditLogger } from '../core/audit-logger.js';
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const PROPOSAL_SCHEMA = {
+    type: 'object',
+    required: ['name', 'description', 'features'],
+    properties: {
+        name: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9]*$' },
+        description: { type: 'string' },
+        category: { type: 'string' },
+        features: { type: 'array', items: { type: 'string' } },
+        methods: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string' }, description: { type: 'string' } }
+            }
+        },
+        estimatedComplexity: { enum: ['low', 'medium', 'high'] }
+    }
+};
+
+const SUGGESTIONS_SCHEMA = { type: 'array' };
+
 export class SelfExpansionEngine {
     constructor(config = {}) {
         this.ai = config.aiProvider || new AIProvider(config);
@@ -19,7 +42,9 @@ export class SelfExpansionEngine {
         this.modulesDir = config.modulesDir || path.join(__dirname, '../modules');
         this.proposalsDir = config.proposalsDir || path.join(__dirname, '../../data/proposals');
         this.ensureDirectories();
-        this.proposals = this.loadProposals();
+        this.store = getStateStore(config).collection('expansion.proposals');
+        this.proposals = [];
+        this.ready = this.loadProposals();
     }
 
     ensureDirectories() {
@@ -28,21 +53,21 @@ export class SelfExpansionEngine {
         }
     }
 
-    loadProposals() {
+    async loadProposals() {
         try {
-            const proposalsFile = path.join(this.proposalsDir, 'proposals.json');
-            if (fs.existsSync(proposalsFile)) {
-                return JSON.parse(fs.readFileSync(proposalsFile, 'utf-8'));
-            }
+            this.proposals = mergeRecords(await this.store.values(), this.proposals);
         } catch (error) {
-            console.error('Failed to load proposals:', error.message);
+            console.error('[SelfExpansion] Failed to load proposals:', error.message);
         }
-        return [];
+    }
+
+    async init() {
+        await this.ready;
+        return this;
     }
 
     saveProposals() {
-        const proposalsFile = path.join(this.proposalsDir, 'proposals.json');
-        fs.writeFileSync(proposalsFile, JSON.stringify(this.proposals, null, 2));
+        return this.store.persist(this.proposals);
     }
 
     /**
@@ -72,32 +97,28 @@ Provide a JSON response with:
 
 Return ONLY valid JSON.`;
 
-        const result = await this.ai.complete(prompt, 'reasoning');
+        const result = await this.ai.complete(prompt, 'reasoning', { schema: PROPOSAL_SCHEMA });
 
         if (result.success) {
-            try {
-                const proposal = JSON.parse(result.content);
-                proposal.id = `proposal-${Date.now()}`;
-                proposal.status = 'proposed';
-                proposal.createdAt = new Date().toISOString();
-                proposal.originalNeed = need;
-
-                this.proposals.push(proposal);
-                this.saveProposals();
-
-                this.auditLogger.logSystem('module_proposed', {
-                    proposalId: proposal.id,
-                    moduleName: proposal.name,
-                    need: need.description
-                });
-
-                return { success: true, proposal };
-            } catch (parseError) {
-                return { success: false, error: 'Failed to parse AI response', raw: result.content };
-            }
+            const proposal = result.data;
+            proposal.id = `proposal-${Date.now()}`;
+            proposal.status = 'proposed';
+            proposal.createdAt = new Date().toISOString();
+            proposal.originalNeed = need;
+
+            this.proposals.push(proposal);
+            this.saveProposals();
+
+            this.auditLogger.logSystem('module_proposed', {
+                proposalId: proposal.id,
+                moduleName: proposal.name,
+                need: need.description
+            });
+
+            return { success: true, proposal };
         }
 
-        return { success: false, error: result.error };
+        return { success: false, error: result.error, validationErrors: result.validationErrors, raw: result.content };
     }
 
     /**
@@ -240,14 +261,10 @@ Based on typical business needs for a holding company, suggest:
 
 Return as JSON array of suggestions.`;
 
-        const result = await this.ai.complete(prompt, 'reasoning');
+        const result = await this.ai.complete(prompt, 'reasoning', { schema: SUGGESTIONS_SCHEMA });
 
         if (result.success) {
-            try {
-                return { success: true, suggestions: JSON.parse(result.content) };
-            } catch {
-                return { success: true, suggestions: result.content };
-            }
+            return { success: true, suggestions: result.data };
         }
 
         return { success: false, error: result.error };
@@ -294,6 +311,7 @@ Return ONLY the test code.`;
      * Execute from orchestrator
      */
     async execute(task) {
+        await this.ready;
         switch (task.action) {
             case 'propose':
                 return this.proposeModule(task.data);
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,7 @@ export class AutoBank {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/finance');
         this.ensureDataDir();
+        this.accounts = getStateStore(config).collection('finance.bank-accounts');
     }
 
     ensureDataDir() {
@@ -40,12 +42,7 @@ export class AutoBank {
             openedAt: new Date().toISOString()
         };
 
-        const file = path.join(this.dataDir, 'bank-accounts.json');
-        let accounts = [];
-        if (fs.existsSync(file)) accounts = JSON.parse(fs.readFileSync(file));
-
-        accounts.push(account);
-        fs.writeFileSync(file, JSON.stringify(accounts, null, 2));
+        await this.accounts.set(account.id, account);
 
         return account;
     }
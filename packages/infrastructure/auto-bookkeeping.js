@@ -1,21 +1,66 @@
 /**
  * Auto Bookkeeping - Automated financial tracking
- * Records usage, revenue, and expenses for tax purposes
+ * Records usage, revenue, and expenses for tax purposes in the general ledger.
+ * Entries without a category are categorized by the shared Categorizer.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getGeneralLedger } from '../core/general-ledger.js';
+import { getCategorizer } from '../core/categorizer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Decided per transaction and kept on its journal line, whichever module opened the account
+const DEDUCTIBLE_CATEGORIES = ['software', 'advertising', 'contractors', 'hosting', 'office_supplies', 'legal'];
+
 export class AutoBookkeeping {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/finance');
+        this.ledger = getGeneralLedger(config);
+        this.categorizer = getCategorizer(config);
+        this.ready = null;
         this.ensureDataDir();
     }
 
+    async init() {
+        if (!this.ready) this.ready = this.importLegacyLedger();
+        await this.ready;
+        return this;
+    }
+
+    /**
+     * Post entries from the ledger.jsonl file written before the general
+     * ledger existed; each line posts once however often this runs
+     */
+    async importLegacyLedger() {
+        const file = path.join(this.dataDir, 'ledger.jsonl');
+        if (!fs.existsSync(file)) return;
+
+        const lines = fs.readFileSync(file, 'utf-8').split('\n').filter(l => l);
+        for (const line of lines) {
+            const entry = JSON.parse(line);
+            await this.post(entry, `bookkeeping:${entry.id}:${entry.timestamp}`);
+        }
+    }
+
+    post(entry, idempotencyKey) {
+        const record = {
+            amount: entry.amount,
+            category: entry.category,
+            deductible: entry.taxDeductible,
+            date: entry.timestamp,
+            description: entry.description || null,
+            businessId: entry.businessId || null,
+            source: 'auto-bookkeeping',
+            sourceRef: entry.id,
+            idempotencyKey
+        };
+        return entry.type === 'income' ? this.ledger.recordIncome(record) : this.ledger.recordExpense(record);
+    }
+
     ensureDataDir() {
         if (!fs.existsSync(this.dataDir)) {
             fs.mkdirSync(this.dataDir, { recursive: true });
@@ -28,39 +73,40 @@ export class AutoBookkeeping {
     async recordTransaction(transaction) {
         // transaction: { type: 'income'/'expense', amount: 100, category: 'Sales', description: '...' }
 
+        await this.init();
+        const categorization = transaction.category ? null : await this.categorizer.categorize(transaction);
+        const category = transaction.category || categorization.category;
         const entry = {
-            id: `tx-${Date.now()}`,
+            id: `tx-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
             timestamp: new Date().toISOString(),
             ...transaction,
-            taxDeductible: transaction.type === 'expense' && this.isDeductible(transaction.category)
+            category,
+            ...(categorization ? { categorization } : {}),
+            taxDeductible: transaction.type === 'expense' && (categorization?.deductible ?? await this.isDeductible(category))
         };
 
-        const file = path.join(this.dataDir, 'ledger.jsonl');
-        fs.appendFileSync(file, JSON.stringify(entry) + '\n');
-
-        return entry;
+        const { entry: posted } = await this.post(entry, `bookkeeping:${entry.id}`);
+        return { ...entry, journalEntryId: posted.id };
     }
 
-    isDeductible(category) {
-        const deductibles = ['software', 'advertising', 'contractors', 'hosting', 'office_supplies', 'legal'];
-        return deductibles.includes(category.toLowerCase());
+    async isDeductible(category) {
+        if (!category) return false;
+        return DEDUCTIBLE_CATEGORIES.includes(String(category).toLowerCase());
     }
 
     /**
      * Generate Tax Estimate
+     * Covers the whole general ledger for the year - AutoBookkeeping, finance,
+     * payments, the profit tracker and imported earlier transactions - not only
+     * what this tracker recorded. Expenses count as deductible by their line's
+     * flag, or their account's flag when the line has none.
      */
     async generateTaxEstimate(year = new Date().getFullYear()) {
-        const file = path.join(this.dataDir, 'ledger.jsonl');
-        if (!fs.existsSync(file)) return { estimatedTax: 0 };
-
-        const transactions = fs.readFileSync(file, 'utf-8')
-            .split('\n')
-            .filter(l => l)
-            .map(JSON.parse)
-            .filter(t => t.timestamp.startsWith(year));
+        await this.init();
+        const books = await this.ledger.getProfitLoss({ from: `${year}-01-01`, to: `${year}-12-31` });
 
-        const income = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-        const expenses = transactions.filter(t => t.type === 'expense' && t.taxDeductible).reduce((sum, t) => sum + t.amount, 0);
+        const income = books.income;
+        const expenses = books.deductibleExpenses;
 
         const profit = income - expenses;
         const estimatedTax = Math.max(0, profit * 0.21); // Flat 21% corp tax rate assumption
@@ -71,6 +117,7 @@ export class AutoBookkeeping {
             deductibleExpenses: expenses,
             netProfit: profit,
             estimatedTax,
+            scope: 'general_ledger',
             generatedAt: new Date().toISOString()
         };
     }
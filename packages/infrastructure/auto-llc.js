@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,7 @@ export class AutoLLC {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/legal');
         this.ensureDataDir();
+        this.incorporations = getStateStore(config).collection('legal.incorporations');
     }
 
     ensureDataDir() {
@@ -40,12 +42,7 @@ export class AutoLLC {
             articlesOfOrganization: 'generated_doc_ref'
         };
 
-        const file = path.join(this.dataDir, 'incorporations.json');
-        let incorporations = [];
-        if (fs.existsSync(file)) incorporations = JSON.parse(fs.readFileSync(file));
-
-        incorporations.push(filing);
-        fs.writeFileSync(file, JSON.stringify(incorporations, null, 2));
+        await this.incorporations.set(filing.id, filing);
 
         return filing;
     }
@@ -11,11 +11,92 @@ const STATE = {
     searchQuery: '',
     filteredBusinesses: [],
     filteredLogs: [],
-    notifications: []
+    notifications: [],
+    chatSessionId: localStorage.getItem('king-ai-chat-session'),
+    user: null,
+    csrfToken: null,
+    auditOffset: 0
 };
 
 // Base URL for API requests (set by index.html or defaults to same origin)
 const API_BASE = window.API_BASE || '';
+
+// --- Auth ---
+// API calls ride on the session cookie; writes echo the CSRF token, and a 401 brings up the login form
+async function apiFetch(path, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = { ...(options.headers || {}) };
+    if (method !== 'GET' && STATE.csrfToken) headers['X-CSRF-Token'] = STATE.csrfToken;
+
+    const res = await fetch(`${API_BASE}${path}`, { ...options, headers, credentials: 'same-origin' });
+    if (res.status === 401) showLogin();
+    return res;
+}
+
+async function loadSession() {
+    try {
+        const res = await fetch(`${API_BASE}/api/auth/me`, { credentials: 'same-origin' });
+        if (!res.ok) return false;
+        const me = await res.json();
+        STATE.user = me.user;
+        STATE.csrfToken = me.csrfToken;
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function showLogin() {
+    if (document.getElementById('login-modal')) return;
+
+    const modal = document.createElement('div');
+    modal.id = 'login-modal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <h2>🔐 Sign in to King AI</h2>
+            <form id="login-form" class="form-group">
+                <label for="login-username">Username</label>
+                <input id="login-username" autocomplete="username" required>
+                <label for="login-password">Password</label>
+                <input id="login-password" type="password" autocomplete="current-password" required>
+                <button type="submit" class="btn-primary">Sign in</button>
+            </form>
+        </div>`;
+    document.body.appendChild(modal);
+
+    modal.querySelector('#login-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const res = await fetch(`${API_BASE}/api/auth/login`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('login-username').value,
+                password: document.getElementById('login-password').value
+            })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            showToast(`❌ ${data.error || 'Sign-in failed'}`, 'error');
+            return;
+        }
+
+        STATE.user = data.user;
+        STATE.csrfToken = data.csrfToken;
+        modal.remove();
+        showToast(`✅ Signed in as ${data.user.username}`, 'success');
+        fetchData();
+        resumeChatSession();
+    });
+}
+
+async function logout() {
+    await apiFetch('/api/auth/logout', { method: 'POST' });
+    STATE.user = null;
+    STATE.csrfToken = null;
+    showLogin();
+}
 // --- Settings ---
 function initSettings() {
     const saveBtn = document.getElementById('save-settings-btn');
@@ -32,6 +113,9 @@ function initSettings() {
             showToast('✅ System configuration updated', 'success');
         });
     }
+
+    const logoutBtn = document.getElementById('logout-btn');
+    if (logoutBtn) logoutBtn.addEventListener('click', logout);
 }
 
 // --- Charts ---
@@ -272,14 +356,21 @@ async function handleApproval(id, decision) {
     showToast(decision ? "Authorizing action..." : "Rejecting action...", 'info');
 
     try {
-        const endpoint = decision ? `${API_BASE}/api/approve` : `${API_BASE}/api/reject`;
-        const res = await fetch(endpoint, {
+        const endpoint = decision ? '/api/approve' : '/api/reject';
+        const res = await apiFetch(endpoint, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ id, notes, reason: notes })
         });
 
-        if (res.ok) {
+        const result = res.ok ? await res.json() : null;
+        if (result && !result.success) {
+            showToast(`⚠️ ${result.error}`, 'error');
+        } else if (result?.status === 'pending') {
+            // Quorum policies may need more approvers before the action goes ahead
+            showToast(`🗳️ Vote recorded (${result.approvals}/${result.required} approvals)`, 'info');
+            fetchData();
+        } else if (result) {
             showToast(decision ? "✅ Action Authorized" : "❌ Action Rejected", 'success');
             fetchData();
         }
@@ -374,6 +465,68 @@ function addChatMessage(role, text, isFull = false, thoughts = null) {
     container.scrollTop = container.scrollHeight;
 }
 
+// Chat turns go to a persisted session so the CEO remembers earlier messages
+async function ensureChatSession() {
+    if (STATE.chatSessionId) return STATE.chatSessionId;
+    const res = await apiFetch(`/api/chat/sessions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+    });
+    const session = await res.json();
+    STATE.chatSessionId = session.id;
+    localStorage.setItem('king-ai-chat-session', session.id);
+    return session.id;
+}
+
+async function sendChatMessage(content) {
+    const sessionId = await ensureChatSession();
+    const res = await apiFetch(`/api/chat/sessions/${encodeURIComponent(sessionId)}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content })
+    });
+    if (res.status === 404) {
+        // Session was deleted server-side: start a fresh one
+        STATE.chatSessionId = null;
+        localStorage.removeItem('king-ai-chat-session');
+        return sendChatMessage(content);
+    }
+    return res.json();
+}
+
+async function listChatSessions() {
+    const res = await apiFetch(`/api/chat/sessions`);
+    return res.ok ? res.json() : [];
+}
+
+// Reload the stored (or most recent) session into both chat panes
+async function resumeChatSession(sessionId = STATE.chatSessionId) {
+    try {
+        if (!sessionId) {
+            const [latest] = await listChatSessions();
+            if (!latest) return;
+            sessionId = latest.id;
+        }
+        const res = await apiFetch(`/api/chat/sessions/${encodeURIComponent(sessionId)}`);
+        if (!res.ok) return;
+        const session = await res.json();
+
+        STATE.chatSessionId = session.id;
+        localStorage.setItem('king-ai-chat-session', session.id);
+        for (const isFull of [false, true]) {
+            const container = document.getElementById(isFull ? 'full-chat-container' : 'chat-container');
+            if (!container) continue;
+            container.innerHTML = '';
+            for (const m of session.messages) {
+                addChatMessage(m.role === 'user' ? 'user' : 'ceo', m.content, isFull, m.metadata?.thoughts);
+            }
+        }
+    } catch (e) {
+        console.warn('Could not resume chat session:', e);
+    }
+}
+
 function initCommandCenter() {
     const input = document.getElementById('ceo-command');
     const btn = document.getElementById('send-command-btn');
@@ -388,12 +541,7 @@ function initCommandCenter() {
 
         try {
             document.getElementById('ceo-status').textContent = 'THINKING...';
-            const res = await fetch(`${API_BASE}/api/command`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ command: cmd })
-            });
-            const data = await res.json();
+            const data = await sendChatMessage(cmd);
 
             setTimeout(() => {
                 const replyText = data.reply || "Command received. Adjusting autonomous vectors.";
@@ -426,12 +574,7 @@ function initFullCommandCenter() {
 
         try {
             document.getElementById('ceo-full-status').textContent = 'THINKING...';
-            const res = await fetch(`${API_BASE}/api/command`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ command: cmd })
-            });
-            const data = await res.json();
+            const data = await sendChatMessage(cmd);
 
             setTimeout(() => {
                 addChatMessage('ceo', data.reply || "Strategy recalibrated.", true);
@@ -988,7 +1131,7 @@ function initModals() {
             modal.classList.add('hidden');
 
             try {
-                const res = await fetch(`${API_BASE}/api/launch`, {
+                const res = await apiFetch(`/api/launch`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ idea })
@@ -1011,12 +1154,309 @@ function initModals() {
     }
 }
 
+// --- Audit Log ---
+// The view is built here rather than in the page shell so it works with either frontend
+const AUDIT_PAGE_SIZE = 50;
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Nav entry modelled on the page's last one, for views built in script
+function addNavItem(tab, icon, label) {
+    const lastNav = [...document.querySelectorAll('.nav-item')].at(-1);
+    if (!lastNav || document.querySelector(`.nav-item[data-tab="${tab}"]`)) return;
+    const nav = lastNav.cloneNode(false);
+    nav.classList.remove('active');
+    nav.setAttribute('data-tab', tab);
+    if (nav.hasAttribute('href')) nav.setAttribute('href', `#${tab}`);
+    nav.innerHTML = `<i class="fas ${icon}"></i><span>${label}</span>`;
+    lastNav.after(nav);
+}
+
+function addView(tab, html) {
+    const view = document.createElement('section');
+    view.id = `${tab}-view`;
+    view.className = 'view hidden';
+    view.innerHTML = html;
+    const anchor = document.querySelector('.view');
+    (anchor?.parentElement || document.body).appendChild(view);
+    return view;
+}
+
+function initAuditSearch() {
+    addNavItem('audit', 'fa-scroll', 'Audit Log');
+
+    if (document.getElementById('audit-view')) return;
+    const view = addView('audit', `
+        <div class="panel">
+            <h2>📜 Audit Log</h2>
+            <form id="audit-form" class="form-group audit-filters">
+                <input name="q" placeholder="Search details...">
+                <input name="taskId" placeholder="Task ID">
+                <input name="businessId" placeholder="Business ID">
+                <select name="type">
+                    <option value="">All types</option>
+                    <option value="proposal">Proposal</option>
+                    <option value="approval">Approval</option>
+                    <option value="execution">Execution</option>
+                    <option value="system">System</option>
+                </select>
+                <input name="approver" placeholder="Approver">
+                <input name="status" placeholder="Status (approved, failed...)">
+                <input name="from" type="date" title="From">
+                <input name="to" type="date" title="To">
+                <button type="submit" class="btn btn-primary">Search</button>
+                <button type="button" class="btn btn-secondary" data-export="csv">Export CSV</button>
+                <button type="button" class="btn btn-secondary" data-export="jsonl">Export JSONL</button>
+            </form>
+            <table class="data-table">
+                <thead><tr><th>Time</th><th>Type</th><th>Task</th><th>Approver</th><th>Status</th><th>Details</th></tr></thead>
+                <tbody id="audit-results"></tbody>
+            </table>
+            <div class="pagination">
+                <button type="button" class="btn btn-secondary" id="audit-prev">Previous</button>
+                <span id="audit-page-info"></span>
+                <button type="button" class="btn btn-secondary" id="audit-next">Next</button>
+            </div>
+        </div>`);
+
+    view.querySelector('#audit-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        STATE.auditOffset = 0;
+        searchAuditLog();
+    });
+    view.querySelectorAll('[data-export]').forEach(btn => {
+        // A plain navigation carries the session cookie, and the server sends it as an attachment
+        btn.addEventListener('click', () => {
+            const params = auditSearchParams();
+            params.set('format', btn.getAttribute('data-export'));
+            window.location.href = `${API_BASE}/api/audit?${params}`;
+        });
+    });
+    view.querySelector('#audit-prev').addEventListener('click', () => {
+        STATE.auditOffset = Math.max(0, STATE.auditOffset - AUDIT_PAGE_SIZE);
+        searchAuditLog();
+    });
+    view.querySelector('#audit-next').addEventListener('click', () => {
+        STATE.auditOffset += AUDIT_PAGE_SIZE;
+        searchAuditLog();
+    });
+}
+
+function auditSearchParams() {
+    const params = new URLSearchParams();
+    const form = document.getElementById('audit-form');
+    if (!form) return params;
+    for (const [key, value] of new FormData(form)) {
+        if (String(value).trim()) params.set(key, String(value).trim());
+    }
+    return params;
+}
+
+async function searchAuditLog() {
+    const tbody = document.getElementById('audit-results');
+    if (!tbody) return;
+
+    const params = auditSearchParams();
+    params.set('limit', AUDIT_PAGE_SIZE);
+    params.set('offset', STATE.auditOffset);
+    try {
+        const res = await apiFetch(`/api/audit?${params}`);
+        const result = await res.json();
+        if (!res.ok) {
+            showToast(`⚠️ ${result.error || 'Audit search failed'}`, 'error');
+            return;
+        }
+        renderAuditResults(result);
+    } catch (e) {
+        showToast('Communication link failed', 'error');
+    }
+}
+
+function renderAuditResults({ entries, total, offset, limit }) {
+    const tbody = document.getElementById('audit-results');
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No audit entries match.</td></tr>';
+    } else {
+        tbody.innerHTML = entries.map(e => {
+            const status = e.status ?? (typeof e.approved === 'boolean' ? (e.approved ? 'approved' : 'rejected') : '');
+            const detail = e.notes || e.event || e.task?.name || e.evaluation?.reason || '';
+            return `
+            <tr>
+                <td>${escapeHtml(new Date(e.timestamp).toLocaleString())}</td>
+                <td>${escapeHtml(e.type)}</td>
+                <td>${escapeHtml(e.taskId || e.task?.id || '')}</td>
+                <td>${escapeHtml(e.approver || '')}</td>
+                <td>${escapeHtml(status)}</td>
+                <td title="${escapeHtml(JSON.stringify(e))}">${escapeHtml(detail)}</td>
+            </tr>`;
+        }).join('');
+    }
+
+    document.getElementById('audit-page-info').textContent =
+        total ? `${offset + 1}-${offset + entries.length} of ${total}` : '0 results';
+    document.getElementById('audit-prev').disabled = offset === 0;
+    document.getElementById('audit-next').disabled = offset + limit >= total;
+}
+
+// --- Dead Letters ---
+// Tasks that used up their attempts; each can be replayed (optionally with edited fields) or discarded
+function initDeadLetters() {
+    addNavItem('jobs', 'fa-skull-crossbones', 'Dead Letters');
+
+    if (document.getElementById('jobs-view')) return;
+    const view = addView('jobs', `
+        <div class="panel">
+            <h2>☠️ Dead Letters</h2>
+            <p id="jobs-counts" class="text-muted"></p>
+            <table class="data-table">
+                <thead><tr><th>Task</th><th>Module</th><th>Attempts</th><th>Last error</th><th>Failed</th><th></th></tr></thead>
+                <tbody id="jobs-results"></tbody>
+            </table>
+        </div>`);
+
+    view.querySelector('#jobs-results').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-job-action]');
+        if (btn) handleDeadLetter(btn.getAttribute('data-job-id'), btn.getAttribute('data-job-action'));
+    });
+}
+
+async function loadDeadLetters() {
+    const tbody = document.getElementById('jobs-results');
+    if (!tbody) return;
+    try {
+        const res = await apiFetch('/api/jobs?status=dead&limit=100');
+        const result = await res.json();
+        if (!res.ok) {
+            showToast(`⚠️ ${result.error || 'Could not load dead letters'}`, 'error');
+            return;
+        }
+        renderDeadLetters(result);
+    } catch (e) {
+        showToast('Communication link failed', 'error');
+    }
+}
+
+function renderDeadLetters({ jobs, counts }) {
+    const tbody = document.getElementById('jobs-results');
+    document.getElementById('jobs-counts').textContent =
+        `${counts.queued} queued · ${counts.leased} running · ${counts.dead} dead · ${counts.completed} completed`;
+    if (jobs.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No dead-lettered tasks.</td></tr>';
+        return;
+    }
+    tbody.innerHTML = jobs.map(job => `
+        <tr>
+            <td title="${escapeHtml(job.id)}">${escapeHtml(job.payload.description || job.id)}</td>
+            <td>${escapeHtml(`${job.module || ''}.${job.payload.action || ''}`)}</td>
+            <td>${job.attempts} / ${job.max_attempts}</td>
+            <td title="${escapeHtml(JSON.stringify(job.history))}">${escapeHtml(job.last_error || '')}</td>
+            <td>${escapeHtml(formatTimeAgo(new Date(job.finished_at || job.updated_at)))}</td>
+            <td>
+                <button class="btn btn-primary" data-job-action="replay" data-job-id="${escapeHtml(job.id)}">Replay</button>
+                <button class="btn btn-secondary" data-job-action="edit" data-job-id="${escapeHtml(job.id)}">Edit &amp; replay</button>
+                <button class="btn btn-secondary" data-job-action="discard" data-job-id="${escapeHtml(job.id)}">Discard</button>
+            </td>
+        </tr>`).join('');
+}
+
+async function handleDeadLetter(id, action) {
+    const path = `/api/jobs/${encodeURIComponent(id)}/${action === 'discard' ? 'discard' : 'replay'}`;
+    let body = {};
+
+    if (action === 'edit') {
+        const job = await (await apiFetch(`/api/jobs/${encodeURIComponent(id)}`)).json();
+        const edited = prompt('Task data (JSON) to replay with:', JSON.stringify(job.payload?.data ?? {}, null, 2));
+        if (edited === null) return;
+        try {
+            body = { edits: { data: JSON.parse(edited) } };
+        } catch (e) {
+            showToast(`⚠️ Not valid JSON: ${e.message}`, 'error');
+            return;
+        }
+    } else if (action === 'discard' && !confirm('Discard this task for good?')) {
+        return;
+    }
+
+    try {
+        const res = await apiFetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await res.json();
+        if (!res.ok) {
+            showToast(`⚠️ ${result.error || 'Action failed'}`, 'error');
+            return;
+        }
+        showToast(action === 'discard' ? '🗑️ Task discarded' : '🔁 Task re-queued', 'success');
+        loadDeadLetters();
+    } catch (e) {
+        showToast('Communication link failed', 'error');
+    }
+}
+
+// --- Schedules ---
+// Recurring jobs with their next run and how the last one went
+function initSchedules() {
+    addNavItem('schedules', 'fa-clock', 'Schedules');
+
+    if (document.getElementById('schedules-view')) return;
+    addView('schedules', `
+        <div class="panel">
+            <h2>⏰ Schedules</h2>
+            <table class="data-table">
+                <thead><tr><th>Schedule</th><th>Cron</th><th>Next run</th><th>Last run</th><th>Status</th><th>Runs</th></tr></thead>
+                <tbody id="schedules-results"></tbody>
+            </table>
+        </div>`);
+}
+
+async function loadSchedules() {
+    const tbody = document.getElementById('schedules-results');
+    if (!tbody) return;
+    try {
+        const res = await apiFetch('/api/schedules');
+        const result = await res.json();
+        if (!res.ok) {
+            showToast(`⚠️ ${result.error || 'Could not load schedules'}`, 'error');
+            return;
+        }
+        renderSchedules(result.schedules);
+    } catch (e) {
+        showToast('Communication link failed', 'error');
+    }
+}
+
+function renderSchedules(schedules) {
+    const tbody = document.getElementById('schedules-results');
+    if (schedules.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No schedules registered.</td></tr>';
+        return;
+    }
+    const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+    tbody.innerHTML = schedules.map(schedule => `
+        <tr>
+            <td title="${escapeHtml(schedule.name)}">${escapeHtml(schedule.description || schedule.name)}</td>
+            <td><code>${escapeHtml(schedule.cron)}</code> ${escapeHtml(schedule.timezone || '')}</td>
+            <td>${escapeHtml(formatTime(schedule.nextRunAt))}</td>
+            <td>${escapeHtml(schedule.lastRunAt ? formatTimeAgo(new Date(schedule.lastRunAt)) : 'never')}</td>
+            <td title="${escapeHtml(schedule.lastError || '')}">${escapeHtml(schedule.running ? 'running' : schedule.lastStatus || '—')}</td>
+            <td>${schedule.runCount}</td>
+        </tr>`).join('');
+}
+
 // --- Initialization ---
 document.addEventListener('DOMContentLoaded', () => {
+    initAuditSearch();
+    initDeadLetters();
+    initSchedules();
     initNavigation();
     initModals();
     initCommandCenter();
     initFullCommandCenter();
+    loadSession().then(signedIn => (signedIn ? resumeChatSession() : showLogin()));
     initSearch();
     // initThemeToggle(); // Removed - Dark mode enforced
     initNotifications();
@@ -1065,7 +1505,7 @@ function initNavigation() {
     // Handle hash routing
     if (window.location.hash) {
         const hash = window.location.hash.substring(1);
-        if (['dashboard', 'empire', 'approvals', 'ceo', 'analytics', 'settings'].includes(hash)) {
+        if (['dashboard', 'empire', 'approvals', 'ceo', 'analytics', 'settings', 'audit', 'jobs', 'schedules'].includes(hash)) {
             switchTab(hash);
         }
     }
@@ -1100,6 +1540,9 @@ function switchTab(tabId) {
         setTimeout(() => renderAnalytics(), 100);
     }
     if (tabId === 'settings') renderSettings();
+    if (tabId === 'audit') searchAuditLog();
+    if (tabId === 'jobs') loadDeadLetters();
+    if (tabId === 'schedules') loadSchedules();
 }
 
 // --- Data Synchronization ---
@@ -1117,7 +1560,12 @@ async function fetchData() {
         STATE.connectionStatus = 'connecting';
         updateConnectionStatus();
 
-        const response = await fetch(`${API_BASE}/api/all-data`);
+        const response = await apiFetch(`/api/all-data`);
+        if (response.status === 401) {
+            STATE.connectionStatus = 'online';
+            updateConnectionStatus();
+            return;
+        }
         if (!response.ok) throw new Error('API unreachable');
 
         const data = await response.json();
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,12 @@ export class WarmAccountPool {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/accounts');
         this.ensureDataDir();
+        this.accounts = getStateStore(config).collection('accounts.warm-pool');
+
+        // Run by the Orchestrator's scheduler once registered; a missed day is not made up
+        this.schedules = [
+            { name: 'warm-pool.daily-warmup', cron: '0 10 * * *', action: 'warmup', catchUp: 'skip', description: 'Daily account warm-up' }
+        ];
     }
 
     ensureDataDir() {
@@ -25,7 +32,7 @@ export class WarmAccountPool {
     /**
      * Add new account to pool
      */
-    addAccount(platform, credentials) {
+    async addAccount(platform, credentials) {
         const account = {
             id: `acc-${Date.now()}`,
             platform,
@@ -36,12 +43,7 @@ export class WarmAccountPool {
             createdAt: new Date().toISOString()
         };
 
-        const file = path.join(this.dataDir, 'warm-pool.json');
-        let accounts = [];
-        if (fs.existsSync(file)) accounts = JSON.parse(fs.readFileSync(file));
-
-        accounts.push(account);
-        fs.writeFileSync(file, JSON.stringify(accounts, null, 2));
+        await this.accounts.set(account.id, account);
 
         return account;
     }
@@ -50,46 +52,47 @@ export class WarmAccountPool {
      * Perform daily warming action (simulated)
      */
     async dailyWarmup() {
-        const file = path.join(this.dataDir, 'warm-pool.json');
-        if (!fs.existsSync(file)) return;
-
-        let accounts = JSON.parse(fs.readFileSync(file));
+        const accounts = await this.accounts.values();
+        if (accounts.length === 0) return;
 
         console.log(`[WarmPool] Warming up ${accounts.length} accounts...`);
 
-        for (const acc of accounts) {
-            if (acc.status === 'warming' || acc.status === 'ready') {
-                // Simulate activity: scroll, like, generic post
-                acc.activityLog.push({ date: new Date().toISOString(), action: 'browse_feed' });
+        for (const { id } of accounts) {
+            // Per-account update, so an account claimed meanwhile keeps its in_use status
+            await this.accounts.update(id, (acc) => {
+                if (acc.status === 'warming' || acc.status === 'ready') {
+                    // Simulate activity: scroll, like, generic post
+                    acc.activityLog.push({ date: new Date().toISOString(), action: 'browse_feed' });
 
-                // Update age
-                const age = (new Date() - new Date(acc.createdAt)) / (1000 * 60 * 60 * 24);
-                acc.ageDays = Math.floor(age);
+                    // Update age
+                    const age = (new Date() - new Date(acc.createdAt)) / (1000 * 60 * 60 * 24);
+                    acc.ageDays = Math.floor(age);
 
-                if (acc.ageDays > 7 && acc.status === 'warming') {
-                    acc.status = 'ready';
+                    if (acc.ageDays > 7 && acc.status === 'warming') {
+                        acc.status = 'ready';
+                    }
                 }
-            }
+                return acc;
+            });
         }
 
-        fs.writeFileSync(file, JSON.stringify(accounts, null, 2));
         return { success: true, accountsWarmed: accounts.length };
     }
 
     /**
      * Get a ready account
      */
-    getAccount(platform) {
-        const file = path.join(this.dataDir, 'warm-pool.json');
-        if (!fs.existsSync(file)) return null;
-
-        let accounts = JSON.parse(fs.readFileSync(file));
-        const account = accounts.find(a => a.platform === platform && a.status === 'ready');
-
-        if (account) {
-            account.status = 'in_use';
-            fs.writeFileSync(file, JSON.stringify(accounts, null, 2));
-            return account;
+    async getAccount(platform) {
+        const candidates = (await this.accounts.values()).filter(a => a.platform === platform && a.status === 'ready');
+
+        for (const candidate of candidates) {
+            let claimed = false;
+            const account = await this.accounts.update(candidate.id, (acc) => {
+                claimed = acc.status === 'ready';
+                if (claimed) acc.status = 'in_use';
+                return acc;
+            });
+            if (claimed) return account;
         }
         return null;
     }
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,9 @@ export class WebManager {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/web');
         this.ensureDataDir();
+        const store = getStateStore(config);
+        this.domains = store.collection('web.domains'); // keyed by domain name
+        this.deployments = store.collection('web.deployments');
 
         // API Keys (simulated/placeholder logic for security)
         this.apis = {
@@ -80,12 +84,7 @@ export class WebManager {
             }
         };
 
-        const file = path.join(this.dataDir, 'domains.json');
-        let domains = [];
-        if (fs.existsSync(file)) domains = JSON.parse(fs.readFileSync(file));
-
-        domains.push(registration);
-        fs.writeFileSync(file, JSON.stringify(domains, null, 2));
+        await this.domains.set(domain, registration);
 
         return { success: true, registration };
     }
@@ -110,12 +109,7 @@ export class WebManager {
             sourcePath
         };
 
-        const file = path.join(this.dataDir, 'deployments.json');
-        let deployments = [];
-        if (fs.existsSync(file)) deployments = JSON.parse(fs.readFileSync(file));
-
-        deployments.push(deployment);
-        fs.writeFileSync(file, JSON.stringify(deployments, null, 2));
+        await this.deployments.set(deployment.id, deployment);
 
         return { success: true, deployment };
     }
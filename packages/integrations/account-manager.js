@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,7 +15,9 @@ export class AccountManager {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/accounts');
         this.ensureDataDir();
-        this.accounts = this.loadAccounts();
+        this.store = getStateStore(config).collection('accounts.platforms'); // one record per platform pool
+        this.accounts = { platforms: {} };
+        this.ready = this.loadAccounts();
     }
 
     ensureDataDir() {
@@ -26,24 +29,27 @@ export class AccountManager {
     /**
      * Load accounts from storage
      */
-    loadAccounts() {
-        const accountsFile = path.join(this.dataDir, 'accounts.json');
-        if (fs.existsSync(accountsFile)) {
-            try {
-                return JSON.parse(fs.readFileSync(accountsFile, 'utf-8'));
-            } catch (error) {
-                console.error('Failed to load accounts:', error.message);
+    async loadAccounts() {
+        try {
+            const stored = await this.store.all();
+            for (const [platform, accounts] of Object.entries(stored)) {
+                this.accounts.platforms[platform] = mergeRecords(accounts, this.accounts.platforms[platform] || []);
             }
+        } catch (error) {
+            console.error('[AccountManager] Failed to load accounts:', error.message);
         }
-        return { platforms: {} };
+    }
+
+    async init() {
+        await this.ready;
+        return this;
     }
 
     /**
      * Save accounts to storage
      */
     saveAccounts() {
-        const accountsFile = path.join(this.dataDir, 'accounts.json');
-        fs.writeFileSync(accountsFile, JSON.stringify(this.accounts, null, 2));
+        return this.store.persist(this.accounts.platforms);
     }
 
     /**
@@ -298,6 +304,7 @@ export class AccountManager {
      * Execute from orchestrator
      */
     async execute(task) {
+        await this.ready;
         switch (task.action) {
             case 'add':
                 return this.addAccount(task.data.platform, task.data.credentials);
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,8 +16,10 @@ export class TempEmailProvider {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/email');
         this.ensureDataDir();
 
-        // Active email accounts
+        // Active email accounts, keyed by address
+        this.store = getStateStore(config).collection('email.temp-emails');
         this.activeEmails = new Map();
+        this.ready = this.loadEmails();
 
         // Temp mail API endpoints
         this.providers = {
@@ -229,29 +232,34 @@ export class TempEmailProvider {
     }
 
     /**
-     * Save emails to disk
+     * Save emails to storage
      */
     saveEmails() {
-        const emailsFile = path.join(this.dataDir, 'temp-emails.json');
-        const data = Object.fromEntries(this.activeEmails);
-        fs.writeFileSync(emailsFile, JSON.stringify(data, null, 2));
+        return this.store.persist(Object.fromEntries(this.activeEmails));
     }
 
     /**
-     * Load emails from disk
+     * Load emails from storage
      */
-    loadEmails() {
-        const emailsFile = path.join(this.dataDir, 'temp-emails.json');
-        if (fs.existsSync(emailsFile)) {
-            const data = JSON.parse(fs.readFileSync(emailsFile, 'utf-8'));
+    async loadEmails() {
+        try {
+            const data = mergeRecords(await this.store.all(), Object.fromEntries(this.activeEmails));
             this.activeEmails = new Map(Object.entries(data));
+        } catch (error) {
+            console.error('[TempEmail] Failed to load emails:', error.message);
         }
     }
 
+    async init() {
+        await this.ready;
+        return this;
+    }
+
     /**
      * Execute from orchestrator
      */
     async execute(task) {
+        await this.ready;
         switch (task.action) {
             case 'generate':
                 return this.generateEmail();
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,7 @@ export class AffiliateProgram {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/marketing');
         this.ensureDataDir();
+        this.affiliates = getStateStore(config).collection('affiliates');
     }
 
     ensureDataDir() {
@@ -25,7 +27,7 @@ export class AffiliateProgram {
     /**
      * Create affiliate link
      */
-    createAffiliate(userId, name) {
+    async createAffiliate(userId, name) {
         const code = name.replace(/[^a-zA-Z0-9]/g, '').toLowerCase().substring(0, 8) + Math.floor(Math.random() * 100);
         const affiliate = {
             id: `aff-${Date.now()}`,
@@ -38,12 +40,7 @@ export class AffiliateProgram {
             createdAt: new Date().toISOString()
         };
 
-        const file = path.join(this.dataDir, 'affiliates.json');
-        let affiliates = [];
-        if (fs.existsSync(file)) affiliates = JSON.parse(fs.readFileSync(file));
-
-        affiliates.push(affiliate);
-        fs.writeFileSync(file, JSON.stringify(affiliates, null, 2));
+        await this.affiliates.set(affiliate.id, affiliate);
 
         return affiliate;
     }
@@ -51,39 +48,35 @@ export class AffiliateProgram {
     /**
      * Track click
      */
-    trackClick(code) {
-        const file = path.join(this.dataDir, 'affiliates.json');
-        if (!fs.existsSync(file)) return false;
-
-        let affiliates = JSON.parse(fs.readFileSync(file));
-        const affiliate = affiliates.find(a => a.code === code);
+    async trackClick(code) {
+        const affiliate = await this.findByCode(code);
+        if (!affiliate) return false;
 
-        if (affiliate) {
-            affiliate.stats.clicks++;
-            fs.writeFileSync(file, JSON.stringify(affiliates, null, 2));
-            return true;
-        }
-        return false;
+        await this.affiliates.update(affiliate.id, (current) => {
+            current.stats.clicks++;
+            return current;
+        });
+        return true;
     }
 
     /**
      * Track conversion
      */
-    trackConversion(code, amount) {
-        const file = path.join(this.dataDir, 'affiliates.json');
-        if (!fs.existsSync(file)) return null;
+    async trackConversion(code, amount) {
+        const affiliate = await this.findByCode(code);
+        if (!affiliate) return null;
 
-        let affiliates = JSON.parse(fs.readFileSync(file));
-        const affiliate = affiliates.find(a => a.code === code);
+        const commission = amount * affiliate.commissionRate;
+        await this.affiliates.update(affiliate.id, (current) => {
+            current.stats.conversions++;
+            current.stats.earnings += commission;
+            return current;
+        });
+        return { commission, affiliateId: affiliate.id };
+    }
 
-        if (affiliate) {
-            const commission = amount * affiliate.commissionRate;
-            affiliate.stats.conversions++;
-            affiliate.stats.earnings += commission;
-            fs.writeFileSync(file, JSON.stringify(affiliates, null, 2));
-            return { commission, affiliateId: affiliate.id };
-        }
-        return null;
+    async findByCode(code) {
+        return (await this.affiliates.values()).find(a => a.code === code);
     }
 
     async execute(task) {
@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { ModelRouter } from '../core/model-router.js';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +16,7 @@ export class AutoHiring {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/hr');
         this.ensureDataDir();
+        this.jobs = getStateStore(config).collection('hr.jobs');
         this.modelRouter = config.modelRouter || new ModelRouter();
     }
 
@@ -48,11 +50,7 @@ Return as structured text.`;
             applicants: []
         };
 
-        const file = path.join(this.dataDir, 'jobs.json');
-        let jobs = [];
-        if (fs.existsSync(file)) jobs = JSON.parse(fs.readFileSync(file));
-        jobs.push(job);
-        fs.writeFileSync(file, JSON.stringify(jobs, null, 2));
+        await this.jobs.set(job.id, job);
 
         return job;
     }
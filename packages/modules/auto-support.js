@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { ModelRouter } from '../core/model-router.js';
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,7 +17,13 @@ export class AutoSupport {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/support');
         this.ensureDataDir();
         this.modelRouter = config.modelRouter || new ModelRouter();
-        this.loadKnowledgeBase();
+        this.store = getStateStore(config).collection('support.knowledge-base');
+        this.knowledgeBase = {
+            faqs: {},
+            policies: {},
+            escalationRules: []
+        };
+        this.ready = this.loadKnowledgeBase();
     }
 
     ensureDataDir() {
@@ -25,22 +32,27 @@ export class AutoSupport {
         }
     }
 
-    loadKnowledgeBase() {
-        const kbFile = path.join(this.dataDir, 'knowledge-base.json');
-        if (fs.existsSync(kbFile)) {
-            this.knowledgeBase = JSON.parse(fs.readFileSync(kbFile, 'utf-8'));
-        } else {
-            this.knowledgeBase = {
-                faqs: {},
-                policies: {},
-                escalationRules: []
-            };
+    /**
+     * Load the knowledge base; one record per section (faqs, policies, escalationRules)
+     */
+    async loadKnowledgeBase() {
+        try {
+            const stored = await this.store.all();
+            for (const [section, local] of Object.entries(this.knowledgeBase)) {
+                if (stored[section]) this.knowledgeBase[section] = mergeRecords(stored[section], local);
+            }
+        } catch (error) {
+            console.error('[AutoSupport] Failed to load knowledge base:', error.message);
         }
     }
 
+    async init() {
+        await this.ready;
+        return this;
+    }
+
     saveKnowledgeBase() {
-        const kbFile = path.join(this.dataDir, 'knowledge-base.json');
-        fs.writeFileSync(kbFile, JSON.stringify(this.knowledgeBase, null, 2));
+        return this.store.persist(this.knowledgeBase);
     }
 
     /**
@@ -69,6 +81,7 @@ export class AutoSupport {
      * Handle a customer message
      */
     async handleMessage(businessId, message, conversationHistory = []) {
+        await this.ready;
         const business = this.knowledgeBase.faqs[businessId] ? { id: businessId } : null;
         const faqs = this.knowledgeBase.faqs[businessId] || [];
         const policies = this.knowledgeBase.policies[businessId] || {};
@@ -138,6 +151,7 @@ Respond helpfully and concisely. If you don't know the answer, suggest the custo
      * Generate FAQs from conversation history
      */
     async generateFaqs(businessId) {
+        await this.ready;
         const logFile = path.join(this.dataDir, `conversations-${businessId}.jsonl`);
         if (!fs.existsSync(logFile)) {
             return { success: false, error: 'No conversation history' };
@@ -199,6 +213,7 @@ Return as JSON:
      * Execute from orchestrator
      */
     async execute(task) {
+        await this.ready;
         switch (task.action) {
             case 'message':
                 return this.handleMessage(task.data.businessId, task.data.message, task.data.history);
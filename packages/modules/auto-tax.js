@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,7 @@ export class AutoTax {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/finance');
         this.ensureDataDir();
+        this.filings = getStateStore(config).collection('tax.filings');
     }
 
     ensureDataDir() {
@@ -41,12 +43,7 @@ export class AutoTax {
             confirmationCode: `IRS-${Math.random().toString(36).substr(2, 8).toUpperCase()}`
         };
 
-        const file = path.join(this.dataDir, 'tax-filings.json');
-        let filings = [];
-        if (fs.existsSync(file)) filings = JSON.parse(fs.readFileSync(file));
-
-        filings.push(filing);
-        fs.writeFileSync(file, JSON.stringify(filings, null, 2));
+        await this.filings.set(filing.id, filing);
 
         return filing;
     }
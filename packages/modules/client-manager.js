@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { AIProvider } from '../core/ai-provider.js';
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,7 +18,9 @@ export class ClientManager {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/clients');
         this.templatesDir = path.join(this.dataDir, 'templates');
         this.ensureDirectories();
-        this.loadClients();
+        this.store = getStateStore(config).collection('clients');
+        this.clients = [];
+        this.ready = this.loadClients();
     }
 
     ensureDirectories() {
@@ -32,21 +35,24 @@ export class ClientManager {
     /**
      * Load clients from storage
      */
-    loadClients() {
-        const clientsFile = path.join(this.dataDir, 'clients.json');
-        if (fs.existsSync(clientsFile)) {
-            this.clients = JSON.parse(fs.readFileSync(clientsFile, 'utf-8'));
-        } else {
-            this.clients = [];
+    async loadClients() {
+        try {
+            this.clients = mergeRecords(await this.store.values(), this.clients);
+        } catch (error) {
+            console.error('[ClientManager] Failed to load clients:', error.message);
         }
     }
 
+    async init() {
+        await this.ready;
+        return this;
+    }
+
     /**
      * Save clients to storage
      */
     saveClients() {
-        const clientsFile = path.join(this.dataDir, 'clients.json');
-        fs.writeFileSync(clientsFile, JSON.stringify(this.clients, null, 2));
+        return this.store.persist(this.clients);
     }
 
     /**
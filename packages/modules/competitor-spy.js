@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { ModelRouter } from '../core/model-router.js';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +16,7 @@ export class CompetitorSpy {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/spy');
         this.ensureDataDir();
+        this.competitors = getStateStore(config).collection('spy.competitors'); // keyed by URL
         this.modelRouter = config.modelRouter || new ModelRouter();
     }
 
@@ -38,13 +40,8 @@ export class CompetitorSpy {
             history: []
         };
 
-        const file = path.join(this.dataDir, 'competitors.json');
-        let competitors = [];
-        if (fs.existsSync(file)) competitors = JSON.parse(fs.readFileSync(file));
-        
-        if (!competitors.find(c => c.url === competitorUrl)) {
-            competitors.push(competitor);
-            fs.writeFileSync(file, JSON.stringify(competitors, null, 2));
+        if (!(await this.competitors.get(competitorUrl))) {
+            await this.competitors.set(competitorUrl, competitor);
         }
 
         return competitor;
@@ -3,57 +3,42 @@
  * Manages compliance calendar, reminders, and document capture
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getStateStore, mergeRecords } from '../../core/state-store.js';
 
 export class ComplianceModule {
     constructor(config = {}) {
-        this.dataDir = config.dataDir || path.join(__dirname, '../../../data/compliance');
-        this.filingsFile = path.join(this.dataDir, 'filings.json');
-        this.remindersFile = path.join(this.dataDir, 'reminders.json');
-        this.ensureDataDir();
-        this.filings = this.loadFilings();
-        this.reminders = this.loadReminders();
-    }
-
-    ensureDataDir() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
+        const store = getStateStore(config);
+        this.filingsStore = store.collection('compliance.filings');
+        this.remindersStore = store.collection('compliance.reminders');
+        this.filings = [];
+        this.reminders = [];
+        // Recurring work run by the Orchestrator's scheduler once registered
+        this.schedules = [
+            { name: 'compliance.due-reminders', cron: '0 * * * *', action: 'send_due_reminders', description: 'Collect due compliance reminders' }
+        ];
+        this.ready = this.load();
     }
 
-    loadFilings() {
-        try {
-            if (fs.existsSync(this.filingsFile)) {
-                return JSON.parse(fs.readFileSync(this.filingsFile, 'utf-8'));
-            }
-        } catch (error) {
-            console.error('Failed to load filings:', error.message);
-        }
-        return [];
+    async init() {
+        await this.ready;
+        return this;
     }
 
-    loadReminders() {
+    async load() {
         try {
-            if (fs.existsSync(this.remindersFile)) {
-                return JSON.parse(fs.readFileSync(this.remindersFile, 'utf-8'));
-            }
+            this.filings = mergeRecords(await this.filingsStore.values(), this.filings);
+            this.reminders = mergeRecords(await this.remindersStore.values(), this.reminders);
         } catch (error) {
-            console.error('Failed to load reminders:', error.message);
+            console.error('Failed to load compliance data:', error.message);
         }
-        return [];
     }
 
     saveFilings() {
-        fs.writeFileSync(this.filingsFile, JSON.stringify(this.filings, null, 2));
+        return this.filingsStore.persist(this.filings);
     }
 
     saveReminders() {
-        fs.writeFileSync(this.remindersFile, JSON.stringify(this.reminders, null, 2));
+        return this.remindersStore.persist(this.reminders);
     }
 
     /**
@@ -140,6 +125,16 @@ export class ComplianceModule {
         });
     }
 
+    /**
+     * Take every due reminder and mark it sent; the returned list is what
+     * the scheduled run reports
+     */
+    sendDueReminders() {
+        const due = this.getDueReminders();
+        for (const reminder of due) this.markReminderSent(reminder.id);
+        return { sent: due.length, reminders: due };
+    }
+
     /**
      * Mark reminder as sent
      */
@@ -338,6 +333,8 @@ export class ComplianceModule {
                 return this.addCommonFilings(task.data?.entity, task.data?.state);
             case 'get_due_reminders':
                 return this.getDueReminders();
+            case 'send_due_reminders':
+                return this.sendDueReminders();
             case 'list':
                 return this.getAllFilings();
             default:
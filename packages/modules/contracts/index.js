@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore, mergeRecords } from '../../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,19 +14,24 @@ const __dirname = path.dirname(__filename);
 export class ContractsModule {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../../data/contracts');
-        this.contractsFile = path.join(this.dataDir, 'contracts.json');
-        this.templatesFile = path.join(this.dataDir, 'templates.json');
-        this.receivablesFile = path.join(this.dataDir, 'receivables.json');
         this.ensureDataDir();
-        this.contracts = this.loadContracts();
-        this.templates = this.loadTemplates();
-        this.receivables = this.loadReceivables();
+
+        const store = getStateStore(config);
+        this.contractsStore = store.collection('contracts');
+        this.templatesStore = store.collection('contracts.templates');
+        this.receivablesStore = store.collection('contracts.receivables');
+        this.contracts = [];
+        this.templates = [];
+        this.receivables = [];
+        this.ready = this.load();
+    }
+
+    async init() {
+        await this.ready;
+        return this;
     }
 
     ensureDataDir() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
         // Templates subdirectory
         const templatesDir = path.join(this.dataDir, 'templates');
         if (!fs.existsSync(templatesDir)) {
@@ -33,49 +39,26 @@ export class ContractsModule {
         }
     }
 
-    loadContracts() {
+    async load() {
         try {
-            if (fs.existsSync(this.contractsFile)) {
-                return JSON.parse(fs.readFileSync(this.contractsFile, 'utf-8'));
-            }
-        } catch (error) {
-            console.error('Failed to load contracts:', error.message);
-        }
-        return [];
-    }
-
-    loadTemplates() {
-        try {
-            if (fs.existsSync(this.templatesFile)) {
-                return JSON.parse(fs.readFileSync(this.templatesFile, 'utf-8'));
-            }
-        } catch (error) {
-            console.error('Failed to load templates:', error.message);
-        }
-        return [];
-    }
-
-    loadReceivables() {
-        try {
-            if (fs.existsSync(this.receivablesFile)) {
-                return JSON.parse(fs.readFileSync(this.receivablesFile, 'utf-8'));
-            }
+            this.contracts = mergeRecords(await this.contractsStore.values(), this.contracts);
+            this.templates = mergeRecords(await this.templatesStore.values(), this.templates);
+            this.receivables = mergeRecords(await this.receivablesStore.values(), this.receivables);
         } catch (error) {
-            console.error('Failed to load receivables:', error.message);
+            console.error('Failed to load contracts data:', error.message);
         }
-        return [];
     }
 
     saveContracts() {
-        fs.writeFileSync(this.contractsFile, JSON.stringify(this.contracts, null, 2));
+        return this.contractsStore.persist(this.contracts);
     }
 
     saveTemplates() {
-        fs.writeFileSync(this.templatesFile, JSON.stringify(this.templates, null, 2));
+        return this.templatesStore.persist(this.templates);
     }
 
     saveReceivables() {
-        fs.writeFileSync(this.receivablesFile, JSON.stringify(this.receivables, null, 2));
+        return this.receivablesStore.persist(this.receivables);
     }
 
     // ==================== CONTRACTS ====================
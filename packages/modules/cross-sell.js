@@ -3,43 +3,41 @@
  * Maximizes customer LTV by routing clients between portfolio companies
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const NETWORK_PARTS = ['businesses', 'relationships', 'offers', 'conversions'];
 
 export class CrossSellNetwork {
     constructor(config = {}) {
-        this.dataDir = config.dataDir || path.join(__dirname, '../../data/cross-sell');
-        this.ensureDataDir();
-        this.loadNetwork();
+        const store = getStateStore(config);
+        this.stores = Object.fromEntries(NETWORK_PARTS.map(part => [part, store.collection(`cross-sell.${part}`)]));
+        this.network = {
+            businesses: {},
+            relationships: [],
+            offers: [],
+            conversions: []
+        };
+        this.ready = this.loadNetwork();
     }
 
-    ensureDataDir() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
+    async init() {
+        await this.ready;
+        return this;
     }
 
-    loadNetwork() {
-        const networkFile = path.join(this.dataDir, 'network.json');
-        if (fs.existsSync(networkFile)) {
-            this.network = JSON.parse(fs.readFileSync(networkFile, 'utf-8'));
-        } else {
-            this.network = {
-                businesses: {},
-                relationships: [],
-                offers: [],
-                conversions: []
-            };
+    async loadNetwork() {
+        try {
+            this.network.businesses = mergeRecords(await this.stores.businesses.all(), this.network.businesses);
+            for (const part of ['relationships', 'offers', 'conversions']) {
+                this.network[part] = mergeRecords(await this.stores[part].values(), this.network[part]);
+            }
+        } catch (error) {
+            console.error('[CrossSellNetwork] Failed to load network:', error.message);
         }
     }
 
     saveNetwork() {
-        const networkFile = path.join(this.dataDir, 'network.json');
-        fs.writeFileSync(networkFile, JSON.stringify(this.network, null, 2));
+        return Promise.all(NETWORK_PARTS.map(part => this.stores[part].persist(this.network[part])));
     }
 
     /**
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,7 @@ export class DataMonetization {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/monetization');
         this.ensureDataDir();
+        this.datasets = getStateStore(config).collection('monetization.datasets');
     }
 
     ensureDataDir() {
@@ -25,7 +27,7 @@ export class DataMonetization {
     /**
      * Create a data product from collected insights
      */
-    createDataset(topic, sourceData) {
+    async createDataset(topic, sourceData) {
         // sourceData: array of { keyword, searchVolume, competition } etc.
 
         console.log(`[DataMonetization] Creating dataset for: ${topic}`);
@@ -42,12 +44,7 @@ export class DataMonetization {
             createdAt: new Date().toISOString()
         };
 
-        const file = path.join(this.dataDir, 'datasets.json');
-        let datasets = [];
-        if (fs.existsSync(file)) datasets = JSON.parse(fs.readFileSync(file));
-
-        datasets.push(dataset);
-        fs.writeFileSync(file, JSON.stringify(datasets, null, 2));
+        await this.datasets.set(dataset.id, dataset);
 
         // Save the actual data file (simulating)
         const contentFile = path.join(this.dataDir, `content-${dataset.id}.json`);
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore, mergeRecords } from '../../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,9 +14,10 @@ const __dirname = path.dirname(__filename);
 export class DocumentHub {
     constructor(config = {}) {
         this.baseDir = config.documentsPath || path.join(__dirname, '../../../data/documents');
-        this.metadataFile = path.join(this.baseDir, 'metadata.json');
         this.ensureDirectories();
-        this.metadata = this.loadMetadata();
+        this.store = getStateStore(config).collection('documents');
+        this.metadata = { documents: [], version: 1 };
+        this.ready = this.loadMetadata();
     }
 
     /**
@@ -39,24 +41,26 @@ export class DocumentHub {
     }
 
     /**
-     * Load metadata index
+     * Load metadata index; document contents stay on disk under baseDir
      */
-    loadMetadata() {
+    async loadMetadata() {
         try {
-            if (fs.existsSync(this.metadataFile)) {
-                return JSON.parse(fs.readFileSync(this.metadataFile, 'utf-8'));
-            }
+            this.metadata.documents = mergeRecords(await this.store.values(), this.metadata.documents);
         } catch (error) {
-            console.error('Failed to load metadata:', error.message);
+            console.error('[DocumentHub] Failed to load metadata:', error.message);
         }
-        return { documents: [], version: 1 };
+    }
+
+    async init() {
+        await this.ready;
+        return this;
     }
 
     /**
      * Save metadata index
      */
     saveMetadata() {
-        fs.writeFileSync(this.metadataFile, JSON.stringify(this.metadata, null, 2));
+        return this.store.persist(this.metadata.documents);
     }
 
     /**
@@ -255,6 +259,7 @@ export class DocumentHub {
      * Execute a task from the orchestrator
      */
     async execute(task) {
+        await this.ready;
         switch (task.action) {
             case 'add':
                 return this.addDocument(task.data);
@@ -0,0 +1,260 @@
+/**
+ * Bank Statements - Parse OFX/QFX and CSV bank statement files
+ * Every format comes out as the same statement: the account it is for, the
+ * period and closing balance when the file has them, and lines of
+ * { fitId, date, amount, payee, memo, reference } where a positive amount is
+ * money into the account. fitId is the bank's transaction id, or a hash of the
+ * line when the file has none, so importing the same file twice is harmless.
+ */
+
+import crypto from 'crypto';
+
+// Header names (lowercase) a bank CSV may use for each field
+const CSV_COLUMNS = {
+    date: ['date', 'transaction date', 'posted date', 'posting date', 'booking date', 'value date'],
+    amount: ['amount', 'transaction amount', 'amount (usd)'],
+    debit: ['debit', 'debits', 'withdrawal', 'withdrawals', 'money out', 'paid out'],
+    credit: ['credit', 'credits', 'deposit', 'deposits', 'money in', 'paid in'],
+    payee: ['payee', 'description', 'name', 'merchant', 'details', 'narrative'],
+    memo: ['memo', 'notes', 'extended description'],
+    reference: ['reference', 'transaction id', 'fitid', 'id', 'check number', 'check or slip #'],
+    balance: ['balance', 'running balance']
+};
+
+export class StatementError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StatementError';
+    }
+}
+
+/**
+ * Parse a statement, working out the format from the content when not given
+ * @param {string} text - file contents
+ * @param {Object} [options] - { format: 'ofx' | 'qfx' | 'csv', dateOrder: 'MDY' | 'DMY' }
+ */
+export function parseStatement(text, options = {}) {
+    const format = (options.format || detectFormat(text)).toLowerCase();
+    if (format === 'ofx' || format === 'qfx') return parseOfx(text);
+    if (format === 'csv') return parseBankCsv(text, options);
+    throw new StatementError(`Unsupported statement format: ${format}`);
+}
+
+export function detectFormat(text) {
+    const head = String(text).slice(0, 1000).toUpperCase();
+    return head.includes('OFXHEADER') || head.includes('<OFX>') ? 'ofx' : 'csv';
+}
+
+// --- OFX / QFX ---
+
+/**
+ * OFX 1.x (SGML, closing tags optional) and 2.x (XML); QFX is OFX with an
+ * Intuit header. Bank and credit card statements are both read.
+ */
+export function parseOfx(text) {
+    const body = String(text);
+    if (!/<OFX>/i.test(body)) throw new StatementError('Not an OFX file: no <OFX> element');
+
+    const lines = [];
+    const fitIdFor = lineHasher();
+    for (const block of body.match(/<STMTTRN>[\s\S]*?(?=<STMTTRN>|<\/BANKTRANLIST>|$)/gi) || []) {
+        const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+        const date = ofxDate(ofxValue(block, 'DTPOSTED'));
+        if (amount === null || !date) continue;
+        const payee = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE') || '';
+        const memo = ofxValue(block, 'MEMO') || '';
+        lines.push({
+            fitId: ofxValue(block, 'FITID') || fitIdFor(date, amount, payee, memo),
+            date,
+            amount,
+            payee,
+            memo,
+            reference: ofxValue(block, 'CHECKNUM') || ofxValue(block, 'REFNUM') || '',
+            type: (ofxValue(block, 'TRNTYPE') || '').toLowerCase()
+        });
+    }
+
+    const ledgerBalance = /<LEDGERBAL>([\s\S]*?)(?:<\/LEDGERBAL>|<AVAILBAL>|$)/i.exec(body)?.[1] || '';
+    const balance = parseAmount(ofxValue(ledgerBalance, 'BALAMT'));
+    return {
+        format: 'ofx',
+        account: {
+            bankId: ofxValue(body, 'BANKID') || null,
+            accountId: ofxValue(body, 'ACCTID') || null,
+            type: (ofxValue(body, 'ACCTTYPE') || (/<CCSTMTRS>/i.test(body) ? 'creditcard' : '')).toLowerCase() || null
+        },
+        currency: ofxValue(body, 'CURDEF') || null,
+        period: { start: ofxDate(ofxValue(body, 'DTSTART')), end: ofxDate(ofxValue(body, 'DTEND')) },
+        balance: balance === null ? null : { amount: balance, date: ofxDate(ofxValue(ledgerBalance, 'DTASOF')) },
+        lines
+    };
+}
+
+function ofxValue(text, tag) {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(text);
+    return match ? decodeEntities(match[1].trim()) : null;
+}
+
+/**
+ * 20250303, 20250303120000 or 20250303120000.000[-5:EST] -> 2025-03-03
+ */
+function ofxDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+// --- CSV ---
+
+/**
+ * Bank CSV exports: columns are found by header name, with either one signed
+ * amount column or separate debit and credit columns
+ * @param {Object} [options] - { dateOrder: 'MDY' (default) | 'DMY', columns: { date, amount, ... } header overrides }
+ */
+export function parseBankCsv(text, options = {}) {
+    const rows = parseCsvRows(String(text).replace(/^\uFEFF/, ''));
+    const headerIndex = rows.findIndex(row => findColumn(row, 'date', options) >= 0);
+    if (headerIndex < 0) throw new StatementError('No date column found in CSV statement');
+
+    const header = rows[headerIndex];
+    const col = Object.fromEntries(Object.keys(CSV_COLUMNS).map(field => [field, findColumn(header, field, options)]));
+    if (col.amount < 0 && col.debit < 0 && col.credit < 0) {
+        throw new StatementError('No amount, debit or credit column found in CSV statement');
+    }
+
+    const lines = [];
+    const fitIdFor = lineHasher();
+    const balances = [];
+    for (const row of rows.slice(headerIndex + 1)) {
+        if (row.every(cell => !cell.trim())) continue;
+        const date = parseDate(row[col.date], options.dateOrder);
+        const amount = col.amount >= 0
+            ? parseAmount(row[col.amount])
+            : (parseAmount(row[col.credit]) || 0) - Math.abs(parseAmount(row[col.debit]) || 0);
+        if (!date || amount === null) continue;
+
+        const payee = (row[col.payee] || '').trim();
+        const memo = (row[col.memo] || '').trim();
+        const reference = (row[col.reference] || '').trim();
+        lines.push({
+            fitId: reference || fitIdFor(date, amount, payee, memo),
+            date,
+            amount,
+            payee,
+            memo,
+            reference,
+            type: amount >= 0 ? 'credit' : 'debit'
+        });
+        const running = col.balance >= 0 ? parseAmount(row[col.balance]) : null;
+        if (running !== null) balances.push({ amount: running, date });
+    }
+
+    // The closing balance is on the last row, or the first when the bank lists newest first
+    const newestFirst = lines.length > 1 && lines[0].date > lines.at(-1).date;
+    const balance = (newestFirst ? balances[0] : balances.at(-1)) || null;
+    const dates = lines.map(line => line.date).sort();
+    return {
+        format: 'csv',
+        account: { bankId: null, accountId: null, type: null },
+        currency: null,
+        period: { start: dates[0] || null, end: dates.at(-1) || null },
+        balance,
+        lines
+    };
+}
+
+function findColumn(header, field, options) {
+    const names = options.columns?.[field] ? [String(options.columns[field]).toLowerCase()] : CSV_COLUMNS[field];
+    return header.findIndex(cell => names.includes(cell.trim().toLowerCase()));
+}
+
+/**
+ * RFC 4180 rows: quoted cells may hold commas, quotes ("") and newlines
+ */
+export function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * "1,234.56", "$-12.00", "(45.00)", "-12.5 " -> number; null when blank or not a number
+ */
+export function parseAmount(value) {
+    if (value === null || value === undefined) return null;
+    let text = String(value).trim();
+    if (!text) return null;
+    const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[$€£\s]/g, ''));
+    text = text.replace(/[()$€£,\s+-]/g, '');
+    const number = Number(text);
+    if (!text || !Number.isFinite(number)) return null;
+    return negative ? -number : number;
+}
+
+/**
+ * YYYY-MM-DD, YYYYMMDD, or M/D/YYYY (D/M/YYYY with dateOrder 'DMY'); two-digit years are 20xx
+ */
+export function parseDate(value, dateOrder = 'MDY') {
+    const text = String(value || '').trim();
+    let match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(text);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text);
+    if (!match) return null;
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    const [month, day] = dateOrder === 'DMY' ? [second, first] : [first, second];
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Stand-in ids for lines without one. Identical lines in a file are told apart
+ * by occurrence, so the same line in an overlapping statement gets the same id.
+ */
+function lineHasher() {
+    const seen = new Map();
+    return (date, amount, payee, memo) => {
+        const key = [date, amount, payee, memo].join('|');
+        const occurrence = seen.get(key) || 0;
+        seen.set(key, occurrence + 1);
+        return crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex').slice(0, 16);
+    };
+}
+
+export default { parseStatement, parseOfx, parseBankCsv };
@@ -1,126 +1,167 @@
 /**
  * Finance Module - Financial tracking, budgets, and reporting
- * Currently uses mock data - ready to connect to QuickBooks/banks later
+ * Transactions are kept as a register here and posted to the shared general
+ * ledger, which holds the chart of accounts and produces the reports.
+ * Bank statements (OFX/QFX or CSV) are imported and matched against the
+ * ledger's entries on the account, whichever tracker posted them: a matched
+ * entry is cleared, lines nothing matches wait in a review queue, and a
+ * reconciliation that balances marks the cleared entries up to its end date
+ * reconciled.
+ * Transactions recorded without a category - by hand, from a statement line
+ * or from a Stripe payout - are categorized by the shared Categorizer, and
+ * recategorizing one teaches it a rule for that payee.
+ * The books export to QuickBooks (IIF/QBO), Xero CSV and Beancount/ledger-cli.
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getStateStore, mergeRecords } from '../../core/state-store.js';
+import { getGeneralLedger, accountIdFor } from '../../core/general-ledger.js';
+import { getCategorizer } from '../../core/categorizer.js';
+import { exportBooks, ExportError } from '../../core/books-export.js';
+import { PaymentProcessor } from '../payment-processor.js';
+import { parseStatement } from './bank-statements.js';
+import { matchLines, scoreMatch, signedAmount, ledgerItems } from './reconciliation.js';
 
 export class FinanceModule {
     constructor(config = {}) {
-        this.dataDir = config.dataDir || path.join(__dirname, '../../../data/finance');
-        this.accountsFile = path.join(this.dataDir, 'accounts.json');
-        this.transactionsFile = path.join(this.dataDir, 'transactions.json');
-        this.budgetsFile = path.join(this.dataDir, 'budgets.json');
+        const store = getStateStore(config);
+        this.accountsStore = store.collection('finance.accounts');
+        this.transactionsStore = store.collection('finance.transactions');
+        this.budgetsStore = store.collection('finance.budgets');
+        this.statementsStore = store.collection('finance.statements');
+        this.statementLinesStore = store.collection('finance.statement-lines');
+        this.reconciliationsStore = store.collection('finance.reconciliations');
+        // Cleared and reconciled status of ledger entries, per account
+        this.clearancesStore = store.collection('finance.clearances');
+        this.ledger = getGeneralLedger(config);
+        this.matchOptions = config.reconciliation || {};
+        this.categorizer = getCategorizer(config);
+        this.stripeKey = config.stripeKey || process.env.STRIPE_SECRET_KEY;
+        this.stripe = config.stripe || null;
+        this.paymentProcessor = config.paymentProcessor || null;
 
         // Integration status (for future connections)
         this.integrations = {
             quickbooks: { connected: false, lastSync: null },
             bank: { connected: false, lastSync: null },
-            stripe: { connected: false, lastSync: null }
+            stripe: { connected: Boolean(this.stripe || this.stripeKey), lastSync: null }
         };
 
-        this.ensureDataDir();
-        this.accounts = this.loadAccounts();
-        this.transactions = this.loadTransactions();
-        this.budgets = this.loadBudgets();
+        this.accounts = [];
+        this.transactions = [];
+        this.budgets = [];
+        this.statements = [];
+        this.statementLines = [];
+        this.reconciliations = [];
+        this.clearances = [];
+        this.ready = this.load();
     }
 
-    ensureDataDir() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-        }
+    async init() {
+        await this.ready;
+        return this;
     }
 
-    loadAccounts() {
+    async load() {
         try {
-            if (fs.existsSync(this.accountsFile)) {
-                return JSON.parse(fs.readFileSync(this.accountsFile, 'utf-8'));
-            }
+            this.transactions = mergeRecords(await this.transactionsStore.values(), this.transactions);
+            this.budgets = mergeRecords(await this.budgetsStore.values(), this.budgets);
+            this.statements = mergeRecords(await this.statementsStore.values(), this.statements);
+            this.statementLines = mergeRecords(await this.statementLinesStore.values(), this.statementLines);
+            this.reconciliations = mergeRecords(await this.reconciliationsStore.values(), this.reconciliations);
+            this.clearances = mergeRecords(await this.clearancesStore.values(), this.clearances);
+            await this.importLegacyBooks();
+            await this.adoptRegisterMatches();
+            await this.categorizer.init();
+            this.accounts = await this.ledger.listAccounts();
         } catch (error) {
-            console.error('Failed to load accounts:', error.message);
+            console.error('Failed to load finance data:', error.message);
         }
-        // Initialize with default chart of accounts
-        return this.initializeDefaultAccounts();
     }
 
-    loadTransactions() {
-        try {
-            if (fs.existsSync(this.transactionsFile)) {
-                return JSON.parse(fs.readFileSync(this.transactionsFile, 'utf-8'));
-            }
-        } catch (error) {
-            console.error('Failed to load transactions:', error.message);
+    /**
+     * Bring accounts and transactions saved before the general ledger into it.
+     * Transactions are posted under their own id, so this is safe to repeat.
+     * Old transfers recorded without a destination post it to a suspense
+     * account; a transaction that cannot be posted is logged and left for the
+     * next start rather than stopping the rest.
+     */
+    async importLegacyBooks() {
+        for (const account of await this.accountsStore.values()) {
+            if (!await this.ledger.getAccount(account.id)) await this.ledger.addAccount(account);
         }
-        return [];
-    }
 
-    loadBudgets() {
-        try {
-            if (fs.existsSync(this.budgetsFile)) {
-                return JSON.parse(fs.readFileSync(this.budgetsFile, 'utf-8'));
+        let imported = 0;
+        for (const transaction of this.transactions) {
+            if (transaction.journalEntryId) continue;
+            try {
+                if (transaction.type === 'transfer' && !transaction.toAccountId) {
+                    if (!await this.ledger.getAccount(SUSPENSE_ACCOUNT.id)) await this.ledger.addAccount(SUSPENSE_ACCOUNT);
+                    transaction.toAccountId = SUSPENSE_ACCOUNT.id;
+                }
+                const { entry } = await this.postTransaction(transaction);
+                transaction.journalEntryId = entry.id;
+                imported++;
+            } catch (error) {
+                console.error(`[Finance] Could not post earlier transaction ${transaction.id} to the general ledger: ${error.message}`);
             }
-        } catch (error) {
-            console.error('Failed to load budgets:', error.message);
         }
-        return [];
-    }
-
-    saveAccounts() {
-        fs.writeFileSync(this.accountsFile, JSON.stringify(this.accounts, null, 2));
+        if (imported > 0) {
+            await this.saveTransactions();
+            console.log(`[Finance] Posted ${imported} earlier transaction(s) to the general ledger`);
+        }
     }
 
     saveTransactions() {
-        fs.writeFileSync(this.transactionsFile, JSON.stringify(this.transactions, null, 2));
+        return this.transactionsStore.persist(this.transactions);
     }
 
     saveBudgets() {
-        fs.writeFileSync(this.budgetsFile, JSON.stringify(this.budgets, null, 2));
+        return this.budgetsStore.persist(this.budgets);
+    }
+
+    saveStatements() {
+        return Promise.all([
+            this.statementsStore.persist(this.statements),
+            this.statementLinesStore.persist(this.statementLines),
+            this.clearancesStore.persist(this.clearances),
+            this.transactionsStore.persist(this.transactions)
+        ]);
     }
 
     /**
-     * Initialize default chart of accounts
+     * Statement lines matched to register transactions before matching moved
+     * to ledger entries point at the transaction's entry instead
      */
-    initializeDefaultAccounts() {
-        const defaults = [
-            // Assets
-            { id: 'checking', name: 'Business Checking', type: 'asset', subtype: 'bank', balance: 0 },
-            { id: 'savings', name: 'Business Savings', type: 'asset', subtype: 'bank', balance: 0 },
-            { id: 'ar', name: 'Accounts Receivable', type: 'asset', subtype: 'receivable', balance: 0 },
-
-            // Liabilities
-            { id: 'ap', name: 'Accounts Payable', type: 'liability', subtype: 'payable', balance: 0 },
-            { id: 'cc', name: 'Business Credit Card', type: 'liability', subtype: 'credit_card', balance: 0 },
-
-            // Income
-            { id: 'revenue', name: 'Service Revenue', type: 'income', subtype: 'revenue', balance: 0 },
-            { id: 'other-income', name: 'Other Income', type: 'income', subtype: 'other', balance: 0 },
-
-            // Expenses
-            { id: 'payroll', name: 'Payroll Expense', type: 'expense', subtype: 'payroll', balance: 0 },
-            { id: 'rent', name: 'Rent Expense', type: 'expense', subtype: 'occupancy', balance: 0 },
-            { id: 'utilities', name: 'Utilities', type: 'expense', subtype: 'utilities', balance: 0 },
-            { id: 'software', name: 'Software & Subscriptions', type: 'expense', subtype: 'technology', balance: 0 },
-            { id: 'marketing', name: 'Marketing Expense', type: 'expense', subtype: 'marketing', balance: 0 },
-            { id: 'supplies', name: 'Office Supplies', type: 'expense', subtype: 'supplies', balance: 0 },
-            { id: 'professional', name: 'Professional Services', type: 'expense', subtype: 'professional', balance: 0 },
-            { id: 'misc', name: 'Miscellaneous Expense', type: 'expense', subtype: 'other', balance: 0 }
-        ];
-
-        this.accounts = defaults;
-        this.saveAccounts();
-        return defaults;
+    async adoptRegisterMatches() {
+        let adopted = 0;
+        for (const line of this.statementLines) {
+            if (line.status !== 'matched' || line.entryId) continue;
+            const transaction = this.transactions.find(t => t.id === line.transactionId);
+            if (!transaction?.journalEntryId) continue;
+            line.entryId = transaction.journalEntryId;
+            this.setClearance(line.accountId, line.entryId, {
+                status: transaction.status === 'reconciled' ? 'reconciled' : 'cleared',
+                statementLineId: line.id,
+                clearedDate: transaction.clearedDate || line.date,
+                reconciledAt: transaction.reconciledAt || null
+            });
+            adopted++;
+        }
+        if (adopted > 0) await this.saveStatements();
     }
 
     /**
-     * Record a transaction (manual entry)
+     * Record a transaction (manual entry) and post it to the general ledger.
+     * Income is credited to the account for its category, expenses debited to
+     * theirs, and a transfer moves money from accountId to toAccountId.
      */
-    recordTransaction(transaction) {
+    async recordTransaction(transaction) {
         const id = transaction.id || `txn-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+        const categorization = transaction.category || transaction.type === 'transfer'
+            ? { method: 'manual', confidence: 1 }
+            : await this.categorizer.categorize({ ...transaction, type: transaction.type || 'expense' });
 
         const newTransaction = {
             id,
@@ -128,30 +169,108 @@ export class FinanceModule {
             description: transaction.description,
             amount: transaction.amount,
             type: transaction.type || 'expense', // income, expense, transfer
-            category: transaction.category,
-            accountId: transaction.accountId,
+            category: transaction.category || categorization.category,
+            categorization,
+            accountId: transaction.accountId || 'checking',
+            toAccountId: transaction.toAccountId || null,
+            businessId: transaction.businessId || null,
             payee: transaction.payee || '',
             reference: transaction.reference || '',
             status: 'pending', // pending, cleared, reconciled
-            source: 'manual', // manual, import, api
+            source: transaction.source || 'manual', // manual, import, stripe, api
+            ...(transaction.currency ? { currency: transaction.currency, originalAmount: transaction.originalAmount } : {}),
             createdAt: new Date().toISOString()
         };
 
+        const { entry } = await this.postTransaction(newTransaction);
+        newTransaction.journalEntryId = entry.id;
+
         this.transactions.push(newTransaction);
+        await this.saveTransactions();
+        return newTransaction;
+    }
+
+    postTransaction(transaction) {
+        const record = {
+            amount: transaction.amount,
+            category: transaction.category,
+            deductible: transaction.categorization?.deductible,
+            cashAccount: transaction.accountId || 'checking',
+            date: transaction.date,
+            description: transaction.description || transaction.payee || null,
+            businessId: transaction.businessId || null,
+            source: 'finance',
+            sourceRef: transaction.id,
+            // A recategorized transaction is posted again under its next revision
+            idempotencyKey: transaction.revision ? `finance:${transaction.id}:${transaction.revision}` : `finance:${transaction.id}`,
+            metadata: { payee: transaction.payee || '', reference: transaction.reference || '' }
+        };
+
+        if (transaction.type === 'income') return this.ledger.recordIncome(record);
+        if (transaction.type === 'transfer') {
+            if (!transaction.toAccountId) throw new Error('A transfer needs a toAccountId');
+            return this.ledger.post({
+                ...record,
+                lines: [
+                    { account: transaction.toAccountId, debit: transaction.amount },
+                    { account: record.cashAccount, credit: transaction.amount }
+                ]
+            });
+        }
+        return this.ledger.recordExpense(record);
+    }
 
-        // Update account balance
-        const account = this.accounts.find(a => a.id === transaction.accountId);
-        if (account) {
-            if (transaction.type === 'income') {
-                account.balance += transaction.amount;
-            } else if (transaction.type === 'expense') {
-                account.balance -= transaction.amount;
+    /**
+     * Correct a transaction's category. The journal entry is reversed and
+     * posted again under the new category, and the categorizer learns a rule
+     * for the payee unless { learn: false }.
+     * @param {Object} [options] - { learn, deductible }
+     */
+    async recategorizeTransaction(id, category, options = {}) {
+        const transaction = this.transactions.find(t => t.id === id);
+        if (!transaction) return { success: false, error: `Transaction not found: ${id}` };
+        if (transaction.type === 'transfer') return { success: false, error: 'Transfers have no category' };
+        if (!category || !accountIdFor(category)) return { success: false, error: 'A category is required' };
+
+        const previous = transaction.category || null;
+        if (accountIdFor(previous || '') !== accountIdFor(category)) {
+            if (transaction.journalEntryId) {
+                const reversal = await this.ledger.reverse(transaction.journalEntryId, { date: transaction.date, reason: `Recategorized as ${category}` });
+                if (!reversal.success) return reversal;
             }
-            this.saveAccounts();
+            transaction.revision = (transaction.revision || 0) + 1;
+            transaction.category = category;
+            transaction.categorization = {
+                method: 'manual',
+                confidence: 1,
+                correctedFrom: previous,
+                ...(options.deductible === undefined ? {} : { deductible: options.deductible })
+            };
+            const previousEntryId = transaction.journalEntryId;
+            const { entry } = await this.postTransaction(transaction);
+            transaction.journalEntryId = entry.id;
+            // The new entry inherits whatever the bank side knew about the old one
+            for (const clearance of this.clearances.filter(c => c.entryId === previousEntryId)) {
+                this.setClearance(clearance.accountId, entry.id, { ...clearance });
+                this.clearances = this.clearances.filter(c => c !== clearance);
+                const line = this.statementLines.find(l => l.id === clearance.statementLineId);
+                if (line) line.entryId = entry.id;
+            }
+            await this.saveStatements();
         }
 
-        this.saveTransactions();
-        return newTransaction;
+        const rule = options.learn === false
+            ? null
+            : await this.categorizer.learnFromCorrection(transaction, category, { deductible: options.deductible });
+        return { success: true, transaction, rule };
+    }
+
+    /**
+     * Chart of accounts with balances from the general ledger
+     */
+    async getAccounts(businessId) {
+        this.accounts = await this.ledger.listAccounts({ businessId });
+        return this.accounts;
     }
 
     /**
@@ -191,19 +310,17 @@ export class FinanceModule {
     }
 
     /**
-     * Check budget status
+     * Check budget status against this month's expenses in the ledger
      */
-    checkBudgets() {
+    async checkBudgets() {
         const now = new Date();
         const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
         const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
 
-        const monthTransactions = this.getTransactions(monthStart, monthEnd);
+        const { expenseAccounts } = await this.ledger.getProfitLoss({ from: localDate(monthStart), to: localDate(monthEnd) });
 
         return this.budgets.map(budget => {
-            const spent = monthTransactions
-                .filter(t => t.type === 'expense' && t.category === budget.category)
-                .reduce((sum, t) => sum + t.amount, 0);
+            const spent = expenseAccounts.find(a => a.id === accountIdFor(budget.category))?.amount || 0;
 
             const percentUsed = budget.monthlyLimit > 0 ? spent / budget.monthlyLimit : 0;
 
@@ -220,77 +337,461 @@ export class FinanceModule {
     }
 
     /**
-     * Generate profit & loss report
+     * Generate profit & loss report from the general ledger
      */
-    getProfitLoss(startDate, endDate) {
-        const transactions = this.getTransactions(startDate, endDate);
-
-        const income = transactions
-            .filter(t => t.type === 'income')
-            .reduce((sum, t) => sum + t.amount, 0);
-
-        const expenses = transactions
-            .filter(t => t.type === 'expense')
-            .reduce((sum, t) => sum + t.amount, 0);
-
-        // Group expenses by category
-        const expensesByCategory = {};
-        transactions
-            .filter(t => t.type === 'expense')
-            .forEach(t => {
-                expensesByCategory[t.category] = (expensesByCategory[t.category] || 0) + t.amount;
-            });
+    async getProfitLoss(startDate, endDate, businessId) {
+        const report = await this.ledger.getProfitLoss({ from: startDate, to: endDate, businessId });
 
         return {
             period: { startDate, endDate },
-            income,
-            expenses,
-            netIncome: income - expenses,
-            profitMargin: income > 0 ? ((income - expenses) / income * 100).toFixed(1) + '%' : '0%',
-            expenseBreakdown: expensesByCategory
+            income: report.income,
+            expenses: report.expenses,
+            netIncome: report.netIncome,
+            profitMargin: report.income > 0 ? (report.netIncome / report.income * 100).toFixed(1) + '%' : '0%',
+            expenseBreakdown: Object.fromEntries(report.expenseAccounts.map(a => [a.id, a.amount])),
+            incomeBreakdown: Object.fromEntries(report.incomeAccounts.map(a => [a.id, a.amount]))
         };
     }
 
     /**
-     * Get balance sheet (simplified)
+     * Get balance sheet from the general ledger
      */
-    getBalanceSheet() {
-        const assets = this.accounts.filter(a => a.type === 'asset');
-        const liabilities = this.accounts.filter(a => a.type === 'liability');
-
-        const totalAssets = assets.reduce((sum, a) => sum + a.balance, 0);
-        const totalLiabilities = liabilities.reduce((sum, a) => sum + a.balance, 0);
+    async getBalanceSheet(asOf, businessId) {
+        const sheet = await this.ledger.getBalanceSheet({ asOf, businessId });
 
         return {
-            date: new Date().toISOString().split('T')[0],
-            assets: assets.map(a => ({ name: a.name, balance: a.balance })),
-            totalAssets,
-            liabilities: liabilities.map(a => ({ name: a.name, balance: a.balance })),
-            totalLiabilities,
-            equity: totalAssets - totalLiabilities
+            date: sheet.asOf,
+            assets: sheet.assets.map(a => ({ name: a.name, balance: a.balance })),
+            totalAssets: sheet.totalAssets,
+            liabilities: sheet.liabilities.map(a => ({ name: a.name, balance: a.balance })),
+            totalLiabilities: sheet.totalLiabilities,
+            equityAccounts: sheet.equity.map(a => ({ name: a.name, balance: a.balance })),
+            equity: sheet.totalEquity,
+            balanced: sheet.balanced
         };
     }
 
     /**
-     * Get cash flow summary
+     * Get cash flow summary for the bank accounts
      */
-    getCashFlow(days = 30) {
+    async getCashFlow(days = 30, businessId) {
         const endDate = new Date();
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - days);
 
-        const transactions = this.getTransactions(startDate, endDate);
-
-        const inflows = transactions.filter(t => t.type === 'income');
-        const outflows = transactions.filter(t => t.type === 'expense');
+        const flow = await this.ledger.getCashFlow({ from: startDate, to: endDate, businessId });
 
         return {
             period: `Last ${days} days`,
-            totalInflows: inflows.reduce((sum, t) => sum + t.amount, 0),
-            totalOutflows: outflows.reduce((sum, t) => sum + t.amount, 0),
-            netCashFlow: inflows.reduce((sum, t) => sum + t.amount, 0) - outflows.reduce((sum, t) => sum + t.amount, 0),
-            transactionCount: transactions.length
+            totalInflows: flow.inflows,
+            totalOutflows: flow.outflows,
+            netCashFlow: flow.netCashFlow,
+            transactionCount: this.getTransactions(startDate, endDate).length
+        };
+    }
+
+    // --- Bank statements and reconciliation ---
+
+    /**
+     * Import a bank statement for a ledger account and match its lines against
+     * the register. Lines already imported (same account and bank id) are skipped.
+     * @param {Object} input - { content | file, accountId (default checking), format, dateOrder, columns }
+     */
+    async importStatement(input = {}) {
+        const accountId = input.accountId || 'checking';
+        const account = await this.ledger.getAccount(accountId);
+        if (!account) return { success: false, error: `Unknown account: ${accountId}` };
+
+        let parsed;
+        try {
+            const content = input.content ?? fs.readFileSync(input.file, 'utf-8');
+            parsed = parseStatement(content, { format: input.format, dateOrder: input.dateOrder, columns: input.columns });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        const importedAt = new Date().toISOString();
+        const statement = {
+            id: `stmt-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+            accountId,
+            format: parsed.format,
+            filename: input.file ? path.basename(input.file) : input.filename || null,
+            bankAccount: parsed.account.accountId,
+            currency: parsed.currency,
+            period: parsed.period,
+            balance: parsed.balance,
+            lineCount: parsed.lines.length,
+            imported: 0,
+            duplicates: 0,
+            importedAt
+        };
+
+        const known = new Set(this.statementLines.map(line => line.id));
+        for (const line of parsed.lines) {
+            const id = `${accountId}:${line.fitId}`;
+            if (known.has(id)) {
+                statement.duplicates++;
+                continue;
+            }
+            known.add(id);
+            this.statementLines.push({
+                id,
+                statementId: statement.id,
+                accountId,
+                ...line,
+                status: 'unmatched', // unmatched, matched, ignored
+                transactionId: null,
+                importedAt
+            });
+            statement.imported++;
+        }
+
+        this.statements.push(statement);
+        this.integrations.bank.lastSync = importedAt;
+        const { matched, needsReview } = await this.matchStatementLines(accountId);
+        console.log(`[Finance] Imported ${statement.imported} statement line(s) for ${accountId}: ${matched} matched, ${needsReview} to review`);
+        return { success: true, statement, imported: statement.imported, duplicates: statement.duplicates, matched, needsReview };
+    }
+
+    /**
+     * Auto-match every unmatched statement line on an account
+     */
+    async matchStatementLines(accountId = 'checking') {
+        const lines = this.statementLines.filter(line => line.accountId === accountId && line.status === 'unmatched');
+        const { matches, review } = matchLines(lines, await this.openItems(accountId), accountId, this.matchOptions);
+        for (const { line, transaction, score } of matches) this.linkLine(line, transaction, score, 'auto');
+        await this.saveStatements();
+        return { matched: matches.length, needsReview: review.length };
+    }
+
+    /**
+     * Every ledger entry on an account with its cleared status, whichever
+     * tracker posted it; an entry and its reversal cancel out and are left out
+     * @param {Object} [options] - { to } last entry date
+     * @returns {Promise<Array<Object>>} items as from ledgerItems() plus { status, statementLineId, clearedDate }
+     */
+    async bookItems(accountId, options = {}) {
+        const entries = [];
+        for (let offset = 0; ; offset += ENTRY_PAGE_SIZE) {
+            const page = await this.ledger.listEntries({ accountId, to: options.to, limit: ENTRY_PAGE_SIZE, offset });
+            entries.push(...page.entries);
+            if (entries.length >= page.total || page.entries.length === 0) break;
+        }
+        const clearances = new Map(this.clearances.filter(c => c.accountId === accountId).map(c => [c.entryId, c]));
+        return ledgerItems(entries, accountId).map(item => {
+            const clearance = clearances.get(item.id);
+            return {
+                ...item,
+                status: clearance?.status || 'pending', // pending, cleared, reconciled
+                statementLineId: clearance?.statementLineId || null,
+                clearedDate: clearance?.clearedDate || null
+            };
+        });
+    }
+
+    async openItems(accountId) {
+        return (await this.bookItems(accountId)).filter(item => item.status === 'pending');
+    }
+
+    /**
+     * Record an entry's status on an account, mirrored onto the register
+     * transaction that posted it when there is one
+     */
+    setClearance(accountId, entryId, fields) {
+        const id = `${accountId}:${entryId}`;
+        const clearance = { ...this.clearances.find(c => c.id === id), ...fields, id, accountId, entryId };
+        this.clearances = [...this.clearances.filter(c => c.id !== id), clearance];
+        const transaction = this.transactions.find(t => t.journalEntryId === entryId);
+        if (transaction) {
+            Object.assign(transaction, { status: clearance.status, statementLineId: clearance.statementLineId, clearedDate: clearance.clearedDate });
+            if (clearance.reconciledAt) transaction.reconciledAt = clearance.reconciledAt;
+        }
+        return clearance;
+    }
+
+    removeClearance(accountId, entryId) {
+        this.clearances = this.clearances.filter(c => c.id !== `${accountId}:${entryId}`);
+        const transaction = this.transactions.find(t => t.journalEntryId === entryId);
+        if (transaction) Object.assign(transaction, { status: 'pending', statementLineId: null, clearedDate: null });
+    }
+
+    linkLine(line, item, score, matchedBy) {
+        Object.assign(line, { status: 'matched', entryId: item.id, transactionId: item.transactionId, score, matchedBy, matchedAt: new Date().toISOString() });
+        this.setClearance(line.accountId, item.id, { status: 'cleared', statementLineId: line.id, clearedDate: line.date });
+    }
+
+    /**
+     * Unmatched statement lines with up to three suggested ledger entries each
+     */
+    async getReviewQueue(accountId) {
+        const lines = this.statementLines.filter(line => line.status === 'unmatched' && (!accountId || line.accountId === accountId));
+        const open = new Map();
+        for (const id of new Set(lines.map(line => line.accountId))) open.set(id, await this.openItems(id));
+
+        return lines.map(line => {
+            const suggestions = open.get(line.accountId)
+                .map(item => ({ item, score: scoreMatch(line, item, line.accountId, this.matchOptions) }))
+                .filter(s => s.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 3)
+                .map(({ item, score }) => ({
+                    entryId: item.id,
+                    transactionId: item.transactionId,
+                    source: item.source,
+                    date: item.date,
+                    description: item.description,
+                    amount: item.bankAmount,
+                    score
+                }));
+            const rule = this.categorizer.findRule({ ...line, type: line.amount >= 0 ? 'income' : 'expense' });
+            return { ...line, suggestions, suggestedCategory: rule ? rule.category : null };
+        });
+    }
+
+    /**
+     * Settle a line from the review queue. 'match' pairs it with an open
+     * ledger entry (by entryId, or transactionId for one from this register);
+     * 'create' records a new transaction for money the books do not have yet.
+     * @param {Object} resolution - { lineId, action: 'match' | 'create' | 'ignore', entryId, transactionId,
+     *   category, description, businessId, reason }
+     */
+    async resolveStatementLine(resolution = {}) {
+        const line = this.statementLines.find(l => l.id === resolution.lineId);
+        if (!line) return { success: false, error: `Statement line not found: ${resolution.lineId}` };
+        if (line.status !== 'unmatched') return { success: false, error: `Statement line ${line.id} is already ${line.status}` };
+
+        let transaction = null;
+        let entryId = null;
+        if (resolution.action === 'match') {
+            const item = (await this.openItems(line.accountId)).find(i =>
+                (resolution.entryId && i.id === resolution.entryId) || (resolution.transactionId && i.transactionId === resolution.transactionId));
+            if (!item) return { success: false, error: `No open entry ${resolution.entryId || resolution.transactionId} on ${line.accountId}` };
+            this.linkLine(line, item, scoreMatch(line, item, line.accountId, { ...this.matchOptions, dateWindowDays: Infinity, amountTolerance: Infinity }), 'manual');
+            transaction = this.transactions.find(t => t.id === item.transactionId) || null;
+            entryId = item.id;
+        } else if (resolution.action === 'create') {
+            transaction = await this.recordTransaction({
+                date: line.date,
+                description: resolution.description || line.payee || line.memo,
+                amount: Math.abs(line.amount),
+                type: line.amount >= 0 ? 'income' : 'expense',
+                category: resolution.category,
+                accountId: line.accountId,
+                businessId: resolution.businessId,
+                payee: line.payee,
+                reference: line.reference,
+                source: 'import'
+            });
+            const item = (await this.openItems(line.accountId)).find(i => i.id === transaction.journalEntryId);
+            this.linkLine(line, item, 1, 'created');
+            entryId = item.id;
+        } else if (resolution.action === 'ignore') {
+            Object.assign(line, { status: 'ignored', ignoredReason: resolution.reason || null });
+        } else {
+            return { success: false, error: `Unknown resolution: ${resolution.action} (use match, create or ignore)` };
+        }
+
+        await this.saveStatements();
+        return { success: true, line, entryId, transaction };
+    }
+
+    /**
+     * Undo a match that has not been reconciled yet
+     */
+    async unmatchStatementLine(lineId) {
+        const line = this.statementLines.find(l => l.id === lineId);
+        if (!line || line.status !== 'matched') return { success: false, error: `No matched statement line ${lineId}` };
+        const clearance = this.clearances.find(c => c.accountId === line.accountId && c.entryId === line.entryId);
+        if (clearance?.status === 'reconciled') return { success: false, error: `Entry ${line.entryId} is already reconciled` };
+
+        this.removeClearance(line.accountId, line.entryId);
+        Object.assign(line, { status: 'unmatched', entryId: null, transactionId: null, score: null, matchedBy: null, matchedAt: null });
+        await this.saveStatements();
+        return { success: true, line };
+    }
+
+    /**
+     * Reconcile an account for a period: the statement balance plus ledger
+     * entries not yet through the bank should equal the book balance plus
+     * statement lines not yet in the books. When it does, and nothing awaits
+     * review, cleared entries up to the end date become reconciled.
+     * @param {Object} options - { accountId, from, to, statementBalance } statementBalance
+     *   defaults to the closing balance of the latest imported statement up to `to`
+     */
+    async reconcile(options = {}) {
+        const accountId = options.accountId || 'checking';
+        const to = options.to || new Date().toISOString().split('T')[0];
+        const from = options.from || null;
+        const account = (await this.ledger.listAccounts({ asOf: to })).find(a => a.id === accountId);
+        if (!account) return { success: false, error: `Unknown account: ${accountId}` };
+
+        const statementBalance = options.statementBalance ?? this.statements
+            .filter(s => s.accountId === accountId && s.balance && s.balance.date <= to)
+            .sort((a, b) => a.balance.date.localeCompare(b.balance.date))
+            .at(-1)?.balance.amount;
+        if (statementBalance === undefined) {
+            return { success: false, error: `No statement balance for ${accountId} up to ${to}; pass statementBalance` };
+        }
+
+        const inPeriod = (date) => date <= to && (!from || date >= from);
+        // Outstanding is measured against the same entries the book balance adds up
+        const outstanding = (await this.bookItems(accountId, { to })).filter(item => item.status === 'pending');
+        const lines = this.statementLines.filter(line => line.accountId === accountId && inPeriod(line.date));
+        const unrecorded = lines.filter(line => line.status === 'unmatched');
+
+        // Liability accounts (cards) carry credit balances the bank shows as negative
+        const bookBalance = account.type === 'liability' ? -account.balance : account.balance;
+        const outstandingTotal = sumCents(outstanding.map(item => item.bankAmount));
+        const unrecordedTotal = sumCents(unrecorded.map(line => line.amount));
+        const adjustedBankBalance = sumCents([statementBalance, outstandingTotal]);
+        const adjustedBookBalance = sumCents([bookBalance, unrecordedTotal]);
+        const difference = sumCents([adjustedBankBalance, -adjustedBookBalance]);
+
+        let status = 'unbalanced';
+        if (unrecorded.length > 0) status = 'needs_review';
+        else if (difference === 0) status = 'reconciled';
+
+        let reconciledCount = 0;
+        if (status === 'reconciled') {
+            const reconciledAt = new Date().toISOString();
+            for (const clearance of this.clearances) {
+                if (clearance.accountId === accountId && clearance.status === 'cleared' && clearance.clearedDate <= to) {
+                    this.setClearance(accountId, clearance.entryId, { status: 'reconciled', reconciledAt });
+                    reconciledCount++;
+                }
+            }
+        }
+
+        const report = {
+            id: `rec-${accountId}-${to}`,
+            accountId,
+            period: { from, to },
+            statementBalance,
+            bookBalance,
+            outstanding: {
+                count: outstanding.length,
+                total: outstandingTotal,
+                entryIds: outstanding.map(item => item.id),
+                transactionIds: outstanding.map(item => item.transactionId).filter(Boolean)
+            },
+            unrecorded: { count: unrecorded.length, total: unrecordedTotal, lineIds: unrecorded.map(line => line.id) },
+            adjustedBankBalance,
+            adjustedBookBalance,
+            difference,
+            lines: {
+                matched: lines.filter(line => line.status === 'matched').length,
+                unmatched: unrecorded.length,
+                ignored: lines.filter(line => line.status === 'ignored').length
+            },
+            status,
+            reconciledCount,
+            createdAt: new Date().toISOString()
         };
+
+        this.reconciliations = [...this.reconciliations.filter(r => r.id !== report.id), report];
+        await Promise.all([this.saveStatements(), this.reconciliationsStore.persist(this.reconciliations)]);
+        return { success: true, report };
+    }
+
+    getReconciliations(accountId) {
+        return this.reconciliations
+            .filter(r => !accountId || r.accountId === accountId)
+            .sort((a, b) => a.period.to.localeCompare(b.period.to));
+    }
+
+    // --- Stripe payouts ---
+
+    /**
+     * Record paid Stripe payouts as income landing in a bank account,
+     * categorized like any other transaction. Payouts already recorded are
+     * skipped, so overlapping syncs are harmless.
+     * @param {Object} [input] - { payouts } (Stripe payout objects, e.g. from a
+     *   webhook) or { since } to list them from Stripe; { accountId, businessId }
+     */
+    async importStripePayouts(input = {}) {
+        const payouts = input.payouts || await this.listStripePayouts(input);
+        const transactions = [];
+        let skipped = 0;
+
+        for (const payout of payouts) {
+            const id = `stripe-${payout.id}`;
+            if (payout.status !== 'paid' || this.transactions.some(t => t.id === id)) {
+                skipped++;
+                continue;
+            }
+            const date = new Date(payout.arrival_date * 1000).toISOString().split('T')[0];
+            const currency = String(payout.currency || 'usd').toUpperCase();
+            const originalAmount = payout.amount / (STRIPE_ZERO_DECIMAL.has(currency) ? 1 : 100);
+            const amount = currency === this.ledger.baseCurrency
+                ? originalAmount
+                : (await this.ledger.fx.convert(originalAmount, currency, this.ledger.baseCurrency, date)).result;
+
+            transactions.push(await this.recordTransaction({
+                id,
+                date,
+                amount,
+                type: 'income',
+                description: payout.description || payout.statement_descriptor || `Stripe payout ${payout.id}`,
+                accountId: input.accountId || 'checking',
+                businessId: input.businessId || payout.metadata?.businessId,
+                payee: 'Stripe',
+                reference: payout.id,
+                source: 'stripe',
+                ...(currency === this.ledger.baseCurrency ? {} : { currency, originalAmount })
+            }));
+        }
+
+        this.integrations.stripe.lastSync = new Date().toISOString();
+        console.log(`[Finance] Recorded ${transactions.length} Stripe payout(s), skipped ${skipped}`);
+        return { success: true, imported: transactions.length, skipped, transactions };
+    }
+
+    /**
+     * Paid payouts from the Stripe API (needs STRIPE_SECRET_KEY and the stripe package)
+     * @param {Object} [options] - { since } date of the earliest arrival
+     */
+    async listStripePayouts(options = {}) {
+        if (!this.stripe) {
+            if (!this.stripeKey) throw new Error('Stripe API key not configured. Set STRIPE_SECRET_KEY.');
+            try {
+                const Stripe = (await import('stripe')).default;
+                this.stripe = new Stripe(this.stripeKey);
+            } catch (e) {
+                throw new Error('Stripe not installed. Run: npm install stripe');
+            }
+        }
+
+        const params = { status: 'paid', limit: 100 };
+        if (options.since) params.arrival_date = { gte: Math.floor(Date.parse(options.since) / 1000) };
+        const payouts = [];
+        for await (const payout of this.stripe.payouts.list(params)) payouts.push(payout);
+        return payouts;
+    }
+
+    // --- Accounting exports ---
+
+    /**
+     * Export journal entries, the chart of accounts, invoices or a P&L per
+     * business for an accountant's software. Returns the file contents;
+     * writing them to disk is left to the caller (scripts/export-books.js)
+     * so a task cannot name an arbitrary path.
+     * @param {Object} options - { format: iif | qbo | xero | beancount | ledger,
+     *   dataset: journal | accounts | invoices | profit_loss, from, to, businessId, ... }
+     */
+    async exportBooks(options = {}) {
+        try {
+            const invoices = options.dataset === 'invoices' ? this.getPaymentProcessor().getInvoices() : null;
+            const result = await exportBooks({ ledger: this.ledger, invoices }, options);
+            return { success: true, ...result };
+        } catch (error) {
+            if (error instanceof ExportError) return { success: false, error: error.message };
+            throw error;
+        }
+    }
+
+    getPaymentProcessor() {
+        if (!this.paymentProcessor) this.paymentProcessor = new PaymentProcessor({ db: this.ledger.db });
+        return this.paymentProcessor;
     }
 
     /**
@@ -299,7 +800,9 @@ export class FinanceModule {
     getIntegrationStatus() {
         return {
             ...this.integrations,
-            message: 'No integrations connected yet. Set up QuickBooks or bank connection when ready.'
+            statements: this.statements.length,
+            awaitingReview: this.statementLines.filter(line => line.status === 'unmatched').length,
+            message: 'No live bank feeds connected. Import OFX/QFX or CSV bank statements with import_statement and Stripe payouts with import_stripe_payouts; QuickBooks is not connected yet.'
         };
     }
 
@@ -317,13 +820,55 @@ export class FinanceModule {
             case 'check_budgets':
                 return this.checkBudgets();
             case 'profit_loss':
-                return this.getProfitLoss(task.data.startDate, task.data.endDate);
+                return this.getProfitLoss(task.data.startDate, task.data.endDate, task.data.businessId);
             case 'balance_sheet':
-                return this.getBalanceSheet();
+                return this.getBalanceSheet(task.data?.asOf, task.data?.businessId);
             case 'cash_flow':
-                return this.getCashFlow(task.data?.days || 30);
+                return this.getCashFlow(task.data?.days || 30, task.data?.businessId);
+            case 'trial_balance':
+                return this.ledger.getTrialBalance(task.data || {});
+            case 'fx_revaluation':
+                return this.ledger.getFxRevaluation(task.data || {});
+            case 'post_fx_revaluation':
+                return this.ledger.postFxRevaluation(task.data || {});
+            case 'journal':
+                return this.ledger.post(task.data);
+            case 'reverse':
+                return this.ledger.reverse(task.data.id, task.data);
+            case 'add_account':
+                return this.ledger.addAccount(task.data);
             case 'accounts':
-                return this.accounts;
+                return this.getAccounts(task.data?.businessId);
+            case 'import_statement':
+                return this.importStatement(task.data);
+            case 'match_statement':
+                return this.matchStatementLines(task.data?.accountId);
+            case 'review_queue':
+                return this.getReviewQueue(task.data?.accountId);
+            case 'resolve_line':
+                return this.resolveStatementLine(task.data);
+            case 'unmatch_line':
+                return this.unmatchStatementLine(task.data.lineId);
+            case 'reconcile':
+                return this.reconcile(task.data);
+            case 'reconciliations':
+                return this.getReconciliations(task.data?.accountId);
+            case 'categorize':
+                return this.categorizer.categorize(task.data);
+            case 'recategorize':
+                return this.recategorizeTransaction(task.data.id, task.data.category, task.data);
+            case 'add_rule':
+                return this.categorizer.addRule(task.data);
+            case 'update_rule':
+                return this.categorizer.updateRule(task.data.id, task.data);
+            case 'remove_rule':
+                return this.categorizer.removeRule(task.data.id);
+            case 'rules':
+                return this.categorizer.listRules();
+            case 'import_stripe_payouts':
+                return this.importStripePayouts(task.data);
+            case 'export':
+                return this.exportBooks(task.data);
             case 'status':
                 return this.getIntegrationStatus();
             default:
@@ -332,4 +877,20 @@ export class FinanceModule {
     }
 }
 
+const ENTRY_PAGE_SIZE = 500;
+
+// Holds the other side of old transfers saved without a destination, until someone reclassifies them
+const SUSPENSE_ACCOUNT = { id: 'suspense', name: 'Suspense', type: 'asset', subtype: 'suspense' };
+
+// Stripe gives these currencies' amounts in whole units rather than cents
+const STRIPE_ZERO_DECIMAL = new Set(['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF']);
+
+function sumCents(amounts) {
+    return amounts.reduce((sum, amount) => sum + Math.round(amount * 100), 0) / 100;
+}
+
+function localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
 export default FinanceModule;
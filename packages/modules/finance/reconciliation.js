@@ -0,0 +1,171 @@
+/**
+ * Reconciliation - Pair bank statement lines with what the books recorded
+ * A pair must agree on amount (within a tolerance) and fall within a few days
+ * of each other; the score then rises with how close the dates are and how
+ * alike the payees read. A pair is matched automatically only when it scores
+ * high and nothing else comes close for either side; everything else is left
+ * for review with its best suggestions.
+ */
+
+export const MATCH_DEFAULTS = {
+    dateWindowDays: 5,
+    amountTolerance: 0,
+    autoMatchScore: 0.85,
+    reviewScore: 0.5,
+    // An auto match needs this lead over any other candidate for the same line or transaction
+    margin: 0.05
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words banks put around payee names that say nothing about who was paid
+const NOISE_WORDS = new Set(['pos', 'purchase', 'debit', 'credit', 'card', 'ach', 'payment', 'online', 'transfer', 'to', 'from', 'the', 'inc', 'llc', 'ltd', 'co', 'www', 'com']);
+
+/**
+ * A transaction's effect on an account as the bank shows it: money in positive
+ */
+export function signedAmount(transaction, accountId) {
+    // Ledger items already carry their effect on the account
+    if (transaction.bankAmount !== undefined) return transaction.bankAmount;
+    const amount = Math.abs(Number(transaction.amount) || 0);
+    if (transaction.type === 'transfer') return transaction.toAccountId === accountId ? amount : -amount;
+    return transaction.type === 'income' ? amount : -amount;
+}
+
+/**
+ * Whether a transaction moves money in or out of an account
+ */
+export function touchesAccount(transaction, accountId) {
+    return (transaction.accountId || 'checking') === accountId || transaction.toAccountId === accountId;
+}
+
+/**
+ * Journal entries on an account as the bank would see them: one item per
+ * entry with its net effect there (debits in, credits out). An entry and its
+ * reversal cancel out and are both left out.
+ * @param {Array<Object>} entries - GeneralLedger entries with lines on the account
+ * @returns {Array<{id, date, description, payee, reference, source, transactionId, businessId, bankAmount}>}
+ */
+export function ledgerItems(entries, accountId) {
+    const reversed = new Set(entries.filter(entry => entry.reverses).map(entry => entry.reverses));
+    return entries
+        .filter(entry => !entry.reverses && !reversed.has(entry.id))
+        .map(entry => ({
+            id: entry.id,
+            date: entry.date,
+            description: entry.description,
+            payee: entry.metadata?.payee || '',
+            reference: entry.metadata?.reference || '',
+            source: entry.source,
+            // FinanceModule posts each register transaction under its own id
+            transactionId: entry.source === 'finance' ? entry.sourceRef : null,
+            businessId: entry.businessId,
+            bankAmount: entry.lines
+                .filter(line => line.account === accountId)
+                .reduce((sum, line) => sum + Math.round(line.debit * 100) - Math.round(line.credit * 100), 0) / 100
+        }))
+        .filter(item => item.bankAmount !== 0);
+}
+
+function normalizePayee(text) {
+    return String(text || '').toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 1 && !NOISE_WORDS.has(word))
+        .join(' ');
+}
+
+function bigrams(text) {
+    const pairs = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    return pairs;
+}
+
+/**
+ * 0..1 likeness of two payee strings (Dice coefficient on letter pairs);
+ * 0.5 when either side has nothing to compare
+ */
+export function payeeSimilarity(a, b) {
+    const left = normalizePayee(a);
+    const right = normalizePayee(b);
+    if (!left || !right) return 0.5;
+    if (left === right || left.includes(right) || right.includes(left)) return 1;
+
+    const leftPairs = bigrams(left.replace(/\s/g, ''));
+    const rightPairs = bigrams(right.replace(/\s/g, ''));
+    let shared = 0;
+    let total = 0;
+    for (const [pair, count] of leftPairs) {
+        shared += Math.min(count, rightPairs.get(pair) || 0);
+        total += count;
+    }
+    for (const count of rightPairs.values()) total += count;
+    return total ? (2 * shared) / total : 0;
+}
+
+/**
+ * 0..1 score for a statement line against a transaction on the same account;
+ * 0 when the amounts differ or the dates are too far apart
+ */
+export function scoreMatch(line, transaction, accountId, options = {}) {
+    const { dateWindowDays, amountTolerance } = { ...MATCH_DEFAULTS, ...options };
+    const difference = Math.abs(Math.round(line.amount * 100) - Math.round(signedAmount(transaction, accountId) * 100));
+    if (difference > Math.round(amountTolerance * 100)) return 0;
+
+    const days = Math.abs(Date.parse(line.date) - Date.parse(transaction.date)) / DAY_MS;
+    if (!(days <= dateWindowDays)) return 0;
+    if (line.reference && transaction.reference && line.reference === transaction.reference) return 1;
+
+    const dateScore = 1 - days / (dateWindowDays + 1);
+    const payeeScore = payeeSimilarity(`${line.payee} ${line.memo || ''}`, transaction.payee || transaction.description);
+    return Math.round((0.5 + 0.3 * dateScore + 0.2 * payeeScore) * 1000) / 1000;
+}
+
+/**
+ * Pair statement lines with open transactions one-to-one
+ * @param {Array<Object>} lines - unmatched statement lines for the account
+ * @param {Array<Object>} transactions - open transactions touching the account
+ * @returns {{matches: Array<{line, transaction, score}>, review: Array<{line, suggestions: Array<{transaction, score}>}>}}
+ */
+export function matchLines(lines, transactions, accountId, options = {}) {
+    const settings = { ...MATCH_DEFAULTS, ...options };
+    const candidates = [];
+    for (const line of lines) {
+        for (const transaction of transactions) {
+            const score = scoreMatch(line, transaction, accountId, settings);
+            if (score >= settings.reviewScore) candidates.push({ line, transaction, score });
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const usedLines = new Set();
+    const usedTransactions = new Set();
+    const matches = [];
+    for (const candidate of candidates) {
+        if (candidate.score < settings.autoMatchScore) break;
+        if (usedLines.has(candidate.line) || usedTransactions.has(candidate.transaction)) continue;
+        const rival = candidates.some(other => other !== candidate &&
+            (other.line === candidate.line || other.transaction === candidate.transaction) &&
+            !usedLines.has(other.line) && !usedTransactions.has(other.transaction) &&
+            other.score > candidate.score - settings.margin);
+        if (rival) continue;
+
+        matches.push(candidate);
+        usedLines.add(candidate.line);
+        usedTransactions.add(candidate.transaction);
+    }
+
+    const review = lines.filter(line => !usedLines.has(line)).map(line => ({
+        line,
+        suggestions: candidates
+            .filter(c => c.line === line && !usedTransactions.has(c.transaction))
+            .slice(0, 3)
+            .map(({ transaction, score }) => ({ transaction, score }))
+    }));
+    return { matches, review };
+}
+
+export default { matchLines, scoreMatch, payeeSimilarity, signedAmount, ledgerItems };
@@ -1,11 +1,13 @@
 /**
  * Multi Currency - Handles Global Finance
  * Exchange rate tracking, automated hedging, multi-currency wallets
+ * Rates come from the shared FxRates store
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getFxRates } from '../core/fx-rates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,8 +16,7 @@ export class MultiCurrency {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/finance');
         this.ensureDataDir();
-        // Base Rates (Simulated)
-        this.rates = { USD: 1.0, EUR: 0.92, GBP: 0.78, JPY: 151.2 };
+        this.fx = getFxRates(config);
     }
 
     ensureDataDir() {
@@ -25,30 +26,16 @@ export class MultiCurrency {
     }
 
     /**
-     * Convert Amount
+     * Convert Amount at the rate on a date (default today)
      */
-    convert(amount, from, to) {
-        const rateFrom = this.rates[from];
-        const rateTo = this.rates[to];
-
-        if (!rateFrom || !rateTo) throw new Error('Invalid currency code');
-
-        const inUSD = amount / rateFrom;
-        const result = inUSD * rateTo;
-
-        return {
-            amount,
-            from,
-            to,
-            rate: rateTo / rateFrom,
-            result: parseFloat(result.toFixed(2))
-        };
+    async convert(amount, from, to, date = new Date()) {
+        return this.fx.convert(amount, from, to, date);
     }
 
     /**
      * Hedging Recommendation
      */
-    recommendHedge(exposure) {
+    async recommendHedge(exposure) {
         // exposure: { EUR: 50000, GBP: 10000 }
         // Simple logic: if exposure > 10k USD, hedge 50%
 
@@ -57,7 +44,7 @@ export class MultiCurrency {
         for (const [currency, amount] of Object.entries(exposure)) {
             if (currency === 'USD') continue;
 
-            const usdValue = this.convert(amount, currency, 'USD').result;
+            const usdValue = (await this.convert(amount, currency, 'USD')).result;
             if (usdValue > 10000) {
                 recommendations.push({
                     pair: `${currency}/USD`,
@@ -72,8 +59,10 @@ export class MultiCurrency {
     }
 
     async execute(task) {
-        if (task.action === 'convert') return this.convert(task.data.amount, task.data.from, task.data.to);
+        if (task.action === 'convert') return this.convert(task.data.amount, task.data.from, task.data.to, task.data.date);
         if (task.action === 'hedge') return this.recommendHedge(task.data.exposure);
+        if (task.action === 'import_rates') return this.fx.importFile(task.data.file);
+        if (task.action === 'fx_gain') return task.data.settledAt ? this.fx.realizedGain(task.data) : this.fx.unrealizedGain(task.data);
     }
 }
 export default MultiCurrency;
@@ -2,11 +2,17 @@
  * Payment Processor - Handles payments and invoicing
  * Supports Stripe integration (requires API keys)
  * All payment actions require human approval
+ * Invoices in another currency carry their value in the base currency at the
+ * invoice date; payment and revaluation report the FX gain against it, and
+ * the realized gain is posted to the general ledger's FX gain/loss account
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getFxRates, FxError } from '../core/fx-rates.js';
+import { getGeneralLedger } from '../core/general-ledger.js';
+import { getStateStore, mergeRecords } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,12 +26,21 @@ export class PaymentProcessor {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/payments');
         this.invoicesDir = path.join(this.dataDir, 'invoices');
         this.ensureDirectories();
+        this.config = config;
+        this.fx = getFxRates(config);
 
         // Track pending payments (require approval)
+        this.pendingStore = getStateStore(config).collection('payments.pending');
         this.pendingPayments = [];
+        this.ready = this.loadPendingPayments();
         this.stripe = null;
     }
 
+    async init() {
+        await this.ready;
+        return this;
+    }
+
     ensureDirectories() {
         if (!fs.existsSync(this.dataDir)) {
             fs.mkdirSync(this.dataDir, { recursive: true });
@@ -56,9 +71,9 @@ export class PaymentProcessor {
     /**
      * Create an invoice (local record)
      */
-    createInvoice(data) {
+    async createInvoice(data) {
         const invoice = {
-            id: `INV-${Date.now()}`,
+            id: `INV-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`,
             status: 'draft',
             createdAt: new Date().toISOString(),
             client: {
@@ -72,6 +87,7 @@ export class PaymentProcessor {
             taxRate: data.taxRate || 0,
             total: 0,
             currency: data.currency || 'USD',
+            businessId: data.businessId || null,
             dueDate: data.dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
             notes: data.notes || '',
             paymentLink: null
@@ -84,15 +100,114 @@ export class PaymentProcessor {
         invoice.tax = invoice.subtotal * (invoice.taxRate / 100);
         invoice.total = invoice.subtotal + invoice.tax;
 
+        // Value in the base currency on the invoice date; without a rate the
+        // invoice is saved in its own currency only and left out of FX reports
+        try {
+            const booked = await this.fx.convert(invoice.total, invoice.currency, this.fx.baseCurrency, invoice.createdAt);
+            invoice.baseCurrency = booked.to;
+            invoice.exchangeRate = booked.rate;
+            invoice.baseTotal = booked.result;
+        } catch (error) {
+            if (!(error instanceof FxError)) throw error;
+            console.warn(`[PaymentProcessor] ${error.message}; invoice ${invoice.id} has no ${this.fx.baseCurrency} value`);
+        }
+
         // Save invoice
-        const invoicePath = path.join(this.invoicesDir, `${invoice.id}.json`);
-        fs.writeFileSync(invoicePath, JSON.stringify(invoice, null, 2));
+        this.saveInvoice(invoice);
+
+        console.log(`[PaymentProcessor] Invoice created: ${invoice.id} for ${invoice.total} ${invoice.currency}`);
+
+        return { success: true, invoice };
+    }
+
+    saveInvoice(invoice) {
+        fs.writeFileSync(path.join(this.invoicesDir, `${invoice.id}.json`), JSON.stringify(invoice, null, 2));
+    }
+
+    /**
+     * Mark an invoice paid and record the realized FX gain between the
+     * invoice date and the payment date (zero for base-currency invoices).
+     * The receipt itself reaches the books through the bank or Stripe import
+     * at the amount received, so the gain is moved from revenue to the FX
+     * gain/loss account rather than posted on top of it.
+     */
+    async recordInvoicePayment(invoiceId, paidAt = new Date().toISOString()) {
+        const invoicePath = path.join(this.invoicesDir, `${invoiceId}.json`);
+        if (!fs.existsSync(invoicePath)) {
+            return { success: false, error: 'Invoice not found' };
+        }
+
+        const invoice = JSON.parse(fs.readFileSync(invoicePath, 'utf-8'));
+        if (invoice.status === 'paid') {
+            return { success: false, error: `Invoice ${invoiceId} is already paid` };
+        }
 
-        console.log(`[PaymentProcessor] Invoice created: ${invoice.id} for $${invoice.total}`);
+        invoice.status = 'paid';
+        invoice.paidAt = paidAt;
+        if (invoice.baseCurrency === undefined) {
+            // Never valued in the base currency, so there is no gain to measure against
+            this.saveInvoice(invoice);
+            console.log(`[PaymentProcessor] Invoice paid: ${invoice.id} (no ${this.fx.baseCurrency} value, FX gain not recorded)`);
+            return { success: true, invoice };
+        }
+
+        const fx = await this.fx.realizedGain({
+            amount: invoice.total,
+            currency: invoice.currency,
+            bookedAt: invoice.createdAt,
+            settledAt: paidAt,
+            reportingCurrency: invoice.baseCurrency
+        });
+        invoice.settlementRate = fx.rate;
+        invoice.baseAmountReceived = fx.value;
+        invoice.realizedFxGain = fx.gain;
+        if (fx.gain) invoice.fxJournalEntryId = (await this.postRealizedFxGain(invoice, fx.gain)).id;
+        this.saveInvoice(invoice);
 
+        console.log(`[PaymentProcessor] Invoice paid: ${invoice.id} (FX ${fx.gain >= 0 ? 'gain' : 'loss'} ${Math.abs(fx.gain)} ${fx.reportingCurrency})`);
         return { success: true, invoice };
     }
 
+    async postRealizedFxGain(invoice, gain) {
+        const ledger = getGeneralLedger(this.config);
+        await ledger.init();
+        const amount = Math.abs(gain);
+        const [debit, credit] = gain > 0 ? ['revenue', 'fx-gain'] : ['fx-gain', 'revenue'];
+        const { entry } = await ledger.post({
+            date: invoice.paidAt,
+            description: `FX ${gain > 0 ? 'gain' : 'loss'} on invoice ${invoice.id}`,
+            businessId: invoice.businessId,
+            source: 'payments',
+            sourceRef: invoice.id,
+            idempotencyKey: `invoice-fx:${invoice.id}`,
+            lines: [{ account: debit, debit: amount }, { account: credit, credit: amount }]
+        });
+        return entry;
+    }
+
+    /**
+     * Unrealized FX gain on unpaid foreign-currency invoices at a reporting date
+     */
+    async getInvoiceFxExposure(asOf = new Date()) {
+        const positions = [];
+        for (const invoice of this.getInvoices()) {
+            if (invoice.status === 'paid' || !invoice.baseCurrency || invoice.currency === invoice.baseCurrency) continue;
+            const fx = await this.fx.unrealizedGain({
+                amount: invoice.total,
+                currency: invoice.currency,
+                bookedAt: invoice.createdAt,
+                asOf,
+                reportingCurrency: invoice.baseCurrency
+            });
+            positions.push({ invoiceId: invoice.id, ...fx });
+        }
+        return {
+            asOf: new Date(asOf).toISOString().split('T')[0],
+            positions,
+            unrealizedGain: Math.round(positions.reduce((sum, p) => sum + p.gain, 0) * 100) / 100
+        };
+    }
+
     /**
      * Generate invoice HTML
      */
@@ -164,6 +279,7 @@ export class PaymentProcessor {
         <div>Subtotal: $${invoice.subtotal.toFixed(2)}</div>
         <div>Tax (${invoice.taxRate}%): $${invoice.tax.toFixed(2)}</div>
         <div class="total-row">Total: $${invoice.total.toFixed(2)} ${invoice.currency}</div>
+        ${invoice.baseCurrency && invoice.baseCurrency !== invoice.currency ? `<div>≈ ${invoice.baseTotal.toFixed(2)} ${invoice.baseCurrency} at ${invoice.exchangeRate.toFixed(4)}</div>` : ''}
     </div>
 
     ${invoice.notes ? `<div class="notes"><strong>Notes:</strong><br>${invoice.notes}</div>` : ''}
@@ -337,20 +453,20 @@ export class PaymentProcessor {
     }
 
     /**
-     * Save pending payments to file
+     * Save pending payments to storage
      */
     savePendingPayments() {
-        const filePath = path.join(this.dataDir, 'pending-payments.json');
-        fs.writeFileSync(filePath, JSON.stringify(this.pendingPayments, null, 2));
+        return this.pendingStore.persist(this.pendingPayments);
     }
 
     /**
-     * Load pending payments from file
+     * Load pending payments from storage
      */
-    loadPendingPayments() {
-        const filePath = path.join(this.dataDir, 'pending-payments.json');
-        if (fs.existsSync(filePath)) {
-            this.pendingPayments = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    async loadPendingPayments() {
+        try {
+            this.pendingPayments = mergeRecords(await this.pendingStore.values(), this.pendingPayments);
+        } catch (error) {
+            console.error('[PaymentProcessor] Failed to load pending payments:', error.message);
         }
     }
 
@@ -375,6 +491,7 @@ export class PaymentProcessor {
      * Execute from orchestrator
      */
     async execute(task) {
+        await this.ready;
         switch (task.action) {
             case 'create_invoice':
                 return this.createInvoice(task.data);
@@ -394,6 +511,10 @@ export class PaymentProcessor {
                 return this.getPendingPayments();
             case 'invoices':
                 return this.getInvoices(task.data?.status);
+            case 'record_payment':
+                return this.recordInvoicePayment(task.data.invoiceId, task.data.paidAt);
+            case 'fx_exposure':
+                return this.getInvoiceFxExposure(task.data?.asOf);
             default:
                 throw new Error(`Unknown action: ${task.action}`);
         }
@@ -1,8 +1,12 @@
 /**
  * PPPPricing - Implements ROI Improvement #96
  * Adjusts pricing based on user's country Purchasing Power Parity (PPP).
+ * The adjusted USD price is also quoted in the country's currency at the
+ * shared FxRates store's rate for the day.
  */
 
+import { getFxRates } from '../core/fx-rates.js';
+
 export class PPPPricing {
     constructor(config = {}) {
         // Mock parity table
@@ -13,24 +17,48 @@ export class PPPPricing {
             'BR': 0.4,
             'DE': 0.95
         };
+        this.currencies = {
+            'US': 'USD',
+            'UK': 'GBP',
+            'IN': 'INR',
+            'BR': 'BRL',
+            'DE': 'EUR'
+        };
+        this.fx = getFxRates(config);
     }
 
     /**
      * Calculate localized price
      */
-    calculatePrice(basePriceUSD, countryCode) {
+    async calculatePrice(basePriceUSD, countryCode, date = new Date()) {
         const factor = this.parity[countryCode] || 1.0;
         const localPrice = basePriceUSD * factor;
 
         console.log(`[PPPPricing] Adjusted $${basePriceUSD} for ${countryCode} (Factor: ${factor}) -> $${localPrice.toFixed(2)}`);
 
+        const quote = await this.quote(localPrice, this.currencies[countryCode] || 'USD', date);
         return {
             original_price: basePriceUSD,
             local_price: parseFloat(localPrice.toFixed(2)),
             country: countryCode,
-            discount_applied: factor < 1.0
+            discount_applied: factor < 1.0,
+            currency: quote.to,
+            local_amount: quote.result,
+            exchange_rate: quote.rate
         };
     }
+
+    /**
+     * USD price in a local currency; stays in USD when there is no rate for it
+     */
+    async quote(priceUSD, currency, date) {
+        try {
+            return await this.fx.convert(priceUSD, 'USD', currency, date);
+        } catch (error) {
+            console.warn(`[PPPPricing] ${error.message}; quoting in USD`);
+            return { to: 'USD', rate: 1, result: parseFloat(priceUSD.toFixed(2)) };
+        }
+    }
 }
 
 export default PPPPricing;
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,6 +19,7 @@ export class SocialPublisher {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/social');
         this.screenshotsDir = path.join(this.dataDir, 'screenshots');
         this.headless = config.headless !== false;
+        this.scheduledPosts = getStateStore(config).collection('social.scheduled-posts');
         this.browser = null;
         this.page = null;
 
@@ -353,7 +355,7 @@ export class SocialPublisher {
     /**
      * Schedule a post
      */
-    schedulePost(platform, content, scheduledTime) {
+    async schedulePost(platform, content, scheduledTime) {
         const scheduled = {
             id: `scheduled-${Date.now()}`,
             platform,
@@ -363,13 +365,7 @@ export class SocialPublisher {
             createdAt: new Date().toISOString()
         };
 
-        const scheduledFile = path.join(this.dataDir, 'scheduled-posts.json');
-        let scheduledPosts = [];
-        if (fs.existsSync(scheduledFile)) {
-            scheduledPosts = JSON.parse(fs.readFileSync(scheduledFile, 'utf-8'));
-        }
-        scheduledPosts.push(scheduled);
-        fs.writeFileSync(scheduledFile, JSON.stringify(scheduledPosts, null, 2));
+        await this.scheduledPosts.set(scheduled.id, scheduled);
 
         return { success: true, scheduled };
     }
@@ -378,9 +374,7 @@ export class SocialPublisher {
      * Get scheduled posts
      */
     getScheduledPosts() {
-        const scheduledFile = path.join(this.dataDir, 'scheduled-posts.json');
-        if (!fs.existsSync(scheduledFile)) return [];
-        return JSON.parse(fs.readFileSync(scheduledFile, 'utf-8'));
+        return this.scheduledPosts.values();
     }
 
     /**
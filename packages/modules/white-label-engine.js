@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getStateStore } from '../core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,7 @@ export class WhiteLabelEngine {
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(__dirname, '../../data/products');
         this.ensureDataDir();
+        this.packages = getStateStore(config).collection('white-label.packages');
     }
 
     ensureDataDir() {
@@ -25,7 +27,7 @@ export class WhiteLabelEngine {
     /**
      * Create a white-label package from a business
      */
-    createPackage(business) {
+    async createPackage(business) {
         console.log(`[WhiteLabel] Packaging ${business.name} for white-labeling...`);
 
         const pkg = {
@@ -53,12 +55,7 @@ export class WhiteLabelEngine {
             createdAt: new Date().toISOString()
         };
 
-        const file = path.join(this.dataDir, 'white-label-packages.json');
-        let packages = [];
-        if (fs.existsSync(file)) packages = JSON.parse(fs.readFileSync(file));
-
-        packages.push(pkg);
-        fs.writeFileSync(file, JSON.stringify(packages, null, 2));
+        await this.packages.set(pkg.id, pkg);
 
         return pkg;
     }
@@ -4,4 +4,5 @@
 
 import { Orchestrator } from './orchestrator.js';
 export { Orchestrator };
+export { WorkerPool } from './worker-pool.js';
 export default Orchestrator;
@@ -1,8 +1,9 @@
 import readline from 'readline';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { PolicyEngine, AuditLogger, ApprovalFlow, DailySummarizer, EmailNotifier, ModelRouter, Database } from '../core/index.js';
+import { PolicyEngine, AuditLogger, ApprovalFlow, ApprovalScheduler, DailySummarizer, EmailNotifier, ModelRouter, Database, JobQueue, Scheduler } from '../core/index.js';
 import { SelfImprovement } from '../core/self-improvement.js';
+import { WorkerPool } from './worker-pool.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,10 +13,10 @@ export class Orchestrator {
         this.config = config;
 
         // Initialize core components
-        this.policyEngine = new PolicyEngine(config);
+        this.policyEngine = config.policyEngine || new PolicyEngine(config);
         this.auditLogger = new AuditLogger(config);
         this.emailNotifier = new EmailNotifier(config);
-        this.ai = new ModelRouter(config);
+        this.ai = config.modelRouter || new ModelRouter(config);
         this.db = config.db || new Database(config);
         this.selfImprovement = new SelfImprovement({ ...config, modelRouter: this.ai });
 
@@ -28,18 +29,37 @@ export class Orchestrator {
             auditLogger: this.auditLogger,
             db: this.db
         });
+        // Recurring jobs for the summarizer, approval sweeps and any module that declares `schedules`
+        this.scheduler = config.scheduler || new Scheduler({ ...config, db: this.db });
+        // Expiry, reminders and escalation; each sweep also catches decisions made by other processes
+        this.approvalScheduler = new ApprovalScheduler({
+            ...config,
+            approvalFlow: this.approvalFlow,
+            db: this.db,
+            scheduler: this.scheduler,
+            onTick: () => this.checkExternalApprovals()
+        });
+        this.approvalFlow.on('resolved', () => {
+            this.checkExternalApprovals().catch(error => console.error('Approval check failed:', error.message));
+        });
         this.dailySummarizer = new DailySummarizer({
             ...config,
             auditLogger: this.auditLogger,
             emailNotifier: this.emailNotifier,
+            scheduler: this.scheduler,
             db: this.db
         });
 
-        // Task queue
-        this.taskQueue = [];
+        // Durable task queue: leased, retried with backoff, dead-lettered after max attempts
+        this.jobQueue = config.jobQueue || new JobQueue({ ...config, db: this.db });
         this.runningTasks = new Map();
         this.modules = new Map();
-        this.deadLetterQueue = []; // Dead letter queue for failed tasks
+        // Tasks run in parallel up to the pool size and each module's own limits
+        this.workerPool = new WorkerPool({
+            concurrency: config.workerConcurrency || parseInt(process.env.ORCHESTRATOR_CONCURRENCY) || 4,
+            moduleConcurrency: config.moduleConcurrency || parseInt(process.env.ORCHESTRATOR_MODULE_CONCURRENCY) || 1
+        });
+        this.shutdownTimeoutMs = config.shutdownTimeoutMs || parseInt(process.env.ORCHESTRATOR_SHUTDOWN_TIMEOUT_MS) || 30000;
 
         // Priority weights
         this.priorityWeights = {
@@ -58,22 +78,93 @@ export class Orchestrator {
     async init() {
         await this.db.init();
         await this.loadQueue();
+        await this.loadAwaitingApprovals();
         return this;
     }
 
+    /**
+     * Move tasks saved as queued before the job queue existed into it;
+     * tasks that already have a job are left alone
+     */
     async loadQueue() {
-        this.taskQueue = await this.db.getQueuedTasks();
+        for (const task of await this.db.getQueuedTasks()) {
+            const { duplicate } = await this.jobQueue.enqueue(task);
+            if (!duplicate) console.log(`[Orchestrator] Recovered queued task ${task.id}`);
+        }
+    }
+
+    /**
+     * Track tasks left waiting on an approval by an earlier run again, then
+     * act on any decision made while this process was down. Edited dead-letter
+     * replays carry their edits in the task row.
+     */
+    async loadAwaitingApprovals() {
+        for (const task of await this.db.getTasks({ status: 'pending_approval' })) {
+            if (this.awaitingExternally.has(task.id)) continue;
+            this.awaitingExternally.set(task.id, task);
+            console.log(`[Orchestrator] Recovered task ${task.id} awaiting approval`);
+        }
+        await this.checkExternalApprovals();
     }
 
     /**
-     * Register a module with the orchestrator
+     * Register a module with the orchestrator. Its worker limits come from
+     * `options`, else the module's own `workerLimits`, else the pool default.
+     * Each entry of the module's `schedules` ({ name, cron, action, data,
+     * timezone, catchUp, description }) becomes a recurring task.
+     * @param {Object} [options] - { concurrency, rateLimit: { max, intervalMs } }
      */
-    registerModule(name, moduleInstance) {
+    registerModule(name, moduleInstance, options = {}) {
         this.modules.set(name, moduleInstance);
-        this.auditLogger.logSystem('module_registered', { name });
+        const limits = { ...moduleInstance.workerLimits, ...options };
+        this.workerPool.setLimits(name, limits);
+        for (const schedule of moduleInstance.schedules || []) {
+            const { timezone, catchUp, description } = schedule;
+            this.scheduleTask(schedule.name, schedule.cron, {
+                module: name,
+                action: schedule.action,
+                data: schedule.data || {},
+                description
+            }, { timezone, catchUp });
+        }
+        this.auditLogger.logSystem('module_registered', { name, ...limits });
         console.log(`Module registered: ${name}`);
     }
 
+    /**
+     * Submit `task` on a cron schedule. Each occurrence gets its own task id and
+     * idempotency key, so it is submitted once even if two processes share the
+     * database, and it is skipped while the previous occurrence is unfinished.
+     * @param {Object} task - { module, action, data, description, ... } as for submitTask
+     * @param {Object} [options] - { timezone, catchUp, description }
+     */
+    scheduleTask(name, cron, task, options = {}) {
+        const taskId = (scheduledAt) => `schedule-${name}-${Date.parse(scheduledAt)}`;
+
+        this.scheduler.register(name, {
+            ...options,
+            cron,
+            description: options.description || task.description || `${task.module} ${task.action}`,
+            handler: async ({ scheduledAt, lastScheduledAt, missed }) => {
+                const previous = lastScheduledAt && await this.db.getTask(taskId(lastScheduledAt));
+                if (previous && ['queued', 'pending_approval', 'running', 'retrying'].includes(previous.status)) {
+                    return { skipped: `Previous run ${previous.id} is still ${previous.status}` };
+                }
+
+                const result = await this.submitTask({
+                    ...task,
+                    data: { ...task.data },
+                    id: taskId(scheduledAt),
+                    description: task.description || `Scheduled ${name}`,
+                    idempotencyKey: `schedule:${name}:${scheduledAt}`,
+                    schedule: { name, scheduledAt, missed }
+                });
+                if (result.status === 'duplicate') return { skipped: `Already submitted as ${result.taskId}` };
+                return result;
+            }
+        });
+    }
+
     /**
      * Calculate priority score for a task
      */
@@ -92,9 +183,17 @@ export class Orchestrator {
     }
 
     /**
-     * Submit a task to the orchestrator
+     * Submit a task to the orchestrator. A task with an `idempotencyKey` that
+     * was submitted before is not queued (or sent for approval) again.
      */
     async submitTask(task) {
+        if (task.idempotencyKey) {
+            const existing = await this.db.getJobByKey(task.idempotencyKey);
+            if (existing) {
+                return { status: 'duplicate', taskId: existing.id, jobStatus: existing.status };
+            }
+        }
+
         // Enrich task with metadata
         task.id = task.id || `task-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
         task.submittedAt = new Date().toISOString();
@@ -112,16 +211,7 @@ export class Orchestrator {
         const approvalResult = await this.approvalFlow.submit(task);
 
         if (approvalResult.approved) {
-            // Add to queue sorted by priority
-            this.taskQueue.push(task);
-            this.taskQueue.sort((a, b) => b.priority - a.priority);
-
-            return {
-                status: 'queued',
-                taskId: task.id,
-                priority: task.priority,
-                position: this.taskQueue.findIndex(t => t.id === task.id) + 1
-            };
+            return this.enqueueTask(task);
         } else {
             // Update status in DB
             task.status = 'pending_approval';
@@ -138,34 +228,84 @@ export class Orchestrator {
     }
 
     /**
-     * Execute the next task in queue
+     * Put an approved task on the job queue
+     */
+    async enqueueTask(task) {
+        task.status = 'queued';
+        await this.db.saveTask({ ...task, business_id: task.businessId || 'system' });
+        const { job, duplicate } = await this.jobQueue.enqueue(task);
+
+        return {
+            status: duplicate ? 'duplicate' : 'queued',
+            taskId: job.id,
+            priority: job.priority,
+            jobStatus: job.status
+        };
+    }
+
+    /**
+     * Lease the next task whose module has a free worker and run it
      */
     async executeNext() {
-        if (this.taskQueue.length === 0) {
+        if (!this.workerPool.hasCapacity()) {
+            return { status: 'busy', message: 'All workers are busy' };
+        }
+        const [job] = await this.jobQueue.lease(1, { excludeModules: this.workerPool.blockedModules() });
+        if (!job) {
             return { status: 'empty', message: 'No tasks in queue' };
         }
+        return this.workerPool.run(job.module || '', () => this.runJob(job));
+    }
+
+    /**
+     * Start leased tasks until the pool is full or nothing else may run yet
+     * @returns {Promise<Array<Promise>>} one result promise per started task
+     */
+    async fillWorkers() {
+        const started = [];
+        while (this.workerPool.hasCapacity()) {
+            const [job] = await this.jobQueue.lease(1, { excludeModules: this.workerPool.blockedModules() });
+            if (!job) break;
+            started.push(this.workerPool.run(job.module || '', () => this.runJob(job)));
+        }
+        return started;
+    }
 
-        const task = this.taskQueue.shift();
+    /**
+     * Execute a leased task. A failure is retried with backoff until the
+     * task's attempts are used up, then dead-lettered.
+     */
+    async runJob(job) {
+        const task = { ...job.payload, attempts: job.attempts };
         this.runningTasks.set(task.id, task);
 
         task.status = 'running';
         await this.db.saveTask({ ...task, business_id: task.businessId || 'system' });
 
-        this.auditLogger.logExecution(task.id, 'started');
+        this.auditLogger.logExecution(task.id, 'started', { attempt: job.attempts, maxAttempts: job.max_attempts });
 
-        try {
-            // Find the appropriate module
-            const module = this.modules.get(task.module);
+        // Keep the lease while the module works; a crash lets it lapse so the task is redelivered
+        const heartbeat = setInterval(() => {
+            this.jobQueue.extendLease(job.id).catch(error => console.error('Lease renewal failed:', error.message));
+        }, Math.max(this.jobQueue.visibilityTimeoutMs / 3, 1000));
+        heartbeat.unref?.();
 
+        // Find the appropriate module
+        const module = this.modules.get(task.module);
+
+        try {
             if (!module) {
                 throw new Error(`Module not found: ${task.module}`);
             }
 
             // Execute the task
             const result = await module.execute(task);
+            clearInterval(heartbeat);
 
             task.status = 'completed';
             task.result = result;
+            delete task.error;
+            await this.jobQueue.complete(job.id);
             await this.db.saveTask({ ...task, business_id: task.businessId || 'system' });
 
             this.auditLogger.logExecution(task.id, 'completed', result);
@@ -182,36 +322,47 @@ export class Orchestrator {
                 result
             };
         } catch (error) {
-            task.status = 'failed';
+            clearInterval(heartbeat);
+            // A missing module will not appear by retrying
+            const outcome = await this.jobQueue.fail(job.id, error, { retryable: Boolean(module) });
+
+            task.status = outcome?.status === 'queued' ? 'retrying' : 'failed';
             task.error = error.message;
+            if (outcome?.retryAt) task.nextAttemptAt = outcome.retryAt;
             await this.db.saveTask({ ...task, business_id: task.businessId || 'system' });
 
-            this.auditLogger.logExecution(task.id, 'failed', { error: error.message });
+            this.auditLogger.logExecution(task.id, 'failed', {
+                error: error.message,
+                attempt: job.attempts,
+                ...(outcome?.retryAt ? { retryAt: outcome.retryAt } : { deadLettered: outcome?.status === 'dead' })
+            });
             this.runningTasks.delete(task.id);
 
-            // Add to dead letter queue
-            this.deadLetterQueue.push(task);
-
             return {
-                status: 'failed',
+                status: task.status,
                 taskId: task.id,
-                error: error.message
+                error: error.message,
+                attempts: job.attempts,
+                retryAt: outcome?.retryAt
             };
         }
     }
 
     /**
-     * Process all queued tasks
+     * Process every task that is ready now, in parallel within the worker
+     * limits (retries still backing off are left queued)
      */
     async processQueue() {
-        const results = [];
+        const running = [];
 
-        while (this.taskQueue.length > 0) {
-            const result = await this.executeNext();
-            results.push(result);
+        for (;;) {
+            const started = await this.fillWorkers();
+            running.push(...started);
+            if (started.length === 0 && this.workerPool.size === 0) break;
+            await this.workerPool.waitForSlot(1000);
         }
 
-        return results;
+        return Promise.all(running);
     }
 
     /**
@@ -224,8 +375,10 @@ export class Orchestrator {
         // Initialize email notifier
         await this.emailNotifier.init();
 
-        // Start daily summarizer
+        // Start daily summarizer, approval deadline sweeps and module schedules
         this.dailySummarizer.start();
+        this.approvalScheduler.start();
+        this.scheduler.start();
 
         // Log startup
         this.auditLogger.logSystem('orchestrator_started', {
@@ -254,18 +407,19 @@ export class Orchestrator {
      */
     async runExecutionLoop() {
         while (this.isRunning) {
-            // Check for pending external approvals
-            await this.checkExternalApprovals();
-
-            if (this.taskQueue.length > 0 && this.runningTasks.size === 0) {
-                await this.executeNext();
+            try {
+                await this.fillWorkers();
+            } catch (error) {
+                console.error('[Orchestrator] Queue error:', error.message);
             }
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            // Top up as soon as a worker frees, otherwise poll for new or retried tasks
+            await this.workerPool.waitForSlot(2000);
         }
     }
 
     /**
-     * Watch for approvals in the ApprovalFlow
+     * Pick up approvals resolved in the ApprovalFlow; runs on its 'resolved'
+     * events and after every ApprovalScheduler sweep
      */
     async checkExternalApprovals() {
         if (this.awaitingExternally.size === 0) return;
@@ -276,11 +430,25 @@ export class Orchestrator {
             const status = await this.approvalFlow.getStatus(taskId);
 
             if (status.found && status.status !== 'pending') {
-                this.awaitingExternally.delete(taskId);
+                // An overlapping check may already have handled this task
+                if (!this.awaitingExternally.delete(taskId)) continue;
 
-                if (status.status === 'approved') {
+                if (status.status === 'approved' && task.replayEdits) {
+                    console.log(`\n🔔 Edited replay of ${taskId} was approved. Re-queueing...`);
+                    const result = await this.requeueDeadLetter(taskId, task.replayEdits);
+                    if (!result.success) console.log(`❌ ${result.error}`);
+                    if (this.rl) this.rl.prompt();
+                } else if (status.status === 'approved') {
                     console.log(`\n🔔 Task ${taskId} was approved externally. Re-queueing...`);
-                    await this.submitTask(task);
+                    await this.enqueueTask(task);
+                    if (this.rl) this.rl.prompt();
+                } else if (task.replayEdits) {
+                    // The edited replay was turned down or expired; the job stays in the dead letter queue
+                    await this.db.updateTaskStatus(taskId, 'failed', { replayEdits: undefined });
+                    console.log(`\n🚫 Edited replay of ${taskId} was ${status.status}; it stays in the dead letter queue.`);
+                    if (this.rl) this.rl.prompt();
+                } else if (status.status === 'deferred') {
+                    console.log(`\n⏳ Task ${taskId} expired without a decision and was deferred. Resubmit it to ask again.`);
                     if (this.rl) this.rl.prompt();
                 } else {
                     console.log(`\n🚫 Task ${taskId} was rejected externally.`);
@@ -316,7 +484,7 @@ export class Orchestrator {
             }
         }).on('close', () => {
             console.log('\nExiting Interactive Mode...');
-            this.stop();
+            this.shutdown();
         });
     }
 
@@ -366,10 +534,13 @@ export class Orchestrator {
                 this.showHelp();
                 break;
             case 'status':
-                console.log(JSON.stringify(this.getStatus(), null, 2));
+                console.log(JSON.stringify(await this.getStatus(), null, 2));
                 break;
             case 'tasks':
-                this.showTasks();
+                await this.showTasks();
+                break;
+            case 'dlq':
+                await this.handleDeadLetterCommand(args);
                 break;
             case 'analyze':
                 if (!fullArg) {
@@ -395,10 +566,12 @@ export class Orchestrator {
                 if (!fullArg) {
                     console.log('Usage: approve <taskId>');
                 } else {
-                    const approvalResult = this.approvalFlow.respond(fullArg, true, 'User CLI approval');
-                    if (approvalResult.success) {
+                    const approvalResult = await this.approvalFlow.respond(fullArg, true, 'User CLI approval');
+                    if (approvalResult.success && approvalResult.status === 'pending') {
+                        console.log(`🗳️ Vote recorded (${approvalResult.approvals}/${approvalResult.required}); waiting for other approvers.`);
+                    } else if (approvalResult.success) {
                         console.log('✅ Approved and re-submitted to queue.');
-                        await this.submitTask(approvalResult.task);
+                        await this.enqueueTask(approvalResult.task);
                     } else {
                         console.log('❌ Approval failed:', approvalResult.error);
                     }
@@ -489,19 +662,79 @@ If you cannot interpret it as a task, return an empty object.`;
         console.log('  approvals          List pending approvals');
         console.log('  analyze "idea"     Start business analysis');
         console.log('  approve <taskId>   Approve a pending task');
+        console.log('  dlq                List dead-lettered tasks');
+        console.log('  dlq show <id>      Show a dead task, its errors and payload');
+        console.log('  dlq replay <id> [json]  Re-queue a dead task, optionally merging JSON edits');
+        console.log('  dlq discard <id>   Drop a dead task');
         console.log('  help               Show this help menu');
         console.log('  exit / quit        Close the orchestrator\n');
         console.log('  💡 Purely conversational inputs will be answered.');
         console.log('  💡 Task-like inputs will ask for confirmation (y/n).\n');
     }
 
+    /**
+     * Dead-letter inspector: dlq [show|replay|discard] <id> [json edits]
+     */
+    async handleDeadLetterCommand(args) {
+        const [sub = 'list', id, ...rest] = args.filter(Boolean);
+
+        if (sub === 'list') {
+            const { jobs, total } = await this.jobQueue.listDead({ limit: 20 });
+            if (total === 0) {
+                console.log('Dead letter queue is empty.');
+                return;
+            }
+            console.log(`\n☠️ Dead Letter Queue (${total} tasks):`);
+            for (const job of jobs) {
+                console.log(`  [${job.id}] ${job.payload.module}.${job.payload.action || '?'} after ${job.attempts} attempt(s): ${job.last_error}`);
+            }
+            console.log('');
+            return;
+        }
+
+        if (!id) {
+            console.log('Usage: dlq [show|replay|discard] <id> [json edits]');
+            return;
+        }
+
+        if (sub === 'show') {
+            const job = await this.jobQueue.getJob(id);
+            if (!job) {
+                console.log(`❌ Job not found: ${id}`);
+                return;
+            }
+            console.log(JSON.stringify({ id: job.id, status: job.status, attempts: job.attempts, history: job.history, task: job.payload }, null, 2));
+        } else if (sub === 'replay') {
+            let edits = {};
+            if (rest.length > 0) {
+                try {
+                    edits = JSON.parse(rest.join(' '));
+                } catch (e) {
+                    console.log(`❌ Edits must be JSON: ${e.message}`);
+                    return;
+                }
+            }
+            const result = await this.replayDeadLetter(id, edits);
+            if (result.status === 'pending_approval') console.log(`🔒 Edited task ${id} needs approval before it runs: ${result.reason}`);
+            else console.log(result.success ? `🔁 Task ${id} re-queued.` : `❌ ${result.error}`);
+        } else if (sub === 'discard') {
+            const result = await this.discardDeadLetter(id);
+            console.log(result.success ? `🗑️ Task ${id} discarded.` : `❌ ${result.error}`);
+        } else {
+            console.log('Usage: dlq [show|replay|discard] <id> [json edits]');
+        }
+    }
+
     /**
      * Show task queue
      */
-    showTasks() {
-        console.log(`\n📋 Task Queue (${this.taskQueue.length} tasks):`);
-        this.taskQueue.forEach((t, i) => {
-            console.log(`  ${i + 1}. [${t.module}] ${t.description} (Priority: ${t.priority.toFixed(2)})`);
+    async showTasks() {
+        const { jobs, total } = await this.jobQueue.list({ status: 'queued', limit: 20 });
+        jobs.sort((a, b) => b.priority - a.priority);
+        console.log(`\n📋 Task Queue (${total} tasks):`);
+        jobs.forEach((job, i) => {
+            const waiting = job.available_ms > Date.now() ? `, retry at ${new Date(job.available_ms).toISOString()}` : '';
+            console.log(`  ${i + 1}. [${job.module}] ${job.payload.description} (Priority: ${job.priority.toFixed(2)}${waiting})`);
         });
         if (this.runningTasks.size > 0) {
             console.log(`\n⚙️ Running Tasks (${this.runningTasks.size}):`);
@@ -512,38 +745,110 @@ If you cannot interpret it as a task, return an empty object.`;
         console.log('');
     }
 
+    /**
+     * Stop taking tasks and wait up to timeoutMs for running ones to finish.
+     * Anything still running after that keeps its lease, which lapses so the
+     * task is picked up again on the next start.
+     * @returns {Promise<boolean>} true when every running task finished
+     */
+    async shutdown(timeoutMs = this.shutdownTimeoutMs) {
+        this.isRunning = false;
+        if (this.workerPool.size > 0) {
+            console.log(`Waiting for ${this.workerPool.size} running task(s) to finish...`);
+        }
+        const drained = await this.workerPool.drain(timeoutMs);
+        if (!drained) {
+            console.warn(`[Orchestrator] ${this.workerPool.size} task(s) still running after ${timeoutMs}ms; they will be retried`);
+        }
+        this.stop();
+        return drained;
+    }
+
     /**
      * Stop the orchestrator
      */
     stop() {
         this.isRunning = false;
         this.dailySummarizer.stop();
+        this.approvalScheduler.stop();
+        this.scheduler.stop();
         this.auditLogger.logSystem('orchestrator_stopped');
         console.log('Orchestrator stopped');
     }
 
     /**
-     * Retry tasks from dead letter queue
+     * Re-queue one dead-lettered task with fresh attempts. Edits can change
+     * what the task does (an amount, a target), so an edited task goes back
+     * through the ApprovalFlow like a new submission and stays dead until it
+     * is approved.
+     * @param {Object} [edits] - task fields to change first (e.g. corrected data)
+     * @returns {Promise<Object>} - { success, job } once re-queued, or { success, status: 'pending_approval', approvalId, reason }
      */
-    async retryDeadLetterQueue() {
-        const tasks = [...this.deadLetterQueue];
-        this.deadLetterQueue = [];
-        for (const task of tasks) {
-            task.status = 'queued';
-            task.retryCount = (task.retryCount || 0) + 1;
-            await this.submitTask(task);
+    async replayDeadLetter(id, edits = {}) {
+        if (edits && Object.keys(edits).length > 0) {
+            const job = await this.jobQueue.getJob(id);
+            if (!job) return { success: false, error: `Job not found: ${id}` };
+            if (job.status !== 'dead') return { success: false, error: `Job ${id} is ${job.status}, not dead` };
+
+            const task = { ...job.payload, ...edits, id };
+            const approvalResult = await this.approvalFlow.submit(task);
+            if (!approvalResult.approved) {
+                this.awaitingExternally.set(id, { ...task, replayEdits: edits });
+                await this.db.updateTaskStatus(id, 'pending_approval', { replayEdits: edits });
+                this.auditLogger.logSystem('dead_letter_replay_pending', { taskId: id, approvalId: approvalResult.approvalId, edits: Object.keys(edits) });
+                return { success: true, status: 'pending_approval', taskId: id, approvalId: approvalResult.approvalId, reason: approvalResult.reason };
+            }
         }
-        console.log(`Retried ${tasks.length} tasks from DLQ`);
+        return this.requeueDeadLetter(id, edits);
+    }
+
+    async requeueDeadLetter(id, edits = {}) {
+        const result = await this.jobQueue.replay(id, edits);
+        if (result.success) {
+            const task = { ...result.job.payload, retryCount: (result.job.payload.retryCount || 0) + 1 };
+            await this.db.saveTask({ ...task, business_id: task.businessId || 'system' });
+            this.auditLogger.logSystem('dead_letter_replayed', { taskId: id, edits: Object.keys(edits || {}) });
+        }
+        return result;
+    }
+
+    async discardDeadLetter(id) {
+        const result = await this.jobQueue.discard(id);
+        if (result.success) {
+            await this.db.updateTaskStatus(id, 'discarded');
+            this.auditLogger.logSystem('dead_letter_discarded', { taskId: id });
+        }
+        return result;
+    }
+
+    /**
+     * Retry every task in the dead letter queue
+     */
+    async retryDeadLetterQueue() {
+        let retried = 0;
+        let batch;
+        do {
+            batch = 0;
+            const { jobs } = await this.jobQueue.listDead({ limit: 100 });
+            for (const job of jobs) {
+                if ((await this.replayDeadLetter(job.id)).success) batch++;
+            }
+            retried += batch;
+        } while (batch > 0);
+        console.log(`Retried ${retried} tasks from DLQ`);
+        return retried;
     }
 
     /**
      * Get system status
      */
-    getStatus() {
+    async getStatus() {
+        const jobs = await this.jobQueue.counts();
         return {
-            queuedTasks: this.taskQueue.length,
+            queuedTasks: jobs.queued,
             runningTasks: this.runningTasks.size,
-            deadLetterQueue: this.deadLetterQueue.length,
+            workers: this.workerPool.getStatus(),
+            deadLetterQueue: jobs.dead,
             pendingApprovals: this.approvalFlow.getPending().length,
             registeredModules: Array.from(this.modules.keys()),
             todaysSummary: this.auditLogger.getDailySummary()
@@ -44,39 +44,39 @@ export class TaskDispatcher {
         // Task type to module mapping
         this.taskRoutes = {
             // Account operations
-            'create_account': { module: 'accountCreator', action: 'create' },
-            'get_account': { module: 'accountManager', action: 'get' },
-            'rotate_account': { module: 'accountManager', action: 'rotate' },
+            'create_account': { module: 'accountCreator', action: 'create', description: 'Create a new account on an online service' },
+            'get_account': { module: 'accountManager', action: 'get', description: 'Look up stored credentials for a service account' },
+            'rotate_account': { module: 'accountManager', action: 'rotate', description: 'Switch to the next available account for a service' },
 
             // Browser automation
-            'browse': { module: 'browserWorker', action: 'execute_now' },
-            'screenshot': { module: 'browserWorker', action: 'create_task' },
-            'fill_form': { module: 'browserWorker', action: 'create_task' },
+            'browse': { module: 'browserWorker', action: 'execute_now', description: 'Open a web page in the browser worker and run steps immediately' },
+            'screenshot': { module: 'browserWorker', action: 'create_task', description: 'Queue a browser task that captures a screenshot of a page' },
+            'fill_form': { module: 'browserWorker', action: 'create_task', description: 'Queue a browser task that fills in and submits a web form' },
 
             // Social media
-            'post_social': { module: 'social', action: 'post' },
-            'login_social': { module: 'social', action: 'login' },
-            'schedule_post': { module: 'social', action: 'schedule' },
+            'post_social': { module: 'social', action: 'post', description: 'Publish a post to a social media platform' },
+            'login_social': { module: 'social', action: 'login', description: 'Log in to a social media platform' },
+            'schedule_post': { module: 'social', action: 'schedule', description: 'Schedule a social media post for later' },
 
             // n8n workflows
-            'create_workflow': { module: 'n8n', action: 'create' },
-            'trigger_workflow': { module: 'n8n', action: 'execute' },
-            'create_webhook': { module: 'n8n', action: 'create_webhook' },
+            'create_workflow': { module: 'n8n', action: 'create', description: 'Create an n8n automation workflow' },
+            'trigger_workflow': { module: 'n8n', action: 'execute', description: 'Run an existing n8n workflow' },
+            'create_webhook': { module: 'n8n', action: 'create_webhook', description: 'Create an n8n webhook trigger' },
 
             // Payments & invoicing
-            'create_invoice': { module: 'payments', action: 'create_invoice' },
-            'send_invoice': { module: 'payments', action: 'generate_html' },
-            'create_payment_link': { module: 'payments', action: 'create_payment_link' },
+            'create_invoice': { module: 'payments', action: 'create_invoice', description: 'Create an invoice for a client' },
+            'send_invoice': { module: 'payments', action: 'generate_html', description: 'Render an invoice as HTML for sending' },
+            'create_payment_link': { module: 'payments', action: 'create_payment_link', description: 'Create a payment link a customer can pay online' },
 
             // Client management
-            'add_client': { module: 'clients', action: 'add' },
-            'email_client': { module: 'clients', action: 'send_email' },
-            'generate_proposal': { module: 'clients', action: 'generate_proposal' },
-            'generate_contract': { module: 'clients', action: 'generate_contract' },
-            'reply_email': { module: 'clients', action: 'generate_reply' },
+            'add_client': { module: 'clients', action: 'add', description: 'Add a new client to the CRM' },
+            'email_client': { module: 'clients', action: 'send_email', description: 'Send an email to a client' },
+            'generate_proposal': { module: 'clients', action: 'generate_proposal', description: 'Draft a proposal for a client' },
+            'generate_contract': { module: 'clients', action: 'generate_contract', description: 'Draft a contract for a client' },
+            'reply_email': { module: 'clients', action: 'generate_reply', description: 'Draft a reply to a client email' },
 
             // External tools
-            'external_task': { module: 'externalTools', action: 'createBrowserAgentTask' }
+            'external_task': { module: 'externalTools', action: 'createBrowserAgentTask', description: 'Hand a browser task to an external agent service' }
         };
 
         // Keyword-based routing for natural language tasks
@@ -183,6 +183,30 @@ export class TaskDispatcher {
         }
     }
 
+    /**
+     * Describe routes as tools for ModelRouter.runTools / AIProvider.runTools.
+     * The model's arguments become the task data; results are dispatch results.
+     * @param {string[]} [types] - Route types to expose (default: all)
+     * @returns {Array<{name: string, description: string, parameters: object, handler: Function}>}
+     */
+    getTools(types = Object.keys(this.taskRoutes)) {
+        return types
+            .filter(type => this.taskRoutes[type])
+            .map(type => {
+                const route = this.taskRoutes[type];
+                return {
+                    name: type,
+                    description: `${route.description} (runs ${route.module}.${route.action})`,
+                    parameters: {
+                        type: 'object',
+                        description: `Task data passed to ${route.module}.${route.action}`,
+                        additionalProperties: true
+                    },
+                    handler: (args) => this.dispatch({ type, data: args })
+                };
+            });
+    }
+
     /**
      * Infer task type from natural language description
      */
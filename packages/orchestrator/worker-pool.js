@@ -0,0 +1,143 @@
+/**
+ * Worker Pool - Runs Orchestrator tasks in parallel within limits
+ * The pool caps how many tasks run at once overall, and each module declares
+ * its own concurrency and optional rate limit (at most `max` task starts per
+ * `intervalMs`), so a slow or rate-limited module only holds back its own work.
+ */
+
+export class WorkerPool {
+    /**
+     * @param {Object} config
+     * @param {number} [config.concurrency] - tasks running at once across all modules (default 4)
+     * @param {number} [config.moduleConcurrency] - default per-module concurrency (default 1)
+     */
+    constructor(config = {}) {
+        this.concurrency = Math.max(1, config.concurrency || 4);
+        this.moduleConcurrency = Math.max(1, config.moduleConcurrency || 1);
+        this.limits = new Map();
+        this.active = new Map(); // module -> running count
+        this.starts = new Map(); // module -> recent start times, for rate limits
+        this.inFlight = new Set();
+        this.waiters = [];
+    }
+
+    /**
+     * @param {string} module
+     * @param {Object} [limits] - { concurrency, rateLimit: { max, intervalMs } }
+     */
+    setLimits(module, limits = {}) {
+        const rateLimit = limits.rateLimit?.max
+            ? { max: limits.rateLimit.max, intervalMs: limits.rateLimit.intervalMs || 60000 }
+            : null;
+        this.limits.set(module, {
+            concurrency: Math.max(1, limits.concurrency || this.moduleConcurrency),
+            rateLimit
+        });
+    }
+
+    getLimits(module) {
+        return this.limits.get(module) || { concurrency: this.moduleConcurrency, rateLimit: null };
+    }
+
+    get size() {
+        return this.inFlight.size;
+    }
+
+    hasCapacity() {
+        return this.inFlight.size < this.concurrency;
+    }
+
+    /**
+     * Whether a task for `module` may start now
+     */
+    canRun(module, now = Date.now()) {
+        const limits = this.getLimits(module);
+        if ((this.active.get(module) || 0) >= limits.concurrency) return false;
+        if (!limits.rateLimit) return true;
+        return this.recentStarts(module, now).length < limits.rateLimit.max;
+    }
+
+    /**
+     * Modules that may not start another task right now (at their concurrency or rate limit)
+     */
+    blockedModules(now = Date.now()) {
+        const modules = new Set([...this.limits.keys(), ...this.active.keys()]);
+        return [...modules].filter(module => !this.canRun(module, now));
+    }
+
+    recentStarts(module, now) {
+        const { rateLimit } = this.getLimits(module);
+        const recent = (this.starts.get(module) || []).filter(at => !rateLimit || at > now - rateLimit.intervalMs);
+        this.starts.set(module, recent);
+        return recent;
+    }
+
+    /**
+     * Start fn as a task of `module` without waiting for it
+     * @returns {Promise} settles when fn does (never rejects)
+     */
+    run(module, fn, now = Date.now()) {
+        this.active.set(module, (this.active.get(module) || 0) + 1);
+        if (this.getLimits(module).rateLimit) this.starts.set(module, [...this.recentStarts(module, now), now]);
+
+        const task = Promise.resolve()
+            .then(fn)
+            .catch(error => console.error(`[WorkerPool] ${module} task failed:`, error.message))
+            .finally(() => {
+                this.active.set(module, this.active.get(module) - 1);
+                if (this.active.get(module) === 0) this.active.delete(module);
+                this.inFlight.delete(task);
+                this.waiters.splice(0).forEach(resolve => resolve());
+            });
+        this.inFlight.add(task);
+        return task;
+    }
+
+    /**
+     * Resolve when any running task finishes, or after timeoutMs
+     */
+    waitForSlot(timeoutMs) {
+        return new Promise(resolve => {
+            const waiter = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            // An idle pool never clears the list, so a timed-out waiter takes itself off
+            const timer = setTimeout(() => {
+                const index = this.waiters.indexOf(waiter);
+                if (index >= 0) this.waiters.splice(index, 1);
+                resolve();
+            }, timeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Wait for every running task to finish
+     * @returns {Promise<boolean>} false when timeoutMs passed first
+     */
+    async drain(timeoutMs = 30000) {
+        const deadline = Date.now() + timeoutMs;
+        while (this.inFlight.size > 0) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) return false;
+            let timer;
+            await Promise.race([Promise.all(this.inFlight), new Promise(resolve => { timer = setTimeout(resolve, remaining); })]);
+            clearTimeout(timer);
+        }
+        return true;
+    }
+
+    /**
+     * Running tasks and limits per module
+     */
+    getStatus() {
+        const modules = {};
+        for (const module of new Set([...this.limits.keys(), ...this.active.keys()])) {
+            modules[module] = { running: this.active.get(module) || 0, ...this.getLimits(module) };
+        }
+        return { running: this.inFlight.size, concurrency: this.concurrency, modules };
+    }
+}
+
+export default WorkerPool;
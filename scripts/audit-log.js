@@ -0,0 +1,39 @@
+/**
+ * Audit Log CLI
+ * Usage: node scripts/audit-log.js [verify | checkpoint] [--dir path]
+ * verify exits non-zero when the hash chain or a checkpoint does not check out.
+ */
+
+import 'dotenv/config';
+import path from 'path';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dirIndex = args.indexOf('--dir');
+    const logDir = dirIndex >= 0 ? path.resolve(args[dirIndex + 1]) : undefined;
+    const [command = 'verify'] = dirIndex >= 0 ? args.filter((arg, i) => i !== dirIndex && i !== dirIndex + 1) : args;
+
+    const logger = new AuditLogger({ logDir });
+
+    if (command === 'checkpoint') {
+        const checkpoint = await logger.checkpoint();
+        console.log(checkpoint
+            ? `Checkpointed entry ${checkpoint.seq} (${checkpoint.signature ? 'signed' : 'unsigned'})`
+            : 'Nothing to checkpoint yet.');
+        return;
+    }
+    if (command !== 'verify') throw new Error(`Unknown command: ${command} (expected verify or checkpoint)`);
+
+    const report = logger.verify();
+    console.log(`Audit log: ${logger.logDir}`);
+    console.log(`  ${report.entries} entries in ${report.segments} segment(s), ${report.checkpoints} checkpoint(s), head #${report.head.seq}`);
+    for (const warning of report.warnings) console.log(`  ⚠️  ${warning}`);
+    for (const error of report.errors) {
+        console.log(`  ❌ ${error.segment}${error.line ? `:${error.line}` : ''}${error.seq !== null ? ` (#${error.seq})` : ''} ${error.error}`);
+    }
+    console.log(report.valid ? '✅ Chain intact' : `❌ ${report.errors.length} problem(s) found`);
+    if (!report.valid) process.exitCode = 1;
+}
+
+main().catch(e => { console.error(e.message); process.exit(1); });
@@ -0,0 +1,37 @@
+/**
+ * Approval Server accounts
+ * Usage:
+ *   node scripts/create-user.js <username> [admin|approver|operator|viewer]   (prompts for a password)
+ *   node scripts/create-user.js --token <username> [name]                     (prints a new API token)
+ */
+
+import readline from 'readline/promises';
+import Database from '../packages/core/database.js';
+import { ApprovalAuth, ROLES } from '../packages/core/approval-auth.js';
+
+async function main() {
+    const args = process.argv.slice(2);
+    const db = new Database();
+    const auth = new ApprovalAuth({ db, approvalSecret: 'cli' });
+    await db.init();
+
+    if (args[0] === '--token') {
+        const [, username, name = 'cli'] = args;
+        const user = username && await db.getUserByUsername(username);
+        if (!user) throw new Error(`Unknown user: ${username}`);
+        const { token } = await auth.createApiToken(user.id, name);
+        console.log(`API token for ${username} (shown once):\n${token}`);
+    } else {
+        const [username, role = 'admin'] = args;
+        if (!username) throw new Error(`Usage: create-user.js <username> [${Object.keys(ROLES).join('|')}]`);
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const password = await rl.question('Password (min 8 characters): ');
+        rl.close();
+        const user = await auth.createUser({ username, password, role });
+        console.log(`Created ${user.role} "${user.username}"`);
+    }
+
+    await db.close();
+}
+
+main().catch(e => { console.error(e.message); process.exit(1); });
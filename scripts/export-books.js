@@ -0,0 +1,52 @@
+/**
+ * Books Export CLI - Write the books in a format accounting software imports
+ * Usage:
+ *   node scripts/export-books.js <iif | qbo | xero | beancount | ledger> [journal | accounts | invoices | profit_loss]
+ *       [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--business id] [--account id] [--date-order DMY | MDY] [--out file]
+ * Without --out the file is written to data/exports/<dataset>-<scope>.<ext>
+ * profit_loss is only available as xero; the other formats build reports from an exported journal
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from '../packages/core/database.js';
+import { FinanceModule } from '../packages/modules/finance/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const FLAGS = { '--from': 'from', '--to': 'to', '--business': 'businessId', '--account': 'accountId', '--date-order': 'dateOrder', '--out': 'output' };
+
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        if (FLAGS[argv[i]]) options[FLAGS[argv[i]]] = argv[++i];
+        else positional.push(argv[i]);
+    }
+    [options.format, options.dataset = 'journal'] = positional;
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.format) throw new Error('Usage: export-books.js <iif | qbo | xero | beancount | ledger> [dataset] [--from] [--to] [--business] [--account] [--out]');
+
+    const db = new Database();
+    try {
+        const finance = await new FinanceModule({ db }).init();
+        const { output: file, ...filters } = options;
+        const result = await finance.exportBooks(filters);
+        if (!result.success) throw new Error(result.error);
+
+        const output = file || path.join(__dirname, '../data/exports', result.filename);
+        fs.mkdirSync(path.dirname(output), { recursive: true });
+        fs.writeFileSync(output, result.content);
+        console.log(`Exported ${result.count} ${result.dataset} record(s) as ${result.format}: ${output}`);
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(e => { console.error(e.message); process.exit(1); });
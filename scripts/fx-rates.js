@@ -0,0 +1,41 @@
+/**
+ * FX Rates CLI
+ * Usage:
+ *   node scripts/fx-rates.js import <eurofxref.csv | eurofxref-hist.csv | rates.json>
+ *   node scripts/fx-rates.js convert <amount> <from> <to> [YYYY-MM-DD]
+ *   node scripts/fx-rates.js list [base] [quote]
+ */
+
+import 'dotenv/config';
+import Database from '../packages/core/database.js';
+import { FxRates } from '../packages/core/fx-rates.js';
+
+async function main() {
+    const [command = 'list', ...args] = process.argv.slice(2);
+    const db = new Database();
+    const fx = await new FxRates({ db }).init();
+
+    try {
+        if (command === 'import') {
+            if (!args[0]) throw new Error('Usage: fx-rates.js import <file>');
+            const result = await fx.importFile(args[0]);
+            console.log(`Imported ${result.imported} rate(s)${result.from ? ` from ${result.from} to ${result.to}` : ''}`);
+        } else if (command === 'convert') {
+            const [amount, from, to, date] = args;
+            if (!amount || !from || !to) throw new Error('Usage: fx-rates.js convert <amount> <from> <to> [date]');
+            const result = await fx.convert(Number(amount), from, to, date || new Date());
+            console.log(`${result.amount} ${result.from} = ${result.result} ${result.to} (rate ${result.rate}, from ${result.rateDate})`);
+        } else if (command === 'list') {
+            const [base, quote] = args.map(code => code.toUpperCase());
+            for (const rate of await fx.listRates({ base, quote, limit: 50 })) {
+                console.log(`${rate.date}  ${rate.base}/${rate.quote}  ${rate.rate}  (${rate.source})`);
+            }
+        } else {
+            throw new Error(`Unknown command: ${command} (expected import, convert or list)`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(e => { console.error(e.message); process.exit(1); });
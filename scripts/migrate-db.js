@@ -0,0 +1,34 @@
+/**
+ * Schema Migration CLI
+ * Usage: node scripts/migrate-db.js [status | up [version] | down [version]]
+ */
+
+import Database from '../packages/core/database.js';
+import { migrations } from '../packages/core/migrations.js';
+
+async function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+    const target = arg !== undefined ? parseInt(arg) : undefined;
+
+    const db = new Database({ migrations: [] }); // open without auto-applying
+    await db.init();
+    db.migrations = migrations;
+
+    if (command === 'up') {
+        const applied = await db.migrate(target ?? Infinity);
+        console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Schema is up to date.');
+    } else if (command === 'down') {
+        const reverted = await db.rollback(target);
+        console.log(reverted.length ? `Reverted: ${reverted.join(', ')}` : 'Nothing to revert.');
+    } else {
+        const applied = new Map((await db.getAppliedMigrations()).map(m => [m.version, m]));
+        for (const m of migrations) {
+            const row = applied.get(m.version);
+            console.log(`${row ? '✅' : '⏳'} ${String(m.version).padStart(3, '0')}_${m.name}${row ? `  (applied ${row.applied_at})` : ''}`);
+        }
+    }
+
+    await db.close();
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
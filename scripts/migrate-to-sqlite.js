@@ -1,22 +1,117 @@
 /**
  * Migration Script - JSON to SQLite
- * Migrates existing King AI Studio data to the new SQLite database
+ * Migrates existing King AI Studio data to the new SQLite database.
+ * Safe to re-run: every step upserts by id, and append-only files are only
+ * imported again when they change.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Database from '../packages/core/database.js';
+import { StateStore } from '../packages/core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, '../data');
 
+/**
+ * Select for lists without an id: store each item under one of its own fields
+ */
+function keyedBy(field) {
+    return list => Object.fromEntries(list.map(item => [item[field], item]));
+}
+
+// Legacy per-module JSON files and the StateStore collection each one now lives in
+const JSON_STORES = [
+    { collection: 'strategies', file: 'strategies.json' },
+    { collection: 'profit.businesses', file: 'profit/profit-data.json', select: d => d.businesses },
+    { collection: 'ab-tests', file: 'ab-tests/tests.json' },
+    { collection: 'clients', file: 'clients/clients.json' },
+    { collection: 'contracts', file: 'contracts/contracts.json' },
+    { collection: 'contracts.templates', file: 'contracts/templates.json' },
+    { collection: 'contracts.receivables', file: 'contracts/receivables.json' },
+    { collection: 'finance.accounts', file: 'finance/accounts.json' },
+    { collection: 'finance.transactions', file: 'finance/transactions.json' },
+    { collection: 'finance.budgets', file: 'finance/budgets.json' },
+    { collection: 'compliance.filings', file: 'compliance/filings.json' },
+    { collection: 'compliance.reminders', file: 'compliance/reminders.json' },
+    { collection: 'cross-sell.businesses', file: 'cross-sell/network.json', select: d => d.businesses },
+    { collection: 'cross-sell.relationships', file: 'cross-sell/network.json', select: d => d.relationships },
+    { collection: 'cross-sell.offers', file: 'cross-sell/network.json', select: d => d.offers },
+    { collection: 'cross-sell.conversions', file: 'cross-sell/network.json', select: d => d.conversions },
+    { collection: 'tax.filings', file: 'finance/tax-filings.json' },
+    { collection: 'finance.bank-accounts', file: 'finance/bank-accounts.json' },
+    { collection: 'payments.pending', file: 'payments/pending-payments.json' },
+    { collection: 'legal.incorporations', file: 'legal/incorporations.json' },
+    { collection: 'white-label.packages', file: 'products/white-label-packages.json' },
+    { collection: 'monetization.datasets', file: 'monetization/datasets.json' },
+    { collection: 'affiliates', file: 'marketing/affiliates.json' },
+    { collection: 'spy.competitors', file: 'spy/competitors.json', select: keyedBy('url') },
+    { collection: 'hr.jobs', file: 'hr/jobs.json' },
+    { collection: 'support.knowledge-base', file: 'support/knowledge-base.json' },
+    { collection: 'social.scheduled-posts', file: 'social/scheduled-posts.json' },
+    { collection: 'documents', file: 'documents/metadata.json', select: d => d.documents },
+    { collection: 'web.domains', file: 'web/domains.json', select: keyedBy('domain') },
+    { collection: 'web.deployments', file: 'web/deployments.json' },
+    { collection: 'accounts.warm-pool', file: 'accounts/warm-pool.json' },
+    { collection: 'accounts.platforms', file: 'accounts/accounts.json', select: d => d.platforms },
+    { collection: 'email.temp-emails', file: 'email/temp-emails.json' },
+    { collection: 'templates.custom', file: 'templates/custom-templates.json' },
+    { collection: 'expansion.proposals', file: 'proposals/proposals.json' },
+    ...['twitter', 'linkedin', 'instagram', 'facebook'].map(platform => (
+        { collection: 'content-queue', file: `content-queue/${platform}-queue.json`, select: d => ({ [platform]: d }) }
+    ))
+];
+
+// JSON files not listed above, and why:
+// - ceo/pending-approvals.json, pending-approvals.json: approval queues; ApprovalFlow keeps
+//   the real rows in the approvals table (step 2 below imports the CEO file there) and the
+//   files are the no-ApprovalFlow fallback and the dashboard's view of it.
+// - ceo/empire-state.json: now the empire_state table (step 4).
+// - businesses/*.json, clones/*.json, payments/invoices/*.json: one file per record, so no
+//   save rewrites another record; analyses and tasks are imported in step 1.
+// - ceo/state.json: the one active plan's checkpoint, read back only by the CEO process
+//   that wrote it; the business itself is saved to the businesses table.
+// - ceo/output-*.json, parallel/progress.json, scaler/cycle-*.json,
+//   finance/margin-analysis.json, research/report-*.json, marketing/potential-partners-*.json,
+//   content-predictive/*.json, monetization/content-*.json, evaluation results, prompt
+//   versions and n8n workflow exports: snapshots and reports, written once and not shared.
+// - research/cache/*: a cache; losing it costs a refetch.
+// - agent task files (browser-worker, external-tools, vercept): a hand-off to processes
+//   outside Node that poll the directory.
+// - registry.json: rebuilt by ModuleRegistry.scan().
+// - models/usage-tracker.json: rate-limit counters written on every model call; they reset
+//   each window, so a lost increment only delays a limit by one call.
+// - models/budget-state.json: spend shared by every process under a file lock (llm-budget.js).
+// - tests/fixtures/llm/*.json: recorded LLM replies checked into the repo.
+// - *.jsonl logs: append-only, never rewritten; ceo/execution.jsonl is imported in step 3.
+
+/**
+ * Import each legacy JSON store into its collection (upsert by key)
+ */
+export async function importJsonStores(store, dataDir = DATA_DIR) {
+    const results = [];
+    for (const { collection, file, select } of JSON_STORES) {
+        try {
+            const result = await store.importJsonFile(collection, path.join(dataDir, file), select);
+            if (!result.skipped) console.log(`   ${collection}: ${result.imported} records from ${file}`);
+            results.push({ collection, ...result });
+        } catch (e) {
+            console.error(`   ❌ Failed to import ${file} into ${collection}:`, e.message);
+            results.push({ collection, error: e.message });
+        }
+    }
+    return results;
+}
+
 async function migrate() {
     console.log('🚀 Starting Data Migration: JSON → SQLite');
 
     const db = new Database();
     await db.init();
+    const store = new StateStore({ db });
+    const imports = store.collection('migrations.imports');
 
     // 1. Migrate Businesses
     const businessesDir = path.join(DATA_DIR, 'businesses');
@@ -100,17 +195,20 @@ async function migrate() {
         }
     }
 
-    // 3. Migrate Logs (Generic)
+    // 3. Migrate Logs (Generic) - append-only, so skip lines already imported
     const logsFile = path.join(DATA_DIR, 'ceo/execution.jsonl');
     if (fs.existsSync(logsFile)) {
         const lines = fs.readFileSync(logsFile, 'utf-8').split('\n').filter(Boolean);
-        console.log(`   Found ${lines.length} log entries.`);
-        for (const line of lines) {
+        const marker = await imports.get('ceo/execution.jsonl');
+        const start = marker?.lines || 0;
+        console.log(`   Found ${lines.length} log entries (${Math.max(lines.length - start, 0)} new).`);
+        for (const line of lines.slice(start)) {
             try {
                 const entry = JSON.parse(line);
                 await db.log(entry.business_id || entry.business, entry.type, entry.message, entry.phase);
             } catch (e) { }
         }
+        await imports.set('ceo/execution.jsonl', { lines: lines.length, importedAt: new Date().toISOString() });
     }
 
     // 4. Migrate Empire State
@@ -123,8 +221,14 @@ async function migrate() {
         } catch (e) { }
     }
 
+    // 5. Migrate per-module JSON stores into the shared StateStore
+    console.log('   Importing module JSON stores...');
+    await importJsonStores(store);
+
     console.log('\n✅ Migration Complete! Data now resides in data/king-ai.db');
     await db.close();
 }
 
-migrate().catch(console.error);
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    migrate().catch(console.error);
+}
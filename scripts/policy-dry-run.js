@@ -0,0 +1,52 @@
+/**
+ * Policy Dry Run - Show which approval rule would fire for a task
+ * Usage: node scripts/policy-dry-run.js <task.json | '{"name": ...}' | -> [--rules file] [--at ISO-time]
+ */
+
+import fs from 'fs';
+import { PolicyEngine } from '../packages/core/policy-engine.js';
+
+function parseArgs(argv) {
+    const options = { input: null, rules: undefined, at: undefined };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--rules') options.rules = argv[++i];
+        else if (argv[i] === '--at') options.at = argv[++i];
+        else options.input = argv[i];
+    }
+    return options;
+}
+
+function readTask(input) {
+    if (!input) throw new Error('Usage: node scripts/policy-dry-run.js <task.json | JSON | -> [--rules file] [--at ISO-time]');
+    if (input === '-') return JSON.parse(fs.readFileSync(0, 'utf-8'));
+    if (input.trim().startsWith('{')) return JSON.parse(input);
+    return JSON.parse(fs.readFileSync(input, 'utf-8'));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const task = readTask(options.input);
+    const now = options.at ? new Date(options.at) : new Date();
+    if (Number.isNaN(now.getTime())) throw new Error(`Invalid --at time: ${options.at}`);
+
+    const engine = new PolicyEngine(options.rules ? { policyRulesFile: options.rules } : {});
+    const { evaluation, facts, rules } = engine.explain(task, now);
+
+    console.log(`Rules: ${engine.rulesSource} (${rules.length})`);
+    console.log(`Task:  ${JSON.stringify(facts)}\n`);
+    for (const rule of rules) {
+        const fired = rule.id === evaluation.ruleId;
+        const mark = fired ? '👉' : rule.matched ? '✅' : '  ';
+        const detail = rule.matched ? (fired ? 'fires' : 'matches (lower priority)') : `no match on ${rule.failed}`;
+        console.log(`${mark} ${String(rule.priority).padStart(4)}  ${rule.id.padEnd(28)} ${rule.action.padEnd(17)} ${detail}`);
+    }
+
+    console.log(`\n${evaluation.requiresApproval ? '🔒 Requires approval' : '✅ Auto-approved'}: ${evaluation.reason}`);
+    if (evaluation.requiresApproval) {
+        const policy = engine.approvalPolicyFor(task, evaluation);
+        console.log(`   Quorum policy "${policy.name}": ${policy.quorum} approval(s)` +
+            `${policy.requiredRoles.length ? `, incl. ${policy.requiredRoles.join(', ')}` : ''}; on expiry: ${policy.onExpiry}`);
+    }
+}
+
+main().catch(e => { console.error(e.message); process.exit(1); });
@@ -6,7 +6,7 @@ async function main(){
     // Handle shutdown
     process.on('SIGINT', async ()=>{
       console.log('\nShutting down Empire...');
-      try{ empire.stop(); }catch(e){}
+      try{ await empire.stop(); }catch(e){}
       process.exit(0);
     });
 
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { AgentPool } from '../packages/agents/agent-pool.js';
+import { TaskDispatcher } from '../packages/orchestrator/task-dispatcher.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+import { Database } from '../packages/core/database.js';
+
+test('AgentPool - agents call their dispatcher routes as tools', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-agents-'));
+    const db = new Database({ dbDriver: 'memory' });
+    try {
+        const dispatcher = new TaskDispatcher({ db, dataDir, auditLogger: new AuditLogger({ logDir: path.join(dataDir, 'audit') }) });
+        const posted = [];
+        dispatcher.modules.social = {
+            execute: async (task) => {
+                posted.push(task);
+                return { success: true, postId: 'post-1' };
+            }
+        };
+
+        // The model asks for the post_social tool, then answers
+        const offered = [];
+        const modelRouter = {
+            complete: async () => ({ success: true, content: 'no tools' }),
+            runTools: async (prompt, tools) => {
+                offered.push(tools.map(tool => tool.name));
+                const result = await tools.find(tool => tool.name === 'post_social').handler({ platform: 'x', text: 'Launch day' });
+                return { success: true, content: 'Posted it.', steps: [{ tool: 'post_social', result }] };
+            }
+        };
+        const pool = new AgentPool({ dataDir, modelRouter, dispatcher, agentConfig: { workers: { research: 0, social: 1, coding: 0, outreach: 0 } } });
+
+        const done = once(pool, 'batch_complete');
+        await pool.execute({ action: 'submit', data: { id: 'launch', agentType: 'social', description: 'Announce the launch', platform: 'x' } });
+        const [[outcome]] = await done;
+
+        assert.strictEqual(outcome.success, true);
+        assert.deepStrictEqual(offered, [['post_social', 'schedule_post']]);
+        assert.deepStrictEqual(posted, [{ action: 'post', data: { platform: 'x', text: 'Launch day' } }]);
+        assert.strictEqual(outcome.result.toolCalls[0].result.result.postId, 'post-1');
+
+        // Agents added later get the same tools
+        await pool.execute({ action: 'add_agent', data: { type: 'outreach', name: 'Outreach-extra' } });
+        const added = [...pool.agents.values()].find(agent => agent.name === 'Outreach-extra');
+        assert.deepStrictEqual(added.tools.map(tool => tool.name), ['add_client', 'email_client', 'generate_proposal', 'reply_email']);
+    } finally {
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Database } from '../packages/core/database.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+import { ApprovalAuth, hashPassword, verifyPassword, parseCookies } from '../packages/core/approval-auth.js';
+import { ApprovalServer } from '../packages/core/approval-server.js';
+
+test('ApprovalAuth - passwords and signed single-use links', async (t) => {
+    const db = new Database({ dbDriver: 'memory' });
+    const auth = new ApprovalAuth({ db, approvalSecret: 'test-secret' });
+    await auth.init();
+
+    const stored = hashPassword('correct horse');
+    assert.ok(stored.startsWith('scrypt$'));
+    assert.strictEqual(verifyPassword('correct horse', stored), true);
+    assert.strictEqual(verifyPassword('wrong horse', stored), false);
+
+    const token = auth.signApprovalLink('approval-1', 'approve');
+    assert.strictEqual(auth.verifyApprovalLink(token, 'approval-1', 'approve').valid, true);
+    assert.match(auth.verifyApprovalLink(token, 'approval-1', 'reject').error, /does not match/);
+    assert.match(auth.verifyApprovalLink(token, 'approval-2', 'approve').error, /does not match/);
+    assert.match(auth.verifyApprovalLink(`${token}x`, 'approval-1', 'approve').error, /Invalid/);
+    assert.match(new ApprovalAuth({ db, approvalSecret: 'other' }).verifyApprovalLink(token, 'approval-1', 'approve').error, /Invalid/);
+    assert.match(auth.verifyApprovalLink(auth.signApprovalLink('approval-1', 'approve', -1), 'approval-1', 'approve').error, /expired/);
+
+    assert.strictEqual((await auth.consumeApprovalLink(token, 'approval-1', 'approve')).valid, true);
+    assert.match((await auth.consumeApprovalLink(token, 'approval-1', 'approve')).error, /already been used/);
+
+    // Lockouts are per username and address, so a stranger cannot lock the real user out
+    await auth.createUser({ username: 'owner', password: 'correct horse', role: 'admin' });
+    for (let i = 0; i < 5; i++) await auth.login('owner', 'guess', { ip: '203.0.113.9' });
+    assert.match((await auth.login('owner', 'correct horse', { ip: '203.0.113.9' })).error, /Too many failed attempts/);
+    assert.strictEqual((await auth.login('owner', 'correct horse', { ip: '198.51.100.2' })).success, true);
+    for (let i = 0; i < 3; i++) await auth.login(`nobody-${i}`, 'guess', { ip: '203.0.113.9' });
+    auth.lockoutMs = 0;
+    await auth.login('owner', 'guess', { ip: '203.0.113.9' });
+    assert.strictEqual(auth.failedLogins.size, 1, 'expired records are dropped');
+
+    assert.deepStrictEqual(parseCookies('king_session=%E0; theme=dark%20mode'), { king_session: '%E0', theme: 'dark mode' });
+
+    await assert.rejects(() => auth.createUser({ username: 'x', password: 'short', role: 'admin' }), /at least 8/);
+    await assert.rejects(() => auth.createUser({ username: 'x', password: 'long enough', role: 'owner' }), /Unknown role/);
+    await db.close();
+});
+
+test('ApprovalServer - mutating routes need auth, roles and CSRF', async (t) => {
+    const db = new Database({ dbDriver: 'memory' });
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-audit-'));
+    const server = new ApprovalServer({
+        db,
+        approvalSecret: 'test-secret',
+        auditLogger: new AuditLogger({ logDir }),
+        port: 39500 + Math.floor(Math.random() * 400)
+    });
+    server.setStatusProvider(() => ({ status: 'idle' }));
+    server.setCommandHandler(async (command) => ({ reply: command }));
+    await server.init();
+
+    await server.auth.createUser({ username: 'chair', password: 'approve-all-the-things', role: 'approver' });
+    const viewer = await server.auth.createUser({ username: 'intern', role: 'viewer' });
+    const { token: viewerToken } = await server.auth.createApiToken(viewer.id);
+    await db.saveApproval({ id: 'approval-wire', title: 'Sign $5,000 supplier contract', type: 'legal', amount: 5000 });
+    await db.saveApproval({ id: 'approval-ads', title: 'Publish ad copy', type: 'legal' });
+
+    const { url } = await server.start();
+    const base = url.replace('0.0.0.0', '127.0.0.1');
+    const post = (path, body, headers = {}) => fetch(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        assert.strictEqual((await post('/api/approve', { id: 'approval-wire' })).status, 401);
+        assert.strictEqual((await fetch(`${base}/api/pending`)).status, 401);
+        assert.strictEqual((await fetch(`${base}/api/pending`, { headers: { Cookie: 'king_session=%E0' } })).status, 401, 'a malformed cookie is just unauthenticated');
+        const authenticate = server.auth.authenticate;
+        server.auth.authenticate = async () => { throw new Error('Session store down'); };
+        assert.strictEqual((await fetch(`${base}/api/pending`)).status, 500, 'a throwing route answers 500 and the server keeps running');
+        server.auth.authenticate = authenticate;
+        assert.strictEqual((await post('/api/command', { command: 'hi' })).status, 401);
+        assert.strictEqual((await post('/api/approve', { id: 'approval-wire' }, { Authorization: `Bearer ${viewerToken}` })).status, 403);
+        assert.strictEqual((await fetch(`${base}/api/pending`, { headers: { Authorization: `Bearer ${viewerToken}` } })).status, 200);
+
+        assert.strictEqual((await post('/api/auth/login', { username: 'chair', password: 'nope' })).status, 401);
+        const login = await post('/api/auth/login', { username: 'chair', password: 'approve-all-the-things' });
+        assert.strictEqual(login.status, 200);
+        const cookie = login.headers.get('set-cookie').split(';')[0];
+        assert.match(login.headers.get('set-cookie'), /HttpOnly; SameSite=Strict/);
+        const { csrfToken, user } = await login.json();
+        assert.strictEqual(user.role, 'approver');
+
+        assert.strictEqual((await post('/api/approve', { id: 'approval-ads' }, { Cookie: cookie })).status, 403, 'CSRF token required');
+        assert.strictEqual((await post('/api/command', { command: 'hi' }, { Cookie: cookie, 'X-CSRF-Token': csrfToken })).status, 403, 'approvers cannot operate');
+        const approved = await (await post('/api/approve', { id: 'approval-ads' }, { Cookie: cookie, 'X-CSRF-Token': csrfToken })).json();
+        assert.strictEqual(approved.success, true);
+        assert.strictEqual((await db.getApproval('approval-ads')).decided_by, 'chair');
+
+        // Emailed link: GET only confirms, POST decides once
+        const { approveUrl, rejectUrl } = server.approvalLinks('approval-wire', 'chair@example.com');
+        const linkPath = approveUrl.slice(approveUrl.indexOf('/approve/'));
+        const confirm = await fetch(`${base}${linkPath}`);
+        assert.strictEqual(confirm.status, 200);
+        assert.match(await confirm.text(), /Sign \$5,000 supplier contract[\s\S]*<form method="POST"/);
+        assert.strictEqual((await db.getApproval('approval-wire')).status, 'pending');
+
+        const token = new URL(approveUrl).searchParams.get('token');
+        const decide = () => fetch(`${base}/approve/approval-wire`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ token }).toString()
+        });
+        assert.strictEqual((await decide()).status, 200);
+        const decided = await db.getApproval('approval-wire');
+        assert.strictEqual(decided.status, 'approved');
+        assert.strictEqual(decided.decided_by, 'chair@example.com', 'the link votes as its recipient');
+        assert.strictEqual((await decide()).status, 403, 'links are single-use');
+
+        const rejectPath = rejectUrl.slice(rejectUrl.indexOf('/reject/'));
+        assert.strictEqual((await fetch(`${base}${rejectPath}`)).status, 409, 'already decided');
+        assert.strictEqual((await fetch(`${base}/approve/approval-wire?token=forged.sig`)).status, 403);
+        const anonymous = server.auth.signApprovalLink('approval-ads', 'reject');
+        assert.strictEqual((await fetch(`${base}/reject/approval-ads?token=${anonymous}`)).status, 403, 'links must name who votes');
+
+        const logout = await post('/api/auth/logout', {}, { Cookie: cookie, 'X-CSRF-Token': csrfToken });
+        assert.match(logout.headers.get('set-cookie'), /Max-Age=0/);
+        assert.strictEqual((await fetch(`${base}/api/pending`, { headers: { Cookie: cookie } })).status, 401);
+    } finally {
+        server.stop();
+        await db.close();
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+});
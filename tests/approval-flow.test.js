@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Database } from '../packages/core/database.js';
+import { ApprovalFlow } from '../packages/core/approval-flow.js';
+import { PolicyEngine } from '../packages/core/policy-engine.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+
+const admin = (username) => ({ username, role: 'admin' });
+const approver = (username) => ({ username, role: 'approver' });
+
+async function setup() {
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-audit-'));
+    const auditLogger = new AuditLogger({ logDir });
+    const flow = new ApprovalFlow({
+        db,
+        auditLogger,
+        emailNotifier: { sendApprovalRequest: async () => ({ success: true }) }
+    });
+    return { db, flow, auditLogger, cleanup: async () => { await db.close(); fs.rmSync(logDir, { recursive: true, force: true }); } };
+}
+
+test('PolicyEngine - amount-tiered quorum policies', (t) => {
+    const engine = new PolicyEngine();
+    assert.strictEqual(engine.approvalPolicyFor({ category: 'legal' }).quorum, 1);
+    assert.strictEqual(engine.approvalPolicyFor({ category: 'financial', amount: 500 }).name, 'financial-dual');
+
+    const large = engine.approvalPolicyFor({ category: 'funds_transfer', amount: 25000 });
+    assert.strictEqual(large.quorum, 3);
+    assert.deepStrictEqual(large.requiredRoles, ['admin']);
+    assert.strictEqual(large.separationOfDuties, true);
+
+    // Keyword-flagged money tasks are financial regardless of category
+    const task = { category: 'marketing', description: 'Wire funds to the ad agency' };
+    assert.strictEqual(engine.approvalPolicyFor(task, engine.evaluate(task)).name, 'financial-dual');
+
+    const custom = new PolicyEngine({ approvalPolicies: [{ name: 'two-admins', match: {}, quorum: 2, approverRoles: ['admin'] }] });
+    assert.deepStrictEqual(custom.approvalPolicyFor({ category: 'legal' }).approverRoles, ['admin']);
+
+    const dual = [{ approver: 'a', decision: 'approved' }, { approver: 'b', decision: 'approved' }];
+    assert.strictEqual(engine.validateConstraints({ category: 'financial' }).valid, false);
+    assert.strictEqual(engine.validateConstraints({ category: 'financial' }, dual).valid, true);
+});
+
+test('ApprovalFlow - financial approvals need two distinct approvers', async (t) => {
+    const { db, flow, cleanup } = await setup();
+    try {
+        const submitted = await flow.submit({ name: 'Pay supplier', category: 'financial', amount: 800, module: 'ceo' });
+        assert.strictEqual(submitted.pending, true);
+        assert.strictEqual(submitted.requiredApprovals, 2);
+
+        const requester = await flow.decide(submitted.approvalId, true, '', admin('ceo'));
+        assert.match(requester.error, /own requests/);
+
+        const first = await flow.respond(submitted.taskId, true, 'Looks right', approver('alice'));
+        assert.deepStrictEqual([first.status, first.approvals, first.required], ['pending', 1, 2]);
+        assert.strictEqual((await db.getApproval(submitted.approvalId)).status, 'pending');
+
+        const again = await flow.decide(submitted.approvalId, true, '', approver('alice'));
+        assert.match(again.error, /already voted/);
+
+        const second = await flow.respond(submitted.taskId, true, 'Confirmed with vendor', admin('bob'));
+        assert.strictEqual(second.status, 'approved');
+        assert.strictEqual(second.approved, true);
+
+        const row = await db.getApproval(submitted.approvalId);
+        assert.strictEqual(row.status, 'approved');
+        assert.deepStrictEqual(row.approvers, ['alice', 'bob']);
+        assert.deepStrictEqual((await flow.getDecisions(submitted.approvalId)).map(d => [d.approver, d.role, d.decision]), [
+            ['alice', 'approver', 'approved'],
+            ['bob', 'admin', 'approved']
+        ]);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('ApprovalFlow - large transfers need an admin, and one veto rejects', async (t) => {
+    const { db, flow, auditLogger, cleanup } = await setup();
+    try {
+        const large = await flow.submit({ name: 'Wire deposit', category: 'funds_transfer', amount: 50000 });
+        for (const name of ['a1', 'a2', 'a3']) await flow.decide(large.approvalId, true, '', approver(name));
+        const waiting = await flow.decide(large.approvalId, true, '', approver('a4'));
+        assert.strictEqual(waiting.status, 'pending');
+        assert.deepStrictEqual(waiting.missingRoles, ['admin']);
+        assert.strictEqual((await flow.decide(large.approvalId, true, '', admin('root'))).status, 'approved');
+
+        const viewer = await flow.decide(large.approvalId, true, '', { username: 'v', role: 'viewer' });
+        assert.strictEqual(viewer.success, false);
+
+        const vetoed = await flow.submit({ name: 'Pay invoice', category: 'financial', amount: 100 });
+        const veto = await flow.decide(vetoed.approvalId, false, 'Duplicate invoice', approver('carol'));
+        assert.strictEqual(veto.status, 'rejected');
+        assert.strictEqual((await db.getApproval(vetoed.approvalId)).status, 'rejected');
+
+        // Every vote lands in the audit log with its quorum progress
+        const entries = auditLogger.getTodayLogs();
+        const votes = entries.filter(e => e.type === 'approval' && e.approvalId === large.approvalId);
+        assert.deepStrictEqual(votes.map(v => v.approver), ['a1', 'a2', 'a3', 'a4', 'root']);
+        assert.deepStrictEqual(votes.map(v => v.status), ['pending', 'pending', 'pending', 'pending', 'approved']);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('ApprovalFlow - approvals submitted in the same millisecond keep their own rows', async (t) => {
+    const { db, flow, cleanup } = await setup();
+    t.mock.method(Date, 'now', () => 1792427641531);
+    try {
+        const [first, second] = await Promise.all([
+            flow.submit({ id: 't1', name: 'Sign lease', category: 'legal' }),
+            flow.submit({ id: 't2', name: 'Sign NDA', category: 'legal' })
+        ]);
+        assert.notStrictEqual(first.approvalId, second.approvalId);
+        assert.strictEqual((await db.getApproval(first.approvalId)).task_id, 't1');
+        assert.strictEqual((await db.getApproval(second.approvalId)).task_id, 't2');
+    } finally {
+        await cleanup();
+    }
+});
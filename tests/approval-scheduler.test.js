@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Database } from '../packages/core/database.js';
+import { ApprovalFlow } from '../packages/core/approval-flow.js';
+import { ApprovalScheduler } from '../packages/core/approval-scheduler.js';
+import { PolicyEngine } from '../packages/core/policy-engine.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+async function setup(approvalPolicies) {
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-audit-'));
+    const auditLogger = new AuditLogger({ logDir });
+    const sent = [];
+    const emailNotifier = {
+        sendApprovalRequest: async () => ({ success: true }),
+        sendApprovalReminder: async (approval, links, count) => sent.push({ kind: 'reminder', id: approval.id, count, links }),
+        sendApprovalEscalation: async (approval, to) => sent.push({ kind: 'escalation', id: approval.id, to })
+    };
+    const flow = new ApprovalFlow({
+        db,
+        auditLogger,
+        emailNotifier,
+        policyEngine: new PolicyEngine({ approvalPolicies }),
+        approvalLinks: (id) => ({ approveUrl: `http://test/approve/${id}`, rejectUrl: `http://test/reject/${id}` })
+    });
+    const scheduler = new ApprovalScheduler({ approvalFlow: flow });
+    return { db, flow, scheduler, auditLogger, sent, cleanup: async () => { await db.close(); fs.rmSync(logDir, { recursive: true, force: true }); } };
+}
+
+test('ApprovalScheduler - reminds, escalates once, then rejects on expiry', async (t) => {
+    const { db, flow, scheduler, auditLogger, sent, cleanup } = await setup([{
+        name: 'contracts',
+        match: {},
+        deadlineMs: 10 * HOUR,
+        reminderIntervalMs: 2 * HOUR,
+        escalateAfterMs: 5 * HOUR,
+        escalateTo: 'cfo@example.com',
+        onExpiry: 'reject'
+    }]);
+    try {
+        const submitted = await flow.submit({ name: 'Sign supplier contract', category: 'legal', module: 'ceo' });
+        const start = new Date((await db.getApproval(submitted.approvalId)).created_at).getTime();
+        assert.strictEqual(submitted.deadlineAt, new Date(start + 10 * HOUR).toISOString());
+
+        const resolved = [];
+        flow.on('resolved', (event) => resolved.push(event));
+        const at = (hours) => scheduler.tick(new Date(start + hours * HOUR));
+
+        assert.deepStrictEqual(await at(1), { expired: [], escalated: [], reminded: [] });
+        assert.deepStrictEqual((await at(2)).reminded, [submitted.approvalId]);
+        assert.deepStrictEqual((await at(3)).reminded, [], 'interval counts from the last reminder');
+        assert.deepStrictEqual((await at(5)).escalated, [submitted.approvalId]);
+        assert.deepStrictEqual(await at(6), { expired: [], escalated: [], reminded: [] });
+        assert.deepStrictEqual((await at(7)).reminded, [submitted.approvalId]);
+
+        assert.deepStrictEqual(sent.map(s => s.kind), ['reminder', 'escalation', 'reminder']);
+        assert.strictEqual(sent[1].to, 'cfo@example.com');
+        assert.strictEqual(sent[2].count, 2);
+        assert.match(sent[0].links.approveUrl, /\/approve\//);
+
+        assert.deepStrictEqual((await at(10)).expired, [submitted.approvalId]);
+        const row = await db.getApproval(submitted.approvalId);
+        assert.strictEqual(row.status, 'rejected');
+        assert.strictEqual(row.decided_by, 'system');
+        assert.strictEqual(row.expired, true);
+        assert.deepStrictEqual(resolved, [{ approvalId: submitted.approvalId, taskId: submitted.taskId, status: 'rejected' }]);
+
+        const expiry = auditLogger.getTodayLogs().find(l => l.type === 'approval' && l.expired);
+        assert.strictEqual(expiry.status, 'rejected');
+        assert.strictEqual(expiry.policy, 'contracts');
+
+        // Closed requests are left alone and can no longer be voted on
+        assert.deepStrictEqual(await at(12), { expired: [], escalated: [], reminded: [] });
+        const late = await flow.decide(submitted.approvalId, true, '', { username: 'alice', role: 'admin' });
+        assert.strictEqual(late.success, false);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('ApprovalScheduler - default policy defers, honouring a per-task deadline', async (t) => {
+    const { db, flow, scheduler, cleanup } = await setup();
+    try {
+        const policy = flow.policyEngine.approvalPolicyFor({ category: 'legal' });
+        assert.strictEqual(policy.onExpiry, 'defer');
+        assert.strictEqual(flow.policyEngine.approvalPolicyFor({ category: 'financial' }).onExpiry, 'reject');
+
+        const deadlineAt = new Date(Date.now() + HOUR).toISOString();
+        const submitted = await flow.submit({ name: 'Register trademark', category: 'legal', module: 'ceo', deadlineAt });
+        assert.strictEqual(submitted.deadlineAt, deadlineAt);
+
+        assert.deepStrictEqual((await scheduler.tick(new Date(Date.now() + 30 * 60 * 1000))).expired, []);
+        assert.deepStrictEqual((await scheduler.tick(new Date(Date.now() + 2 * HOUR))).expired, [submitted.approvalId]);
+        assert.strictEqual((await flow.getStatus(submitted.taskId)).status, 'deferred');
+    } finally {
+        await cleanup();
+    }
+});
+
+test('ApprovalScheduler - one approval that fails does not stop the sweep', async (t) => {
+    const { db, flow, scheduler, sent, cleanup } = await setup([{ name: 'all', match: {}, deadlineMs: 10 * HOUR, reminderIntervalMs: HOUR }]);
+    try {
+        const first = await flow.submit({ name: 'Sign lease', category: 'legal', module: 'ceo' });
+        const second = await flow.submit({ name: 'Sign NDA', category: 'legal', module: 'ceo' });
+        const remind = flow.emailNotifier.sendApprovalReminder;
+        flow.emailNotifier.sendApprovalReminder = async (approval, ...rest) => {
+            if (approval.id === first.approvalId) throw new Error('SMTP down');
+            return remind(approval, ...rest);
+        };
+
+        const start = new Date((await db.getApproval(second.approvalId)).created_at).getTime();
+        const result = await scheduler.tick(new Date(start + 2 * HOUR));
+        assert.deepStrictEqual(result.reminded, [second.approvalId]);
+        assert.deepStrictEqual(sent.map(s => s.id), [second.approvalId]);
+    } finally {
+        await cleanup();
+    }
+});
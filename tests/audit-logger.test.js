@@ -1,31 +1,141 @@
-
 import test from 'node:test';
 import assert from 'node:assert';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
 import zlib from 'zlib';
-import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
 import AuditLogger from '../packages/core/audit-logger.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+function tempLogDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-audit-'));
+}
 
-test('AuditLogger - Logging', async (t) => {
-    const testLogDir = path.join(__dirname, 'test-logs');
-    if (!fs.existsSync(testLogDir)) fs.mkdirSync(testLogDir);
+function rewriteLine(file, index, edit) {
+    const lines = fs.readFileSync(file, 'utf-8').split('\n');
+    lines[index] = edit(lines[index]);
+    fs.writeFileSync(file, lines.join('\n'));
+}
 
+test('AuditLogger - Logging', async (t) => {
+    const testLogDir = tempLogDir();
     const logger = new AuditLogger({ logDir: testLogDir });
 
-    logger.logSystem('test_event', { detail: 'unit test' });
+    await logger.logSystem('test_event', { detail: 'unit test' });
 
     const date = new Date().toISOString().split('T')[0];
-    const logFile = path.join(testLogDir, `${date}.jsonl.gz`);
+    const logFile = path.join(testLogDir, `${date}.chain.jsonl`);
     assert.ok(fs.existsSync(logFile), 'Audit log file should exist');
 
-    const compressed = fs.readFileSync(logFile);
-    const content = zlib.gunzipSync(compressed).toString('utf-8');
+    const content = fs.readFileSync(logFile, 'utf-8');
     assert.ok(content.includes('test_event'), 'Log should contain the event name');
 
     // Cleanup
     if (fs.existsSync(testLogDir)) fs.rmSync(testLogDir, { recursive: true });
 });
+
+test('AuditLogger - instances sharing a directory extend one hash chain', async (t) => {
+    const logDir = tempLogDir();
+    try {
+        const first = new AuditLogger({ logDir, signingKey: 'test-key', checkpointEvery: 2 });
+        const second = new AuditLogger({ logDir, signingKey: 'test-key', checkpointEvery: 2 });
+        const a = await first.logSystem('one');
+        const b = await second.logApproval('task-1', true, 'alice');
+        const c = await first.logExecution('task-1', 'completed');
+
+        assert.deepStrictEqual([a.seq, b.seq, c.seq], [1, 2, 3]);
+        assert.strictEqual(b.prevHash, a.hash);
+        assert.strictEqual(c.prevHash, b.hash);
+        assert.deepStrictEqual(first.getTodayLogs().map(e => e.seq), [1, 2, 3]);
+
+        const report = first.verify();
+        assert.strictEqual(report.valid, true, JSON.stringify(report.errors));
+        assert.strictEqual(report.entries, 3);
+        assert.strictEqual(report.checkpoints, 1);
+        assert.deepStrictEqual(report.head, { seq: 3, hash: c.hash });
+    } finally {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+});
+
+test('AuditLogger - verify detects edits, deletions and truncation', async (t) => {
+    const logDir = tempLogDir();
+    try {
+        const logger = new AuditLogger({ logDir, signingKey: 'test-key', checkpointEvery: 4 });
+        for (let i = 1; i <= 5; i++) await logger.logApproval(`task-${i}`, true, 'alice', `vote ${i}`);
+        const segment = logger.getTodayLogPath();
+        const pristine = fs.readFileSync(segment, 'utf-8');
+
+        // Flip a decision in place
+        rewriteLine(segment, 1, line => line.replace('"approved":true', '"approved":false'));
+        let report = logger.verify();
+        assert.strictEqual(report.valid, false);
+        assert.deepStrictEqual(report.errors.map(e => [e.seq, e.error]), [[2, 'Entry contents do not match its hash (edited)']]);
+
+        // Drop an entry
+        fs.writeFileSync(segment, pristine.split('\n').filter((line, i) => i !== 2).join('\n'));
+        report = logger.verify();
+        assert.match(report.errors[0].error, /Sequence gap: expected 3, found 4/);
+
+        // Cut off the tail past a checkpoint
+        fs.writeFileSync(segment, pristine.split('\n').slice(0, 2).join('\n') + '\n');
+        report = logger.verify();
+        assert.match(report.errors[0].error, /Log ends at 2 but was checkpointed at 4/);
+
+        // Rebuilding the chain without the key still fails the signed checkpoint
+        fs.writeFileSync(segment, pristine);
+        const forged = new AuditLogger({ logDir, signingKey: 'wrong-key' }).verify();
+        assert.deepStrictEqual(forged.errors.map(e => e.error), ['Checkpoint signature is invalid']);
+
+        assert.strictEqual(logger.verify().valid, true);
+    } finally {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+});
+
+test('AuditLogger - torn writes and pre-chain files', async (t) => {
+    const logDir = tempLogDir();
+    try {
+        const date = new Date().toISOString().split('T')[0];
+        fs.writeFileSync(path.join(logDir, `${date}.jsonl.gz`), zlib.gzipSync(JSON.stringify({ type: 'system', event: 'legacy' }) + '\n'));
+
+        const logger = new AuditLogger({ logDir });
+        const first = await logger.logSystem('before_crash');
+        fs.appendFileSync(logger.getTodayLogPath(), '{"type":"system","eve');
+        const next = await logger.logSystem('after_crash');
+
+        assert.strictEqual(next.seq, first.seq + 1, 'the torn line is skipped when linking');
+        assert.deepStrictEqual(logger.getTodayLogs().map(e => e.event), ['legacy', 'before_crash', 'after_crash']);
+
+        const report = logger.verify();
+        assert.deepStrictEqual(report.errors.map(e => e.error), ['Unreadable entry (edited or torn write)']);
+        assert.ok(report.warnings.some(w => w.includes('pre-chain')));
+        assert.ok(report.warnings.some(w => w.includes('AUDIT_SIGNING_KEY')));
+    } finally {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+});
+
+test('AuditLogger - waits for a live lock holder and breaks a dead one', async (t) => {
+    const logDir = tempLogDir();
+    const lockPath = path.join(logDir, '.lock');
+    try {
+        const logger = new AuditLogger({ logDir });
+
+        // Held by a running process (this one): the write waits for the release
+        fs.writeFileSync(lockPath, String(process.pid));
+        const pending = logger.logSystem('queued');
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.strictEqual(fs.existsSync(logger.getTodayLogPath()), false, 'nothing written while the lock is held');
+        fs.rmSync(lockPath);
+        assert.strictEqual((await pending).seq, 1);
+
+        // Left behind by a process that has exited: taken over straight away
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        fs.writeFileSync(lockPath, String(pid));
+        assert.strictEqual((await logger.logSystem('after_crash')).seq, 2);
+        assert.strictEqual(fs.existsSync(lockPath), false);
+    } finally {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+});
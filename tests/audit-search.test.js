@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { Database } from '../packages/core/database.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+import { AuditSearch } from '../packages/core/audit-search.js';
+import { ApprovalServer } from '../packages/core/approval-server.js';
+
+function tempLogDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-audit-search-'));
+}
+
+test('AuditSearch - filters, full text and pagination across segments', async (t) => {
+    const logDir = tempLogDir();
+    const db = new Database({ dbDriver: 'memory' });
+    try {
+        fs.writeFileSync(path.join(logDir, '2025-01-02.jsonl.gz'), zlib.gzipSync([
+            { type: 'approval', taskId: 'pay-1', approved: true, approver: 'carol', notes: 'Vendor invoice', timestamp: '2025-01-02T09:00:00.000Z' },
+            { type: 'system', event: 'orchestrator_started', timestamp: '2025-01-02T08:00:00.000Z' }
+        ].map(e => JSON.stringify(e)).join('\n') + '\n'));
+
+        const logger = new AuditLogger({ logDir });
+        logger.logProposal({ id: 'pay-2', name: 'Wire 5,000 to supplier', category: 'funds_transfer', businessId: 'biz-1' }, { requiresApproval: true, reason: 'financial' });
+        logger.logApproval('pay-2', true, 'alice', 'Checked the 100% deposit_terms', { approvalId: 'approval-1', status: 'pending' });
+        logger.logApproval('pay-2', true, 'bob', 'Second signature', { approvalId: 'approval-1', status: 'approved' });
+        logger.logExecution('pay-2', 'failed', { error: 'Bank declined' });
+
+        const search = new AuditSearch({ db, auditLogger: logger });
+
+        // "Who approved this payment and when"
+        const approvals = await search.query({ taskId: 'pay-2', type: 'approval', order: 'asc' });
+        assert.strictEqual(approvals.total, 2);
+        assert.deepStrictEqual(approvals.entries.map(e => [e.approver, e.status]), [['alice', 'pending'], ['bob', 'approved']]);
+
+        assert.strictEqual((await search.query({ businessId: 'biz-1' })).entries[0].task.name, 'Wire 5,000 to supplier');
+        assert.deepStrictEqual((await search.query({ status: 'failed' })).entries.map(e => e.taskId), ['pay-2']);
+        assert.deepStrictEqual((await search.query({ approver: 'carol', status: 'approved' })).entries.map(e => e.taskId), ['pay-1']);
+
+        // Full text matches all words anywhere in the entry; LIKE wildcards are literal
+        assert.deepStrictEqual((await search.query({ q: 'bank DECLINED' })).entries.map(e => e.type), ['execution']);
+        assert.strictEqual((await search.query({ q: '100%' })).total, 1);
+        assert.strictEqual((await search.query({ q: 'deposit_terms' })).total, 1);
+        assert.strictEqual((await search.query({ q: 'deposit_t_rms' })).total, 0);
+
+        // A bare date as `to` covers that whole day
+        const day = await search.query({ from: '2025-01-02', to: '2025-01-02' });
+        assert.deepStrictEqual(day.entries.map(e => e.event ?? e.taskId), ['pay-1', 'orchestrator_started']);
+
+        const page = await search.query({ limit: 2, offset: 4 });
+        assert.deepStrictEqual([page.total, page.limit, page.offset, page.entries.length], [6, 2, 4, 2]);
+        assert.strictEqual(page.entries.at(-1).event, 'orchestrator_started', 'newest first');
+        assert.strictEqual((await search.query({ limit: 100000 })).limit, 500);
+
+        await assert.rejects(search.query({ from: 'last tuesday' }), /Invalid date/);
+
+        // Cells a spreadsheet would evaluate are exported as text
+        logger.logApproval('=HYPERLINK("http://evil.test")', false, '@mallory', '-2+3', { status: '+rejected' });
+        const { content } = await search.export({ approver: '@mallory' }, 'csv');
+        assert.ok(content.trim().split('\n')[1].endsWith(`,approval,,"'=HYPERLINK(""http://evil.test"")",,'@mallory,'+rejected,'-2+3,`), content);
+    } finally {
+        await db.close();
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+});
+
+test('AuditSearch - sync reads only new lines and recovers from rewritten files', async (t) => {
+    const logDir = tempLogDir();
+    const db = new Database({ dbDriver: 'memory' });
+    try {
+        const logger = new AuditLogger({ logDir });
+        const search = new AuditSearch({ db, auditLogger: logger });
+        logger.logSystem('first');
+        logger.logSystem('second');
+
+        assert.deepStrictEqual(await search.sync(), { files: 1, indexed: 2 });
+        assert.deepStrictEqual(await search.sync(), { files: 0, indexed: 0 });
+
+        // A half-written line waits until it is complete
+        const segment = logger.getTodayLogPath();
+        fs.appendFileSync(segment, '{"type":"system","eve');
+        assert.deepStrictEqual(await search.sync(), { files: 0, indexed: 0 });
+        logger.logSystem('third');
+        assert.deepStrictEqual(await search.sync(), { files: 1, indexed: 1 });
+
+        const { entries } = await search.query({ order: 'asc' });
+        assert.deepStrictEqual(entries.map(e => e.event), ['first', 'second', 'third']);
+
+        // A segment that shrank is re-indexed from scratch
+        fs.writeFileSync(segment, fs.readFileSync(segment, 'utf-8').split('\n')[0] + '\n');
+        await search.sync();
+        assert.deepStrictEqual((await search.query()).entries.map(e => e.event), ['first']);
+
+        fs.rmSync(segment);
+        await search.sync();
+        assert.strictEqual((await search.query()).total, 0);
+    } finally {
+        await db.close();
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+});
+
+test('ApprovalServer - /api/audit search and export', async (t) => {
+    const logDir = tempLogDir();
+    const db = new Database({ dbDriver: 'memory' });
+    const logger = new AuditLogger({ logDir });
+    logger.logApproval('pay-9', true, 'alice', 'Looks fine, "ship it"');
+    logger.logSystem('unrelated');
+
+    const server = new ApprovalServer({ db, auditLogger: logger, port: 39500 + Math.floor(Math.random() * 400) });
+    await server.init();
+    const viewer = await server.auth.createUser({ username: 'auditor', role: 'viewer' });
+    const { token } = await server.auth.createApiToken(viewer.id);
+    const { url } = await server.start();
+    const base = url.replace('0.0.0.0', '127.0.0.1');
+    const fetch = (target) => globalThis.fetch(target, { headers: { Authorization: `Bearer ${token}` } });
+
+    try {
+        const page = await (await fetch(`${base}/api/audit?approver=alice&limit=10`)).json();
+        assert.strictEqual(page.total, 1);
+        assert.strictEqual(page.entries[0].taskId, 'pay-9');
+
+        const csv = await fetch(`${base}/api/audit?type=approval&format=csv`);
+        assert.match(csv.headers.get('content-type'), /text\/csv/);
+        assert.match(csv.headers.get('content-disposition'), /attachment; filename="audit-log-.*\.csv"/);
+        const [header, row] = (await csv.text()).trim().split('\n');
+        assert.strictEqual(header, 'timestamp,seq,type,event,taskId,businessId,approver,status,notes,details');
+        assert.ok(row.endsWith(',approval,,pay-9,,alice,approved,"Looks fine, ""ship it""",'), row);
+
+        const jsonl = await (await fetch(`${base}/api/audit?format=jsonl&order=asc`)).text();
+        assert.deepStrictEqual(jsonl.trim().split('\n').map(line => JSON.parse(line).seq), [1, 2]);
+
+        assert.strictEqual((await fetch(`${base}/api/audit?from=someday`)).status, 400);
+        assert.strictEqual((await fetch(`${base}/api/audit?format=xml`)).status, 400);
+        assert.strictEqual((await globalThis.fetch(`${base}/api/audit`)).status, 401);
+    } finally {
+        server.stop();
+        await db.close();
+        fs.rmSync(logDir, { recursive: true, force: true });
+    }
+});
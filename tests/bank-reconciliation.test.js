@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StateStore } from '../packages/core/state-store.js';
+import { parseStatement, parseAmount } from '../packages/modules/finance/bank-statements.js';
+import { payeeSimilarity } from '../packages/modules/finance/reconciliation.js';
+import { FinanceModule } from '../packages/modules/finance/index.js';
+import { ProfitTracker } from '../packages/ceo/profit-tracker.js';
+
+// OFX 1.x SGML: header block, no closing tags on values
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+SECURITY:NONE
+ENCODING:USASCII
+
+<OFX>
+<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS><DTSERVER>20250401</SONRS></SIGNONMSGSRSV1>
+<BANKMSGSRSV1><STMTTRNRS><TRNUID>1<STMTRS><CURDEF>USD
+<BANKACCTFROM><BANKID>121000248<ACCTID>000123456789<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST><DTSTART>20250301<DTEND>20250331
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250304120000.000[-5:EST]<TRNAMT>1200.00<FITID>F1<NAME>ACME CORP ACH<MEMO>INVOICE 1001
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250305<TRNAMT>-49.99<FITID>F2<NAME>GITHUB.COM
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250311<TRNAMT>-120.00<FITID>F3<NAME>OFFICE DEPOT #123
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250312<TRNAMT>-100.00<FITID>F4<NAME>SQ *PRINT SHOP
+<STMTTRN><TRNTYPE>FEE<DTPOSTED>20250331<TRNAMT>-15.00<FITID>F5<NAME>MONTHLY SERVICE FEE
+</BANKTRANLIST><LEDGERBAL><BALAMT>915.01<DTASOF>20250331</LEDGERBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>
+`;
+
+test('Bank statements - OFX and CSV files parse to the same lines', (t) => {
+    const ofx = parseStatement(OFX);
+    assert.deepStrictEqual([ofx.format, ofx.account.accountId, ofx.account.type, ofx.currency], ['ofx', '000123456789', 'checking', 'USD']);
+    assert.deepStrictEqual(ofx.period, { start: '2025-03-01', end: '2025-03-31' });
+    assert.deepStrictEqual(ofx.balance, { amount: 915.01, date: '2025-03-31' });
+    assert.deepStrictEqual(ofx.lines.map(l => [l.fitId, l.date, l.amount]), [
+        ['F1', '2025-03-04', 1200], ['F2', '2025-03-05', -49.99], ['F3', '2025-03-11', -120], ['F4', '2025-03-12', -100], ['F5', '2025-03-31', -15]
+    ]);
+    assert.deepStrictEqual([ofx.lines[0].payee, ofx.lines[0].memo], ['ACME CORP ACH', 'INVOICE 1001']);
+
+    // Newest first, split debit/credit columns, quoted commas, parenthesised debits, day-first dates
+    const csv = 'Posted Date,Description,Debit,Credit,Balance\r\n' +
+        '05/03/2025,"Stripe, Inc. payout",,"1,250.00",2400.00\r\n' +
+        '03/03/2025,AWS,(150.00),,1150.00\r\n' +
+        '03/03/2025,AWS,(150.00),,1300.00\r\n';
+    const parsed = parseStatement(csv, { dateOrder: 'DMY' });
+    assert.deepStrictEqual(parsed.lines.map(l => [l.date, l.payee, l.amount]), [
+        ['2025-03-05', 'Stripe, Inc. payout', 1250], ['2025-03-03', 'AWS', -150], ['2025-03-03', 'AWS', -150]
+    ]);
+    assert.deepStrictEqual(parsed.balance, { amount: 2400, date: '2025-03-05' });
+    assert.notStrictEqual(parsed.lines[1].fitId, parsed.lines[2].fitId, 'identical lines keep separate ids');
+    assert.deepStrictEqual(parseStatement(csv, { dateOrder: 'DMY' }).lines.map(l => l.fitId), parsed.lines.map(l => l.fitId));
+
+    assert.deepStrictEqual(['-12.50', '$1,000', '(3.00)', '', 'N/A'].map(parseAmount), [-12.5, 1000, -3, null, null]);
+    assert.throws(() => parseStatement('Payee,Amount\nAcme,10'), /No date column/);
+    assert.strictEqual(payeeSimilarity('POS PURCHASE GITHUB.COM 8812', 'GitHub'), 1);
+    assert.ok(payeeSimilarity('Office Depot', 'Uber Eats') < 0.3);
+});
+
+test('FinanceModule - statement import, review queue and reconciliation', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-bank-'));
+    const store = new StateStore({ dbDriver: 'memory' });
+    try {
+        const finance = await new FinanceModule({ stateStore: store }).init();
+        const record = (type, amount, date, payee, category) => finance.recordTransaction({ type, amount, date, payee, description: payee, category });
+        const invoice = await record('income', 1200, '2025-03-03', 'Acme Corp', 'Consulting');
+        await record('expense', 49.99, '2025-03-05', 'GitHub', 'software');
+        await record('expense', 120, '2025-03-10', 'Office Depot', 'supplies');
+        const print1 = await record('expense', 100, '2025-03-12', 'Print Shop', 'marketing');
+        const print2 = await record('expense', 100, '2025-03-12', 'Print Shop', 'marketing');
+        const coffee = await record('expense', 75, '2025-03-30', 'Blue Bottle', 'meals');
+
+        const file = path.join(dataDir, 'march.qfx');
+        fs.writeFileSync(file, OFX);
+        const imported = await finance.execute({ action: 'import_statement', data: { file, accountId: 'checking' } });
+        assert.deepStrictEqual([imported.imported, imported.matched, imported.needsReview], [5, 3, 2]);
+        assert.strictEqual(finance.transactions.find(t => t.id === invoice.id).status, 'cleared');
+
+        const again = await finance.importStatement({ content: OFX, accountId: 'checking' });
+        assert.deepStrictEqual([again.imported, again.duplicates], [0, 5]);
+
+        // Two identical print jobs: the line waits for a person to pick one
+        const queue = await finance.getReviewQueue('checking');
+        assert.deepStrictEqual(queue.map(l => l.fitId), ['F4', 'F5']);
+        assert.deepStrictEqual(queue[0].suggestions.map(s => s.transactionId).sort(), [print1.id, print2.id].sort());
+        assert.deepStrictEqual(queue[1].suggestions, []);
+
+        let { report } = await finance.reconcile({ accountId: 'checking', from: '2025-03-01', to: '2025-03-31' });
+        assert.deepStrictEqual([report.status, report.unrecorded.count, report.reconciledCount], ['needs_review', 2, 0]);
+
+        assert.strictEqual((await finance.resolveStatementLine({ lineId: queue[0].id, action: 'match', transactionId: print2.id })).success, true);
+        const fee = await finance.execute({ action: 'resolve_line', data: { lineId: queue[1].id, action: 'create', category: 'Bank Fees' } });
+        assert.deepStrictEqual([fee.transaction.type, fee.transaction.amount, fee.transaction.source, fee.transaction.status], ['expense', 15, 'import', 'cleared']);
+        assert.match((await finance.resolveStatementLine({ lineId: queue[1].id, action: 'ignore' })).error, /already matched/);
+
+        ({ report } = await finance.reconcile({ accountId: 'checking', from: '2025-03-01', to: '2025-03-31' }));
+        assert.deepStrictEqual(
+            [report.statementBalance, report.bookBalance, report.outstanding.total, report.adjustedBankBalance, report.difference, report.status],
+            [915.01, 740.01, -175, 740.01, 0, 'reconciled']
+        );
+        assert.deepStrictEqual(report.outstanding.transactionIds.sort(), [print1.id, coffee.id].sort());
+        assert.strictEqual(report.reconciledCount, 5);
+        assert.strictEqual(finance.transactions.find(t => t.id === invoice.id).status, 'reconciled');
+        assert.match((await finance.unmatchStatementLine(`checking:F1`)).error, /already reconciled/);
+
+        // A statement balance that does not tie out is reported, and nothing changes
+        ({ report } = await finance.reconcile({ accountId: 'checking', to: '2025-03-31', statementBalance: 900 }));
+        assert.deepStrictEqual([report.status, report.difference], ['unbalanced', -15.01]);
+        assert.strictEqual(finance.getReconciliations('checking').length, 1, 'one report per account and end date');
+
+        await finance.transactionsStore.flush();
+        const reloaded = await new FinanceModule({ stateStore: store }).init();
+        assert.strictEqual(reloaded.statementLines.length, 5);
+        assert.strictEqual(reloaded.getIntegrationStatus().awaitingReview, 0);
+    } finally {
+        await store.db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('FinanceModule - reconciles every tracker posting to the account', async (t) => {
+    const store = new StateStore({ dbDriver: 'memory' });
+    try {
+        const finance = await new FinanceModule({ stateStore: store }).init();
+        const tracker = await new ProfitTracker({ stateStore: store }).init();
+        tracker.registerBusiness('shop', 'Shop');
+        const today = new Date().toISOString().split('T')[0];
+        const sale = await tracker.recordRevenue('shop', 250, 'Stripe');
+        const rent = await finance.recordTransaction({ type: 'expense', amount: 900, date: today, payee: 'Landlord LLC', category: 'Office' });
+
+        const csv = `Date,Description,Amount\n${today},STRIPE TRANSFER,250.00\n${today},LANDLORD LLC RENT,-900.00\n`;
+        const imported = await finance.importStatement({ content: csv, accountId: 'checking' });
+        assert.deepStrictEqual([imported.matched, imported.needsReview], [2, 0], 'the tracker deposit matches its ledger entry');
+        const deposit = finance.statementLines.find(line => line.amount === 250);
+        assert.deepStrictEqual([deposit.entryId, deposit.transactionId], [sale.id, null]);
+
+        // Moving the rent to another category keeps it cleared against the same line
+        await finance.recategorizeTransaction(rent.id, 'Rent', { learn: false });
+        assert.strictEqual((await finance.bookItems('checking')).find(item => item.transactionId === rent.id).status, 'cleared');
+
+        const { report } = await finance.reconcile({ accountId: 'checking', to: today, statementBalance: -650 });
+        assert.deepStrictEqual([report.bookBalance, report.outstanding.count, report.difference, report.status], [-650, 0, 0, 'reconciled']);
+        assert.strictEqual(report.reconciledCount, 2);
+        assert.strictEqual(finance.transactions.find(t => t.id === rent.id).status, 'reconciled');
+    } finally {
+        await store.db.close();
+    }
+});
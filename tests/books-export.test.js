@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StateStore } from '../packages/core/state-store.js';
+import { accountCodes } from '../packages/core/books-export.js';
+import { FinanceModule } from '../packages/modules/finance/index.js';
+import { PaymentProcessor } from '../packages/modules/payment-processor.js';
+import { ProfitTracker } from '../packages/ceo/profit-tracker.js';
+import { parseStatement } from '../packages/modules/finance/bank-statements.js';
+
+async function books(dataDir) {
+    const store = new StateStore({ dbDriver: 'memory' });
+    const paymentProcessor = new PaymentProcessor({ db: store.db, dataDir: path.join(dataDir, 'payments') });
+    const finance = await new FinanceModule({ stateStore: store, paymentProcessor }).init();
+    const record = data => finance.recordTransaction(data);
+    await record({ type: 'income', amount: 1200, category: 'Consulting', businessId: 'shop', date: '2025-03-03', payee: 'Acme Corp', description: 'Website build' });
+    await record({ type: 'expense', amount: 49.99, category: 'Software', businessId: 'shop', date: '2025-03-05', description: 'GitHub "Team"' });
+    await record({ type: 'expense', amount: 30, category: 'Coffee', businessId: 'blog', date: '2025-03-06', description: 'Interview coffee' });
+    await record({ type: 'expense', amount: 10, category: 'Bank Fees', date: '2025-03-07', description: 'Monthly fee' });
+    await record({ type: 'transfer', amount: 100, accountId: 'checking', toAccountId: 'savings', date: '2025-03-08', description: 'Reserve' });
+    await record({ type: 'income', amount: 500, category: 'Consulting', businessId: 'shop', date: '2025-04-02', description: 'April retainer' });
+    await finance.ledger.recordIncome({ originalAmount: 0.001, currency: 'BTC', category: 'Consulting', businessId: 'blog', date: '2025-03-10', description: 'Tip jar' });
+    return { store, finance, paymentProcessor };
+}
+
+const march = { from: '2025-03-01', to: '2025-03-31' };
+
+test('Books export - journal as IIF, QBO, Xero, Beancount and ledger-cli', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-export-'));
+    const { store, finance } = await books(dataDir);
+    try {
+        const iif = await finance.exportBooks({ format: 'iif', ...march });
+        assert.deepStrictEqual([iif.success, iif.count, iif.filename], [true, 6, 'journal-2025-03-01_2025-03-31.iif']);
+        const rows = iif.content.trim().split('\r\n').map(row => row.split('\t'));
+        assert.deepStrictEqual(rows[0], ['!TRNS', 'TRNSTYPE', 'DATE', 'ACCNT', 'CLASS', 'AMOUNT', 'MEMO']);
+        assert.deepStrictEqual(rows[3].slice(0, 6), ['TRNS', 'GENERAL JOURNAL', '03/03/2025', 'Business Checking', 'shop', '1200.00']);
+        assert.deepStrictEqual(rows[4].slice(3, 6), ['Consulting', 'shop', '-1200.00']);
+        assert.strictEqual(rows.filter(row => row[0] === 'ENDTRNS').length, 6);
+
+        // A QBO file reads back as the checking account's statement
+        const qbo = await finance.exportBooks({ format: 'qbo', dataset: 'journal', accountId: 'checking', ...march });
+        const statement = parseStatement(qbo.content);
+        assert.deepStrictEqual(statement.lines.map(line => line.amount), [1200, -49.99, -30, -10, -100, 95]);
+        assert.deepStrictEqual(statement.balance, { amount: 1105.01, date: '2025-03-31' });
+        assert.match(qbo.content, /<INTU\.BID>3000/);
+        assert.match((await finance.exportBooks({ format: 'qbo', accountId: 'software' })).error, /bank or card account/);
+
+        const codes = accountCodes(await finance.ledger.listAccounts());
+        const xero = await finance.exportBooks({ format: 'xero', dataset: 'journal', businessId: 'shop', ...march });
+        const xeroRows = xero.content.trim().split('\r\n');
+        assert.strictEqual(xeroRows[0], '*Narration,*Date,Description,*AccountCode,*TaxRate,*Amount,TrackingName1,TrackingOption1');
+        assert.strictEqual(xero.count, 2, 'only the shop entries');
+        assert.ok(xeroRows[1].startsWith(`Website build (`));
+        assert.ok(xeroRows[1].endsWith(`,03/03/2025,Website build,${codes.get('checking')},Tax Exempt,1200.00,Business,shop`));
+        assert.ok(xeroRows.some(row => row.includes('"GitHub ""Team"" (')), 'quotes are escaped');
+
+        const beancount = await finance.exportBooks({ format: 'beancount', ...march });
+        assert.match(beancount.content, /^2025-03-03 \* "Website build"\n {2}entry: "[^"]+"\n {2}business: "shop"\n {2}source: "finance"\n {2}Assets:BusinessChecking +1200\.00 USD\n {2}Income:Consulting +-1200\.00 USD$/m);
+        assert.match(beancount.content, /Assets:BusinessChecking +0\.001 BTC @@ 95\.00 USD/);
+        assert.match(beancount.content, /2025-03-05 \* "GitHub \\"Team\\""/);
+        const opened = (await finance.exportBooks({ format: 'beancount', dataset: 'accounts' })).content;
+        assert.match(opened, /^option "operating_currency" "USD"$/m);
+        for (const account of new Set(beancount.content.match(/^ {2}([A-Z][A-Za-z]+:[A-Za-z0-9-]+)/gm).map(line => line.trim()))) {
+            assert.match(opened, new RegExp(`^1970-01-01 open ${account}$`, 'm'), `${account} is opened`);
+        }
+
+        // Tasks get the contents back; only the CLI writes files
+        const ledger = await finance.execute({ action: 'export', data: { format: 'ledger', ...march, output: path.join(dataDir, 'march.ledger') } });
+        assert.strictEqual(fs.existsSync(path.join(dataDir, 'march.ledger')), false);
+        assert.match(ledger.content, /^2025\/03\/08 \* Reserve\n {4}; entry: .+\n {4}; source: finance\n {4}Assets:BusinessSavings +100\.00 USD\n {4}Assets:BusinessChecking +-100\.00 USD$/m);
+
+        // ProfitTracker exports the same books
+        const tracker = await new ProfitTracker({ stateStore: store }).init();
+        assert.strictEqual((await tracker.execute({ action: 'export', data: { format: 'iif', ...march } })).count, 6);
+    } finally {
+        await store.db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('Books export - chart of accounts, invoices and P&L per business', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-export-'));
+    const { store, finance, paymentProcessor } = await books(dataDir);
+    try {
+        const accounts = await finance.exportBooks({ format: 'xero', dataset: 'accounts' });
+        const chart = accounts.content.trim().split('\r\n').map(row => row.split(','));
+        assert.deepStrictEqual(chart[0], ['*Code', '*Name', '*Type', '*Tax Code', 'Description']);
+        assert.strictEqual(new Set(chart.slice(1).map(row => row[0])).size, accounts.count, 'codes are unique');
+        assert.deepStrictEqual(chart.find(row => row[4] === 'consulting').slice(2, 3), ['REVENUE']);
+        const iifAccounts = (await finance.exportBooks({ format: 'iif', dataset: 'accounts' })).content;
+        assert.match(iifAccounts, /^ACCNT\tBusiness Checking\tBANK\t1\d{3}\tchecking$/m);
+        assert.match(iifAccounts, /^ACCNT\tBusiness Credit Card\tCCARD\t/m);
+
+        await paymentProcessor.createInvoice({ clientName: 'Acme Corp', clientEmail: 'ap@acme.test', items: [{ description: 'Build, phase 1', quantity: 2, unitPrice: 500 }], taxRate: 10, businessId: 'shop' });
+        await paymentProcessor.createInvoice({ clientName: 'Berlin GmbH', items: [{ description: 'Post', quantity: 1, unitPrice: 100 }], currency: 'EUR', businessId: 'blog' });
+
+        const xero = await finance.exportBooks({ format: 'xero', dataset: 'invoices' });
+        const invoiceRows = xero.content.trim().split('\r\n').slice(1).sort();
+        assert.strictEqual(xero.count, 2);
+        assert.match(invoiceRows[0], /^Acme Corp,ap@acme\.test,INV-[\dA-Z-]+,,\d{2}\/\d{2}\/\d{4},\d{2}\/\d{2}\/\d{4},"Build, phase 1",2,500,4\d{3},Tax Exempt,100\.00,Business,shop,USD$/);
+        assert.match(invoiceRows[1], /,Post,1,100,.*,Business,blog,EUR$/);
+
+        // Each invoice is a TRNS line, its splits and ENDTRNS
+        const iif = (await finance.exportBooks({ format: 'iif', dataset: 'invoices' })).content.trim().split('\r\nENDTRNS').slice(0, -1)
+            .map(block => block.split('\r\n').filter(row => /^(TRNS|SPL)\t/.test(row)).map(row => row.split('\t')).map(row => [row[0], row[3], row[4], row[6]]))
+            .sort((a, b) => a[0][2].localeCompare(b[0][2]));
+        assert.deepStrictEqual(iif, [
+            [['TRNS', 'Accounts Receivable', 'Acme Corp', '1100.00'], ['SPL', 'Service Revenue', 'Acme Corp', '-1000.00'], ['SPL', 'Sales Tax Payable', 'Acme Corp', '-100.00']],
+            [['TRNS', 'Accounts Receivable', 'Berlin GmbH', '108.00'], ['SPL', 'Service Revenue', 'Berlin GmbH', '-108.00']]
+        ]);
+
+        const shopOnly = await finance.exportBooks({ format: 'beancount', dataset: 'invoices', businessId: 'shop' });
+        assert.strictEqual(shopOnly.count, 1);
+        assert.match(shopOnly.content, /\d{4}-\d{2}-\d{2} ! "Acme Corp invoice INV-[\dA-Z-]+"/);
+        assert.match(shopOnly.content, /Assets:AccountsReceivable +1100\.00 USD/);
+        assert.match(shopOnly.content, /Liabilities:SalesTaxPayable +-100\.00 USD/);
+        assert.match((await finance.exportBooks({ format: 'beancount', dataset: 'accounts' })).content, /^1970-01-01 open Liabilities:SalesTaxPayable$/m, 'the tax account is opened');
+        assert.match(iifAccounts, /^ACCNT\tSales Tax Payable\tOCLIAB\t/m);
+
+        const pl = await finance.exportBooks({ format: 'xero', dataset: 'profit_loss', ...march });
+        const report = pl.content.trim().split('\r\n').map(row => row.split(','));
+        assert.deepStrictEqual(report[0], ['Account Code', 'Account', 'blog', 'shop', 'Unassigned', 'Total']);
+        assert.deepStrictEqual(report.find(row => row[1] === 'Consulting').slice(2), ['95.00', '1200.00', '0.00', '1295.00']);
+        assert.deepStrictEqual(report.find(row => row[1] === 'Bank Fees').slice(2), ['0.00', '0.00', '10.00', '10.00']);
+        assert.deepStrictEqual(report.at(-1).slice(1), ['Net Income', '65.00', '1150.01', '-10.00', '1205.01']);
+        const shopPl = (await finance.exportBooks({ format: 'xero', dataset: 'profit_loss', businessId: 'shop' })).content;
+        assert.match(shopPl, /^,Net Income,1650\.01,1650\.01$/m);
+
+        assert.match((await finance.exportBooks({ format: 'iif', dataset: 'profit_loss' })).error, /iif exports journal, accounts, invoices, not profit_loss; export the journal/);
+        assert.match((await finance.exportBooks({ format: 'csv' })).error, /Unknown export format/);
+    } finally {
+        await store.db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StateStore } from '../packages/core/state-store.js';
+import { Categorizer, CategorizationError, payeePattern, payeeRegExp } from '../packages/core/categorizer.js';
+import { FinanceModule } from '../packages/modules/finance/index.js';
+import { AutoBookkeeping } from '../packages/infrastructure/auto-bookkeeping.js';
+
+function fakeRouter(answers) {
+    return {
+        prompts: [],
+        async complete(prompt, taskType, options) {
+            this.prompts.push(prompt);
+            assert.ok(options.schema, 'suggestions ask for structured output');
+            return { success: true, data: answers.shift() };
+        }
+    };
+}
+
+test('Categorizer - rules by priority and specificity, model fallback, learned corrections', async (t) => {
+    const store = new StateStore({ dbDriver: 'memory' });
+    try {
+        const router = fakeRouter([
+            { category: 'software & subscriptions', confidence: 0.9 },
+            { category: 'Travel', confidence: 0.4 }
+        ]);
+        const categorizer = await new Categorizer({ stateStore: store, modelRouter: router }).init();
+        await categorizer.addRule({ payee: 'aws|amazon web services', category: 'Hosting', deductible: true });
+        await categorizer.addRule({ payee: 'amazon', category: 'Office Supplies' });
+        const equipment = await categorizer.addRule({ minAmount: 1000, type: 'expense', accountId: 'cc', category: 'Equipment' });
+        await assert.rejects(categorizer.addRule({ payee: '(', category: 'Broken' }), CategorizationError);
+        // Payees are plain text, so a rule cannot bring a backtracking regular expression
+        await assert.rejects(categorizer.addRule({ payee: '(a+)+$', category: 'Slow' }), /use plain text/);
+        await assert.rejects(categorizer.addRule({ payee: 'a'.repeat(201), category: 'Long' }), /longer than 200/);
+        assert.strictEqual(payeeRegExp('amazon.com').test('AMAZONxCOM'), false, 'dots are literal');
+        await assert.rejects(categorizer.addRule({ category: 'Everything' }), /needs a payee, amount range, account or type/);
+        await assert.rejects(categorizer.addRule({ minAmount: 10, maxAmount: 5, category: 'Backwards' }), /minAmount is above maxAmount/);
+
+        assert.deepStrictEqual(await categorizer.categorize({ payee: 'AMAZON WEB SERVICES', amount: 30 }),
+            { category: 'Hosting', confidence: 1, method: 'rule', ruleId: categorizer.rules[0].id, deductible: true });
+        assert.strictEqual((await categorizer.categorize({ payee: 'Amazon Mktp US', amount: 40 })).category, 'Office Supplies');
+        assert.strictEqual((await categorizer.categorize({ payee: 'Dell', amount: 1500, accountId: 'cc' })).ruleId, equipment.id);
+
+        // No rule: the model answers, matched to the existing account's name
+        const suggested = await categorizer.categorize({ payee: 'Dell', amount: 1500, accountId: 'checking' });
+        assert.deepStrictEqual([suggested.category, suggested.confidence, suggested.method], ['Software & Subscriptions', 0.9, 'model']);
+        assert.match(router.prompts[0], /Existing expense categories: .*Software & Subscriptions/);
+        const unsure = await categorizer.categorize({ payee: 'Delta', amount: 300 });
+        assert.deepStrictEqual([unsure.category, unsure.method, unsure.suggestion.category], [null, 'none', 'Travel']);
+        assert.strictEqual((await categorizer.categorize({ payee: 'Delta', amount: 300 }, { useModel: false })).method, 'none');
+        assert.strictEqual(router.prompts.length, 2);
+
+        // A correction outranks the rule that got it wrong, however specific that rule was
+        assert.strictEqual(payeePattern('SQ *BLUE BOTTLE #0412'), 'blue\\W+bottle');
+        const learned = await categorizer.learnFromCorrection({ payee: 'Dell', amount: 1500, accountId: 'cc', type: 'expense' }, 'Computers');
+        assert.deepStrictEqual([learned.source, learned.payee, learned.priority], ['learned', 'dell', 1]);
+        assert.strictEqual((await categorizer.categorize({ payee: 'DELL INC', amount: 2000, accountId: 'cc' })).category, 'Computers');
+        assert.strictEqual((await categorizer.categorize({ payee: 'Lenovo', amount: 2000, accountId: 'cc' })).category, 'Equipment');
+        const again = await categorizer.learnFromCorrection({ payee: 'Dell', type: 'expense' }, 'Hardware');
+        assert.deepStrictEqual([again.id, again.category, again.corrections], [learned.id, 'Hardware', 2]);
+
+        const reloaded = await new Categorizer({ stateStore: store }).init();
+        assert.deepStrictEqual((await reloaded.listRules()).map(r => r.category), ['Hardware', 'Equipment', 'Hosting', 'Office Supplies']);
+        assert.strictEqual((await reloaded.removeRule(equipment.id)).success, true);
+        assert.strictEqual((await new Categorizer({ stateStore: store }).listRules()).length, 3);
+    } finally {
+        await store.db.close();
+    }
+});
+
+test('FinanceModule - manual entries, statement lines and Stripe payouts share the rules', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-categorize-'));
+    const store = new StateStore({ dbDriver: 'memory' });
+    try {
+        const finance = await new FinanceModule({ stateStore: store }).init();
+        await finance.execute({ action: 'add_rule', data: { payee: 'github', category: 'Software' } });
+        await finance.execute({ action: 'add_rule', data: { payee: 'stripe', type: 'income', category: 'Sales' } });
+        await finance.execute({ action: 'add_rule', data: { payee: 'hetzner', category: 'Hosting', deductible: true } });
+
+        const github = await finance.recordTransaction({ type: 'expense', amount: 20, payee: 'GitHub', date: '2025-03-02' });
+        assert.deepStrictEqual([github.category, github.categorization.method], ['Software', 'rule']);
+        const manual = await finance.recordTransaction({ type: 'expense', amount: 8, payee: 'Office Depot', category: 'Supplies', date: '2025-03-02' });
+        assert.strictEqual(manual.categorization.method, 'manual');
+
+        // Uncategorized until corrected; the correction moves it in the books and teaches a rule
+        const coffee = await finance.recordTransaction({ type: 'expense', amount: 12.5, payee: 'BLUE BOTTLE COFFEE #12', date: '2025-03-03' });
+        assert.deepStrictEqual([coffee.category, coffee.categorization.method], [null, 'none']);
+        const fixed = await finance.execute({ action: 'recategorize', data: { id: coffee.id, category: 'Meals' } });
+        assert.deepStrictEqual([fixed.success, fixed.transaction.revision, fixed.rule.payee], [true, 1, 'blue\\W+bottle\\W+coffee']);
+        const pl = await finance.ledger.getProfitLoss({ from: '2025-03-01', to: '2025-03-31' });
+        assert.deepStrictEqual(pl.expenseAccounts.filter(a => a.amount).map(a => [a.id, a.amount]), [['meals', 12.5], ['software', 20], ['supplies', 8]]);
+        assert.strictEqual((await finance.recordTransaction({ type: 'expense', amount: 6, payee: 'Blue Bottle Coffee' })).category, 'Meals');
+        assert.match((await finance.recategorizeTransaction('missing', 'Meals')).error, /not found/);
+
+        // Statement lines nothing matched are suggested a category, and created with it
+        const csv = 'Date,Description,Amount\n2025-03-20,GITHUB SPONSORS,-4.00\n';
+        await finance.importStatement({ content: csv, accountId: 'checking' });
+        const [line] = await finance.getReviewQueue('checking');
+        assert.strictEqual(line.suggestedCategory, 'Software');
+        const created = await finance.resolveStatementLine({ lineId: line.id, action: 'create' });
+        assert.deepStrictEqual([created.transaction.category, created.transaction.source], ['Software', 'import']);
+
+        const arrival = Date.UTC(2025, 2, 7) / 1000;
+        const payouts = [
+            { id: 'po_1', amount: 125000, currency: 'usd', arrival_date: arrival, status: 'paid' },
+            { id: 'po_2', amount: 5000, currency: 'jpy', arrival_date: arrival, status: 'paid' },
+            { id: 'po_3', amount: 900, currency: 'usd', arrival_date: arrival, status: 'failed' }
+        ];
+        const synced = await finance.execute({ action: 'import_stripe_payouts', data: { payouts } });
+        assert.deepStrictEqual([synced.imported, synced.skipped], [2, 1]);
+        assert.deepStrictEqual(synced.transactions.map(t => [t.id, t.date, t.amount, t.category, t.source]), [
+            ['stripe-po_1', '2025-03-07', 1250, 'Sales', 'stripe'],
+            ['stripe-po_2', '2025-03-07', 33, 'Sales', 'stripe']
+        ]);
+        assert.deepStrictEqual([synced.transactions[1].currency, synced.transactions[1].originalAmount], ['JPY', 5000]);
+        assert.deepStrictEqual((await finance.importStripePayouts({ payouts })).skipped, 3);
+
+        // AutoBookkeeping files with the same rules, and a rule can mark a category deductible
+        const bookkeeping = await new AutoBookkeeping({ stateStore: store, dataDir }).init();
+        const hosting = await bookkeeping.recordTransaction({ type: 'expense', amount: 10, payee: 'Hetzner Online' });
+        assert.deepStrictEqual([hosting.category, hosting.taxDeductible], ['Hosting', true]);
+        const meal = await bookkeeping.recordTransaction({ type: 'expense', amount: 4, payee: 'Blue Bottle Coffee' });
+        assert.deepStrictEqual([meal.category, meal.taxDeductible], ['Meals', false]);
+        assert.strictEqual(await bookkeeping.isDeductible('software'), true);
+
+        // The shared categorizer picks up the app's ModelRouter even though it was first built without one
+        const router = fakeRouter([{ category: 'Travel', confidence: 0.95 }]);
+        const routed = await new FinanceModule({ stateStore: store, modelRouter: router }).init();
+        assert.strictEqual(routed.categorizer, finance.categorizer);
+        const flight = await routed.recordTransaction({ type: 'expense', amount: 300, payee: 'Delta Air Lines' });
+        assert.deepStrictEqual([flight.category, flight.categorization.method], ['Travel', 'model']);
+    } finally {
+        await store.db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Database } from '../packages/core/database.js';
+import { ChatSessions } from '../packages/core/chat-sessions.js';
+import { ApprovalServer } from '../packages/core/approval-server.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+import CEOAgent from '../packages/ceo/ceo-agent.js';
+
+test('ChatSessions - history persists and old turns fold into a summary', async (t) => {
+    const db = new Database({ dbDriver: 'memory' });
+    const prompts = [];
+    const modelRouter = {
+        complete: async (prompt) => {
+            prompts.push(prompt);
+            return { success: true, content: 'User wants a coffee brand called Bean There.' };
+        }
+    };
+    const chats = new ChatSessions({ db, modelRouter, maxContextTokens: 20, keepRecent: 2 });
+
+    const session = await chats.createSession();
+    await chats.addMessage(session.id, 'user', 'Let us launch a coffee brand called Bean There');
+    await chats.addMessage(session.id, 'assistant', 'Great, I will draft a plan for Bean There coffee.');
+    await chats.addMessage(session.id, 'user', 'What name did I pick?');
+    await chats.addMessage(session.id, 'assistant', 'You picked Bean There.');
+
+    const stored = await chats.getSession(session.id);
+    assert.strictEqual(stored.title, 'Let us launch a coffee brand called Bean There');
+    assert.strictEqual(stored.message_count, 4);
+    assert.deepStrictEqual(stored.messages.map(m => m.role), ['user', 'assistant', 'user', 'assistant']);
+
+    const context = await chats.buildContext(session.id);
+    assert.strictEqual(context.summary, 'User wants a coffee brand called Bean There.');
+    assert.deepStrictEqual(context.messages.map(m => m.content), ['What name did I pick?', 'You picked Bean There.']);
+    assert.ok(prompts[0].includes('User: Let us launch a coffee brand called Bean There'));
+
+    // Folding is persisted: a second build does not summarise again
+    const again = await chats.buildContext(session.id);
+    assert.strictEqual(prompts.length, 1);
+    assert.strictEqual(again.messages.length, 2);
+    assert.ok(chats.formatContext(again).startsWith('Summary of earlier conversation: User wants a coffee brand'));
+
+    assert.strictEqual(await chats.buildContext('missing'), null);
+    assert.deepStrictEqual(await chats.deleteSession(session.id), { deleted: true });
+    assert.strictEqual(await chats.getSession(session.id), null);
+
+    await db.close();
+});
+
+test('ApprovalServer - /api/chat/sessions endpoints', async (t) => {
+    const db = new Database({ dbDriver: 'memory' });
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-chat-'));
+    const server = new ApprovalServer({ db, port: 39000 + Math.floor(Math.random() * 500) });
+    server.setStatusProvider(() => ({ status: 'idle' }));
+    server.setCommandHandler(async (command, options) => ({ reply: `echo: ${command}`, sessionId: options.sessionId }));
+    await server.init();
+    const operator = await server.auth.createUser({ username: 'ops', role: 'operator' });
+    const { token } = await server.auth.createApiToken(operator.id);
+    const { url } = await server.start();
+    const base = url.replace('0.0.0.0', '127.0.0.1');
+    const fetch = (target, options = {}) => globalThis.fetch(target, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${token}` }
+    });
+
+    try {
+        const created = await (await fetch(`${base}/api/chat/sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title: 'Planning' })
+        })).json();
+        assert.strictEqual(created.title, 'Planning');
+
+        const reply = await (await fetch(`${base}/api/chat/sessions/${created.id}/messages`, {
+            method: 'POST',
+            body: JSON.stringify({ content: 'hello' })
+        })).json();
+        assert.deepStrictEqual(reply, { reply: 'echo: hello', sessionId: created.id });
+
+        // Without a live agent the turn is still saved so the session can be resumed
+        server.setCommandHandler(null);
+        await fetch(`${base}/api/chat/sessions/${created.id}/messages`, {
+            method: 'POST',
+            body: JSON.stringify({ content: 'are you there?' })
+        });
+        const session = await (await fetch(`${base}/api/chat/sessions/${created.id}`)).json();
+        assert.deepStrictEqual(session.messages.map(m => m.role), ['user', 'assistant']);
+        assert.strictEqual(session.messages[0].content, 'are you there?');
+
+        const list = await (await fetch(`${base}/api/chat/sessions`)).json();
+        assert.deepStrictEqual(list.map(s => s.id), [created.id]);
+
+        const missing = await fetch(`${base}/api/chat/sessions/nope/messages`, { method: 'POST', body: '{}' });
+        assert.strictEqual(missing.status, 404);
+
+        // The CEO refuses a session id that does not exist, and /api/command answers 404
+        const ceo = new CEOAgent({ db, chatSessions: server.chatSessions, dataDir, auditLogger: new AuditLogger({ logDir: path.join(dataDir, 'audit') }) });
+        server.setCommandHandler((command, options) => ceo.handleCommand(command, options));
+        assert.deepStrictEqual(await ceo.handleCommand('status', { sessionId: 'nope' }), { success: false, error: 'Chat session not found: nope' });
+        const command = await fetch(`${base}/api/command`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ command: 'status', sessionId: 'nope' })
+        });
+        assert.strictEqual(command.status, 404);
+
+        const deleted = await (await fetch(`${base}/api/chat/sessions/${created.id}`, { method: 'DELETE' })).json();
+        assert.strictEqual(deleted.deleted, true);
+    } finally {
+        server.stop();
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -5,6 +5,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import Database from '../packages/core/database.js';
+import { createStorageAdapter, MemoryAdapter, PostgresAdapter, SqliteAdapter } from '../packages/core/storage-adapters.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -47,3 +48,191 @@ test('Database - CRUD Operations', async (t) => {
     await db.close();
     if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
 });
+
+test('Database - Migrations are tracked and reversible', async (t) => {
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+
+    const latest = await db.getSchemaVersion();
+    assert.ok(latest >= 3, 'Should apply all bundled migrations');
+
+    const reverted = await db.rollback(1);
+    assert.ok(reverted.length > 0);
+    assert.strictEqual(await db.getSchemaVersion(), 1);
+
+    const reapplied = await db.migrate();
+    assert.deepStrictEqual(reapplied, reverted.reverse());
+    assert.strictEqual(await db.getSchemaVersion(), latest);
+
+    await db.close();
+});
+
+test('Database - Legacy column names are upgraded', async (t) => {
+    const db = new Database({ dbDriver: 'memory', migrations: [] });
+    await db.init();
+    await db.run('CREATE TABLE tasks (id TEXT PRIMARY KEY, businessid TEXT, planid TEXT, status TEXT, createdat TEXT)');
+    await db.run("INSERT INTO tasks (id, businessid, status, createdat) VALUES ('old-1', 'biz', 'queued', '2025-01-01')");
+
+    db.migrations = (await import('../packages/core/migrations.js')).migrations;
+    await db.migrate();
+
+    const columns = await db.getColumns('tasks');
+    assert.ok(columns.includes('created_at'));
+    assert.ok(!columns.includes('createdat'));
+
+    const task = await db.getTask('old-1');
+    assert.strictEqual(task.business_id, 'biz');
+    assert.strictEqual(task.created_at, '2025-01-01');
+
+    await db.close();
+});
+
+test('Database - A legacy table without its key column is refused, not patched', async (t) => {
+    const db = new Database({ dbDriver: 'memory', migrations: [] });
+    await db.init();
+    await db.run('CREATE TABLE logs (businessid TEXT, timestamp TEXT, message TEXT)');
+
+    db.migrations = (await import('../packages/core/migrations.js')).migrations;
+    await assert.rejects(db.migrate(), /Table logs has no id key column/);
+    assert.deepStrictEqual(await db.getColumns('logs'), ['businessid', 'timestamp', 'message'], 'the migration rolled back');
+    assert.strictEqual(await db.getSchemaVersion(), 0);
+
+    await db.close();
+});
+
+test('Database - Task, approval and log repositories', async (t) => {
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+
+    await db.saveTask({ id: 't1', businessId: 'b1', module: 'ceo', data: { idea: 'x' }, status: 'queued', priority: 2 });
+    await db.saveTask({ id: 't2', business_id: 'b1', status: 'queued', priority: 5 });
+
+    const queued = await db.getQueuedTasks();
+    assert.deepStrictEqual(queued.map(q => q.id), ['t2', 't1']);
+    assert.deepStrictEqual(queued[1].data, { idea: 'x' }, 'Extra fields round-trip through metadata');
+
+    await db.updateTaskStatus('t1', 'completed', { result: { ok: true } });
+    const done = await db.getTask('t1');
+    assert.strictEqual(done.status, 'completed');
+    assert.deepStrictEqual(done.result, { ok: true });
+
+    await db.saveApproval({ id: 'a1', task_id: 't2', title: 'Spend', amount: 50 });
+    assert.strictEqual((await db.getPendingApprovals()).length, 1);
+    assert.strictEqual((await db.getApprovalByTask('t2')).id, 'a1');
+
+    await db.log('b1', 'info', 'hello', 'phase-1');
+    const logs = await db.getLogs({ businessId: 'b1' });
+    assert.strictEqual(logs[0].message, 'hello');
+    assert.strictEqual(logs[0].phase, 'phase-1');
+
+    await db.close();
+});
+
+test('Database - Storage driver selection', async (t) => {
+    assert.ok(createStorageAdapter({ dbDriver: 'memory' }) instanceof MemoryAdapter);
+    assert.ok(createStorageAdapter({ dbPath: 'x.db' }, '/tmp/x.db') instanceof SqliteAdapter);
+    assert.ok(createStorageAdapter({ dbDriver: 'postgres', databaseUrl: 'postgres://u:p@localhost/king' }) instanceof PostgresAdapter);
+    assert.throws(() => createStorageAdapter({ dbDriver: 'postgres', databaseUrl: '' }), /DATABASE_URL/);
+    assert.throws(() => createStorageAdapter({ dbDriver: 'mongo' }), /Unknown storage driver/);
+
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+    assert.strictEqual(db.dialect, 'sqlite');
+
+    // Transactions roll back every write made through the scoped view
+    await assert.rejects(db.transaction(async (tx) => {
+        await tx.saveBusiness({ id: 'tx-biz', name: 'Rolled back' });
+        throw new Error('abort');
+    }), /abort/);
+    assert.strictEqual(await db.getBusiness('tx-biz'), null);
+
+    await db.close();
+});
+
+test('SqliteAdapter - writes wait for an open transaction, nested transactions join it', async (t) => {
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const rolledBack = db.transaction(async (tx) => {
+        await tx.saveBusiness({ id: 'tx-biz', name: 'Rolled back' });
+        await held;
+        throw new Error('abort');
+    });
+    // Issued while the transaction is open, committed on its own afterwards
+    const outside = db.saveBusiness({ id: 'outside-biz', name: 'Kept' });
+    release();
+    await assert.rejects(rolledBack, /abort/);
+    await outside;
+    assert.strictEqual(await db.getBusiness('tx-biz'), null);
+    assert.strictEqual((await db.getBusiness('outside-biz')).name, 'Kept');
+
+    await db.transaction(async (tx) => {
+        await tx.saveBusiness({ id: 'outer-biz', name: 'Outer' });
+        await tx.transaction(inner => inner.saveBusiness({ id: 'inner-biz', name: 'Inner' }));
+    });
+    assert.deepStrictEqual([(await db.getBusiness('outer-biz')).name, (await db.getBusiness('inner-biz')).name], ['Outer', 'Inner']);
+
+    await db.close();
+});
+
+test('SqliteAdapter - reads wait for an open transaction instead of seeing its rows', async (t) => {
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+
+    let written;
+    const inserted = new Promise(resolve => { written = resolve; });
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const rolledBack = db.transaction(async (tx) => {
+        await tx.saveBusiness({ id: 'uncommitted-biz', name: 'Rolled back' });
+        written();
+        await held;
+        throw new Error('abort');
+    });
+
+    await inserted;
+    // Issued after the insert but before the rollback
+    const read = db.getBusiness('uncommitted-biz');
+    const listed = db.getAllBusinesses();
+    release();
+    await assert.rejects(rolledBack, /abort/);
+    assert.strictEqual(await read, null);
+    assert.deepStrictEqual((await listed).map(b => b.id), []);
+
+    await db.close();
+});
+
+test('PostgresAdapter - transactions hold one pooled client and nested ones reuse it', async (t) => {
+    const queries = [];
+    let released = 0;
+    const client = {
+        query: async (sql, params) => {
+            queries.push(params ? [sql, params] : sql);
+            if (sql.startsWith('INSERT INTO fail')) throw new Error('constraint');
+            return { rowCount: 1, rows: [{ id: 7 }] };
+        },
+        release: () => { released++; }
+    };
+    const pool = { connect: async () => client, query: async () => assert.fail('transaction writes must use the client') };
+    const adapter = new PostgresAdapter({ pool });
+
+    const result = await adapter.transaction(async (tx) => {
+        const inserted = await tx.run("INSERT INTO notes (body, tag) VALUES (?, 'a?b') RETURNING id", ['hello']);
+        await tx.transaction(inner => inner.run('UPDATE notes SET body = ? WHERE id = ?', ['bye', inserted.lastID]));
+        return inserted;
+    });
+    assert.deepStrictEqual(result, { changes: 1, lastID: 7 });
+    assert.deepStrictEqual(queries, [
+        'BEGIN',
+        ["INSERT INTO notes (body, tag) VALUES ($1, 'a?b') RETURNING id", ['hello']],
+        ['UPDATE notes SET body = $1 WHERE id = $2', ['bye', 7]],
+        'COMMIT'
+    ]);
+
+    queries.length = 0;
+    await assert.rejects(adapter.transaction(tx => tx.run('INSERT INTO fail VALUES (?)', [1])), /constraint/);
+    assert.deepStrictEqual(queries.at(-1), 'ROLLBACK');
+    assert.strictEqual(released, 2, 'the client goes back to the pool either way');
+});
@@ -2,6 +2,8 @@
 import test from 'node:test';
 import assert from 'node:assert';
 import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -10,12 +12,14 @@ const __dirname = path.dirname(__filename);
 
 test('Empire Entry Point - Smoke Test', (t, done) => {
     const empirePath = path.join(__dirname, '../empire.js');
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-empire-'));
 
     // We expect it to at least start and maybe log something before we kill it
     // Use MOCK_AI to avoid real calls
     const child = spawn('node', [empirePath], {
-        env: { ...process.env, MOCK_AI: 'true', PORT: '0' } // Port 0 to avoid EADDRINUSE
+        env: { ...process.env, MOCK_AI: 'true', PORT: '0', AUDIT_LOG_PATH: logDir } // Port 0 to avoid EADDRINUSE
     });
+    child.on('exit', () => fs.rmSync(logDir, { recursive: true, force: true }));
 
     let output = '';
     let finished = false;
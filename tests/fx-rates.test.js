@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Database } from '../packages/core/database.js';
+import { FxRates, FxError } from '../packages/core/fx-rates.js';
+import { GeneralLedger, getGeneralLedger } from '../packages/core/general-ledger.js';
+import { MultiCurrencyLedger } from '../packages/core/ledger.js';
+import { MultiCurrency } from '../packages/modules/multi-currency.js';
+import { PPPPricing } from '../packages/modules/ppp-pricing.js';
+import { PaymentProcessor } from '../packages/modules/payment-processor.js';
+
+// Abridged eurofxref-hist.csv: newest first, N/A for currencies no longer quoted, trailing commas
+const ECB_HISTORY = `Date,USD,JPY,GBP,CYP,
+2025-03-04,1.0505,156.11,0.82510,N/A,
+2025-03-03,1.0465,157.28,0.82680,N/A,
+2025-02-28,1.0410,156.58,0.82600,N/A,
+`;
+
+async function memoryFx() {
+    const db = new Database({ dbDriver: 'memory' });
+    const fx = await new FxRates({ db, baseCurrency: 'USD' }).init();
+    return { db, fx };
+}
+
+test('FxRates - ECB import, dated lookups, inversion and crosses', async (t) => {
+    const { db, fx } = await memoryFx();
+    try {
+        // Before anything is imported the fallback table answers
+        assert.deepStrictEqual((await fx.convert(100, 'EUR', 'USD', '2025-03-03')).result, 108);
+
+        const imported = await fx.importEcbCsv(ECB_HISTORY);
+        assert.deepStrictEqual([imported.imported, imported.currencies, imported.from, imported.to], [9, ['USD', 'JPY', 'GBP'], '2025-02-28', '2025-03-04']);
+        await fx.importEcbCsv('Date, USD, JPY, \n05 March 2025, 1.0783, 160.02, \n');
+
+        assert.strictEqual((await fx.getRate('EUR', 'USD', '2025-03-03')).rate, 1.0465);
+        assert.strictEqual((await fx.getRate('usd', 'eur', '2025-03-03')).rate, 1 / 1.0465, 'stored the other way round');
+
+        // The weekend uses Friday's rate
+        const weekend = await fx.getRate('EUR', 'USD', '2025-03-01');
+        assert.deepStrictEqual([weekend.rate, weekend.rateDate], [1.041, '2025-02-28']);
+        assert.strictEqual((await fx.getRate('EUR', 'USD', '2025-03-05')).rate, 1.0783, 'daily file date format');
+
+        // GBP to USD crosses through EUR rather than using the fallback rate
+        const cross = await fx.convert(100, 'GBP', 'USD', '2025-03-03');
+        assert.strictEqual(cross.result, 126.57);
+        assert.strictEqual((await fx.convert(1000, 'USD', 'JPY', '2025-03-03')).result, 150291, 'JPY has no minor unit');
+        assert.strictEqual((await fx.getRate('BTC', 'EUR', '2025-03-03')).source, 'fallback+ecb', 'crypto still comes from the fallback');
+
+        await assert.rejects(fx.getRate('EUR', 'CHF', '2025-03-03'), FxError);
+        await assert.rejects(fx.importEcbCsv('Day,USD\n2025-03-03,1.0'), /first column must be Date/);
+        await assert.rejects(fx.addRates([{ base: 'EUR', quote: 'USD', date: '2025-03-03', rate: 0 }]), /positive rate/);
+    } finally {
+        await db.close();
+    }
+});
+
+test('FxRates - realized and unrealized gains between booking and settlement', async (t) => {
+    const { db, fx } = await memoryFx();
+    try {
+        await fx.importEcbCsv(ECB_HISTORY);
+        const unrealized = await fx.unrealizedGain({ amount: 1000, currency: 'EUR', bookedAt: '2025-02-28', asOf: '2025-03-03' });
+        assert.deepStrictEqual([unrealized.bookedValue, unrealized.value, unrealized.gain], [1041, 1046.5, 5.5]);
+
+        const payable = await fx.realizedGain({ amount: -1000, currency: 'EUR', bookedAt: '2025-02-28', settledAt: '2025-03-04' });
+        assert.strictEqual(payable.gain, -9.5, 'a payable in a currency that strengthened costs more to settle');
+
+        // The ledger converts at the entry date and revalues at the reporting date
+        const ledger = await new GeneralLedger({ db, baseCurrency: 'USD', fxRates: fx }).init();
+        await ledger.recordIncome({ originalAmount: 1000, currency: 'EUR', date: '2025-02-28', cashAccount: 'ar', businessId: 'eu' });
+        assert.strictEqual((await ledger.getProfitLoss()).income, 1041);
+        const revaluation = await ledger.getFxRevaluation({ asOf: '2025-03-04' });
+        assert.deepStrictEqual(revaluation.positions.map(p => [p.account, p.currency, p.foreignBalance, p.bookValue, p.reportingValue, p.unrealizedGain]),
+            [['ar', 'EUR', 1000, 1041, 1050.5, 9.5]]);
+        assert.strictEqual((await ledger.getFxRevaluation({ asOf: '2025-02-27' })).positions.length, 0, 'nothing open before it was booked');
+
+        // Posting the revaluation books the gain once and leaves nothing unrealized at that date
+        const posted = await ledger.postFxRevaluation({ asOf: '2025-03-03' });
+        assert.deepStrictEqual(posted.entry.lines.map(l => [l.account, l.debit, l.credit]), [['ar', 5.5, 0], ['fx-gain', 0, 5.5]]);
+        assert.strictEqual((await ledger.postFxRevaluation({ asOf: '2025-03-03' })).entry, undefined);
+        const later = await ledger.getFxRevaluation({ asOf: '2025-03-04' });
+        assert.deepStrictEqual([later.positions[0].foreignBalance, later.positions[0].bookValue, later.unrealizedGain], [1000, 1046.5, 4]);
+        assert.strictEqual((await ledger.getProfitLoss()).incomeAccounts.find(a => a.id === 'fx-gain').amount, 5.5);
+
+        const multi = new MultiCurrencyLedger({ db, generalLedger: ledger });
+        assert.strictEqual(await multi.recordTransaction(100, 'GBP', 'uk', 'revenue', '2025-03-03'), 126.57);
+        assert.strictEqual((await ledger.getBusinessTotals()).uk.income, 126.57);
+    } finally {
+        await db.close();
+    }
+});
+
+test('Currency modules convert through the shared rates', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-fx-'));
+    const { db, fx } = await memoryFx();
+    try {
+        await fx.importEcbCsv(ECB_HISTORY);
+        await fx.addRates([{ base: 'EUR', quote: 'INR', date: '2025-03-03', rate: 91.2 }]);
+
+        const currency = new MultiCurrency({ fxRates: fx, dataDir });
+        assert.strictEqual((await currency.convert(100, 'EUR', 'GBP', '2025-03-03')).result, 82.68);
+        const hedges = await currency.recommendHedge({ EUR: 20000, GBP: 1000 });
+        assert.deepStrictEqual(hedges.map(h => h.pair), ['EUR/USD']);
+
+        const price = await new PPPPricing({ fxRates: fx }).calculatePrice(100, 'IN', '2025-03-03');
+        assert.deepStrictEqual([price.local_price, price.currency, price.local_amount], [30, 'INR', 2614.43]);
+        assert.strictEqual((await new PPPPricing({ fxRates: fx }).calculatePrice(100, 'BR')).currency, 'USD', 'no BRL rate yet');
+
+        const payments = new PaymentProcessor({ db, fxRates: fx, dataDir });
+        const { invoice } = await payments.execute({
+            action: 'create_invoice',
+            data: { clientName: 'Muster GmbH', clientEmail: 'ap@muster.de', currency: 'EUR', items: [{ description: 'Audit', quantity: 2, unitPrice: 500 }] }
+        });
+        assert.deepStrictEqual([invoice.total, invoice.baseCurrency, invoice.baseTotal], [1000, 'USD', invoice.exchangeRate * 1000]);
+
+        const exposure = await payments.execute({ action: 'fx_exposure', data: { asOf: '2099-01-01' } });
+        assert.deepStrictEqual(exposure.positions.map(p => p.invoiceId), [invoice.id]);
+
+        await fx.addRates([{ base: 'EUR', quote: 'USD', date: '2098-12-31', rate: 1.2 }]);
+        const paid = await payments.execute({ action: 'record_payment', data: { invoiceId: invoice.id, paidAt: '2099-01-01' } });
+        assert.strictEqual(paid.invoice.status, 'paid');
+        assert.strictEqual(paid.invoice.realizedFxGain, Math.round((paid.invoice.baseAmountReceived - invoice.baseTotal) * 100) / 100);
+        const fxEntry = await getGeneralLedger({ db, fxRates: fx }).getEntry(paid.invoice.fxJournalEntryId);
+        const gain = paid.invoice.realizedFxGain;
+        assert.ok(gain > 0, 'EUR strengthened to 1.20');
+        assert.deepStrictEqual(fxEntry.lines.map(l => [l.account, l.debit, l.credit]), [['revenue', gain, 0], ['fx-gain', 0, gain]], 'the gain moves out of revenue');
+        assert.match((await payments.recordInvoicePayment(invoice.id)).error, /already paid/);
+        assert.strictEqual((await payments.getInvoiceFxExposure()).positions.length, 0);
+
+        // No CAD rate: the invoice is still saved, without a base-currency value
+        const cad = await payments.createInvoice({ clientName: 'Maple Ltd', currency: 'CAD', items: [{ description: 'Audit', quantity: 1, unitPrice: 700 }] });
+        assert.deepStrictEqual([cad.success, cad.invoice.total, cad.invoice.baseTotal], [true, 700, undefined]);
+        assert.strictEqual((await payments.getInvoiceFxExposure('2099-01-01')).positions.length, 0);
+        const cadPaid = await payments.recordInvoicePayment(cad.invoice.id, '2099-01-01');
+        assert.deepStrictEqual([cadPaid.invoice.status, cadPaid.invoice.realizedFxGain], ['paid', undefined]);
+    } finally {
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
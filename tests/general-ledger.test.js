@@ -0,0 +1,179 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Database } from '../packages/core/database.js';
+import { StateStore } from '../packages/core/state-store.js';
+import { GeneralLedger, LedgerError } from '../packages/core/general-ledger.js';
+import { FinanceModule } from '../packages/modules/finance/index.js';
+import { AutoBookkeeping } from '../packages/infrastructure/auto-bookkeeping.js';
+import { ProfitTracker } from '../packages/ceo/profit-tracker.js';
+import { PortfolioManager } from '../packages/core/portfolio-manager.js';
+import { MultiCurrencyLedger } from '../packages/core/ledger.js';
+
+async function memoryLedger() {
+    const db = new Database({ dbDriver: 'memory' });
+    const ledger = await new GeneralLedger({ db }).init();
+    return { db, ledger };
+}
+
+test('GeneralLedger - entries must balance, name known accounts and post once', async (t) => {
+    const { db, ledger } = await memoryLedger();
+    try {
+        await assert.rejects(ledger.post({ lines: [{ account: 'checking', debit: 10 }, { account: 'revenue', credit: 9.99 }] }), LedgerError);
+        await assert.rejects(ledger.post({ lines: [{ account: 'checking', debit: 10 }, { account: 'nowhere', credit: 10 }] }), /Unknown account "nowhere"/);
+        await assert.rejects(ledger.post({ lines: [{ account: 'checking', debit: 10 }] }), /at least two lines/);
+
+        const sale = { date: '2025-03-03', description: 'Consulting', idempotencyKey: 'invoice-1', lines: [{ account: 'checking', debit: 0.1 + 0.2 }, { account: 'revenue', credit: 0.3 }] };
+        const first = await ledger.post(sale);
+        const again = await ledger.post(sale);
+        assert.deepStrictEqual([first.duplicate, again.duplicate, again.entry.id], [false, true, first.entry.id]);
+        assert.strictEqual((await ledger.listEntries()).total, 1);
+
+        const reversal = await ledger.reverse(first.entry.id, { reason: 'Billed twice' });
+        assert.strictEqual(reversal.success, true);
+        assert.deepStrictEqual(reversal.entry.lines.map(l => [l.account, l.debit, l.credit]), [['checking', 0, 0.3], ['revenue', 0.3, 0]]);
+        assert.match((await ledger.reverse(first.entry.id)).error, /already reversed/);
+        assert.match((await ledger.reverse(reversal.entry.id)).error, /itself a reversal/);
+        assert.strictEqual((await ledger.getProfitLoss()).income, 0);
+    } finally {
+        await db.close();
+    }
+});
+
+test('GeneralLedger - P&L, balance sheet, cash flow and trial balance come from the same lines', async (t) => {
+    const { db, ledger } = await memoryLedger();
+    try {
+        await db.saveBusiness({ id: 'shop', name: 'Shop' });
+        await ledger.recordIncome({ amount: 1000, date: '2025-03-01', businessId: 'shop', category: 'Sales' });
+        await ledger.recordExpense({ amount: 200, date: '2025-03-02', businessId: 'shop', category: 'Software' });
+        await ledger.recordExpense({ amount: 50, date: '2025-03-02', businessId: 'blog', category: 'Coffee' });
+        await ledger.recordIncome({ amount: -100, date: '2025-04-01', businessId: 'shop', category: 'Sales' });
+        await ledger.post({ date: '2025-03-05', lines: [{ account: 'savings', debit: 300 }, { account: 'checking', credit: 300 }] });
+
+        const march = await ledger.getProfitLoss({ from: '2025-03-01', to: '2025-03-31' });
+        assert.deepStrictEqual([march.income, march.expenses, march.netIncome, march.deductibleExpenses], [1000, 250, 750, 200]);
+        assert.deepStrictEqual(march.expenseAccounts.map(a => [a.id, a.amount]), [['coffee', 50], ['software', 200]]);
+        assert.strictEqual((await ledger.getProfitLoss({ businessId: 'shop' })).netIncome, 700, 'the refund lowers income');
+
+        const sheet = await ledger.getBalanceSheet();
+        assert.deepStrictEqual(sheet.assets.map(a => [a.id, a.balance]), [['checking', 350], ['savings', 300]]);
+        assert.deepStrictEqual(sheet.equity.map(a => [a.id, a.balance]), [['current-earnings', 650]]);
+        assert.strictEqual(sheet.balanced, true);
+
+        const flow = await ledger.getCashFlow({ from: '2025-03-01', to: '2025-03-31' });
+        assert.deepStrictEqual([flow.inflows, flow.outflows, flow.netCashFlow], [1300, 550, 750]);
+
+        const trial = await ledger.getTrialBalance();
+        assert.deepStrictEqual([trial.totalDebits, trial.balanced], [trial.totalCredits, true]);
+
+        assert.deepStrictEqual(await ledger.getBusinessTotals(), {
+            shop: { income: 900, expenses: 200, profit: 700 },
+            blog: { income: 0, expenses: 50, profit: -50 }
+        });
+        const shop = await db.getBusiness('shop');
+        assert.deepStrictEqual([shop.revenue, shop.expenses], [900, 200], 'business rows follow the books');
+    } finally {
+        await db.close();
+    }
+});
+
+test('GeneralLedger - every money tracker posts into the same books', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-ledger-'));
+    const store = new StateStore({ dbDriver: 'memory' });
+    const db = store.db;
+    try {
+        await db.init();
+        await db.saveBusiness({ id: 'saas', name: 'SaaS', revenue: 500, expenses: 100 });
+
+        // Totals kept on business rows before the ledger are imported once as opening balances
+        const finance = await new FinanceModule({ stateStore: store }).init();
+        assert.deepStrictEqual((await finance.ledger.getBusinessTotals()).saas, { income: 500, expenses: 100, profit: 400 });
+
+        const txn = await finance.recordTransaction({ type: 'income', amount: 250, category: 'Subscriptions', businessId: 'saas' });
+        assert.ok(txn.journalEntryId);
+        await finance.recordTransaction({ type: 'transfer', amount: 100, accountId: 'checking', toAccountId: 'savings' });
+
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(path.join(dataDir, 'ledger.jsonl'), JSON.stringify({ id: 'tx-old', timestamp: '2025-01-05T00:00:00Z', type: 'expense', amount: 40, category: 'hosting', taxDeductible: true, businessId: 'saas' }) + '\n');
+        const bookkeeping = await new AutoBookkeeping({ stateStore: store, dataDir }).init();
+        await new AutoBookkeeping({ stateStore: store, dataDir }).init();
+        await bookkeeping.recordTransaction({ type: 'expense', amount: 60, category: 'software', businessId: 'saas' });
+        const tax = await bookkeeping.generateTaxEstimate(2025);
+        assert.strictEqual(tax.deductibleExpenses, 40, 'the imported hosting line posts once');
+
+        const tracker = await new ProfitTracker({ stateStore: store }).init();
+        tracker.registerBusiness('saas', 'SaaS');
+        await tracker.recordRevenue('saas', 50, 'stripe');
+        await new PortfolioManager({ db }).recordExpense('saas', 25);
+        assert.strictEqual(await new MultiCurrencyLedger({ db }).recordTransaction(0.001, 'BTC', 'saas'), 95);
+
+        const totals = (await finance.ledger.getBusinessTotals()).saas;
+        assert.deepStrictEqual(totals, { income: 895, expenses: 225, profit: 670 });
+        assert.strictEqual((await db.getBusiness('saas')).revenue, 895);
+        await tracker.refresh();
+        assert.deepStrictEqual([tracker.getSummary().totalProfit, tracker.data.businesses.saas.revenue], [670, undefined]);
+
+        const btc = (await finance.ledger.listEntries({ source: 'multi-currency' })).entries[0];
+        assert.deepStrictEqual([btc.lines[0].currency, btc.lines[0].amount, btc.lines[0].debit], ['BTC', 0.001, 95]);
+        assert.strictEqual((await finance.getBalanceSheet()).balanced, true);
+        assert.strictEqual((await finance.getAccounts()).find(a => a.id === 'savings').balance, 100);
+    } finally {
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('FinanceModule - earlier transactions the ledger cannot take do not stop the import', async (t) => {
+    const store = new StateStore({ dbDriver: 'memory' });
+    try {
+        const saved = store.collection('finance.transactions');
+        await saved.set('old-transfer', { id: 'old-transfer', date: '2024-12-01', type: 'transfer', amount: 80, accountId: 'checking' });
+        await saved.set('old-bank', { id: 'old-bank', date: '2024-12-02', type: 'expense', amount: 5, category: 'Fees', accountId: 'closed-bank' });
+        await saved.set('old-sale', { id: 'old-sale', date: '2024-12-03', type: 'income', amount: 300, category: 'Sales' });
+
+        const finance = await new FinanceModule({ stateStore: store }).init();
+        const byId = Object.fromEntries(finance.transactions.map(t => [t.id, t]));
+        assert.ok(byId['old-sale'].journalEntryId, 'later transactions still post');
+        assert.strictEqual(byId['old-bank'].journalEntryId, undefined, 'an unknown account is skipped and logged');
+        assert.ok(finance.accounts.length > 0, 'the chart of accounts still loads');
+        const accounts = await finance.getAccounts();
+        assert.deepStrictEqual(['checking', 'suspense'].map(id => accounts.find(a => a.id === id).balance), [220, 80]);
+    } finally {
+        await store.db.close();
+    }
+});
+
+test('AutoBookkeeping - deductibility stays with each expense, whoever opened the account', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-ledger-'));
+    const store = new StateStore({ dbDriver: 'memory' });
+    try {
+        // Finance opens the hosting account without a deductible flag
+        const finance = await new FinanceModule({ stateStore: store }).init();
+        await finance.recordTransaction({ type: 'expense', amount: 15, category: 'hosting', date: '2025-02-01' });
+        assert.strictEqual((await finance.ledger.getAccount('hosting')).deductible, false);
+
+        const bookkeeping = await new AutoBookkeeping({ stateStore: store, dataDir }).init();
+        const at = { timestamp: '2025-02-02T00:00:00Z' };
+        assert.strictEqual((await bookkeeping.recordTransaction({ ...at, type: 'expense', amount: 30, category: 'hosting' })).taxDeductible, true);
+        assert.strictEqual((await bookkeeping.recordTransaction({ ...at, type: 'expense', amount: 20, category: 'marketing' })).taxDeductible, false);
+
+        const tax = await bookkeeping.generateTaxEstimate(2025);
+        assert.strictEqual(tax.deductibleExpenses, 30, 'only the bookkeeping hosting line is deductible');
+        assert.strictEqual(tax.scope, 'general_ledger');
+
+        const hosting = (await finance.ledger.getProfitLoss({ from: '2025-01-01' })).expenseAccounts.find(a => a.id === 'hosting');
+        assert.deepStrictEqual([hosting.amount, hosting.deductibleAmount], [45, 30]);
+
+        // A reversal takes its line's flag with it
+        const { entries } = await finance.ledger.listEntries({ source: 'auto-bookkeeping' });
+        const posted = entries.find(e => e.lines.some(l => l.account === 'hosting'));
+        assert.strictEqual(posted.lines.find(l => l.account === 'hosting').deductible, true);
+        await finance.ledger.reverse(posted.id, { date: '2025-02-03' });
+        assert.strictEqual((await bookkeeping.generateTaxEstimate(2025)).deductibleExpenses, 0);
+    } finally {
+        await store.db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,292 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Database } from '../packages/core/database.js';
+import { JobQueue } from '../packages/core/job-queue.js';
+import { ApprovalServer } from '../packages/core/approval-server.js';
+import { Orchestrator } from '../packages/orchestrator/orchestrator.js';
+
+function clock(start = Date.parse('2025-03-01T12:00:00.000Z')) {
+    const now = () => now.ms;
+    now.ms = start;
+    return now;
+}
+
+async function memoryQueues(config = {}) {
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+    const now = clock();
+    const queue = (workerId) => new JobQueue({ db, now, workerId, random: () => 0, visibilityTimeoutMs: 60000, backoffBaseMs: 1000, ...config });
+    return { db, now, queue };
+}
+
+test('JobQueue - leases expire and the job is redelivered to another worker', async (t) => {
+    const { db, now, queue } = await memoryQueues();
+    try {
+        const a = queue('worker-a');
+        const b = queue('worker-b');
+        await a.enqueue({ id: 'low', module: 'm', priority: 1 });
+        await a.enqueue({ id: 'high', module: 'm', priority: 5 });
+
+        const [first] = await a.lease();
+        assert.deepStrictEqual([first.id, first.status, first.attempts, first.lease_owner], ['high', 'leased', 1, 'worker-a']);
+        assert.deepStrictEqual((await b.lease(5)).map(job => job.id), ['low'], 'a leased job is invisible');
+
+        // worker-a goes quiet past the visibility timeout
+        now.ms += 60000;
+        const [redelivered] = await b.lease();
+        assert.deepStrictEqual([redelivered.id, redelivered.attempts, redelivered.lease_owner], ['high', 2, 'worker-b']);
+        assert.strictEqual(await a.complete('high'), false, 'the old lease no longer counts');
+        assert.strictEqual(await b.complete('high'), true);
+
+        // A lease that lapses on the last attempt dead-letters the job
+        now.ms += 60000;
+        const [low] = await a.lease();
+        assert.strictEqual(low.attempts, 2);
+        now.ms += 60000;
+        await a.lease();
+        now.ms += 60000;
+        assert.deepStrictEqual(await a.lease(), []);
+        const dead = await a.getJob('low');
+        assert.strictEqual(dead.status, 'dead');
+        assert.match(dead.last_error, /Lease held by worker-a expired on attempt 3/);
+        assert.deepStrictEqual(await a.counts(), { queued: 0, leased: 0, completed: 1, dead: 1, discarded: 0 });
+
+        // Jobs without a module are held back by the default ('') limit like any other
+        await a.enqueue({ id: 'loose' });
+        assert.deepStrictEqual(await b.lease(1, { excludeModules: [''] }), []);
+        assert.deepStrictEqual((await b.lease(1, { excludeModules: ['m'] })).map(job => job.id), ['loose']);
+    } finally {
+        await db.close();
+    }
+});
+
+test('JobQueue - failures back off exponentially, then dead-letter', async (t) => {
+    const { db, now, queue } = await memoryQueues();
+    try {
+        const q = queue('worker-a');
+        assert.deepStrictEqual([1, 2, 3, 20].map(attempt => q.backoff(attempt)), [500, 1000, 2000, 450000]);
+        q.random = () => 1;
+        assert.strictEqual(q.backoff(2), 2000, 'jitter only reaches the full delay');
+        q.random = () => 0;
+
+        await q.enqueue({ id: 'job-1', module: 'm' }, { maxAttempts: 3 });
+        await q.lease();
+        const retry = await q.fail('job-1', new Error('Timeout'));
+        assert.strictEqual(retry.status, 'queued');
+        assert.strictEqual(retry.retryAt, new Date(now.ms + 500).toISOString());
+        assert.deepStrictEqual(await q.lease(), [], 'not before the backoff');
+
+        now.ms += 500;
+        await q.lease();
+        assert.strictEqual((await q.fail('job-1', new Error('Timeout again'))).retryAt, new Date(now.ms + 1000).toISOString());
+        now.ms += 1000;
+        await q.lease();
+        assert.deepStrictEqual(await q.fail('job-1', new Error('Still down')), { status: 'dead', attempts: 3 });
+
+        const dead = await q.getJob('job-1');
+        assert.deepStrictEqual(dead.history.map(h => [h.attempt, h.error]), [[1, 'Timeout'], [2, 'Timeout again'], [3, 'Still down']]);
+
+        await q.enqueue({ id: 'job-2', module: 'm' });
+        await q.lease();
+        assert.strictEqual((await q.fail('job-2', new Error('Bad input'), { retryable: false })).status, 'dead');
+        assert.deepStrictEqual((await q.listDead()).jobs.map(job => job.id).sort(), ['job-1', 'job-2']);
+    } finally {
+        await db.close();
+    }
+});
+
+test('JobQueue - idempotency keys, priority aging, replay with edits and discard', async (t) => {
+    const { db, now, queue } = await memoryQueues({ priorityAgingPerMinute: 1 });
+    try {
+        const q = queue('worker-a');
+        const first = await q.enqueue({ id: 'pay-1', module: 'finance', data: { amount: 10 } }, { idempotencyKey: 'invoice-7' });
+        const again = await q.enqueue({ id: 'pay-2', module: 'finance', data: { amount: 10 } }, { idempotencyKey: 'invoice-7' });
+        assert.strictEqual(first.duplicate, false);
+        assert.deepStrictEqual([again.duplicate, again.job.id], [true, 'pay-1']);
+
+        // pay-1 (priority 0) has waited 5 minutes, so it outranks a fresh priority 3 job
+        now.ms += 5 * 60000;
+        await q.enqueue({ id: 'urgent', module: 'finance', priority: 3 });
+        assert.strictEqual((await q.lease())[0].id, 'pay-1');
+
+        await q.fail('pay-1', new Error('Amount too small'), { retryable: false });
+        assert.strictEqual((await q.replay('urgent')).success, false, 'only dead jobs replay');
+
+        const replayed = await q.replay('pay-1', { id: 'ignored', data: { amount: 25 } });
+        assert.strictEqual(replayed.success, true);
+        assert.deepStrictEqual([replayed.job.status, replayed.job.attempts, replayed.job.id], ['queued', 0, 'pay-1']);
+        assert.deepStrictEqual(replayed.job.payload.data, { amount: 25 });
+
+        now.ms += 60000;
+        const [lease] = await q.lease(2);
+        assert.strictEqual(lease.id, 'urgent');
+        await q.fail('urgent', new Error('Nope'), { retryable: false });
+        assert.strictEqual((await q.discard('urgent')).job.status, 'discarded');
+        assert.deepStrictEqual((await q.discard('urgent')).error, 'Job urgent is discarded, not dead');
+        assert.strictEqual((await q.replay('missing')).error, 'Job not found: missing');
+    } finally {
+        await db.close();
+    }
+});
+
+test('Orchestrator - tasks retry through the job queue and dead letters can be replayed', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-jobs-'));
+    const db = new Database({ dbDriver: 'memory' });
+    const orchestrator = new Orchestrator({
+        db,
+        logDir: path.join(dataDir, 'audit'),
+        pendingFile: path.join(dataDir, 'pending-approvals.json'),
+        backoffBaseMs: 0,
+        maxAttempts: 2
+    });
+    let calls = 0;
+    orchestrator.registerModule('reports', {
+        execute: async (task) => {
+            calls++;
+            if (!task.data.fixed) throw new Error('Report source missing');
+            return { rows: 3 };
+        }
+    });
+
+    try {
+        await orchestrator.init();
+        const submitted = await orchestrator.submitTask({ module: 'reports', action: 'build', description: 'Weekly report', data: {}, idempotencyKey: 'weekly-1' });
+        assert.strictEqual(submitted.status, 'queued');
+        assert.strictEqual((await orchestrator.submitTask({ module: 'reports', action: 'build', data: {}, idempotencyKey: 'weekly-1' })).status, 'duplicate');
+
+        assert.deepStrictEqual((await orchestrator.processQueue()).map(r => r.status), ['retrying', 'failed']);
+        assert.strictEqual(calls, 2);
+        assert.strictEqual((await orchestrator.getStatus()).deadLetterQueue, 1);
+        assert.strictEqual((await db.getTask(submitted.taskId)).status, 'failed');
+
+        // An edit that turns the task into a money movement waits for approval like a new task
+        const risky = await orchestrator.replayDeadLetter(submitted.taskId, { data: { fixed: true }, description: 'Weekly report, then wire the balance to savings' });
+        assert.deepStrictEqual([risky.success, risky.status], [true, 'pending_approval']);
+        assert.strictEqual((await orchestrator.getStatus()).deadLetterQueue, 1);
+        assert.strictEqual((await db.getTask(submitted.taskId)).status, 'pending_approval');
+        await orchestrator.approvalFlow.decide(risky.approvalId, false, 'No transfers from reports', { username: 'alice', role: 'approver' });
+        // The 'resolved' event picks the decision up
+        for (let i = 0; i < 100 && (await db.getTask(submitted.taskId)).status === 'pending_approval'; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        assert.strictEqual((await orchestrator.getStatus()).deadLetterQueue, 1);
+        assert.strictEqual((await db.getTask(submitted.taskId)).status, 'failed');
+
+        const replay = await orchestrator.replayDeadLetter(submitted.taskId, { data: { fixed: true } });
+        assert.strictEqual(replay.success, true);
+        assert.deepStrictEqual((await orchestrator.processQueue()).map(r => r.status), ['completed']);
+        const task = await db.getTask(submitted.taskId);
+        assert.deepStrictEqual([task.status, task.result], ['completed', { rows: 3 }]);
+        assert.strictEqual((await orchestrator.getStatus()).deadLetterQueue, 0);
+    } finally {
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('Orchestrator - tasks awaiting approval are picked up again after a restart', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-jobs-'));
+    const db = new Database({ dbDriver: 'memory' });
+    const start = () => {
+        const orchestrator = new Orchestrator({
+            db,
+            logDir: path.join(dataDir, 'audit'),
+            pendingFile: path.join(dataDir, 'pending-approvals.json'),
+            backoffBaseMs: 0,
+            maxAttempts: 1
+        });
+        orchestrator.registerModule('reports', {
+            execute: async (task) => {
+                if (!task.data.fixed) throw new Error('Report source missing');
+                return { rows: 3 };
+            }
+        });
+        return orchestrator.init();
+    };
+    const approvers = [{ username: 'alice', role: 'approver' }, { username: 'bob', role: 'approver' }];
+
+    try {
+        const before = await start();
+        const transfer = await before.submitTask({ module: 'reports', action: 'build', description: 'Wire the balance to savings', data: { fixed: true } });
+        assert.strictEqual(transfer.status, 'pending_approval');
+        const failed = await before.submitTask({ module: 'reports', action: 'build', description: 'Weekly report', data: {} });
+        await before.processQueue();
+        const replay = await before.replayDeadLetter(failed.taskId, { data: { fixed: true }, description: 'Weekly report, then wire the balance to savings' });
+        assert.strictEqual(replay.status, 'pending_approval');
+
+        // Decided while no orchestrator is running; the next one queues both
+        const { approvalFlow } = before;
+        approvalFlow.removeAllListeners('resolved');
+        for (const approver of approvers) {
+            await approvalFlow.respond(transfer.taskId, true, '', approver);
+            await approvalFlow.decide(replay.approvalId, true, '', approver);
+        }
+        assert.strictEqual((await db.getTask(transfer.taskId)).status, 'pending_approval');
+
+        const after = await start();
+        assert.strictEqual(after.awaitingExternally.size, 0);
+        assert.strictEqual((await db.getJob(failed.taskId)).payload.description, 'Weekly report, then wire the balance to savings', 'the replay keeps its edits');
+        assert.deepStrictEqual((await after.processQueue()).map(r => r.status).sort(), ['completed', 'completed']);
+        assert.strictEqual((await after.getStatus()).deadLetterQueue, 0);
+    } finally {
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('ApprovalServer - /api/jobs dead-letter inspector', async (t) => {
+    const db = new Database({ dbDriver: 'memory' });
+    const server = new ApprovalServer({ db, port: 39900 + Math.floor(Math.random() * 50) });
+    await server.init();
+    const worker = new JobQueue({ db, workerId: 'worker-a' });
+    await worker.enqueue({ id: 'job-a', module: 'm', data: { n: 1 } });
+    await worker.enqueue({ id: 'job-b', module: 'm' });
+    for (const job of await worker.lease(2)) await worker.fail(job.id, new Error('Broken'), { retryable: false });
+
+    const operator = await server.auth.createUser({ username: 'ops', role: 'operator' });
+    const viewer = await server.auth.createUser({ username: 'viewer', role: 'viewer' });
+    const admin = await server.auth.createUser({ username: 'root', role: 'admin' });
+    const tokens = {
+        operator: (await server.auth.createApiToken(operator.id)).token,
+        viewer: (await server.auth.createApiToken(viewer.id)).token,
+        admin: (await server.auth.createApiToken(admin.id)).token
+    };
+    const { url } = await server.start();
+    const base = url.replace('0.0.0.0', '127.0.0.1');
+    const call = (target, { as = 'operator', method = 'GET', body } = {}) => globalThis.fetch(`${base}${target}`, {
+        method,
+        headers: { Authorization: `Bearer ${tokens[as]}`, 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    try {
+        const list = await (await call('/api/jobs', { as: 'viewer' })).json();
+        assert.strictEqual(list.total, 2);
+        assert.strictEqual(list.counts.dead, 2);
+        assert.strictEqual(list.jobs[0].last_error, 'Broken');
+
+        assert.strictEqual((await call('/api/jobs/job-a/replay', { as: 'viewer', method: 'POST', body: {} })).status, 403);
+        assert.strictEqual((await call('/api/jobs/job-a/replay', { method: 'POST', body: { edits: [1] } })).status, 400);
+
+        // Editing a task before it runs again takes an approver, and edits the policy flags are refused
+        assert.strictEqual((await call('/api/jobs/job-a/replay', { method: 'POST', body: { edits: { data: { n: 2 } } } })).status, 403);
+        const flagged = await call('/api/jobs/job-a/replay', { as: 'admin', method: 'POST', body: { edits: { description: 'Wire $9,000 to a new account' } } });
+        assert.strictEqual(flagged.status, 409);
+        assert.match((await flagged.json()).error, /needs approval/);
+
+        const replayed = await (await call('/api/jobs/job-a/replay', { as: 'admin', method: 'POST', body: { edits: { data: { n: 2 } } } })).json();
+        assert.deepStrictEqual([replayed.job.status, replayed.job.payload.data], ['queued', { n: 2 }]);
+        assert.strictEqual((await call('/api/jobs/job-a/replay', { method: 'POST', body: {} })).status, 409);
+
+        assert.strictEqual((await call('/api/jobs/job-b/discard', { method: 'POST' })).status, 200);
+        assert.strictEqual((await (await call('/api/jobs/job-b')).json()).status, 'discarded');
+        assert.strictEqual((await call('/api/jobs/nope/discard', { method: 'POST' })).status, 404);
+        assert.strictEqual((await (await call('/api/jobs?status=dead')).json()).total, 0);
+    } finally {
+        server.stop();
+        await db.close();
+    }
+});
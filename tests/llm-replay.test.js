@@ -0,0 +1,184 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import ModelRouter, { FixtureMissError } from '../packages/core/model-router.js';
+import { LLMFixtures } from '../packages/core/llm-fixtures.js';
+import { BusinessAnalyzer } from '../packages/ceo/business-analyzer.js';
+import SelfEvaluator from '../packages/core/self-evaluator.js';
+import { MetaLearner } from '../packages/core/meta-learner.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+import CEOAgent from '../packages/ceo/ceo-agent.js';
+
+// Recorded with LLM_MODE=record; replayed here without any network access
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(__dirname, 'fixtures', 'llm');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-replay-'));
+}
+
+function replayRouter(name, dataDir) {
+    return new ModelRouter({ dataDir, llmMode: 'replay', llmFixtures: path.join(FIXTURES, `${name}.json`) });
+}
+
+test('LLMFixtures - record then replay, failing loudly on unknown prompts', async (t) => {
+    const dir = tempDir();
+    const fixturePath = path.join(dir, 'roundtrip.json');
+    try {
+        const recorder = new ModelRouter({ dataDir: dir, llmMode: 'record', llmFixtures: fixturePath });
+        const replies = ['first draft', 'second draft'];
+        recorder.completeLive = async () => ({ success: true, content: replies.shift(), model: 'gpt-4o' });
+
+        await recorder.complete('Draft a tagline', 'fast');
+        await recorder.complete('Draft a tagline', 'fast', { noCache: true });
+        const saved = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+        assert.strictEqual(saved.interactions.length, 2);
+        assert.strictEqual(saved.interactions[0].key, saved.interactions[1].key, 'routing options do not change the key');
+
+        const replayer = new ModelRouter({ dataDir: dir, llmMode: 'replay', llmFixtures: fixturePath });
+        replayer.completeLive = async () => assert.fail('replay must not call live models');
+        assert.strictEqual((await replayer.complete('Draft a tagline', 'fast')).content, 'first draft');
+        assert.strictEqual((await replayer.complete('Draft a tagline', 'fast')).content, 'second draft');
+        assert.strictEqual((await replayer.complete('Draft a tagline', 'fast')).content, 'second draft');
+
+        await assert.rejects(() => replayer.complete('Draft a slogan', 'fast'), FixtureMissError);
+        await assert.rejects(() => replayer.complete('Draft a tagline', 'reasoning'), /Re-record with LLM_MODE=record/);
+        assert.strictEqual(replayer.fixtures.misses.length, 2);
+
+        // Timestamps and Date.now() ids are masked, so re-runs hit the same entry
+        const fixtures = new LLMFixtures({ mode: 'record', path: fixturePath });
+        assert.strictEqual(
+            fixtures.request('complete', 'fast', { prompt: 'id analysis-1700000000000 at 2026-01-01T00:00:00.000Z' }).key,
+            fixtures.request('complete', 'fast', { prompt: 'id analysis-1800000000000 at 2026-10-19T12:30:00.000Z' }).key
+        );
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Replay - BusinessAnalyzer analysis and plan', async (t) => {
+    const dataDir = tempDir();
+    try {
+        const analyzer = new BusinessAnalyzer({
+            modelRouter: replayRouter('business-analyzer', dataDir),
+            auditLogger: new AuditLogger({ logDir: path.join(dataDir, 'audit') }),
+            dataDir
+        });
+
+        const analyzed = await analyzer.analyzeIdea({ description: 'Meal prep delivery for night-shift nurses', industry: 'Food' });
+        assert.strictEqual(analyzed.success, true);
+        assert.strictEqual(analyzed.analysis.viability.score, 7);
+        assert.strictEqual(analyzed.analysis.revenueModel.primary, 'Weekly meal boxes');
+
+        const planned = await analyzer.createBusinessPlan(analyzed.analysis.id);
+        assert.strictEqual(planned.success, true);
+        assert.deepStrictEqual(planned.plan.phases.map(p => p.name), ['Validate', 'Launch']);
+        assert.strictEqual(planned.plan.phases[1].tasks[0].requiresApproval, true);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('BusinessAnalyzer - providers without schema support reply with text only', async (t) => {
+    const dataDir = tempDir();
+    try {
+        const replies = [
+            '```json\n[{"name": "Night Bites", "description": "Meals for night shifts"}]\n```',
+            '[{"name": "Night Bites", "scores": {"total": 40}, "rank": 1}]',
+            'Sorry, I cannot help with that.'
+        ];
+        const analyzer = new BusinessAnalyzer({
+            aiProvider: { complete: async () => ({ success: true, content: replies.shift() }) },
+            auditLogger: new AuditLogger({ logDir: path.join(dataDir, 'audit') }),
+            dataDir
+        });
+
+        const generated = await analyzer.generateIdeas(1);
+        assert.deepStrictEqual(generated.ideas, [{ name: 'Night Bites', description: 'Meals for night shifts' }]);
+        assert.strictEqual((await analyzer.rankIdeas(generated.ideas)).rankedIdeas[0].scores.total, 40);
+
+        const refused = await analyzer.analyzeIdea({ description: 'Meal prep delivery' });
+        assert.deepStrictEqual([refused.success, refused.error, refused.raw], [false, 'Model reply was not valid JSON', 'Sorry, I cannot help with that.']);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('Replay - SelfEvaluator critique, rewrite and verify', async (t) => {
+    const dataDir = tempDir();
+    try {
+        const evaluator = new SelfEvaluator({ modelRouter: replayRouter('self-evaluator', dataDir) });
+        const result = await evaluator.evaluateAndImprove(
+            'Write a launch email for the nurse meal service',
+            'Buy our food.',
+            ['Always include a clear call to action.']
+        );
+
+        assert.strictEqual(result.was_rewritten, true);
+        assert.strictEqual(result.critique.score, 0.4);
+        assert.deepStrictEqual(result.critique.issues, ['No call to action', 'Does not mention night shifts']);
+        assert.ok(result.final_output.includes('Order your first box'));
+        assert.deepStrictEqual(result.improvements, ['Added a call to action', 'Targets night-shift schedules']);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('Replay - MetaLearner principles update the system prompt', async (t) => {
+    const dataDir = tempDir();
+    try {
+        const router = replayRouter('meta-learner', dataDir);
+        const learner = new MetaLearner({ modelRouter: router });
+
+        const principles = await learner.extractPrinciples({
+            taskDescription: 'Write a launch email for the nurse meal service',
+            finalOutput: 'Night shift? Order your first box tonight.',
+            critique: { issues: ['No call to action'] },
+            wasRewritten: true
+        });
+
+        assert.deepStrictEqual(principles, ['Every customer-facing message ends with a call to action.']);
+        assert.ok(router.systemPrompt.includes('call to action'));
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('Replay - CEOAgent.executePlan runs tasks through the recorded model', async (t) => {
+    const dataDir = tempDir();
+    const ceo = new CEOAgent({
+        dbDriver: 'memory',
+        dataDir,
+        auditLogger: new AuditLogger({ logDir: path.join(dataDir, 'audit') }),
+        llmMode: 'replay',
+        llmFixtures: path.join(FIXTURES, 'ceo-execute-plan.json')
+    });
+    try {
+        await ceo.init();
+        ceo.activeBusiness = {
+            id: 'biz-replay',
+            idea: 'Meal prep delivery for night-shift nurses',
+            status: 'executing',
+            tasks: [
+                { id: 't1', name: 'Build menu website', description: 'Landing page with weekly menu', phase: 'Launch', automated: true },
+                { id: 't2', name: 'Open business bank account', description: 'Needed for payouts', phase: 'Launch', automated: false },
+                { id: 't3', name: 'Interview nurses', description: 'Talk to ten nurses about meals', phase: 'Validate', automated: false }
+            ]
+        };
+
+        const result = await ceo.executePlan();
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(result.results.map(r => r.status), ['completed', 'awaiting_approval', 'manual_required']);
+
+        const executed = ceo.activeBusiness.tasks[0].result;
+        assert.deepStrictEqual(executed.final_answer.systemsNeeded, ['Static site', 'Menu CMS']);
+        assert.strictEqual(executed.verification_notes, 'Passed initial critique.');
+        assert.strictEqual(ceo.ai.fixtures.misses.length, 0);
+    } finally {
+        await ceo.db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -1,7 +1,17 @@
 
 import test from 'node:test';
 import assert from 'node:assert';
-import ModelRouter from '../packages/core/model-router.js';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import ModelRouter, { BudgetExceededError } from '../packages/core/model-router.js';
+import { BudgetManager } from '../packages/core/llm-budget.js';
+import Metrics from '../packages/core/metrics.js';
+import { PromptCache } from '../packages/core/prompt-cache.js';
+import { toolFormats } from '../packages/core/tool-calling.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 test('ModelRouter - Initialization', async (t) => {
     const router = new ModelRouter();
@@ -34,3 +44,424 @@ test('ModelRouter - executeModelRequest Mock', async (t) => {
     assert.ok(result.content, 'Should have mock content');
     process.env.MOCK_AI = 'false';
 });
+
+test('ModelRouter - token and cost accounting', async (t) => {
+    process.env.MOCK_AI = 'false';
+    const dataDir = path.join(__dirname, 'test-data-router-usage');
+    const router = new ModelRouter({ dataDir });
+    router.apiKeys.openai = ['fake-key'];
+    router.completeOpenAI = async () => ({
+        success: true,
+        content: 'Hello there',
+        usage: { promptTokens: 1200, completionTokens: 800 }
+    });
+
+    const result = await router.executeModelRequest('openai:gpt-4o', 'Say hello');
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.usage, { promptTokens: 1200, completionTokens: 800, totalTokens: 2000, estimated: false });
+    assert.ok(Math.abs(result.cost - 0.01) < 1e-9, 'gpt-4o costs $0.005 per 1K tokens');
+
+    const stats = router.getUsageStats()['openai:gpt-4o'];
+    assert.strictEqual(stats.calls, 1);
+    assert.strictEqual(stats.totalTokens, 2000);
+    assert.ok(Math.abs(stats.totalCost - 0.01) < 1e-9);
+
+    await router.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('ModelRouter - stream parses SSE chunks and records usage', async (t) => {
+    process.env.MOCK_AI = 'false';
+    const dataDir = path.join(__dirname, 'test-data-router-stream');
+    const metrics = new Metrics();
+    const router = new ModelRouter({ dataDir, metrics });
+    router.apiKeys.anthropic = ['fake-key'];
+
+    const events = [
+        { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hel' } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'lo' } },
+        { type: 'message_delta', usage: { output_tokens: 2 } },
+        { type: 'message_stop' }
+    ];
+    const originalFetch = globalThis.fetch;
+    const signals = [];
+    globalThis.fetch = async (url, init) => {
+        signals.push(init.signal);
+        return new Response(events.map(e => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join(''));
+    };
+
+    try {
+        const chunks = [];
+        for await (const chunk of router.stream('Say hello', 'reasoning', { model: 'anthropic:claude-3-5-sonnet' })) {
+            chunks.push(chunk);
+        }
+
+        const deltas = chunks.filter(c => c.type === 'delta').map(c => c.text);
+        assert.deepStrictEqual(deltas, ['Hel', 'lo']);
+
+        const done = chunks[chunks.length - 1];
+        assert.strictEqual(done.type, 'done');
+        assert.strictEqual(done.content, 'Hello');
+        assert.strictEqual(done.usage.totalTokens, 12);
+        assert.ok(Math.abs(done.cost - 12 / 1000 * 0.003) < 1e-12);
+
+        const tokens = await metrics.llmTokens.get();
+        const prompt = tokens.values.find(v => v.labels.kind === 'prompt');
+        assert.strictEqual(prompt.value, 10);
+        assert.ok(signals[0] instanceof AbortSignal, 'streams time out like other requests');
+    } finally {
+        globalThis.fetch = originalFetch;
+        await router.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('ModelRouter - budgets downgrade then refuse paid calls', async (t) => {
+    process.env.MOCK_AI = 'false';
+    const dataDir = path.join(__dirname, 'test-data-router-budget');
+    const alerts = [];
+    const router = new ModelRouter({
+        dataDir,
+        emailNotifier: { sendNotification: async (title) => alerts.push(title) },
+        budgets: [
+            { period: 'daily', limit: 0.01, provider: 'openai' },
+            { period: 'monthly', limit: 0.015, businessId: 'biz-1', action: 'refuse' }
+        ]
+    });
+    router.apiKeys.openai = ['fake-key'];
+    router.completeOpenAI = async () => ({ success: true, content: 'ok', usage: { promptTokens: 1000, completionTokens: 1000 } });
+    router.completeOllama = async () => ({ success: true, content: 'local', usage: { promptTokens: 10, completionTokens: 10 } });
+
+    // $0.01 spent: the openai daily budget is now exhausted
+    const first = await router.executeModelRequest('openai:gpt-4o', 'one', { businessId: 'biz-2' });
+    assert.strictEqual(first.modelId, 'openai:gpt-4o');
+    assert.ok(alerts.some(a => a.includes('exhausted')), 'Should alert when the limit is reached');
+
+    const second = await router.executeModelRequest('openai:gpt-4o', 'two', { businessId: 'biz-2' });
+    assert.strictEqual(second.modelId, 'ollama:fast');
+    assert.strictEqual(second.downgradedFrom, 'openai:gpt-4o');
+
+    // Refusing budgets win over downgrades; complete() reports them as a failed call
+    router.budget.recordSpend(0.02, { provider: 'anthropic', businessId: 'biz-1' });
+    const refused = await router.executeModelRequest('openai:gpt-4o', 'three', { businessId: 'biz-1' });
+    assert.deepStrictEqual([refused.success, refused.code, refused.budget], [false, 'BUDGET_EXCEEDED', 'monthly:businessId=biz-1']);
+    assert.strictEqual((await router.complete('three', 'fast', { model: 'openai:gpt-4o', businessId: 'biz-1' })).code, 'BUDGET_EXCEEDED');
+    await assert.rejects(
+        async () => { for await (const chunk of router.stream('three', 'fast', { model: 'openai:gpt-4o', businessId: 'biz-1' })) assert.fail(chunk); },
+        (err) => err instanceof BudgetExceededError && err.budget.businessId === 'biz-1'
+    );
+
+    // Spend survives a restart
+    const reloaded = new ModelRouter({ dataDir, budgets: router.budget.budgets });
+    assert.ok(reloaded.budget.getStatus().every(b => b.exhausted));
+
+    // A corrupt state file starts the totals over
+    fs.writeFileSync(path.join(dataDir, 'budget-state.json'), '{"spend": {');
+    assert.ok(new ModelRouter({ dataDir, budgets: router.budget.budgets }).budget.getStatus().every(b => !b.exhausted));
+
+    await router.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('ModelRouter - answers are cached under the model the budget picked', async (t) => {
+    process.env.MOCK_AI = 'false';
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-budget-cache-'));
+    const router = new ModelRouter({
+        dataDir,
+        budgets: [
+            { period: 'daily', limit: 0.01, provider: 'openai' },
+            { period: 'daily', limit: 0.01, businessId: 'biz-1', action: 'refuse' }
+        ]
+    });
+    try {
+        router.apiKeys.openai = ['fake-key'];
+        let paid = 0;
+        let local = 0;
+        router.completeOpenAI = async () => { paid++; return { success: true, content: 'paid', usage: { promptTokens: 10, completionTokens: 10 } }; };
+        router.completeOllama = async () => { local++; return { success: true, content: 'local', usage: { promptTokens: 10, completionTokens: 10 } }; };
+        router.streamProvider = async function* () { local++; yield { text: 'local stream' }; };
+
+        // Cached before any budget ran out, so a later refusal still gets it for free
+        await router.executeModelRequest('openai:gpt-4o', 'pricing?', { businessId: 'biz-1' });
+        router.budget.recordSpend(0.02, { provider: 'openai', businessId: 'biz-1' });
+        const refusedButCached = await router.executeModelRequest('openai:gpt-4o', 'pricing?', { businessId: 'biz-1' });
+        assert.deepStrictEqual([refusedButCached.cached, refusedButCached.content, paid], [true, 'paid', 1]);
+
+        // Downgraded calls read and write the same (downgraded) entry
+        const first = await router.executeModelRequest('openai:gpt-4o', 'summary?', {});
+        const second = await router.executeModelRequest('openai:gpt-4o', 'summary?', {});
+        assert.deepStrictEqual([first.modelId, first.cached, second.modelId, second.cached], ['ollama:fast', undefined, 'ollama:fast', true]);
+        assert.strictEqual(second.downgradedFrom, 'openai:gpt-4o');
+
+        const streamed = async () => {
+            let done;
+            for await (const chunk of router.stream('outline?', 'fast', { model: 'openai:gpt-4o' })) {
+                if (chunk.type === 'done') done = chunk;
+            }
+            return done;
+        };
+        assert.strictEqual((await streamed()).cached, undefined);
+        assert.strictEqual((await streamed()).cached, true);
+        assert.deepStrictEqual([paid, local], [1, 2]);
+    } finally {
+        await router.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('BudgetManager - budgets without a positive limit are skipped with a warning', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-budget-'));
+    const warnings = [];
+    t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+    try {
+        const manager = new BudgetManager({
+            dataDir,
+            budgets: [{ period: 'daily' }, { limit: 'ten' }, { limit: 0 }, { limit: true }, { limit: '5', provider: 'openai' }]
+        });
+        assert.deepStrictEqual(manager.budgets.map(b => [b.id, b.limit]), [['daily:provider=openai', 5]]);
+        assert.strictEqual(warnings.filter(w => w.includes('without a positive limit')).length, 4);
+        assert.strictEqual(manager.findExhausted({ provider: 'anthropic' }), null);
+
+        process.env.LLM_BUDGETS = '{"limit": 5}';
+        assert.deepStrictEqual(new BudgetManager({ dataDir }).budgets, []);
+        assert.ok(warnings.some(w => w.includes('Ignoring invalid LLM_BUDGETS')));
+    } finally {
+        delete process.env.LLM_BUDGETS;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('BudgetManager - routers sharing a data dir add up their spend', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-budget-'));
+    try {
+        const budgets = [{ period: 'daily', limit: 1 }];
+        const alerts = [];
+        const quiet = new BudgetManager({ dataDir, budgets });
+        const loud = new BudgetManager({ dataDir, budgets, notifier: { sendNotification: async (title) => alerts.push(title) } });
+
+        quiet.recordSpend(0.5, {});
+        loud.recordSpend(0.2, {});
+        quiet.recordSpend(0.2, {});
+        assert.ok(Math.abs(loud.getStatus()[0].spent - 0.9) < 1e-9, 'neither router overwrites the other');
+        assert.deepStrictEqual(alerts, [], 'the router that crossed 80% cannot email');
+
+        // The alert stays unsent until a router with a notifier records spend
+        loud.recordSpend(0.05, {});
+        assert.deepStrictEqual(alerts, ['LLM budget at 80%: daily']);
+        assert.strictEqual(loud.findExhausted({}), null);
+        quiet.recordSpend(0.1, {});
+        assert.strictEqual(loud.findExhausted({}).id, 'daily', 'spend from the other router counts');
+        assert.strictEqual(fs.existsSync(path.join(dataDir, 'budget-state.lock')), false);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('ModelRouter - prompt cache survives restarts, expires and evicts', async (t) => {
+    process.env.MOCK_AI = 'false';
+    const dataDir = path.join(__dirname, 'test-data-router-cache');
+    let calls = 0;
+    const fakeOllama = async (model, prompt) => {
+        calls++;
+        return { success: true, content: `answer to ${prompt}`, usage: { promptTokens: 5, completionTokens: 5 } };
+    };
+
+    const router = new ModelRouter({ dataDir });
+    router.completeOllama = fakeOllama;
+    const first = await router.executeModelRequest('ollama:fast', 'What is MRR?', { taskType: 'reasoning' });
+    assert.strictEqual(first.cached, undefined);
+    await router.close();
+
+    // A fresh router (daemon restart) answers from disk
+    const restarted = new ModelRouter({ dataDir });
+    restarted.completeOllama = fakeOllama;
+    const second = await restarted.executeModelRequest('ollama:fast', 'What is MRR?', { taskType: 'reasoning' });
+    assert.strictEqual(second.cached, true);
+    assert.strictEqual(second.content, 'answer to What is MRR?');
+    assert.strictEqual(calls, 1);
+
+    // Options are part of the key; noCache bypasses it entirely
+    await restarted.executeModelRequest('ollama:fast', 'What is MRR?', { taskType: 'reasoning', format: 'json' });
+    await restarted.executeModelRequest('ollama:fast', 'What is MRR?', { taskType: 'reasoning', noCache: true });
+    assert.strictEqual(calls, 3);
+
+    // Expired entries are misses
+    await restarted.executeModelRequest('ollama:fast', 'short lived', { cacheTtl: -1 });
+    await restarted.executeModelRequest('ollama:fast', 'short lived', {});
+    assert.strictEqual(calls, 5);
+
+    const stats = await restarted.getCacheStats();
+    assert.strictEqual(stats.hits, 1);
+    assert.ok(stats.misses >= 3);
+    await restarted.close();
+
+    // Least recently used entries go first
+    const cache = new PromptCache({ dbPath: ':memory:', maxEntries: 2 });
+    await cache.set('a', { content: 'a' }, { taskType: 'fast' });
+    await new Promise(r => setTimeout(r, 5));
+    await cache.set('b', { content: 'b' }, { taskType: 'fast' });
+    await new Promise(r => setTimeout(r, 5));
+    await cache.get('a');
+    await cache.set('c', { content: 'c' }, { taskType: 'fast' });
+    assert.ok(await cache.get('a'));
+    assert.strictEqual(await cache.get('b'), null);
+    await cache.close();
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('ModelRouter - structured output validates and repairs', async (t) => {
+    process.env.MOCK_AI = 'false';
+    const dataDir = path.join(__dirname, 'test-data-router-schema');
+    const router = new ModelRouter({ dataDir });
+    const prompts = [];
+    const formats = [];
+    const replies = [
+        'Sure! Here it is: {"name": "Acme", "score": "high"}',
+        '```json\n{"name": "Acme", "score": 8}\n```'
+    ];
+    router.completeOllama = async (model, prompt, options) => {
+        prompts.push(prompt);
+        formats.push(options.jsonSchema);
+        return { success: true, content: replies.shift() };
+    };
+
+    const schema = {
+        type: 'object',
+        required: ['name', 'score'],
+        properties: { name: { type: 'string' }, score: { type: 'number' } }
+    };
+    const result = await router.complete('Rate Acme', 'fast', { model: 'ollama:fast', schema, noCache: true });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.data, { name: 'Acme', score: 8 });
+    assert.deepStrictEqual(result.validationErrors, []);
+    assert.strictEqual(result.attempts, 2);
+    assert.deepStrictEqual(formats[0], schema, 'Ollama gets the schema as its native format');
+    assert.ok(prompts[1].includes('$.score: expected number, got string'), 'Repair prompt carries the validation errors');
+
+    // Out of repairs: typed failure with the remaining errors
+    router.completeOllama = async () => ({ success: true, content: 'not json at all' });
+    const failed = await router.complete('Rate Acme', 'fast', { model: 'ollama:fast', schema, noCache: true, maxRepairs: 1 });
+    assert.strictEqual(failed.success, false);
+    assert.strictEqual(failed.data, null);
+    assert.strictEqual(failed.attempts, 2);
+    assert.ok(failed.validationErrors[0].startsWith('response is not valid JSON'));
+
+    await router.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('ModelRouter - runTools executes native tool calls', async (t) => {
+    process.env.MOCK_AI = 'false';
+    const dataDir = path.join(__dirname, 'test-data-router-tools');
+    const router = new ModelRouter({ dataDir });
+    router.apiKeys.anthropic = ['fake-key'];
+
+    const replies = [
+        { content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Austin' } }], usage: { input_tokens: 20, output_tokens: 5 } },
+        { content: [{ type: 'text', text: 'It is sunny in Austin.' }], usage: { input_tokens: 40, output_tokens: 6 } }
+    ];
+    const bodies = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+        bodies.push(JSON.parse(init.body));
+        return new Response(JSON.stringify(replies.shift()));
+    };
+
+    const calls = [];
+    const tools = [{
+        name: 'get_weather',
+        description: 'Current weather for a city',
+        parameters: { type: 'object', required: ['city'], properties: { city: { type: 'string' } } },
+        handler: async (args) => {
+            calls.push(args);
+            return { forecast: 'sunny' };
+        }
+    }];
+
+    try {
+        const result = await router.runTools('Weather in Austin?', tools, 'reasoning', { model: 'anthropic:claude-3-5-sonnet' });
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.content, 'It is sunny in Austin.');
+        assert.deepStrictEqual(calls, [{ city: 'Austin' }]);
+        assert.strictEqual(result.steps.length, 1);
+
+        assert.strictEqual(bodies[0].tools[0].input_schema.required[0], 'city');
+        const toolResult = bodies[1].messages[2].content[0];
+        assert.strictEqual(toolResult.type, 'tool_result');
+        assert.strictEqual(toolResult.tool_use_id, 'toolu_1');
+        assert.deepStrictEqual(JSON.parse(toolResult.content), { forecast: 'sunny' });
+
+        assert.strictEqual(router.getUsageStats()['anthropic:claude-3-5-sonnet'].totalTokens, 71);
+    } finally {
+        globalThis.fetch = originalFetch;
+        await router.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('ModelRouter - runTools falls back to the ReAct text protocol', async (t) => {
+    process.env.MOCK_AI = 'false';
+    const dataDir = path.join(__dirname, 'test-data-router-react');
+    const router = new ModelRouter({ dataDir });
+    const prompts = [];
+    const replies = [
+        'I should look this up.\nAction: lookup_client\nAction Input: {"id": "oops"}',
+        'Action: lookup_client\nAction Input: {"id": 7}',
+        'Final Answer: Client 7 is Acme.'
+    ];
+    router.completeOllama = async (model, prompt) => {
+        prompts.push(prompt);
+        return { success: true, content: replies.shift() };
+    };
+
+    const tools = [{
+        name: 'lookup_client',
+        description: 'Find a client by id',
+        parameters: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } },
+        handler: async ({ id }) => ({ id, name: 'Acme' })
+    }];
+
+    const result = await router.runTools('Who is client 7?', tools, 'fast', { model: 'ollama:fast', toolProtocol: 'react' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.content, 'Client 7 is Acme.');
+    assert.strictEqual(result.steps.length, 2);
+    assert.strictEqual(result.steps[0].result.error, 'Invalid arguments', 'Arguments are validated against the tool schema');
+    assert.deepStrictEqual(result.steps[1].result, { id: 7, name: 'Acme' });
+    assert.ok(prompts[0].includes('- lookup_client: Find a client by id'));
+    assert.ok(prompts[2].includes('Observation: {"id":7,"name":"Acme"}'));
+
+    await router.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('Tool calling - provider formats map neutral messages', async (t) => {
+    const tools = [{ name: 'ping', description: 'Ping a host', parameters: { type: 'object', additionalProperties: false, properties: { host: { type: 'string' } } } }];
+    const messages = [
+        { role: 'user', content: 'Ping example.com' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'ping', arguments: { host: 'example.com' } }] },
+        { role: 'tool', toolCallId: 'call_1', name: 'ping', content: '{"ok":true}' }
+    ];
+
+    const openai = toolFormats.openai.request({ model: 'gpt-4o', messages, tools, system: 'Be brief' });
+    assert.strictEqual(openai.messages[0].role, 'system');
+    assert.strictEqual(openai.messages[2].tool_calls[0].function.arguments, '{"host":"example.com"}');
+    assert.deepStrictEqual(openai.messages[3], { role: 'tool', tool_call_id: 'call_1', content: '{"ok":true}' });
+
+    const gemini = toolFormats.gemini.request({ messages, tools, system: 'Be brief' });
+    assert.strictEqual(gemini.tools[0].functionDeclarations[0].parameters.additionalProperties, undefined);
+    assert.deepStrictEqual(gemini.contents[1].parts[0], { functionCall: { name: 'ping', args: { host: 'example.com' } } });
+    assert.deepStrictEqual(gemini.contents[2].parts[0].functionResponse, { name: 'ping', response: { result: { ok: true } } });
+
+    const ollama = toolFormats.ollama.request({ model: 'llama3.2', messages, tools });
+    assert.deepStrictEqual(ollama.messages[1].tool_calls[0].function.arguments, { host: 'example.com' });
+
+    const parsed = toolFormats.openai.parse({
+        choices: [{ message: { content: null, tool_calls: [{ id: 'call_2', function: { name: 'ping', arguments: '{"host":"a.io"}' } }] } }]
+    });
+    assert.deepStrictEqual(parsed.toolCalls, [{ id: 'call_2', name: 'ping', arguments: { host: 'a.io' } }]);
+});
@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PlanExecutor, resolveDependencies, findCycles } from '../packages/ceo/plan-executor.js';
+import { Database } from '../packages/core/database.js';
+import { ApprovalFlow } from '../packages/core/approval-flow.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+import CEOAgent from '../packages/ceo/ceo-agent.js';
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-plan-'));
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// domain -> site and LLC (needs approval) -> payouts; the whole Launch phase -> announce
+function planTasks() {
+    return [
+        { id: 't1', name: 'Pick domain', phase: 'Setup', automated: true, dependencies: [] },
+        { id: 't2', name: 'Register LLC', description: 'File incorporation paperwork', phase: 'Setup', automated: true, dependencies: [] },
+        { id: 't3', name: 'Build site', phase: 'Launch', automated: true, dependencies: ['pick domain'] },
+        { id: 't4', name: 'Connect payouts', phase: 'Launch', automated: true, dependencies: ['Register LLC'] },
+        { id: 't5', name: 'Announce', phase: 'Grow', automated: true, dependencies: ['Launch', 'Nonexistent step'] }
+    ].map(task => ({ ...task, status: 'pending' }));
+}
+
+function fakeCeo(dataDir, config = {}) {
+    const ceo = new CEOAgent({ dbDriver: 'memory', dataDir, auditLogger: new AuditLogger({ logDir: path.join(dataDir, 'audit') }), ...config });
+    ceo.executed = [];
+    ceo.executeTask = async (task) => {
+        ceo.executed.push(task.id);
+        return { success: true };
+    };
+    return ceo;
+}
+
+test('PlanExecutor - dependency names resolve to ids and cycles are found', (t) => {
+    const tasks = resolveDependencies(planTasks());
+    assert.deepStrictEqual(tasks.map(task => task.dependsOn), [[], [], ['t1'], ['t2'], ['t3', 't4']]);
+    assert.deepStrictEqual(tasks[4].unresolvedDependencies, ['Nonexistent step']);
+    assert.deepStrictEqual(findCycles(tasks), []);
+
+    const looped = [
+        { id: 'a', dependsOn: ['b'] },
+        { id: 'b', dependsOn: ['a'] },
+        { id: 'c', dependsOn: ['b'] },
+        { id: 'd', dependsOn: [] }
+    ];
+    assert.deepStrictEqual(findCycles(looped).sort(), ['a', 'b', 'c']);
+});
+
+test('PlanExecutor - runs independent tasks concurrently and blocks behind failures', async (t) => {
+    const tasks = resolveDependencies([
+        { id: 'a', name: 'A', dependencies: [] },
+        { id: 'b', name: 'B', dependencies: [] },
+        { id: 'c', name: 'C', dependencies: [] },
+        { id: 'd', name: 'D', dependencies: ['A', 'B'] },
+        { id: 'e', name: 'E', dependencies: ['C'] },
+        { id: 'f', name: 'F', dependencies: ['E'] },
+        { id: 'x', name: 'X', dependencies: ['Y'] },
+        { id: 'y', name: 'Y', dependencies: ['X'] }
+    ]);
+    let active = 0;
+    let peak = 0;
+    const order = [];
+    const executor = new PlanExecutor({
+        concurrency: 2,
+        runTask: async (task) => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+            order.push(task.id);
+            if (task.id === 'c' && !task.retried) throw new Error('Provider down');
+        }
+    });
+
+    await executor.run(tasks);
+    assert.strictEqual(peak, 2);
+    assert.ok(order.indexOf('d') > order.indexOf('a') && order.indexOf('d') > order.indexOf('b'));
+    assert.deepStrictEqual(tasks.map(task => task.status), ['completed', 'completed', 'failed', 'completed', 'blocked', 'blocked', 'blocked', 'blocked']);
+    assert.strictEqual(tasks[4].error, 'Dependency "C" failed');
+    assert.strictEqual(tasks[5].blockedBy, 'e');
+    assert.strictEqual(tasks[6].error, 'Dependency cycle');
+
+    // Retrying the failed task reopens the chain behind it; the cycle stays blocked
+    Object.assign(tasks[2], { status: 'pending', retried: true });
+    order.length = 0;
+    await executor.run(tasks);
+    assert.deepStrictEqual(order, ['c', 'e', 'f']);
+    assert.deepStrictEqual(tasks.map(task => task.status), ['completed', 'completed', 'completed', 'completed', 'completed', 'completed', 'blocked', 'blocked']);
+    assert.strictEqual(tasks[5].blockedBy, undefined);
+});
+
+test('CEOAgent.executePlan - approvals hold back only their dependents and resume the plan', async (t) => {
+    const dataDir = tempDir();
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+    const approvalFlow = new ApprovalFlow({
+        db,
+        auditLogger: new AuditLogger({ logDir: path.join(dataDir, 'audit') }),
+        emailNotifier: { sendApprovalRequest: async () => ({ success: true }) }
+    });
+    const ceo = fakeCeo(dataDir, { approvalFlow, planConcurrency: 2 });
+    try {
+        await ceo.init();
+        ceo.activeBusiness = { id: 'biz-1', idea: 'Plan graph', tasks: resolveDependencies(planTasks()) };
+
+        const first = await ceo.executePlan();
+        assert.deepStrictEqual(first.results.map(r => r.status), ['completed', 'awaiting_approval', 'completed', 'pending', 'pending']);
+        assert.strictEqual(first.summary.pendingApproval, 1);
+        const llcTask = ceo.activeBusiness.tasks[1];
+        assert.ok(llcTask.approvalId);
+
+        await approvalFlow.decide(llcTask.approvalId, true, 'Filed', { username: 'alice', role: 'approver' });
+        await waitFor(() => ceo.activeBusiness.status === 'completed');
+        assert.deepStrictEqual(ceo.executed, ['t1', 't3', 't2', 't4', 't5']);
+        assert.strictEqual(ceo.activeBusiness.status, 'completed');
+    } finally {
+        await ceo.db.close();
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('CEOAgent.executePlan - a restart picks up mid-plan, including decisions made while down', async (t) => {
+    const dataDir = tempDir();
+    const before = fakeCeo(dataDir);
+    try {
+        await before.init();
+        before.activeBusiness = { id: 'biz-2', idea: 'Plan graph', tasks: resolveDependencies(planTasks()) };
+        await before.executePlan();
+        assert.deepStrictEqual(before.executed, ['t1', 't3']);
+    } finally {
+        await before.db.close();
+    }
+
+    // Approved by someone else while this process was stopped
+    const approvalsPath = path.join(dataDir, 'pending-approvals.json');
+    const approvals = JSON.parse(fs.readFileSync(approvalsPath, 'utf-8'));
+    assert.strictEqual(approvals[0].taskId, 't2');
+    approvals[0].status = 'approved';
+    fs.writeFileSync(approvalsPath, JSON.stringify(approvals));
+
+    const after = fakeCeo(dataDir);
+    try {
+        await after.init();
+        assert.strictEqual(after.activeBusiness.id, 'biz-2');
+        const result = await after.executePlan();
+        assert.deepStrictEqual(after.executed, ['t2', 't4', 't5'], 'finished tasks are not run again');
+        assert.strictEqual(result.summary.completed, 5);
+    } finally {
+        await after.db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PolicyEngine, normalizePolicyRules } from '../packages/core/policy-engine.js';
+import { PolicyChecker } from '../packages/evaluation/policy-checker.js';
+import CEOAgent from '../packages/ceo/ceo-agent.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXAMPLE_RULES = path.join(__dirname, '..', 'policy-rules.example.json');
+
+// 15:00 UTC is 10:00 in Chicago, 05:00 UTC is midnight
+const DAYTIME = new Date('2026-10-19T15:00:00Z');
+const NIGHT = new Date('2026-10-19T05:00:00Z');
+
+test('PolicyEngine - built-in rules keep the category and keyword safeguards', (t) => {
+    const engine = new PolicyEngine();
+
+    const legal = engine.evaluate({ category: 'contract_signing', name: 'NDA' });
+    assert.strictEqual(legal.ruleId, 'legal-categories');
+    assert.strictEqual(legal.riskType, 'legal');
+
+    const money = engine.evaluate({ category: 'marketing', description: 'Buying ad credits' });
+    assert.strictEqual(money.ruleId, 'financial-keywords');
+    assert.strictEqual(money.reason, 'Task contains financial keyword: "buy"');
+
+    // Whole words only: "issue" is not "sue", and field names are not task text
+    assert.strictEqual(engine.evaluate({ category: 'other', description: 'Fix the login issue', metadata: { bankless: true } }).requiresApproval, false);
+    // Past tenses and keywords anywhere in the task, as the old whole-task scan caught them
+    assert.strictEqual(engine.evaluate({ category: 'other', description: 'Wired $5,000 to the supplier' }).reason, 'Task contains financial keyword: "wire"');
+    assert.strictEqual(engine.evaluate({ category: 'other', name: 'Purchased new laptops' }).ruleId, 'financial-keywords');
+    const hidden = engine.evaluate({ category: 'other', name: 'Supplier follow-up', metadata: { note: 'Pay by bank transfer', steps: [{ detail: 'Ask the attorney' }] } });
+    assert.strictEqual(hidden.reason, 'Task contains financial keyword: "transfer"');
+    assert.strictEqual(engine.evaluate({ category: 'other', metadata: { steps: [{ detail: 'Ask the attorney' }] } }).riskType, 'legal');
+    assert.strictEqual(engine.evaluate({ category: 'report_generation', name: 'Weekly report' }).ruleId, 'auto-approve-categories');
+    assert.strictEqual(engine.evaluate({ category: 'other', name: 'Tidy folders' }).approvalType, 'default_policy');
+});
+
+test('PolicyEngine - rule file conditions, priorities and explanations', (t) => {
+    const engine = new PolicyEngine({ policyRulesFile: EXAMPLE_RULES });
+    assert.strictEqual(engine.rulesSource, EXAMPLE_RULES);
+
+    const ads = { name: 'Raise bids', module: 'dispatcher', platform: 'meta_ads', amount: 100 };
+    assert.strictEqual(engine.evaluate(ads, DAYTIME).requiresApproval, false);
+    const overnight = engine.evaluate(ads, NIGHT);
+    assert.strictEqual(overnight.ruleId, 'overnight-ads');
+    assert.strictEqual(overnight.reason, 'Ad changes on meta_ads between 22:00 and 06:00 wait for a human');
+
+    // Higher priority wins when several rules match
+    const big = engine.evaluate({ ...ads, amount: 900 }, NIGHT);
+    assert.strictEqual(big.ruleId, 'large-spend');
+    assert.strictEqual(big.reason, 'Spending $900 is over the $500 auto-approve limit');
+    assert.strictEqual(engine.approvalPolicyFor({ ...ads, amount: 900 }, big).name, 'financial-dual');
+
+    const sandbox = engine.evaluate({ name: 'Publish page', module: 'ceo', businessId: 'biz-sandbox' }, DAYTIME);
+    assert.strictEqual(sandbox.ruleId, 'sandbox-business');
+    assert.strictEqual(sandbox.requiresApproval, false);
+
+    const { rules } = engine.explain(ads, DAYTIME);
+    assert.deepStrictEqual(rules.find(r => r.id === 'overnight-ads'), { id: 'overnight-ads', priority: 92, action: 'require_approval', matched: false, failed: 'hours' });
+    assert.strictEqual(engine.approvalPolicies.at(-1).onExpiry, 'defer', 'quorum rules load from the same file');
+});
+
+test('PolicyEngine - malformed rules fail loudly', (t) => {
+    assert.throws(() => normalizePolicyRules([{ id: 'x', action: 'allow' }]), /action "allow"/);
+    assert.throws(() => normalizePolicyRules([{ id: 'x', action: 'auto_approve', when: { weekday: 'mon' } }]), /unknown condition "weekday"/);
+    assert.throws(() => normalizePolicyRules([{ id: 'x', action: 'auto_approve', when: { hours: { from: 22 } } }]), /hours/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-rules-'));
+    try {
+        const file = path.join(dir, 'rules.json');
+        fs.writeFileSync(file, JSON.stringify({ rules: [{ id: 'typo', action: 'require_aproval' }] }));
+        assert.throws(() => new PolicyEngine({ policyRulesFile: file }), /rules\.json: rule "typo"/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('PolicyEngine - one engine shared by CEOAgent and PolicyChecker', async (t) => {
+    const policyEngine = new PolicyEngine({
+        policyRules: [{ id: 'ceo-launches', priority: 10, when: { modules: ['ceo'], keywords: ['launch'] }, action: 'require_approval', riskType: 'legal' }]
+    });
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-ceo-'));
+    const ceo = new CEOAgent({ dbDriver: 'memory', dataDir, policyEngine, auditLogger: new AuditLogger({ logDir: path.join(dataDir, 'audit') }) });
+    try {
+        assert.strictEqual(ceo.policyEngine, policyEngine);
+        assert.deepStrictEqual(ceo.requiresApproval({ name: 'Launch store', description: 'Go live' }), {
+            required: true, type: 'legal', reason: 'Matched policy rule "ceo-launches"', ruleId: 'ceo-launches'
+        });
+        // The old CEO-only keyword list no longer applies once rules are configured
+        assert.strictEqual(ceo.requiresApproval({ name: 'Open bank account', description: '' }).required, false);
+
+        const checker = new PolicyChecker({ policyEngine });
+        assert.strictEqual(checker.check({ module: 'ceo', name: 'Launch store' }).warnings[0].policyRule, 'ceo-launches');
+        const payout = { module: 'ceo', category: 'financial', name: 'Pay supplier' };
+        assert.strictEqual(checker.check(payout).passed, false);
+        assert.strictEqual(checker.check(payout, [{ approver: 'a', decision: 'approved' }, { approver: 'b', decision: 'approved' }]).passed, true);
+    } finally {
+        await ceo.db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
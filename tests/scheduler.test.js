@@ -0,0 +1,241 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Database } from '../packages/core/database.js';
+import { parseCron, isValidCron, nextRun } from '../packages/core/cron.js';
+import { Scheduler } from '../packages/core/scheduler.js';
+import { ApprovalServer } from '../packages/core/approval-server.js';
+import { ApprovalScheduler } from '../packages/core/approval-scheduler.js';
+import { Orchestrator } from '../packages/orchestrator/orchestrator.js';
+import CEOAgent from '../packages/ceo/ceo-agent.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
+
+const at = (iso) => new Date(iso);
+
+async function memoryDb() {
+    const db = new Database({ dbDriver: 'memory' });
+    await db.init();
+    return db;
+}
+
+test('cron - fields, names, day matching and timezones', (t) => {
+    const cron = parseCron('*/15 9-17 * jan,jul mon-fri');
+    assert.deepStrictEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepStrictEqual([...cron.months], [1, 7]);
+    assert.deepStrictEqual([...parseCron('0 0 * * 7').weekdays], [0], '7 is Sunday too');
+    assert.strictEqual(parseCron('@hourly').minutes.size, 1);
+
+    // node-cron's validate() has the final say, so both kinds of job accept the same expressions
+    for (const bad of ['61 * * * *', '* * *', '5-1 * * * *', '*/0 * * * *', '0 0 * foo *', '5/15 * * * *', '* * * * 8']) {
+        assert.throws(() => parseCron(bad), /cron expression/i, bad);
+        assert.strictEqual(isValidCron(bad), false);
+    }
+
+    // 2025-03-01 is a Saturday: with both day fields set, either one matches
+    assert.deepStrictEqual(nextRun('0 0 1,15 * mon', at('2025-03-01T00:00:00Z')), at('2025-03-03T00:00:00Z'));
+    assert.strictEqual(nextRun('0 0 30 2 *', at('2025-01-01T00:00:00Z')), null, 'February 30th never comes');
+
+    // 9 AM New York stays 9 AM local when the clocks go forward on 2025-03-09
+    const first = nextRun('0 9 * * *', at('2025-03-08T12:00:00Z'), 'America/New_York');
+    assert.deepStrictEqual(first, at('2025-03-08T14:00:00Z'));
+    assert.deepStrictEqual(nextRun('0 9 * * *', first, 'America/New_York'), at('2025-03-09T13:00:00Z'));
+    assert.deepStrictEqual(nextRun('30 2 * * *', at('2025-03-08T08:00:00Z'), 'America/New_York'), at('2025-03-10T06:30:00Z'),
+        '2:30 AM does not exist on the day the clocks go forward');
+});
+
+test('Scheduler - missed runs follow each catch-up policy after a restart', async (t) => {
+    const db = await memoryDb();
+    const calls = { skip: [], once: [], all: [] };
+    const register = (scheduler) => {
+        for (const policy of Object.keys(calls)) {
+            scheduler.register(`job-${policy}`, { cron: '0 * * * *', catchUp: policy, handler: (context) => { calls[policy].push(context); } });
+        }
+        return scheduler;
+    };
+
+    try {
+        assert.throws(() => new Scheduler({ db }).register('bad', { cron: '* * *', handler: () => {} }), /5 fields/);
+        assert.throws(() => new Scheduler({ db }).register('bad', { cron: '* * * * *', handler: () => {}, timezone: 'Mars/Olympus' }), /Invalid timezone/);
+        assert.throws(() => new Scheduler({ db }).register('bad', { cron: '* * * * *', handler: () => {}, catchUp: 'never' }), /catch-up policy/);
+
+        const first = register(new Scheduler({ db, timezone: 'UTC' }));
+        assert.deepStrictEqual((await first.tick(at('2025-03-01T09:30:00Z'))).started, []);
+
+        // The process is down from 09:30 until 13:30, missing 10:00 through 13:00
+        const second = register(new Scheduler({ db, timezone: 'UTC', maxCatchUp: 3 }));
+        const result = await second.tick(at('2025-03-01T13:30:00Z'));
+        await result.done;
+        assert.deepStrictEqual(result.started, ['job-once', 'job-all']);
+        assert.deepStrictEqual(result.skipped, ['job-skip']);
+
+        assert.deepStrictEqual(calls.once.map(c => [c.scheduledAt, c.missed]), [['2025-03-01T13:00:00.000Z', 3]]);
+        assert.deepStrictEqual(calls.all.map(c => c.scheduledAt), ['2025-03-01T11:00:00.000Z', '2025-03-01T12:00:00.000Z', '2025-03-01T13:00:00.000Z']);
+        assert.deepStrictEqual(calls.skip, []);
+
+        const schedules = Object.fromEntries((await second.list()).map(s => [s.name, s]));
+        assert.deepStrictEqual([schedules['job-skip'].lastStatus, schedules['job-skip'].runCount], ['skipped', 0]);
+        assert.match(schedules['job-skip'].lastError, /Missed 4 run/);
+        assert.deepStrictEqual([schedules['job-all'].lastStatus, schedules['job-all'].runCount], ['success', 3]);
+        assert.strictEqual(schedules['job-once'].nextRunAt, '2025-03-01T14:00:00.000Z');
+
+        // Within the grace period even 'skip' runs
+        await (await second.tick(at('2025-03-01T14:01:00Z'))).done;
+        assert.deepStrictEqual(calls.skip.map(c => c.scheduledAt), ['2025-03-01T14:00:00.000Z']);
+        assert.strictEqual(calls.skip[0].lastScheduledAt, null, 'skipped occurrences do not count as the last run');
+    } finally {
+        await db.close();
+    }
+});
+
+test('Scheduler - a run still going is not overlapped, and a claimed run is not run twice', async (t) => {
+    const db = await memoryDb();
+    const scheduler = new Scheduler({ db, timezone: 'UTC' });
+    let release;
+    let calls = 0;
+    scheduler.register('slow', {
+        cron: '* * * * *',
+        handler: () => {
+            // Only the first run hangs until released
+            if (calls++ > 0) return undefined;
+            return new Promise(resolve => { release = resolve; });
+        }
+    });
+    scheduler.register('broken', { cron: '*/5 * * * *', handler: () => { throw new Error('Disk full'); } });
+
+    try {
+        await scheduler.tick(at('2025-03-01T12:00:30Z'));
+        const first = await scheduler.tick(at('2025-03-01T12:01:00Z'));
+        assert.deepStrictEqual(first.started, ['slow']);
+        assert.strictEqual((await scheduler.list()).find(s => s.name === 'slow').running, true);
+
+        const second = await scheduler.tick(at('2025-03-01T12:02:00Z'));
+        assert.deepStrictEqual(second.skipped, ['slow']);
+        let slow = (await scheduler.list()).find(s => s.name === 'slow');
+        assert.deepStrictEqual([slow.lastError, slow.running, calls], ['Previous run still in progress', true, 1]);
+
+        release();
+        await first.done;
+        slow = (await scheduler.list()).find(s => s.name === 'slow');
+        assert.deepStrictEqual([slow.lastStatus, slow.runCount, slow.running], ['success', 1, false]);
+
+        // Another process already moved next_run_at past the due time it read
+        assert.strictEqual(await db.claimScheduleRun('slow', '2025-03-01T12:02:00.000Z', '2025-03-01T12:04:00.000Z', null), false);
+
+        await (await scheduler.tick(at('2025-03-01T12:05:00Z'))).done;
+        const broken = (await scheduler.list()).find(s => s.name === 'broken');
+        assert.deepStrictEqual([broken.lastStatus, broken.lastError, broken.nextRunAt], ['failed', 'Disk full', '2025-03-01T12:10:00.000Z']);
+    } finally {
+        release?.();
+        await db.close();
+    }
+});
+
+test('Orchestrator - module schedules submit each occurrence once', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-schedules-'));
+    const db = new Database({ dbDriver: 'memory' });
+    const orchestrator = new Orchestrator({
+        db,
+        timezone: 'UTC',
+        logDir: path.join(dataDir, 'audit'),
+        pendingFile: path.join(dataDir, 'pending-approvals.json')
+    });
+    const built = [];
+    orchestrator.registerModule('reports', {
+        execute: async (task) => { built.push(task.data.kind); return { ok: true }; },
+        schedules: [{ name: 'reports.nightly', cron: '0 2 * * *', action: 'build', data: { kind: 'nightly' }, description: 'Nightly report' }]
+    });
+
+    try {
+        await orchestrator.init();
+        const scheduler = orchestrator.scheduler;
+        await scheduler.tick(at('2025-03-01T01:00:00Z'));
+        await (await scheduler.tick(at('2025-03-01T02:00:30Z'))).done;
+
+        const taskId = `schedule-reports.nightly-${Date.parse('2025-03-01T02:00:00Z')}`;
+        const task = await db.getTask(taskId);
+        assert.deepStrictEqual([task.status, task.action, task.data], ['queued', 'build', { kind: 'nightly' }]);
+        assert.strictEqual(task.schedule.scheduledAt, '2025-03-01T02:00:00.000Z');
+
+        // Nothing ran the first report, so the next night's is skipped
+        await (await scheduler.tick(at('2025-03-02T02:00:30Z'))).done;
+        let [listed] = await scheduler.list();
+        assert.strictEqual(listed.lastStatus, 'skipped');
+        assert.match(listed.lastError, new RegExp(`${taskId} is still queued`));
+
+        assert.deepStrictEqual((await orchestrator.processQueue()).map(r => r.status), ['completed']);
+        await (await scheduler.tick(at('2025-03-03T02:00:30Z'))).done;
+        [listed] = await scheduler.list();
+        assert.deepStrictEqual([listed.lastStatus, listed.runCount, listed.description], ['success', 2, 'Nightly report']);
+        assert.strictEqual((await db.getTask(`schedule-reports.nightly-${Date.parse('2025-03-03T02:00:00Z')}`)).status, 'queued');
+        assert.deepStrictEqual(built, ['nightly']);
+    } finally {
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('Scheduler - approval sweeps and the empire loop run as schedules', async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-schedules-'));
+    const db = await memoryDb();
+    const scheduler = new Scheduler({ db, timezone: 'UTC' });
+    const sweeps = [];
+    const approvals = new ApprovalScheduler({ db, scheduler, timezone: 'UTC', onTick: (results) => { sweeps.push(results); } });
+    const ceo = new CEOAgent({ db, dataDir, scheduler, auditLogger: new AuditLogger({ logDir: path.join(dataDir, 'audit') }) });
+    ceo.businessAnalyzer.generateIdeas = async () => ({ success: false, error: 'model offline' });
+
+    try {
+        approvals.start();
+        const loop = await ceo.runEmpireLoop({ cron: '0 9 * * *', timezone: 'UTC' });
+        assert.deepStrictEqual([loop.success, loop.schedule], [true, 'ceo.empire-cycle']);
+        assert.strictEqual(ceo.ownScheduler, false, 'the shared scheduler is used');
+
+        await scheduler.tick(at('2025-03-01T08:59:00Z'));
+        const due = await scheduler.tick(at('2025-03-01T09:00:10Z'));
+        await due.done;
+        assert.deepStrictEqual(due.started, ['approval-sweep', 'ceo.empire-cycle']);
+        assert.deepStrictEqual(sweeps, [{ expired: [], escalated: [], reminded: [] }]);
+
+        const listed = Object.fromEntries((await scheduler.list()).map(s => [s.name, s]));
+        assert.strictEqual(listed['ceo.empire-cycle'].lastStatus, 'failed');
+        assert.match(listed['ceo.empire-cycle'].lastError, /model offline/);
+        assert.strictEqual(ceo.empireState.cycleCount, 1);
+
+        ceo.stopEmpireLoop();
+        approvals.stop();
+        assert.deepStrictEqual([...scheduler.schedules.keys()], []);
+    } finally {
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('ApprovalServer - /api/schedules lists schedules for any signed-in role', async (t) => {
+    const db = await memoryDb();
+    const scheduler = new Scheduler({ db, timezone: 'UTC' });
+    scheduler.register('warm-pool.daily-warmup', { cron: '0 10 * * *', handler: () => {}, description: 'Daily account warm-up' });
+    const server = new ApprovalServer({ db, scheduler, port: 39950 + Math.floor(Math.random() * 40) });
+    await server.init();
+    const viewer = await server.auth.createUser({ username: 'viewer', role: 'viewer' });
+    const token = (await server.auth.createApiToken(viewer.id)).token;
+    const { url } = await server.start();
+    const base = url.replace('0.0.0.0', '127.0.0.1');
+
+    try {
+        assert.strictEqual((await globalThis.fetch(`${base}/api/schedules`)).status, 401);
+        const res = await globalThis.fetch(`${base}/api/schedules`, { headers: { Authorization: `Bearer ${token}` } });
+        assert.strictEqual(res.status, 200);
+        const { schedules } = await res.json();
+        assert.strictEqual(schedules.length, 1);
+        assert.deepStrictEqual(
+            [schedules[0].name, schedules[0].cron, schedules[0].timezone, schedules[0].catchUp, schedules[0].runCount],
+            ['warm-pool.daily-warmup', '0 10 * * *', 'UTC', 'once', 0]
+        );
+        assert.ok(new Date(schedules[0].nextRunAt) > new Date());
+    } finally {
+        server.stop();
+        await db.close();
+    }
+});
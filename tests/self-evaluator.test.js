@@ -6,16 +6,15 @@ import SelfEvaluator from '../packages/core/self-evaluator.js';
 class MockModelRouter {
     async complete(prompt, type, options) {
         if (prompt.includes('hostile critic')) {
-            return {
-                success: true,
-                content: JSON.stringify({
-                    score: 0.9,
-                    critique: "Great job.",
-                    issues: [],
-                    needs_rewrite: false,
-                    strategy_update: []
-                })
+            const critique = {
+                score: 0.9,
+                critique: "Great job.",
+                issues: [],
+                needs_rewrite: false,
+                strategy_update: []
             };
+            // Structured calls get the parsed, validated object back as `data`
+            return { success: true, content: JSON.stringify(critique), data: options?.schema ? critique : undefined };
         }
         return { success: true, content: "Mocked response" };
     }
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { StateStore } from '../packages/core/state-store.js';
+import ProfitTracker from '../packages/ceo/profit-tracker.js';
+import { ContentQueue } from '../packages/ceo/content-queue.js';
+import { WarmAccountPool } from '../packages/infrastructure/warm-pool.js';
+import { importJsonStores } from '../scripts/migrate-to-sqlite.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+test('StateStore - Collection CRUD and sync', async (t) => {
+    const store = new StateStore({ dbDriver: 'memory' });
+    const clients = store.collection('clients');
+
+    await clients.sync([{ id: 'c1', name: 'Acme' }, { id: 'c2', name: 'Globex' }]);
+    assert.deepStrictEqual(await clients.keys(), ['c1', 'c2']);
+
+    // Removing a record locally deletes it; other writers' records survive
+    await store.collection('clients').set('c3', { id: 'c3', name: 'Initech' });
+    await clients.sync([{ id: 'c2', name: 'Globex Corp' }]);
+    const all = await clients.all();
+    assert.deepStrictEqual(Object.keys(all).sort(), ['c2', 'c3']);
+    assert.strictEqual(all.c2.name, 'Globex Corp');
+
+    assert.strictEqual(await clients.delete('c3'), true);
+    assert.strictEqual(await clients.get('c3'), undefined);
+
+    await store.db.close();
+});
+
+test('StateStore - Optimistic update and persist ordering', async (t) => {
+    const store = new StateStore({ dbDriver: 'memory' });
+    const counters = store.collection('counters');
+
+    await Promise.all(Array.from({ length: 5 }, () => counters.update('hits', n => n + 1, 0)));
+    assert.strictEqual(await counters.get('hits'), 5);
+
+    const local = { a: { v: 1 } };
+    counters.persist(local);
+    local.a.v = 2;
+    counters.persist(local);
+    await counters.flush();
+    assert.deepStrictEqual(await counters.get('a'), { v: 2 });
+
+    await store.db.close();
+});
+
+test('StateStore - JSON import is idempotent', async (t) => {
+    const dir = path.join(__dirname, `test-state-${Date.now()}`);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, 'profit-data.json');
+    fs.writeFileSync(file, JSON.stringify({
+        businesses: {
+            b1: { id: 'b1', name: 'Bakery', totalRevenue: 100, totalExpenses: 40, revenue: [], expenses: [] }
+        },
+        totalRevenue: 100
+    }));
+
+    const store = new StateStore({ dbDriver: 'memory' });
+    await store.importJsonFile('profit.businesses', file, d => d.businesses);
+    await store.importJsonFile('profit.businesses', file, d => d.businesses);
+    assert.deepStrictEqual(await store.collection('profit.businesses').keys(), ['b1']);
+
+    const tracker = await new ProfitTracker({ stateStore: store }).init();
+    assert.strictEqual(tracker.getSummary().totalProfit, 60);
+
+    await store.db.close();
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('importJsonStores - module JSON files load into their collections', async (t) => {
+    const dir = path.join(__dirname, `test-state-${Date.now()}`);
+    const write = (file, data) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+    };
+    write('accounts/warm-pool.json', [{ id: 'acc-1', platform: 'twitter', status: 'ready', activityLog: [] }]);
+    write('content-queue/twitter-queue.json', [{ id: 'content-1', content: 'Hello', platform: 'twitter' }]);
+    write('web/domains.json', [{ domain: 'bakery.com', businessId: 'b1' }, { domain: 'bakery.io', businessId: 'b1' }]);
+
+    const store = new StateStore({ dbDriver: 'memory' });
+    t.mock.method(console, 'log', () => {});
+    await importJsonStores(store, dir);
+    await importJsonStores(store, dir);
+
+    assert.deepStrictEqual(await store.collection('web.domains').keys(), ['bakery.com', 'bakery.io']);
+
+    const queue = await new ContentQueue({ stateStore: store, modelRouter: {}, dataDir: dir }).init();
+    assert.deepStrictEqual(queue.queues.twitter.map(item => item.id), ['content-1']);
+
+    // Two pools claiming the one ready account: only one gets it
+    const pools = [new WarmAccountPool({ stateStore: store, dataDir: dir }), new WarmAccountPool({ stateStore: store, dataDir: dir })];
+    const claimed = await Promise.all(pools.map(pool => pool.getAccount('twitter')));
+    assert.deepStrictEqual(claimed.map(account => account?.status ?? null).sort(), ['in_use', null]);
+
+    await store.db.close();
+    fs.rmSync(dir, { recursive: true });
+});
@@ -5,6 +5,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import StrategyManager from '../packages/core/strategy-manager.js';
+import { StateStore } from '../packages/core/state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,7 +14,9 @@ test('StrategyManager - Load and Update', async (t) => {
     const testDataDir = path.join(__dirname, 'test-strategies');
     if (!fs.existsSync(testDataDir)) fs.mkdirSync(testDataDir);
 
-    const mgr = new StrategyManager({ dataDir: testDataDir });
+    const stateStore = new StateStore({ dbDriver: 'memory' });
+    const mgr = new StrategyManager({ dataDir: testDataDir, stateStore });
+    await mgr.init();
 
     const strategies = mgr.getApplicableStrategies('general');
     assert.ok(Array.isArray(strategies));
@@ -27,6 +30,11 @@ test('StrategyManager - Load and Update', async (t) => {
     const updated = mgr.getApplicableStrategies('general');
     assert.ok(updated.includes('New Rule'));
 
+    // A fresh manager on the same store sees the persisted rule
+    const reloaded = await new StrategyManager({ stateStore }).init();
+    assert.ok(reloaded.getApplicableStrategies('general').includes('New Rule'));
+    await stateStore.db.close();
+
     // Cleanup
     if (fs.existsSync(testDataDir)) fs.rmSync(testDataDir, { recursive: true });
 });
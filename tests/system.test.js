@@ -5,6 +5,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import CEOAgent from '../packages/ceo/ceo-agent.js';
+import { AuditLogger } from '../packages/core/audit-logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,7 +20,8 @@ test('System Integration - CEOAgent Analysis', async (t) => {
     // Config pointing to test DB and local data
     const config = {
         dbPath: testDbPath,
-        dataDir: testDataDir
+        dataDir: testDataDir,
+        auditLogger: new AuditLogger({ logDir: path.join(testDataDir, 'audit') })
     };
 
     const ceo = new CEOAgent(config);
@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Database } from '../packages/core/database.js';
+import { WorkerPool } from '../packages/orchestrator/worker-pool.js';
+import { Orchestrator } from '../packages/orchestrator/orchestrator.js';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function withOrchestrator(config, fn) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'king-ai-workers-'));
+    const db = new Database({ dbDriver: 'memory' });
+    const orchestrator = new Orchestrator({
+        db,
+        logDir: path.join(dataDir, 'audit'),
+        pendingFile: path.join(dataDir, 'pending-approvals.json'),
+        ...config
+    });
+    try {
+        await orchestrator.init();
+        await fn(orchestrator, db);
+    } finally {
+        await db.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+test('WorkerPool - per-module concurrency and rate limits', async (t) => {
+    const pool = new WorkerPool({ concurrency: 3 });
+    pool.setLimits('llm', { concurrency: 2 });
+    pool.setLimits('email', { rateLimit: { max: 2, intervalMs: 1000 } });
+
+    const gates = [];
+    const blocker = () => new Promise(resolve => gates.push(resolve));
+    pool.run('llm', blocker);
+    pool.run('llm', blocker);
+    assert.strictEqual(pool.canRun('llm'), false);
+    assert.deepStrictEqual(pool.blockedModules(), ['llm']);
+    assert.strictEqual(pool.canRun('other'), true, 'unregistered modules get the default limit');
+
+    await pool.run('email', () => 'sent', 1000);
+    await pool.run('email', () => 'sent', 1500);
+    assert.strictEqual(pool.canRun('email', 1900), false, 'two starts within the last second');
+    assert.strictEqual(pool.canRun('email', 2001), true, 'the first start has left the window');
+
+    assert.strictEqual(pool.hasCapacity(), true);
+    pool.run('other', blocker);
+    assert.strictEqual(pool.hasCapacity(), false);
+    assert.deepStrictEqual(pool.getStatus().modules.llm, { running: 2, concurrency: 2, rateLimit: null });
+
+    assert.strictEqual(await pool.drain(20), false);
+    gates.forEach(resolve => resolve());
+    assert.strictEqual(await pool.drain(1000), true);
+    assert.strictEqual(pool.size, 0);
+});
+
+test('WorkerPool - timed-out waits on an idle pool leave nothing behind', async (t) => {
+    const pool = new WorkerPool({ concurrency: 1 });
+    for (let i = 0; i < 50; i++) await pool.waitForSlot(0);
+    assert.strictEqual(pool.waiters.length, 0);
+
+    // A finishing task still wakes a waiter early
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    pool.run('llm', () => gate);
+    const woken = pool.waitForSlot(60000);
+    assert.strictEqual(pool.waiters.length, 1);
+    release();
+    await woken;
+    assert.strictEqual(pool.waiters.length, 0);
+});
+
+test('Orchestrator - a slow module no longer holds up the others', async (t) => {
+    const modelRouter = { complete: async () => ({ success: true, content: 'ok' }) };
+    await withOrchestrator({ workerConcurrency: 3, modelRouter }, async (orchestrator) => {
+        assert.strictEqual(orchestrator.ai, modelRouter, 'the caller\'s router, and its spend budgets, are shared');
+        const finished = [];
+        let running = 0;
+        let peak = 0;
+        const track = (ms) => async (task) => {
+            running++;
+            peak = Math.max(peak, running);
+            await sleep(ms);
+            running--;
+            finished.push(task.description);
+            return { ok: true };
+        };
+        orchestrator.registerModule('llm', { execute: track(60), workerLimits: { concurrency: 2 } });
+        orchestrator.registerModule('email', { execute: track(5) });
+        orchestrator.registerModule('sms', { execute: track(5) }, { rateLimit: { max: 1, intervalMs: 60000 } });
+
+        for (const n of [1, 2, 3]) {
+            await orchestrator.submitTask({ module: 'llm', action: 'write', description: `llm-${n}`, impact: 6 });
+        }
+        await orchestrator.submitTask({ module: 'email', action: 'send', description: 'email-1', impact: 1 });
+        await orchestrator.submitTask({ module: 'sms', action: 'send', description: 'sms-1', impact: 1 });
+        await orchestrator.submitTask({ module: 'sms', action: 'send', description: 'sms-2', impact: 1 });
+
+        const results = await orchestrator.processQueue();
+        assert.strictEqual(results.length, 5, 'the second sms waits for its rate limit');
+        assert.strictEqual(peak, 3);
+        assert.deepStrictEqual(finished.slice(0, 2).sort(), ['email-1', 'sms-1'], 'quick tasks finish while the LLM calls run');
+        assert.strictEqual(finished.at(-1), 'llm-3', 'the third LLM call waits for a free llm worker');
+
+        const status = await orchestrator.getStatus();
+        assert.strictEqual(status.queuedTasks, 1);
+        assert.deepStrictEqual(status.workers.modules.llm, { running: 0, concurrency: 2, rateLimit: null });
+    });
+});
+
+test('Orchestrator.shutdown - drains running tasks before stopping', async (t) => {
+    await withOrchestrator({ workerConcurrency: 2 }, async (orchestrator, db) => {
+        let release;
+        orchestrator.registerModule('report', {
+            execute: () => new Promise(resolve => { release = resolve; })
+        });
+        const { taskId } = await orchestrator.submitTask({ module: 'report', action: 'build', description: 'Quarterly report' });
+        await orchestrator.fillWorkers();
+        assert.strictEqual(orchestrator.runningTasks.size, 1);
+
+        const stopping = orchestrator.shutdown(5000);
+        await sleep(20);
+        assert.strictEqual((await db.getTask(taskId)).status, 'running', 'still waiting on the task');
+        release({ pages: 4 });
+
+        assert.strictEqual(await stopping, true);
+        assert.strictEqual((await db.getTask(taskId)).status, 'completed');
+        assert.strictEqual(orchestrator.isRunning, false);
+    });
+});
@@ -1,9 +1,7 @@
 
-import { BusinessAnalyzer } from './packages/ceo/business-analyzer.js';
+import { extractJson } from './packages/core/json-schema.js';
 
 async function testParser() {
-    const analyzer = new BusinessAnalyzer();
-
     const testCases = [
         {
             name: 'Valid JSON',
@@ -37,7 +35,7 @@ async function testParser() {
     let passed = 0;
     for (const tc of testCases) {
         try {
-            const result = analyzer._parseJSON(tc.input);
+            const result = extractJson(tc.input);
             const passedTest = JSON.stringify(result) === JSON.stringify(tc.expected);
 
             if (passedTest) {